@@ -13,6 +13,7 @@ const passport = require("passport");
 const redis = require("redis");
 const { v4: uuidv4 } = require("uuid");
 const logger = require("./utils/logger");
+const { startScheduledJobs, stopScheduledJobs } = require("./jobs");
 const { errorHandler } = require("./middlewares/error");
 const { sequelize, connectDB } = require("./config/database");
 const { initializePassport } = require("./config/passport");
@@ -33,7 +34,9 @@ const vendorRoutes = require("./routes/vendor.route");
 const categoryRoutes = require("./routes/category.route");
 const collectionRoutes = require("./routes/collection.route");
 const productRoutes = require("./routes/product.route");
+const productImportRoutes = require("./routes/product-import.route");
 const filterRoutes = require("./routes/filter.route");
+const searchRoutes = require("./routes/search.route");
 const supplyRoutes = require("./routes/supply.route");
 const inventoryRoutes = require("./routes/inventory.route");
 const journalRoutes = require("./routes/journal.route");
@@ -47,6 +50,13 @@ const variantRoutes = require("./routes/variant.route");
 const wishlistRoutes = require("./routes/wishlist.route");
 const adminRoutes = require("./routes/admin");
 const supportFeedbackRoutes = require("./routes/support-feedback.route");
+const notificationRoutes = require("./routes/notification.route");
+const payoutRoutes = require("./routes/payout.route");
+const refundRoutes = require("./routes/refund.route");
+const returnRoutes = require("./routes/return.route");
+const couponRoutes = require("./routes/coupon.route");
+const shippingRoutes = require("./routes/shipping.route");
+const shipmentRoutes = require("./routes/shipment.route");
 
 // Initialize express app
 const app = express();
@@ -339,7 +349,9 @@ app.use("/api/v1/vendors", vendorRoutes);
 app.use("/api/v1/categories", categoryRoutes);
 app.use("/api/v1/collections", collectionRoutes);
 app.use("/api/v1/products", productRoutes);
+app.use("/api/v1/product-imports", productImportRoutes);
 app.use("/api/v1/filters", filterRoutes);
+app.use("/api/v1/search", searchRoutes);
 app.use("/api/v1/supplies", supplyRoutes);
 app.use("/api/v1/inventory", inventoryRoutes);
 app.use("/api/v1/journals", journalRoutes);
@@ -355,6 +367,13 @@ app.use("/api/v1/reviews", reviewRoutes);
 app.use("/api/v1/variants", variantRoutes);
 app.use("/api/v1/admin", adminRoutes);
 app.use("/api/v1/feedbacks", supportFeedbackRoutes);
+app.use("/api/v1/notifications", notificationRoutes);
+app.use("/api/v1/payouts", payoutRoutes);
+app.use("/api/v1/refunds", refundRoutes);
+app.use("/api/v1/returns", returnRoutes);
+app.use("/api/v1/coupons", couponRoutes);
+app.use("/api/v1/shipping", shippingRoutes);
+app.use("/api/v1/shipments", shipmentRoutes);
 
 // Serve static files in production
 
@@ -365,6 +384,11 @@ const PORT =
   process.env.PORT || (process.env.NODE_ENV === "production" ? 3000 : 3001);
 const server = app.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+
+  // Background jobs such as abandoned cart emails
+  if (process.env.SCHEDULED_JOBS_ENABLED !== "false") {
+    startScheduledJobs();
+  }
 });
 
 // Handle unhandled promise rejections
@@ -377,6 +401,7 @@ process.on("unhandledRejection", (err) => {
 // Graceful shutdown
 process.on("SIGTERM", async () => {
   logger.info("SIGTERM received, shutting down gracefully");
+  stopScheduledJobs();
   server.close(() => {
     logger.info("Process terminated");
     if (redisClient && redisClient.quit) {
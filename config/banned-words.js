@@ -0,0 +1,34 @@
+/**
+ * Review banned words
+ * Reviews containing any of these words or phrases are flagged for a moderator's attention.
+ * Words are lower case and matched as whole words, so "ass" does not flag "class". Add
+ * marketplace-specific words with REVIEW_BANNED_WORDS (comma-separated) instead of editing
+ * this list.
+ */
+module.exports = [
+  // Abuse and slurs
+  'idiot',
+  'stupid',
+  'moron',
+  'bastard',
+  'bitch',
+  'fuck',
+  'fucking',
+  'shit',
+  'asshole',
+  'dickhead',
+  'mumu',
+  'ode',
+  'werey',
+  'olodo',
+  // Spam and off-platform selling
+  'whatsapp me',
+  'dm me',
+  'call me on',
+  'buy cheaper at',
+  'visit my store',
+  'click here',
+  'free money',
+  'loan offer',
+  'crypto investment',
+];
@@ -4,6 +4,10 @@ const { Strategy: LocalStrategy } = require('passport-local');
 const { User, Role } = require('../models');
 const AppError = require('../utils/appError');
 const logger = require('../utils/logger');
+const OidcStrategy = require('../utils/oidc-strategy');
+const { enabledProviders } = require('./social-auth');
+const SocialAuthService = require('../services/social-auth.service');
+const LoginSecurityService = require('../services/login-security.service');
 
 // JWT Strategy Options
 const jwtOptions = {
@@ -57,14 +61,23 @@ const initializePassport = (passport) => {
       const user = await User.findOne({ 
         where: { email }
       });
+      const client = { userAgent: req.get('user-agent'), ip: req.ip };
       
       if (!user) {
+        await LoginSecurityService.recordFailure(null, { email, client, reason: 'unknown_email' });
         return done(null, false, { message: 'Incorrect email or password' });
       }
+
+      // Locked accounts are refused before the password is checked, so guessing gets nowhere
+      await LoginSecurityService.assertNotLocked(user, { client });
       
       // Compare passwords using the model instance method
       const isMatch = await user.comparePassword(password);
       if (!isMatch) {
+        const { locked, locked_until } = await LoginSecurityService.recordFailure(user, { client, reason: 'invalid_password' });
+        if (locked) {
+          return done(LoginSecurityService.lockedError(locked_until));
+        }
         return done(null, false, { message: 'Incorrect email or password' });
       }
 
@@ -80,11 +93,34 @@ const initializePassport = (passport) => {
 
       return done(null, userWithRoles.get({ plain: true }));
     } catch (error) {
-      logger.error('Local Strategy Error:', error);
+      if (!(error instanceof AppError)) {
+        logger.error('Local Strategy Error:', error);
+      }
       return done(error);
     }
   }));
 
+  // Google and Apple (OpenID Connect) - one strategy per provider with a client ID.
+  // Signed-in requests link the provider account; others sign in or sign up with it.
+  enabledProviders().forEach((provider) => {
+    passport.use(provider.name, new OidcStrategy(provider, async (req, profile, done) => {
+      try {
+        if (req.user) {
+          await SocialAuthService.link(req.user.id, profile);
+          return done(null, req.user, { linked: true });
+        }
+
+        const { user, created } = await SocialAuthService.signIn(profile);
+        return done(null, user, { created });
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          logger.error(`${provider.label} Strategy Error:`, error);
+        }
+        return done(error);
+      }
+    }));
+  });
+
   // Serialize user into the session
   passport.serializeUser((user, done) => {
     done(null, user.id);
@@ -28,6 +28,20 @@ const ROUTE_PATTERNS = [
   { pattern: /^\/wishlist\/summary$/, template: '/wishlist/summary' },
   { pattern: /^\/wishlist\/move-to-cart$/, template: '/wishlist/move-to-cart' },
   { pattern: /^\/wishlist$/, template: '/wishlist' },
+  { pattern: /^\/notifications\/unread-count$/, template: '/notifications/unread-count' },
+  { pattern: /^\/notifications\/read-all$/, template: '/notifications/read-all' },
+  { pattern: /^\/notifications\/([\w-]+)\/read$/, template: '/notifications/:id/read' },
+  { pattern: /^\/payouts\/balance$/, template: '/payouts/balance' },
+  { pattern: /^\/returns\/vendor$/, template: '/returns/vendor' },
+  { pattern: /^\/returns\/vendor\/([\w-]+)\/approve$/, template: '/returns/vendor/:id/approve' },
+  { pattern: /^\/returns\/vendor\/([\w-]+)\/reject$/, template: '/returns/vendor/:id/reject' },
+  { pattern: /^\/returns\/vendor\/([\w-]+)\/receive$/, template: '/returns/vendor/:id/receive' },
+  { pattern: /^\/returns\/vendor\/([\w-]+)$/, template: '/returns/vendor/:id' },
+  { pattern: /^\/returns\/([\w-]+)\/cancel$/, template: '/returns/:id/cancel' },
+  { pattern: /^\/shipments\/orders\/([\w-]+)$/, template: '/shipments/orders/:orderId' },
+  { pattern: /^\/shipments\/vendor\/([\w-]+)\/events$/, template: '/shipments/vendor/:id/events' },
+  { pattern: /^\/shipments\/vendor\/([\w-]+)\/refresh$/, template: '/shipments/vendor/:id/refresh' },
+  { pattern: /^\/shipments\/vendor\/([\w-]+)$/, template: '/shipments/vendor/:id' },
   { pattern: /^\/orders\/verify-payment\/([\w-]+)$/, template: '/orders/verify-payment/:reference' },
   { pattern: /^\/orders\/items\/([\w-]+)\/status$/, template: '/orders/items/:id/status' },
   { pattern: /^\/auth\/verify-phone-change\/([\w-]+)$/, template: '/auth/verify-phone-change/:token' },
@@ -35,6 +49,21 @@ const ROUTE_PATTERNS = [
   { pattern: /^\/auth\/reject-phone-change\/([\w-]+)$/, template: '/auth/reject-phone-change/:userId' },
   { pattern: /^\/auth\/verify-reset-token\/([\w-]+)$/, template: '/auth/verify-reset-token/:token' },
   { pattern: /^\/auth\/reset-password\/([\w-]+)$/, template: '/auth/reset-password/:token' },
+  { pattern: /^\/auth\/sessions\/([\w-]+)$/, template: '/auth/sessions/:id' },
+  { pattern: /^\/auth\/social\/([\w-]+)\/callback$/, template: '/auth/social/:provider/callback' },
+  { pattern: /^\/auth\/social\/([\w-]+)\/token$/, template: '/auth/social/:provider/token' },
+  { pattern: /^\/auth\/social\/([\w-]+)\/link$/, template: '/auth/social/:provider/link' },
+  { pattern: /^\/auth\/social\/([\w-]+)$/, template: '/auth/social/:provider' },
+  { pattern: /^\/inventory\/product\/([\w-]+)\/threshold$/, template: '/inventory/product/:productId/threshold' },
+  { pattern: /^\/inventory\/alerts\/([\w-]+)\/acknowledge$/, template: '/inventory/alerts/:id/acknowledge' },
+  { pattern: /^\/inventory\/alerts$/, template: '/inventory/alerts' },
+  { pattern: /^\/admin\/inventory\/alerts$/, template: '/admin/inventory/alerts' },
+  { pattern: /^\/inventory\/import\/preview$/, template: '/inventory/import/preview' },
+  { pattern: /^\/inventory\/import$/, template: '/inventory/import' },
+  { pattern: /^\/inventory\/export$/, template: '/inventory/export' },
+  { pattern: /^\/product-imports\/template$/, template: '/product-imports/template' },
+  { pattern: /^\/product-imports\/([\w-]+)\/report$/, template: '/product-imports/:id/report' },
+  { pattern: /^\/product-imports\/([\w-]+)$/, template: '/product-imports/:id' },
   { pattern: /^\/inventory\/history\/([\w-]+)$/, template: '/inventory/history/:productId' },
   { pattern: /^\/inventory\/product\/([\w-]+)$/, template: '/inventory/product/:productId' },
   { pattern: /^\/supply\/vendor\/([\w-]+)$/, template: '/supply/vendor/:vendorId' },
@@ -57,7 +86,24 @@ const ROUTE_PATTERNS = [
   { pattern: /^\/admin\/inventory\/vendor\/([\w-]+)$/, template: '/admin/inventory/vendor/:vendorId' },
   { pattern: /^\/admin\/supply\/vendor\/([\w-]+)$/, template: '/admin/supply/vendor/:vendorId' },
   { pattern: /^\/admin\/supply\/product\/([\w-]+)$/, template: '/admin/supply/product/:productId' },
+  { pattern: /^\/admin\/payouts\/([\w-]+)\/approve$/, template: '/admin/payouts/:id/approve' },
+  { pattern: /^\/admin\/payouts\/([\w-]+)\/reject$/, template: '/admin/payouts/:id/reject' },
+  { pattern: /^\/admin\/refunds\/([\w-]+)\/retry$/, template: '/admin/refunds/:id/retry' },
+  { pattern: /^\/admin\/returns\/([\w-]+)\/approve$/, template: '/admin/returns/:id/approve' },
+  { pattern: /^\/admin\/returns\/([\w-]+)\/reject$/, template: '/admin/returns/:id/reject' },
+  { pattern: /^\/admin\/returns\/([\w-]+)\/receive$/, template: '/admin/returns/:id/receive' },
+  { pattern: /^\/admin\/shipments\/([\w-]+)\/events$/, template: '/admin/shipments/:id/events' },
+  { pattern: /^\/admin\/shipments\/([\w-]+)\/refresh$/, template: '/admin/shipments/:id/refresh' },
+  { pattern: /^\/admin\/jobs\/([0-9a-f-]{36})\/retry$/, template: '/admin/jobs/:id/retry' },
+  { pattern: /^\/reviews\/([\w-]+)\/vote$/, template: '/reviews/:id/vote' },
+  { pattern: /^\/reviews\/([\w-]+)\/reply$/, template: '/reviews/:id/reply' },
+  { pattern: /^\/reviews\/([\w-]+)\/report$/, template: '/reviews/:id/report' },
+  { pattern: /^\/admin\/reviews\/([\w-]+)\/moderate$/, template: '/admin/reviews/:id/moderate' },
+  { pattern: /^\/admin\/orders\/expirations\/run$/, template: '/admin/orders/expirations/run' },
+  { pattern: /^\/admin\/orders\/expirations$/, template: '/admin/orders/expirations' },
   { pattern: /^\/admin\/orders\/([\w-]+)\/status$/, template: '/admin/orders/:id/status' },
+  { pattern: /^\/admin\/orders\/([\w-]+)\/invoice$/, template: '/admin/orders/:id/invoice' },
+  { pattern: /^\/admin\/orders\/([\w-]+)\/packing-slips\/([\w-]+)$/, template: '/admin/orders/:id/packing-slips/:vendorId' },
   { pattern: /^\/admin\/collections\/([\w-]+)\/products$/, template: '/admin/collections/:id/products' },
   { pattern: /^\/admin\/dashboard\/vendor-overview\/([\w-]+)$/, template: '/admin/dashboard/vendor-overview/:vendorId' },
   { pattern: /^\/admin\/subadmins\/([\w-]+)\/permissions$/, template: '/admin/subadmins/:id/permissions' },
@@ -73,17 +119,30 @@ const ROUTE_PATTERNS = [
   { pattern: /^\/filters\/sizes$/, template: '/filters/sizes' },
   { pattern: /^\/filters\/dress-styles$/, template: '/filters/dress-styles' },
   { pattern: /^\/users\/([\w-]+)\/roles$/, template: '/users/:id/roles' },
+  { pattern: /^\/users\/([\w-]+)\/two-factor\/reset$/, template: '/users/:id/two-factor/reset' },
+  { pattern: /^\/users\/locked$/, template: '/users/locked' },
+  { pattern: /^\/users\/([\w-]+)\/login-history$/, template: '/users/:id/login-history' },
+  { pattern: /^\/users\/([\w-]+)\/unlock$/, template: '/users/:id/unlock' },
+  { pattern: /^\/roles\/([\w-]+)\/two-factor$/, template: '/roles/:id/two-factor' },
   { pattern: /^\/products\/vendor\/([\w-]+)$/, template: '/products/vendor/:id' },
   { pattern: /^\/products\/([\w-]+)$/, template: '/products/:identifier' },
   { pattern: /^\/vendors\/([\w-]+)$/, template: '/vendors/:id' },
   { pattern: /^\/categories\/([\w-]+)$/, template: '/categories/:id' },
   { pattern: /^\/collections\/([\w-]+)$/, template: '/collections/:id' },
   { pattern: /^\/orders\/([\w-]+)\/cancel$/, template: '/orders/:id/cancel' },
+  { pattern: /^\/orders\/([\w-]+)\/invoice$/, template: '/orders/:id/invoice' },
+  { pattern: /^\/orders\/([\w-]+)\/packing-slip$/, template: '/orders/:id/packing-slip' },
   { pattern: /^\/orders\/([\w-]+)$/, template: '/orders/:id' },
   { pattern: /^\/addresses\/([\w-]+)$/, template: '/addresses/:id' },
   { pattern: /^\/inventory\/([\w-]+)$/, template: '/inventory/:id' },
   { pattern: /^\/supply\/([\w-]+)$/, template: '/supply/:id' },
   { pattern: /^\/reviews\/([\w-]+)$/, template: '/reviews/:id' },
+  { pattern: /^\/notifications\/([\w-]+)$/, template: '/notifications/:id' },
+  { pattern: /^\/payouts\/([\w-]+)$/, template: '/payouts/:id' },
+  { pattern: /^\/refunds\/([\w-]+)$/, template: '/refunds/:id' },
+  { pattern: /^\/returns\/([\w-]+)$/, template: '/returns/:id' },
+  { pattern: /^\/coupons\/([\w-]+)$/, template: '/coupons/:id' },
+  { pattern: /^\/shipping\/zones\/([\w-]+)$/, template: '/shipping/zones/:id' },
   { pattern: /^\/journals\/([\w-]+)$/, template: '/journals/:id' },
   { pattern: /^\/variants\/([\w-]+)$/, template: '/variants/:id' },
   { pattern: /^\/webhooks\/([\w-]+)$/, template: '/webhooks/:id' },
@@ -98,6 +157,15 @@ const ROUTE_PATTERNS = [
   { pattern: /^\/admin\/supplies\/([\w-]+)$/, template: '/admin/supplies/:id' },
   { pattern: /^\/admin\/webhooks\/([\w-]+)$/, template: '/admin/webhooks/:id' },
   { pattern: /^\/admin\/subadmins\/([\w-]+)$/, template: '/admin/subadmins/:id' },
+  { pattern: /^\/admin\/payouts\/([\w-]+)$/, template: '/admin/payouts/:id' },
+  { pattern: /^\/admin\/refunds\/([\w-]+)$/, template: '/admin/refunds/:id' },
+  { pattern: /^\/admin\/returns\/([\w-]+)$/, template: '/admin/returns/:id' },
+  { pattern: /^\/admin\/coupons\/([\w-]+)$/, template: '/admin/coupons/:id' },
+  { pattern: /^\/admin\/shipping\/zones\/([\w-]+)$/, template: '/admin/shipping/zones/:id' },
+  { pattern: /^\/admin\/tax-rules\/([\w-]+)$/, template: '/admin/tax-rules/:id' },
+  { pattern: /^\/admin\/reviews\/([\w-]+)$/, template: '/admin/reviews/:id' },
+  { pattern: /^\/admin\/shipments\/([\w-]+)$/, template: '/admin/shipments/:id' },
+  { pattern: /^\/admin\/jobs\/([0-9a-f-]{36})$/, template: '/admin/jobs/:id' },
 ];
 
 /**
@@ -14,11 +14,29 @@ export const permissionMap = {
   'GET /auth/verify-reset-token/:token': null, // Public
   'POST /auth/reset-password/:token': null, // Public
   'GET /auth/verify-phone-change/:token': null, // Public
+  'POST /auth/refresh-token': null, // Public
+  'POST /auth/2fa/verify': null, // Public
+  'GET /auth/social/:provider': null, // Public
+  'GET /auth/social/:provider/callback': null, // Public
+  'POST /auth/social/:provider/callback': null, // Public
+  'POST /auth/social/:provider/token': null, // Public
+  'POST /auth/2fa/setup': null, // JWT or login challenge token
+  'POST /auth/2fa/enable': null, // JWT or login challenge token
   'GET /auth/me': 'users_read',
   'PUT /auth/me': 'users_update',
   'PATCH /auth/update-password': 'users_update',
   'POST /auth/request-phone-change': 'users_update',
   'POST /auth/cancel-phone-change': 'users_update',
+  'GET /auth/2fa': 'users_read',
+  'POST /auth/2fa/disable': 'users_update',
+  'POST /auth/2fa/recovery-codes': 'users_update',
+  'GET /auth/sessions': 'users_read',
+  'DELETE /auth/sessions': 'users_update',
+  'DELETE /auth/sessions/:id': 'users_update',
+  'GET /auth/social': 'users_read',
+  'POST /auth/social/:provider/link': 'users_update',
+  'DELETE /auth/social/:provider': 'users_update',
+  'GET /auth/login-history': 'users_read',
   'GET /auth/logout': null,
   'GET /auth/pending-phone-changes': 'users_manage',
   'PATCH /auth/approve-phone-change/:userId': 'users_manage',
@@ -44,6 +62,9 @@ export const permissionMap = {
   'DELETE /cart/clear': 'cart_delete',
   'POST /cart/sync': 'cart_create',
   'GET /cart/summary': 'cart_read',
+  'POST /cart/coupon': 'cart_update',
+  'DELETE /cart/coupon': 'cart_update',
+  'PUT /cart/email': 'cart_update',
 
   // ========================================
   // CATEGORY ROUTES (Public)
@@ -65,6 +86,12 @@ export const permissionMap = {
   'POST /filters/products': null,
   'GET /filters/products/:productId/combinations': null,
 
+  // ========================================
+  // SEARCH ROUTES (Public)
+  // ========================================
+  'GET /search/products': null,
+  'GET /search/suggest': null,
+
   // ========================================
   // COLLECTION ROUTES (Public)
   // ========================================
@@ -90,6 +117,12 @@ export const permissionMap = {
   'GET /inventory/product/:productId': 'inventory_read',
   'PATCH /inventory/product/:productId': 'inventory_update',
   'GET /inventory/low-stock': 'inventory_read',
+  'PATCH /inventory/product/:productId/threshold': 'inventory_update',
+  'GET /inventory/alerts': 'inventory_read',
+  'PATCH /inventory/alerts/:id/acknowledge': 'inventory_update',
+  'POST /inventory/import/preview': 'inventory_read',
+  'POST /inventory/import': 'inventory_update',
+  'GET /inventory/export': 'inventory_read',
   'GET /inventory/history/:productId': 'inventory_read',
 
   // ========================================
@@ -107,12 +140,81 @@ export const permissionMap = {
   'DELETE /admin/journals/:id': 'journals_delete',
   
 
+  // ========================================
+  // NOTIFICATION ROUTES
+  // ========================================
+  'GET /notifications': 'notifications_read',
+  'GET /notifications/unread-count': 'notifications_read',
+  'PATCH /notifications/read-all': 'notifications_update',
+  'GET /notifications/:id': 'notifications_read',
+  'PATCH /notifications/:id/read': 'notifications_update',
+  'DELETE /notifications/:id': 'notifications_update',
+
+  // ========================================
+  // PAYOUT ROUTES (Vendor)
+  // ========================================
+  'GET /payouts': 'payouts_read',
+  'GET /payouts/balance': 'payouts_read',
+  'POST /payouts': 'payouts_create',
+  'GET /payouts/:id': 'payouts_read',
+
+  // ========================================
+  // REFUND ROUTES (Customer)
+  // ========================================
+  'GET /refunds': 'payments_read',
+  'GET /refunds/:id': 'payments_read',
+
+  // ========================================
+  // RETURN ROUTES (Customer & Vendor)
+  // ========================================
+  'POST /returns': 'orders_create',
+  'GET /returns': 'orders_read',
+  'GET /returns/:id': 'orders_read',
+  'PATCH /returns/:id/cancel': 'orders_cancel',
+  'GET /returns/vendor': 'orders_read',
+  'GET /returns/vendor/:id': 'orders_read',
+  'PATCH /returns/vendor/:id/approve': 'orders_update',
+  'PATCH /returns/vendor/:id/reject': 'orders_update',
+  'PATCH /returns/vendor/:id/receive': 'orders_process',
+
+  // ========================================
+  // COUPON ROUTES (Vendor)
+  // ========================================
+  'GET /coupons': 'coupons_read',
+  'POST /coupons': 'coupons_create',
+  'GET /coupons/:id': 'coupons_read',
+  'PATCH /coupons/:id': 'coupons_update',
+  'DELETE /coupons/:id': 'coupons_delete',
+
+  // ========================================
+  // SHIPPING ROUTES
+  // ========================================
+  'POST /shipping/quote': 'orders_create',
+  'GET /shipping/zones': 'shipping_read',
+  'POST /shipping/zones': 'shipping_create',
+  'GET /shipping/zones/:id': 'shipping_read',
+  'PATCH /shipping/zones/:id': 'shipping_update',
+  'DELETE /shipping/zones/:id': 'shipping_delete',
+
+  // ========================================
+  // SHIPMENT ROUTES
+  // ========================================
+  'GET /shipments/orders/:orderId': 'orders_read',
+  'GET /shipments/carriers': 'orders_read',
+  'GET /shipments/vendor': 'orders_read',
+  'POST /shipments/vendor': 'orders_process',
+  'GET /shipments/vendor/:id': 'orders_read',
+  'POST /shipments/vendor/:id/events': 'orders_update',
+  'POST /shipments/vendor/:id/refresh': 'orders_read',
+
   // ========================================
   // ORDER ROUTES
   // ========================================
   'POST /orders': 'orders_create',
   'GET /orders/my-orders': 'orders_read',
   'GET /orders/:id': 'orders_read',
+  'GET /orders/:id/invoice': 'orders_read',
+  'GET /orders/:id/packing-slip': 'orders_read',
   'PATCH /orders/:id/cancel': 'orders_cancel',
   'GET /orders/verify-payment/:reference': null, // Public
   'POST /orders/webhook/payment': null, // Public (webhook)
@@ -141,6 +243,15 @@ export const permissionMap = {
   'PATCH /products/:id/images': 'products_images_manage',
   'PATCH /products/:id/variants': 'products_variants_manage',
 
+  // ========================================
+  // PRODUCT IMPORT ROUTES (Vendor)
+  // ========================================
+  'GET /product-imports': 'products_read',
+  'POST /product-imports': 'products_create',
+  'GET /product-imports/template': 'products_read',
+  'GET /product-imports/:id': 'products_read',
+  'GET /product-imports/:id/report': 'products_read',
+
   // ========================================
   // REVIEW ROUTES
   // ========================================
@@ -149,6 +260,11 @@ export const permissionMap = {
   'POST /reviews': 'reviews_create',
   'PUT /reviews/:id': 'reviews_update',
   'DELETE /reviews/:id': 'reviews_delete',
+  'POST /reviews/:id/vote': 'reviews_create',
+  'DELETE /reviews/:id/vote': 'reviews_delete',
+  'PUT /reviews/:id/reply': 'reviews_update',
+  'DELETE /reviews/:id/reply': 'reviews_update',
+  'POST /reviews/:id/report': 'reviews_create',
 
   // ========================================
   // ROLE ROUTES (Admin only)
@@ -158,6 +274,7 @@ export const permissionMap = {
   'GET /roles/:id': 'roles_read',
   'PATCH /roles/:id': 'roles_update',
   'DELETE /roles/:id': 'roles_delete',
+  'PATCH /roles/:id/two-factor': 'roles_update',
 
   // ========================================
   // SUPPLY ROUTES (Vendor)
@@ -176,6 +293,10 @@ export const permissionMap = {
   'DELETE /users/:id': 'users_delete',
   'POST /users/:id/roles': 'users_manage',
   'DELETE /users/:id/roles': 'users_manage',
+  'POST /users/:id/two-factor/reset': 'users_manage',
+  'GET /users/locked': 'users_read',
+  'GET /users/:id/login-history': 'users_read',
+  'POST /users/:id/unlock': 'users_manage',
 
   // ========================================
   // VARIANT ROUTES
@@ -273,6 +394,7 @@ export const permissionMap = {
   'GET /admin/inventory/all': 'inventory_read',
   'GET /admin/inventory/vendor/:vendorId': 'inventory_read',
   'GET /admin/inventory/low-stock': 'inventory_read',
+  'GET /admin/inventory/alerts': 'inventory_read',
   'GET /admin/inventory/history': 'inventory_read',
 
   // Admin - Journal Routes
@@ -283,6 +405,77 @@ export const permissionMap = {
   // Admin - Order Routes
   'GET /admin/orders': 'orders_read',
   'PATCH /admin/orders/:id/status': 'orders_update',
+  'GET /admin/orders/:id/invoice': 'orders_read',
+  'GET /admin/orders/:id/packing-slips/:vendorId': 'orders_read',
+  'GET /admin/orders/expirations': 'orders_read',
+  'POST /admin/orders/expirations/run': 'orders_update',
+
+  // Admin - Payout Routes
+  'GET /admin/payouts': 'payouts_read',
+  'GET /admin/payouts/:id': 'payouts_read',
+  'PATCH /admin/payouts/:id/approve': 'payouts_process',
+  'PATCH /admin/payouts/:id/reject': 'payouts_update',
+
+  // Admin - Refund Routes
+  'GET /admin/refunds': 'payments_read',
+  'POST /admin/refunds': 'payments_refund',
+  'GET /admin/refunds/:id': 'payments_read',
+  'POST /admin/refunds/:id/retry': 'payments_refund',
+
+  // Admin - Return Routes
+  'GET /admin/returns': 'orders_read',
+  'GET /admin/returns/:id': 'orders_read',
+  'PATCH /admin/returns/:id/approve': 'orders_update',
+  'PATCH /admin/returns/:id/reject': 'orders_update',
+  'PATCH /admin/returns/:id/receive': 'orders_process',
+
+  // Admin - Coupon Routes
+  'GET /admin/coupons': 'coupons_read',
+  'POST /admin/coupons': 'coupons_create',
+  'GET /admin/coupons/:id': 'coupons_read',
+  'PATCH /admin/coupons/:id': 'coupons_update',
+  'DELETE /admin/coupons/:id': 'coupons_delete',
+
+  // Admin - Shipping Routes
+  'GET /admin/shipping/zones': 'shipping_read',
+  'POST /admin/shipping/zones': 'shipping_create',
+  'GET /admin/shipping/zones/:id': 'shipping_read',
+  'PATCH /admin/shipping/zones/:id': 'shipping_update',
+  'DELETE /admin/shipping/zones/:id': 'shipping_delete',
+
+  // Admin - Shipment Routes
+  'GET /admin/shipments': 'orders_read',
+  'POST /admin/shipments': 'orders_process',
+  'GET /admin/shipments/:id': 'orders_read',
+  'POST /admin/shipments/:id/events': 'orders_update',
+  'POST /admin/shipments/:id/refresh': 'orders_read',
+
+  // Admin - Abandoned Cart Routes
+  'GET /admin/abandoned-carts': 'analytics_read',
+  'GET /admin/abandoned-carts/stats': 'analytics_read',
+  'POST /admin/abandoned-carts/run': 'system_maintenance',
+
+  // Admin - Job Queue Routes
+  'GET /admin/jobs/stats': 'system_maintenance',
+  'GET /admin/jobs/failed': 'system_maintenance',
+  'GET /admin/jobs/:id': 'system_maintenance',
+  'POST /admin/jobs/:id/retry': 'system_maintenance',
+  'DELETE /admin/jobs/:id': 'system_maintenance',
+
+  // Admin - Search Routes
+  'POST /admin/search/reindex': 'system_maintenance',
+
+  // Admin - Review Moderation Routes
+  'GET /admin/reviews': 'reviews_moderate',
+  'GET /admin/reviews/:id': 'reviews_moderate',
+  'PATCH /admin/reviews/:id/moderate': 'reviews_moderate',
+
+  // Admin - Tax Rule Routes
+  'GET /admin/tax-rules': 'tax_read',
+  'POST /admin/tax-rules': 'tax_create',
+  'GET /admin/tax-rules/:id': 'tax_read',
+  'PATCH /admin/tax-rules/:id': 'tax_update',
+  'DELETE /admin/tax-rules/:id': 'tax_delete',
 
   // Admin - Product Routes
   'GET /admin/products/all': 'products_read',
@@ -327,6 +520,14 @@ export const publicRoutes = [
   'GET /auth/verify-reset-token/:token',
   'POST /auth/reset-password/:token',
   'GET /auth/verify-phone-change/:token',
+  'POST /auth/refresh-token',
+  'GET /auth/social/:provider',
+  'GET /auth/social/:provider/callback',
+  'POST /auth/social/:provider/callback',
+  'POST /auth/social/:provider/token',
+  'POST /auth/2fa/verify',
+  'POST /auth/2fa/setup',
+  'POST /auth/2fa/enable',
   'GET /auth/logout',
 
   // Category routes
@@ -343,6 +544,9 @@ export const publicRoutes = [
   'GET /filters/dress-styles',
   'POST /filters/products',
   'GET /filters/products/:productId/combinations',
+  // Search routes
+  'GET /search/products',
+  'GET /search/suggest',
  
   // Collection routes
   'GET /collections',
@@ -0,0 +1,24 @@
+/**
+ * Search synonyms
+ * Each group lists words shoppers use for the same thing. A search for any word in a group also
+ * matches products described with the others. Words are lower case; multi-word entries are
+ * matched as phrases.
+ */
+module.exports = [
+  ['ankara', 'wax print', 'kitenge'],
+  ['agbada', 'babariga', 'grand boubou'],
+  ['kaftan', 'caftan', 'jalabiya'],
+  ['buba', 'blouse', 'top'],
+  ['sokoto', 'trousers', 'pants'],
+  ['gele', 'headwrap', 'head tie'],
+  ['aso oke', 'aso-oke'],
+  ['adire', 'tie dye'],
+  ['dress', 'gown', 'frock'],
+  ['tee', 't-shirt', 'tshirt'],
+  ['sneakers', 'trainers', 'canvas'],
+  ['slippers', 'slides', 'palm'],
+  ['bag', 'handbag', 'purse'],
+  ['jeans', 'denim'],
+  ['jacket', 'coat', 'blazer'],
+  ['skirt', 'wrapper'],
+];
@@ -0,0 +1,87 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * Social login providers (OpenID Connect)
+ * A provider is enabled when its client ID is set. Every endpoint can be overridden, so the
+ * flows can run against a local mock identity provider (test/mock-identity-provider.js).
+ */
+
+const list = (value) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+const apiUrl = () => process.env.APP_URL || 'http://localhost:3001';
+
+// Apple wants its client secret as a short-lived JWT signed with the team's private key
+let appleSecret = null;
+const appleClientSecret = () => {
+  if (process.env.APPLE_CLIENT_SECRET) return process.env.APPLE_CLIENT_SECRET;
+  if (!process.env.APPLE_PRIVATE_KEY) return null;
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!appleSecret || appleSecret.expiresAt - now < 60) {
+    const expiresAt = now + 60 * 60;
+    appleSecret = {
+      expiresAt,
+      value: jwt.sign(
+        { iss: process.env.APPLE_TEAM_ID, iat: now, exp: expiresAt, aud: 'https://appleid.apple.com', sub: process.env.APPLE_CLIENT_ID },
+        process.env.APPLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+        { algorithm: 'ES256', keyid: process.env.APPLE_KEY_ID }
+      )
+    };
+  }
+  return appleSecret.value;
+};
+
+const providers = {
+  google: () => ({
+    name: 'google',
+    label: 'Google',
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: () => process.env.GOOGLE_CLIENT_SECRET,
+    // ID tokens from the Android and iOS apps carry their own client IDs
+    audiences: [process.env.GOOGLE_CLIENT_ID, ...list(process.env.GOOGLE_ADDITIONAL_CLIENT_IDS)].filter(Boolean),
+    issuers: list(process.env.GOOGLE_ISSUER || 'https://accounts.google.com,accounts.google.com'),
+    authorizationURL: process.env.GOOGLE_AUTHORIZATION_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenURL: process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+    jwksURL: process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs',
+    callbackURL: process.env.GOOGLE_CALLBACK_URL || `${apiUrl()}/api/v1/auth/social/google/callback`,
+    scope: 'openid email profile'
+  }),
+
+  apple: () => ({
+    name: 'apple',
+    label: 'Apple',
+    clientId: process.env.APPLE_CLIENT_ID,
+    clientSecret: appleClientSecret,
+    // The iOS app signs in with its bundle ID rather than the web services ID
+    audiences: [process.env.APPLE_CLIENT_ID, ...list(process.env.APPLE_ADDITIONAL_CLIENT_IDS)].filter(Boolean),
+    issuers: list(process.env.APPLE_ISSUER || 'https://appleid.apple.com'),
+    authorizationURL: process.env.APPLE_AUTHORIZATION_URL || 'https://appleid.apple.com/auth/authorize',
+    tokenURL: process.env.APPLE_TOKEN_URL || 'https://appleid.apple.com/auth/token',
+    jwksURL: process.env.APPLE_JWKS_URL || 'https://appleid.apple.com/auth/keys',
+    callbackURL: process.env.APPLE_CALLBACK_URL || `${apiUrl()}/api/v1/auth/social/apple/callback`,
+    scope: 'name email',
+    // Apple posts the callback as a form when name or email is requested
+    responseMode: 'form_post'
+  })
+};
+
+const PROVIDERS = Object.keys(providers);
+
+/**
+ * Settings of a provider
+ * @param {string} name - "google" or "apple"
+ * @returns {Object|null} Provider settings, or null when unknown
+ */
+const getProvider = (name) => (providers[name] ? providers[name]() : null);
+
+/**
+ * Providers with a client ID configured
+ * @returns {Array<Object>} Provider settings
+ */
+const enabledProviders = () => PROVIDERS.map(getProvider).filter((provider) => provider.clientId);
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  enabledProviders
+};
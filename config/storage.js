@@ -54,6 +54,20 @@ const storage = {
       visibility: 'public',
     },
 
+    'return-attachments': {
+      driver: 'local',
+      root: `public/Upload/return-attachments`,
+      url: `/uploads/return-attachments`,
+      visibility: 'public',
+    },
+
+    'review-images': {
+      driver: 'local',
+      root: `public/Upload/review-images`,
+      url: `/uploads/review-images`,
+      visibility: 'public',
+    },
+
     s3: {
       driver: 's3',
       key: process.env.AWS_ACCESS_KEY_ID,
@@ -0,0 +1,108 @@
+const AbandonedCartService = require("../services/abandoned-cart.service");
+
+/**
+ * Retrieves abandoned cart recovery statistics for emails sent in a period.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.from] - Start of the period (defaults to 30 days ago)
+ * @param {string} [req.query.to] - End of the period (defaults to now)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the statistics
+ * @api {get} /api/v1/admin/abandoned-carts/stats Get Abandoned Cart Stats
+ * @private admin
+ * @example
+ * // Request
+ * GET /api/v1/admin/abandoned-carts/stats?from=2025-12-01
+ * Authorization: Bearer <admin_token>
+ *
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "period": { "from": "2025-12-01T00:00:00.000Z", "to": "2025-12-17T09:00:00.000Z" },
+ *     "abandoned_carts": 42,
+ *     "emails_sent": 120,
+ *     "recovered_carts": 18,
+ *     "conversion_rate": 15,
+ *     "abandoned_value": 2450000,
+ *     "recovered_revenue": 395000
+ *   }
+ * }
+ */
+const getAbandonedCartStats = async (req, res, next) => {
+  try {
+    const stats = await AbandonedCartService.getStats({
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: stats,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the cart recovery emails sent.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - emailed or recovered
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with recoveries and pagination
+ * @api {get} /api/v1/admin/abandoned-carts Get Cart Recoveries
+ * @private admin
+ */
+const getCartRecoveries = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const result = await AbandonedCartService.list({
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Emails abandoned carts now instead of waiting for the scheduled run.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with how many carts were found and emailed
+ * @api {post} /api/v1/admin/abandoned-carts/run Run Abandoned Cart Check
+ * @private admin
+ */
+const runAbandonedCartCheck = async (req, res, next) => {
+  try {
+    const result = await AbandonedCartService.run();
+
+    res.status(200).json({
+      status: "success",
+      message: `${result.emailed} abandoned cart email(s) sent`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAbandonedCartStats,
+  getCartRecoveries,
+  runAbandonedCartCheck,
+};
@@ -4,6 +4,11 @@ const passport = require('passport');
 const { User, Role, Permission } = require("../models");
 const { Op } = require("sequelize");
 const AppError = require("../utils/appError");
+const TwoFactorService = require("../services/two-factor.service");
+const SessionService = require("../services/session.service");
+const SocialAuthService = require("../services/social-auth.service");
+const LoginSecurityService = require("../services/login-security.service");
+const { getProvider, enabledProviders } = require("../config/social-auth");
 const { sendWelcomeEmail, sendPasswordResetEmail } = require("../services/email.service"); // Assuming sendPasswordResetEmail is here
 const logger = require("../utils/logger");
 const rateLimit = require('express-rate-limit'); // Import rate-limiter
@@ -22,34 +27,98 @@ const hashVerificationCode =  (code) => {
   return bcrypt.hashSync(code, 10);
 };
 
-// Generate JWT token
-const signToken = (id) => {
+// Generate a short-lived JWT access token for a session. iat keeps milliseconds so a token
+// issued right after a full revocation is not mistaken for one issued before it.
+const signToken = (id, sessionId) => {
   if (!process.env.JWT_SECRET) {
     throw new Error("JWT_SECRET is not defined in environment variables");
   }
 
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "90d",
+  return jwt.sign({ id, sid: sessionId, iat: Date.now() / 1000 }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || "15m",
     algorithm: "HS256", // Explicitly specify the algorithm
     issuer: process.env.APP_NAME || "Stylay",
     audience: "user",
   });
 };
 
+// Device details stored with a session
+const clientInfo = (req) => ({
+  userAgent: req.get("user-agent"),
+  ip: req.ip,
+});
+
+// Start a session for the device making the request: access token plus refresh token
+const issueTokens = async (userId, req) => {
+  const { session, refreshToken } = await SessionService.create(userId, clientInfo(req));
+
+  return {
+    token: signToken(userId, session.id),
+    refresh_token: refreshToken,
+    refresh_token_expires_at: session.expires_at,
+  };
+};
+
 // Create and send token
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user.id);
+const createSendToken = async (user, statusCode, res, extra = {}) => {
+  const tokens = await issueTokens(user.id, res.req);
 
-  // Remove password from output
+  // Remove password and two-factor secrets from output
   user.password = undefined;
+  user.two_factor_secret = undefined;
+  user.two_factor_pending_secret = undefined;
+  user.two_factor_recovery_codes = undefined;
+  user.two_factor_last_step = undefined;
 
   res.status(statusCode).json({
     status: "success",
-    token,
+    ...tokens,
+    ...extra,
     data: user,
   });
 };
 
+// Record a successful login (alerting the user to a new device), then send the tokens
+const finishLogin = async (user, res, method, extra = {}) => {
+  await LoginSecurityService.recordSuccess(user, { client: clientInfo(res.req), method });
+  await createSendToken(user, 200, res, extra);
+};
+
+// Finish a login: send the token, or ask for the second factor when the user has two-factor
+// authentication (or must set it up first because their role requires it)
+const sendLoginResponse = async (user, res, method, extra = {}) => {
+  const secondStep = await TwoFactorService.loginStep(user);
+  if (secondStep) {
+    const enroll = secondStep.step === TwoFactorService.PURPOSES.enroll;
+    res.status(200).json({
+      status: "success",
+      message: enroll
+        ? "Your role requires two-factor authentication. Set it up to finish logging in."
+        : "Enter the code from your authenticator app to finish logging in.",
+      data: {
+        two_factor_required: !enroll,
+        two_factor_setup_required: enroll,
+        challenge_token: secondStep.challenge_token,
+        expires_in: secondStep.expires_in,
+      },
+    });
+    return;
+  }
+
+  await finishLogin(user, res, method, extra);
+};
+
+// Load a user with their roles, as the login response returns them
+const findUserWithRoles = (id) =>
+  User.findByPk(id, {
+    include: [{
+      model: Role,
+      as: "roles",
+      through: { attributes: [] },
+      attributes: ["id", "name", "description"],
+    }],
+  });
+
 // Rate limiting configurations
 const loginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -81,6 +150,7 @@ const passwordResetLimiter = rateLimit({
  * @returns {Object} Success response with JWT token and user data
  * @returns {Object} res.body.status - Response status ("success")
  * @returns {string} res.body.token - JWT authentication token
+ * @returns {string} res.body.refresh_token - Refresh token for /auth/refresh-token
  * @returns {Object} res.body.data - User data object
  * @throws {AppError} 400 - Email already registered or phone already in use
  * @throws {AppError} 500 - Server error during registration
@@ -171,7 +241,7 @@ exports.register = async (req, res, next) => {
       // Don't fail the registration if email sending fails
     }
 
-    createSendToken(newUser, 201, res);
+    await createSendToken(newUser, 201, res);
   } catch (err) {
     logger.error(`Error in register: ${err.message}`, { error: err });
     next(new AppError("An error occurred during registration. Please try again.", 500));
@@ -193,6 +263,7 @@ exports.register = async (req, res, next) => {
  * @returns {Object} res.body.status - Response status ("success")
  * @returns {string} res.body.message - Success message
  * @returns {string} res.body.token - JWT authentication token
+ * @returns {string} res.body.refresh_token - Refresh token for /auth/refresh-token
  * @returns {Object} res.body.data - Verified user data with roles
  * @throws {AppError} 400 - Missing email/code, invalid/expired code, or already verified
  * @throws {AppError} 404 - User not found
@@ -294,8 +365,8 @@ exports.verifyEmail = async (req, res, next) => {
     // Commit the transaction
     await transaction.commit();
 
-    // Generate JWT token
-    const token = signToken(user.id);
+    // Start a session: access token and refresh token
+    const tokens = await issueTokens(user.id, req);
 
     // Remove sensitive data from output
     user.password = undefined;
@@ -306,7 +377,7 @@ exports.verifyEmail = async (req, res, next) => {
     res.status(200).json({
       status: "success",
       message: "Email verified successfully",
-      token,
+      ...tokens,
       data: {
         id: user.id,
         first_name: user.first_name,
@@ -349,7 +420,11 @@ exports.verifyEmail = async (req, res, next) => {
 /**
  * Authenticate user login using Passport local strategy
  * Validates user credentials and returns JWT token if authentication successful.
- * Requires email verification before allowing login.
+ * Requires email verification before allowing login. Users with two-factor authentication
+ * (or whose role requires it) get a short-lived challenge token instead of a JWT, to use
+ * with /auth/2fa/verify (or /auth/2fa/setup and /auth/2fa/enable).
+ * Every attempt is recorded in the login history. Repeated wrong passwords lock the account
+ * for a while, longer after each lockout; logging in from a new device emails the user.
  *
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Request.body} req.body - Request body
@@ -359,10 +434,13 @@ exports.verifyEmail = async (req, res, next) => {
  * @param {import('express').NextFunction} next - Express next middleware function
  * @returns {Object} Success response with JWT token and user data
  * @returns {Object} res.body.status - Response status ("success")
- * @returns {string} res.body.token - JWT authentication token
- * @returns {Object} res.body.data - User data object
+ * @returns {string} res.body.token - JWT authentication token (when no second step is needed)
+ * @returns {string} res.body.refresh_token - Refresh token for /auth/refresh-token
+ * @returns {Object} res.body.data - User data object, or the second step:
+ *   { two_factor_required, two_factor_setup_required, challenge_token, expires_in }
  * @throws {AppError} 400 - Missing email or password
  * @throws {AppError} 401 - Invalid credentials or unverified email
+ * @throws {AppError} 423 - Account locked after too many failed attempts
  * @throws {AppError} 500 - Authentication error
  * @api {post} /api/v1/auth/login Login user with Passport local strategy
  * @example
@@ -399,8 +477,8 @@ exports.login = async (req, res, next) => {
             return next(new AppError("Please verify your email address first", 401));
           }
 
-          // 4) Send token to client
-          createSendToken(user, 200, res);
+          // 4) Send token to client, or ask for the second factor
+          await sendLoginResponse(user, res, "password");
         } catch (err) {
           logger.error(`Error in login passport authenticate callback: ${err.message}`, { error: err });
           next(new AppError("An error occurred during login. Please try again.", 500));
@@ -752,6 +830,7 @@ exports.resendVerificationCode = async (req, res, next) => {
  * @returns {Object} Success response with new JWT token
  * @returns {Object} res.body.status - Response status ("success")
  * @returns {string} res.body.token - New JWT authentication token
+ * @returns {string} res.body.refresh_token - Refresh token for /auth/refresh-token
  * @returns {Object} res.body.data - Updated user data
  * @throws {AppError} 400 - Phone change pending (blocks password update)
  * @throws {AppError} 401 - Current password is incorrect
@@ -777,7 +856,11 @@ exports.updatePassword = async (req, res, next) => {
       return next(new AppError("You cannot change your password while a phone number change is pending verification. Please wait for admin approval or cancel the phone change request.", 400));
     }
 
-    // 3) Check if POSTed current password is correct
+    // 3) Check if POSTed current password is correct. Users who signed up with Google or
+    // Apple have none yet and set one through the password reset flow.
+    if (!user.password) {
+      return next(new AppError("Your account has no password yet. Use forgot password to set one.", 400));
+    }
     if (!(await bcrypt.compare(currentPassword, user.password))) {
       return next(new AppError("Your current password is wrong.", 401));
     }
@@ -787,8 +870,11 @@ exports.updatePassword = async (req, res, next) => {
     user.password_changed_at = new Date();
     await user.save();
 
-    // 5) Log user in, send JWT
-    createSendToken(user, 200, res);
+    // 5) Sign out every device, so a stolen password or token stops working
+    await SessionService.revokeSessions(user.id, { reason: "password_changed" });
+
+    // 6) Log user in, send JWT
+    await createSendToken(user, 200, res);
   } catch (err) {
     logger.error(`Error updating password: ${err.message}`, { userId: req.user?.id, error: err });
     // Ensure a user-friendly error is passed to the next middleware
@@ -1003,7 +1089,7 @@ exports.verifyResetToken = async (req, res, next) => {
 
 /**
  * Logout user by clearing authentication cookies and blacklisting JWT token
- * Clears JWT cookies and adds the JWT token to blacklist to prevent reuse.
+ * Clears JWT cookies, adds the JWT token to blacklist to prevent reuse and ends its session.
  * Always returns success to prevent user being stuck in logged-in state.
  *
  * @param {import('express').Request} req - Express request object (may include JWT cookie)
@@ -1039,6 +1125,12 @@ exports.logout = async (req, res) => {
       
       // Add token to blacklist
       await tokenBlacklistService.blacklistToken(token);
+
+      // End the token's session, so its refresh token stops working too
+      const decoded = jwt.decode(token);
+      if (decoded?.sid) {
+        await SessionService.revoke(decoded.id, decoded.sid, "logout");
+      }
     }
 
     // If using token-based auth, the client should remove the token
@@ -1143,9 +1235,15 @@ exports.resetPassword = async (req, res, next) => {
     // Clear the reset token and expiration (mark as used)
     user.password_reset_token = null;
     user.password_reset_expires = null;
+
+    // Resetting proves the user owns the email, so lift any lockout
+    Object.assign(user, LoginSecurityService.clearedFields());
     
     await user.save();
 
+    // Sign out every device
+    await SessionService.revokeSessions(user.id, { reason: "password_reset" });
+
     // Log successful password reset
     logger.info(`Password reset successfully for user ${user.id}`);
 
@@ -1718,7 +1816,7 @@ exports.registerAdmin = async (req, res, next) => {
     logger.info(`Admin user ${user.id} created successfully`);
 
     // Generate token and send response
-    createSendToken(user, 201, res);
+    await createSendToken(user, 201, res);
   } catch (error) {
     if (transaction) {
       await transaction.rollback(); // Rollback transaction if any error occurs
@@ -1732,3 +1830,605 @@ exports.registerAdmin = async (req, res, next) => {
     }
   }
 };
+
+/**
+ * Finish logging in with two-factor authentication
+ * Checks the code from the user's authenticator app (or one of their recovery codes) against
+ * the challenge token returned by login, then issues the JWT. Each code works once, and wrong
+ * codes count towards locking the account like wrong passwords.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Request.body} req.body - Request body
+ * @param {string} req.body.challenge_token - Challenge token from the login response (required)
+ * @param {string} [req.body.code] - 6-digit code from the authenticator app
+ * @param {string} [req.body.recovery_code] - Unused recovery code, instead of a code
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with JWT token and user data
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {string} res.body.token - JWT authentication token
+ * @returns {string} res.body.refresh_token - Refresh token for /auth/refresh-token
+ * @returns {Object} res.body.data - User data object
+ * @throws {AppError} 401 - Expired challenge or invalid code
+ * @throws {AppError} 423 - Account locked after too many failed attempts
+ * @api {post} /api/v1/auth/2fa/verify Verify two-factor code
+ * @public
+ * @example
+ * POST /api/v1/auth/2fa/verify
+ * {
+ *   "challenge_token": "eyJhbGciOiJIUzI1NiIs...",
+ *   "code": "492039"
+ * }
+ */
+exports.verifyTwoFactor = async (req, res, next) => {
+  loginLimiter(req, res, async () => {
+    try {
+      const { challenge_token, code, recovery_code } = req.body;
+
+      const user = await TwoFactorService.completeLogin(
+        challenge_token,
+        { code, recoveryCode: recovery_code },
+        clientInfo(req)
+      );
+
+      await finishLogin(await findUserWithRoles(user.id), res, "two_factor");
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+/**
+ * Get the authenticated user's two-factor status
+ *
+ * @param {import('express').Request} req - Express request object (authenticated user required)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the two-factor status
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {Object} res.body.data - { enabled, enabled_at, required, recovery_codes_remaining }
+ * @api {get} /api/v1/auth/2fa Get two-factor status
+ * @private Requires authentication
+ * @example
+ * GET /api/v1/auth/2fa
+ * Authorization: Bearer <jwt_token>
+ */
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      data: await TwoFactorService.status(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ * Generates a secret and its otpauth:// provisioning URI, which the client shows as a QR code
+ * for the authenticator app. Two-factor stays off until /auth/2fa/enable confirms a code.
+ * Users whose role requires two-factor call this during login with their challenge token.
+ *
+ * @param {import('express').Request} req - Express request object (authenticated user, or challenge token)
+ * @param {import('express').Request.body} req.body - Request body
+ * @param {string} [req.body.challenge_token] - Setup challenge token from login, instead of a JWT
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the secret and provisioning URI
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {Object} res.body.data - { secret, otpauth_url }
+ * @throws {AppError} 400 - Two-factor authentication already enabled
+ * @throws {AppError} 401 - Not authenticated or expired challenge
+ * @api {post} /api/v1/auth/2fa/setup Start two-factor setup
+ * @private Requires authentication or a setup challenge token
+ * @example
+ * POST /api/v1/auth/2fa/setup
+ * Authorization: Bearer <jwt_token>
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    const data = await TwoFactorService.setup(user);
+
+    res.status(200).json({
+      status: "success",
+      message: "Scan the QR code with your authenticator app, then confirm the code it shows.",
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Enable two-factor authentication
+ * Confirms enrollment with the first code from the authenticator app and returns the recovery
+ * codes, which are shown only once. When called with a setup challenge token during login, the
+ * JWT is issued too.
+ *
+ * @param {import('express').Request} req - Express request object (authenticated user, or challenge token)
+ * @param {import('express').Request.body} req.body - Request body
+ * @param {string} req.body.code - 6-digit code from the authenticator app (required)
+ * @param {string} [req.body.challenge_token] - Setup challenge token from login, instead of a JWT
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the recovery codes
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {Array<string>} res.body.recovery_codes - Single-use recovery codes
+ * @returns {string} [res.body.token] - JWT authentication token, when finishing a login
+ * @throws {AppError} 400 - Setup not started or already enabled
+ * @throws {AppError} 401 - Invalid code, not authenticated or expired challenge
+ * @api {post} /api/v1/auth/2fa/enable Enable two-factor authentication
+ * @private Requires authentication or a setup challenge token
+ * @example
+ * POST /api/v1/auth/2fa/enable
+ * Authorization: Bearer <jwt_token>
+ * {
+ *   "code": "492039"
+ * }
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    const recoveryCodes = await TwoFactorService.enable(user, req.body.code);
+
+    logger.info(`Two-factor authentication enabled for user ${user.id}`);
+
+    const message = "Two-factor authentication enabled. Store your recovery codes somewhere safe.";
+
+    if (req.twoFactorChallenge) {
+      await finishLogin(await findUserWithRoles(user.id), res, "two_factor", {
+        message,
+        recovery_codes: recoveryCodes,
+      });
+      return;
+    }
+
+    res.status(200).json({
+      status: "success",
+      message,
+      recovery_codes: recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ * Requires the password and a code (or recovery code). Every token the user holds is revoked,
+ * so they log in again on all devices. Not allowed when the user's role requires two-factor.
+ *
+ * @param {import('express').Request} req - Express request object (authenticated user required)
+ * @param {import('express').Request.body} req.body - Request body
+ * @param {string} req.body.password - Current password (required)
+ * @param {string} [req.body.code] - 6-digit code from the authenticator app
+ * @param {string} [req.body.recovery_code] - Unused recovery code, instead of a code
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {string} res.body.message - Confirmation message
+ * @throws {AppError} 400 - Two-factor authentication not enabled
+ * @throws {AppError} 401 - Wrong password or invalid code
+ * @throws {AppError} 403 - Role requires two-factor authentication
+ * @api {post} /api/v1/auth/2fa/disable Disable two-factor authentication
+ * @private Requires authentication
+ * @example
+ * POST /api/v1/auth/2fa/disable
+ * Authorization: Bearer <jwt_token>
+ * {
+ *   "password": "securepass123",
+ *   "code": "492039"
+ * }
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+    const user = await User.findByPk(req.user.id);
+
+    await TwoFactorService.disable(user, { password, code, recoveryCode: recovery_code });
+
+    logger.info(`Two-factor authentication disabled for user ${user.id}`);
+
+    res.status(200).json({
+      status: "success",
+      message: "Two-factor authentication disabled. Please log in again.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the authenticated user's recovery codes
+ * The old codes stop working.
+ *
+ * @param {import('express').Request} req - Express request object (authenticated user required)
+ * @param {import('express').Request.body} req.body - Request body
+ * @param {string} req.body.code - 6-digit code from the authenticator app (required)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the new recovery codes
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {Array<string>} res.body.recovery_codes - Single-use recovery codes
+ * @throws {AppError} 400 - Two-factor authentication not enabled
+ * @throws {AppError} 401 - Invalid code
+ * @api {post} /api/v1/auth/2fa/recovery-codes Regenerate recovery codes
+ * @private Requires authentication
+ * @example
+ * POST /api/v1/auth/2fa/recovery-codes
+ * Authorization: Bearer <jwt_token>
+ * {
+ *   "code": "492039"
+ * }
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(user, req.body.code);
+
+    res.status(200).json({
+      status: "success",
+      message: "New recovery codes generated. Your old codes no longer work.",
+      recovery_codes: recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * Each refresh token works once. Presenting one that was already exchanged signs the user out
+ * of every device and revokes their access tokens, since it means the token was copied.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Request.body} req.body - Request body
+ * @param {string} req.body.refresh_token - Refresh token from login or the last refresh (required)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the new tokens
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {string} res.body.token - New JWT access token
+ * @returns {string} res.body.refresh_token - New refresh token; the old one no longer works
+ * @returns {Date} res.body.refresh_token_expires_at - When the new refresh token expires
+ * @throws {AppError} 401 - Unknown, expired or reused refresh token, or session signed out
+ * @api {post} /api/v1/auth/refresh-token Refresh access token
+ * @public
+ * @example
+ * POST /api/v1/auth/refresh-token
+ * {
+ *   "refresh_token": "9f2c4e..."
+ * }
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { session, refreshToken } = await SessionService.rotate(req.body.refresh_token, clientInfo(req));
+
+    res.status(200).json({
+      status: "success",
+      token: signToken(session.user_id, session.id),
+      refresh_token: refreshToken,
+      refresh_token_expires_at: session.expires_at,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the authenticated user's active sessions (signed-in devices)
+ *
+ * @param {import('express').Request} req - Express request object (authenticated user required)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the sessions, most recently seen first
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {Array<Object>} res.body.data - Sessions: id, device, user_agent, ip_address, last_seen_at,
+ *   created_at, expires_at, is_current
+ * @api {get} /api/v1/auth/sessions List active sessions
+ * @private Requires authentication
+ * @example
+ * GET /api/v1/auth/sessions
+ * Authorization: Bearer <jwt_token>
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await SessionService.list(req.user.id, req.sessionId);
+
+    res.status(200).json({
+      status: "success",
+      results: sessions.length,
+      data: sessions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out one of the authenticated user's sessions
+ * Its access token stops working immediately and its refresh token can no longer be used.
+ *
+ * @param {import('express').Request} req - Express request object (authenticated user required)
+ * @param {import('express').Request.params} req.params - Route parameters
+ * @param {string} req.params.id - Session ID (required)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {string} res.body.message - Confirmation message
+ * @throws {AppError} 404 - Session not found or already signed out
+ * @api {delete} /api/v1/auth/sessions/:id Sign out a session
+ * @private Requires authentication
+ * @example
+ * DELETE /api/v1/auth/sessions/12
+ * Authorization: Bearer <jwt_token>
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    await SessionService.revoke(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Session signed out",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out every session of the authenticated user except the current one
+ *
+ * @param {import('express').Request} req - Express request object (authenticated user required)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {string} res.body.message - Confirmation message
+ * @returns {Object} res.body.data - { revoked } number of sessions signed out
+ * @api {delete} /api/v1/auth/sessions Sign out all other sessions
+ * @private Requires authentication
+ * @example
+ * DELETE /api/v1/auth/sessions
+ * Authorization: Bearer <jwt_token>
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await SessionService.revokeSessions(req.user.id, {
+      exceptSessionId: req.sessionId,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "All other sessions signed out",
+      data: { revoked },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign in or sign up with Google or Apple
+ * Handles every step of the provider sign-in:
+ * - GET /social/:provider redirects the browser to the provider.
+ * - GET or POST /social/:provider/callback is where the provider sends the user back with a
+ *   code (Apple posts a form).
+ * - POST /social/:provider/token takes an ID token obtained by the mobile or web SDK.
+ * New users get a customer account with a verified email; existing users with the same verified
+ * email get the provider linked. Users with two-factor authentication still need their code.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Request.params} req.params - Route parameters
+ * @param {string} req.params.provider - "google" or "apple"
+ * @param {import('express').Request.body} req.body - Request body
+ * @param {string} [req.body.id_token] - ID token from the provider SDK (token endpoint)
+ * @param {string} [req.body.nonce] - Nonce the ID token was requested with
+ * @param {string} [req.body.code] - Authorization code (Apple callback)
+ * @param {string} [req.body.state] - State from the sign-in redirect (callback)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with JWT token and user data, like login
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {string} res.body.token - JWT authentication token (when no second step is needed)
+ * @returns {string} res.body.refresh_token - Refresh token for /auth/refresh-token
+ * @returns {Object} res.body.data - User data object, or the two-factor step
+ * @throws {AppError} 400 - Provider did not share a verified email
+ * @throws {AppError} 401 - Invalid ID token, code or state
+ * @throws {AppError} 409 - An unverified account already uses the email
+ * @api {post} /api/v1/auth/social/:provider/token Sign in with a provider ID token
+ * @public
+ * @example
+ * POST /api/v1/auth/social/google/token
+ * {
+ *   "id_token": "eyJhbGciOiJSUzI1NiIs..."
+ * }
+ */
+exports.socialLogin = async (req, res, next) => {
+  loginLimiter(req, res, async () => {
+    passport.authenticate(req.params.provider, { session: false }, async (err, user, info) => {
+      try {
+        if (err) {
+          return next(err);
+        }
+
+        if (!user) {
+          return next(new AppError(info?.message || "Authentication failed", 401));
+        }
+
+        const extra = info?.created ? { message: "Account created" } : {};
+        await sendLoginResponse(await findUserWithRoles(user.id), res, req.params.provider, extra);
+      } catch (error) {
+        next(error);
+      }
+    })(req, res, next);
+  });
+};
+
+/**
+ * List the sign-in providers available and those linked to the authenticated user
+ *
+ * @param {import('express').Request} req - Express request object (authenticated user required)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {Object} res.body.data - { providers, linked, has_password }
+ * @api {get} /api/v1/auth/social List linked providers
+ * @private Requires authentication
+ * @example
+ * GET /api/v1/auth/social
+ * Authorization: Bearer <jwt_token>
+ */
+exports.getSocialAccounts = async (req, res, next) => {
+  try {
+    const [linked, user] = await Promise.all([
+      SocialAuthService.list(req.user.id),
+      User.findByPk(req.user.id, { attributes: ["id", "password"] }),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        providers: enabledProviders().map(({ name, label }) => ({ name, label })),
+        linked,
+        has_password: Boolean(user && user.password),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Link a Google or Apple account to the authenticated user
+ * Takes an ID token obtained by the provider SDK.
+ *
+ * @param {import('express').Request} req - Express request object (authenticated user required)
+ * @param {import('express').Request.params} req.params - Route parameters
+ * @param {string} req.params.provider - "google" or "apple"
+ * @param {import('express').Request.body} req.body - Request body
+ * @param {string} req.body.id_token - ID token from the provider SDK (required)
+ * @param {string} [req.body.nonce] - Nonce the ID token was requested with
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the linked providers
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {Array<Object>} res.body.data - Linked providers
+ * @throws {AppError} 401 - Invalid ID token
+ * @throws {AppError} 409 - Provider account linked to another user, or provider already linked
+ * @api {post} /api/v1/auth/social/:provider/link Link a provider
+ * @private Requires authentication
+ * @example
+ * POST /api/v1/auth/social/apple/link
+ * Authorization: Bearer <jwt_token>
+ * {
+ *   "id_token": "eyJraWQiOiJXNldjT0tCIiwiYWxnIjoiUlMyNTYifQ..."
+ * }
+ */
+exports.linkSocialAccount = async (req, res, next) => {
+  passport.authenticate(req.params.provider, { session: false }, async (err, user, info) => {
+    try {
+      if (err) {
+        return next(err);
+      }
+
+      if (!user) {
+        return next(new AppError(info?.message || "Authentication failed", 401));
+      }
+
+      res.status(200).json({
+        status: "success",
+        message: `${getProvider(req.params.provider).label} account linked`,
+        data: await SocialAuthService.list(req.user.id),
+      });
+    } catch (error) {
+      next(error);
+    }
+  })(req, res, next);
+};
+
+/**
+ * Unlink a Google or Apple account from the authenticated user
+ * Not allowed when it is the user's only way to sign in.
+ *
+ * @param {import('express').Request} req - Express request object (authenticated user required)
+ * @param {import('express').Request.params} req.params - Route parameters
+ * @param {string} req.params.provider - "google" or "apple"
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {string} res.body.message - Confirmation message
+ * @throws {AppError} 400 - Only way to sign in
+ * @throws {AppError} 404 - Provider not linked
+ * @api {delete} /api/v1/auth/social/:provider Unlink a provider
+ * @private Requires authentication
+ * @example
+ * DELETE /api/v1/auth/social/google
+ * Authorization: Bearer <jwt_token>
+ */
+exports.unlinkSocialAccount = async (req, res, next) => {
+  try {
+    await SocialAuthService.unlink(req.user.id, req.params.provider);
+
+    res.status(200).json({
+      status: "success",
+      message: `${getProvider(req.params.provider).label} account unlinked`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the authenticated user's login history
+ * Every login attempt on the account, newest first, so users can spot logins they don't
+ * recognize and failed attempts by someone else.
+ *
+ * @param {import('express').Request} req - Express request object (authenticated user required)
+ * @param {import('express').Request.query} req.query - Query parameters
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Attempts per page (max 100)
+ * @param {boolean} [req.query.success] - Only successful (true) or failed (false) attempts
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the attempts
+ * @returns {Object} res.body.status - Response status ("success")
+ * @returns {Array<Object>} res.body.data - Attempts: id, method, success, failure_reason,
+ *   ip_address, device, new_device, created_at
+ * @api {get} /api/v1/auth/login-history Get login history
+ * @private Requires authentication
+ * @example
+ * GET /api/v1/auth/login-history?success=false
+ * Authorization: Bearer <jwt_token>
+ */
+exports.getLoginHistory = async (req, res, next) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const { count, rows: attempts } = await LoginSecurityService.history(req.user.id, {
+      page,
+      limit,
+      success: req.query.success,
+    });
+
+    res.status(200).json({
+      status: "success",
+      results: attempts.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      data: attempts,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,7 +1,84 @@
-const { Cart, CartItem, Product, ProductVariant, User } = require("../models");
+const { Cart, CartItem, Product, ProductVariant, User, Coupon, Address } = require("../models");
+const CouponService = require("../services/coupon.service");
+const TaxService = require("../services/tax.service");
 const AppError = require("../utils/appError");
 const { Op } = require("sequelize");
 
+/**
+ * Work out the discount of the coupon applied to a cart.
+ * Coupons are re-validated on every call, so one that expired or ran out since it was
+ * applied gives no discount and reports why instead of failing the request.
+ * @param {Object} cart - Plain cart from getFullCart()
+ * @param {number} userId - Cart owner
+ * @returns {Promise<Object>} { discount, allocations, coupon } where coupon is null when none is applied
+ * @private
+ */
+const getCartCouponDiscount = async (cart, userId) => {
+  const noDiscount = { discount: 0, allocations: (cart.items || []).map(() => 0), coupon: null };
+  if (!cart.coupon_id || !userId) {
+    return noDiscount;
+  }
+
+  const coupon = await Coupon.findByPk(cart.coupon_id);
+  if (!coupon) {
+    return noDiscount;
+  }
+
+  try {
+    const { discount, allocations } = await CouponService.evaluate(coupon, {
+      userId,
+      items: (cart.items || []).map((item) => ({
+        productId: item.product_id,
+        quantity: item.quantity,
+        price: parseFloat(item.total_price) / item.quantity,
+      })),
+    });
+
+    return {
+      discount,
+      allocations,
+      coupon: { code: coupon.code, type: coupon.type, discount, valid: true },
+    };
+  } catch (error) {
+    if (!(error instanceof AppError)) throw error;
+
+    return {
+      ...noDiscount,
+      coupon: { code: coupon.code, type: coupon.type, discount: 0, valid: false, message: error.message },
+    };
+  }
+};
+
+/**
+ * Estimate the tax on a cart.
+ * Uses the requested address, else the user's default address; without either only tax rules
+ * that apply everywhere are used. Orders are taxed again for their actual delivery address.
+ * @param {Object} cart - Plain cart from getFullCart()
+ * @param {number} [userId] - Cart owner
+ * @param {number} [addressId] - Address to tax for
+ * @param {Array<number>} allocations - Coupon discount on each cart item
+ * @returns {Promise<Object>} Tax breakdown from TaxService.calculate()
+ * @private
+ */
+const getCartTax = async (cart, userId, addressId, allocations) => {
+  let address = null;
+  if (userId) {
+    address = await Address.findOne({
+      where: addressId ? { id: addressId, user_id: userId } : { user_id: userId, is_default: true },
+    });
+  }
+
+  return TaxService.calculate({
+    address,
+    items: (cart.items || []).map((item, index) => ({
+      productId: item.product_id,
+      quantity: item.quantity,
+      price: parseFloat(item.total_price) / item.quantity,
+      discountAmount: allocations[index] || 0,
+    })),
+  });
+};
+
 /**
  * Get or create shopping cart for authenticated user
  * Supports both authenticated users (with user_id) and guest users (with session_id).
@@ -671,6 +748,7 @@ const clearCart = async (req, res, next) => {
  *
  * @param {import('express').Request} req - Express request object
  * @param {string} [req.headers['x-session-id']] - Session ID for guest carts
+ * @param {number} [req.query.address_id] - Address to estimate tax for (defaults to the user's default address)
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next middleware function
  * @returns {Object} Success response with detailed cart summary
@@ -679,7 +757,10 @@ const clearCart = async (req, res, next) => {
  * @returns {number} res.body.data.cartId - Cart ID
  * @returns {number} res.body.data.userId - User ID (null for guest carts)
  * @returns {number} res.body.data.subtotal - Sum of all item subtotals
- * @returns {number} res.body.data.discount - Total discount applied (currently 0.00)
+ * @returns {number} res.body.data.discount - Discount from the applied coupon
+ * @returns {Object|null} res.body.data.coupon - Applied coupon ({ code, type, discount, valid, message? })
+ * @returns {number} res.body.data.tax - Estimated tax
+ * @returns {boolean} res.body.data.tax_inclusive - Whether the tax is already part of the prices
  * @returns {number} res.body.data.total - Final total amount
  * @returns {Array} res.body.data.items - Array of cart items with product details
  * @throws {Error} 500 - Server error during summary calculation
@@ -697,7 +778,9 @@ const clearCart = async (req, res, next) => {
  *     "userId": 123,
  *     "subtotal": 99.99,
  *     "discount": 10.00,
- *     "total": 89.99,
+ *     "tax": 6.75,
+ *     "tax_inclusive": false,
+ *     "total": 96.74,
  *     "items": [
  *       {
  *         "product": { "id": 1, "name": "Item", "price": 50 },
@@ -788,14 +871,18 @@ const getCartSummary = async (req, res, next) => {
     // Calculate summary
     const items = cart.items || [];
     const subtotal = parseFloat(cart.total_amount);
-    const discount = 0.0; // TODO: Calculate discounts based on promotions/coupons
-    const total = subtotal - discount;
+    const { discount, allocations, coupon } = await getCartCouponDiscount(cart, userId);
+    const tax = await getCartTax(cart, userId, req.query?.address_id, allocations);
+    const total = Math.round((subtotal - discount + tax.charged) * 100) / 100;
 
     const summary = {
       cartId: cart.id,
       userId: userId || null,
       subtotal,
       discount,
+      coupon,
+      tax: tax.total,
+      tax_inclusive: tax.inclusive,
       total,
       items: items.map((item) => ({
         product: {
@@ -1082,6 +1169,169 @@ const syncCart = async (req, res, next) => {
   }
 };
 
+/**
+ * Apply a coupon code to the authenticated user's cart
+ * Validates the code against the current cart contents and stores it on the cart so
+ * getCartSummary and checkout pick it up. Replaces any coupon already applied.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - Coupon code
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the applied coupon and resulting totals
+ * @throws {AppError} 400 - When the cart is empty or the coupon cannot be used on it
+ * @throws {AppError} 404 - When the code does not exist
+ * @api {post} /api/v1/cart/coupon Apply coupon
+ * @private Requires authentication
+ * @example
+ * POST /api/v1/cart/coupon
+ * Authorization: Bearer <jwt_token>
+ * { "code": "WELCOME10" }
+ *
+ * // Response:
+ * {
+ *   "status": "success",
+ *   "message": "Coupon applied",
+ *   "data": {
+ *     "coupon": { "code": "WELCOME10", "type": "percentage", "discount": 1500, "valid": true },
+ *     "subtotal": 15000,
+ *     "discount": 1500,
+ *     "total": 13500
+ *   }
+ * }
+ */
+const applyCoupon = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    let cart = await Cart.findOne({ where: { user_id: userId } });
+    if (cart) {
+      cart = await cart.getFullCart();
+    }
+
+    if (!cart || !cart.items || cart.items.length === 0) {
+      return next(new AppError("Add items to your cart before applying a coupon", 400));
+    }
+
+    const coupon = await CouponService.findByCode(req.body.code);
+    const { discount } = await CouponService.evaluate(coupon, {
+      userId,
+      items: cart.items.map((item) => ({
+        productId: item.product_id,
+        quantity: item.quantity,
+        price: parseFloat(item.total_price) / item.quantity,
+      })),
+    });
+
+    await Cart.update({ coupon_id: coupon.id }, { where: { id: cart.id } });
+
+    const subtotal = parseFloat(cart.total_amount);
+
+    res.status(200).json({
+      status: "success",
+      message: "Coupon applied",
+      data: {
+        coupon: { code: coupon.code, type: coupon.type, discount, valid: true },
+        subtotal,
+        discount,
+        total: Math.round((subtotal - discount) * 100) / 100,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove the coupon applied to the authenticated user's cart
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response
+ * @throws {AppError} 404 - When the user has no cart
+ * @api {delete} /api/v1/cart/coupon Remove coupon
+ * @private Requires authentication
+ */
+const removeCoupon = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne({ where: { user_id: req.user.id } });
+
+    if (!cart) {
+      return next(new AppError("Cart not found", 404));
+    }
+
+    await cart.update({ coupon_id: null });
+
+    res.status(200).json({
+      status: "success",
+      message: "Coupon removed",
+      data: { cartId: cart.id },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save the contact email of a guest cart
+ * Guests have no account email, so this is where reminders about a cart they leave behind are
+ * sent. Signed-in customers are always contacted at their account email.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Guest's email address
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response
+ * @throws {AppError} 400 - When the request has no session ID
+ * @throws {AppError} 404 - When the guest has no cart
+ * @api {put} /api/v1/cart/email Set guest cart email
+ * @example
+ * PUT /api/v1/cart/email
+ * X-Session-Id: <session_id>
+ * { "email": "guest@example.com" }
+ *
+ * // Response:
+ * {
+ *   "status": "success",
+ *   "message": "Cart email saved",
+ *   "data": { "cartId": 12 }
+ * }
+ */
+const setCartEmail = async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+    let cart;
+
+    if (userId) {
+      cart = await Cart.findOne({ where: { user_id: userId } });
+    } else {
+      const sessionId = req.session?.id || req.headers["x-session-id"];
+      if (!sessionId) {
+        return next(new AppError("Session ID required for guest cart", 400));
+      }
+
+      cart = await Cart.findOne({ where: { session_id: sessionId } });
+    }
+
+    if (!cart) {
+      return next(new AppError("Cart not found", 404));
+    }
+
+    await cart.update({ email: req.body.email });
+
+    res.status(200).json({
+      status: "success",
+      message: "Cart email saved",
+      data: { cartId: cart.id },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getCart,
   addToCart,
@@ -1090,4 +1340,7 @@ module.exports = {
   clearCart,
   getCartSummary,
   syncCart,
+  applyCoupon,
+  removeCoupon,
+  setCartEmail,
 };
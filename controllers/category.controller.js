@@ -1,4 +1,4 @@
-const { Category, Product, Vendor, Store, ProductImage, Review, sequelize } = require('../models');
+const { Category, Product, Vendor, Store, ProductImage } = require('../models');
 const { Op } = require('sequelize');
 const slugify = require('slugify');
 
@@ -425,7 +425,7 @@ const getCategoryTree = async (req, res) => {
  * @param {number} [req.query.limit=12] - Products per page
  * @param {number} [req.query.minPrice] - Minimum price filter
  * @param {number} [req.query.maxPrice] - Maximum price filter
- * @param {string} [req.query.sortBy='createdAt'] - Sort field (createdAt, price, name)
+ * @param {string} [req.query.sortBy='createdAt'] - Sort field (createdAt, price, name, rating)
  * @param {string} [req.query.sortOrder='DESC'] - Sort order (ASC, DESC)
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next middleware function
@@ -500,7 +500,8 @@ const getCategoryProducts = async (req, res) => {
     const sortFieldMap = {
       'createdAt': 'created_at',
       'price': 'price',
-      'name': 'name'
+      'name': 'name',
+      'rating': 'rating_average'
     };
     let actualSortBy = sortFieldMap[sortBy] || 'created_at';
     const actualSortOrder = sortOrder.toUpperCase();
@@ -520,7 +521,7 @@ const getCategoryProducts = async (req, res) => {
       col: 'id'
     });
 
-    // Get the products with their related data (removed Review include to avoid duplicates; fetch stats separately)
+    // Get the products with their related data
     const products = await Product.findAll({
       where: whereClause,
       include: [
@@ -550,7 +551,7 @@ const getCategoryProducts = async (req, res) => {
       ],
       attributes: [
         'id', 'name', 'slug', 'description', 'price', 'discounted_price',
-        'status', 'created_at', 'category_id', 'thumbnail'
+        'status', 'created_at', 'category_id', 'thumbnail', 'rating_average', 'rating_count'
       ],
       order,
       limit: limitNum,
@@ -559,39 +560,14 @@ const getCategoryProducts = async (req, res) => {
       group: ['Product.id', 'Vendor.id', 'Vendor.store.id', 'Category.id', 'images.id']
     });
 
-    // Get review stats for all products in one query
-    const productIds = products.map(p => p.id);
-    const reviewStats = await Review.findAll({
-      attributes: [
-        'product_id',
-        [sequelize.fn('AVG', sequelize.col('rating')), 'avg_rating'],
-        [sequelize.fn('COUNT', sequelize.col('id')), 'review_count']
-      ],
-      where: {
-        product_id: { [Op.in]: productIds }
-      },
-      group: ['product_id'],
-      raw: true
-    });
-
-    // Create a map of product_id to review stats
-    const reviewStatsMap = reviewStats.reduce((acc, stat) => {
-      acc[stat.product_id] = {
-        average_rating: parseFloat(stat.avg_rating) || 0,
-        review_count: parseInt(stat.review_count) || 0
-      };
-      return acc;
-    }, {});
-
-    // Add review stats and category info to each product
+    // Add review stats (kept on the product by RatingService) and category info to each product
     const productsWithReviews = products.map(product => {
-      const stats = reviewStatsMap[product.id] || { average_rating: 0, review_count: 0 };
-      const productData = product.get({ plain: true });
-      
+      const { rating_average, rating_count, ...productData } = product.get({ plain: true });
+
       return {
         ...productData,
-        average_rating: stats.average_rating,
-        review_count: stats.review_count,
+        average_rating: parseFloat(rating_average) || 0,
+        review_count: rating_count || 0,
         category: {
           id: product.Category.id,
           name: product.Category.name,
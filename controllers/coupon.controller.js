@@ -0,0 +1,214 @@
+const { Vendor } = require("../models");
+const CouponService = require("../services/coupon.service");
+const AppError = require("../utils/appError");
+
+/**
+ * Vendor scope for coupon management: admins manage every coupon, vendors only their own
+ * @private
+ */
+const getOwnerScope = async (req) => {
+  if (req.user.roles && req.user.roles.some((role) => role.name === "admin")) {
+    return undefined;
+  }
+
+  const vendor = await Vendor.findOne({ where: { user_id: req.user.id }, attributes: ["id"] });
+  if (!vendor) {
+    throw new AppError("Vendor not found", 404);
+  }
+  return vendor.id;
+};
+
+/**
+ * Lists coupons. Vendors only see their own coupons.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {boolean} [req.query.is_active] - Filter by active flag
+ * @param {string} [req.query.search] - Match part of the code
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with coupons and pagination
+ * @api {get} /api/v1/coupons Get Vendor Coupons
+ * @api {get} /api/v1/admin/coupons Get All Coupons
+ * @private vendor, admin
+ */
+const getCoupons = async (req, res, next) => {
+  try {
+    const { is_active, search, page = 1, limit = 20 } = req.query;
+
+    const result = await CouponService.list({
+      vendorId: await getOwnerScope(req),
+      isActive: is_active,
+      search,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a coupon.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Coupon ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with coupon details
+ * @throws {AppError} 404 - When coupon not found
+ * @api {get} /api/v1/coupons/:id Get Vendor Coupon
+ * @api {get} /api/v1/admin/coupons/:id Get Coupon
+ * @private vendor, admin
+ */
+const getCoupon = async (req, res, next) => {
+  try {
+    const coupon = await CouponService.findById(req.params.id, {
+      vendorId: await getOwnerScope(req),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: CouponService.format(coupon),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Creates a coupon. Coupons created by vendors only discount that vendor's products;
+ * admins create platform-wide coupons, or vendor-scoped ones by passing vendor_id.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - Unique code (stored upper-cased)
+ * @param {string} req.body.type - percentage, fixed_amount or free_shipping
+ * @param {number} [req.body.value] - Percentage (0-100) or fixed amount
+ * @param {number} [req.body.max_discount_amount] - Cap for percentage discounts
+ * @param {number} [req.body.min_order_amount=0] - Minimum basket subtotal
+ * @param {number} [req.body.usage_limit] - Total redemptions allowed
+ * @param {number} [req.body.usage_limit_per_user] - Redemptions allowed per customer
+ * @param {string} [req.body.starts_at] - Start of the validity window
+ * @param {string} [req.body.expires_at] - End of the validity window
+ * @param {Array<number>} [req.body.product_ids] - Only discount these products
+ * @param {Array<number>} [req.body.category_ids] - Only discount products in these categories
+ * @param {Array<number>} [req.body.vendor_ids] - Only discount products of these vendors (admin only)
+ * @param {number} [req.body.vendor_id] - Owning vendor (admin only)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the created coupon
+ * @throws {AppError} 400 - When the value does not suit the coupon type
+ * @throws {AppError} 409 - When the code is already taken
+ * @api {post} /api/v1/coupons Create Vendor Coupon
+ * @api {post} /api/v1/admin/coupons Create Coupon
+ * @private vendor, admin
+ * @example
+ * // Request
+ * POST /api/v1/admin/coupons
+ * Authorization: Bearer <admin_token>
+ * {
+ *   "code": "WELCOME10",
+ *   "type": "percentage",
+ *   "value": 10,
+ *   "max_discount_amount": 5000,
+ *   "usage_limit_per_user": 1,
+ *   "expires_at": "2026-01-31T23:59:59.000Z"
+ * }
+ *
+ * // Success Response (201)
+ * {
+ *   "status": "success",
+ *   "message": "Coupon created",
+ *   "data": { "id": 1, "code": "WELCOME10", "type": "percentage", "value": 10, "times_used": 0, ... }
+ * }
+ */
+const createCoupon = async (req, res, next) => {
+  try {
+    const coupon = await CouponService.createCoupon(req.body, {
+      createdBy: req.user.id,
+      vendorId: await getOwnerScope(req),
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Coupon created",
+      data: CouponService.format(coupon),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Updates a coupon. The code and type cannot be changed.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Coupon ID
+ * @param {Object} req.body - Attributes to change (see createCoupon)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the updated coupon
+ * @throws {AppError} 400 - When the value does not suit the coupon type
+ * @throws {AppError} 404 - When coupon not found
+ * @api {patch} /api/v1/coupons/:id Update Vendor Coupon
+ * @api {patch} /api/v1/admin/coupons/:id Update Coupon
+ * @private vendor, admin
+ */
+const updateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await CouponService.updateCoupon(req.params.id, req.body, {
+      vendorId: await getOwnerScope(req),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Coupon updated",
+      data: CouponService.format(coupon),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a coupon. Coupons already used on orders are deactivated instead so order
+ * history keeps its redemption records.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Coupon ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response
+ * @throws {AppError} 404 - When coupon not found
+ * @api {delete} /api/v1/coupons/:id Delete Vendor Coupon
+ * @api {delete} /api/v1/admin/coupons/:id Delete Coupon
+ * @private vendor, admin
+ */
+const deleteCoupon = async (req, res, next) => {
+  try {
+    const deleted = await CouponService.deleteCoupon(req.params.id, {
+      vendorId: await getOwnerScope(req),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: deleted ? "Coupon deleted" : "Coupon has been used and was deactivated instead",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+};
@@ -10,6 +10,9 @@ const {
   sequelize,
 } = require("../models");
 const AppError = require("../utils/appError");
+const LowStockService = require("../services/low-stock.service");
+const InventoryImportService = require("../services/inventory-import.service");
+const { readTextUpload } = require("../utils/fileUtils");
 const { Op } = require("sequelize");
 
 /**
@@ -221,6 +224,9 @@ const updateProductInventory = async (req, res, next) => {
       { transaction }
     );
 
+    // Raise a low stock alert, or resolve it when the combination was restocked
+    await LowStockService.check([combination.id], { transaction });
+
     await transaction.commit();
 
     res.status(200).json({
@@ -240,7 +246,7 @@ const updateProductInventory = async (req, res, next) => {
 };
 
 /**
- * @desc    Get low stock items
+ * @desc    Get low stock items, against each combination's reorder threshold unless a threshold is given
  * @route   GET /api/v1/inventory/low-stock
  * @access  Private/Vendor
  */
@@ -255,7 +261,10 @@ const getLowStockItems = async (req, res, next) => {
     }
 
     const vendorId = vendor.get("id");
-    const threshold = req.query.threshold || 10; // Default threshold of 10 items
+    const threshold =
+      req.query.threshold !== undefined
+        ? parseInt(req.query.threshold, 10)
+        : LowStockService.thresholdSql();
 
     const lowStockItems = await VariantCombination.findAll({
       attributes: [
@@ -263,13 +272,15 @@ const getLowStockItems = async (req, res, next) => {
         "combination_name",
         "sku_suffix",
         "stock",
-        [sequelize.literal("`Product`.`id`"), "product_id"],
-        [sequelize.literal("`Product`.`name`"), "product_name"],
-        [sequelize.literal("`Product`.`sku`"), "product_sku"],
+        [LowStockService.thresholdSql(), "reorder_threshold"],
+        [sequelize.literal("`product`.`id`"), "product_id"],
+        [sequelize.literal("`product`.`name`"), "product_name"],
+        [sequelize.literal("`product`.`sku`"), "product_sku"],
       ],
       include: [
         {
           model: Product,
+          as: "product",
           attributes: [], // Only select attributes from VariantCombination directly
           where: {
             vendor_id: vendorId,
@@ -298,6 +309,193 @@ const getLowStockItems = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Set the reorder threshold of a product, or of one of its combinations
+ * @route   PATCH /api/v1/inventory/product/:productId/threshold
+ * @access  Private/Vendor
+ */
+const setReorderThreshold = async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findOne({
+      where: { user_id: req.user.id },
+    });
+
+    if (!vendor) {
+      return next(new AppError("Vendor not found", 404));
+    }
+
+    const thresholds = await LowStockService.setThreshold({
+      vendorId: vendor.id,
+      productId: req.params.productId,
+      combinationId: req.body.combinationId,
+      threshold: req.body.threshold,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: thresholds,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the vendor's low stock alerts
+ * @route   GET /api/v1/inventory/alerts
+ * @access  Private/Vendor
+ */
+const getLowStockAlerts = async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findOne({
+      where: { user_id: req.user.id },
+    });
+
+    if (!vendor) {
+      return next(new AppError("Vendor not found", 404));
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const result = await LowStockService.list({
+      vendorId: vendor.id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Acknowledge a low stock alert, leaving it out of the daily digest
+ * @route   PATCH /api/v1/inventory/alerts/:id/acknowledge
+ * @access  Private/Vendor
+ */
+const acknowledgeLowStockAlert = async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findOne({
+      where: { user_id: req.user.id },
+    });
+
+    if (!vendor) {
+      return next(new AppError("Vendor not found", 404));
+    }
+
+    const alert = await LowStockService.acknowledge(req.params.id, {
+      userId: req.user.id,
+      vendorId: vendor.id,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: { alert },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check an inventory CSV and show the changes it would make, without applying them
+ * @route   POST /api/v1/inventory/import/preview
+ * @access  Private/Vendor
+ */
+const previewInventoryImport = async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findOne({
+      where: { user_id: req.user.id },
+    });
+
+    if (!vendor) {
+      return next(new AppError("Vendor not found", 404));
+    }
+
+    const text = await readTextUpload(req.files && req.files.file, [".csv"]);
+    const preview = await InventoryImportService.preview(vendor.id, text);
+
+    res.status(200).json({
+      status: "success",
+      data: preview,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Apply an inventory CSV in one transaction; nothing is changed if any row is invalid
+ * @route   POST /api/v1/inventory/import
+ * @access  Private/Vendor
+ */
+const importInventory = async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findOne({
+      where: { user_id: req.user.id },
+    });
+
+    if (!vendor) {
+      return next(new AppError("Vendor not found", 404));
+    }
+
+    const text = await readTextUpload(req.files && req.files.file, [".csv"]);
+    const { applied, rows, summary } = await InventoryImportService.apply(vendor.id, req.user.id, text);
+
+    if (!applied) {
+      return res.status(400).json({
+        status: "fail",
+        message: `${summary.errors} row(s) of the file are invalid. No inventory was changed.`,
+        data: {
+          rows: rows.filter((row) => row.status === "error"),
+          summary,
+        },
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        rows: rows.filter((row) => row.status === "update"),
+        summary,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the vendor's inventory as a CSV in the import format
+ * @route   GET /api/v1/inventory/export
+ * @access  Private/Vendor
+ */
+const exportInventory = async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findOne({
+      where: { user_id: req.user.id },
+    });
+
+    if (!vendor) {
+      return next(new AppError("Vendor not found", 404));
+    }
+
+    const { filename, content } = await InventoryImportService.export(vendor.id);
+
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get inventory history for a product
  * @route   GET /api/v1/inventory/history/:productId
@@ -536,13 +734,16 @@ const getVendorInventory = async (req, res, next) => {
 };
 
 /**
- * @desc    Get low stock items across all vendors (Admin only)
+ * @desc    Get low stock items across all vendors, against each combination's reorder threshold unless a threshold is given (Admin only)
  * @route   GET /api/v1/admin/inventory/low-stock
  * @access  Private/Admin
  */
 const getGlobalLowStockItems = async (req, res, next) => {
   try {
-    const threshold = req.query.threshold || 10;
+    const threshold =
+      req.query.threshold !== undefined
+        ? parseInt(req.query.threshold, 10)
+        : LowStockService.thresholdSql();
     const { page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
 
@@ -557,7 +758,7 @@ const getGlobalLowStockItems = async (req, res, next) => {
           {
             model: Product,
             as: "product",
-            attributes: ["id", "name", "sku", "price"], // Product details
+            attributes: ["id", "name", "sku", "price", "reorder_threshold"], // Product details
             include: [
               {
                 model: Vendor,
@@ -599,6 +800,7 @@ const getGlobalLowStockItems = async (req, res, next) => {
           sku_suffix: combo.sku_suffix,
           stock: combo.stock,
           price_modifier: combo.price_modifier,
+          reorder_threshold: LowStockService.thresholdFor(combo),
           product: combo.product,
           variants: combo.variants,
         })),
@@ -708,14 +910,45 @@ const getInventoryHistoryAdmin = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get low stock alerts across all vendors (Admin only)
+ * @route   GET /api/v1/admin/inventory/alerts
+ * @access  Private/Admin
+ */
+const getAllLowStockAlerts = async (req, res, next) => {
+  try {
+    const { vendorId, status, page = 1, limit = 20 } = req.query;
+    const result = await LowStockService.list({
+      vendorId,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getProductInventory,
   updateProductInventory,
   getLowStockItems,
+  setReorderThreshold,
+  getLowStockAlerts,
+  acknowledgeLowStockAlert,
+  previewInventoryImport,
+  importInventory,
+  exportInventory,
   getProductInventoryHistory,
   // Admin methods
   getAllInventory,
   getVendorInventory,
   getGlobalLowStockItems,
   getInventoryHistoryAdmin,
+  getAllLowStockAlerts,
 };
@@ -0,0 +1,94 @@
+const { Vendor } = require("../models");
+const InvoiceService = require("../services/invoice.service");
+const AppError = require("../utils/appError");
+
+/**
+ * Send a generated PDF as a download
+ * @private
+ */
+const sendPdf = (res, { filename, content }) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Content-Length": content.length,
+  });
+  res.status(200).send(content);
+};
+
+/**
+ * Downloads an order's invoice as a PDF. The invoice number is assigned the first time the
+ * invoice is generated. Customers can only download invoices for their own orders.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Order ID
+ * @param {Object} req.user - Authenticated user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Buffer} PDF invoice (application/pdf, downloaded as <invoice number>.pdf)
+ * @throws {AppError} 404 - When order not found or access denied
+ * @api {get} /api/v1/orders/:id/invoice Download Invoice
+ * @api {get} /api/v1/admin/orders/:id/invoice Download Order Invoice
+ * @private user, admin
+ * @example
+ * // Request
+ * GET /api/v1/orders/1001/invoice
+ * Authorization: Bearer <token>
+ *
+ * // Success Response (200)
+ * Content-Type: application/pdf
+ * Content-Disposition: attachment; filename="INV-2025-000042.pdf"
+ */
+const getOrderInvoice = async (req, res, next) => {
+  try {
+    const isAdmin = req.user.roles && req.user.roles.some((role) => role.name === "admin");
+
+    const pdf = await InvoiceService.getInvoice(req.params.id, {
+      userId: isAdmin ? undefined : req.user.id,
+    });
+
+    sendPdf(res, pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Downloads the packing slip for the vendor's items in an order as a PDF. The slip lists the
+ * items to pack and the delivery address, without prices.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Order ID
+ * @param {number} [req.params.vendorId] - Vendor whose items are packed (admin route only)
+ * @param {Object} req.user - Authenticated user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Buffer} PDF packing slip (application/pdf)
+ * @throws {AppError} 404 - When the order has no items from the vendor, or vendor not found
+ * @api {get} /api/v1/orders/:id/packing-slip Download Vendor Packing Slip
+ * @api {get} /api/v1/admin/orders/:id/packing-slips/:vendorId Download Packing Slip
+ * @private vendor, admin
+ */
+const getPackingSlip = async (req, res, next) => {
+  try {
+    let { vendorId } = req.params;
+
+    if (!vendorId) {
+      const vendor = await Vendor.findOne({ where: { user_id: req.user.id }, attributes: ["id"] });
+      if (!vendor) {
+        throw new AppError("Vendor not found", 404);
+      }
+      vendorId = vendor.id;
+    }
+
+    const pdf = await InvoiceService.getPackingSlip(req.params.id, vendorId);
+
+    sendPdf(res, pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getOrderInvoice,
+  getPackingSlip,
+};
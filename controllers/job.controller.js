@@ -0,0 +1,169 @@
+const QueueService = require("../services/queue.service");
+
+/**
+ * Retrieves the number of queued, running and failed background jobs.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the queue counts
+ * @api {get} /api/v1/admin/jobs/stats Get Job Queue Stats
+ * @private admin
+ * @example
+ * // Request
+ * GET /api/v1/admin/jobs/stats
+ * Authorization: Bearer <admin_token>
+ *
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": { "redis_connected": true, "scheduled": 12, "processing": 1, "failed": 3 }
+ * }
+ */
+const getJobStats = async (req, res, next) => {
+  try {
+    const stats = await QueueService.stats();
+
+    res.status(200).json({
+      status: "success",
+      data: stats,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists jobs that failed on every attempt, most recent first.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with failed jobs and pagination
+ * @api {get} /api/v1/admin/jobs/failed Get Failed Jobs
+ * @private admin
+ * @example
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "jobs": [
+ *       {
+ *         "id": "0b6c1f0e-8d53-4c55-9a53-7b3e0c0f6a11",
+ *         "type": "email",
+ *         "status": "failed",
+ *         "attempts": 5,
+ *         "max_attempts": 5,
+ *         "last_error": "Failed to send email",
+ *         "payload": { "to": "ada@example.com", "templateType": "ORDER_SHIPPED", "context": { ... } },
+ *         "failed_at": "2025-12-18T09:00:00.000Z"
+ *       }
+ *     ],
+ *     "pagination": { "total": 1, "current_page": 1, ... }
+ *   }
+ * }
+ */
+const getFailedJobs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await QueueService.listFailed({
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a queued or failed job.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Job ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the job
+ * @throws {AppError} 404 - When the job does not exist or has completed
+ * @api {get} /api/v1/admin/jobs/:id Get Job
+ * @private admin
+ */
+const getJob = async (req, res, next) => {
+  try {
+    const job = await QueueService.findById(req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      data: QueueService.format(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queues a failed job again with a fresh set of attempts.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Job ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the requeued job
+ * @throws {AppError} 400 - When the job has not failed
+ * @throws {AppError} 404 - When the job does not exist
+ * @api {post} /api/v1/admin/jobs/:id/retry Retry Job
+ * @private admin
+ */
+const retryJob = async (req, res, next) => {
+  try {
+    const job = await QueueService.retry(req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Job queued for retry",
+      data: QueueService.format(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a failed job without running it again.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Job ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response
+ * @throws {AppError} 400 - When the job has not failed
+ * @throws {AppError} 404 - When the job does not exist
+ * @api {delete} /api/v1/admin/jobs/:id Discard Job
+ * @private admin
+ */
+const discardJob = async (req, res, next) => {
+  try {
+    await QueueService.discard(req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Job discarded",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getJobStats,
+  getFailedJobs,
+  getJob,
+  retryJob,
+  discardJob,
+};
@@ -0,0 +1,208 @@
+const NotificationService = require("../services/notification.service");
+
+/**
+ * Retrieves the authenticated user's notifications, newest first.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page (max 100)
+ * @param {string} [req.query.type] - Filter by notification type
+ * @param {boolean} [req.query.is_read] - Filter by read state
+ * @param {Object} req.user - Authenticated user info
+ * @param {number} req.user.id - User ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with notifications and pagination
+ * @api {get} /api/v1/notifications Get My Notifications
+ * @private user
+ * @example
+ * // Request
+ * GET /api/v1/notifications?page=1&limit=10&is_read=false
+ * Authorization: Bearer <token>
+ *
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "notifications": [
+ *       {
+ *         "id": 42,
+ *         "type": "order_shipped",
+ *         "message": "Order #1001 status updated to shipped",
+ *         "is_read": false,
+ *         "created_at": "2025-12-10T09:00:00.000Z",
+ *         "items": [{ "id": 7, "details": { "product_id": 5, "quantity": 1 } }]
+ *       }
+ *     ],
+ *     "pagination": { "total": 1, "total_pages": 1, "current_page": 1, ... }
+ *   }
+ * }
+ */
+const getMyNotifications = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, type, is_read } = req.query;
+
+    const result = await NotificationService.listForUser(req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      type,
+      isRead: is_read,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Returns unread notification counts for the bell icon badge.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.user - Authenticated user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with total and per-type unread counts
+ * @api {get} /api/v1/notifications/unread-count Get Unread Count
+ * @private user
+ * @example
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": { "total": 3, "by_type": { "order_shipped": 2, "order_created": 1 } }
+ * }
+ */
+const getUnreadCount = async (req, res, next) => {
+  try {
+    const counts = await NotificationService.getUnreadCount(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      data: counts,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a single notification owned by the authenticated user.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Notification ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with notification details
+ * @throws {AppError} 404 - When notification not found
+ * @api {get} /api/v1/notifications/:id Get Notification
+ * @private user
+ */
+const getNotification = async (req, res, next) => {
+  try {
+    const notification = await NotificationService.findOwned(
+      req.user.id,
+      req.params.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: NotificationService.format(notification),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Marks a single notification as read.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Notification ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the updated notification
+ * @throws {AppError} 404 - When notification not found
+ * @api {patch} /api/v1/notifications/:id/read Mark Notification Read
+ * @private user
+ */
+const markAsRead = async (req, res, next) => {
+  try {
+    const notification = await NotificationService.markAsRead(
+      req.user.id,
+      req.params.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: notification,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Marks all of the user's unread notifications as read, optionally for one type only.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.type] - Only mark notifications of this type
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with number of notifications updated
+ * @api {patch} /api/v1/notifications/read-all Mark All Notifications Read
+ * @private user
+ * @example
+ * // Success Response (200)
+ * { "status": "success", "message": "Notifications marked as read", "data": { "updated": 5 } }
+ */
+const markAllAsRead = async (req, res, next) => {
+  try {
+    const updated = await NotificationService.markAllAsRead(req.user.id, {
+      type: req.body.type,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Notifications marked as read",
+      data: { updated },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a notification from the user's inbox.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Notification ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response confirming deletion
+ * @throws {AppError} 404 - When notification not found
+ * @api {delete} /api/v1/notifications/:id Delete Notification
+ * @private user
+ */
+const deleteNotification = async (req, res, next) => {
+  try {
+    await NotificationService.remove(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Notification deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyNotifications,
+  getUnreadCount,
+  getNotification,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+};
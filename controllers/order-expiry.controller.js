@@ -0,0 +1,85 @@
+const OrderExpiryService = require("../services/order-expiry.service");
+
+/**
+ * Lists unpaid orders the sweeper resolved, most recent first, with totals per outcome.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.outcome] - cancelled or paid
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with expirations, totals and pagination
+ * @api {get} /api/v1/admin/orders/expirations Get Expired Unpaid Orders
+ * @private admin
+ * @example
+ * // Request
+ * GET /api/v1/admin/orders/expirations?outcome=cancelled
+ * Authorization: Bearer <admin_token>
+ *
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "expirations": [
+ *       {
+ *         "id": 3,
+ *         "order_id": 12345,
+ *         "outcome": "cancelled",
+ *         "gateway_status": "abandoned",
+ *         "amount": "25000.00",
+ *         "created_at": "2025-12-28T10:00:00.000Z",
+ *         "order": { "id": 12345, "order_number": "ORD-12345", "user": { ... }, ... }
+ *       }
+ *     ],
+ *     "totals": { "cancelled": 14, "paid": 2 },
+ *     "pagination": { "total": 14, "total_pages": 1, "current_page": 1, ... }
+ *   }
+ * }
+ */
+const getOrderExpirations = async (req, res, next) => {
+  try {
+    const { outcome, page = 1, limit = 20 } = req.query;
+
+    const result = await OrderExpiryService.list({
+      outcome,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Checks unpaid orders now instead of waiting for the scheduled run.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with how many orders were found, cancelled, paid, skipped and failed
+ * @api {post} /api/v1/admin/orders/expirations/run Run Unpaid Order Check
+ * @private admin
+ */
+const runOrderExpiry = async (req, res, next) => {
+  try {
+    const result = await OrderExpiryService.run();
+
+    res.status(200).json({
+      status: "success",
+      message: `${result.cancelled} unpaid order(s) cancelled`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getOrderExpirations,
+  runOrderExpiry,
+};
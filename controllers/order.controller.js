@@ -21,6 +21,14 @@ const {
 } = require("../models");
 const paymentService = require("../services/payment.service");
 const emailService = require("../services/email.service");
+const RefundService = require("../services/refund.service");
+const CouponService = require("../services/coupon.service");
+const ShippingService = require("../services/shipping.service");
+const TaxService = require("../services/tax.service");
+const AbandonedCartService = require("../services/abandoned-cart.service");
+const StockReservationService = require("../services/stock-reservation.service");
+const OrderCancellationService = require("../services/order-cancellation.service");
+const LowStockService = require("../services/low-stock.service");
 const logger = require("../utils/logger");
 const { generateOrderNumber } = require("../utils/orderUtils");
 const { v4: uuidv4 } = require("uuid");
@@ -35,6 +43,7 @@ const { v4: uuidv4 } = require("uuid");
  * @param {number} cartSummary.userId - User ID
  * @param {number} cartSummary.subtotal - Cart subtotal
  * @param {number} cartSummary.discount - Applied discount
+ * @param {Object|null} cartSummary.coupon - Coupon applied to the cart
  * @param {number} cartSummary.total - Cart total
  * @param {Array} cartSummary.items - Cart items array
  * @param {Object} options - Additional options
@@ -109,12 +118,10 @@ async function convertCartToOrder(cartSummary, options = {}) {
       });
     }
 
-    // Calculate order totals
+    // Calculate order totals; shipping and tax are worked out for the address when the order is created
     const subtotal = parseFloat(cartSummary.subtotal);
     const discount = parseFloat(cartSummary.discount || 0);
-    const shipping = 0.00; // TODO: Calculate shipping based on address/location
-    const tax = 0.00; // TODO: Calculate tax based on address/location
-    const total = subtotal - discount + shipping + tax;
+    const total = subtotal - discount;
 
     // Return order payload structure
     return {
@@ -123,9 +130,8 @@ async function convertCartToOrder(cartSummary, options = {}) {
       items: orderItems,
       subtotal,
       discount,
-      shipping,
-      tax,
       total,
+      couponCode: cartSummary.coupon ? cartSummary.coupon.code : null,
       notes: options.notes || null,
       paymentMethod: options.paymentMethod || "paystack",
     };
@@ -209,8 +215,7 @@ async function createOrderFromCart(req, res) {
       body: {
         addressId: orderPayload.addressId,
         items: orderPayload.items,
-        shippingCost: orderPayload.shipping,
-        taxAmount: orderPayload.tax,
+        couponCode: orderPayload.couponCode,
         notes: orderPayload.notes,
         paymentMethod: orderPayload.paymentMethod,
       },
@@ -236,7 +241,7 @@ async function createOrderFromCart(req, res) {
     const cart = await Cart.findOne({ where: { user_id: userId } });
     if (cart) {
       await CartItem.destroy({ where: { cart_id: cart.id }, transaction });
-      await cart.update({ total_items: 0, total_amount: 0 }, { transaction });
+      await cart.update({ total_items: 0, total_amount: 0, coupon_id: null }, { transaction });
     }
 
     await transaction.commit();
@@ -269,7 +274,8 @@ async function createOrderFromCart(req, res) {
 /**
  * Creates a new order with inventory management, payment initialization, and vendor notifications.
  * Handles complex order processing including stock validation, inventory deduction, payment gateway integration,
- * and email notifications to both customer and vendors.
+ * and email notifications to both customer and vendors. Shipping and tax are always worked out server-side
+ * for the address (see ShippingService and TaxService); shippingCost or taxAmount in the body are ignored.
  * @param {import('express').Request} req - Express request object
  * @param {Object} req.body - Request body containing order data
  * @param {number} req.body.addressId - Shipping address ID (required)
@@ -282,8 +288,7 @@ async function createOrderFromCart(req, res) {
  * @param {string} req.body.items[].selected_variants[].name - Variant name
  * @param {string} req.body.items[].selected_variants[].value - Variant value
  * @param {number} req.body.items[].selected_variants[].additional_price - Variant additional price
- * @param {number} [req.body.shippingCost=0] - Shipping cost
- * @param {number} [req.body.taxAmount=0] - Tax amount
+ * @param {string} [req.body.couponCode] - Coupon code to discount the order with
  * @param {string} [req.body.notes] - Order notes
  * @param {string} [req.body.paymentMethod="paystack"] - Payment method
  * @param {Object} req.user - Authenticated user info
@@ -302,7 +307,8 @@ async function createOrderFromCart(req, res) {
  * @returns {Array} data.order.items - Order items with product details
  * @returns {Object} data.order.details - Order shipping and tax details
  * @returns {Object} [data.order.paymentData] - Paystack payment initialization data (if applicable)
- * @throws {Error} 400 - When items array is empty or invalid, insufficient stock, or address not found
+ * @returns {string|null} data.order.stock_reserved_until - When the stock held for the order is released if it has not been paid
+ * @throws {Error} 400 - When items array is empty or invalid, insufficient stock, address not found, or a vendor does not ship to the address
  * @api {post} /api/orders Create Order
  * @private user
  * @example
@@ -326,8 +332,6 @@ async function createOrderFromCart(req, res) {
  *       ]
  *     }
  *   ],
- *   "shippingCost": 1500,
- *   "taxAmount": 500,
  *   "notes": "Please handle with care"
  * }
  *
@@ -343,7 +347,8 @@ async function createOrderFromCart(req, res) {
  *       "order_status": "pending",
  *       "items": [...],
  *       "details": {...},
- *       "paymentData": {...}
+ *       "paymentData": {...},
+ *       "stock_reserved_until": "2024-09-26T05:30:00.000Z"
  *     }
  *   }
  * }
@@ -354,8 +359,7 @@ async function createOrder(req, res) {
     const {
       addressId,
       items,
-      shippingCost = 0,
-      taxAmount = 0,
+      couponCode,
       notes,
       paymentMethod = "paystack", // Only support Paystack payments
     } = req.body;
@@ -473,8 +477,67 @@ async function createOrder(req, res) {
     }
     console.log(itemsWithDetails);
 
-    // Add shipping and tax to total
-    totalAmount += parseFloat(shippingCost || 0) + parseFloat(taxAmount || 0);
+    // Quote shipping for the address; every vendor ships their own items
+    const shipping = await ShippingService.quote(
+      {
+        address,
+        items: itemsWithDetails.map((item) => ({
+          productId: item.productId,
+          quantity: item.quantity,
+          price: item.price,
+        })),
+      },
+      { transaction }
+    );
+    const shippingCost = shipping.total;
+
+    // Apply the coupon; the row stays locked until the redemption is recorded
+    let coupon = null;
+    let discountAmount = 0;
+    if (couponCode) {
+      coupon = await CouponService.findByCode(couponCode, { transaction });
+      const { discount, allocations } = await CouponService.evaluate(
+        coupon,
+        {
+          userId,
+          items: itemsWithDetails.map((item) => ({
+            productId: item.productId,
+            quantity: item.quantity,
+            price: item.price,
+          })),
+          shippingCost,
+          shipments: shipping.vendors,
+        },
+        { transaction }
+      );
+
+      discountAmount = discount;
+      itemsWithDetails.forEach((item, index) => {
+        item.discountAmount = allocations[index];
+      });
+    }
+
+    // Tax each line after its share of the discount
+    const tax = await TaxService.calculate(
+      {
+        address,
+        items: itemsWithDetails.map((item) => ({
+          productId: item.productId,
+          quantity: item.quantity,
+          price: item.price,
+          discountAmount: item.discountAmount || 0,
+        })),
+      },
+      { transaction }
+    );
+    itemsWithDetails.forEach((item, index) => {
+      item.taxRate = tax.items[index].tax_rate;
+      item.taxAmount = tax.items[index].tax_amount;
+    });
+
+    // Add shipping and tax charged on top of prices to total, less any coupon discount
+    totalAmount += parseFloat(shippingCost || 0) + tax.charged;
+    totalAmount = Math.round((totalAmount - discountAmount) * 100) / 100;
     console.log(totalAmount);
 
     // Create the order with its associations
@@ -494,12 +557,19 @@ async function createOrder(req, res) {
           quantity: item.quantity,
           price: item.price,
           sub_total: item.quantity * item.price,
+          discount_amount: item.discountAmount || 0,
+          tax_rate: item.taxRate,
+          tax_amount: item.taxAmount,
+          tax_inclusive: tax.inclusive,
           selected_variants: item.selected_variants || null,
         })),
         details: {
           address_id: addressId,
           shipping_cost: shippingCost,
-          tax_amount: taxAmount,
+          tax_amount: tax.total,
+          tax_inclusive: tax.inclusive,
+          discount_amount: discountAmount,
+          coupon_code: coupon ? coupon.code : null,
           note: notes,
         },
       },
@@ -516,58 +586,35 @@ async function createOrder(req, res) {
     const orderNumber = generateOrderNumber(order.id);
     await order.update({ order_number: orderNumber }, { transaction });
 
-    // Update stock for all items using VariantCombination and write inventory history
+    if (coupon) {
+      await CouponService.redeem(
+        coupon,
+        { userId, orderId: order.id, discount: discountAmount },
+        { transaction }
+      );
+    }
+
+    // Credit the order to a cart recovery email sent to this customer
+    await AbandonedCartService.markRecovered(
+      { userId, email: user.email, orderId: order.id, amount: totalAmount },
+      { transaction }
+    );
+
+    // Hold variant combination stock for the order until it is paid or the reservation expires
+    const reservations = await StockReservationService.reserve(order, { transaction });
+
+    // Alert vendors whose combinations this order took to or below their reorder threshold
+    await LowStockService.check(
+      reservations.map((reservation) => reservation.combination_id),
+      { transaction }
+    );
+
     for (const item of itemsWithDetails) {
       const product = await Product.findByPk(item.productId, {
         include: [{ model: Inventory }],
         transaction,
       });
 
-      // Resolve or create product-level inventory log row
-      let inventory = await Inventory.findOne({
-        where: { product_id: product.id },
-        transaction,
-      });
-      if (!inventory) {
-        inventory = await Inventory.create({ product_id: product.id }, { transaction });
-      }
-
-      // If combination is provided, enforce VariantCombination stock management
-      if (item.combinationId || item.combination_id) {
-        const combinationId = item.combinationId || item.combination_id;
-        const combination = await sequelize.models.VariantCombination.findByPk(combinationId, { transaction });
-        if (!combination || combination.product_id !== product.id) {
-          throw new Error(`Variant combination ${combinationId} not found for product ${product.id}`);
-        }
-        if (combination.stock < item.quantity) {
-          throw new Error(`Insufficient stock for combination ${combinationId}`);
-        }
-
-        const previousStock = combination.stock;
-        const newStock = previousStock - item.quantity;
-
-        // Decrement combination stock
-        await sequelize.models.VariantCombination.update(
-          { stock: newStock },
-          { where: { id: combinationId }, transaction }
-        );
-
-        // Log inventory history for combination
-        await InventoryHistory.create(
-          {
-            inventory_id: inventory.id,
-            combination_id: combinationId,
-            change_amount: -item.quantity,
-            change_type: 'sale',
-            previous_stock: previousStock,
-            new_stock: newStock,
-            note: `Order #${order.id}: Stock reduced for sale`,
-            adjusted_by: userId,
-          },
-          { transaction }
-        );
-      }
-
       // Track items by vendor for notifications
       if (product.vendor_id) {
         if (!vendorItems.has(product.vendor_id)) {
@@ -598,7 +645,7 @@ async function createOrder(req, res) {
 
     const paymentData = await paymentService.initializePayment({
       email: user.email,
-      amount: totalAmount * 100, // Convert to kobo
+      amount: totalAmount, // Converted to kobo by the payment service
       reference,
       callbackUrl: `${process.env.PAYSTACK_CALLBACK_URL}/${reference}`, // Use frontend URL for callback
       metadata: {
@@ -738,6 +785,7 @@ async function createOrder(req, res) {
           ...orderWithItems.toJSON(),
           paymentData:
             paymentMethod !== "cash_on_delivery" ? paymentData?.data : null,
+          stock_reserved_until: reservations.length ? reservations[0].expires_at : null,
         },
       },
     });
@@ -912,6 +960,9 @@ async function getOrder(req, res) {
       ),
       shipping: orderData.details?.shipping_cost || orderData.order_detail?.shipping_cost || 0,
       tax: orderData.details?.tax_amount || orderData.order_detail?.tax_amount || 0,
+      tax_inclusive: Boolean(orderData.details?.tax_inclusive),
+      discount: orderData.details?.discount_amount || 0,
+      coupon_code: orderData.details?.coupon_code || null,
       total: orderData.total_amount,
     };
 
@@ -1017,7 +1068,7 @@ async function updateOrderStatus(req, res) {
 
     // Vendor can only update their own orders
     if (isVendor) {
-      const vendorItems = order.order_items.filter(
+      const vendorItems = order.items.filter(
         (item) => item.vendor_id === req.user.vendor_id
       );
 
@@ -1041,6 +1092,7 @@ async function updateOrderStatus(req, res) {
     await order.update({ order_status: status }, { transaction });
 
     // Handle status-specific logic
+    let refund = null;
     switch (status) {
       case "shipped":
         // Send shipping confirmation email
@@ -1074,6 +1126,9 @@ async function updateOrderStatus(req, res) {
             }
           );
 
+          // Turn the stock held for the order into a sale
+          await StockReservationService.convert(order, { transaction });
+
           // Send payment confirmation
           await emailService.sendPaymentReceived(order, order.user_id, {
             amount: order.total_amount,
@@ -1087,37 +1142,23 @@ async function updateOrderStatus(req, res) {
         break;
 
       case "cancelled":
-        // Restore VariantCombination stock for cancelled orders and log history
-        await Promise.all(
-          order.order_items.map(async (item) => {
-            if (!item.combination_id) return true;
-            const combination = await sequelize.models.VariantCombination.findByPk(item.combination_id, { transaction });
-            if (!combination) return true;
-
-            const prev = combination.stock;
-            const next = prev + item.quantity;
-
-            await sequelize.models.VariantCombination.update(
-              { stock: next },
-              { where: { id: combination.id }, transaction }
-            );
-
-            const inventory = await Inventory.findOne({ where: { product_id: item.product_id }, transaction });
-            if (inventory) {
-              await InventoryHistory.create({
-                inventory_id: inventory.id,
-                combination_id: combination.id,
-                change_amount: item.quantity,
-                change_type: 'return',
-                previous_stock: prev,
-                new_stock: next,
-                note: `Order #${order.id} cancelled: Stock restored`,
-                adjusted_by: userId,
-              }, { transaction });
-            }
-            return true;
-          })
-        );
+        // Restore stock, sold units and the coupon, unless this order was already cancelled
+        if (currentStatus !== "cancelled") {
+          await OrderCancellationService.restore(order, { adjustedBy: userId, transaction });
+        }
+
+        // Refund paid orders in full, unless this order was already cancelled
+        if (currentStatus !== "cancelled" && order.payment_status === "paid") {
+          refund = await RefundService.createRefund(
+            {
+              order,
+              reason: notes || "Order was cancelled",
+              source: "cancellation",
+              initiatedBy: userId,
+            },
+            { transaction }
+          );
+        }
 
         // Send cancellation email
         await emailService.sendOrderCancelled(
@@ -1183,6 +1224,10 @@ async function updateOrderStatus(req, res) {
 
     await transaction.commit();
 
+    if (refund) {
+      await RefundService.submit(refund);
+    }
+
     res.status(200).json({
       status: "success",
       data: {
@@ -1337,7 +1382,7 @@ async function getUserOrders(req, res) {
         {
           model: OrderDetail,
           as: "details",
-          attributes: ["shipping_cost", "tax_amount"],
+          attributes: ["shipping_cost", "tax_amount", "tax_inclusive", "discount_amount"],
           required: false,
           include: [
             {
@@ -1380,6 +1425,8 @@ async function getUserOrders(req, res) {
 
       const shipping = orderData.details?.shipping_cost || 0;
       const tax = orderData.details?.tax_amount || 0;
+      const taxInclusive = Boolean(orderData.details?.tax_inclusive);
+      const discount = orderData.details?.discount_amount || 0;
 
       return {
         id: orderData.id,
@@ -1406,7 +1453,14 @@ async function getUserOrders(req, res) {
           subtotal,
           shipping: parseFloat(shipping || 0),
           tax: parseFloat(tax || 0),
-          total: subtotal + parseFloat(shipping || 0) + parseFloat(tax || 0),
+          tax_inclusive: taxInclusive,
+          discount: parseFloat(discount || 0),
+          // Tax already included in item prices is part of the subtotal
+          total:
+            subtotal +
+            parseFloat(shipping || 0) +
+            (taxInclusive ? 0 : parseFloat(tax || 0)) -
+            parseFloat(discount || 0),
         },
         shipping_address: orderData.details?.address,
       };
@@ -1456,6 +1510,7 @@ async function getUserOrders(req, res) {
  * @returns {string} data.reference - Payment reference
  * @throws {Error} 400 - When payment verification fails or invalid reference
  * @throws {Error} 404 - When transaction not found
+ * @throws {Error} 409 - When the order was cancelled before the payment arrived (the payment is refunded)
  * @api {get} /api/orders/verify-payment/:reference Verify Payment
  * @private user
  * @example
@@ -1538,9 +1593,44 @@ async function verifyPayment(req, res) {
     const verification = await paymentService.verifyPayment(reference);
 
     if (!verification.status || verification.data.status !== "success") {
+      // A declined payment gives the stock held for the order back; pending ones may still succeed
+      if (verification.data?.status === "failed") {
+        await StockReservationService.release(order, { reason: "payment_failed", transaction });
+        await transaction.commit();
+      }
       throw new Error(verification.message || "Payment verification failed");
     }
 
+    // The order may have been cancelled while the customer was paying; refund instead
+    await order.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    if (!OrderCancellationService.acceptsPayment(order)) {
+      await transactionRecord.update(
+        {
+          status: "success",
+          metadata: {
+            ...(transactionRecord.metadata || {}),
+            verification: verification.data,
+          },
+        },
+        { transaction }
+      );
+      const refund = await OrderCancellationService.refundLatePayment(order, { reference, transaction });
+      await transaction.commit();
+
+      await RefundService.submit(refund);
+
+      return res.status(409).json({
+        status: "error",
+        message: "This order was cancelled before the payment arrived. The payment will be refunded.",
+        data: {
+          orderId: order.id,
+          status: order.order_status,
+          paymentStatus: order.payment_status,
+          reference: transactionRecord.transaction_id,
+        },
+      });
+    }
+
     // Update transaction status
     await transactionRecord.update(
       {
@@ -1563,6 +1653,9 @@ async function verifyPayment(req, res) {
       { transaction }
     );
 
+    // Turn the stock held for the order into a sale
+    await StockReservationService.convert(order, { transaction });
+
     // Commit the transaction before sending emails
     await transaction.commit();
 
@@ -1720,6 +1813,7 @@ async function handlePaymentWebhook(req, res) {
  * @returns {number} data.orderId - Cancelled order ID
  * @returns {string} data.status - Order status ('cancelled')
  * @returns {string} data.cancelledAt - Cancellation timestamp
+ * @returns {Object|null} data.refund - Refund issued for a paid order (id, amount, status)
  * @throws {Error} 400 - When order cannot be cancelled (already shipped/delivered) or not found
  * @api {patch} /api/orders/:id/cancel Cancel Order
  * @private user
@@ -1784,99 +1878,21 @@ async function cancelOrder(req, res) {
       { transaction }
     );
 
-    // Restore VariantCombination stock for cancelled orders with history tracking
-    await Promise.all(
-      order.order_items.map(async (item) => {
-        if (!item.combination_id) return true;
-        const combination = await sequelize.models.VariantCombination.findByPk(item.combination_id, { transaction });
-        if (!combination) return true;
-
-        const prev = combination.stock;
-        const next = prev + item.quantity;
-
-        // Restore combination stock
-        await sequelize.models.VariantCombination.update(
-          { stock: next },
-          { where: { id: combination.id }, transaction }
-        );
-
-        const inventory = await Inventory.findOne({ where: { product_id: item.product_id }, transaction });
-        if (inventory) {
-          // Record inventory history for restoration
-          await sequelize.models.InventoryHistory.create(
-            {
-              inventory_id: inventory.id,
-              combination_id: combination.id,
-              change_amount: item.quantity, // Positive for stock in
-              change_type: 'return',
-              previous_stock: prev,
-              new_stock: next,
-              note: `Order #${order.id} cancelled: Stock restored`,
-              adjusted_by: req.user.id,
-            },
-            { transaction }
-          );
-        }
-        return true;
-      })
-    );
-    // Restore variant stock for multiple variants or single variant
-    await Promise.all(
-      order.order_items.map(async (item) => {
-        if (item.selected_variants && item.selected_variants.length > 0) {
-          // Handle multiple variants restoration
-          const variants =
-            typeof item.selected_variants === "string"
-              ? JSON.parse(item.selected_variants)
-              : item.selected_variants;
-          for (const variant of variants) {
-            await ProductVariant.increment("stock", {
-              by: item.quantity,
-              where: { id: variant.id },
-              transaction,
-            });
-          }
-        } else if (item.variant_id) {
-          // Backward compatibility: single variant restoration
-          await ProductVariant.increment("stock", {
-            by: item.quantity,
-            where: { id: item.variant_id },
-            transaction,
-          });
-        }
-        return true;
-      })
-    );
+    // Give back the stock, sold units and coupon the order took
+    await OrderCancellationService.restore(order, { adjustedBy: userId, transaction });
 
-    // Decrement sold_units for cancelled products since they weren't actually sold
-    await Promise.all(
-      order.order_items.map(async (item) => {
-        await Product.decrement("sold_units", {
-          by: item.quantity,
-          where: { id: item.product_id },
-          transaction,
-        });
-        return true;
-      })
-    );
-    // If payment was made, process refund
+    // If payment was made, refund the whole order; it is sent to Paystack after commit
+    let refund = null;
     if (order.payment_status === "paid") {
-      // Create refund transaction
-      await PaymentTransaction.create(
+      refund = await RefundService.createRefund(
         {
-          user_id: userId,
-          order_id: order.id,
-          type: "refund",
-          amount: order.total_amount,
-          status: "pending",
-          transaction_id: `REFUND-${Date.now()}-${order.id}`,
-          description: `Refund for cancelled order #${order.id}`,
+          order,
+          reason: reason || "Order cancelled by customer",
+          source: "cancellation",
+          initiatedBy: userId,
         },
         { transaction }
       );
-
-      // TODO: Initiate refund with payment gateway
-      // This would typically be an async process
     }
 
     // Send cancellation email
@@ -1905,6 +1921,10 @@ async function cancelOrder(req, res) {
 
     await transaction.commit();
 
+    if (refund) {
+      await RefundService.submit(refund);
+    }
+
     res.status(200).json({
       status: "success",
       message: "Order cancelled successfully",
@@ -1912,6 +1932,9 @@ async function cancelOrder(req, res) {
         orderId: order.id,
         status: "cancelled",
         cancelledAt: order.cancelled_at,
+        refund: refund
+          ? { id: refund.id, amount: parseFloat(refund.amount), status: refund.status }
+          : null,
       },
     });
   } catch (error) {
@@ -0,0 +1,290 @@
+const PayoutService = require("../services/payout.service");
+
+/**
+ * Returns the authenticated vendor's payout balance.
+ * Available balance is the sum of delivered, paid order items not yet claimed by a payout.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.user - Authenticated vendor user info
+ * @param {number} req.user.id - User ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with balance summary
+ * @throws {AppError} 404 - When the user has no vendor profile
+ * @api {get} /api/v1/payouts/balance Get Payout Balance
+ * @private vendor
+ * @example
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "available_balance": 45000,
+ *     "eligible_items": 6,
+ *     "pending_payouts": 12000,
+ *     "total_paid_out": 250000,
+ *     "minimum_payout": 1000,
+ *     "currency": "NGN"
+ *   }
+ * }
+ */
+const getMyBalance = async (req, res, next) => {
+  try {
+    const vendor = await PayoutService.getVendorForUser(req.user.id);
+    const balance = await PayoutService.getBalance(vendor.id);
+
+    res.status(200).json({
+      status: "success",
+      data: balance,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Requests a withdrawal of the vendor's full available balance.
+ * All eligible order items are attached to the new payout, which waits for admin review.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.note] - Note for the reviewing admin
+ * @param {Object} req.user - Authenticated vendor user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the created payout
+ * @throws {AppError} 400 - When bank details are missing or balance is below the minimum
+ * @throws {AppError} 403 - When the vendor is not approved
+ * @api {post} /api/v1/payouts Request Payout
+ * @private vendor
+ * @example
+ * // Request
+ * POST /api/v1/payouts
+ * Authorization: Bearer <vendor_token>
+ * { "note": "Weekly withdrawal" }
+ *
+ * // Success Response (201)
+ * {
+ *   "status": "success",
+ *   "message": "Payout request submitted",
+ *   "data": { "id": 14, "amount": 45000, "status": "pending", "items": [...] }
+ * }
+ */
+const requestPayout = async (req, res, next) => {
+  try {
+    const payout = await PayoutService.requestPayout(req.user.id, {
+      note: req.body.note,
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Payout request submitted",
+      data: payout,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves the authenticated vendor's payout history.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - Filter by payout status
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with payouts and pagination
+ * @api {get} /api/v1/payouts Get My Payouts
+ * @private vendor
+ */
+const getMyPayouts = async (req, res, next) => {
+  try {
+    const vendor = await PayoutService.getVendorForUser(req.user.id);
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const result = await PayoutService.list({
+      vendorId: vendor.id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves one of the authenticated vendor's payouts with the order items it settles.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Payout ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with payout details
+ * @throws {AppError} 404 - When payout not found
+ * @api {get} /api/v1/payouts/:id Get My Payout
+ * @private vendor
+ */
+const getMyPayout = async (req, res, next) => {
+  try {
+    const vendor = await PayoutService.getVendorForUser(req.user.id);
+    const payout = await PayoutService.findById(req.params.id, {
+      vendorId: vendor.id,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: PayoutService.format(payout),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists payouts across all vendors for review.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - Filter by payout status
+ * @param {number} [req.query.vendor_id] - Filter by vendor
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with payouts and pagination
+ * @api {get} /api/v1/admin/payouts Get All Payouts
+ * @private admin
+ * @example
+ * // Request
+ * GET /api/v1/admin/payouts?status=pending
+ * Authorization: Bearer <admin_token>
+ */
+const getAllPayouts = async (req, res, next) => {
+  try {
+    const { status, vendor_id, page = 1, limit = 20 } = req.query;
+
+    const result = await PayoutService.list({
+      vendorId: vendor_id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a payout with vendor and settled order items.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Payout ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with payout details
+ * @throws {AppError} 404 - When payout not found
+ * @api {get} /api/v1/admin/payouts/:id Get Payout
+ * @private admin
+ */
+const getPayout = async (req, res, next) => {
+  try {
+    const payout = await PayoutService.findById(req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      data: PayoutService.format(payout),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approves a pending payout and initiates the Paystack transfer to the store's bank account.
+ * The payout moves to "processing" and is settled by the transfer.success/transfer.failed webhooks.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Payout ID
+ * @param {Object} req.user - Authenticated admin user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the updated payout
+ * @throws {AppError} 400 - When payout is not pending, bank details are invalid or transfer fails
+ * @throws {AppError} 404 - When payout not found
+ * @api {patch} /api/v1/admin/payouts/:id/approve Approve Payout
+ * @private admin
+ * @example
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "message": "Payout approved and transfer initiated",
+ *   "data": { "id": 14, "status": "processing", "reference": "stylay_payout_14_1733821200000", ... }
+ * }
+ */
+const approvePayout = async (req, res, next) => {
+  try {
+    const payout = await PayoutService.approvePayout(req.params.id, req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Payout approved and transfer initiated",
+      data: payout,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rejects a pending payout. Its order items return to the vendor's available balance.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Payout ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.reason - Reason shown to the vendor
+ * @param {Object} req.user - Authenticated admin user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the updated payout
+ * @throws {AppError} 400 - When payout is not pending
+ * @throws {AppError} 404 - When payout not found
+ * @api {patch} /api/v1/admin/payouts/:id/reject Reject Payout
+ * @private admin
+ */
+const rejectPayout = async (req, res, next) => {
+  try {
+    const payout = await PayoutService.rejectPayout(
+      req.params.id,
+      req.user.id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Payout rejected",
+      data: payout,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyBalance,
+  requestPayout,
+  getMyPayouts,
+  getMyPayout,
+  getAllPayouts,
+  getPayout,
+  approvePayout,
+  rejectPayout,
+};
@@ -0,0 +1,230 @@
+const path = require("path");
+const { Vendor } = require("../models");
+const ProductImportService = require("../services/product-import.service");
+const AppError = require("../utils/appError");
+const { readTextUpload } = require("../utils/fileUtils");
+
+/**
+ * Vendor of the signed-in user
+ * @private
+ */
+const findVendor = async (userId) => {
+  const vendor = await Vendor.findOne({ where: { user_id: userId } });
+  if (!vendor) {
+    throw new AppError("Vendor account not found", 404);
+  }
+  return vendor;
+};
+
+/**
+ * Send a CSV file as a download
+ * @private
+ */
+const sendCsv = (res, { filename, content }) => {
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+  res.status(200).send(content);
+};
+
+/**
+ * Uploads a product catalog and queues it for import. The catalog is a CSV or JSON file in the
+ * "file" field, or a JSON body with a products array. Products are created or updated by SKU in
+ * the background; poll the import for its progress and per-row results.
+ * @param {import('express').Request} req - Express request object (vendor authentication required)
+ * @param {Object} req.files - Uploaded files
+ * @param {Object} [req.files.file] - .csv or .json catalog
+ * @param {Object} req.body - Request body
+ * @param {Array<Object>} [req.body.products] - Products, instead of a file
+ * @param {boolean} [req.body.dry_run=false] - Validate and report without saving anything
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Accepted response with the queued import
+ * @throws {AppError} 400 - No catalog, or the catalog cannot be read
+ * @throws {AppError} 403 - Vendor is not approved
+ * @throws {AppError} 404 - Vendor account not found
+ * @api {post} /api/v1/product-imports Import Products
+ * @private vendor
+ * @example
+ * // Request (multipart/form-data)
+ * POST /api/v1/product-imports
+ * Authorization: Bearer <vendor_token>
+ * file: catalog.csv
+ * dry_run: true
+ *
+ * // Success Response (202)
+ * {
+ *   "status": "success",
+ *   "message": "Dry run queued for 120 product(s)",
+ *   "data": {
+ *     "import": {
+ *       "id": 7,
+ *       "filename": "catalog.csv",
+ *       "format": "csv",
+ *       "dry_run": true,
+ *       "status": "queued",
+ *       "total_rows": 120,
+ *       "processed_rows": 0,
+ *       "counts": { "total": 120, "created": 0, "updated": 0, "unchanged": 0, "failed": 0 },
+ *       ...
+ *     }
+ *   }
+ * }
+ */
+const createProductImport = async (req, res, next) => {
+  try {
+    const vendor = await findVendor(req.user.id);
+    const dryRun = ["true", "1", true].includes(req.body.dry_run ?? req.query.dry_run);
+    const file = req.files && req.files.file;
+
+    let format;
+    let content;
+    let filename = null;
+    if (file) {
+      content = await readTextUpload(file, [".csv", ".json"]);
+      format = path.extname(file.name).slice(1).toLowerCase();
+      filename = file.name;
+    } else if (Array.isArray(req.body.products)) {
+      format = "json";
+      content = req.body.products;
+    } else {
+      return next(new AppError('Upload a .csv or .json catalog in the "file" field, or send a products array', 400));
+    }
+
+    const productImport = await ProductImportService.create({
+      vendorId: vendor.id,
+      userId: req.user.id,
+      format,
+      content,
+      filename,
+      dryRun,
+    });
+
+    res.status(202).json({
+      status: "success",
+      message: `${dryRun ? "Dry run" : "Import"} queued for ${productImport.total_rows} product(s)`,
+      data: { import: productImport },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the vendor's product imports, most recent first.
+ * @param {import('express').Request} req - Express request object (vendor authentication required)
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with imports and pagination
+ * @api {get} /api/v1/product-imports List Product Imports
+ * @private vendor
+ */
+const getProductImports = async (req, res, next) => {
+  try {
+    const vendor = await findVendor(req.user.id);
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await ProductImportService.list(vendor.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets a product import with its progress and, once it has completed, the outcome and errors
+ * of every row.
+ * @param {import('express').Request} req - Express request object (vendor authentication required)
+ * @param {string} req.params.id - Import ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the import and its results
+ * @throws {AppError} 404 - Import not found
+ * @api {get} /api/v1/product-imports/:id Get Product Import
+ * @private vendor
+ * @example
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "import": {
+ *       "id": 7,
+ *       "status": "completed",
+ *       "counts": { "total": 2, "created": 1, "updated": 0, "unchanged": 0, "failed": 1 },
+ *       "results": [
+ *         { "row": 2, "sku": "LS-001", "name": "Linen Shirt", "outcome": "created", "product_id": 88, "errors": [] },
+ *         { "row": 3, "sku": "LS-002", "name": "Linen Trousers", "outcome": "failed", "product_id": null,
+ *           "errors": ["Unknown category \"men-trouser\""] }
+ *       ],
+ *       ...
+ *     }
+ *   }
+ * }
+ */
+const getProductImport = async (req, res, next) => {
+  try {
+    const vendor = await findVendor(req.user.id);
+    const productImport = await ProductImportService.get(vendor.id, req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      data: { import: productImport },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Downloads the per-row results of a completed import as CSV.
+ * @param {import('express').Request} req - Express request object (vendor authentication required)
+ * @param {string} req.params.id - Import ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {void} CSV file (columns: row, sku, name, outcome, product_id, errors)
+ * @throws {AppError} 400 - Import has not completed
+ * @throws {AppError} 404 - Import not found
+ * @api {get} /api/v1/product-imports/:id/report Download Product Import Report
+ * @private vendor
+ */
+const downloadProductImportReport = async (req, res, next) => {
+  try {
+    const vendor = await findVendor(req.user.id);
+    const report = await ProductImportService.report(vendor.id, req.params.id);
+
+    sendCsv(res, report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Downloads a CSV catalog template with the import columns and an example product.
+ * @param {import('express').Request} req - Express request object (vendor authentication required)
+ * @param {import('express').Response} res - Express response object
+ * @returns {void} CSV file
+ * @api {get} /api/v1/product-imports/template Download Product Import Template
+ * @private vendor
+ */
+const downloadProductImportTemplate = (req, res) => {
+  sendCsv(res, ProductImportService.template());
+};
+
+module.exports = {
+  createProductImport,
+  getProductImports,
+  getProductImport,
+  downloadProductImportReport,
+  downloadProductImportTemplate,
+};
@@ -20,6 +20,7 @@ const slugify = require("slugify");
 const VariantService = require("../services/variant.service");
 const ImageProcessor = require("../utils/imageProcessor");
 const recentlyViewedService = require("../services/recently-viewed.service");
+const SearchService = require("../services/search.service");
 const fs = require("fs");
 
 /**
@@ -32,6 +33,7 @@ const fs = require("fs");
  * @param {number} req.body.price - Product price (required)
  * @param {number} req.body.category_id - Category ID (required)
  * @param {string} req.body.sku - Product SKU (required)
+ * @param {number} [req.body.weight] - Shipping weight in kg
  * @param {Array<Object>} [req.body.variants] - Product variants array with type categorization
  * @param {Array<Object>} [req.body.images] - Product images array
  * @param {number} [req.body.vendor_id] - Vendor ID (admin only)
@@ -105,6 +107,7 @@ const createProduct = async (req, res, next) => {
       price,
       category_id,
       sku,
+      weight,
       variants: rawVariants = [],
       vendor_id: vendorId, // Optional vendor_id for admin
     } = req.body;
@@ -216,6 +219,7 @@ const createProduct = async (req, res, next) => {
           description,
           price,
           sku,
+          weight: weight || null,
           status: "active",
           impressions: 0,
           sold_units: 0,
@@ -360,6 +364,8 @@ const createProduct = async (req, res, next) => {
       });
     }); // End of transaction
 
+    await SearchService.queueIndex(createdProduct.id);
+
     res.status(201).json({
       success: true,
       data: createdProduct,
@@ -394,7 +400,7 @@ const createProduct = async (req, res, next) => {
  * @param {number} [req.query.limit=12] - Number of products per page
  * @param {string|number} [req.query.category] - Category ID (numeric) or name/slug (string)
  * @param {number} [req.query.vendor] - Vendor ID to filter products by
- * @param {string} [req.query.search] - Search term for product name or description
+ * @param {string} [req.query.search] - Search text, ranked by relevance (see SearchService)
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next middleware function
  * @returns {Object} Success response with paginated product list
@@ -410,6 +416,8 @@ const createProduct = async (req, res, next) => {
  * @returns {Object} data.data[].Category - Product category info
  * @returns {Object} data.data[].Vendor - Product vendor info
  * @returns {Array} data.data[].images - Product images (first image only)
+ * @returns {string} data.data[].rating_average - Average of approved review ratings (0 when unrated)
+ * @returns {number} data.data[].rating_count - Number of approved reviews
  * @throws {AppError} 404 - When category filter is provided but category not found
  * @api {get} /api/v1/products Get All Products
  * @public
@@ -431,6 +439,8 @@ const createProduct = async (req, res, next) => {
  *       "price": 99.99,
  *       "Category": {"id": 1, "name": "Electronics"},
  *       "Vendor": {"id": 1},
+ *       "rating_average": "4.50",
+ *       "rating_count": 12,
  *       "images": [{"id": 1, "image_url": "https://example.com/image.jpg"}]
  *     }
  *   ]
@@ -478,12 +488,14 @@ const getProducts = async (req, res, next) => {
       }
     }
 
-    // Search by product name or description
+    // Ranked full-text search (see SearchService); results keep the relevance order
+    let order = [["created_at", "DESC"]];
     if (search) {
-      whereClause[Op.or] = [
-        { name: { [Op.like]: `%${search}%` } },
-        { description: { [Op.like]: `%${search}%` } },
-      ];
+      const productIds = await SearchService.matchProductIds(search);
+      whereClause.id = productIds;
+      if (productIds.length > 0) {
+        order = [[sequelize.literal(`FIELD(Product.id, ${productIds.map(Number).join(",")})`), "ASC"]];
+      }
     }
 
     // Use separate count query to avoid cartesian product explosion
@@ -508,6 +520,8 @@ const getProducts = async (req, res, next) => {
         "status",
         "impressions",
         "sold_units",
+        "rating_average",
+        "rating_count",
         "created_at",
         "updated_at",
         [
@@ -534,7 +548,7 @@ const getProducts = async (req, res, next) => {
         },
         { model: ProductImage, limit: 1, as: "images" }, // Only get first image for listing
       ],
-      order: [["created_at", "DESC"]],
+      order,
     });
 
     res.status(200).json({
@@ -573,6 +587,9 @@ const getProducts = async (req, res, next) => {
  * @returns {Object} data.data.Vendor - Product vendor with store info
  * @returns {Array} data.data.ProductVariants - Product variants
  * @returns {Array} data.data.ProductImages - Product images
+ * @returns {string} data.data.rating_average - Average of approved review ratings (0 when unrated)
+ * @returns {number} data.data.rating_count - Number of approved reviews
+ * @returns {Object} data.data.rating_histogram - Approved reviews per star ({ "1": 0, ..., "5": 8 })
  * @throws {AppError} 404 - When product is not found
  * @api {get} /api/v1/products/:identifier Get Product by ID/Slug
  * @public
@@ -595,6 +612,9 @@ const getProducts = async (req, res, next) => {
  *     "status": "active",
  *     "impressions": 156,
  *     "sold_units": 23,
+ *     "rating_average": "4.50",
+ *     "rating_count": 12,
+ *     "rating_histogram": {"1": 0, "2": 1, "3": 1, "4": 2, "5": 8},
  *     "Category": {"id": 1, "name": "Electronics"},
  *     "Vendor": {
  *       "id": 1,
@@ -638,6 +658,9 @@ const getProductByIdentifier = async (req, res, next) => {
         "status",
         "impressions",
         "sold_units",
+        "rating_average",
+        "rating_count",
+        "rating_histogram",
         "created_at",
         "updated_at",
         [
@@ -651,7 +674,7 @@ const getProductByIdentifier = async (req, res, next) => {
         { model: Category, attributes: ["id", "name", "slug"] },
         {
           model: Vendor,
-          attributes: ["id", "status"],
+          attributes: ["id", "status", "rating_average", "rating_count"],
           as: "vendor",
           include: [
             {
@@ -685,6 +708,8 @@ const getProductByIdentifier = async (req, res, next) => {
           model: Review,
           as: "reviews",
           attributes: ["id", "rating", "comment", "created_at"],
+          where: { status: "approved" },
+          required: false,
           include: [
             {
               model: User,
@@ -990,6 +1015,7 @@ const updateProductStatus = async (req, res, next) => {
     }
 
     await product.update({ status });
+    await SearchService.queueIndex(product.id);
 
     res.status(200).json({
       success: true,
@@ -1132,6 +1158,8 @@ const updateProduct = async (req, res, next) => {
       req.user.id
     );
 
+    await SearchService.queueIndex(req.params.id);
+
     // Add thumbnailUrl to the response if not already present
     if (updatedProduct && !updatedProduct.thumbnailUrl) {
       updatedProduct.thumbnailUrl = updatedProduct.thumbnail;
@@ -1177,6 +1205,8 @@ const deleteProduct = async (req, res, next) => {
       req.user.id
     );
 
+    await SearchService.queueIndex(req.params.id);
+
     res.status(200).json(result);
   } catch (error) {
     next(error);
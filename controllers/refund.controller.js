@@ -0,0 +1,246 @@
+const { Order, sequelize } = require("../models");
+const RefundService = require("../services/refund.service");
+const AppError = require("../utils/appError");
+
+/**
+ * Retrieves refunds issued to the authenticated customer.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.order_id] - Only refunds for this order
+ * @param {string} [req.query.status] - Filter by refund status (pending, processed, failed)
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {Object} req.user - Authenticated user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with refunds and pagination
+ * @api {get} /api/v1/refunds Get My Refunds
+ * @private user
+ * @example
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "refunds": [
+ *       {
+ *         "id": 3,
+ *         "order_id": 1001,
+ *         "order_number": "STY-1733821200000-00001001",
+ *         "amount": 15000,
+ *         "status": "processed",
+ *         "source": "cancellation",
+ *         "reason": "Changed my mind",
+ *         "processed_at": "2025-12-11T10:00:00.000Z"
+ *       }
+ *     ],
+ *     "pagination": { "total": 1, "total_pages": 1, "current_page": 1, ... }
+ *   }
+ * }
+ */
+const getMyRefunds = async (req, res, next) => {
+  try {
+    const { order_id, status, page = 1, limit = 20 } = req.query;
+
+    const result = await RefundService.list({
+      userId: req.user.id,
+      orderId: order_id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves one of the authenticated customer's refunds with the items it covers.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Refund ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with refund details
+ * @throws {AppError} 404 - When refund not found
+ * @api {get} /api/v1/refunds/:id Get My Refund
+ * @private user
+ */
+const getMyRefund = async (req, res, next) => {
+  try {
+    const refund = await RefundService.findById(req.params.id, {
+      userId: req.user.id,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: RefundService.format(refund),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists refunds across all orders.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.order_id] - Filter by order
+ * @param {string} [req.query.status] - Filter by refund status
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with refunds and pagination
+ * @api {get} /api/v1/admin/refunds Get All Refunds
+ * @private admin
+ */
+const getAllRefunds = async (req, res, next) => {
+  try {
+    const { order_id, status, page = 1, limit = 20 } = req.query;
+
+    const result = await RefundService.list({
+      orderId: order_id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a refund with its order and refunded items.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Refund ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with refund details
+ * @throws {AppError} 404 - When refund not found
+ * @api {get} /api/v1/admin/refunds/:id Get Refund
+ * @private admin
+ */
+const getRefund = async (req, res, next) => {
+  try {
+    const refund = await RefundService.findById(req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      data: RefundService.format(refund),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issues a full or partial refund for a paid order.
+ * Without items the remaining order balance (including shipping and tax) is refunded;
+ * with items only the given quantities are refunded at their unit price.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.order_id - Order to refund
+ * @param {Array<Object>} [req.body.items] - Items to refund
+ * @param {number} req.body.items[].order_item_id - Order item ID
+ * @param {number} req.body.items[].quantity - Quantity to refund
+ * @param {string} [req.body.reason] - Reason shown to the customer
+ * @param {Object} req.user - Authenticated admin user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the created refund
+ * @throws {AppError} 400 - When the order is unpaid or the refund exceeds what is refundable
+ * @throws {AppError} 404 - When order not found
+ * @api {post} /api/v1/admin/refunds Create Refund
+ * @private admin
+ * @example
+ * // Request
+ * POST /api/v1/admin/refunds
+ * Authorization: Bearer <admin_token>
+ * {
+ *   "order_id": 1001,
+ *   "items": [{ "order_item_id": 55, "quantity": 1 }],
+ *   "reason": "Item arrived damaged"
+ * }
+ *
+ * // Success Response (201)
+ * {
+ *   "status": "success",
+ *   "message": "Refund initiated",
+ *   "data": { "id": 4, "amount": 7500, "status": "pending", "items": [...] }
+ * }
+ */
+const createRefund = async (req, res, next) => {
+  try {
+    const { order_id, items, reason } = req.body;
+
+    const refund = await sequelize.transaction(async (transaction) => {
+      const order = await Order.findByPk(order_id, { transaction });
+      if (!order) {
+        throw new AppError("Order not found", 404);
+      }
+
+      return RefundService.createRefund(
+        { order, items, reason, source: "manual", initiatedBy: req.user.id },
+        { transaction }
+      );
+    });
+
+    await RefundService.submit(refund);
+
+    res.status(201).json({
+      status: "success",
+      message: "Refund initiated",
+      data: RefundService.format(await RefundService.findById(refund.id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resubmits a failed refund to Paystack.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Refund ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the refund
+ * @throws {AppError} 400 - When the refund has not failed
+ * @throws {AppError} 404 - When refund not found
+ * @api {post} /api/v1/admin/refunds/:id/retry Retry Refund
+ * @private admin
+ */
+const retryRefund = async (req, res, next) => {
+  try {
+    const refund = await RefundService.retry(req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      message:
+        refund.status === "failed" ? "Refund retry failed" : "Refund resubmitted",
+      data: RefundService.format(await RefundService.findById(refund.id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyRefunds,
+  getMyRefund,
+  getAllRefunds,
+  getRefund,
+  createRefund,
+  retryRefund,
+};
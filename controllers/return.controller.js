@@ -0,0 +1,458 @@
+const { Vendor } = require("../models");
+const ReturnService = require("../services/return.service");
+const AppError = require("../utils/appError");
+
+/**
+ * Resolve the vendor ID of the authenticated vendor user
+ * @private
+ */
+const getVendorId = async (userId) => {
+  const vendor = await Vendor.findOne({ where: { user_id: userId }, attributes: ["id"] });
+  if (!vendor) {
+    throw new AppError("Vendor not found", 404);
+  }
+  return vendor.id;
+};
+
+/**
+ * Vendor scope for review actions: admins act on any return, vendors only on their own
+ * @private
+ */
+const getReviewScope = async (req) => {
+  if (req.user.roles && req.user.roles.some((role) => role.name === "admin")) {
+    return undefined;
+  }
+  return getVendorId(req.user.id);
+};
+
+/**
+ * Requests a return for items of a delivered order.
+ * Accepts multipart/form-data so photos can be attached; all items must come from one vendor.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.order_id - Delivered order the items belong to
+ * @param {Array<Object>|string} req.body.items - Items to return (JSON string in multipart requests)
+ * @param {number} req.body.items[].order_item_id - Order item ID
+ * @param {number} req.body.items[].quantity - Quantity to return
+ * @param {string} req.body.reason_code - damaged, defective, wrong_item, not_as_described, size_issue, changed_mind or other
+ * @param {string} [req.body.description] - Details about the problem
+ * @param {Array<Object>} [req.uploadedFiles] - Photos stored by the upload middleware
+ * @param {Object} req.user - Authenticated user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the created return request
+ * @throws {AppError} 400 - When the order is not delivered or items cannot be returned
+ * @throws {AppError} 404 - When order not found
+ * @api {post} /api/v1/returns Request Return
+ * @private user
+ * @example
+ * // Request (multipart/form-data)
+ * POST /api/v1/returns
+ * Authorization: Bearer <token>
+ * order_id=1001
+ * items=[{"order_item_id":55,"quantity":1}]
+ * reason_code=damaged
+ * description=The heel came off on first wear
+ * attachments=<photo.jpg>
+ *
+ * // Success Response (201)
+ * {
+ *   "status": "success",
+ *   "message": "Return request submitted",
+ *   "data": {
+ *     "id": 12,
+ *     "order_id": 1001,
+ *     "status": "requested",
+ *     "reason_code": "damaged",
+ *     "attachments": [{ "filename": "attachments-1733...jpg", "url": "/uploads/return-attachments/...", ... }],
+ *     "items": [{ "order_item_id": 55, "product": "Leather Sandals", "quantity": 1, "restocked": false }]
+ *   }
+ * }
+ */
+const createReturn = async (req, res, next) => {
+  try {
+    const { order_id, items, reason_code, description } = req.body;
+
+    const attachments = (req.uploadedFiles || []).map((file) => ({
+      filename: file.filename,
+      url: file.url,
+      mimetype: file.mimetype,
+      size: file.size,
+    }));
+
+    const returnRequest = await ReturnService.create({
+      userId: req.user.id,
+      orderId: order_id,
+      items,
+      reasonCode: reason_code,
+      description,
+      attachments,
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Return request submitted",
+      data: ReturnService.format(returnRequest),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves the authenticated customer's return requests.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.order_id] - Only returns for this order
+ * @param {string} [req.query.status] - Filter by return status
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {Object} req.user - Authenticated user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with return requests and pagination
+ * @api {get} /api/v1/returns Get My Returns
+ * @private user
+ */
+const getMyReturns = async (req, res, next) => {
+  try {
+    const { order_id, status, page = 1, limit = 20 } = req.query;
+
+    const result = await ReturnService.list({
+      userId: req.user.id,
+      orderId: order_id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves one of the authenticated customer's return requests.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Return request ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with return request details
+ * @throws {AppError} 404 - When return request not found
+ * @api {get} /api/v1/returns/:id Get My Return
+ * @private user
+ */
+const getMyReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnService.findById(req.params.id, {
+      userId: req.user.id,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: ReturnService.format(returnRequest),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancels a return request that has not been received yet.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Return request ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the cancelled return request
+ * @throws {AppError} 400 - When the items have already been received
+ * @throws {AppError} 404 - When return request not found
+ * @api {patch} /api/v1/returns/:id/cancel Cancel Return
+ * @private user
+ */
+const cancelReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnService.cancel(req.params.id, {
+      userId: req.user.id,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Return request cancelled",
+      data: ReturnService.format(returnRequest),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves return requests for items sold by the authenticated vendor.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.order_id] - Filter by order
+ * @param {string} [req.query.status] - Filter by return status
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {Object} req.user - Authenticated vendor user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with return requests and pagination
+ * @throws {AppError} 404 - When vendor profile not found
+ * @api {get} /api/v1/returns/vendor Get Vendor Returns
+ * @private vendor
+ */
+const getVendorReturns = async (req, res, next) => {
+  try {
+    const { order_id, status, page = 1, limit = 20 } = req.query;
+
+    const result = await ReturnService.list({
+      vendorId: await getVendorId(req.user.id),
+      orderId: order_id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a return request for items sold by the authenticated vendor.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Return request ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with return request details
+ * @throws {AppError} 404 - When return request or vendor profile not found
+ * @api {get} /api/v1/returns/vendor/:id Get Vendor Return
+ * @private vendor
+ */
+const getVendorReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnService.findById(req.params.id, {
+      vendorId: await getVendorId(req.user.id),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: ReturnService.format(returnRequest),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves all return requests.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.order_id] - Filter by order
+ * @param {string} [req.query.status] - Filter by return status
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with return requests and pagination
+ * @api {get} /api/v1/admin/returns Get All Returns
+ * @private admin
+ */
+const getAllReturns = async (req, res, next) => {
+  try {
+    const { order_id, status, page = 1, limit = 20 } = req.query;
+
+    const result = await ReturnService.list({
+      orderId: order_id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a return request with its items, customer and refund.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Return request ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with return request details
+ * @throws {AppError} 404 - When return request not found
+ * @api {get} /api/v1/admin/returns/:id Get Return
+ * @private admin
+ */
+const getReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnService.findById(req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      data: ReturnService.format(returnRequest),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approves a requested return. Vendors may only approve returns of their own items.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Return request ID
+ * @param {Object} req.user - Authenticated vendor or admin user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the approved return request
+ * @throws {AppError} 400 - When the return is not awaiting review
+ * @throws {AppError} 404 - When return request not found
+ * @api {patch} /api/v1/returns/vendor/:id/approve Approve Return (vendor)
+ * @api {patch} /api/v1/admin/returns/:id/approve Approve Return (admin)
+ * @private vendor, admin
+ */
+const approveReturn = async (req, res, next) => {
+  try {
+    const vendorId = await getReviewScope(req);
+
+    const returnRequest = await ReturnService.approve(req.params.id, {
+      reviewerId: req.user.id,
+      vendorId,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Return request approved",
+      data: ReturnService.format(returnRequest),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rejects a requested return. Vendors may only reject returns of their own items.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Return request ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.reason - Reason shown to the customer
+ * @param {Object} req.user - Authenticated vendor or admin user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the rejected return request
+ * @throws {AppError} 400 - When the return is not awaiting review
+ * @throws {AppError} 404 - When return request not found
+ * @api {patch} /api/v1/returns/vendor/:id/reject Reject Return (vendor)
+ * @api {patch} /api/v1/admin/returns/:id/reject Reject Return (admin)
+ * @private vendor, admin
+ */
+const rejectReturn = async (req, res, next) => {
+  try {
+    const vendorId = await getReviewScope(req);
+
+    const returnRequest = await ReturnService.reject(req.params.id, {
+      reviewerId: req.user.id,
+      reason: req.body.reason,
+      vendorId,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Return request rejected",
+      data: ReturnService.format(returnRequest),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Records that approved return items arrived. The items are restocked into their variant
+ * combination and, for paid orders, refunded to the customer.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Return request ID
+ * @param {Object} req.body - Request body
+ * @param {boolean} [req.body.restock=true] - Put the items back into stock (false for unsellable items)
+ * @param {boolean} [req.body.refund=true] - Refund the returned items
+ * @param {Object} req.user - Authenticated vendor or admin user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the return request and its refund
+ * @throws {AppError} 400 - When the return has not been approved or the items cannot be refunded
+ * @throws {AppError} 404 - When return request not found
+ * @api {patch} /api/v1/returns/vendor/:id/receive Receive Return (vendor)
+ * @api {patch} /api/v1/admin/returns/:id/receive Receive Return (admin)
+ * @private vendor, admin
+ * @example
+ * // Request
+ * PATCH /api/v1/admin/returns/12/receive
+ * Authorization: Bearer <admin_token>
+ * { "restock": false }
+ *
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "message": "Return received",
+ *   "data": {
+ *     "id": 12,
+ *     "status": "refunded",
+ *     "refund": { "id": 4, "amount": 7500, "status": "pending", "reference": "REFUND-1733...-1001" },
+ *     ...
+ *   }
+ * }
+ */
+const receiveReturn = async (req, res, next) => {
+  try {
+    const vendorId = await getReviewScope(req);
+    const { restock, refund } = req.body;
+
+    const returnRequest = await ReturnService.receive(req.params.id, {
+      userId: req.user.id,
+      vendorId,
+      restock: restock !== false,
+      refund: refund !== false,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Return received",
+      data: ReturnService.format(returnRequest),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createReturn,
+  getMyReturns,
+  getMyReturn,
+  cancelReturn,
+  getVendorReturns,
+  getVendorReturn,
+  getAllReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+};
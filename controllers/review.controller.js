@@ -1,21 +1,24 @@
-const { Review, User, Product, Order, OrderItem } = require("../models");
+const { Review, User, Product } = require("../models");
+const ReviewService = require("../services/review.service");
 const AppError = require("../utils/appError");
-const { Op } = require("sequelize");
 
 /**
- * Creates a new review for a product.
- * Users can only create one review per product.
+ * Creates a new review for a product, with optional photos.
+ * Users can only create one review per product. The review is flagged as a verified purchase
+ * when the user has a delivered order containing the product, and is shown once a moderator
+ * approves it.
  * @param {import('express').Request} req - Express request object
  * @param {Object} req.body - Request body
  * @param {number} req.body.product_id - Product ID to review
  * @param {number} req.body.rating - Rating (1-5)
  * @param {string} [req.body.comment] - Optional review comment
+ * @param {Array<Object>} [req.uploadedFiles] - Photos stored by the upload middleware
  * @param {Object} req.user - Authenticated user info
  * @param {number} req.user.id - User ID
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next middleware function
- * @returns {Object} Success response with created review
- * @throws {AppError} 403 - When user has not purchased the product
+ * @returns {Object} Success response with created review (status "pending")
+ * @throws {AppError} 403 - When purchases are required (REVIEWS_REQUIRE_PURCHASE) and the user has none
  * @throws {AppError} 400 - When user has already reviewed this product
  * @throws {AppError} 404 - When product not found
  * @api {post} /api/v1/reviews Create Review
@@ -24,47 +27,20 @@ const { Op } = require("sequelize");
 const createReview = async (req, res, next) => {
   try {
     const { product_id, rating, comment } = req.body;
-    const user_id = req.user.id;
 
-    // Check if user has purchased this product (completed orders only)
-    let hasPurchased = await OrderItem.findOne({
-      include: [
-        {
-          model: Order,
-          where: {
-            user_id,
-            order_status: "delivered",
-          },
-          required: true,
-        },
-      ],
-      where: { product_id },
-    });
-
-    if (!hasPurchased) {
-      return next(
-        new AppError(
-          "You can only review products you have purchased. Please purchase this product first to leave a review.",
-          403
-        )
-      );
-    }
+    const images = (req.uploadedFiles || []).map((file) => ({
+      filename: file.filename,
+      url: file.url,
+      mimetype: file.mimetype,
+      size: file.size,
+    }));
 
-    // Check if user has already reviewed this product
-    const existingReview = await Review.findOne({
-      where: { product_id, user_id },
-    });
-
-    if (existingReview) {
-      return next(new AppError("You have already reviewed this product", 400));
-    }
-
-    // Create the review
-    const review = await Review.create({
-      product_id,
-      user_id,
+    const review = await ReviewService.create({
+      userId: req.user.id,
+      productId: product_id,
       rating,
       comment,
+      images,
     });
 
     // Fetch the created review with associations
@@ -85,6 +61,7 @@ const createReview = async (req, res, next) => {
 
     res.status(201).json({
       success: true,
+      message: "Thank you! Your review will be visible once it has been approved.",
       data: createdReview,
     });
   } catch (error) {
@@ -93,7 +70,7 @@ const createReview = async (req, res, next) => {
 };
 
 /**
- * Retrieves a paginated list of reviews with optional filtering.
+ * Retrieves a paginated list of approved reviews with optional filtering.
  * @param {import('express').Request} req - Express request object
  * @param {Object} req.query - Query parameters
  * @param {number} [req.query.page=1] - Page number
@@ -112,7 +89,7 @@ const getReviews = async (req, res, next) => {
     const { page = 1, limit = 10, product_id, user_id, rating } = req.query;
 
     const offset = (page - 1) * limit;
-    const whereClause = {};
+    const whereClause = { status: "approved" };
 
     // Apply filters
     if (product_id) whereClause.product_id = product_id;
@@ -150,20 +127,21 @@ const getReviews = async (req, res, next) => {
 };
 
 /**
- * Retrieves a specific review by ID.
+ * Retrieves a specific approved review by ID.
  * @param {import('express').Request} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {number} req.params.id - Review ID
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next middleware function
  * @returns {Object} Success response with review details
- * @throws {AppError} 404 - When review not found
+ * @throws {AppError} 404 - When review not found or not approved
  * @api {get} /api/v1/reviews/:id Get Review by ID
  * @public
  */
 const getReviewById = async (req, res, next) => {
   try {
-    const review = await Review.findByPk(req.params.id, {
+    const review = await Review.findOne({
+      where: { id: req.params.id, status: "approved" },
       include: [
         {
           model: User,
@@ -193,7 +171,8 @@ const getReviewById = async (req, res, next) => {
 
 /**
  * Updates an existing review.
- * Only the review owner can update their review.
+ * Only the review owner can update their review. The edited review is hidden until a moderator
+ * approves it again.
  * @param {import('express').Request} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {number} req.params.id - Review ID
@@ -212,77 +191,9 @@ const getReviewById = async (req, res, next) => {
  */
 const updateReview = async (req, res, next) => {
   try {
-    const review = await Review.findByPk(req.params.id);
-
-    if (!review) {
-      return next(new AppError("Review not found", 404));
-    }
-
-    // Check if user has purchased this product (completed orders only)
-    hasPurchased = await OrderItem.findOne({
-      include: [
-        {
-          model: Order,
-          where: {
-            user_id: req.user.id,
-            order_status: "delivered",
-          },
-          required: true,
-        },
-      ],
-      where: { product_id: review.product_id },
-    });
-
-    if (!hasPurchased) {
-      return next(
-        new AppError(
-          "You can only update reviews for products you have purchased. Please purchase this product first to manage its review.",
-          403
-        )
-      );
-    }
-
-    // Check if user has purchased this product (completed orders only)
-    hasPurchased = await OrderItem.findOne({
-      include: [
-        {
-          model: Order,
-          where: {
-            user_id: req.user.id,
-            order_status: "delivered",
-          },
-          required: true,
-        },
-      ],
-      where: { product_id: review.product_id },
-    });
-
-    if (!hasPurchased) {
-      return next(
-        new AppError(
-          "You can only update reviews for products you have purchased. Please purchase this product first to manage its review.",
-          403
-        )
-      );
-    }
-
-    // Check if user owns this review
-    if (review.user_id !== req.user.id) {
-      return next(new AppError("You can only update your own reviews", 403));
-    }
-
     const { rating, comment } = req.body;
-    const updateData = {};
-
-    if (rating !== undefined) updateData.rating = rating;
-    if (comment !== undefined) updateData.comment = comment;
-
-    // Check if there's anything to update
-    if (Object.keys(updateData).length === 0) {
-      return next(new AppError("No valid fields provided for update", 400));
-    }
 
-    await review.update(updateData);
+    const review = await ReviewService.update(req.params.id, req.user.id, { rating, comment });
 
     // Fetch updated review with associations
     const updatedReview = await Review.findByPk(review.id, {
@@ -327,66 +238,7 @@ const updateReview = async (req, res, next) => {
  */
 const deleteReview = async (req, res, next) => {
   try {
-    const review = await Review.findByPk(req.params.id);
-
-    if (!review) {
-      return next(new AppError("Review not found", 404));
-    }
-
-    // Check if user has purchased this product (completed orders only)
-    hasPurchased = await OrderItem.findOne({
-      include: [
-        {
-          model: Order,
-          where: {
-            user_id: req.user.id,
-            order_status: "delivered",
-          },
-          required: true,
-        },
-      ],
-      where: { product_id: review.product_id },
-    });
-
-    if (!hasPurchased) {
-      return next(
-        new AppError(
-          "You can only update reviews for products you have purchased. Please purchase this product first to manage its review.",
-          403
-        )
-      );
-    }
-
-    // Check if user has purchased this product (completed orders only)
-    hasPurchased = await OrderItem.findOne({
-      include: [
-        {
-          model: Order,
-          where: {
-            user_id: req.user.id,
-            order_status: "delivered",
-          },
-          required: true,
-        },
-      ],
-      where: { product_id: review.product_id },
-    });
-
-    if (!hasPurchased) {
-      return next(
-        new AppError(
-          "You can only update reviews for products you have purchased. Please purchase this product first to manage its review.",
-          403
-        )
-      );
-    }
-
-    // Check if user owns this review
-    if (review.user_id !== req.user.id) {
-      return next(new AppError("You can only delete your own reviews", 403));
-    }
-
-    await review.destroy();
+    await ReviewService.remove(req.params.id, req.user.id);
 
     res.status(200).json({
       success: true,
@@ -398,7 +250,7 @@ const deleteReview = async (req, res, next) => {
 };
 
 /**
- * Retrieves paginated reviews for a specific product.
+ * Retrieves paginated approved reviews for a specific product.
  * @param {import('express').Request} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {number} req.params.productId - Product ID
@@ -406,6 +258,9 @@ const deleteReview = async (req, res, next) => {
  * @param {number} [req.query.page=1] - Page number
  * @param {number} [req.query.limit=10] - Items per page
  * @param {number} [req.query.rating] - Filter by rating
+ * @param {string} [req.query.sort=recent] - recent, helpful, rating_high or rating_low
+ * @param {boolean} [req.query.verified] - Only verified purchases
+ * @param {boolean} [req.query.with_images] - Only reviews with photos
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next middleware function
  * @returns {Object} Success response with product reviews
@@ -416,8 +271,7 @@ const deleteReview = async (req, res, next) => {
 const getReviewsByProduct = async (req, res, next) => {
   try {
     const { productId } = req.params;
-    const { page = 1, limit = 10, rating } = req.query;
-    const offset = (page - 1) * limit;
+    const { page = 1, limit = 10, rating, sort, verified, with_images } = req.query;
 
     // Check if product exists
     const product = await Product.findByPk(productId, {
@@ -428,21 +282,13 @@ const getReviewsByProduct = async (req, res, next) => {
       return next(new AppError("Product not found", 404));
     }
 
-    const whereClause = { product_id: productId };
-    if (rating) whereClause.rating = rating;
-
-    const { count, rows: reviews } = await Review.findAndCountAll({
-      where: whereClause,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      include: [
-        {
-          model: User,
-          as: "user",
-          attributes: ["id", "first_name", "last_name", "email", "profile_image" ],
-        },
-      ],
-      order: [["created_at", "DESC"]],
+    const { count, rows: reviews } = await ReviewService.listForProduct(productId, {
+      page,
+      limit,
+      rating,
+      sort,
+      verified,
+      withImages: with_images,
     });
 
     res.status(200).json({
@@ -461,6 +307,324 @@ const getReviewsByProduct = async (req, res, next) => {
   }
 };
 
+/**
+ * Votes a review helpful ("up") or unhelpful ("down"). Voting again replaces the earlier vote.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Review ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.vote - "up" or "down"
+ * @param {Object} req.user - Authenticated user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the review's vote counts
+ * @throws {AppError} 400 - When users vote on their own review
+ * @throws {AppError} 404 - When review not found
+ * @api {post} /api/v1/reviews/:id/vote Vote on Review
+ * @private
+ * @example
+ * // Request
+ * POST /api/v1/reviews/31/vote
+ * Authorization: Bearer <token>
+ * { "vote": "up" }
+ *
+ * // Success Response (200)
+ * {
+ *   "success": true,
+ *   "data": { "review_id": 31, "helpful_count": 12, "unhelpful_count": 1, "my_vote": "up" }
+ * }
+ */
+const voteReview = async (req, res, next) => {
+  try {
+    const result = await ReviewService.vote(req.params.id, req.user.id, req.body.vote);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Withdraws the authenticated user's vote on a review.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Review ID
+ * @param {Object} req.user - Authenticated user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the review's vote counts
+ * @throws {AppError} 404 - When review not found
+ * @api {delete} /api/v1/reviews/:id/vote Remove Review Vote
+ * @private
+ */
+const removeReviewVote = async (req, res, next) => {
+  try {
+    const result = await ReviewService.removeVote(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Posts or replaces the vendor's public reply to a review of one of their products.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Review ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.reply - Reply text
+ * @param {Object} req.user - Authenticated vendor info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the updated review
+ * @throws {AppError} 403 - When the product belongs to another vendor
+ * @throws {AppError} 404 - When review not found
+ * @api {put} /api/v1/reviews/:id/reply Reply to Review
+ * @private vendor
+ * @example
+ * // Request
+ * PUT /api/v1/reviews/31/reply
+ * Authorization: Bearer <vendor_token>
+ * { "reply": "Thank you! We have restocked the size you asked about." }
+ *
+ * // Success Response (200)
+ * {
+ *   "success": true,
+ *   "data": { "id": 31, "vendor_reply": "Thank you! ...", "vendor_replied_at": "2025-12-20T09:00:00.000Z", ... }
+ * }
+ */
+const replyToReview = async (req, res, next) => {
+  try {
+    const review = await ReviewService.reply(req.params.id, req.user.id, req.body.reply);
+
+    res.status(200).json({
+      success: true,
+      data: review,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Removes the vendor's reply to a review.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Review ID
+ * @param {Object} req.user - Authenticated vendor info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the updated review
+ * @throws {AppError} 403 - When the product belongs to another vendor
+ * @throws {AppError} 404 - When review not found
+ * @api {delete} /api/v1/reviews/:id/reply Delete Review Reply
+ * @private vendor
+ */
+const deleteReviewReply = async (req, res, next) => {
+  try {
+    const review = await ReviewService.deleteReply(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: review,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reports a review as abusive. Each user can report a review once; once
+ * REVIEW_REPORT_THRESHOLD users have reported it, the review is flagged and hidden until a
+ * moderator looks at it again.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Review ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.reason - spam, offensive, harassment, off_topic, fake or other
+ * @param {string} [req.body.details] - What is wrong with the review
+ * @param {Object} req.user - Authenticated user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the report
+ * @throws {AppError} 400 - When users report their own review or report a review twice
+ * @throws {AppError} 404 - When review not found or not approved
+ * @api {post} /api/v1/reviews/:id/report Report Review
+ * @private
+ * @example
+ * // Request
+ * POST /api/v1/reviews/31/report
+ * Authorization: Bearer <token>
+ * { "reason": "spam", "details": "Advertises another store" }
+ *
+ * // Success Response (201)
+ * {
+ *   "success": true,
+ *   "message": "Thank you. Our team will review this report.",
+ *   "data": { "id": 5, "review_id": 31, "reason": "spam", "status": "open", ... }
+ * }
+ */
+const reportReview = async (req, res, next) => {
+  try {
+    const { reason, details } = req.body;
+
+    const report = await ReviewService.report(req.params.id, req.user.id, { reason, details });
+
+    res.status(201).json({
+      success: true,
+      message: "Thank you. Our team will review this report.",
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves the review moderation queue. Flagged and most reported reviews come first, then the
+ * ones waiting longest.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status=pending] - pending, approved or rejected
+ * @param {boolean} [req.query.flagged] - Only flagged (true) or unflagged (false) reviews
+ * @param {boolean} [req.query.reported] - Only reviews with at least one report
+ * @param {number} [req.query.product_id] - Only reviews of this product
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with reviews and pagination
+ * @api {get} /api/v1/admin/reviews Get Moderation Queue
+ * @private admin, sub-admin (reviews_moderate)
+ * @example
+ * // Request
+ * GET /api/v1/admin/reviews?status=pending&flagged=true
+ * Authorization: Bearer <admin_token>
+ *
+ * // Success Response (200)
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": 31,
+ *       "rating": 1,
+ *       "comment": "…",
+ *       "status": "pending",
+ *       "is_flagged": true,
+ *       "flag_reasons": [{ "type": "banned_words", "words": ["idiot"] }],
+ *       "report_count": 0,
+ *       "user": { "id": 42, ... },
+ *       "product": { "id": 7, ... }
+ *     }
+ *   ],
+ *   "pagination": { "total": 1, "page": 1, "limit": 20, "pages": 1 }
+ * }
+ */
+const getModerationQueue = async (req, res, next) => {
+  try {
+    const { status, flagged, reported, product_id, page = 1, limit = 20 } = req.query;
+
+    const { count, rows: reviews } = await ReviewService.listModerationQueue({
+      status,
+      flagged,
+      reported,
+      productId: product_id,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: reviews,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a review with its reports and last moderation decision.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Review ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the review
+ * @throws {AppError} 404 - When review not found
+ * @api {get} /api/v1/admin/reviews/:id Get Review for Moderation
+ * @private admin, sub-admin (reviews_moderate)
+ */
+const getReviewForModeration = async (req, res, next) => {
+  try {
+    const review = await ReviewService.findForModeration(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: review,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approves or rejects a review. Open reports on the review are resolved and the decision is
+ * recorded in the oversight log.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Review ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.decision - "approve" or "reject"
+ * @param {string} [req.body.note] - Reason for the decision
+ * @param {Object} req.user - Authenticated moderator
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the moderated review
+ * @throws {AppError} 404 - When review not found
+ * @api {patch} /api/v1/admin/reviews/:id/moderate Moderate Review
+ * @private admin, sub-admin (reviews_moderate)
+ * @example
+ * // Request
+ * PATCH /api/v1/admin/reviews/31/moderate
+ * Authorization: Bearer <admin_token>
+ * { "decision": "reject", "note": "Abusive language" }
+ *
+ * // Success Response (200)
+ * {
+ *   "success": true,
+ *   "message": "Review rejected",
+ *   "data": { "id": 31, "status": "rejected", "moderated_by": 1, "moderation_note": "Abusive language", ... }
+ * }
+ */
+const moderateReview = async (req, res, next) => {
+  try {
+    const { decision, note } = req.body;
+
+    const review = await ReviewService.moderate(req.params.id, req.user.id, { decision, note });
+
+    res.status(200).json({
+      success: true,
+      message: `Review ${review.status}`,
+      data: review,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createReview,
   getReviews,
@@ -468,4 +632,12 @@ module.exports = {
   updateReview,
   deleteReview,
   getReviewsByProduct,
+  voteReview,
+  removeReviewVote,
+  replyToReview,
+  deleteReviewReply,
+  reportReview,
+  getModerationQueue,
+  getReviewForModeration,
+  moderateReview,
 };
@@ -1,4 +1,4 @@
-const { Role, Permission } = require('../models');
+const { Role, Permission, OversightLog } = require('../models');
 const AppError = require('../utils/appError');
 const logger = require('../utils/logger');
 
@@ -174,10 +174,45 @@ const deleteRole = async (req, res, next) => {
   }
 };
 
+/**
+ * Require (or stop requiring) two-factor authentication for a role
+ * Users holding the role must set up two-factor authentication at their next login and cannot
+ * turn it off. Works for system roles too, which cannot otherwise be modified.
+ * @route PATCH /api/v1/roles/:id/two-factor
+ * @access Private/Admin
+ */
+const setTwoFactorRequirement = async (req, res, next) => {
+  try {
+    const required = req.body.required === true || req.body.required === 'true';
+    const role = await Role.findByPk(req.params.id);
+
+    if (!role) {
+      return next(new AppError('No role found with that ID', 404));
+    }
+
+    await role.update({ requires_two_factor: required });
+
+    await OversightLog.create({
+      admin_id: req.user.id,
+      functionality: 'two_factor_authentication',
+      action: `${required ? 'Required' : 'Stopped requiring'} two-factor authentication for role "${role.name}"`
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: role
+    });
+  } catch (error) {
+    logger.error(`Error updating two-factor requirement for role ${req.params.id}:`, error);
+    next(new AppError('Failed to update two-factor requirement', 500));
+  }
+};
+
 module.exports = {
   getAllRoles,
   getRole,
   createRole,
   updateRole,
-  deleteRole
+  deleteRole,
+  setTwoFactorRequirement
 };
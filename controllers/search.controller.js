@@ -0,0 +1,154 @@
+const SearchService = require("../services/search.service");
+const QueueService = require("../services/queue.service");
+
+/**
+ * Searches active products by relevance across name, description, category, store name and
+ * variant values. Misspelt words are corrected, synonyms are matched and the matched words are
+ * highlighted. Supports the same filters as the product filter sidebar.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} req.query.q - Search text
+ * @param {number} [req.query.category_id] - Category ID
+ * @param {number} [req.query.min_price] - Lowest price
+ * @param {number} [req.query.max_price] - Highest price
+ * @param {Array<string>} [req.query.colors] - Color values (comma-separated)
+ * @param {Array<string>} [req.query.sizes] - Size values (comma-separated)
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with ranked products and pagination
+ * @api {get} /api/v1/search/products Search Products
+ * @public
+ * @example
+ * // Request
+ * GET /api/v1/search/products?q=ankra%20gown&max_price=50000
+ *
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "query": "ankra gown",
+ *     "corrected_query": "ankara gown",
+ *     "products": [
+ *       {
+ *         "id": 12,
+ *         "name": "Ankara Maxi Dress",
+ *         "price": "25000.00",
+ *         "score": 14.382,
+ *         "highlights": { "name": "<mark>Ankara</mark> Maxi <mark>Dress</mark>", "description": "…" }
+ *       }
+ *     ],
+ *     "pagination": { "total": 1, "total_pages": 1, "current_page": 1, "has_next_page": false, "has_previous_page": false, "limit": 20 }
+ *   }
+ * }
+ */
+const searchProducts = async (req, res, next) => {
+  try {
+    const { q, category_id, min_price, max_price, colors, sizes, page = 1, limit = 20 } = req.query;
+
+    const result = await SearchService.search(
+      q,
+      {
+        categoryId: category_id,
+        minPrice: min_price,
+        maxPrice: max_price,
+        colors,
+        sizes,
+      },
+      { page, limit }
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suggests products, categories, stores and journal posts while the shopper types. Entries whose
+ * name starts with the typed text come first, then the most popular ones. Responses are cached in
+ * Redis for SEARCH_SUGGEST_CACHE_SECONDS.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} req.query.q - Text typed so far (at least 2 characters)
+ * @param {number} [req.query.limit=5] - Suggestions per group
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with suggestions grouped by type
+ * @api {get} /api/v1/search/suggest Search Suggestions
+ * @public
+ * @example
+ * // Request
+ * GET /api/v1/search/suggest?q=ank
+ *
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "query": "ank",
+ *     "products": [{ "id": 12, "name": "Ankara Maxi Dress", "slug": "ankara-maxi-dress", "popularity": 1840, "highlighted": "<mark>Ankara</mark> Maxi Dress" }],
+ *     "categories": [],
+ *     "stores": [{ "id": 4, "business_name": "Ankara House", "slug": "ankara-house", "popularity": 5120, "highlighted": "<mark>Ankara</mark> House" }],
+ *     "journals": []
+ *   }
+ * }
+ */
+const getSuggestions = async (req, res, next) => {
+  try {
+    const { q, limit = 5 } = req.query;
+
+    const suggestions = await SearchService.suggest(q, { limit });
+
+    res.status(200).json({
+      status: "success",
+      data: suggestions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queues a full rebuild of the product search index, e.g. after a bulk import or a change to
+ * the synonym list. The index is also rebuilt on a schedule.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the queued job
+ * @api {post} /api/v1/admin/search/reindex Rebuild Search Index
+ * @private admin
+ * @example
+ * // Request
+ * POST /api/v1/admin/search/reindex
+ * Authorization: Bearer <admin_token>
+ *
+ * // Success Response (202)
+ * {
+ *   "status": "success",
+ *   "message": "Search reindex queued",
+ *   "data": { "id": "3f0c…", "type": "search.reindex", "status": "queued" }
+ * }
+ */
+const reindexProducts = async (req, res, next) => {
+  try {
+    const job = await QueueService.enqueue("search.reindex", {}, { attempts: 1 });
+
+    res.status(202).json({
+      status: "success",
+      message: "Search reindex queued",
+      data: QueueService.format(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  searchProducts,
+  getSuggestions,
+  reindexProducts,
+};
@@ -0,0 +1,318 @@
+const { Vendor } = require("../models");
+const ShipmentService = require("../services/shipment.service");
+const { listCarriers } = require("../services/carriers");
+const AppError = require("../utils/appError");
+
+/**
+ * Vendor scope for shipment management: admins manage every shipment, vendors only their own
+ * @private
+ */
+const getOwnerScope = async (req) => {
+  if (req.user.roles && req.user.roles.some((role) => role.name === "admin")) {
+    return undefined;
+  }
+
+  const vendor = await Vendor.findOne({ where: { user_id: req.user.id }, attributes: ["id"] });
+  if (!vendor) {
+    throw new AppError("Vendor not found", 404);
+  }
+  return vendor.id;
+};
+
+/**
+ * Retrieves the tracking of one of the customer's orders: one shipment per vendor with its
+ * items and status history.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.orderId - Order ID
+ * @param {Object} req.user - Authenticated user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the order status and its shipments
+ * @throws {AppError} 404 - When order not found
+ * @api {get} /api/v1/shipments/orders/:orderId Track Order
+ * @private user
+ * @example
+ * // Request
+ * GET /api/v1/shipments/orders/1001
+ * Authorization: Bearer <token>
+ *
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "order_id": 1001,
+ *     "order_status": "shipped",
+ *     "shipments": [
+ *       {
+ *         "id": 7,
+ *         "store_name": "Ankara House",
+ *         "courier": "GIG Logistics",
+ *         "tracking_number": "GIG123456",
+ *         "status": "in_transit",
+ *         "estimated_delivery": "2025-12-20",
+ *         "events": [
+ *           { "status": "shipped", "description": "Parcel handed to the courier", "occurred_at": "2025-12-16T09:00:00.000Z" },
+ *           { "status": "in_transit", "location": "Ibadan hub", "occurred_at": "2025-12-17T14:30:00.000Z" }
+ *         ],
+ *         "items": [{ "order_item_id": 55, "name": "Ankara Maxi Dress", "quantity": 1 }]
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+const getOrderTracking = async (req, res, next) => {
+  try {
+    const tracking = await ShipmentService.getOrderTracking(req.params.orderId, req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      data: tracking,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the carriers shipments can be booked with.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the carriers
+ * @api {get} /api/v1/shipments/carriers Get Carriers
+ * @private vendor, admin
+ */
+const getCarriers = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      status: "success",
+      data: listCarriers(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists shipments. Vendors only see their own shipments.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - Filter by status
+ * @param {number} [req.query.order_id] - Filter by order
+ * @param {number} [req.query.vendor_id] - Filter by vendor (admin only)
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with shipments and pagination
+ * @api {get} /api/v1/shipments/vendor Get Vendor Shipments
+ * @api {get} /api/v1/admin/shipments Get All Shipments
+ * @private vendor, admin
+ */
+const getShipments = async (req, res, next) => {
+  try {
+    const { status, order_id, vendor_id, page = 1, limit = 20 } = req.query;
+
+    const result = await ShipmentService.list({
+      vendorId: (await getOwnerScope(req)) || vendor_id,
+      orderId: order_id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a shipment with its status history.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Shipment ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with shipment details
+ * @throws {AppError} 404 - When shipment not found
+ * @api {get} /api/v1/shipments/vendor/:id Get Vendor Shipment
+ * @api {get} /api/v1/admin/shipments/:id Get Shipment
+ * @private vendor, admin
+ */
+const getShipment = async (req, res, next) => {
+  try {
+    const shipment = await ShipmentService.findById(req.params.id, {
+      vendorId: await getOwnerScope(req),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: ShipmentService.format(shipment),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Ships a vendor's items of an order and emails the customer the tracking details.
+ * The order is marked shipped once every vendor in it has shipped.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.order_id - Order being shipped
+ * @param {number} [req.body.vendor_id] - Vendor whose items are shipped (admin only, required)
+ * @param {string} [req.body.carrier] - Carrier code (see Get Carriers)
+ * @param {string} [req.body.courier] - Courier name shown to the customer
+ * @param {string} [req.body.tracking_number] - Tracking number (generated by the carrier when omitted)
+ * @param {string} [req.body.tracking_url] - Courier tracking page
+ * @param {string} [req.body.estimated_delivery] - Expected delivery date
+ * @param {string} [req.body.note] - Description of the first tracking event
+ * @param {Object} req.user - Authenticated user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the created shipment
+ * @throws {AppError} 400 - When the order cannot be shipped or the carrier is unknown
+ * @throws {AppError} 404 - When the order has no items from the vendor
+ * @throws {AppError} 409 - When the items have already been shipped
+ * @api {post} /api/v1/shipments/vendor Ship Vendor Items
+ * @api {post} /api/v1/admin/shipments Ship Items
+ * @private vendor, admin
+ * @example
+ * // Request
+ * POST /api/v1/shipments/vendor
+ * Authorization: Bearer <vendor_token>
+ * {
+ *   "order_id": 1001,
+ *   "courier": "GIG Logistics",
+ *   "tracking_number": "GIG123456",
+ *   "estimated_delivery": "2025-12-20"
+ * }
+ *
+ * // Success Response (201)
+ * {
+ *   "status": "success",
+ *   "message": "Shipment created",
+ *   "data": { "id": 7, "order_id": 1001, "carrier": "local", "status": "shipped", "events": [...], ... }
+ * }
+ */
+const createShipment = async (req, res, next) => {
+  try {
+    const isAdmin = req.user.roles && req.user.roles.some((role) => role.name === "admin");
+    const vendorId = (await getOwnerScope(req)) || req.body.vendor_id;
+
+    if (!vendorId) {
+      throw new AppError("vendor_id is required", 400);
+    }
+
+    const shipment = await ShipmentService.createShipment(
+      {
+        orderId: req.body.order_id,
+        vendorId,
+        carrier: req.body.carrier,
+        courier: req.body.courier,
+        trackingNumber: req.body.tracking_number,
+        trackingUrl: req.body.tracking_url,
+        estimatedDelivery: req.body.estimated_delivery,
+        note: req.body.note,
+      },
+      { userId: req.user.id, source: isAdmin ? "admin" : "vendor" }
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Shipment created",
+      data: ShipmentService.format(shipment),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Records a shipment status change. Delivering the last shipment of an order marks the
+ * order delivered.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Shipment ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.status - in_transit, out_for_delivery, delivered, failed_delivery or returned
+ * @param {string} [req.body.description] - What happened
+ * @param {string} [req.body.location] - Where it happened
+ * @param {string} [req.body.occurred_at] - When it happened (defaults to now)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the updated shipment
+ * @throws {AppError} 400 - When the shipment has already been delivered or returned
+ * @throws {AppError} 404 - When shipment not found
+ * @api {post} /api/v1/shipments/vendor/:id/events Add Vendor Shipment Event
+ * @api {post} /api/v1/admin/shipments/:id/events Add Shipment Event
+ * @private vendor, admin
+ */
+const addShipmentEvent = async (req, res, next) => {
+  try {
+    const vendorId = await getOwnerScope(req);
+
+    const shipment = await ShipmentService.addEvent(
+      req.params.id,
+      {
+        status: req.body.status,
+        description: req.body.description,
+        location: req.body.location,
+        occurredAt: req.body.occurred_at,
+      },
+      { vendorId, source: vendorId ? "vendor" : "admin" }
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Shipment updated",
+      data: ShipmentService.format(shipment),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pulls new tracking events from the shipment's carrier.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Shipment ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the shipment
+ * @throws {AppError} 400 - When the shipment has already been delivered or returned
+ * @throws {AppError} 404 - When shipment not found
+ * @api {post} /api/v1/shipments/vendor/:id/refresh Refresh Vendor Shipment
+ * @api {post} /api/v1/admin/shipments/:id/refresh Refresh Shipment
+ * @private vendor, admin
+ */
+const refreshShipment = async (req, res, next) => {
+  try {
+    const shipment = await ShipmentService.refresh(req.params.id, {
+      vendorId: await getOwnerScope(req),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: ShipmentService.format(shipment),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getOrderTracking,
+  getCarriers,
+  getShipments,
+  getShipment,
+  createShipment,
+  addShipmentEvent,
+  refreshShipment,
+};
@@ -0,0 +1,275 @@
+const { Address, Cart, CartItem, Vendor } = require("../models");
+const ShippingService = require("../services/shipping.service");
+const AppError = require("../utils/appError");
+
+/**
+ * Vendor scope for zone management: admins manage every zone, vendors only their own
+ * @private
+ */
+const getOwnerScope = async (req) => {
+  if (req.user.roles && req.user.roles.some((role) => role.name === "admin")) {
+    return undefined;
+  }
+
+  const vendor = await Vendor.findOne({ where: { user_id: req.user.id }, attributes: ["id"] });
+  if (!vendor) {
+    throw new AppError("Vendor not found", 404);
+  }
+  return vendor.id;
+};
+
+/**
+ * Quotes shipping to one of the customer's addresses.
+ * Quotes the given items, or the customer's cart when no items are sent. Orders are charged
+ * the same amount, so the quote can be shown at checkout.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.addressId - Destination address (must belong to the user)
+ * @param {Array<Object>} [req.body.items] - Items to quote instead of the cart
+ * @param {number} req.body.items[].productId - Product ID
+ * @param {number} req.body.items[].quantity - Quantity
+ * @param {Object} req.user - Authenticated user info
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the total and one shipment per vendor
+ * @throws {AppError} 400 - When the cart is empty or a vendor does not ship to the address
+ * @throws {AppError} 404 - When address not found
+ * @api {post} /api/v1/shipping/quote Quote Shipping
+ * @private user
+ * @example
+ * // Request
+ * POST /api/v1/shipping/quote
+ * Authorization: Bearer <token>
+ * { "addressId": 123 }
+ *
+ * // Success Response (200)
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "total": 2500,
+ *     "vendors": [
+ *       { "vendor_id": 3, "zone_name": "Lagos", "rate_name": "Up to 5kg", "weight": 1.2, "item_count": 2, "subtotal": 18000, "free_shipping": false, "cost": 2500 }
+ *     ]
+ *   }
+ * }
+ */
+const getQuote = async (req, res, next) => {
+  try {
+    const { addressId } = req.body;
+
+    const address = await Address.findOne({ where: { id: addressId, user_id: req.user.id } });
+    if (!address) {
+      throw new AppError("Address not found or does not belong to user", 404);
+    }
+
+    let items = req.body.items;
+    if (!items) {
+      const cart = await Cart.findOne({
+        where: { user_id: req.user.id },
+        include: [{ model: CartItem, as: "items", attributes: ["product_id", "quantity", "price"] }],
+      });
+
+      if (!cart || cart.items.length === 0) {
+        throw new AppError("Your cart is empty", 400);
+      }
+
+      items = cart.items.map((item) => ({
+        productId: item.product_id,
+        quantity: item.quantity,
+        price: item.price,
+      }));
+    }
+
+    const quote = await ShippingService.quote({ address, items });
+
+    res.status(200).json({
+      status: "success",
+      data: quote,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists shipping zones. Vendors only see their own zones.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.country] - Filter by country
+ * @param {number} [req.query.vendor_id] - Filter by vendor (admin only)
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with zones and pagination
+ * @api {get} /api/v1/shipping/zones Get Vendor Shipping Zones
+ * @api {get} /api/v1/admin/shipping/zones Get All Shipping Zones
+ * @private vendor, admin
+ */
+const getZones = async (req, res, next) => {
+  try {
+    const { country, vendor_id, page = 1, limit = 20 } = req.query;
+
+    const result = await ShippingService.list({
+      vendorId: (await getOwnerScope(req)) || vendor_id,
+      country,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a shipping zone with its rates.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Zone ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with zone details
+ * @throws {AppError} 404 - When zone not found
+ * @api {get} /api/v1/shipping/zones/:id Get Vendor Shipping Zone
+ * @api {get} /api/v1/admin/shipping/zones/:id Get Shipping Zone
+ * @private vendor, admin
+ */
+const getZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingService.findById(req.params.id, {
+      vendorId: await getOwnerScope(req),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: ShippingService.format(zone),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Creates a shipping zone. Vendors create zones for their own items; admins create
+ * platform zones, used when a vendor has no zone for an address, or pass vendor_id.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Zone name
+ * @param {string} req.body.country - Country covered
+ * @param {Array<string>} [req.body.states] - States covered (all when empty)
+ * @param {Array<string>} [req.body.cities] - Cities covered (all when empty)
+ * @param {string} [req.body.rate_basis="flat"] - flat, weight or item_count
+ * @param {number} [req.body.free_shipping_threshold] - Vendor subtotal from which shipping is free
+ * @param {Array<Object>} req.body.rates - Rate tiers ({ name?, min_value?, max_value?, cost })
+ * @param {number} [req.body.vendor_id] - Owning vendor (admin only)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the created zone
+ * @throws {AppError} 400 - When the rate tiers are invalid
+ * @api {post} /api/v1/shipping/zones Create Vendor Shipping Zone
+ * @api {post} /api/v1/admin/shipping/zones Create Shipping Zone
+ * @private vendor, admin
+ * @example
+ * // Request
+ * POST /api/v1/shipping/zones
+ * Authorization: Bearer <vendor_token>
+ * {
+ *   "name": "South West",
+ *   "country": "Nigeria",
+ *   "states": ["Lagos", "Ogun", "Oyo"],
+ *   "rate_basis": "weight",
+ *   "free_shipping_threshold": 50000,
+ *   "rates": [
+ *     { "name": "Up to 2kg", "min_value": 0, "max_value": 2, "cost": 1500 },
+ *     { "name": "Over 2kg", "min_value": 2.001, "cost": 3500 }
+ *   ]
+ * }
+ */
+const createZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingService.createZone(req.body, {
+      vendorId: await getOwnerScope(req),
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Shipping zone created",
+      data: ShippingService.format(zone),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Updates a shipping zone. Sending rates replaces every existing tier.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Zone ID
+ * @param {Object} req.body - Attributes to change (see createZone)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the updated zone
+ * @throws {AppError} 400 - When the rate tiers are invalid
+ * @throws {AppError} 404 - When zone not found
+ * @api {patch} /api/v1/shipping/zones/:id Update Vendor Shipping Zone
+ * @api {patch} /api/v1/admin/shipping/zones/:id Update Shipping Zone
+ * @private vendor, admin
+ */
+const updateZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingService.updateZone(req.params.id, req.body, {
+      vendorId: await getOwnerScope(req),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Shipping zone updated",
+      data: ShippingService.format(zone),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a shipping zone and its rates.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Zone ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response
+ * @throws {AppError} 404 - When zone not found
+ * @api {delete} /api/v1/shipping/zones/:id Delete Vendor Shipping Zone
+ * @api {delete} /api/v1/admin/shipping/zones/:id Delete Shipping Zone
+ * @private vendor, admin
+ */
+const deleteZone = async (req, res, next) => {
+  try {
+    await ShippingService.deleteZone(req.params.id, {
+      vendorId: await getOwnerScope(req),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Shipping zone deleted",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getQuote,
+  getZones,
+  getZone,
+  createZone,
+  updateZone,
+  deleteZone,
+};
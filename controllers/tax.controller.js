@@ -0,0 +1,172 @@
+const TaxService = require("../services/tax.service");
+
+/**
+ * Lists tax rules.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.country] - Filter by country
+ * @param {boolean} [req.query.is_active] - Filter by active flag
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with rules and pagination
+ * @api {get} /api/v1/admin/tax-rules Get Tax Rules
+ * @private admin
+ */
+const getTaxRules = async (req, res, next) => {
+  try {
+    const { country, is_active, page = 1, limit = 20 } = req.query;
+
+    const result = await TaxService.list({
+      country,
+      isActive: is_active,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a tax rule.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Tax rule ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with rule details
+ * @throws {AppError} 404 - When rule not found
+ * @api {get} /api/v1/admin/tax-rules/:id Get Tax Rule
+ * @private admin
+ */
+const getTaxRule = async (req, res, next) => {
+  try {
+    const rule = await TaxService.findById(req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      data: TaxService.format(rule),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Creates a tax rule. Only one active rule may cover a country and state pair;
+ * the most specific one for an address is used at checkout.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Rule name shown on invoices
+ * @param {string} [req.body.country] - Country covered (omit for every destination)
+ * @param {string} [req.body.state] - State covered (omit for the whole country)
+ * @param {number} req.body.rate - Percentage rate
+ * @param {boolean} [req.body.is_inclusive=false] - Whether product prices already include the tax
+ * @param {Array<number>} [req.body.exempt_category_ids] - Categories that are not taxed
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the created rule
+ * @throws {AppError} 400 - When a state is given without a country
+ * @throws {AppError} 409 - When an active rule already covers the location
+ * @api {post} /api/v1/admin/tax-rules Create Tax Rule
+ * @private admin
+ * @example
+ * // Request
+ * POST /api/v1/admin/tax-rules
+ * Authorization: Bearer <admin_token>
+ * {
+ *   "name": "VAT",
+ *   "country": "Nigeria",
+ *   "rate": 7.5,
+ *   "is_inclusive": false,
+ *   "exempt_category_ids": [12]
+ * }
+ *
+ * // Success Response (201)
+ * {
+ *   "status": "success",
+ *   "message": "Tax rule created",
+ *   "data": { "id": 1, "name": "VAT", "country": "Nigeria", "state": null, "rate": 7.5, ... }
+ * }
+ */
+const createTaxRule = async (req, res, next) => {
+  try {
+    const rule = await TaxService.createRule(req.body, { createdBy: req.user.id });
+
+    res.status(201).json({
+      status: "success",
+      message: "Tax rule created",
+      data: TaxService.format(rule),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Updates a tax rule. Orders already placed keep the tax they were charged.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Tax rule ID
+ * @param {Object} req.body - Attributes to change (see createTaxRule)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response with the updated rule
+ * @throws {AppError} 404 - When rule not found
+ * @throws {AppError} 409 - When another active rule already covers the location
+ * @api {patch} /api/v1/admin/tax-rules/:id Update Tax Rule
+ * @private admin
+ */
+const updateTaxRule = async (req, res, next) => {
+  try {
+    const rule = await TaxService.updateRule(req.params.id, req.body);
+
+    res.status(200).json({
+      status: "success",
+      message: "Tax rule updated",
+      data: TaxService.format(rule),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a tax rule.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Tax rule ID
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Object} Success response
+ * @throws {AppError} 404 - When rule not found
+ * @api {delete} /api/v1/admin/tax-rules/:id Delete Tax Rule
+ * @private admin
+ */
+const deleteTaxRule = async (req, res, next) => {
+  try {
+    await TaxService.deleteRule(req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Tax rule deleted",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTaxRules,
+  getTaxRule,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+};
@@ -3,6 +3,8 @@ const AppError = require('../utils/appError');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 const bcrypt = require('bcryptjs');
+const TwoFactorService = require('../services/two-factor.service');
+const LoginSecurityService = require('../services/login-security.service');
 
 /**
  * Get all users with pagination and role information
@@ -347,6 +349,129 @@ const removeRoles = async (req, res, next) => {
   }
 };
 
+/**
+ * Reset a user's two-factor authentication, e.g. after they lost their phone and recovery codes.
+ * Their tokens are revoked; if their role requires two-factor, they set it up again at next login.
+ * @route POST /api/v1/users/:id/two-factor/reset
+ * @access Private/Admin
+ */
+const resetTwoFactor = async (req, res, next) => {
+  try {
+    const user = await TwoFactorService.reset(req.params.id, req.user.id);
+
+    logger.info(`Two-factor authentication reset for user ${user.id} by admin ${req.user.id}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication reset. The user must log in again.'
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error(`Error resetting two-factor authentication for user ${req.params.id}:`, error);
+    next(new AppError('Failed to reset two-factor authentication', 500));
+  }
+};
+
+/**
+ * List accounts locked after too many failed login attempts
+ * @route GET /api/v1/users/locked
+ * @access Private/Admin
+ */
+const getLockedUsers = async (req, res, next) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const { count, rows: users } = await LoginSecurityService.lockedAccounts({ page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      results: users.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      data: users
+    });
+  } catch (error) {
+    logger.error('Error fetching locked accounts:', error);
+    next(new AppError('Failed to fetch locked accounts', 500));
+  }
+};
+
+/**
+ * A user's login history: every attempt with its IP address, device and outcome, newest first.
+ * Also shows whether the account is locked right now.
+ * @route GET /api/v1/users/:id/login-history
+ * @access Private/Admin
+ */
+const getLoginHistory = async (req, res, next) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const user = await User.findByPk(req.params.id, {
+      attributes: ['id', 'email', 'failed_login_attempts', 'lockout_count', 'locked_until']
+    });
+    if (!user) {
+      return next(new AppError('No user found with that ID', 404));
+    }
+
+    const { count, rows: attempts } = await LoginSecurityService.history(user.id, {
+      page,
+      limit,
+      success: req.query.success
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: attempts.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      lockout: {
+        locked: LoginSecurityService.isLocked(user),
+        locked_until: LoginSecurityService.isLocked(user) ? user.locked_until : null,
+        failed_login_attempts: user.failed_login_attempts,
+        lockout_count: user.lockout_count
+      },
+      data: attempts
+    });
+  } catch (error) {
+    logger.error(`Error fetching login history for user ${req.params.id}:`, error);
+    next(new AppError('Failed to fetch login history', 500));
+  }
+};
+
+/**
+ * Unlock an account locked after failed logins. With revoke_sessions, the user is also signed
+ * out everywhere, for when someone else may know the password.
+ * @route POST /api/v1/users/:id/unlock
+ * @access Private/Admin
+ */
+const unlockUser = async (req, res, next) => {
+  try {
+    const revokeSessions = req.body.revoke_sessions === true;
+    const user = await LoginSecurityService.unlock(req.params.id, req.user.id, { revokeSessions });
+
+    logger.info(`Account ${user.id} unlocked by admin ${req.user.id}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: revokeSessions
+        ? 'Account unlocked. The user has been signed out of every device.'
+        : 'Account unlocked'
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    logger.error(`Error unlocking user ${req.params.id}:`, error);
+    next(new AppError('Failed to unlock account', 500));
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUser,
@@ -354,5 +479,9 @@ module.exports = {
   updateUser,
   deleteUser,
   assignRoles,
-  removeRoles
+  removeRoles,
+  resetTwoFactor,
+  getLockedUsers,
+  getLoginHistory,
+  unlockUser
 };
@@ -38,6 +38,29 @@ module.exports = {
       max_files: 5,
       // Max size of log files
       max_size: '10M'
+    },
+    {
+      // Runs queued emails, image writes and webhooks (see worker.js)
+      name: 'stylay-worker',
+      script: 'worker.js',
+      instances: 1,
+      exec_mode: 'fork',
+      env: {
+        NODE_ENV: 'development'
+      },
+      env_production: {
+        NODE_ENV: 'production'
+      },
+      autorestart: true,
+      max_memory_restart: '512M',
+      log_file: './logs/worker-combined.log',
+      out_file: './logs/worker-out.log',
+      error_file: './logs/worker-error.log',
+      log_date_format: 'YYYY-MM-DD HH:mm:ss Z',
+      merge_logs: true,
+      // Give the current job time to finish on shutdown
+      kill_timeout: 30000,
+      watch: false
     }
   ],
   deploy: {
@@ -0,0 +1,10 @@
+const AbandonedCartService = require("../services/abandoned-cart.service");
+
+/**
+ * Emails customers about carts they left behind
+ */
+module.exports = {
+  name: "abandoned-carts",
+  intervalMinutes: parseInt(process.env.ABANDONED_CART_CHECK_MINUTES || "60", 10),
+  run: () => AbandonedCartService.run(),
+};
@@ -0,0 +1,20 @@
+const emailService = require("../services/email.service");
+const WebhookService = require("../services/webhook.service");
+const SearchService = require("../services/search.service");
+const ProductImportService = require("../services/product-import.service");
+const ImageProcessor = require("../utils/imageProcessor");
+
+/**
+ * Queue job handlers, keyed by job type
+ * Each handler receives the job payload and throws to have the job retried (see QueueService).
+ * Handlers should be safe to run more than once.
+ */
+module.exports = {
+  email: ({ to, templateType, context, attachments }) =>
+    emailService.deliverEmail(to, templateType, context, attachments),
+  "image.write": (image) => ImageProcessor.writeImage(image),
+  "paystack.webhook": ({ event, data }) => WebhookService.handlePaystackEvent(event, data),
+  "search.index": ({ productId }) => SearchService.indexProduct(productId),
+  "search.reindex": () => SearchService.reindexAll(),
+  "product.import": ({ importId }) => ProductImportService.process(importId),
+};
@@ -0,0 +1,72 @@
+const logger = require("../utils/logger");
+const abandonedCartJob = require("./abandoned-cart.job");
+const searchIndexJob = require("./search-index.job");
+const sessionCleanupJob = require("./session-cleanup.job");
+const loginHistoryCleanupJob = require("./login-history-cleanup.job");
+const stockReservationJob = require("./stock-reservation.job");
+const unpaidOrderJob = require("./unpaid-order.job");
+const lowStockDigestJob = require("./low-stock-digest.job");
+
+/**
+ * Scheduled jobs
+ * Each job exports { name, intervalMinutes, run } and runs in the API process on its interval.
+ * A run is skipped while the previous one is still going. The API runs as a single instance
+ * (see ecosystem.config.js), so jobs do not need a distributed lock.
+ */
+const jobs = [
+  abandonedCartJob,
+  searchIndexJob,
+  sessionCleanupJob,
+  loginHistoryCleanupJob,
+  stockReservationJob,
+  unpaidOrderJob,
+  lowStockDigestJob,
+];
+
+const timers = [];
+
+/**
+ * Run a job, logging instead of throwing when it fails
+ * @param {Object} job - Job definition
+ * @returns {Promise<*>} Job result, or undefined when it failed
+ */
+const runJob = async (job) => {
+  try {
+    return await job.run();
+  } catch (error) {
+    logger.error(`Scheduled job ${job.name} failed:`, error);
+    return undefined;
+  }
+};
+
+/**
+ * Start every scheduled job
+ */
+const startScheduledJobs = () => {
+  jobs.forEach((job) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      await runJob(job);
+      running = false;
+    }, job.intervalMinutes * 60 * 1000);
+
+    timers.push(timer);
+    logger.info(`Scheduled job ${job.name} every ${job.intervalMinutes} minute(s)`);
+  });
+};
+
+/**
+ * Stop every scheduled job
+ */
+const stopScheduledJobs = () => {
+  timers.splice(0).forEach((timer) => clearInterval(timer));
+};
+
+module.exports = {
+  startScheduledJobs,
+  stopScheduledJobs,
+  runJob,
+};
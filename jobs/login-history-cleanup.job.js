@@ -0,0 +1,10 @@
+const LoginSecurityService = require("../services/login-security.service");
+
+/**
+ * Deletes login history older than the retention period
+ */
+module.exports = {
+  name: "login-history-cleanup",
+  intervalMinutes: parseInt(process.env.LOGIN_HISTORY_CLEANUP_MINUTES || "1440", 10),
+  run: () => LoginSecurityService.cleanup(),
+};
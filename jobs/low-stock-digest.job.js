@@ -0,0 +1,10 @@
+const LowStockService = require("../services/low-stock.service");
+
+/**
+ * Emails vendors the low stock alerts they have not acknowledged yet
+ */
+module.exports = {
+  name: "low-stock-digest",
+  intervalMinutes: parseInt(process.env.LOW_STOCK_DIGEST_MINUTES || "1440", 10),
+  run: () => LowStockService.sendDigests(),
+};
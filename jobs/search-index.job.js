@@ -0,0 +1,10 @@
+const SearchService = require("../services/search.service");
+
+/**
+ * Rebuilds the product search index, picking up renamed stores and categories
+ */
+module.exports = {
+  name: "search-reindex",
+  intervalMinutes: parseInt(process.env.SEARCH_REINDEX_MINUTES || "1440", 10),
+  run: () => SearchService.reindexAll(),
+};
@@ -0,0 +1,10 @@
+const SessionService = require("../services/session.service");
+
+/**
+ * Deletes long-ended sessions and expired refresh tokens
+ */
+module.exports = {
+  name: "session-cleanup",
+  intervalMinutes: parseInt(process.env.SESSION_CLEANUP_MINUTES || "1440", 10),
+  run: () => SessionService.cleanup(),
+};
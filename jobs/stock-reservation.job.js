@@ -0,0 +1,10 @@
+const StockReservationService = require("../services/stock-reservation.service");
+
+/**
+ * Releases stock reserved by unpaid orders once their reservation expires
+ */
+module.exports = {
+  name: "stock-reservation-expiry",
+  intervalMinutes: parseInt(process.env.STOCK_RESERVATION_SWEEP_MINUTES || "5", 10),
+  run: () => StockReservationService.releaseExpired(),
+};
@@ -0,0 +1,10 @@
+const OrderExpiryService = require("../services/order-expiry.service");
+
+/**
+ * Verifies orders left unpaid past the expiry period and cancels the ones that were not paid
+ */
+module.exports = {
+  name: "unpaid-order-expiry",
+  intervalMinutes: parseInt(process.env.UNPAID_ORDER_CHECK_MINUTES || "60", 10),
+  run: () => OrderExpiryService.run(),
+};
@@ -6,6 +6,8 @@ const AppError = require("../utils/appError");
 const { User, Role, Permission } = require("../models");
 const PermissionService = require("../services/permission.service");
 const tokenBlacklistService = require("../services/token-blacklist.service");
+const TwoFactorService = require("../services/two-factor.service");
+const SessionService = require("../services/session.service");
 
 /**
  * Middleware to handle local authentication using Passport
@@ -114,6 +116,21 @@ const protect = (req, res, next) => {
             )
           );
         }
+
+        // Check the token's session has not been signed out
+        const { sid } = jwt.decode(token) || {};
+        if (sid) {
+          const isActive = await SessionService.isActive(sid, user.id);
+          if (!isActive) {
+            return next(
+              new AppError(
+                "This session has been signed out. Please log in again.",
+                401
+              )
+            );
+          }
+          req.sessionId = sid;
+        }
       }
 
       // Attach user to request object
@@ -123,6 +140,30 @@ const protect = (req, res, next) => {
   )(req, res, next);
 };
 
+/**
+ * Protect two-factor setup routes. Users whose role requires two-factor authentication set it
+ * up during login, before they have a JWT, so a setup challenge token from the login response
+ * is accepted in the request body; otherwise the usual JWT is required.
+ */
+const protectTwoFactorSetup = async (req, res, next) => {
+  const challengeToken = req.body?.challenge_token;
+  if (!challengeToken) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const user = await TwoFactorService.verifyChallenge(
+      challengeToken,
+      TwoFactorService.PURPOSES.enroll
+    );
+    req.user = user.get({ plain: true });
+    req.twoFactorChallenge = true;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
 /**
  * Middleware to handle JWT errors consistently
  */
@@ -554,6 +595,7 @@ const restrictToPermission = (permissions) => {
 module.exports = {
   localAuth,
   protect,
+  protectTwoFactorSetup,
   restrictTo,
   isLoggedIn,
   isLoggedOut,
@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Inbox listing and unread badge counts always filter by user_id and is_read
+    await queryInterface.addIndex('notifications', ['user_id', 'is_read'], {
+      name: 'idx_notifications_user_read'
+    });
+
+    // Newest-first pagination of a user's inbox
+    await queryInterface.addIndex('notifications', ['user_id', 'created_at'], {
+      name: 'idx_notifications_user_created'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('notifications', 'idx_notifications_user_read');
+    await queryInterface.removeIndex('notifications', 'idx_notifications_user_created');
+  }
+};
@@ -0,0 +1,104 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Extend payout status to cover review and transfer stages
+    await queryInterface.changeColumn('payouts', 'status', {
+      type: Sequelize.ENUM('pending', 'processing', 'paid', 'failed', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending'
+    });
+
+    await queryInterface.addColumn('payouts', 'reference', {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      unique: true
+    }, { after: 'status' });
+
+    await queryInterface.addColumn('payouts', 'transfer_code', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    }, { after: 'reference' });
+
+    await queryInterface.addColumn('payouts', 'recipient_code', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    }, { after: 'transfer_code' });
+
+    await queryInterface.addColumn('payouts', 'note', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    }, { after: 'recipient_code' });
+
+    await queryInterface.addColumn('payouts', 'reviewed_by', {
+      type: Sequelize.BIGINT({ unsigned: true }),
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }, { after: 'note' });
+
+    await queryInterface.addColumn('payouts', 'reviewed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    }, { after: 'reviewed_by' });
+
+    await queryInterface.addColumn('payouts', 'rejection_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    }, { after: 'reviewed_at' });
+
+    await queryInterface.addColumn('payouts', 'failure_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    }, { after: 'rejection_reason' });
+
+    await queryInterface.addIndex('payouts', ['vendor_id', 'status'], {
+      name: 'idx_payouts_vendor_status'
+    });
+
+    // Order items settled by a payout; NULL means still part of the vendor's available balance
+    await queryInterface.addColumn('order_items', 'payout_id', {
+      type: Sequelize.BIGINT({ unsigned: true }),
+      allowNull: true,
+      references: {
+        model: 'payouts',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('order_items', ['vendor_id', 'payout_id'], {
+      name: 'idx_order_items_vendor_payout'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('order_items', 'idx_order_items_vendor_payout');
+    await queryInterface.removeColumn('order_items', 'payout_id');
+
+    await queryInterface.removeIndex('payouts', 'idx_payouts_vendor_status');
+    await queryInterface.removeColumn('payouts', 'failure_reason');
+    await queryInterface.removeColumn('payouts', 'rejection_reason');
+    await queryInterface.removeColumn('payouts', 'reviewed_at');
+    await queryInterface.removeColumn('payouts', 'reviewed_by');
+    await queryInterface.removeColumn('payouts', 'note');
+    await queryInterface.removeColumn('payouts', 'recipient_code');
+    await queryInterface.removeColumn('payouts', 'transfer_code');
+    await queryInterface.removeColumn('payouts', 'reference');
+
+    // Collapse statuses the old enum cannot hold
+    await queryInterface.sequelize.query(
+      "UPDATE payouts SET status = 'failed' WHERE status IN ('processing', 'rejected')"
+    );
+
+    await queryInterface.changeColumn('payouts', 'status', {
+      type: Sequelize.ENUM('pending', 'paid', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    });
+  }
+};
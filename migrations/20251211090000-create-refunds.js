@@ -0,0 +1,152 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('refunds', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      order_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Customer receiving the refund'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processed', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      source: {
+        type: Sequelize.ENUM('cancellation', 'manual', 'return'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      reference: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'Internal reference, also used as payment_transactions.transaction_id'
+      },
+      payment_reference: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Paystack reference of the charge being refunded'
+      },
+      gateway_refund_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      failure_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      initiated_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      processed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('refunds', ['order_id'], { name: 'idx_refunds_order' });
+    await queryInterface.addIndex('refunds', ['user_id', 'created_at'], { name: 'idx_refunds_user_created' });
+    await queryInterface.addIndex('refunds', ['status'], { name: 'idx_refunds_status' });
+    await queryInterface.addIndex('refunds', ['gateway_refund_id'], { name: 'idx_refunds_gateway_refund' });
+
+    await queryInterface.createTable('refund_items', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      refund_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'refunds',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      order_item_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'order_items',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      quantity: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('refund_items', ['refund_id'], { name: 'idx_refund_items_refund' });
+    await queryInterface.addIndex('refund_items', ['order_item_id'], { name: 'idx_refund_items_order_item' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('refund_items');
+    await queryInterface.dropTable('refunds');
+  }
+};
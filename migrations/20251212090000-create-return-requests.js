@@ -0,0 +1,160 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('return_requests', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      order_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Customer returning the items'
+      },
+      vendor_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'vendors',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Vendor that sold every item in the request'
+      },
+      status: {
+        type: Sequelize.ENUM('requested', 'approved', 'rejected', 'received', 'refunded', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'requested'
+      },
+      reason_code: {
+        type: Sequelize.ENUM('damaged', 'defective', 'wrong_item', 'not_as_described', 'size_issue', 'changed_mind', 'other'),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      attachments: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Photos uploaded by the customer'
+      },
+      reviewed_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      rejection_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      received_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      refund_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'refunds',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('return_requests', ['order_id'], { name: 'idx_return_requests_order' });
+    await queryInterface.addIndex('return_requests', ['user_id', 'created_at'], { name: 'idx_return_requests_user_created' });
+    await queryInterface.addIndex('return_requests', ['vendor_id', 'status'], { name: 'idx_return_requests_vendor_status' });
+
+    await queryInterface.createTable('return_request_items', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      return_request_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'return_requests',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      order_item_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'order_items',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      quantity: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false
+      },
+      restocked: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('return_request_items', ['return_request_id'], { name: 'idx_return_request_items_request' });
+    await queryInterface.addIndex('return_request_items', ['order_item_id'], { name: 'idx_return_request_items_order_item' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('return_request_items');
+    await queryInterface.dropTable('return_requests');
+  }
+};
@@ -0,0 +1,212 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('coupons', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true,
+        comment: 'Stored upper-cased'
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      type: {
+        type: Sequelize.ENUM('percentage', 'fixed_amount', 'free_shipping'),
+        allowNull: false
+      },
+      value: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        comment: 'Percentage (0-100) or fixed amount; unused for free_shipping'
+      },
+      max_discount_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Cap for percentage discounts'
+      },
+      min_order_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        comment: 'Minimum basket subtotal before the coupon applies'
+      },
+      usage_limit: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: true,
+        comment: 'Total redemptions allowed; null for unlimited'
+      },
+      usage_limit_per_user: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: true,
+        comment: 'Redemptions allowed per customer; null for unlimited'
+      },
+      times_used: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0
+      },
+      starts_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      vendor_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'vendors',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Owning vendor; vendor coupons only discount that vendor\'s items'
+      },
+      product_ids: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Restrict to these products'
+      },
+      category_ids: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Restrict to products in these categories'
+      },
+      vendor_ids: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Restrict to products sold by these vendors'
+      },
+      created_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('coupons', ['vendor_id'], { name: 'idx_coupons_vendor' });
+    await queryInterface.addIndex('coupons', ['is_active', 'expires_at'], { name: 'idx_coupons_active_expiry' });
+
+    await queryInterface.createTable('coupon_redemptions', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      coupon_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'coupons',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      order_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      discount_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('coupon_redemptions', ['coupon_id', 'user_id'], { name: 'idx_coupon_redemptions_coupon_user' });
+    await queryInterface.addIndex('coupon_redemptions', ['order_id'], { name: 'idx_coupon_redemptions_order' });
+
+    await queryInterface.addColumn('carts', 'coupon_id', {
+      type: Sequelize.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'coupons',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Coupon applied to the cart, re-validated on every summary'
+    });
+
+    await queryInterface.addColumn('order_items', 'discount_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      comment: 'Share of the order coupon discount allocated to this line'
+    });
+
+    await queryInterface.addColumn('order_details', 'discount_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    });
+
+    await queryInterface.addColumn('order_details', 'coupon_code', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('order_details', 'coupon_code');
+    await queryInterface.removeColumn('order_details', 'discount_amount');
+    await queryInterface.removeColumn('order_items', 'discount_amount');
+    await queryInterface.removeColumn('carts', 'coupon_id');
+    await queryInterface.dropTable('coupon_redemptions');
+    await queryInterface.dropTable('coupons');
+  }
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('shipping_zones', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      vendor_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'vendors',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Owning vendor; null for platform zones used when a vendor has no matching zone'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      country: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      states: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'States covered; empty for the whole country'
+      },
+      cities: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Cities covered; empty for every city in the covered states'
+      },
+      rate_basis: {
+        type: Sequelize.ENUM('flat', 'weight', 'item_count'),
+        allowNull: false,
+        defaultValue: 'flat',
+        comment: 'What the rate tiers are measured against'
+      },
+      free_shipping_threshold: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Vendor subtotal from which shipping is free'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('shipping_zones', ['vendor_id', 'country'], { name: 'idx_shipping_zones_vendor_country' });
+
+    await queryInterface.createTable('shipping_rates', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      zone_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'shipping_zones',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      min_value: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Lower bound (kg or items) of the tier, inclusive'
+      },
+      max_value: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: true,
+        comment: 'Upper bound (kg or items) of the tier, inclusive; null for no limit'
+      },
+      cost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('shipping_rates', ['zone_id'], { name: 'idx_shipping_rates_zone' });
+
+    await queryInterface.addColumn('products', 'weight', {
+      type: Sequelize.DECIMAL(10, 3),
+      allowNull: true,
+      comment: 'Shipping weight in kg'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('products', 'weight');
+    await queryInterface.dropTable('shipping_rates');
+    await queryInterface.dropTable('shipping_zones');
+  }
+};
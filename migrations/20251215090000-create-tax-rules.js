@@ -0,0 +1,106 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('tax_rules', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      country: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Country the rule applies to; null for every destination'
+      },
+      state: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'State the rule applies to; null for the whole country'
+      },
+      rate: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        comment: 'Percentage, e.g. 7.50 for Nigerian VAT'
+      },
+      is_inclusive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether product prices already include the tax'
+      },
+      exempt_category_ids: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Categories whose products are not taxed'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('tax_rules', ['country', 'state'], { name: 'idx_tax_rules_location' });
+
+    await queryInterface.addColumn('order_items', 'tax_rate', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    });
+
+    await queryInterface.addColumn('order_items', 'tax_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      comment: 'Tax on this line after its share of the coupon discount'
+    });
+
+    await queryInterface.addColumn('order_items', 'tax_inclusive', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether tax_amount is part of sub_total rather than charged on top'
+    });
+
+    await queryInterface.addColumn('order_details', 'tax_inclusive', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether tax_amount is part of the item prices rather than charged on top'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('order_details', 'tax_inclusive');
+    await queryInterface.removeColumn('order_items', 'tax_inclusive');
+    await queryInterface.removeColumn('order_items', 'tax_amount');
+    await queryInterface.removeColumn('order_items', 'tax_rate');
+    await queryInterface.dropTable('tax_rules');
+  }
+};
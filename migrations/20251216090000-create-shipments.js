@@ -0,0 +1,149 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('shipments', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      order_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      vendor_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'vendors',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Vendor whose items of the order this shipment carries'
+      },
+      carrier: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Code of the carrier adapter handling the shipment'
+      },
+      courier: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Courier shown to the customer when the adapter does not book with one itself'
+      },
+      tracking_number: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      tracking_url: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned'),
+        allowNull: false,
+        defaultValue: 'shipped'
+      },
+      estimated_delivery: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      shipped_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('shipments', ['order_id', 'vendor_id'], { name: 'idx_shipments_order_vendor', unique: true });
+    await queryInterface.addIndex('shipments', ['vendor_id', 'status'], { name: 'idx_shipments_vendor_status' });
+    await queryInterface.addIndex('shipments', ['carrier', 'tracking_number'], { name: 'idx_shipments_tracking' });
+
+    await queryInterface.createTable('shipment_events', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      shipment_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'shipments',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned'),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      location: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      source: {
+        type: Sequelize.ENUM('vendor', 'admin', 'carrier'),
+        allowNull: false,
+        defaultValue: 'vendor',
+        comment: 'Who reported the event'
+      },
+      occurred_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('shipment_events', ['shipment_id', 'occurred_at'], { name: 'idx_shipment_events_shipment' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('shipment_events');
+    await queryInterface.dropTable('shipments');
+  }
+};
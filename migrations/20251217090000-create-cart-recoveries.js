@@ -0,0 +1,105 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('carts', 'email', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Contact email left by a guest, used for cart recovery emails'
+    });
+
+    await queryInterface.addIndex('carts', ['updated_at'], { name: 'idx_carts_updated_at' });
+
+    await queryInterface.createTable('cart_recoveries', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      cart_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'carts',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Address the recovery email was sent to'
+      },
+      item_count: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0
+      },
+      cart_total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.0,
+        comment: 'Cart subtotal when the email was sent'
+      },
+      status: {
+        type: Sequelize.ENUM('emailed', 'recovered'),
+        allowNull: false,
+        defaultValue: 'emailed'
+      },
+      emailed_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      order_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        comment: 'Order placed after the email, within the recovery window'
+      },
+      recovered_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      recovered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('cart_recoveries', ['cart_id', 'emailed_at'], { name: 'idx_cart_recoveries_cart' });
+    await queryInterface.addIndex('cart_recoveries', ['user_id', 'status'], { name: 'idx_cart_recoveries_user_status' });
+    await queryInterface.addIndex('cart_recoveries', ['email', 'status'], { name: 'idx_cart_recoveries_email_status' });
+    await queryInterface.addIndex('cart_recoveries', ['emailed_at'], { name: 'idx_cart_recoveries_emailed_at' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('cart_recoveries');
+    await queryInterface.removeIndex('carts', 'idx_carts_updated_at');
+    await queryInterface.removeColumn('carts', 'email');
+  }
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('product_search_index', {
+      product_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      category_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      store_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      variant_values: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Space separated variant values, e.g. "Red Blue Medium Large"'
+      },
+      indexed_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // One index per weighted column, plus one over every column to find matches
+    await queryInterface.addIndex('product_search_index', ['name'], { type: 'FULLTEXT', name: 'ft_search_name' });
+    await queryInterface.addIndex('product_search_index', ['description'], { type: 'FULLTEXT', name: 'ft_search_description' });
+    await queryInterface.addIndex('product_search_index', ['category_name'], { type: 'FULLTEXT', name: 'ft_search_category' });
+    await queryInterface.addIndex('product_search_index', ['store_name'], { type: 'FULLTEXT', name: 'ft_search_store' });
+    await queryInterface.addIndex('product_search_index', ['variant_values'], { type: 'FULLTEXT', name: 'ft_search_variants' });
+    await queryInterface.addIndex(
+      'product_search_index',
+      ['name', 'description', 'category_name', 'store_name', 'variant_values'],
+      { type: 'FULLTEXT', name: 'ft_search_all' }
+    );
+
+    await queryInterface.createTable('search_terms', {
+      term: {
+        type: Sequelize.STRING(64),
+        primaryKey: true,
+        allowNull: false
+      },
+      frequency: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Number of indexed products containing the term'
+      }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('search_terms');
+    await queryInterface.dropTable('product_search_index');
+  }
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('reviews', 'order_item_id', {
+      type: Sequelize.BIGINT({ unsigned: true }),
+      allowNull: true,
+      references: {
+        model: 'order_items',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Delivered order item that verifies the purchase'
+    }, { after: 'user_id' });
+
+    await queryInterface.addColumn('reviews', 'is_verified_purchase', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }, { after: 'order_item_id' });
+
+    await queryInterface.addColumn('reviews', 'images', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Photos uploaded with the review'
+    }, { after: 'comment' });
+
+    await queryInterface.addColumn('reviews', 'helpful_count', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    }, { after: 'images' });
+
+    await queryInterface.addColumn('reviews', 'unhelpful_count', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    }, { after: 'helpful_count' });
+
+    await queryInterface.addColumn('reviews', 'vendor_reply', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    }, { after: 'unhelpful_count' });
+
+    await queryInterface.addColumn('reviews', 'vendor_replied_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    }, { after: 'vendor_reply' });
+
+    await queryInterface.addIndex('reviews', ['product_id', 'helpful_count'], {
+      name: 'reviews_product_helpful_idx'
+    });
+
+    await queryInterface.createTable('review_votes', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      review_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'reviews',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      vote: {
+        type: Sequelize.ENUM('up', 'down'),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('review_votes', ['review_id', 'user_id'], {
+      unique: true,
+      name: 'review_votes_review_user_unique'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('review_votes');
+    await queryInterface.removeIndex('reviews', 'reviews_product_helpful_idx');
+    await queryInterface.removeColumn('reviews', 'vendor_replied_at');
+    await queryInterface.removeColumn('reviews', 'vendor_reply');
+    await queryInterface.removeColumn('reviews', 'unhelpful_count');
+    await queryInterface.removeColumn('reviews', 'helpful_count');
+    await queryInterface.removeColumn('reviews', 'images');
+    await queryInterface.removeColumn('reviews', 'is_verified_purchase');
+    await queryInterface.removeColumn('reviews', 'order_item_id');
+  }
+};
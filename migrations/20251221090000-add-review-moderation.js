@@ -0,0 +1,124 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('reviews', 'status', {
+      type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending'
+    }, { after: 'vendor_replied_at' });
+
+    // Reviews written before moderation existed are already live
+    await queryInterface.sequelize.query("UPDATE reviews SET status = 'approved'");
+
+    await queryInterface.addColumn('reviews', 'is_flagged', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }, { after: 'status' });
+
+    await queryInterface.addColumn('reviews', 'flag_reasons', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Why the review was flagged, e.g. banned words found or too many reports'
+    }, { after: 'is_flagged' });
+
+    await queryInterface.addColumn('reviews', 'report_count', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    }, { after: 'flag_reasons' });
+
+    await queryInterface.addColumn('reviews', 'moderated_by', {
+      type: Sequelize.BIGINT({ unsigned: true }),
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }, { after: 'report_count' });
+
+    await queryInterface.addColumn('reviews', 'moderated_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    }, { after: 'moderated_by' });
+
+    await queryInterface.addColumn('reviews', 'moderation_note', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    }, { after: 'moderated_at' });
+
+    await queryInterface.addIndex('reviews', ['status', 'is_flagged', 'created_at'], {
+      name: 'reviews_moderation_queue_idx'
+    });
+
+    await queryInterface.createTable('review_reports', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      review_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'reviews',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      reason: {
+        type: Sequelize.ENUM('spam', 'offensive', 'harassment', 'off_topic', 'fake', 'other'),
+        allowNull: false
+      },
+      details: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'resolved'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('review_reports', ['review_id', 'user_id'], {
+      unique: true,
+      name: 'review_reports_review_user_unique'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('review_reports');
+    await queryInterface.removeIndex('reviews', 'reviews_moderation_queue_idx');
+    await queryInterface.removeColumn('reviews', 'moderation_note');
+    await queryInterface.removeColumn('reviews', 'moderated_at');
+    await queryInterface.removeColumn('reviews', 'moderated_by');
+    await queryInterface.removeColumn('reviews', 'report_count');
+    await queryInterface.removeColumn('reviews', 'flag_reasons');
+    await queryInterface.removeColumn('reviews', 'is_flagged');
+    await queryInterface.removeColumn('reviews', 'status');
+  }
+};
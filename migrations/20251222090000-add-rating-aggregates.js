@@ -0,0 +1,83 @@
+'use strict';
+
+const columns = (Sequelize) => ({
+  rating_average: {
+    type: Sequelize.DECIMAL(3, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Average of approved review ratings'
+  },
+  rating_count: {
+    type: Sequelize.INTEGER.UNSIGNED,
+    allowNull: false,
+    defaultValue: 0
+  },
+  rating_histogram: {
+    type: Sequelize.JSON,
+    allowNull: true,
+    comment: 'Approved reviews per star, e.g. {"1":0,"2":1,"3":0,"4":3,"5":8}'
+  }
+});
+
+// Histogram, count and average from approved reviews, for rows joined as `r`
+const AGGREGATES = `
+  COUNT(r.id) AS rating_count,
+  COALESCE(ROUND(AVG(r.rating), 2), 0) AS rating_average,
+  JSON_OBJECT(
+    '1', SUM(r.rating = 1), '2', SUM(r.rating = 2), '3', SUM(r.rating = 3),
+    '4', SUM(r.rating = 4), '5', SUM(r.rating = 5)
+  ) AS rating_histogram`;
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const { rating_average, rating_count, rating_histogram } = columns(Sequelize);
+
+    await queryInterface.addColumn('products', 'rating_average', rating_average, { after: 'sold_units' });
+    await queryInterface.addColumn('products', 'rating_count', rating_count, { after: 'rating_average' });
+    await queryInterface.addColumn('products', 'rating_histogram', rating_histogram, { after: 'rating_count' });
+    await queryInterface.addIndex('products', ['status', 'rating_average'], { name: 'products_status_rating_idx' });
+
+    await queryInterface.addColumn('vendors', 'rating_average', rating_average, { after: 'total_earnings' });
+    await queryInterface.addColumn('vendors', 'rating_count', rating_count, { after: 'rating_average' });
+    await queryInterface.addColumn('vendors', 'rating_histogram', rating_histogram, { after: 'rating_count' });
+
+    // Backfill from the reviews already approved
+    await queryInterface.sequelize.query(`
+      UPDATE products p
+      JOIN (
+        SELECT r.product_id, ${AGGREGATES}
+        FROM reviews r
+        WHERE r.status = 'approved'
+        GROUP BY r.product_id
+      ) totals ON totals.product_id = p.id
+      SET p.rating_count = totals.rating_count,
+          p.rating_average = totals.rating_average,
+          p.rating_histogram = totals.rating_histogram
+    `);
+
+    await queryInterface.sequelize.query(`
+      UPDATE vendors v
+      JOIN (
+        SELECT p.vendor_id, ${AGGREGATES}
+        FROM reviews r
+        JOIN products p ON p.id = r.product_id
+        WHERE r.status = 'approved'
+        GROUP BY p.vendor_id
+      ) totals ON totals.vendor_id = v.id
+      SET v.rating_count = totals.rating_count,
+          v.rating_average = totals.rating_average,
+          v.rating_histogram = totals.rating_histogram
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('vendors', 'rating_histogram');
+    await queryInterface.removeColumn('vendors', 'rating_count');
+    await queryInterface.removeColumn('vendors', 'rating_average');
+    await queryInterface.removeIndex('products', 'products_status_rating_idx');
+    await queryInterface.removeColumn('products', 'rating_histogram');
+    await queryInterface.removeColumn('products', 'rating_count');
+    await queryInterface.removeColumn('products', 'rating_average');
+  }
+};
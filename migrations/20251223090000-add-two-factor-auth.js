@@ -0,0 +1,58 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'two_factor_enabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }, { after: 'password_changed_at' });
+
+    await queryInterface.addColumn('users', 'two_factor_secret', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Encrypted TOTP secret'
+    }, { after: 'two_factor_enabled' });
+
+    await queryInterface.addColumn('users', 'two_factor_pending_secret', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Encrypted TOTP secret awaiting the first code during enrollment'
+    }, { after: 'two_factor_secret' });
+
+    await queryInterface.addColumn('users', 'two_factor_recovery_codes', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'SHA-256 hashes of the unused recovery codes'
+    }, { after: 'two_factor_pending_secret' });
+
+    await queryInterface.addColumn('users', 'two_factor_last_step', {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      comment: 'Time step of the last accepted code, so a code cannot be used twice'
+    }, { after: 'two_factor_recovery_codes' });
+
+    await queryInterface.addColumn('users', 'two_factor_enabled_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    }, { after: 'two_factor_last_step' });
+
+    await queryInterface.addColumn('roles', 'requires_two_factor', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Users with this role must set up two-factor authentication to log in'
+    }, { after: 'description' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('roles', 'requires_two_factor');
+    await queryInterface.removeColumn('users', 'two_factor_enabled_at');
+    await queryInterface.removeColumn('users', 'two_factor_last_step');
+    await queryInterface.removeColumn('users', 'two_factor_recovery_codes');
+    await queryInterface.removeColumn('users', 'two_factor_pending_secret');
+    await queryInterface.removeColumn('users', 'two_factor_secret');
+    await queryInterface.removeColumn('users', 'two_factor_enabled');
+  }
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('social_accounts', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      provider: {
+        type: Sequelize.ENUM('google', 'apple'),
+        allowNull: false
+      },
+      provider_user_id: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Subject (sub) of the provider ID token'
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Email the provider last reported; Apple may give a private relay address'
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('social_accounts', ['provider', 'provider_user_id'], {
+      unique: true,
+      name: 'social_accounts_provider_subject_unique'
+    });
+    await queryInterface.addIndex('social_accounts', ['user_id', 'provider'], {
+      unique: true,
+      name: 'social_accounts_user_provider_unique'
+    });
+
+    // Users who signed up with Google or Apple have no password until they set one
+    await queryInterface.changeColumn('users', 'password', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('social_accounts');
+    await queryInterface.changeColumn('users', 'password', {
+      type: Sequelize.STRING(255),
+      allowNull: false
+    });
+  }
+};
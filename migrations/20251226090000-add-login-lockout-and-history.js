@@ -0,0 +1,105 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'failed_login_attempts', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Failed login attempts since the last successful login or lockout'
+    }, { after: 'two_factor_enabled_at' });
+
+    await queryInterface.addColumn('users', 'lockout_count', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Lockouts since the last successful login; each one lasts longer'
+    }, { after: 'failed_login_attempts' });
+
+    await queryInterface.addColumn('users', 'locked_until', {
+      type: Sequelize.DATE,
+      allowNull: true
+    }, { after: 'lockout_count' });
+
+    await queryInterface.createTable('login_attempts', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Null when the email matched no account'
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      method: {
+        type: Sequelize.ENUM('password', 'two_factor', 'google', 'apple'),
+        allowNull: false,
+        defaultValue: 'password'
+      },
+      success: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false
+      },
+      failure_reason: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      device: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      device_hash: {
+        type: Sequelize.CHAR(64),
+        allowNull: true,
+        comment: 'SHA-256 of the user agent, to recognize devices the user logged in from before'
+      },
+      new_device: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('login_attempts', ['user_id', 'created_at'], {
+      name: 'login_attempts_user_created_idx'
+    });
+    await queryInterface.addIndex('login_attempts', ['user_id', 'success', 'device_hash'], {
+      name: 'login_attempts_user_device_idx'
+    });
+    await queryInterface.addIndex('login_attempts', ['created_at'], {
+      name: 'login_attempts_created_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('login_attempts');
+    await queryInterface.removeColumn('users', 'locked_until');
+    await queryInterface.removeColumn('users', 'lockout_count');
+    await queryInterface.removeColumn('users', 'failed_login_attempts');
+  }
+};
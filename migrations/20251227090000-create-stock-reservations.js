@@ -0,0 +1,105 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('stock_reservations', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      order_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      order_item_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'order_items',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      combination_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'variant_combinations',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      quantity: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'converted', 'released'),
+        allowNull: false,
+        defaultValue: 'active',
+        comment: 'active: stock held for the order; converted: sold on payment; released: stock given back'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the reservation was converted or released'
+      },
+      release_reason: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'expired, payment_failed or cancelled'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('stock_reservations', ['order_id'], {
+      name: 'stock_reservations_order_idx'
+    });
+    await queryInterface.addIndex('stock_reservations', ['status', 'expires_at'], {
+      name: 'stock_reservations_status_expires_idx'
+    });
+    await queryInterface.addIndex('stock_reservations', ['order_item_id'], {
+      unique: true,
+      name: 'stock_reservations_order_item_unique'
+    });
+
+    await queryInterface.changeColumn('inventory_history', 'change_type', {
+      type: Sequelize.ENUM('supply', 'sale', 'return', 'manual_adjustment', 'reservation', 'reservation_release', 'other'),
+      allowNull: false,
+      defaultValue: 'manual_adjustment'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      "UPDATE inventory_history SET change_type = 'other' WHERE change_type IN ('reservation', 'reservation_release')"
+    );
+    await queryInterface.changeColumn('inventory_history', 'change_type', {
+      type: Sequelize.ENUM('supply', 'sale', 'return', 'manual_adjustment', 'other'),
+      allowNull: false,
+      defaultValue: 'manual_adjustment'
+    });
+    await queryInterface.dropTable('stock_reservations');
+  }
+};
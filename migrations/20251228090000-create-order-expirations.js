@@ -0,0 +1,55 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('order_expirations', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      order_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      outcome: {
+        type: Sequelize.ENUM('cancelled', 'paid'),
+        allowNull: false,
+        comment: 'cancelled: unpaid and cancelled; paid: the gateway had taken the payment after all'
+      },
+      gateway_status: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+        comment: 'Transaction status reported by Paystack when the order was re-verified'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('order_expirations', ['order_id'], {
+      unique: true,
+      name: 'order_expirations_order_unique'
+    });
+    await queryInterface.addIndex('order_expirations', ['outcome', 'created_at'], {
+      name: 'order_expirations_outcome_created_idx'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('order_expirations');
+  }
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+const NOTIFICATION_TYPES = [
+  'welcome',
+  'order_process',
+  'maintenance',
+  'policy_update',
+  'delay_apology',
+  'success',
+  'apology',
+  'order_created',
+  'order_received',
+  'order_cancelled',
+  'order_shipped',
+  'order_delivered'
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('products', 'reorder_threshold', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Stock at or below which combinations of this product are low (null: LOW_STOCK_DEFAULT_THRESHOLD)'
+    });
+    await queryInterface.addColumn('variant_combinations', 'reorder_threshold', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Stock at or below which this combination is low (null: the product threshold)'
+    });
+
+    await queryInterface.createTable('low_stock_alerts', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      vendor_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'vendors',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      product_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      combination_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'variant_combinations',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      threshold: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false,
+        comment: 'Reorder threshold when the alert was raised'
+      },
+      stock: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Stock when the alert was raised'
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'acknowledged', 'resolved'),
+        allowNull: false,
+        defaultValue: 'open',
+        comment: 'resolved: stock went back above the threshold'
+      },
+      acknowledged_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      acknowledged_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('low_stock_alerts', ['vendor_id', 'status', 'created_at'], {
+      name: 'low_stock_alerts_vendor_status_idx'
+    });
+    await queryInterface.addIndex('low_stock_alerts', ['combination_id', 'status'], {
+      name: 'low_stock_alerts_combination_status_idx'
+    });
+
+    await queryInterface.changeColumn('notifications', 'type', {
+      type: Sequelize.ENUM(...NOTIFICATION_TYPES, 'low_stock'),
+      allowNull: false
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query("DELETE FROM notifications WHERE type = 'low_stock'");
+    await queryInterface.changeColumn('notifications', 'type', {
+      type: Sequelize.ENUM(...NOTIFICATION_TYPES),
+      allowNull: false
+    });
+    await queryInterface.dropTable('low_stock_alerts');
+    await queryInterface.removeColumn('variant_combinations', 'reorder_threshold');
+    await queryInterface.removeColumn('products', 'reorder_threshold');
+  }
+};
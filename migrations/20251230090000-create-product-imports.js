@@ -0,0 +1,124 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('product_imports', {
+      id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      vendor_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'vendors',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        comment: 'User who uploaded the file'
+      },
+      filename: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      format: {
+        type: Sequelize.ENUM('csv', 'json'),
+        allowNull: false
+      },
+      dry_run: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Validate and report without changing products'
+      },
+      status: {
+        type: Sequelize.ENUM('queued', 'processing', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      total_rows: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0
+      },
+      processed_rows: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_count: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0
+      },
+      updated_count: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0
+      },
+      unchanged_count: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0
+      },
+      failed_count: {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0
+      },
+      rows: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Products read from the file'
+      },
+      results: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Outcome and errors of each row'
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Why the import as a whole failed'
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('product_imports', ['vendor_id', 'created_at'], {
+      name: 'product_imports_vendor_created_idx'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('product_imports');
+  }
+};
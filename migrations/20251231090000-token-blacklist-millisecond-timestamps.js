@@ -0,0 +1,22 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('token_blacklist', 'blacklisted_at', {
+      type: Sequelize.DATE(3),
+      allowNull: false,
+      defaultValue: Sequelize.NOW,
+      comment: 'When the token was blacklisted, to the millisecond'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('token_blacklist', 'blacklisted_at', {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.NOW,
+      comment: 'When the token was blacklisted'
+    });
+  }
+};
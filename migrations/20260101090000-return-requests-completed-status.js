@@ -0,0 +1,25 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('return_requests', 'status', {
+      type: Sequelize.ENUM('requested', 'approved', 'rejected', 'received', 'refunded', 'completed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'requested'
+    });
+
+    // Returns received without a refund used to stay "received" for good
+    await queryInterface.bulkUpdate('return_requests', { status: 'completed' }, { status: 'received' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate('return_requests', { status: 'received' }, { status: 'completed' });
+
+    await queryInterface.changeColumn('return_requests', 'status', {
+      type: Sequelize.ENUM('requested', 'approved', 'rejected', 'received', 'refunded', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'requested'
+    });
+  }
+};
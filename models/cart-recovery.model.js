@@ -0,0 +1,84 @@
+// models/cart-recovery.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CartRecovery extends Model {
+    static associate(models) {
+      CartRecovery.belongsTo(models.Cart, {
+        foreignKey: 'cart_id',
+        as: 'cart'
+      });
+      CartRecovery.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+      CartRecovery.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+    }
+  }
+
+  CartRecovery.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    cart_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    item_count: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    cart_total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.0
+    },
+    status: {
+      type: DataTypes.ENUM('emailed', 'recovered'),
+      allowNull: false,
+      defaultValue: 'emailed'
+    },
+    emailed_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    order_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    recovered_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    recovered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'CartRecovery',
+    tableName: 'cart_recoveries',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return CartRecovery;
+};
@@ -15,6 +15,16 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'cart_id',
         as: 'items'
       });
+
+      Cart.belongsTo(models.Coupon, {
+        foreignKey: 'coupon_id',
+        as: 'coupon'
+      });
+
+      Cart.hasMany(models.CartRecovery, {
+        foreignKey: 'cart_id',
+        as: 'recoveries'
+      });
     }
 
     // Instance method to calculate cart totals
@@ -233,6 +243,14 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'For guest users without accounts'
     },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: {
+        isEmail: true
+      },
+      comment: 'Contact email left by a guest, used for cart recovery emails'
+    },
     total_items: {
       type: DataTypes.INTEGER.UNSIGNED,
       allowNull: false,
@@ -249,6 +267,11 @@ module.exports = (sequelize, DataTypes) => {
         min: 0
       }
     },
+    coupon_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true,
+      comment: 'Coupon applied to the cart'
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
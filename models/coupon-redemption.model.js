@@ -0,0 +1,57 @@
+// models/coupon_redemption.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CouponRedemption extends Model {
+    static associate(models) {
+      CouponRedemption.belongsTo(models.Coupon, {
+        foreignKey: 'coupon_id',
+        as: 'coupon'
+      });
+      CouponRedemption.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+      CouponRedemption.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+    }
+  }
+
+  CouponRedemption.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    coupon_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    order_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'CouponRedemption',
+    tableName: 'coupon_redemptions',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return CouponRedemption;
+};
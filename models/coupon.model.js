@@ -0,0 +1,120 @@
+// models/coupon.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Coupon extends Model {
+    static associate(models) {
+      Coupon.belongsTo(models.Vendor, {
+        foreignKey: 'vendor_id',
+        as: 'vendor'
+      });
+      Coupon.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator'
+      });
+      Coupon.hasMany(models.CouponRedemption, {
+        foreignKey: 'coupon_id',
+        as: 'redemptions'
+      });
+    }
+  }
+
+  Coupon.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      set(value) {
+        this.setDataValue('code', value ? String(value).trim().toUpperCase() : value);
+      }
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    type: {
+      type: DataTypes.ENUM('percentage', 'fixed_amount', 'free_shipping'),
+      allowNull: false
+    },
+    value: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    max_discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    min_order_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    usage_limit: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    usage_limit_per_user: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    times_used: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    vendor_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    product_ids: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    category_ids: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    vendor_ids: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Coupon',
+    tableName: 'coupons',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return Coupon;
+};
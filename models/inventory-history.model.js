@@ -40,7 +40,7 @@ module.exports = (sequelize, DataTypes) => {
       comment: 'Positive for stock in, negative for stock out'
     },
     change_type: {
-      type: DataTypes.ENUM('supply', 'sale', 'return', 'manual_adjustment', 'other'),
+      type: DataTypes.ENUM('supply', 'sale', 'return', 'manual_adjustment', 'reservation', 'reservation_release', 'other'),
       allowNull: false,
       defaultValue: 'manual_adjustment'
     },
@@ -0,0 +1,52 @@
+// models/invoice.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Invoice extends Model {
+    static associate(models) {
+      Invoice.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+    }
+  }
+
+  Invoice.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      unique: true
+    },
+    sequence: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      unique: true
+    },
+    invoice_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    issued_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'Invoice',
+    tableName: 'invoices',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return Invoice;
+};
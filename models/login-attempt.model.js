@@ -0,0 +1,75 @@
+// models/login-attempt.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class LoginAttempt extends Model {
+    static associate(models) {
+      LoginAttempt.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+  }
+
+  LoginAttempt.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    method: {
+      type: DataTypes.ENUM('password', 'two_factor', 'google', 'apple'),
+      allowNull: false,
+      defaultValue: 'password'
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false
+    },
+    failure_reason: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(512),
+      allowNull: true
+    },
+    device: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    device_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: true
+    },
+    new_device: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    sequelize,
+    modelName: 'LoginAttempt',
+    tableName: 'login_attempts',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    createdAt: 'created_at'
+  });
+
+  return LoginAttempt;
+};
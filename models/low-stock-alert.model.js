@@ -0,0 +1,82 @@
+// models/low-stock-alert.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class LowStockAlert extends Model {
+    static associate(models) {
+      LowStockAlert.belongsTo(models.Vendor, {
+        foreignKey: 'vendor_id',
+        as: 'vendor'
+      });
+      LowStockAlert.belongsTo(models.Product, {
+        foreignKey: 'product_id',
+        as: 'product'
+      });
+      LowStockAlert.belongsTo(models.VariantCombination, {
+        foreignKey: 'combination_id',
+        as: 'combination'
+      });
+      LowStockAlert.belongsTo(models.User, {
+        foreignKey: 'acknowledged_by',
+        as: 'acknowledgedBy'
+      });
+    }
+  }
+
+  LowStockAlert.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    vendor_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    product_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    combination_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    threshold: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    stock: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'acknowledged', 'resolved'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    acknowledged_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    acknowledged_by: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'LowStockAlert',
+    tableName: 'low_stock_alerts',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return LowStockAlert;
+};
@@ -9,7 +9,8 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'user_id'
       });
       Notification.hasMany(models.NotificationItem, {
-        foreignKey: 'notification_id'
+        foreignKey: 'notification_id',
+        as: 'items'
       });
     }
   }
@@ -26,7 +27,7 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false
     },
     type: {
-      type: DataTypes.ENUM('welcome', 'order_process', 'maintenance', 'policy_update', 'delay_apology', 'success', 'apology', 'order_created', 'order_received', 'order_cancelled', 'order_shipped', 'order_delivered'),
+      type: DataTypes.ENUM('welcome', 'order_process', 'maintenance', 'policy_update', 'delay_apology', 'success', 'apology', 'order_created', 'order_received', 'order_cancelled', 'order_shipped', 'order_delivered', 'low_stock'),
       allowNull: false
     },
     message: {
@@ -48,7 +49,17 @@ module.exports = (sequelize, DataTypes) => {
     modelName: 'Notification',
     tableName: 'notifications',
     timestamps: false,
-    underscored: true
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_notifications_user_read',
+        fields: ['user_id', 'is_read']
+      },
+      {
+        name: 'idx_notifications_user_created',
+        fields: ['user_id', 'created_at']
+      }
+    ]
   });
 
   return Notification;
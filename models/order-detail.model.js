@@ -61,6 +61,24 @@ module.exports = (sequelize, DataTypes) => {
         min: 0
       }
     },
+    tax_inclusive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether tax_amount is part of the item prices rather than charged on top'
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    coupon_code: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
     // Timestamps are now handled automatically by Sequelize
   }, {
     sequelize,
@@ -0,0 +1,49 @@
+// models/order-expiration.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class OrderExpiration extends Model {
+    static associate(models) {
+      OrderExpiration.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+    }
+  }
+
+  OrderExpiration.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    outcome: {
+      type: DataTypes.ENUM('cancelled', 'paid'),
+      allowNull: false
+    },
+    gateway_status: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'OrderExpiration',
+    tableName: 'order_expirations',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    createdAt: 'created_at'
+  });
+
+  return OrderExpiration;
+};
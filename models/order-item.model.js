@@ -26,6 +26,14 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'combination_id',
         as: 'combination'
       });
+      OrderItem.belongsTo(models.Payout, {
+        foreignKey: 'payout_id',
+        as: 'payout'
+      });
+      OrderItem.hasMany(models.ReturnRequestItem, {
+        foreignKey: 'order_item_id',
+        as: 'returnItems'
+      });
     }
 
     // Instance method to calculate total price for this item including variant prices
@@ -217,6 +225,29 @@ module.exports = (sequelize, DataTypes) => {
         min: 0
       }
     },
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      comment: 'Share of the order coupon discount allocated to this line'
+    },
+    tax_rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      comment: 'Tax on this line after its share of the coupon discount'
+    },
+    tax_inclusive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether tax_amount is part of sub_total rather than charged on top'
+    },
     selected_variants: {
       type: DataTypes.JSON,
       allowNull: true,
@@ -232,6 +263,16 @@ module.exports = (sequelize, DataTypes) => {
       onDelete: 'SET NULL',
       comment: 'Reference to variant combination for complex variant selections'
     },
+    payout_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true,
+      references: {
+        model: 'payouts',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Payout that settled this item; NULL while it is still unpaid to the vendor'
+    },
     // Timestamps are now handled automatically by Sequelize
   }, {
     sequelize,
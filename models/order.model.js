@@ -21,6 +21,30 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'order_id',
         as: 'transactions'
       });
+      Order.hasMany(models.Refund, {
+        foreignKey: 'order_id',
+        as: 'refunds'
+      });
+      Order.hasMany(models.ReturnRequest, {
+        foreignKey: 'order_id',
+        as: 'returns'
+      });
+      Order.hasMany(models.Shipment, {
+        foreignKey: 'order_id',
+        as: 'shipments'
+      });
+      Order.hasOne(models.Invoice, {
+        foreignKey: 'order_id',
+        as: 'invoice'
+      });
+      Order.hasMany(models.StockReservation, {
+        foreignKey: 'order_id',
+        as: 'stockReservations'
+      });
+      Order.hasOne(models.OrderExpiration, {
+        foreignKey: 'order_id',
+        as: 'expiration'
+      });
     }
   }
 
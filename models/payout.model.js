@@ -8,6 +8,14 @@ module.exports = (sequelize, DataTypes) => {
       Payout.belongsTo(models.Vendor, {
         foreignKey: 'vendor_id'
       });
+      Payout.belongsTo(models.User, {
+        foreignKey: 'reviewed_by',
+        as: 'reviewer'
+      });
+      Payout.hasMany(models.OrderItem, {
+        foreignKey: 'payout_id',
+        as: 'items'
+      });
     }
   }
 
@@ -27,10 +35,43 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false
     },
     status: {
-      type: DataTypes.ENUM('pending', 'paid', 'failed'),
+      type: DataTypes.ENUM('pending', 'processing', 'paid', 'failed', 'rejected'),
       allowNull: false,
       defaultValue: 'pending'
     },
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      unique: true
+    },
+    transfer_code: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    recipient_code: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    reviewed_by: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    rejection_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    failure_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
     payout_date: {
       type: DataTypes.DATE,
       allowNull: true
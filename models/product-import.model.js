@@ -0,0 +1,113 @@
+// models/product-import.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ProductImport extends Model {
+    static associate(models) {
+      ProductImport.belongsTo(models.Vendor, {
+        foreignKey: 'vendor_id',
+        as: 'vendor'
+      });
+      ProductImport.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+  }
+
+  ProductImport.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    vendor_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    filename: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    format: {
+      type: DataTypes.ENUM('csv', 'json'),
+      allowNull: false
+    },
+    dry_run: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    status: {
+      type: DataTypes.ENUM('queued', 'processing', 'completed', 'failed'),
+      allowNull: false,
+      defaultValue: 'queued'
+    },
+    total_rows: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    processed_rows: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    created_count: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    updated_count: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    unchanged_count: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    failed_count: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    rows: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    results: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ProductImport',
+    tableName: 'product_imports',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return ProductImport;
+};
@@ -0,0 +1,54 @@
+// models/product-search-index.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ProductSearchIndex extends Model {
+    static associate(models) {
+      ProductSearchIndex.belongsTo(models.Product, {
+        foreignKey: 'product_id',
+        as: 'product'
+      });
+    }
+  }
+
+  ProductSearchIndex.init({
+    product_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    category_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    store_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    variant_values: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    indexed_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'ProductSearchIndex',
+    tableName: 'product_search_index',
+    timestamps: false,
+    underscored: true
+  });
+
+  return ProductSearchIndex;
+};
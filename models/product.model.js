@@ -110,6 +110,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(50),
       allowNull: true
     },
+    weight: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: true,
+      comment: 'Shipping weight in kg'
+    },
     status: {
       type: DataTypes.ENUM('active', 'inactive', 'apology'),
       allowNull: true,
@@ -125,6 +130,27 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       defaultValue: 0
     },
+    reorder_threshold: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Stock at or below which combinations of this product are low (null: LOW_STOCK_DEFAULT_THRESHOLD)'
+    },
+    rating_average: {
+      type: DataTypes.DECIMAL(3, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Average of approved review ratings (see RatingService)'
+    },
+    rating_count: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    rating_histogram: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Approved reviews per star'
+    },
   }, {
     sequelize,
     modelName: 'Product',
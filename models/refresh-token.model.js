@@ -0,0 +1,50 @@
+// models/refresh-token.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RefreshToken extends Model {
+    static associate(models) {
+      RefreshToken.belongsTo(models.UserSession, {
+        foreignKey: 'session_id',
+        as: 'session'
+      });
+    }
+  }
+
+  RefreshToken.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    session_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    token_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      unique: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'RefreshToken',
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return RefreshToken;
+};
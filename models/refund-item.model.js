@@ -0,0 +1,56 @@
+// models/refund_item.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RefundItem extends Model {
+    static associate(models) {
+      RefundItem.belongsTo(models.Refund, {
+        foreignKey: 'refund_id',
+        as: 'refund'
+      });
+      RefundItem.belongsTo(models.OrderItem, {
+        foreignKey: 'order_item_id',
+        as: 'orderItem'
+      });
+    }
+  }
+
+  RefundItem.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    refund_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    order_item_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'RefundItem',
+    tableName: 'refund_items',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return RefundItem;
+};
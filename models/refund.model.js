@@ -0,0 +1,99 @@
+// models/refund.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Refund extends Model {
+    static associate(models) {
+      Refund.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      Refund.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'customer'
+      });
+      Refund.belongsTo(models.User, {
+        foreignKey: 'initiated_by',
+        as: 'initiator'
+      });
+      Refund.hasMany(models.RefundItem, {
+        foreignKey: 'refund_id',
+        as: 'items'
+      });
+    }
+  }
+
+  Refund.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processed', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    source: {
+      type: DataTypes.ENUM('cancellation', 'manual', 'return'),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    payment_reference: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    gateway_refund_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    failure_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    initiated_by: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    processed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Refund',
+    tableName: 'refunds',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return Refund;
+};
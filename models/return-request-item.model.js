@@ -0,0 +1,57 @@
+// models/return_request_item.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ReturnRequestItem extends Model {
+    static associate(models) {
+      ReturnRequestItem.belongsTo(models.ReturnRequest, {
+        foreignKey: 'return_request_id',
+        as: 'returnRequest'
+      });
+      ReturnRequestItem.belongsTo(models.OrderItem, {
+        foreignKey: 'order_item_id',
+        as: 'orderItem'
+      });
+    }
+  }
+
+  ReturnRequestItem.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    return_request_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    order_item_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    restocked: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    sequelize,
+    modelName: 'ReturnRequestItem',
+    tableName: 'return_request_items',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return ReturnRequestItem;
+};
@@ -0,0 +1,103 @@
+// models/return_request.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ReturnRequest extends Model {
+    static associate(models) {
+      ReturnRequest.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      ReturnRequest.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'customer'
+      });
+      ReturnRequest.belongsTo(models.Vendor, {
+        foreignKey: 'vendor_id',
+        as: 'vendor'
+      });
+      ReturnRequest.belongsTo(models.User, {
+        foreignKey: 'reviewed_by',
+        as: 'reviewer'
+      });
+      ReturnRequest.belongsTo(models.Refund, {
+        foreignKey: 'refund_id',
+        as: 'refund'
+      });
+      ReturnRequest.hasMany(models.ReturnRequestItem, {
+        foreignKey: 'return_request_id',
+        as: 'items'
+      });
+    }
+  }
+
+  ReturnRequest.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    vendor_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('requested', 'approved', 'rejected', 'received', 'refunded', 'completed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'requested'
+    },
+    reason_code: {
+      type: DataTypes.ENUM('damaged', 'defective', 'wrong_item', 'not_as_described', 'size_issue', 'changed_mind', 'other'),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    attachments: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+    reviewed_by: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    rejection_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    received_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    refund_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ReturnRequest',
+    tableName: 'return_requests',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return ReturnRequest;
+};
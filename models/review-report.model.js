@@ -0,0 +1,58 @@
+// models/review-report.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ReviewReport extends Model {
+    static associate(models) {
+      ReviewReport.belongsTo(models.Review, {
+        foreignKey: 'review_id',
+        as: 'review'
+      });
+      ReviewReport.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'reporter'
+      });
+    }
+  }
+
+  ReviewReport.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    review_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.ENUM('spam', 'offensive', 'harassment', 'off_topic', 'fake', 'other'),
+      allowNull: false
+    },
+    details: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'resolved'),
+      allowNull: false,
+      defaultValue: 'open'
+    }
+  }, {
+    sequelize,
+    modelName: 'ReviewReport',
+    tableName: 'review_reports',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return ReviewReport;
+};
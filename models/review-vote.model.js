@@ -0,0 +1,49 @@
+// models/review-vote.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ReviewVote extends Model {
+    static associate(models) {
+      ReviewVote.belongsTo(models.Review, {
+        foreignKey: 'review_id',
+        as: 'review'
+      });
+      ReviewVote.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+  }
+
+  ReviewVote.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    review_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    vote: {
+      type: DataTypes.ENUM('up', 'down'),
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'ReviewVote',
+    tableName: 'review_votes',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return ReviewVote;
+};
@@ -13,6 +13,22 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'user_id',
         as: "user"
       });
+      Review.belongsTo(models.OrderItem, {
+        foreignKey: 'order_item_id',
+        as: 'orderItem'
+      });
+      Review.hasMany(models.ReviewVote, {
+        foreignKey: 'review_id',
+        as: 'votes'
+      });
+      Review.hasMany(models.ReviewReport, {
+        foreignKey: 'review_id',
+        as: 'reports'
+      });
+      Review.belongsTo(models.User, {
+        foreignKey: 'moderated_by',
+        as: 'moderator'
+      });
     }
   }
 
@@ -31,6 +47,15 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BIGINT({ unsigned: true }),
       allowNull: false
     },
+    order_item_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    is_verified_purchase: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     rating: {
       type: DataTypes.TINYINT({ unsigned: true }),
       allowNull: false
@@ -39,6 +64,59 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    images: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    helpful_count: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    unhelpful_count: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    vendor_reply: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    vendor_replied_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    is_flagged: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    flag_reasons: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    report_count: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    moderated_by: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    moderated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    moderation_note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -0,0 +1,28 @@
+// models/search-term.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class SearchTerm extends Model {}
+
+  SearchTerm.init({
+    term: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      primaryKey: true
+    },
+    frequency: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 1
+    }
+  }, {
+    sequelize,
+    modelName: 'SearchTerm',
+    tableName: 'search_terms',
+    timestamps: false,
+    underscored: true
+  });
+
+  return SearchTerm;
+};
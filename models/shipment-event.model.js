@@ -0,0 +1,58 @@
+// models/shipment-event.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ShipmentEvent extends Model {
+    static associate(models) {
+      ShipmentEvent.belongsTo(models.Shipment, {
+        foreignKey: 'shipment_id',
+        as: 'shipment'
+      });
+    }
+  }
+
+  ShipmentEvent.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    shipment_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned'),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    location: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    source: {
+      type: DataTypes.ENUM('vendor', 'admin', 'carrier'),
+      allowNull: false,
+      defaultValue: 'vendor'
+    },
+    occurred_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'ShipmentEvent',
+    tableName: 'shipment_events',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return ShipmentEvent;
+};
@@ -0,0 +1,90 @@
+// models/shipment.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Shipment extends Model {
+    static associate(models) {
+      Shipment.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      Shipment.belongsTo(models.Vendor, {
+        foreignKey: 'vendor_id',
+        as: 'vendor'
+      });
+      Shipment.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator'
+      });
+      Shipment.hasMany(models.ShipmentEvent, {
+        foreignKey: 'shipment_id',
+        as: 'events'
+      });
+    }
+  }
+
+  Shipment.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    vendor_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    carrier: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    courier: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    tracking_number: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    tracking_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned'),
+      allowNull: false,
+      defaultValue: 'shipped'
+    },
+    estimated_delivery: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    shipped_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Shipment',
+    tableName: 'shipments',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return Shipment;
+};
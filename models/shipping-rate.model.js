@@ -0,0 +1,57 @@
+// models/shipping-rate.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ShippingRate extends Model {
+    static associate(models) {
+      ShippingRate.belongsTo(models.ShippingZone, {
+        foreignKey: 'zone_id',
+        as: 'zone'
+      });
+    }
+  }
+
+  ShippingRate.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    zone_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    min_value: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: false,
+      defaultValue: 0
+    },
+    max_value: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: true
+    },
+    cost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'ShippingRate',
+    tableName: 'shipping_rates',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return ShippingRate;
+};
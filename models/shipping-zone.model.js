@@ -0,0 +1,71 @@
+// models/shipping-zone.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ShippingZone extends Model {
+    static associate(models) {
+      ShippingZone.belongsTo(models.Vendor, {
+        foreignKey: 'vendor_id',
+        as: 'vendor'
+      });
+      ShippingZone.hasMany(models.ShippingRate, {
+        foreignKey: 'zone_id',
+        as: 'rates'
+      });
+    }
+  }
+
+  ShippingZone.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    vendor_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    country: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    states: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    cities: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    rate_basis: {
+      type: DataTypes.ENUM('flat', 'weight', 'item_count'),
+      allowNull: false,
+      defaultValue: 'flat'
+    },
+    free_shipping_threshold: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ShippingZone',
+    tableName: 'shipping_zones',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return ShippingZone;
+};
@@ -0,0 +1,74 @@
+// models/stock-reservation.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class StockReservation extends Model {
+    static associate(models) {
+      StockReservation.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      StockReservation.belongsTo(models.OrderItem, {
+        foreignKey: 'order_item_id',
+        as: 'orderItem'
+      });
+      StockReservation.belongsTo(models.VariantCombination, {
+        foreignKey: 'combination_id',
+        as: 'combination'
+      });
+    }
+  }
+
+  StockReservation.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    order_item_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    combination_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'converted', 'released'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    release_reason: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'StockReservation',
+    tableName: 'stock_reservations',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return StockReservation;
+};
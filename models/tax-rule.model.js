@@ -0,0 +1,71 @@
+// models/tax-rule.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class TaxRule extends Model {
+    static associate(models) {
+      TaxRule.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator'
+      });
+    }
+  }
+
+  TaxRule.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    country: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    state: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      validate: {
+        min: 0,
+        max: 100
+      }
+    },
+    is_inclusive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    exempt_category_ids: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'TaxRule',
+    tableName: 'tax_rules',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return TaxRule;
+};
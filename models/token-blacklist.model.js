@@ -24,7 +24,7 @@ module.exports = (sequelize, DataTypes) => {
       comment: 'Unix timestamp when the original token expires'
     },
     blacklisted_at: {
-      type: DataTypes.DATE,
+      type: DataTypes.DATE(3),
       allowNull: false,
       defaultValue: DataTypes.NOW,
       comment: 'When the token was blacklisted'
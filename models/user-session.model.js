@@ -0,0 +1,70 @@
+// models/user-session.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class UserSession extends Model {
+    static associate(models) {
+      UserSession.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+      UserSession.hasMany(models.RefreshToken, {
+        foreignKey: 'session_id',
+        as: 'refreshTokens'
+      });
+    }
+  }
+
+  UserSession.init({
+    id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT({ unsigned: true }),
+      allowNull: false
+    },
+    user_agent: {
+      type: DataTypes.STRING(512),
+      allowNull: true
+    },
+    device: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    last_seen_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_reason: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'UserSession',
+    tableName: 'user_sessions',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return UserSession;
+};
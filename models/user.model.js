@@ -53,6 +53,18 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'user_id',
         as: 'following'
       });
+      User.hasMany(models.UserSession, {
+        foreignKey: 'user_id',
+        as: 'sessions'
+      });
+      User.hasMany(models.SocialAccount, {
+        foreignKey: 'user_id',
+        as: 'socialAccounts'
+      });
+      User.hasMany(models.LoginAttempt, {
+        foreignKey: 'user_id',
+        as: 'loginAttempts'
+      });
 
       // User can have multiple carts (for cart history)
       User.hasMany(models.Cart, {
@@ -112,7 +124,7 @@ module.exports = (sequelize, DataTypes) => {
     },
     password: {
       type: DataTypes.STRING(255),
-      allowNull: false
+      allowNull: true // null for users who signed up with Google or Apple
     },
     password_reset_token: {
       type: DataTypes.STRING(255),
@@ -143,6 +155,45 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       field: 'password_changed_at'
     },
+    two_factor_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    two_factor_secret: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    two_factor_pending_secret: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    two_factor_recovery_codes: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    two_factor_last_step: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    two_factor_enabled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    failed_login_attempts: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lockout_count: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     pending_phone_number: {
       type: DataTypes.STRING(20),
       allowNull: true
@@ -199,8 +250,19 @@ module.exports = (sequelize, DataTypes) => {
     return false;
   };
 
+  // Never send two-factor secrets or recovery code hashes to clients
+  User.prototype.toJSON = function() {
+    const values = this.get({ plain: true });
+    delete values.two_factor_secret;
+    delete values.two_factor_pending_secret;
+    delete values.two_factor_recovery_codes;
+    delete values.two_factor_last_step;
+    return values;
+  };
+
   // Add instance methods to User prototype
   User.prototype.comparePassword = async function(candidatePassword) {
+    if (!this.password) return false;
     return await bcrypt.compare(candidatePassword, this.password);
   };
 
@@ -108,6 +108,11 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: true,
       comment: 'Whether this combination is available for purchase'
+    },
+    reorder_threshold: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Stock at or below which this combination is low (null: the product threshold)'
     }
   }, {
     sequelize,
@@ -36,6 +36,10 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: "vendor_id",
         as: "followers"
       });
+      Vendor.hasMany(models.ProductImport, {
+        foreignKey: "vendor_id",
+        as: "productImports"
+      });
     }
   }
 
@@ -71,6 +75,21 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
         defaultValue: 0.0,
       },
+      rating_average: {
+        type: DataTypes.DECIMAL(3, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Average of approved review ratings across the vendor's products",
+      },
+      rating_count: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      rating_histogram: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
       last_payment_date: {
         type: DataTypes.DATE,
         allowNull: true,
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const abandonedCartController = require('../../controllers/abandoned-cart.controller');
+const { protect, isAdmin } = require('../../middlewares/auth');
+const {
+  abandonedCartStatsValidation,
+  listCartRecoveriesValidation
+} = require('../../validators/abandoned-cart.validator');
+const validate = require('../../middlewares/validation');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(isAdmin);
+
+// Admin routes for abandoned cart recovery
+router.get('/', listCartRecoveriesValidation, validate, abandonedCartController.getCartRecoveries);
+router.get('/stats', abandonedCartStatsValidation, validate, abandonedCartController.getAbandonedCartStats);
+router.post('/run', abandonedCartController.runAbandonedCartCheck);
+
+module.exports = router;
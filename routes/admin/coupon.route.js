@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const couponController = require('../../controllers/coupon.controller');
+const { protect, isAdmin } = require('../../middlewares/auth');
+const {
+  listCouponsValidation,
+  createCouponValidation,
+  updateCouponValidation,
+  couponIdValidation
+} = require('../../validators/coupon.validator');
+const validate = require('../../middlewares/validation');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(isAdmin);
+
+// Admin routes for coupons
+router.get('/', listCouponsValidation, validate, couponController.getCoupons);
+router.post('/', createCouponValidation, validate, couponController.createCoupon);
+router.get('/:id', couponIdValidation, validate, couponController.getCoupon);
+router.patch('/:id', updateCouponValidation, validate, couponController.updateCoupon);
+router.delete('/:id', couponIdValidation, validate, couponController.deleteCoupon);
+
+module.exports = router;
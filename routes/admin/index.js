@@ -12,6 +12,17 @@ const orderRoutes = require('./order.route');
 const supplyRoutes = require('./supply.route');
 const webhookRoutes = require('./webhook.route');
 const subadminRoutes = require('./subadmin.route');
+const payoutRoutes = require('./payout.route');
+const refundRoutes = require('./refund.route');
+const returnRoutes = require('./return.route');
+const couponRoutes = require('./coupon.route');
+const shippingRoutes = require('./shipping.route');
+const taxRoutes = require('./tax.route');
+const shipmentRoutes = require('./shipment.route');
+const abandonedCartRoutes = require('./abandoned-cart.route');
+const jobRoutes = require('./job.route');
+const searchRoutes = require('./search.route');
+const reviewRoutes = require('./review.route');
 
 // Diagnostic logging middleware
 router.use((req, res, next) => {
@@ -30,5 +41,16 @@ router.use('/orders', orderRoutes);
 router.use('/supplies', supplyRoutes);
 router.use('/webhooks', webhookRoutes);
 router.use('/subadmins', subadminRoutes);
+router.use('/payouts', payoutRoutes);
+router.use('/refunds', refundRoutes);
+router.use('/returns', returnRoutes);
+router.use('/coupons', couponRoutes);
+router.use('/shipping', shippingRoutes);
+router.use('/tax-rules', taxRoutes);
+router.use('/shipments', shipmentRoutes);
+router.use('/abandoned-carts', abandonedCartRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/search', searchRoutes);
+router.use('/reviews', reviewRoutes);
 
 module.exports = router;
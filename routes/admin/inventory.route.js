@@ -41,6 +41,18 @@ router.get(
   inventoryController.getGlobalLowStockItems
 );
 
+router.get(
+  '/alerts',
+  [
+    query('vendorId').optional().isInt({ min: 1 }).withMessage('Vendor ID must be an integer'),
+    query('status').optional().isIn(['open', 'acknowledged', 'resolved']).withMessage('Status must be one of: open, acknowledged, resolved'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  validate,
+  inventoryController.getAllLowStockAlerts
+);
+
 router.get(
   '/history',
   [
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../../controllers/job.controller');
+const { protect, isAdmin } = require('../../middlewares/auth');
+const { listFailedJobsValidation, jobIdValidation } = require('../../validators/job.validator');
+const validate = require('../../middlewares/validation');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(isAdmin);
+
+// Admin routes for the background job queue
+router.get('/stats', jobController.getJobStats);
+router.get('/failed', listFailedJobsValidation, validate, jobController.getFailedJobs);
+router.get('/:id', jobIdValidation, validate, jobController.getJob);
+router.post('/:id/retry', jobIdValidation, validate, jobController.retryJob);
+router.delete('/:id', jobIdValidation, validate, jobController.discardJob);
+
+module.exports = router;
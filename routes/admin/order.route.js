@@ -1,14 +1,25 @@
 const express = require("express");
 const router = express.Router();
 const orderController = require("../../controllers/order.controller");
+const invoiceController = require("../../controllers/invoice.controller");
+const orderExpiryController = require("../../controllers/order-expiry.controller");
 const { protect, isAdmin } = require("../../middlewares/auth");
+const { getOrderExpirationsSchema } = require("../../validators/order.validator");
+const validate = require("../../middlewares/validation");
 
 // Apply authentication middleware to all routes except webhook
 router.use(protect);
 
 // Admin routes
 router.get("/", isAdmin, orderController.getAllOrders);
+
+// Unpaid orders resolved by the expiry sweeper
+router.get("/expirations", isAdmin, getOrderExpirationsSchema, validate, orderExpiryController.getOrderExpirations);
+router.post("/expirations/run", isAdmin, orderExpiryController.runOrderExpiry);
+
 router.get("/:id", isAdmin, orderController.getOrder);
 router.patch("/:id/status", isAdmin, orderController.updateOrderStatus);
+router.get("/:id/invoice", isAdmin, invoiceController.getOrderInvoice);
+router.get("/:id/packing-slips/:vendorId", isAdmin, invoiceController.getPackingSlip);
 
 module.exports = router;
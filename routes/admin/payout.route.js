@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const payoutController = require('../../controllers/payout.controller');
+const { protect, isAdmin } = require('../../middlewares/auth');
+const {
+  listPayoutsValidation,
+  rejectPayoutValidation,
+  payoutIdValidation
+} = require('../../validators/payout.validator');
+const validate = require('../../middlewares/validation');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(isAdmin);
+
+// Admin routes for vendor payouts
+router.get('/', listPayoutsValidation, validate, payoutController.getAllPayouts);
+router.get('/:id', payoutIdValidation, validate, payoutController.getPayout);
+router.patch('/:id/approve', payoutIdValidation, validate, payoutController.approvePayout);
+router.patch('/:id/reject', payoutIdValidation, rejectPayoutValidation, validate, payoutController.rejectPayout);
+
+module.exports = router;
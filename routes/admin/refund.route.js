@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const refundController = require('../../controllers/refund.controller');
+const { protect, isAdmin } = require('../../middlewares/auth');
+const {
+  listRefundsValidation,
+  createRefundValidation,
+  refundIdValidation
+} = require('../../validators/refund.validator');
+const validate = require('../../middlewares/validation');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(isAdmin);
+
+// Admin routes for refunds
+router.get('/', listRefundsValidation, validate, refundController.getAllRefunds);
+router.post('/', createRefundValidation, validate, refundController.createRefund);
+router.get('/:id', refundIdValidation, validate, refundController.getRefund);
+router.post('/:id/retry', refundIdValidation, validate, refundController.retryRefund);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const returnController = require('../../controllers/return.controller');
+const { protect, isAdmin } = require('../../middlewares/auth');
+const {
+  listReturnsValidation,
+  rejectReturnValidation,
+  receiveReturnValidation,
+  returnIdValidation
+} = require('../../validators/return.validator');
+const validate = require('../../middlewares/validation');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(isAdmin);
+
+// Admin routes for return requests
+router.get('/', listReturnsValidation, validate, returnController.getAllReturns);
+router.get('/:id', returnIdValidation, validate, returnController.getReturn);
+router.patch('/:id/approve', returnIdValidation, validate, returnController.approveReturn);
+router.patch('/:id/reject', rejectReturnValidation, validate, returnController.rejectReturn);
+router.patch('/:id/receive', receiveReturnValidation, validate, returnController.receiveReturn);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../../controllers/review.controller');
+const { protect, loadPermissions } = require('../../middlewares/auth');
+const { requirePermission } = require('../../middlewares/permissions');
+const {
+  moderationQueueValidation,
+  moderateReviewValidation,
+  reviewIdValidation,
+  validate
+} = require('../../validators/review.validator');
+
+// Admins and sub-admins with the reviews_moderate permission
+router.use(protect);
+router.use(loadPermissions);
+router.use(requirePermission('reviews_moderate'));
+
+/**
+ * @desc    Get the review moderation queue
+ * @route   GET /api/v1/admin/reviews
+ * @access  Private (reviews_moderate)
+ */
+router.get('/', moderationQueueValidation, validate, reviewController.getModerationQueue);
+
+/**
+ * @desc    Get a review with its reports
+ * @route   GET /api/v1/admin/reviews/:id
+ * @access  Private (reviews_moderate)
+ */
+router.get('/:id', reviewIdValidation, validate, reviewController.getReviewForModeration);
+
+/**
+ * @desc    Approve or reject a review
+ * @route   PATCH /api/v1/admin/reviews/:id/moderate
+ * @access  Private (reviews_moderate)
+ */
+router.patch('/:id/moderate', reviewIdValidation, moderateReviewValidation, validate, reviewController.moderateReview);
+
+module.exports = router;
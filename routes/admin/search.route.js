@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../../controllers/search.controller');
+const { protect, isAdmin } = require('../../middlewares/auth');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(isAdmin);
+
+// Admin routes for the product search index
+router.post('/reindex', searchController.reindexProducts);
+
+module.exports = router;
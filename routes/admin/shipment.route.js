@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const shipmentController = require('../../controllers/shipment.controller');
+const { protect, isAdmin } = require('../../middlewares/auth');
+const {
+  listShipmentsValidation,
+  createShipmentValidation,
+  addShipmentEventValidation,
+  shipmentIdValidation
+} = require('../../validators/shipment.validator');
+const validate = require('../../middlewares/validation');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(isAdmin);
+
+// Admin routes for shipments
+router.get('/', listShipmentsValidation, validate, shipmentController.getShipments);
+router.post('/', createShipmentValidation, validate, shipmentController.createShipment);
+router.get('/:id', shipmentIdValidation, validate, shipmentController.getShipment);
+router.post('/:id/events', addShipmentEventValidation, validate, shipmentController.addShipmentEvent);
+router.post('/:id/refresh', shipmentIdValidation, validate, shipmentController.refreshShipment);
+
+module.exports = router;
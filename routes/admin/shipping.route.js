@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const shippingController = require('../../controllers/shipping.controller');
+const { protect, isAdmin } = require('../../middlewares/auth');
+const {
+  listZonesValidation,
+  createZoneValidation,
+  updateZoneValidation,
+  zoneIdValidation
+} = require('../../validators/shipping.validator');
+const validate = require('../../middlewares/validation');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(isAdmin);
+
+// Admin routes for shipping zones
+router.get('/zones', listZonesValidation, validate, shippingController.getZones);
+router.post('/zones', createZoneValidation, validate, shippingController.createZone);
+router.get('/zones/:id', zoneIdValidation, validate, shippingController.getZone);
+router.patch('/zones/:id', updateZoneValidation, validate, shippingController.updateZone);
+router.delete('/zones/:id', zoneIdValidation, validate, shippingController.deleteZone);
+
+module.exports = router;
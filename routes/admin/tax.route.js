@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const taxController = require('../../controllers/tax.controller');
+const { protect, isAdmin } = require('../../middlewares/auth');
+const {
+  listTaxRulesValidation,
+  createTaxRuleValidation,
+  updateTaxRuleValidation,
+  taxRuleIdValidation
+} = require('../../validators/tax.validator');
+const validate = require('../../middlewares/validation');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(isAdmin);
+
+// Admin routes for tax rules
+router.get('/', listTaxRulesValidation, validate, taxController.getTaxRules);
+router.post('/', createTaxRuleValidation, validate, taxController.createTaxRule);
+router.get('/:id', taxRuleIdValidation, validate, taxController.getTaxRule);
+router.patch('/:id', updateTaxRuleValidation, validate, taxController.updateTaxRule);
+router.delete('/:id', taxRuleIdValidation, validate, taxController.deleteTaxRule);
+
+module.exports = router;
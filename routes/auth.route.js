@@ -2,7 +2,7 @@ const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/auth.controller");
 const { validate } = require("../validators/auth.validator");
-const { protect, localAuth, restrictTo } = require("../middlewares/auth");
+const { protect, protectTwoFactorSetup, localAuth, restrictTo } = require("../middlewares/auth");
 const uploadFiles = require("../middlewares/fileUpload");
 const {
   registerValidation,
@@ -15,6 +15,16 @@ const {
   updateProfileValidation,
   requestPhoneChangeValidation,
   cancelPhoneChangeValidation,
+  verifyTwoFactorValidation,
+  enableTwoFactorValidation,
+  disableTwoFactorValidation,
+  regenerateRecoveryCodesValidation,
+  refreshTokenValidation,
+  revokeSessionValidation,
+  socialProviderValidation,
+  socialTokenValidation,
+  unlinkSocialAccountValidation,
+  loginHistoryValidation,
 } = require("../validators/auth.validator");
 
 // Public routes
@@ -65,6 +75,51 @@ router.post(
   authController.resetPassword
 );
 
+// Exchange a refresh token for a new access token and refresh token
+router.post(
+  "/refresh-token",
+  refreshTokenValidation,
+  validate,
+  authController.refreshToken
+);
+
+// Sign in with Google or Apple: redirect, provider callback (Apple posts a form), or an ID
+// token from the mobile/web SDK
+router.get(
+  "/social/:provider",
+  socialProviderValidation,
+  validate,
+  authController.socialLogin
+);
+router
+  .route("/social/:provider/callback")
+  .get(socialProviderValidation, validate, authController.socialLogin)
+  .post(socialProviderValidation, validate, authController.socialLogin);
+router.post(
+  "/social/:provider/token",
+  socialTokenValidation,
+  validate,
+  authController.socialLogin
+);
+
+// Second login step for two-factor authentication
+router.post(
+  "/2fa/verify",
+  verifyTwoFactorValidation,
+  validate,
+  authController.verifyTwoFactor
+);
+
+// Two-factor setup - JWT, or the setup challenge token from login when the role requires it
+router.post("/2fa/setup", protectTwoFactorSetup, authController.setupTwoFactor);
+router.post(
+  "/2fa/enable",
+  protectTwoFactorSetup,
+  enableTwoFactorValidation,
+  validate,
+  authController.enableTwoFactor
+);
+
 // Phone change verification (public route)
 router.get("/verify-phone-change/:token", authController.verifyPhoneChange);
 
@@ -101,6 +156,54 @@ router.post(
   authController.cancelPhoneChange
 );
 
+// Two-factor authentication
+router.get("/2fa", authController.getTwoFactorStatus);
+router.post(
+  "/2fa/disable",
+  disableTwoFactorValidation,
+  validate,
+  authController.disableTwoFactor
+);
+router.post(
+  "/2fa/recovery-codes",
+  regenerateRecoveryCodesValidation,
+  validate,
+  authController.regenerateRecoveryCodes
+);
+
+// Sessions (signed-in devices)
+router.get("/sessions", authController.getSessions);
+router.delete("/sessions", authController.revokeOtherSessions);
+router.delete(
+  "/sessions/:id",
+  revokeSessionValidation,
+  validate,
+  authController.revokeSession
+);
+
+// Login history
+router.get(
+  "/login-history",
+  loginHistoryValidation,
+  validate,
+  authController.getLoginHistory
+);
+
+// Linked Google and Apple accounts
+router.get("/social", authController.getSocialAccounts);
+router.post(
+  "/social/:provider/link",
+  socialTokenValidation,
+  validate,
+  authController.linkSocialAccount
+);
+router.delete(
+  "/social/:provider",
+  unlinkSocialAccountValidation,
+  validate,
+  authController.unlinkSocialAccount
+);
+
 // Logout (public but typically called by authenticated users)
 router.get("/logout", authController.logout);
 
@@ -10,7 +10,9 @@ const {
   removeFromCartValidation,
   clearCartValidation,
   getCartSummaryValidation,
-  syncCartValidation
+  syncCartValidation,
+  applyCouponValidation,
+  setCartEmailValidation
 } = require('../validators/cart.validator');
 
 // All cart routes require authentication (users must be logged in or provide session ID)
@@ -37,4 +39,11 @@ router.post('/sync', syncCartValidation, validate, cartController.syncCart);
 // Get cart summary (for checkout)
 router.get('/summary', getCartSummaryValidation, validate, cartController.getCartSummary);
 
+// Apply or remove a coupon code
+router.post('/coupon', applyCouponValidation, validate, cartController.applyCoupon);
+router.delete('/coupon', cartController.removeCoupon);
+
+// Save the contact email of a guest cart (used for abandoned cart reminders)
+router.put('/email', setCartEmailValidation, validate, cartController.setCartEmail);
+
 module.exports = router;
\ No newline at end of file
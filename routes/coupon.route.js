@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { protect, isVendor } = require('../middlewares/auth');
+const couponController = require('../controllers/coupon.controller');
+const {
+  listCouponsValidation,
+  createCouponValidation,
+  updateCouponValidation,
+  couponIdValidation
+} = require('../validators/coupon.validator');
+const validate = require('../middlewares/validation');
+
+// Vendors manage coupons for their own products
+router.use(protect);
+router.use(isVendor);
+
+/**
+ * @desc    Get the authenticated vendor's coupons
+ * @route   GET /api/v1/coupons
+ * @access  Private (Vendor only)
+ */
+router.get('/', listCouponsValidation, validate, couponController.getCoupons);
+
+/**
+ * @desc    Create a coupon for the vendor's products
+ * @route   POST /api/v1/coupons
+ * @access  Private (Vendor only)
+ */
+router.post('/', createCouponValidation, validate, couponController.createCoupon);
+
+/**
+ * @desc    Get one of the vendor's coupons
+ * @route   GET /api/v1/coupons/:id
+ * @access  Private (Vendor only)
+ */
+router.get('/:id', couponIdValidation, validate, couponController.getCoupon);
+
+/**
+ * @desc    Update one of the vendor's coupons
+ * @route   PATCH /api/v1/coupons/:id
+ * @access  Private (Vendor only)
+ */
+router.patch('/:id', updateCouponValidation, validate, couponController.updateCoupon);
+
+/**
+ * @desc    Delete (or deactivate) one of the vendor's coupons
+ * @route   DELETE /api/v1/coupons/:id
+ * @access  Private (Vendor only)
+ */
+router.delete('/:id', couponIdValidation, validate, couponController.deleteCoupon);
+
+module.exports = router;
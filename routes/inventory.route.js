@@ -38,6 +38,60 @@ router.get(
   inventoryController.getLowStockItems
 );
 
+router.patch(
+  '/product/:productId/threshold',
+  isVendor,
+  [
+    param('productId').isInt({ min: 1 }).withMessage('Invalid product ID'),
+    body('combinationId').optional().isInt({ min: 1 }).withMessage('Combination ID must be an integer'),
+    body('threshold')
+      .exists().withMessage('Threshold is required')
+      .bail()
+      .custom((value) => value === null || (Number.isInteger(value) && value >= 0))
+      .withMessage('Threshold must be a non-negative integer, or null to use the default'),
+  ],
+  validate,
+  inventoryController.setReorderThreshold
+);
+
+router.get(
+  '/alerts',
+  isVendor,
+  [
+    query('status').optional().isIn(['open', 'acknowledged', 'resolved']).withMessage('Status must be one of: open, acknowledged, resolved'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  validate,
+  inventoryController.getLowStockAlerts
+);
+
+router.patch(
+  '/alerts/:id/acknowledge',
+  isVendor,
+  [param('id').isInt({ min: 1 }).withMessage('Invalid alert ID')],
+  validate,
+  inventoryController.acknowledgeLowStockAlert
+);
+
+router.post(
+  '/import/preview',
+  isVendor,
+  inventoryController.previewInventoryImport
+);
+
+router.post(
+  '/import',
+  isVendor,
+  inventoryController.importInventory
+);
+
+router.get(
+  '/export',
+  isVendor,
+  inventoryController.exportInventory
+);
+
 router.get(
   '/history/:productId',
   isVendor,
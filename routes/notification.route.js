@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middlewares/auth');
+const notificationController = require('../controllers/notification.controller');
+const {
+  listNotificationsValidation,
+  markAllReadValidation,
+  notificationIdValidation
+} = require('../validators/notification.validator');
+const validate = require('../middlewares/validation');
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+/**
+ * @desc    Get the authenticated user's notifications
+ * @route   GET /api/v1/notifications
+ * @access  Private
+ */
+router.get(
+  '/',
+  listNotificationsValidation,
+  validate,
+  notificationController.getMyNotifications
+);
+
+/**
+ * @desc    Get unread notification counts
+ * @route   GET /api/v1/notifications/unread-count
+ * @access  Private
+ */
+router.get('/unread-count', notificationController.getUnreadCount);
+
+/**
+ * @desc    Mark all notifications as read
+ * @route   PATCH /api/v1/notifications/read-all
+ * @access  Private
+ */
+router.patch(
+  '/read-all',
+  markAllReadValidation,
+  validate,
+  notificationController.markAllAsRead
+);
+
+/**
+ * @desc    Get a single notification
+ * @route   GET /api/v1/notifications/:id
+ * @access  Private (Notification owner only)
+ */
+router.get(
+  '/:id',
+  notificationIdValidation,
+  validate,
+  notificationController.getNotification
+);
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PATCH /api/v1/notifications/:id/read
+ * @access  Private (Notification owner only)
+ */
+router.patch(
+  '/:id/read',
+  notificationIdValidation,
+  validate,
+  notificationController.markAsRead
+);
+
+/**
+ * @desc    Delete a notification
+ * @route   DELETE /api/v1/notifications/:id
+ * @access  Private (Notification owner only)
+ */
+router.delete(
+  '/:id',
+  notificationIdValidation,
+  validate,
+  notificationController.deleteNotification
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const orderController = require("../controllers/order.controller");
+const invoiceController = require("../controllers/invoice.controller");
 const { protect, isVendor } = require("../middlewares/auth");
 
 // Apply authentication middleware to all routes except webhook
@@ -16,6 +17,7 @@ router.post("/", orderController.createOrder);
 router.post("/from-cart", orderController.createOrderFromCart);
 router.get("/my-orders", orderController.getUserOrders);
 router.get("/:id", orderController.getOrder);
+router.get("/:id/invoice", invoiceController.getOrderInvoice);
 router.patch("/:id/cancel", orderController.cancelOrder);
 
 // Payment routes
@@ -30,6 +32,7 @@ router.post(
 
 // Vendor routes
 router.get("/vendor/orders", isVendor, orderController.getVendorOrders);
+router.get("/:id/packing-slip", isVendor, invoiceController.getPackingSlip);
 
 router.patch(
   "/items/:id/status",
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { protect, isVendor } = require('../middlewares/auth');
+const payoutController = require('../controllers/payout.controller');
+const {
+  requestPayoutValidation,
+  listPayoutsValidation,
+  payoutIdValidation
+} = require('../validators/payout.validator');
+const validate = require('../middlewares/validation');
+
+// All payout routes are for authenticated vendors
+router.use(protect);
+router.use(isVendor);
+
+/**
+ * @desc    Get the vendor's available balance and payout totals
+ * @route   GET /api/v1/payouts/balance
+ * @access  Private (Vendor)
+ */
+router.get('/balance', payoutController.getMyBalance);
+
+/**
+ * @desc    Get the vendor's payout history
+ * @route   GET /api/v1/payouts
+ * @access  Private (Vendor)
+ */
+router.get(
+  '/',
+  listPayoutsValidation,
+  validate,
+  payoutController.getMyPayouts
+);
+
+/**
+ * @desc    Request a payout of the available balance
+ * @route   POST /api/v1/payouts
+ * @access  Private (Vendor)
+ */
+router.post(
+  '/',
+  requestPayoutValidation,
+  validate,
+  payoutController.requestPayout
+);
+
+/**
+ * @desc    Get a single payout
+ * @route   GET /api/v1/payouts/:id
+ * @access  Private (Vendor, payout owner only)
+ */
+router.get(
+  '/:id',
+  payoutIdValidation,
+  validate,
+  payoutController.getMyPayout
+);
+
+module.exports = router;
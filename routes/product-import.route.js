@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const { param, query, body } = require('express-validator');
+const { protect, isVendor } = require('../middlewares/auth');
+const productImportController = require('../controllers/product-import.controller');
+const validate = require('../middlewares/validation');
+
+// Vendors import their own catalogs
+router.use(protect);
+router.use(isVendor);
+
+/**
+ * @desc    Download a CSV catalog template
+ * @route   GET /api/v1/product-imports/template
+ * @access  Private (Vendor only)
+ */
+router.get('/template', productImportController.downloadProductImportTemplate);
+
+/**
+ * @desc    Get the authenticated vendor's product imports
+ * @route   GET /api/v1/product-imports
+ * @access  Private (Vendor only)
+ */
+router.get(
+  '/',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  validate,
+  productImportController.getProductImports
+);
+
+/**
+ * @desc    Upload a CSV or JSON catalog and queue it for import
+ * @route   POST /api/v1/product-imports
+ * @access  Private (Vendor only)
+ */
+router.post(
+  '/',
+  [body('dry_run').optional().isBoolean().withMessage('dry_run must be true or false')],
+  validate,
+  productImportController.createProductImport
+);
+
+/**
+ * @desc    Get a product import with its per-row results
+ * @route   GET /api/v1/product-imports/:id
+ * @access  Private (Vendor only)
+ */
+router.get(
+  '/:id',
+  [param('id').isInt({ min: 1 }).withMessage('Invalid import ID')],
+  validate,
+  productImportController.getProductImport
+);
+
+/**
+ * @desc    Download the result report of a completed import
+ * @route   GET /api/v1/product-imports/:id/report
+ * @access  Private (Vendor only)
+ */
+router.get(
+  '/:id/report',
+  [param('id').isInt({ min: 1 }).withMessage('Invalid import ID')],
+  validate,
+  productImportController.downloadProductImportReport
+);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middlewares/auth');
+const refundController = require('../controllers/refund.controller');
+const {
+  listRefundsValidation,
+  refundIdValidation
+} = require('../validators/refund.validator');
+const validate = require('../middlewares/validation');
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+/**
+ * @desc    Get refunds issued to the authenticated customer
+ * @route   GET /api/v1/refunds
+ * @access  Private
+ */
+router.get(
+  '/',
+  listRefundsValidation,
+  validate,
+  refundController.getMyRefunds
+);
+
+/**
+ * @desc    Get a single refund
+ * @route   GET /api/v1/refunds/:id
+ * @access  Private (Refund owner only)
+ */
+router.get(
+  '/:id',
+  refundIdValidation,
+  validate,
+  refundController.getMyRefund
+);
+
+module.exports = router;
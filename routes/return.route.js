@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { protect, isVendor } = require('../middlewares/auth');
+const returnController = require('../controllers/return.controller');
+const {
+  listReturnsValidation,
+  createReturnValidation,
+  rejectReturnValidation,
+  receiveReturnValidation,
+  returnIdValidation
+} = require('../validators/return.validator');
+const validate = require('../middlewares/validation');
+const uploadSupportFiles = require('../middlewares/supportFileUpload');
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+/**
+ * @desc    Get return requests for the authenticated vendor's items
+ * @route   GET /api/v1/returns/vendor
+ * @access  Private (Vendor only)
+ */
+router.get(
+  '/vendor',
+  isVendor,
+  listReturnsValidation,
+  validate,
+  returnController.getVendorReturns
+);
+
+/**
+ * @desc    Get a return request for the authenticated vendor's items
+ * @route   GET /api/v1/returns/vendor/:id
+ * @access  Private (Vendor only)
+ */
+router.get(
+  '/vendor/:id',
+  isVendor,
+  returnIdValidation,
+  validate,
+  returnController.getVendorReturn
+);
+
+/**
+ * @desc    Approve a return request
+ * @route   PATCH /api/v1/returns/vendor/:id/approve
+ * @access  Private (Vendor only)
+ */
+router.patch(
+  '/vendor/:id/approve',
+  isVendor,
+  returnIdValidation,
+  validate,
+  returnController.approveReturn
+);
+
+/**
+ * @desc    Reject a return request
+ * @route   PATCH /api/v1/returns/vendor/:id/reject
+ * @access  Private (Vendor only)
+ */
+router.patch(
+  '/vendor/:id/reject',
+  isVendor,
+  rejectReturnValidation,
+  validate,
+  returnController.rejectReturn
+);
+
+/**
+ * @desc    Mark returned items as received, restock and refund them
+ * @route   PATCH /api/v1/returns/vendor/:id/receive
+ * @access  Private (Vendor only)
+ */
+router.patch(
+  '/vendor/:id/receive',
+  isVendor,
+  receiveReturnValidation,
+  validate,
+  returnController.receiveReturn
+);
+
+/**
+ * @desc    Request a return for items of a delivered order
+ * @route   POST /api/v1/returns
+ * @access  Private
+ */
+router.post(
+  '/',
+  uploadSupportFiles('attachments', 5, 'return-attachments'),
+  createReturnValidation,
+  validate,
+  returnController.createReturn
+);
+
+/**
+ * @desc    Get the authenticated customer's return requests
+ * @route   GET /api/v1/returns
+ * @access  Private
+ */
+router.get(
+  '/',
+  listReturnsValidation,
+  validate,
+  returnController.getMyReturns
+);
+
+/**
+ * @desc    Get a single return request
+ * @route   GET /api/v1/returns/:id
+ * @access  Private (Return owner only)
+ */
+router.get(
+  '/:id',
+  returnIdValidation,
+  validate,
+  returnController.getMyReturn
+);
+
+/**
+ * @desc    Cancel a return request before the items are received
+ * @route   PATCH /api/v1/returns/:id/cancel
+ * @access  Private (Return owner only)
+ */
+router.patch(
+  '/:id/cancel',
+  returnIdValidation,
+  validate,
+  returnController.cancelReturn
+);
+
+module.exports = router;
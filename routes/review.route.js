@@ -1,12 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const reviewController = require('../controllers/review.controller');
-const { protect } = require('../middlewares/auth');
+const { protect, isVendor } = require('../middlewares/auth');
+const uploadFiles = require('../middlewares/fileUpload');
 const {
   createReviewValidation,
   updateReviewValidation,
   listReviewsValidation,
-  reviewIdValidation
+  reviewIdValidation,
+  voteReviewValidation,
+  replyReviewValidation,
+  reportReviewValidation,
+  validate
 } = require('../validators/review.validator');
 
 // Public routes
@@ -28,11 +33,17 @@ router.get('/:id', reviewIdValidation, reviewController.getReviewById);
 router.use(protect);
 
 /**
- * @desc    Create a new review
+ * @desc    Create a new review, with up to 5 photos
  * @route   POST /api/v1/reviews
  * @access  Private (Authenticated users)
  */
-router.post('/', createReviewValidation, reviewController.createReview);
+router.post(
+  '/',
+  uploadFiles('images', 5, 'review-images'),
+  createReviewValidation,
+  validate,
+  reviewController.createReview
+);
 
 /**
  * @desc    Update a review
@@ -48,4 +59,39 @@ router.put('/:id', reviewIdValidation, updateReviewValidation, reviewController.
  */
 router.delete('/:id', reviewIdValidation, reviewController.deleteReview);
 
+/**
+ * @desc    Vote a review helpful or unhelpful
+ * @route   POST /api/v1/reviews/:id/vote
+ * @access  Private (Authenticated users)
+ */
+router.post('/:id/vote', reviewIdValidation, voteReviewValidation, validate, reviewController.voteReview);
+
+/**
+ * @desc    Withdraw a vote on a review
+ * @route   DELETE /api/v1/reviews/:id/vote
+ * @access  Private (Authenticated users)
+ */
+router.delete('/:id/vote', reviewIdValidation, validate, reviewController.removeReviewVote);
+
+/**
+ * @desc    Report an abusive review
+ * @route   POST /api/v1/reviews/:id/report
+ * @access  Private (Authenticated users)
+ */
+router.post('/:id/report', reviewIdValidation, reportReviewValidation, validate, reviewController.reportReview);
+
+/**
+ * @desc    Reply to a review of one of the vendor's products
+ * @route   PUT /api/v1/reviews/:id/reply
+ * @access  Private (Vendor of the reviewed product)
+ */
+router.put('/:id/reply', isVendor, reviewIdValidation, replyReviewValidation, validate, reviewController.replyToReview);
+
+/**
+ * @desc    Remove the vendor's reply to a review
+ * @route   DELETE /api/v1/reviews/:id/reply
+ * @access  Private (Vendor of the reviewed product)
+ */
+router.delete('/:id/reply', isVendor, reviewIdValidation, validate, reviewController.deleteReviewReply);
+
 module.exports = router;
\ No newline at end of file
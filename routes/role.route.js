@@ -6,6 +6,7 @@ const {
   createRoleValidation, 
   updateRoleValidation, 
   deleteRoleValidation, 
+  twoFactorRequirementValidation,
   validate 
 } = require('../validators/role.validator');
 
@@ -27,4 +28,11 @@ router
   .patch(updateRoleValidation, validate, roleController.updateRole)
   .delete(deleteRoleValidation, validate, roleController.deleteRole);
 
+router.patch(
+  '/:id/two-factor',
+  twoFactorRequirementValidation,
+  validate,
+  roleController.setTwoFactorRequirement
+);
+
 module.exports = router;
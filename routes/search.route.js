@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+
+const { searchProducts, getSuggestions } = require("../controllers/search.controller");
+const { searchProductsValidation, suggestValidation } = require("../validators/search.validator");
+const validate = require("../middlewares/validation");
+const { cache, cacheManager } = require("../utils/cache");
+
+router.get("/products", searchProductsValidation, validate, searchProducts);
+
+// Suggestions are requested on every keystroke: cache them per normalized text
+router.get(
+  "/suggest",
+  suggestValidation,
+  validate,
+  cache({
+    ttl: parseInt(process.env.SEARCH_SUGGEST_CACHE_SECONDS || "300", 10),
+    type: "public",
+    keyGenerator: (req) =>
+      cacheManager.generateKey("public", "/search/suggest", {
+        q: String(req.query.q).toLowerCase().replace(/\s+/g, " "),
+        limit: req.query.limit || 5,
+      }),
+  }),
+  getSuggestions
+);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const { protect, isVendor } = require('../middlewares/auth');
+const shipmentController = require('../controllers/shipment.controller');
+const {
+  listShipmentsValidation,
+  createShipmentValidation,
+  addShipmentEventValidation,
+  shipmentIdValidation,
+  orderTrackingValidation
+} = require('../validators/shipment.validator');
+const validate = require('../middlewares/validation');
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+/**
+ * @desc    Get the shipments and tracking history of one of the customer's orders
+ * @route   GET /api/v1/shipments/orders/:orderId
+ * @access  Private (Order owner only)
+ */
+router.get(
+  '/orders/:orderId',
+  orderTrackingValidation,
+  validate,
+  shipmentController.getOrderTracking
+);
+
+/**
+ * @desc    Get the carriers shipments can be booked with
+ * @route   GET /api/v1/shipments/carriers
+ * @access  Private (Vendor only)
+ */
+router.get('/carriers', isVendor, shipmentController.getCarriers);
+
+/**
+ * @desc    Get the authenticated vendor's shipments
+ * @route   GET /api/v1/shipments/vendor
+ * @access  Private (Vendor only)
+ */
+router.get(
+  '/vendor',
+  isVendor,
+  listShipmentsValidation,
+  validate,
+  shipmentController.getShipments
+);
+
+/**
+ * @desc    Ship the vendor's items of an order
+ * @route   POST /api/v1/shipments/vendor
+ * @access  Private (Vendor only)
+ */
+router.post(
+  '/vendor',
+  isVendor,
+  createShipmentValidation,
+  validate,
+  shipmentController.createShipment
+);
+
+/**
+ * @desc    Get one of the vendor's shipments with its tracking history
+ * @route   GET /api/v1/shipments/vendor/:id
+ * @access  Private (Vendor only)
+ */
+router.get(
+  '/vendor/:id',
+  isVendor,
+  shipmentIdValidation,
+  validate,
+  shipmentController.getShipment
+);
+
+/**
+ * @desc    Record a shipment status change
+ * @route   POST /api/v1/shipments/vendor/:id/events
+ * @access  Private (Vendor only)
+ */
+router.post(
+  '/vendor/:id/events',
+  isVendor,
+  addShipmentEventValidation,
+  validate,
+  shipmentController.addShipmentEvent
+);
+
+/**
+ * @desc    Pull new tracking events from the carrier
+ * @route   POST /api/v1/shipments/vendor/:id/refresh
+ * @access  Private (Vendor only)
+ */
+router.post(
+  '/vendor/:id/refresh',
+  isVendor,
+  shipmentIdValidation,
+  validate,
+  shipmentController.refreshShipment
+);
+
+module.exports = router;
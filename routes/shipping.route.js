@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { protect, isVendor } = require('../middlewares/auth');
+const shippingController = require('../controllers/shipping.controller');
+const {
+  quoteShippingValidation,
+  listZonesValidation,
+  createZoneValidation,
+  updateZoneValidation,
+  zoneIdValidation
+} = require('../validators/shipping.validator');
+const validate = require('../middlewares/validation');
+
+// All shipping routes require authentication
+router.use(protect);
+
+/**
+ * @desc    Quote shipping for the cart (or given items) to one of the user's addresses
+ * @route   POST /api/v1/shipping/quote
+ * @access  Private
+ */
+router.post('/quote', quoteShippingValidation, validate, shippingController.getQuote);
+
+/**
+ * @desc    Get the authenticated vendor's shipping zones
+ * @route   GET /api/v1/shipping/zones
+ * @access  Private (Vendor only)
+ */
+router.get('/zones', isVendor, listZonesValidation, validate, shippingController.getZones);
+
+/**
+ * @desc    Create a shipping zone with its rates
+ * @route   POST /api/v1/shipping/zones
+ * @access  Private (Vendor only)
+ */
+router.post('/zones', isVendor, createZoneValidation, validate, shippingController.createZone);
+
+/**
+ * @desc    Get one of the vendor's shipping zones
+ * @route   GET /api/v1/shipping/zones/:id
+ * @access  Private (Vendor only)
+ */
+router.get('/zones/:id', isVendor, zoneIdValidation, validate, shippingController.getZone);
+
+/**
+ * @desc    Update one of the vendor's shipping zones
+ * @route   PATCH /api/v1/shipping/zones/:id
+ * @access  Private (Vendor only)
+ */
+router.patch('/zones/:id', isVendor, updateZoneValidation, validate, shippingController.updateZone);
+
+/**
+ * @desc    Delete one of the vendor's shipping zones
+ * @route   DELETE /api/v1/shipping/zones/:id
+ * @access  Private (Vendor only)
+ */
+router.delete('/zones/:id', isVendor, zoneIdValidation, validate, shippingController.deleteZone);
+
+module.exports = router;
@@ -7,6 +7,10 @@ const {
   updateUserValidation,
   assignRolesValidation,
   removeRolesValidation,
+  resetTwoFactorValidation,
+  lockedUsersValidation,
+  userLoginHistoryValidation,
+  unlockUserValidation,
   validate
 } = require('../validators/user.validator');
 
@@ -22,6 +26,9 @@ router
   .get(userController.getAllUsers)
   .post(createUserValidation, validate, userController.createUser);
 
+// Accounts locked after failed logins (before /:id so "locked" is not taken as an ID)
+router.get('/locked', lockedUsersValidation, validate, userController.getLockedUsers);
+
 router
   .route('/:id')
   .get(userController.getUser)
@@ -34,4 +41,26 @@ router
   .post(assignRolesValidation, validate, userController.assignRoles)
   .delete(removeRolesValidation, validate, userController.removeRoles);
 
+// Two-factor authentication reset (lost authenticator and recovery codes)
+router.post(
+  '/:id/two-factor/reset',
+  resetTwoFactorValidation,
+  validate,
+  userController.resetTwoFactor
+);
+
+// Login history and account lockout
+router.get(
+  '/:id/login-history',
+  userLoginHistoryValidation,
+  validate,
+  userController.getLoginHistory
+);
+router.post(
+  '/:id/unlock',
+  unlockUserValidation,
+  validate,
+  userController.unlockUser
+);
+
 module.exports = router;
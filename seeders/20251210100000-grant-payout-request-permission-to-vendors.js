@@ -0,0 +1,52 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Vendors request their own withdrawals, which needs payouts_create on top of payouts_read/update
+    const [vendorRole] = await queryInterface.sequelize.query(
+      "SELECT id FROM roles WHERE name = 'vendor' LIMIT 1;",
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    const [permission] = await queryInterface.sequelize.query(
+      "SELECT id FROM permissions WHERE name = 'payouts_create' LIMIT 1;",
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    if (!vendorRole || !permission) {
+      console.log('Vendor role or payouts_create permission not found, skipping');
+      return;
+    }
+
+    const existing = await queryInterface.sequelize.query(
+      'SELECT id FROM role_permissions WHERE role_id = ? AND permission_id = ? LIMIT 1;',
+      {
+        replacements: [vendorRole.id, permission.id],
+        type: Sequelize.QueryTypes.SELECT
+      }
+    );
+
+    if (existing.length > 0) {
+      console.log('Vendor role already has payouts_create');
+      return;
+    }
+
+    await queryInterface.bulkInsert('role_permissions', [{
+      role_id: vendorRole.id,
+      permission_id: permission.id,
+      created_at: new Date(),
+      updated_at: new Date()
+    }], {});
+
+    console.log('Assigned payouts_create permission to vendor role');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `DELETE rp FROM role_permissions rp
+       INNER JOIN roles r ON r.id = rp.role_id
+       INNER JOIN permissions p ON p.id = rp.permission_id
+       WHERE r.name = 'vendor' AND p.name = 'payouts_create';`
+    );
+  }
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Define coupon permissions
+    const newPermissions = [
+      { resource: 'coupons', action: 'create', description: 'Create coupon codes', group: 'earnings_payment' },
+      { resource: 'coupons', action: 'read', description: 'View coupon codes', group: 'earnings_payment' },
+      { resource: 'coupons', action: 'update', description: 'Update coupon codes', group: 'earnings_payment' },
+      { resource: 'coupons', action: 'delete', description: 'Delete coupon codes', group: 'earnings_payment' },
+    ];
+
+    // Transform templates into database records
+    const permissions = newPermissions.map(template => ({
+      name: `${template.resource}_${template.action}`,
+      resource: template.resource,
+      action: template.action,
+      description: template.description,
+      created_at: new Date(),
+      updated_at: new Date()
+    }));
+
+    // Check which permissions already exist
+    const existingPermissions = await queryInterface.sequelize.query(
+      `SELECT name FROM permissions WHERE name IN (${permissions.map(p => `'${p.name}'`).join(',')});`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    const existingPermissionNames = existingPermissions.map(p => p.name);
+    const permissionsToInsert = permissions.filter(p => !existingPermissionNames.includes(p.name));
+
+    if (permissionsToInsert.length === 0) {
+      console.log('No new coupon permissions to insert');
+      return;
+    }
+
+    await queryInterface.bulkInsert('permissions', permissionsToInsert, {});
+    console.log(`Inserted ${permissionsToInsert.length} new coupon permissions`);
+
+    const [adminRole] = await queryInterface.sequelize.query(
+      "SELECT id FROM roles WHERE name = 'admin' LIMIT 1;",
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    const [vendorRole] = await queryInterface.sequelize.query(
+      "SELECT id FROM roles WHERE name = 'vendor' LIMIT 1;",
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    const insertedPermissions = await queryInterface.sequelize.query(
+      `SELECT id, name FROM permissions WHERE name IN (${permissionsToInsert.map(p => `'${p.name}'`).join(',')});`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    // Admin manages every coupon; vendors manage coupons for their own products
+    const assignments = [];
+    insertedPermissions.forEach(permission => {
+      [adminRole, vendorRole].filter(Boolean).forEach(role => {
+        assignments.push({
+          role_id: role.id,
+          permission_id: permission.id,
+          created_at: new Date(),
+          updated_at: new Date()
+        });
+      });
+    });
+
+    if (assignments.length > 0) {
+      await queryInterface.bulkInsert('role_permissions', assignments, {});
+      console.log(`Assigned ${assignments.length} coupon role permissions`);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const permissionNames = ['coupons_create', 'coupons_read', 'coupons_update', 'coupons_delete'];
+
+    const permissions = await queryInterface.sequelize.query(
+      `SELECT id FROM permissions WHERE name IN (${permissionNames.map(name => `'${name}'`).join(',')});`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    if (permissions.length > 0) {
+      const permissionIds = permissions.map(p => p.id);
+
+      await queryInterface.sequelize.query(
+        `DELETE FROM role_permissions WHERE permission_id IN (${permissionIds.join(',')});`
+      );
+
+      await queryInterface.sequelize.query(
+        `DELETE FROM permissions WHERE id IN (${permissionIds.join(',')});`
+      );
+
+      console.log(`Removed ${permissions.length} coupon permissions and their role assignments`);
+    }
+  }
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Define shipping permissions
+    const newPermissions = [
+      { resource: 'shipping', action: 'create', description: 'Create shipping zones and rates', group: 'products_management' },
+      { resource: 'shipping', action: 'read', description: 'View shipping zones and rates', group: 'products_management' },
+      { resource: 'shipping', action: 'update', description: 'Update shipping zones and rates', group: 'products_management' },
+      { resource: 'shipping', action: 'delete', description: 'Delete shipping zones', group: 'products_management' },
+    ];
+
+    // Transform templates into database records
+    const permissions = newPermissions.map(template => ({
+      name: `${template.resource}_${template.action}`,
+      resource: template.resource,
+      action: template.action,
+      description: template.description,
+      created_at: new Date(),
+      updated_at: new Date()
+    }));
+
+    // Check which permissions already exist
+    const existingPermissions = await queryInterface.sequelize.query(
+      `SELECT name FROM permissions WHERE name IN (${permissions.map(p => `'${p.name}'`).join(',')});`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    const existingPermissionNames = existingPermissions.map(p => p.name);
+    const permissionsToInsert = permissions.filter(p => !existingPermissionNames.includes(p.name));
+
+    if (permissionsToInsert.length === 0) {
+      console.log('No new shipping permissions to insert');
+      return;
+    }
+
+    await queryInterface.bulkInsert('permissions', permissionsToInsert, {});
+    console.log(`Inserted ${permissionsToInsert.length} new shipping permissions`);
+
+    const [adminRole] = await queryInterface.sequelize.query(
+      "SELECT id FROM roles WHERE name = 'admin' LIMIT 1;",
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    const [vendorRole] = await queryInterface.sequelize.query(
+      "SELECT id FROM roles WHERE name = 'vendor' LIMIT 1;",
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    const insertedPermissions = await queryInterface.sequelize.query(
+      `SELECT id, name FROM permissions WHERE name IN (${permissionsToInsert.map(p => `'${p.name}'`).join(',')});`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    // Admin manages platform zones; vendors manage the zones their own items ship with
+    const assignments = [];
+    insertedPermissions.forEach(permission => {
+      [adminRole, vendorRole].filter(Boolean).forEach(role => {
+        assignments.push({
+          role_id: role.id,
+          permission_id: permission.id,
+          created_at: new Date(),
+          updated_at: new Date()
+        });
+      });
+    });
+
+    if (assignments.length > 0) {
+      await queryInterface.bulkInsert('role_permissions', assignments, {});
+      console.log(`Assigned ${assignments.length} shipping role permissions`);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const permissionNames = ['shipping_create', 'shipping_read', 'shipping_update', 'shipping_delete'];
+
+    const permissions = await queryInterface.sequelize.query(
+      `SELECT id FROM permissions WHERE name IN (${permissionNames.map(name => `'${name}'`).join(',')});`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    if (permissions.length > 0) {
+      const permissionIds = permissions.map(p => p.id);
+
+      await queryInterface.sequelize.query(
+        `DELETE FROM role_permissions WHERE permission_id IN (${permissionIds.join(',')});`
+      );
+
+      await queryInterface.sequelize.query(
+        `DELETE FROM permissions WHERE id IN (${permissionIds.join(',')});`
+      );
+
+      console.log(`Removed ${permissions.length} shipping permissions and their role assignments`);
+    }
+  }
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Define tax permissions
+    const newPermissions = [
+      { resource: 'tax', action: 'create', description: 'Create tax rules', group: 'earnings_payment' },
+      { resource: 'tax', action: 'read', description: 'View tax rules', group: 'earnings_payment' },
+      { resource: 'tax', action: 'update', description: 'Update tax rules', group: 'earnings_payment' },
+      { resource: 'tax', action: 'delete', description: 'Delete tax rules', group: 'earnings_payment' },
+    ];
+
+    // Transform templates into database records
+    const permissions = newPermissions.map(template => ({
+      name: `${template.resource}_${template.action}`,
+      resource: template.resource,
+      action: template.action,
+      description: template.description,
+      created_at: new Date(),
+      updated_at: new Date()
+    }));
+
+    // Check which permissions already exist
+    const existingPermissions = await queryInterface.sequelize.query(
+      `SELECT name FROM permissions WHERE name IN (${permissions.map(p => `'${p.name}'`).join(',')});`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    const existingPermissionNames = existingPermissions.map(p => p.name);
+    const permissionsToInsert = permissions.filter(p => !existingPermissionNames.includes(p.name));
+
+    if (permissionsToInsert.length === 0) {
+      console.log('No new tax permissions to insert');
+      return;
+    }
+
+    await queryInterface.bulkInsert('permissions', permissionsToInsert, {});
+    console.log(`Inserted ${permissionsToInsert.length} new tax permissions`);
+
+    const [adminRole] = await queryInterface.sequelize.query(
+      "SELECT id FROM roles WHERE name = 'admin' LIMIT 1;",
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    const insertedPermissions = await queryInterface.sequelize.query(
+      `SELECT id, name FROM permissions WHERE name IN (${permissionsToInsert.map(p => `'${p.name}'`).join(',')});`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    // Tax rules are managed by admins only
+    const assignments = adminRole
+      ? insertedPermissions.map(permission => ({
+          role_id: adminRole.id,
+          permission_id: permission.id,
+          created_at: new Date(),
+          updated_at: new Date()
+        }))
+      : [];
+
+    if (assignments.length > 0) {
+      await queryInterface.bulkInsert('role_permissions', assignments, {});
+      console.log(`Assigned ${assignments.length} tax role permissions`);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const permissionNames = ['tax_create', 'tax_read', 'tax_update', 'tax_delete'];
+
+    const permissions = await queryInterface.sequelize.query(
+      `SELECT id FROM permissions WHERE name IN (${permissionNames.map(name => `'${name}'`).join(',')});`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    if (permissions.length > 0) {
+      const permissionIds = permissions.map(p => p.id);
+
+      await queryInterface.sequelize.query(
+        `DELETE FROM role_permissions WHERE permission_id IN (${permissionIds.join(',')});`
+      );
+
+      await queryInterface.sequelize.query(
+        `DELETE FROM permissions WHERE id IN (${permissionIds.join(',')});`
+      );
+
+      console.log(`Removed ${permissions.length} tax permissions and their role assignments`);
+    }
+  }
+};
@@ -0,0 +1,310 @@
+const { Op } = require("sequelize");
+const { Cart, CartRecovery, User } = require("../models");
+const emailService = require("./email.service");
+const { getComprehensiveCartSummary } = require("../utils/cartOrderUtils");
+const logger = require("../utils/logger");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Abandoned cart settings, read from the environment
+ * @private
+ */
+const settings = () => ({
+  // Hours a cart must sit untouched before it counts as abandoned
+  abandonedAfterHours: parseInt(process.env.ABANDONED_CART_AFTER_HOURS || "24", 10),
+  // Carts untouched for longer than this are left alone
+  maxAgeDays: parseInt(process.env.ABANDONED_CART_MAX_AGE_DAYS || "7", 10),
+  // Days after the email during which an order counts as recovered
+  recoveryWindowDays: parseInt(process.env.ABANDONED_CART_RECOVERY_WINDOW_DAYS || "7", 10),
+  // Carts emailed per run
+  batchSize: parseInt(process.env.ABANDONED_CART_BATCH_SIZE || "100", 10),
+});
+
+/**
+ * Abandoned Cart Service
+ * Finds carts with items that have not been touched for a while and emails their owner a
+ * reminder. Guest carts are only reminded when the guest left an email address.
+ *
+ * Each email is recorded as a cart recovery. A cart is emailed once per abandonment: it is only
+ * emailed again after it has been changed since the last email. An order placed by the same
+ * customer within the recovery window marks the latest recovery as recovered.
+ */
+class AbandonedCartService {
+  /**
+   * Email every abandoned cart that has not been reminded yet
+   * @param {Object} [options] - Options
+   * @param {Date} [options.now] - Reference time (defaults to now)
+   * @returns {Promise<Object>} { found, emailed, skipped, failed }
+   */
+  static async run({ now = new Date() } = {}) {
+    const carts = await this.findAbandoned({ now });
+    const result = { found: carts.length, emailed: 0, skipped: 0, failed: 0 };
+
+    for (const cart of carts) {
+      try {
+        const recovery = await this.remind(cart, { now });
+        if (recovery) {
+          result.emailed += 1;
+        } else {
+          result.skipped += 1;
+        }
+      } catch (error) {
+        result.failed += 1;
+        logger.error(`Failed to send abandoned cart email for cart ${cart.id}:`, error);
+      }
+    }
+
+    logger.info(
+      `Abandoned carts: ${result.found} found, ${result.emailed} emailed, ${result.skipped} skipped, ${result.failed} failed`
+    );
+
+    return result;
+  }
+
+  /**
+   * Find carts with items, untouched for long enough, that have a contact email and have not
+   * been emailed since they last changed
+   * @param {Object} [options] - Options
+   * @param {Date} [options.now] - Reference time (defaults to now)
+   * @returns {Promise<Array<Cart>>} Carts to remind, oldest first
+   */
+  static async findAbandoned({ now = new Date() } = {}) {
+    const { abandonedAfterHours, maxAgeDays, batchSize } = settings();
+
+    const carts = await Cart.findAll({
+      where: {
+        total_items: { [Op.gt]: 0 },
+        updated_at: {
+          [Op.lte]: new Date(now.getTime() - abandonedAfterHours * HOUR),
+          [Op.gte]: new Date(now.getTime() - maxAgeDays * DAY),
+        },
+        [Op.or]: [{ user_id: { [Op.ne]: null } }, { email: { [Op.ne]: null } }],
+      },
+      include: [{ model: User, as: "user", attributes: ["id", "email", "first_name"] }],
+      order: [["updated_at", "ASC"]],
+    });
+
+    if (carts.length === 0) {
+      return [];
+    }
+
+    const lastEmailed = await this.getLastEmailed(carts.map((cart) => cart.id));
+
+    return carts
+      .filter((cart) => {
+        const emailedAt = lastEmailed.get(String(cart.id));
+        return !emailedAt || emailedAt < new Date(cart.updated_at);
+      })
+      .slice(0, batchSize);
+  }
+
+  /**
+   * Email a cart's owner the items left in it and record the recovery
+   * @param {Cart} cart - Abandoned cart, with its user loaded
+   * @param {Object} [options] - Options
+   * @param {Date} [options.now] - Time the email is sent (defaults to now)
+   * @returns {Promise<CartRecovery|null>} Recovery record, or null when no items are still available
+   */
+  static async remind(cart, { now = new Date() } = {}) {
+    const email = cart.user ? cart.user.email : cart.email;
+    const summary = await getComprehensiveCartSummary(
+      cart.user_id,
+      cart.user_id ? null : cart.session_id
+    );
+
+    if (!email || !summary || summary.items.length === 0) {
+      return null;
+    }
+
+    await emailService.sendAbandonedCart(email, {
+      name: cart.user ? cart.user.first_name : null,
+      cart: summary,
+    });
+
+    return CartRecovery.create({
+      cart_id: cart.id,
+      user_id: cart.user_id,
+      email,
+      item_count: summary.totalItems,
+      cart_total: summary.subtotal,
+      status: "emailed",
+      emailed_at: now,
+    });
+  }
+
+  /**
+   * Credit an order to the customer's latest recovery email, if it was sent within the
+   * recovery window
+   * @param {Object} conversion - Conversion data
+   * @param {number} conversion.userId - Customer placing the order
+   * @param {string} [conversion.email] - Customer's email, to match emails sent to their guest cart
+   * @param {number} conversion.orderId - Order placed
+   * @param {number} conversion.amount - Order total
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<CartRecovery|null>} Recovered record, or null when no email led to the order
+   */
+  static async markRecovered({ userId, email, orderId, amount }, { transaction } = {}) {
+    const { recoveryWindowDays } = settings();
+    const now = new Date();
+
+    const owners = [{ user_id: userId }];
+    if (email) owners.push({ email });
+
+    const recovery = await CartRecovery.findOne({
+      where: {
+        status: "emailed",
+        emailed_at: { [Op.gte]: new Date(now.getTime() - recoveryWindowDays * DAY) },
+        [Op.or]: owners,
+      },
+      order: [["emailed_at", "DESC"]],
+      transaction,
+    });
+
+    if (!recovery) {
+      return null;
+    }
+
+    return recovery.update(
+      {
+        status: "recovered",
+        order_id: orderId,
+        recovered_amount: amount,
+        recovered_at: now,
+      },
+      { transaction }
+    );
+  }
+
+  /**
+   * Recovery statistics for emails sent in a period
+   * @param {Object} [period] - Period filter
+   * @param {Date} [period.from] - Start of the period (defaults to 30 days ago)
+   * @param {Date} [period.to] - End of the period (defaults to now)
+   * @returns {Promise<Object>} Emails sent, recoveries, conversion rate and recovered revenue
+   */
+  static async getStats({ from, to } = {}) {
+    const { abandonedAfterHours, maxAgeDays } = settings();
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY);
+
+    const where = { emailed_at: { [Op.between]: [start, end] } };
+
+    const [emailed, recovered, emailedValue, recoveredRevenue, abandonedNow] = await Promise.all([
+      CartRecovery.count({ where }),
+      CartRecovery.count({ where: { ...where, status: "recovered" } }),
+      CartRecovery.sum("cart_total", { where }),
+      CartRecovery.sum("recovered_amount", { where: { ...where, status: "recovered" } }),
+      Cart.count({
+        where: {
+          total_items: { [Op.gt]: 0 },
+          updated_at: {
+            [Op.lte]: new Date(Date.now() - abandonedAfterHours * HOUR),
+            [Op.gte]: new Date(Date.now() - maxAgeDays * DAY),
+          },
+        },
+      }),
+    ]);
+
+    return {
+      period: { from: start, to: end },
+      abandoned_carts: abandonedNow,
+      emails_sent: emailed,
+      recovered_carts: recovered,
+      conversion_rate: emailed > 0 ? Math.round((recovered / emailed) * 10000) / 100 : 0,
+      abandoned_value: this.round(emailedValue || 0),
+      recovered_revenue: this.round(recoveredRevenue || 0),
+    };
+  }
+
+  /**
+   * List recovery emails
+   * @param {Object} [filters] - Listing filters
+   * @param {string} [filters.status] - emailed or recovered
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @returns {Promise<Object>} Recoveries and pagination metadata
+   */
+  static async list({ status, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (status) where.status = status;
+
+    const { count, rows } = await CartRecovery.findAndCountAll({
+      where,
+      include: [{ model: User, as: "user", attributes: ["id", "first_name", "last_name", "email"] }],
+      order: [["emailed_at", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      recoveries: rows.map((recovery) => this.format(recovery)),
+      pagination: {
+        total: count,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Latest recovery email per cart
+   * @private
+   */
+  static async getLastEmailed(cartIds) {
+    const recoveries = await CartRecovery.findAll({
+      where: { cart_id: cartIds },
+      attributes: ["cart_id", "emailed_at"],
+      raw: true,
+    });
+
+    return recoveries.reduce((lastEmailed, recovery) => {
+      const key = String(recovery.cart_id);
+      const emailedAt = new Date(recovery.emailed_at);
+      if (!lastEmailed.has(key) || lastEmailed.get(key) < emailedAt) {
+        lastEmailed.set(key, emailedAt);
+      }
+      return lastEmailed;
+    }, new Map());
+  }
+
+  /**
+   * Round to kobo
+   * @private
+   */
+  static round(value) {
+    return Math.round(parseFloat(value) * 100) / 100;
+  }
+
+  /**
+   * Convert a recovery instance into the API shape
+   * @param {CartRecovery} recovery - Recovery instance
+   * @returns {Object} Plain recovery object
+   */
+  static format(recovery) {
+    const data = recovery.get({ plain: true });
+
+    return {
+      id: data.id,
+      cart_id: data.cart_id,
+      user: data.user || null,
+      email: data.email,
+      item_count: data.item_count,
+      cart_total: parseFloat(data.cart_total),
+      status: data.status,
+      emailed_at: data.emailed_at,
+      order_id: data.order_id,
+      recovered_amount: data.recovered_amount !== null ? parseFloat(data.recovered_amount) : null,
+      recovered_at: data.recovered_at,
+    };
+  }
+}
+
+module.exports = AbandonedCartService;
@@ -0,0 +1,61 @@
+const LocalCarrier = require("./local.carrier");
+const AppError = require("../../utils/appError");
+
+/**
+ * Carrier adapters
+ *
+ * Every carrier integration exposes the same interface so shipments can be booked and tracked
+ * without the shipment service knowing which courier is behind them:
+ *
+ *   code                                    Unique code stored on shipments
+ *   name                                    Name shown to customers
+ *   createShipment({ order, vendorId, address, trackingNumber, trackingUrl, estimatedDelivery })
+ *     -> Promise<{ trackingNumber, trackingUrl, estimatedDelivery }>
+ *   getTracking(shipment)
+ *     -> Promise<Array<{ status, description, location, occurred_at }>>
+ *
+ * getTracking returns the carrier's events in any order; the shipment service keeps the ones it
+ * has not recorded yet. To add a carrier, implement the interface and list it below.
+ */
+const carriers = [new LocalCarrier()].reduce((registry, carrier) => {
+  registry[carrier.code] = carrier;
+  return registry;
+}, {});
+
+/**
+ * Carrier used when a shipment does not name one
+ */
+const DEFAULT_CARRIER = process.env.DEFAULT_CARRIER || "local";
+
+/**
+ * Look up a carrier adapter by code
+ * @param {string} [code] - Carrier code (defaults to DEFAULT_CARRIER)
+ * @returns {Object} Carrier adapter
+ * @throws {AppError} 400 - When no adapter is registered for the code
+ */
+const getCarrier = (code = DEFAULT_CARRIER) => {
+  const carrier = carriers[code];
+
+  if (!carrier) {
+    throw new AppError(`Unsupported carrier: ${code}`, 400);
+  }
+
+  return carrier;
+};
+
+/**
+ * List the registered carriers
+ * @returns {Array<Object>} { code, name, is_default } per carrier
+ */
+const listCarriers = () =>
+  Object.values(carriers).map((carrier) => ({
+    code: carrier.code,
+    name: carrier.name,
+    is_default: carrier.code === DEFAULT_CARRIER,
+  }));
+
+module.exports = {
+  DEFAULT_CARRIER,
+  getCarrier,
+  listCarriers,
+};
@@ -0,0 +1,47 @@
+const crypto = require("crypto");
+
+/**
+ * Local carrier
+ * Stub adapter for vendors that deliver themselves or hand parcels to a courier the platform
+ * does not integrate with. Nothing is booked: the vendor's tracking number is kept (or one is
+ * generated) and the vendor reports each status change, so there is no remote tracking to poll.
+ */
+class LocalCarrier {
+  constructor() {
+    this.code = "local";
+    this.name = "Local delivery";
+  }
+
+  /**
+   * Register a shipment
+   * @param {Object} shipment - Shipment being booked
+   * @param {Order} shipment.order - Order the parcel belongs to
+   * @param {number} shipment.vendorId - Vendor sending the parcel
+   * @param {string} [shipment.trackingNumber] - Tracking number given by the vendor
+   * @param {string} [shipment.trackingUrl] - Tracking page given by the vendor
+   * @param {string} [shipment.estimatedDelivery] - Delivery date given by the vendor
+   * @returns {Promise<Object>} { trackingNumber, trackingUrl, estimatedDelivery }
+   */
+  async createShipment({ order, vendorId, trackingNumber, trackingUrl, estimatedDelivery }) {
+    const transitDays = parseInt(process.env.LOCAL_CARRIER_TRANSIT_DAYS || "3", 10);
+    const fallbackDelivery = new Date(Date.now() + transitDays * 24 * 60 * 60 * 1000);
+
+    return {
+      trackingNumber:
+        trackingNumber ||
+        `LCL-${order.id}-${vendorId}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`,
+      trackingUrl: trackingUrl || null,
+      estimatedDelivery: estimatedDelivery || fallbackDelivery.toISOString().slice(0, 10),
+    };
+  }
+
+  /**
+   * Fetch tracking events. Local shipments are only updated by their vendor.
+   * @returns {Promise<Array<Object>>} Always empty
+   */
+  async getTracking() {
+    return [];
+  }
+}
+
+module.exports = LocalCarrier;
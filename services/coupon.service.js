@@ -0,0 +1,498 @@
+const { Op } = require("sequelize");
+const { Cart, Coupon, CouponRedemption, Product, Vendor, Store, sequelize } = require("../models");
+const AppError = require("../utils/appError");
+
+/**
+ * Coupon Service
+ * Validates coupon codes against a basket and works out the discount they give.
+ *
+ * Coupons are either platform-wide (created by admins) or scoped to one vendor, in which case
+ * only that vendor's items are discounted. Products, categories and vendors can further narrow
+ * the eligible items; every non-empty list must match. Percentage and fixed-amount discounts
+ * are spread across eligible lines in proportion to their value so refunds stay accurate;
+ * free-shipping coupons discount the shipping cost instead.
+ */
+class CouponService {
+  /**
+   * Normalise a coupon code for lookups
+   * @param {string} code - Code as entered by the customer
+   * @returns {string} Upper-cased code
+   */
+  static normalizeCode(code) {
+    return String(code || "").trim().toUpperCase();
+  }
+
+  /**
+   * Find a coupon by its code
+   * @param {string} code - Coupon code
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction (the row is locked for update)
+   * @returns {Promise<Coupon>} Coupon
+   * @throws {AppError} 404 - When no coupon has this code
+   */
+  static async findByCode(code, { transaction } = {}) {
+    const coupon = await Coupon.findOne({
+      where: { code: this.normalizeCode(code) },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    });
+
+    if (!coupon) {
+      throw new AppError("Invalid coupon code", 404);
+    }
+
+    return coupon;
+  }
+
+  /**
+   * Work out the discount a coupon gives on a basket
+   * @param {Coupon} coupon - Coupon to apply
+   * @param {Object} basket - Basket being discounted
+   * @param {number} basket.userId - Customer using the coupon
+   * @param {Array<Object>} basket.items - Lines ({ productId, quantity, price })
+   * @param {number} [basket.shippingCost=0] - Shipping charged on the basket
+   * @param {Array<Object>} [basket.shipments] - Per-vendor shipping ({ vendor_id, cost }); free shipping
+   *   coupons then only cover the shipments of vendors with an eligible item
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} { discount, eligibleSubtotal, allocations } where allocations[i] is the discount on items[i]
+   * @throws {AppError} 400 - When the coupon cannot be used on this basket
+   */
+  static async evaluate(coupon, { userId, items, shippingCost = 0, shipments }, { transaction } = {}) {
+    const now = new Date();
+
+    if (!coupon.is_active) {
+      throw new AppError("This coupon is no longer active", 400);
+    }
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+      throw new AppError("This coupon is not valid yet", 400);
+    }
+    if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+      throw new AppError("This coupon has expired", 400);
+    }
+    if (coupon.usage_limit !== null && coupon.usage_limit !== undefined && coupon.times_used >= coupon.usage_limit) {
+      throw new AppError("This coupon has reached its usage limit", 400);
+    }
+
+    if (coupon.usage_limit_per_user !== null && coupon.usage_limit_per_user !== undefined) {
+      const used = await CouponRedemption.count({
+        where: { coupon_id: coupon.id, user_id: userId },
+        transaction,
+      });
+      if (used >= coupon.usage_limit_per_user) {
+        throw new AppError("You have already used this coupon the maximum number of times", 400);
+      }
+    }
+
+    const lineTotals = items.map((item) => this.round(parseFloat(item.price) * item.quantity));
+    const subtotal = this.round(lineTotals.reduce((sum, total) => sum + total, 0));
+
+    if (subtotal < parseFloat(coupon.min_order_amount || 0)) {
+      throw new AppError(
+        `A minimum order of ${parseFloat(coupon.min_order_amount).toFixed(2)} is required for this coupon`,
+        400
+      );
+    }
+
+    const products = await Product.findAll({
+      where: { id: items.map((item) => item.productId) },
+      attributes: ["id", "vendor_id", "category_id"],
+      transaction,
+    });
+    const productsById = new Map(products.map((product) => [String(product.id), product]));
+
+    const eligible = items.map((item) => this.isEligible(coupon, productsById.get(String(item.productId))));
+    const eligibleSubtotal = this.round(
+      lineTotals.reduce((sum, total, index) => (eligible[index] ? sum + total : sum), 0)
+    );
+
+    if (eligibleSubtotal <= 0) {
+      throw new AppError("This coupon does not apply to any item in your basket", 400);
+    }
+
+    let discount;
+    switch (coupon.type) {
+      case "percentage":
+        discount = eligibleSubtotal * (parseFloat(coupon.value) / 100);
+        if (coupon.max_discount_amount) {
+          discount = Math.min(discount, parseFloat(coupon.max_discount_amount));
+        }
+        break;
+      case "fixed_amount":
+        discount = Math.min(parseFloat(coupon.value), eligibleSubtotal);
+        break;
+      case "free_shipping":
+        discount = shipments
+          ? this.coveredShipping(shipments, items, eligible, productsById)
+          : parseFloat(shippingCost || 0);
+        break;
+      default:
+        discount = 0;
+    }
+    discount = this.round(discount);
+
+    const allocations =
+      coupon.type === "free_shipping"
+        ? items.map(() => 0)
+        : this.allocate(discount, lineTotals, eligible, eligibleSubtotal);
+
+    return { discount, eligibleSubtotal, allocations };
+  }
+
+  /**
+   * Record that a coupon was used on an order
+   * @param {Coupon} coupon - Redeemed coupon (locked in the same transaction)
+   * @param {Object} data - Redemption data
+   * @param {number} data.userId - Customer
+   * @param {number} data.orderId - Order the coupon was used on
+   * @param {number} data.discount - Discount given
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<CouponRedemption>} Redemption
+   */
+  static async redeem(coupon, { userId, orderId, discount }, { transaction } = {}) {
+    const redemption = await CouponRedemption.create(
+      {
+        coupon_id: coupon.id,
+        user_id: userId,
+        order_id: orderId,
+        discount_amount: discount,
+      },
+      { transaction }
+    );
+
+    await coupon.increment("times_used", { by: 1, transaction });
+
+    return redemption;
+  }
+
+  /**
+   * Give back the coupon usage of a cancelled order
+   * @param {number} orderId - Order ID
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<number>} Number of redemptions released
+   */
+  static async releaseForOrder(orderId, { transaction } = {}) {
+    const redemptions = await CouponRedemption.findAll({
+      where: { order_id: orderId },
+      transaction,
+    });
+
+    for (const redemption of redemptions) {
+      await Coupon.decrement("times_used", {
+        by: 1,
+        where: { id: redemption.coupon_id, times_used: { [Op.gt]: 0 } },
+        transaction,
+      });
+      await redemption.destroy({ transaction });
+    }
+
+    return redemptions.length;
+  }
+
+  /**
+   * Whether a product is discounted by a coupon
+   * @private
+   */
+  static isEligible(coupon, product) {
+    if (!product) return false;
+
+    const matches = (ids, value) =>
+      !Array.isArray(ids) || ids.length === 0 || ids.map(String).includes(String(value));
+
+    if (coupon.vendor_id && String(coupon.vendor_id) !== String(product.vendor_id)) {
+      return false;
+    }
+
+    return (
+      matches(coupon.product_ids, product.id) &&
+      matches(coupon.category_ids, product.category_id) &&
+      matches(coupon.vendor_ids, product.vendor_id)
+    );
+  }
+
+  /**
+   * Shipping charged by the vendors that ship at least one eligible line
+   * @private
+   */
+  static coveredShipping(shipments, items, eligible, productsById) {
+    const vendorIds = new Set();
+    items.forEach((item, index) => {
+      if (eligible[index]) {
+        vendorIds.add(String(productsById.get(String(item.productId)).vendor_id));
+      }
+    });
+
+    return shipments.reduce(
+      (sum, shipment) => (vendorIds.has(String(shipment.vendor_id)) ? sum + parseFloat(shipment.cost || 0) : sum),
+      0
+    );
+  }
+
+  /**
+   * Split a discount across eligible lines in proportion to their value.
+   * The last eligible line absorbs rounding so the parts add up to the discount.
+   * @private
+   */
+  static allocate(discount, lineTotals, eligible, eligibleSubtotal) {
+    const allocations = lineTotals.map(() => 0);
+    const lastEligible = eligible.lastIndexOf(true);
+    let allocated = 0;
+
+    lineTotals.forEach((total, index) => {
+      if (!eligible[index]) return;
+
+      allocations[index] =
+        index === lastEligible
+          ? this.round(discount - allocated)
+          : this.round((discount * total) / eligibleSubtotal);
+      allocated = this.round(allocated + allocations[index]);
+    });
+
+    return allocations;
+  }
+
+  /**
+   * List coupons with optional filters
+   * @param {Object} [filters] - Listing filters
+   * @param {number} [filters.vendorId] - Restrict to one vendor's coupons
+   * @param {boolean} [filters.isActive] - Filter by active flag
+   * @param {string} [filters.search] - Match part of the code
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @returns {Promise<Object>} Coupons and pagination metadata
+   */
+  static async list({ vendorId, isActive, search, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (vendorId) where.vendor_id = vendorId;
+    if (isActive !== undefined) where.is_active = isActive;
+    if (search) where.code = { [Op.like]: `%${this.normalizeCode(search)}%` };
+
+    const { count, rows } = await Coupon.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Vendor,
+          as: "vendor",
+          attributes: ["id"],
+          include: [{ model: Store, as: "store", attributes: ["id", "business_name"] }],
+        },
+      ],
+      order: [["created_at", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      coupons: rows.map((coupon) => this.format(coupon)),
+      pagination: {
+        total: count,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Find a coupon by ID
+   * @param {number} couponId - Coupon ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.vendorId] - Only match coupons owned by this vendor
+   * @returns {Promise<Coupon>} Coupon
+   * @throws {AppError} 404 - When the coupon does not exist
+   */
+  static async findById(couponId, { vendorId } = {}) {
+    const where = { id: couponId };
+    if (vendorId) where.vendor_id = vendorId;
+
+    const coupon = await Coupon.findOne({
+      where,
+      include: [
+        {
+          model: Vendor,
+          as: "vendor",
+          attributes: ["id"],
+          include: [{ model: Store, as: "store", attributes: ["id", "business_name"] }],
+        },
+      ],
+    });
+
+    if (!coupon) {
+      throw new AppError("Coupon not found", 404);
+    }
+
+    return coupon;
+  }
+
+  /**
+   * Create a coupon
+   * @param {Object} data - Coupon attributes
+   * @param {Object} options - Options
+   * @param {number} options.createdBy - User creating the coupon
+   * @param {number} [options.vendorId] - Owning vendor; forces a vendor-scoped coupon
+   * @returns {Promise<Coupon>} Created coupon
+   * @throws {AppError} 409 - When the code is already taken
+   */
+  static async createCoupon(data, { createdBy, vendorId }) {
+    const code = this.normalizeCode(data.code);
+
+    if (await Coupon.findOne({ where: { code } })) {
+      throw new AppError(`Coupon code ${code} already exists`, 409);
+    }
+
+    const attributes = this.pickAttributes(data, { vendorScoped: Boolean(vendorId) });
+    this.assertDiscountValue({ ...attributes, type: data.type });
+
+    const coupon = await Coupon.create({
+      ...attributes,
+      code,
+      type: data.type,
+      vendor_id: vendorId || data.vendor_id || null,
+      created_by: createdBy,
+    });
+
+    return this.findById(coupon.id);
+  }
+
+  /**
+   * Update a coupon. The code and type cannot change once created.
+   * @param {number} couponId - Coupon ID
+   * @param {Object} data - Attributes to change
+   * @param {Object} [options] - Options
+   * @param {number} [options.vendorId] - Only update coupons owned by this vendor
+   * @returns {Promise<Coupon>} Updated coupon
+   */
+  static async updateCoupon(couponId, data, { vendorId } = {}) {
+    const coupon = await this.findById(couponId, { vendorId });
+    const attributes = this.pickAttributes(data, { vendorScoped: Boolean(coupon.vendor_id) });
+
+    this.assertDiscountValue({ ...coupon.get({ plain: true }), ...attributes });
+
+    await coupon.update(attributes);
+
+    return this.findById(coupon.id);
+  }
+
+  /**
+   * Delete a coupon, or deactivate it when orders already used it
+   * @param {number} couponId - Coupon ID
+   * @param {Object} [options] - Options
+   * @param {number} [options.vendorId] - Only delete coupons owned by this vendor
+   * @returns {Promise<boolean>} True when deleted, false when only deactivated
+   */
+  static async deleteCoupon(couponId, { vendorId } = {}) {
+    const coupon = await this.findById(couponId, { vendorId });
+
+    const redemptions = await CouponRedemption.count({ where: { coupon_id: coupon.id } });
+    if (redemptions > 0) {
+      await coupon.update({ is_active: false });
+      return false;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await Cart.update(
+        { coupon_id: null },
+        { where: { coupon_id: coupon.id }, transaction }
+      );
+      await coupon.destroy({ transaction });
+    });
+    return true;
+  }
+
+  /**
+   * Copy the editable coupon attributes from a request body
+   * @private
+   */
+  static pickAttributes(data, { vendorScoped }) {
+    const fields = [
+      "description",
+      "value",
+      "max_discount_amount",
+      "min_order_amount",
+      "usage_limit",
+      "usage_limit_per_user",
+      "starts_at",
+      "expires_at",
+      "is_active",
+      "product_ids",
+      "category_ids",
+    ];
+    // Vendor coupons are already limited to the owning vendor
+    if (!vendorScoped) fields.push("vendor_ids");
+
+    return fields.reduce((attributes, field) => {
+      if (data[field] !== undefined) attributes[field] = data[field];
+      return attributes;
+    }, {});
+  }
+
+  /**
+   * Ensure a coupon's value makes sense for its type
+   * @private
+   */
+  static assertDiscountValue({ type, value, starts_at, expires_at }) {
+    if (type === "percentage" && (parseFloat(value) <= 0 || parseFloat(value) > 100)) {
+      throw new AppError("Percentage coupons need a value between 0 and 100", 400);
+    }
+    if (type === "fixed_amount" && !(parseFloat(value) > 0)) {
+      throw new AppError("Fixed amount coupons need a value greater than 0", 400);
+    }
+    if (starts_at && expires_at && new Date(starts_at) >= new Date(expires_at)) {
+      throw new AppError("Coupon must expire after it starts", 400);
+    }
+  }
+
+  /**
+   * Round to kobo
+   * @private
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Convert a coupon instance into the API shape
+   * @param {Coupon} coupon - Coupon instance
+   * @returns {Object} Plain coupon object
+   */
+  static format(coupon) {
+    const data = coupon.get({ plain: true });
+
+    return {
+      id: data.id,
+      code: data.code,
+      description: data.description,
+      type: data.type,
+      value: parseFloat(data.value),
+      max_discount_amount:
+        data.max_discount_amount !== null && data.max_discount_amount !== undefined
+          ? parseFloat(data.max_discount_amount)
+          : null,
+      min_order_amount: parseFloat(data.min_order_amount),
+      usage_limit: data.usage_limit,
+      usage_limit_per_user: data.usage_limit_per_user,
+      times_used: data.times_used,
+      starts_at: data.starts_at,
+      expires_at: data.expires_at,
+      is_active: data.is_active,
+      vendor: data.vendor
+        ? {
+            id: data.vendor.id,
+            business_name: data.vendor.store ? data.vendor.store.business_name : null,
+          }
+        : null,
+      product_ids: data.product_ids || [],
+      category_ids: data.category_ids || [],
+      vendor_ids: data.vendor_ids || [],
+      created_at: data.created_at,
+    };
+  }
+}
+
+module.exports = CouponService;
@@ -4,6 +4,8 @@ const ejs = require("ejs");
 const { promisify } = require("util");
 const fs = require("fs");
 const logger = require("../utils/logger");
+const QueueService = require("./queue.service");
+const InvoiceService = require("./invoice.service");
 const {
   User,
   PaymentTransaction,
@@ -93,6 +95,10 @@ const emailTemplates = {
     template: "order-cancelled.ejs",
     subject: "Order #%s Has Been Cancelled",
   },
+  REFUND_PROCESSED: {
+    template: "refund-processed.ejs",
+    subject: "Your Refund for Order #%s Has Been Processed",
+  },
   VENDOR_ORDER: {
     template: "vendor-order.ejs",
     subject: "New Order #%s - Action Required",
@@ -113,6 +119,22 @@ const emailTemplates = {
     template: "support-feedback-confirmation.ejs",
     subject: "Support Ticket Confirmation - Reference %s",
   },
+  ABANDONED_CART: {
+    template: "abandoned-cart.ejs",
+    subject: "You left something in your cart",
+  },
+  NEW_DEVICE_LOGIN: {
+    template: "new-device-login.ejs",
+    subject: "New login to your Stylay account",
+  },
+  LOW_STOCK_ALERT: {
+    template: "low-stock-alert.ejs",
+    subject: "Low stock alert - time to restock",
+  },
+  LOW_STOCK_DIGEST: {
+    template: "low-stock-digest.ejs",
+    subject: "Your daily low stock summary",
+  },
 };
 
 /**
@@ -156,13 +178,62 @@ const renderTemplate = async (templateName, data = {}) => {
 };
 
 /**
- * Send an email
+ * Build email attachments. Attachments are queued as descriptions and generated when the
+ * email is sent, so large files never go through the queue.
+ * @param {Array<Object>} attachments - Attachments, e.g. { type: "invoice", orderId }
+ * @returns {Promise<Array<Object>>} Nodemailer attachments
+ */
+const buildAttachments = async (attachments = []) => {
+  const built = [];
+
+  for (const attachment of attachments) {
+    try {
+      if (attachment.type === "invoice") {
+        const { filename, content } = await InvoiceService.getInvoice(attachment.orderId);
+        built.push({ filename, content, contentType: "application/pdf" });
+      }
+    } catch (error) {
+      // Send the email without the attachment rather than holding it back
+      logger.error(`Error generating ${attachment.type} attachment:`, error);
+    }
+  }
+
+  return built;
+};
+
+/**
+ * Queue an email. The queue worker renders and sends it (see deliverEmail), so a slow SMTP
+ * server does not hold up the request. The context is stored as JSON: dates arrive in the
+ * template as strings.
  * @param {string} to - Recipient email address
  * @param {string} templateType - Email template type
  * @param {Object} context - Data to be passed to the template
+ * @param {Object} [options] - Email options
+ * @param {Array<Object>} [options.attachments] - Attachments (see buildAttachments)
+ * @returns {Promise<Object>} - Promise that resolves with the queued job
+ */
+const sendEmail = async (to, templateType, context = {}, { attachments = [] } = {}) => {
+  if (!emailTemplates[templateType]) {
+    throw new Error(`Email template ${templateType} not found`);
+  }
+
+  return QueueService.enqueue("email", {
+    to,
+    templateType,
+    context: JSON.parse(JSON.stringify(context)),
+    attachments,
+  });
+};
+
+/**
+ * Render and send an email now
+ * @param {string} to - Recipient email address
+ * @param {string} templateType - Email template type
+ * @param {Object} context - Data to be passed to the template
+ * @param {Array<Object>} [attachments] - Attachments (see buildAttachments)
  * @returns {Promise} - Promise that resolves when email is sent
  */
-const sendEmail = async (to, templateType, context = {}) => {
+const deliverEmail = async (to, templateType, context = {}, attachments = []) => {
   try {
     const templateConfig = emailTemplates[templateType];
     if (!templateConfig) {
@@ -189,6 +260,7 @@ const sendEmail = async (to, templateType, context = {}) => {
       to,
       subject,
       html,
+      attachments: await buildAttachments(attachments),
     };
 
     const info = await transporter.sendMail(mailOptions);
@@ -346,6 +418,8 @@ const sendOrderConfirmation = async (order, userId) => {
         day: "numeric",
       }),
       trackingUrl: `${process.env.FRONTEND_URL}/orders/${order.id}/track`,
+    }, {
+      attachments: [{ type: "invoice", orderId: order.id }],
     });
   } catch (error) {
     logger.error(
@@ -489,7 +563,7 @@ const sendPaymentFailed = async (order, userId, paymentDetails = {}) => {
  * Send order shipped notification email
  * @param {Object} order - Order object with items and details
  * @param {string} userId - User ID for the order
- * @param {Object} trackingInfo - Tracking information
+ * @param {Object} trackingInfo - Tracking information ({ trackingNumber, carrier, estimatedDelivery, trackingUrl })
  * @returns {Promise} - Promise that resolves when email is sent
  */
 const sendOrderShipped = async (order, userId, trackingInfo) => {
@@ -506,7 +580,10 @@ const sendOrderShipped = async (order, userId, trackingInfo) => {
     // Format the order data for the template
     const formattedOrder = {
       ...orderData,
-      ...trackingInfo,
+      tracking_number: trackingInfo?.trackingNumber,
+      courier: trackingInfo?.carrier,
+      estimated_delivery: trackingInfo?.estimatedDelivery,
+      tracking_url: trackingInfo?.trackingUrl,
       items: items.map((item) => ({
         ...item,
         product: item.product || { name: "Unknown Product" },
@@ -623,6 +700,32 @@ const sendOrderCancelled = async (order, userId, reason) => {
   }
 };
 
+/**
+ * Send refund processed notification email
+ * @param {Object} order - Refunded order
+ * @param {Object} refund - Processed refund, formatted with its items
+ * @returns {Promise} - Promise that resolves when email is sent
+ */
+const sendRefundProcessed = async (order, refund) => {
+  try {
+    const userEmail = await getUserEmail(order.user_id);
+    if (!userEmail) {
+      throw new Error(`User with ID ${order.user_id} not found`);
+    }
+
+    return await sendEmail(userEmail, "REFUND_PROCESSED", {
+      orderId: order.order_number || order.id,
+      order: order.get ? order.get({ plain: true }) : order,
+      refund,
+      user: { id: order.user_id },
+      supportEmail: process.env.SUPPORT_EMAIL || "support@stylay.com",
+    });
+  } catch (error) {
+    logger.error("Error sending refund processed email:", error);
+    throw error;
+  }
+};
+
 /**
  * Notify vendors about new order
  * @param {string|number} orderId - Order ID
@@ -900,8 +1003,88 @@ const sendSupportFeedbackConfirmation = async (to, data) => {
   });
 };
 
+/**
+ * Remind a customer about the items left in their cart
+ * @param {string} to - Recipient email address
+ * @param {Object} data - Email data
+ * @param {string} [data.name] - Customer's first name
+ * @param {Object} data.cart - Cart summary from getComprehensiveCartSummary
+ * @returns {Promise} - Promise that resolves when email is sent
+ */
+const sendAbandonedCart = async (to, { name, cart }) => {
+  return sendEmail(to, "ABANDONED_CART", {
+    name: name || "there",
+    cart,
+    cartUrl: `${process.env.FRONTEND_URL}/cart`,
+    supportEmail: process.env.SUPPORT_EMAIL || "support@stylay.com",
+  });
+};
+
+/**
+ * Tell a user their account was logged into from a device they never used before
+ * @param {string} to - Recipient email address
+ * @param {Object} data - Email data
+ * @param {string} [data.name] - User's first name
+ * @param {string} [data.device] - Device label, e.g. "Chrome on Windows"
+ * @param {string} [data.ip] - IP address of the login
+ * @param {Date} data.time - Time of the login
+ * @returns {Promise} - Promise that resolves when email is sent
+ */
+const sendNewDeviceLoginEmail = async (to, { name, device, ip, time }) => {
+  const frontendUrl = process.env.FRONTEND_URL || "https://stylay.com";
+
+  return sendEmail(to, "NEW_DEVICE_LOGIN", {
+    name: name || "there",
+    device: device || "Unknown device",
+    ip: ip || "Unknown",
+    time: new Date(time).toUTCString(),
+    sessionsUrl: `${frontendUrl}/account/security`,
+    resetUrl: `${frontendUrl}/forgot-password`,
+    supportEmail: process.env.SUPPORT_EMAIL || "support@stylay.com",
+  });
+};
+
+/**
+ * Tell a vendor that sales took some of their items to or below the reorder threshold
+ * @param {string} to - Recipient email address
+ * @param {Object} data - Email data
+ * @param {string} [data.name] - Vendor's first name
+ * @param {string} [data.storeName] - Store name
+ * @param {Array<Object>} data.items - Low items (product_name, combination_name, sku, stock, threshold)
+ * @returns {Promise} - Promise that resolves when email is sent
+ */
+const sendLowStockAlert = async (to, { name, storeName, items }) => {
+  return sendEmail(to, "LOW_STOCK_ALERT", {
+    name: name || "there",
+    storeName,
+    items,
+    inventoryUrl: `${process.env.VENDOR_PORTAL_URL || "https://vendor.stylay.com"}/inventory`,
+    supportEmail: process.env.SUPPORT_EMAIL || "support@stylay.com",
+  });
+};
+
+/**
+ * Send a vendor the low stock alerts they have not acknowledged yet
+ * @param {string} to - Recipient email address
+ * @param {Object} data - Email data
+ * @param {string} [data.name] - Vendor's first name
+ * @param {string} [data.storeName] - Store name
+ * @param {Array<Object>} data.items - Low items (product_name, combination_name, sku, stock, threshold)
+ * @returns {Promise} - Promise that resolves when email is sent
+ */
+const sendLowStockDigest = async (to, { name, storeName, items }) => {
+  return sendEmail(to, "LOW_STOCK_DIGEST", {
+    name: name || "there",
+    storeName,
+    items,
+    inventoryUrl: `${process.env.VENDOR_PORTAL_URL || "https://vendor.stylay.com"}/inventory`,
+    supportEmail: process.env.SUPPORT_EMAIL || "support@stylay.com",
+  });
+};
+
 module.exports = {
   sendEmail,
+  deliverEmail,
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendPasswordResetEmailOld,
@@ -914,7 +1097,12 @@ module.exports = {
   sendOrderShipped,
   sendOrderDelivered,
   sendOrderCancelled,
+  sendRefundProcessed,
   notifyVendors,
   transporter,
   sendSupportFeedbackConfirmation,
+  sendAbandonedCart,
+  sendNewDeviceLoginEmail,
+  sendLowStockAlert,
+  sendLowStockDigest,
 };
@@ -5,6 +5,18 @@ const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const { Category, Product, ProductVariant, VariantType, VariantCombination, ProductImage } = require('../models');
 
+/**
+ * Orderings for filtered products, by sort key. Rating sorts use the stored aggregates (see
+ * RatingService).
+ */
+const PRODUCT_SORTS = {
+  newest: [['created_at', 'DESC']],
+  rating: [['rating_average', 'DESC'], ['rating_count', 'DESC'], ['created_at', 'DESC']],
+  most_reviewed: [['rating_count', 'DESC'], ['rating_average', 'DESC'], ['created_at', 'DESC']],
+  price_low: [['price', 'ASC'], ['created_at', 'DESC']],
+  price_high: [['price', 'DESC'], ['created_at', 'DESC']]
+};
+
 class FilterService {
   constructor() {
     this.Category = Category;
@@ -272,8 +284,98 @@ class FilterService {
     }
   }
 
+  /**
+   * Build the product where clause and includes for a set of filters. Shared with product
+   * search, so both support the same filters.
+   * @param {Object} filters - Filters
+   * @param {number} [filters.categoryId] - Category
+   * @param {number} [filters.minPrice] - Lowest price
+   * @param {number} [filters.maxPrice] - Highest price
+   * @param {Array<string>} [filters.colors] - Color variant values
+   * @param {Array<string>} [filters.sizes] - Size variant values
+   * @param {number} [filters.minRating] - Lowest average rating (1-5)
+   * @returns {Object} { where, include } for Product queries
+   */
+  buildProductQuery(filters = {}) {
+    const where = { status: 'active' };
+    const include = [];
+
+    // Category filter
+    if (filters.categoryId) {
+      where.category_id = filters.categoryId;
+    }
+
+    // Price range filter
+    if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+      where.price = {};
+      if (filters.minPrice !== undefined) {
+        where.price[Op.gte] = parseFloat(filters.minPrice);
+      }
+      if (filters.maxPrice !== undefined) {
+        where.price[Op.lte] = parseFloat(filters.maxPrice);
+      }
+    }
+
+    // Rating filter, on the stored average of approved reviews
+    if (filters.minRating !== undefined && filters.minRating !== null && filters.minRating !== '') {
+      where.rating_average = { [Op.gte]: parseFloat(filters.minRating) };
+    }
+
+    // Color filter
+    if (filters.colors && Array.isArray(filters.colors) && filters.colors.length > 0) {
+      include.push({
+        model: this.ProductVariant,
+        as: 'variants',
+        attributes: ['id', 'name', 'value'],
+        where: {
+          value: { [Op.in]: filters.colors }
+        },
+        include: [
+          {
+            model: this.VariantType,
+            as: 'variantType',
+            attributes: [],
+            where: { name: 'color' },
+            required: true
+          }
+        ],
+        required: true,
+        duplicating: false
+      });
+    }
+
+    // Size filter
+    if (filters.sizes && Array.isArray(filters.sizes) && filters.sizes.length > 0) {
+      include.push({
+        model: this.ProductVariant,
+        as: 'variants',
+        attributes: ['id', 'name', 'value'],
+        where: {
+          value: { [Op.in]: filters.sizes }
+        },
+        include: [
+          {
+            model: this.VariantType,
+            as: 'variantType',
+            attributes: [],
+            where: { name: 'size' },
+            required: true
+          }
+        ],
+        required: true,
+        duplicating: false
+      });
+    }
+
+    return { where, include };
+  }
+
   /**
    * Get filtered products based on selected filters
+   * @param {Object} filters - Filters (see buildProductQuery)
+   * @param {string} [filters.sortBy=newest] - newest, rating, most_reviewed, price_low or price_high
+   * @param {Object} [pagination] - { page, limit }
+   * @returns {Promise<Object>} { success, data, pagination }
    */
   async getFilteredProducts(filters = {}, pagination = {}) {
     try {
@@ -281,70 +383,7 @@ class FilterService {
       const limit = parseInt(pagination.limit) || 20;
       const offset = (page - 1) * limit;
 
-      const where = { status: 'active' };
-      const include = [];
-
-      // Category filter
-      if (filters.categoryId) {
-        where.category_id = filters.categoryId;
-      }
-
-      // Price range filter
-      if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
-        where.price = {};
-        if (filters.minPrice !== undefined) {
-          where.price[Op.gte] = parseFloat(filters.minPrice);
-        }
-        if (filters.maxPrice !== undefined) {
-          where.price[Op.lte] = parseFloat(filters.maxPrice);
-        }
-      }
-
-      // Color filter
-      if (filters.colors && Array.isArray(filters.colors) && filters.colors.length > 0) {
-        include.push({
-          model: this.ProductVariant,
-          as: 'variants',
-          attributes: ['id', 'name', 'value'],
-          where: {
-            value: { [Op.in]: filters.colors }
-          },
-          include: [
-            {
-              model: this.VariantType,
-              as: 'variantType',
-              attributes: [],
-              where: { name: 'color' },
-              required: true
-            }
-          ],
-          required: true,
-          duplicating: false
-        });
-      }
-
-      // Size filter
-      if (filters.sizes && Array.isArray(filters.sizes) && filters.sizes.length > 0) {
-        include.push({
-          model: this.ProductVariant,
-          as: 'variants',
-          attributes: ['id', 'name', 'value'],
-          where: {
-            value: { [Op.in]: filters.sizes }
-          },
-          include: [
-            {
-              model: this.VariantType,
-              as: 'variantType',
-              attributes: [],
-              where: { name: 'size' },
-              required: true
-            }
-          ],
-          required: true,
-          duplicating: false
-        });
-      }
+      const { where, include } = this.buildProductQuery(filters);
 
       // Add default includes
       include.push({
@@ -366,7 +405,7 @@ class FilterService {
         subQuery: false,
         limit,
         offset,
-        order: [['created_at', 'DESC']]
+        order: PRODUCT_SORTS[filters.sortBy] || PRODUCT_SORTS.newest
       });
 
       return {
@@ -0,0 +1,384 @@
+const { Op } = require("sequelize");
+const {
+  Inventory,
+  InventoryHistory,
+  Product,
+  Supply,
+  VariantCombination,
+  VendorProductTag,
+  sequelize,
+} = require("../models");
+const LowStockService = require("./low-stock.service");
+const AppError = require("../utils/appError");
+const { parseCsv, toCsv } = require("../utils/csv");
+
+/**
+ * Inventory import settings, read from the environment
+ * @private
+ */
+const settings = () => ({
+  // Most rows accepted in one file
+  maxRows: parseInt(process.env.INVENTORY_IMPORT_MAX_ROWS || "5000", 10),
+});
+
+// Columns of the export; an import needs product_sku and stock or adjustment, the rest are optional
+const COLUMNS = ["product_sku", "sku_suffix", "product_name", "combination_name", "stock", "adjustment", "note"];
+
+const DEFAULT_NOTE = "CSV import";
+
+/**
+ * Inventory Import Service
+ * Bulk stock updates for vendors from a CSV file, and the matching export. Each row is matched
+ * to one of the vendor's variant combinations by product SKU and combination sku_suffix (both
+ * case-insensitive; a blank suffix matches a combination without one). A row either sets the new
+ * stock level (stock) or changes it by an amount (adjustment); when adjustment is given the stock
+ * column is ignored, so an exported file can be edited either way.
+ *
+ * A file is previewed first, then applied. Applying re-checks every row against the stock at that
+ * moment and writes nothing unless every row is valid; otherwise all changes are made in one
+ * transaction. Increases are recorded as supplies, decreases as manual adjustments, each with an
+ * inventory history entry, and low stock alerts are raised or resolved as for a manual update.
+ */
+class InventoryImportService {
+  /**
+   * Check a CSV file against the vendor's inventory without changing anything
+   * @param {number} vendorId - Vendor ID
+   * @param {string} text - CSV text
+   * @returns {Promise<Object>} { rows, summary }, each row with its matched combination, previous
+   * and new stock, status ("update", "unchanged" or "error") and errors
+   * @throws {AppError} 400 - File is not a readable inventory CSV
+   */
+  static async preview(vendorId, text) {
+    const entries = this.parse(text);
+    const rows = await this.plan(vendorId, entries);
+
+    return { rows, summary: this.summarize(rows) };
+  }
+
+  /**
+   * Apply a CSV file to the vendor's inventory in one transaction
+   * @param {number} vendorId - Vendor ID
+   * @param {number} userId - User making the changes
+   * @param {string} text - CSV text
+   * @returns {Promise<Object>} { applied, rows, summary }; applied is false, and nothing was
+   * changed, when any row is invalid
+   * @throws {AppError} 400 - File is not a readable inventory CSV
+   */
+  static async apply(vendorId, userId, text) {
+    const entries = this.parse(text);
+
+    return sequelize.transaction(async (transaction) => {
+      const rows = await this.plan(vendorId, entries, { transaction });
+      const summary = this.summarize(rows);
+
+      if (summary.errors > 0) {
+        return { applied: false, rows, summary };
+      }
+
+      const updates = rows.filter((row) => row.status === "update");
+      const inventories = new Map();
+      const tags = new Map();
+
+      for (const row of updates) {
+        await VariantCombination.update(
+          { stock: row.new_stock },
+          { where: { id: row.combination_id }, transaction }
+        );
+
+        let supplyId = null;
+        if (row.change_type === "supply") {
+          const supply = await Supply.create(
+            {
+              vendor_id: vendorId,
+              product_id: row.product_id,
+              vendor_product_tag_id: await this.findTag(vendorId, row.product_id, tags, transaction),
+              combination_id: row.combination_id,
+              quantity_supplied: row.change,
+              supply_date: new Date(),
+              created_at: new Date(),
+            },
+            { transaction }
+          );
+          supplyId = supply.id;
+        }
+
+        const inventory = await this.findInventory(row.product_id, inventories, transaction);
+        if (supplyId) {
+          await inventory.update({ supply_id: supplyId, restocked_at: new Date() }, { transaction });
+        }
+
+        await InventoryHistory.create(
+          {
+            inventory_id: inventory.id,
+            combination_id: row.combination_id,
+            change_amount: row.change,
+            change_type: row.change_type,
+            previous_stock: row.previous_stock,
+            new_stock: row.new_stock,
+            note: row.note || DEFAULT_NOTE,
+            adjusted_by: userId,
+            supply_id: supplyId,
+          },
+          { transaction }
+        );
+      }
+
+      await LowStockService.check(updates.map((row) => row.combination_id), { transaction });
+
+      return { applied: true, rows, summary };
+    });
+  }
+
+  /**
+   * Export the vendor's current stock in the import format
+   * @param {number} vendorId - Vendor ID
+   * @returns {Promise<Object>} { filename, content }; products without a SKU cannot be imported
+   * and are left out
+   */
+  static async export(vendorId) {
+    const combinations = await VariantCombination.findAll({
+      attributes: ["id", "combination_name", "sku_suffix", "stock"],
+      include: [
+        {
+          model: Product,
+          as: "product",
+          attributes: ["id", "name", "sku"],
+          where: { vendor_id: vendorId, sku: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: "" }] } },
+          required: true,
+        },
+      ],
+      order: [
+        [{ model: Product, as: "product" }, "sku", "ASC"],
+        ["sku_suffix", "ASC"],
+      ],
+    });
+
+    const rows = combinations.map((combination) => [
+      combination.product.sku,
+      combination.sku_suffix,
+      combination.product.name,
+      combination.combination_name,
+      combination.stock,
+      null,
+      null,
+    ]);
+
+    return {
+      filename: `inventory-${new Date().toISOString().slice(0, 10)}.csv`,
+      content: toCsv(COLUMNS, rows),
+    };
+  }
+
+  /**
+   * Read the rows of an inventory CSV, checking each on its own
+   * @private
+   */
+  static parse(text) {
+    let records;
+    try {
+      records = parseCsv(String(text || ""));
+    } catch (error) {
+      throw new AppError(`Could not read the CSV file: ${error.message}`, 400);
+    }
+
+    if (records.length < 2) {
+      throw new AppError("The CSV file has no rows to import", 400);
+    }
+
+    const header = records[0].map((name) => name.trim().toLowerCase());
+    if (!header.includes("product_sku")) {
+      throw new AppError("The CSV file needs a product_sku column", 400);
+    }
+    if (!header.includes("stock") && !header.includes("adjustment")) {
+      throw new AppError("The CSV file needs a stock or adjustment column", 400);
+    }
+
+    const { maxRows } = settings();
+    if (records.length - 1 > maxRows) {
+      throw new AppError(`The CSV file has more than ${maxRows} rows`, 400);
+    }
+
+    return records.slice(1).map((record, index) => {
+      // The export escapes text such as a "-BLK" suffix with an apostrophe for spreadsheets
+      const cell = (name) => {
+        const column = header.indexOf(name);
+        return column === -1 ? "" : (record[column] || "").trim().replace(/^'(?=[=+\-@])/, "");
+      };
+      const entry = {
+        line: index + 2,
+        product_sku: cell("product_sku"),
+        sku_suffix: cell("sku_suffix"),
+        stock: null,
+        adjustment: null,
+        note: cell("note") || null,
+        errors: [],
+      };
+
+      if (!entry.product_sku) {
+        entry.errors.push("product_sku is required");
+      }
+
+      const adjustment = cell("adjustment");
+      const stock = cell("stock");
+      if (adjustment !== "") {
+        if (/^[+-]?\d+$/.test(adjustment)) {
+          entry.adjustment = parseInt(adjustment, 10);
+        } else {
+          entry.errors.push("adjustment must be a whole number");
+        }
+      } else if (stock !== "") {
+        if (/^\d+$/.test(stock)) {
+          entry.stock = parseInt(stock, 10);
+        } else {
+          entry.errors.push("stock must be a whole number of 0 or more");
+        }
+      } else {
+        entry.errors.push("stock or adjustment is required");
+      }
+
+      if (entry.note && entry.note.length > 255) {
+        entry.errors.push("note must be at most 255 characters");
+      }
+
+      return entry;
+    });
+  }
+
+  /**
+   * Match rows to the vendor's combinations and work out each change. With a transaction the
+   * matched combinations are locked, so the changes hold until it commits.
+   * @private
+   */
+  static async plan(vendorId, entries, { transaction } = {}) {
+    const skus = [...new Set(entries.map((entry) => entry.product_sku).filter(Boolean))];
+
+    const combinations = skus.length
+      ? await VariantCombination.findAll({
+          attributes: ["id", "product_id", "combination_name", "sku_suffix", "stock"],
+          include: [
+            {
+              model: Product,
+              as: "product",
+              attributes: ["id", "name", "sku"],
+              where: { vendor_id: vendorId, sku: skus },
+              required: true,
+            },
+          ],
+          order: [["id", "ASC"]],
+          transaction,
+          ...(transaction && { lock: transaction.LOCK.UPDATE }),
+        })
+      : [];
+
+    const byKey = combinations.reduce((matches, combination) => {
+      const key = this.key(combination.product.sku, combination.sku_suffix);
+      matches.set(key, [...(matches.get(key) || []), combination]);
+      return matches;
+    }, new Map());
+
+    const seen = new Map();
+
+    return entries.map((entry) => {
+      const { errors, ...values } = entry;
+      const row = { ...values, errors: [...errors], status: "error" };
+      if (!entry.product_sku) return row;
+
+      const matches = byKey.get(this.key(entry.product_sku, entry.sku_suffix)) || [];
+      if (matches.length === 0) {
+        row.errors.push(
+          entry.sku_suffix
+            ? `No combination with sku_suffix "${entry.sku_suffix}" for product SKU "${entry.product_sku}"`
+            : `No combination without a sku_suffix for product SKU "${entry.product_sku}"`
+        );
+        return row;
+      }
+      if (matches.length > 1) {
+        row.errors.push("Matches more than one combination; give the combinations distinct sku_suffix values");
+        return row;
+      }
+
+      const [combination] = matches;
+      Object.assign(row, {
+        product_id: combination.product.id,
+        product_name: combination.product.name,
+        combination_id: combination.id,
+        combination_name: combination.combination_name,
+        previous_stock: combination.stock,
+      });
+
+      if (seen.has(combination.id)) {
+        row.errors.push(`Same combination as line ${seen.get(combination.id)}`);
+      } else {
+        seen.set(combination.id, entry.line);
+      }
+      if (row.errors.length > 0) return row;
+
+      const newStock = entry.adjustment !== null ? combination.stock + entry.adjustment : entry.stock;
+      if (newStock < 0) {
+        row.errors.push(`Stock cannot go below 0 (currently ${combination.stock})`);
+        return row;
+      }
+
+      row.new_stock = newStock;
+      row.change = newStock - combination.stock;
+      row.change_type = row.change > 0 ? "supply" : row.change < 0 ? "manual_adjustment" : null;
+      row.status = row.change === 0 ? "unchanged" : "update";
+      return row;
+    });
+  }
+
+  /**
+   * Count rows by status
+   * @private
+   */
+  static summarize(rows) {
+    return {
+      rows: rows.length,
+      updates: rows.filter((row) => row.status === "update").length,
+      unchanged: rows.filter((row) => row.status === "unchanged").length,
+      errors: rows.filter((row) => row.status === "error").length,
+    };
+  }
+
+  /**
+   * Matching key for a product SKU and combination suffix
+   * @private
+   */
+  static key(sku, suffix) {
+    return `${String(sku || "").trim().toLowerCase()}\u0000${String(suffix || "").trim().toLowerCase()}`;
+  }
+
+  /**
+   * The product's inventory row, created if missing, once per import
+   * @private
+   */
+  static async findInventory(productId, cache, transaction) {
+    if (!cache.has(productId)) {
+      const [inventory] = await Inventory.findOrCreate({
+        where: { product_id: productId },
+        defaults: { restocked_at: new Date() },
+        transaction,
+      });
+      cache.set(productId, inventory);
+    }
+    return cache.get(productId);
+  }
+
+  /**
+   * The vendor's tag for a product, which supplies reference, created if missing
+   * @private
+   */
+  static async findTag(vendorId, productId, cache, transaction) {
+    if (!cache.has(productId)) {
+      const [tag] = await VendorProductTag.findOrCreate({
+        where: { vendor_id: vendorId, product_id: productId },
+        defaults: { created_at: new Date() },
+        transaction,
+      });
+      cache.set(productId, tag.id);
+    }
+    return cache.get(productId);
+  }
+}
+
+module.exports = InventoryImportService;
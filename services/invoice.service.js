@@ -0,0 +1,383 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { UniqueConstraintError } = require("sequelize");
+const {
+  Invoice,
+  Order,
+  OrderItem,
+  OrderDetail,
+  Address,
+  Product,
+  User,
+  Vendor,
+  Store,
+  Shipment,
+  sequelize,
+} = require("../models");
+const { renderInvoicePdf, renderPackingSlipPdf } = require("../utils/orderDocuments");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+/**
+ * Invoice Service
+ * Generates order invoices and per-vendor packing slips as PDFs.
+ *
+ * An order gets its invoice number the first time its invoice is generated. Numbers come from a
+ * gapless counter (INV-<year>-<sequence>), so they stay sequential across years and are never
+ * reused. Invoices list the order's items grouped by store, with the store's logo, and break the
+ * order's VAT down by rate. Packing slips only list one vendor's items and carry no prices.
+ */
+class InvoiceService {
+  /**
+   * Generate an order's invoice
+   * @param {number} orderId - Order ID
+   * @param {Object} [options] - Options
+   * @param {number} [options.userId] - Limit to this customer's orders (omit for admins)
+   * @returns {Promise<Object>} { filename, content } with the PDF as a Buffer
+   * @throws {AppError} 404 - When the order does not exist or belongs to another customer
+   */
+  static async getInvoice(orderId, { userId } = {}) {
+    const order = await this.loadOrder(orderId, { userId });
+    const invoice = await this.issue(order.id);
+
+    const content = await renderInvoicePdf(await this.getInvoiceData(order, invoice));
+
+    return { filename: `${invoice.invoice_number}.pdf`, content };
+  }
+
+  /**
+   * Generate a vendor's packing slip for an order
+   * @param {number} orderId - Order ID
+   * @param {number} vendorId - Vendor whose items are packed
+   * @returns {Promise<Object>} { filename, content } with the PDF as a Buffer
+   * @throws {AppError} 404 - When the order does not exist or has no items from the vendor
+   */
+  static async getPackingSlip(orderId, vendorId) {
+    const order = await this.loadOrder(orderId);
+    const items = order.items.filter((item) => String(item.vendor_id) === String(vendorId));
+
+    if (items.length === 0) {
+      throw new AppError("Order has no items from this vendor", 404);
+    }
+
+    const content = await renderPackingSlipPdf(await this.getPackingSlipData(order, items));
+
+    return { filename: `packing-slip-${order.order_number}-${vendorId}.pdf`, content };
+  }
+
+  /**
+   * Get an order's invoice, numbering it on first use
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Invoice>} Invoice record
+   */
+  static async issue(orderId) {
+    const existing = await Invoice.findOne({ where: { order_id: orderId } });
+    if (existing) {
+      return existing;
+    }
+
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        // Lock the latest invoice so concurrent orders cannot take the same number
+        const last = await Invoice.findOne({
+          order: [["sequence", "DESC"]],
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+
+        const sequence = last ? last.sequence + 1 : 1;
+        const issuedAt = new Date();
+
+        return Invoice.create(
+          {
+            order_id: orderId,
+            sequence,
+            invoice_number: this.formatNumber(sequence, issuedAt),
+            issued_at: issuedAt,
+          },
+          { transaction }
+        );
+      });
+    } catch (error) {
+      // The same order was invoiced by a concurrent request
+      if (error instanceof UniqueConstraintError) {
+        const invoice = await Invoice.findOne({ where: { order_id: orderId } });
+        if (invoice) return invoice;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Invoice number for a sequence
+   * @param {number} sequence - Invoice counter
+   * @param {Date} issuedAt - Issue date
+   * @returns {string} Invoice number, e.g. INV-2025-000042
+   */
+  static formatNumber(sequence, issuedAt) {
+    const prefix = process.env.INVOICE_PREFIX || "INV";
+    return `${prefix}-${issuedAt.getFullYear()}-${String(sequence).padStart(6, "0")}`;
+  }
+
+  /**
+   * Data printed on an invoice
+   * @param {Order} order - Order with items, details and customer loaded
+   * @param {Invoice} invoice - Invoice record
+   * @returns {Promise<Object>} Invoice data for renderInvoicePdf
+   */
+  static async getInvoiceData(order, invoice) {
+    const details = order.details || {};
+
+    const vendors = [];
+    for (const item of order.items) {
+      let vendor = vendors.find((entry) => String(entry.vendorId) === String(item.vendor_id));
+      if (!vendor) {
+        const store = item.vendor && item.vendor.store;
+        vendor = {
+          vendorId: item.vendor_id,
+          storeName: store ? store.business_name : "Stylay",
+          logo: store ? await this.loadImage(store.logo) : null,
+          items: [],
+        };
+        vendors.push(vendor);
+      }
+
+      vendor.items.push({
+        name: item.product ? item.product.name : `Item #${item.id}`,
+        variants: this.describeVariants(item),
+        quantity: item.quantity,
+        unitPrice: this.round(item.price),
+        taxRate: parseFloat(item.tax_rate || 0),
+        total: this.round(item.sub_total),
+      });
+    }
+
+    return {
+      appName: process.env.APP_NAME || "Stylay",
+      logo: await this.loadAppLogo(),
+      invoiceNumber: invoice.invoice_number,
+      issuedAt: invoice.issued_at,
+      orderNumber: order.order_number,
+      orderDate: order.order_date,
+      paymentStatus: order.payment_status,
+      paymentMethod: order.payment_method,
+      paidAt: order.paid_at,
+      customer: this.getCustomer(order),
+      address: details.address || null,
+      vendors,
+      totals: {
+        subtotal: this.round(order.items.reduce((sum, item) => sum + parseFloat(item.sub_total || 0), 0)),
+        discount: this.round(details.discount_amount || 0),
+        couponCode: details.coupon_code || null,
+        shipping: this.round(details.shipping_cost || 0),
+        tax: this.round(details.tax_amount || 0),
+        taxInclusive: Boolean(details.tax_inclusive),
+        total: this.round(order.total_amount),
+      },
+      taxLines: this.getTaxLines(order.items, details),
+    };
+  }
+
+  /**
+   * Data printed on a packing slip
+   * @param {Order} order - Order with items, details and customer loaded
+   * @param {Array<OrderItem>} items - The vendor's items in the order
+   * @returns {Promise<Object>} Packing slip data for renderPackingSlipPdf
+   */
+  static async getPackingSlipData(order, items) {
+    const details = order.details || {};
+    const store = items[0].vendor && items[0].vendor.store;
+    const shipment = (order.shipments || []).find(
+      (entry) => String(entry.vendor_id) === String(items[0].vendor_id)
+    );
+
+    return {
+      storeName: store ? store.business_name : "Stylay",
+      logo: store ? await this.loadImage(store.logo) : null,
+      orderNumber: order.order_number,
+      orderDate: order.order_date,
+      trackingNumber: shipment ? shipment.tracking_number : null,
+      customer: this.getCustomer(order),
+      address: details.address || null,
+      note: details.note || null,
+      items: items.map((item) => ({
+        name: item.product ? item.product.name : `Item #${item.id}`,
+        variants: this.describeVariants(item),
+        quantity: item.quantity,
+      })),
+    };
+  }
+
+  /**
+   * VAT per rate. Orders placed before per-item tax was recorded get a single line with the
+   * order's tax amount.
+   * @param {Array<OrderItem>} items - Order items
+   * @param {OrderDetail} details - Order details
+   * @returns {Array<Object>} [{ rate, amount }]
+   */
+  static getTaxLines(items, details) {
+    const orderTax = this.round(details.tax_amount || 0);
+    if (orderTax === 0) {
+      return [];
+    }
+
+    const byRate = new Map();
+    items.forEach((item) => {
+      const rate = parseFloat(item.tax_rate || 0);
+      byRate.set(rate, (byRate.get(rate) || 0) + parseFloat(item.tax_amount || 0));
+    });
+
+    const lines = [...byRate.entries()]
+      .filter(([, amount]) => amount > 0)
+      .sort(([a], [b]) => a - b)
+      .map(([rate, amount]) => ({ rate, amount: this.round(amount) }));
+
+    const itemTax = this.round(lines.reduce((sum, line) => sum + line.amount, 0));
+    if (Math.abs(itemTax - orderTax) > 0.01) {
+      const rates = [...byRate.keys()].filter((rate) => rate > 0);
+      return [{ rate: rates.length === 1 ? rates[0] : null, amount: orderTax }];
+    }
+
+    return lines;
+  }
+
+  /**
+   * Load an order with everything printed on its documents
+   * @private
+   */
+  static async loadOrder(orderId, { userId } = {}) {
+    const where = { id: orderId };
+    if (userId) where.user_id = userId;
+
+    const order = await Order.findOne({
+      where,
+      include: [
+        { model: User, as: "user", attributes: ["id", "first_name", "last_name", "email", "phone"] },
+        {
+          model: OrderItem,
+          as: "items",
+          include: [
+            { model: Product, as: "product", attributes: ["id", "name"] },
+            {
+              model: Vendor,
+              as: "vendor",
+              attributes: ["id"],
+              include: [{ model: Store, as: "store", attributes: ["id", "business_name", "logo"] }],
+            },
+          ],
+        },
+        {
+          model: OrderDetail,
+          as: "details",
+          include: [{ model: Address, as: "address" }],
+        },
+        { model: Shipment, as: "shipments", attributes: ["id", "vendor_id", "tracking_number"] },
+      ],
+      order: [[{ model: OrderItem, as: "items" }, "id", "ASC"]],
+    });
+
+    if (!order) {
+      throw new AppError("Order not found", 404);
+    }
+
+    return order;
+  }
+
+  /**
+   * @private
+   */
+  static getCustomer(order) {
+    const { user } = order;
+    if (!user) return {};
+
+    return {
+      name: [user.first_name, user.last_name].filter(Boolean).join(" "),
+      email: user.email,
+      phone: user.phone,
+    };
+  }
+
+  /**
+   * Variant selections of an order item, e.g. "Size: M, Colour: Red"
+   * @private
+   */
+  static describeVariants(item) {
+    let variants = item.selected_variants;
+    if (typeof variants === "string") {
+      try {
+        variants = JSON.parse(variants);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (!Array.isArray(variants) || variants.length === 0) {
+      return null;
+    }
+
+    return variants
+      .filter((variant) => variant && variant.value)
+      .map((variant) => (variant.name ? `${variant.name}: ${variant.value}` : variant.value))
+      .join(", ");
+  }
+
+  /**
+   * Read a store logo for embedding: files under /uploads are read from disk, other URLs are
+   * downloaded. Returns null when the image cannot be read, so documents still render
+   * without it.
+   * @private
+   */
+  static async loadImage(url) {
+    if (!url) return null;
+
+    try {
+      const uploadPath = url.match(/\/uploads\/(.+)$/);
+      if (uploadPath) {
+        const root = path.join(__dirname, "../public/Upload");
+        const file = path.resolve(root, decodeURIComponent(uploadPath[1]));
+        if (!file.startsWith(root + path.sep)) {
+          return null;
+        }
+        return await fs.promises.readFile(file);
+      }
+
+      if (/^https?:\/\//i.test(url)) {
+        const response = await axios.get(url, {
+          responseType: "arraybuffer",
+          timeout: 5000,
+          maxContentLength: 5 * 1024 * 1024,
+        });
+        return Buffer.from(response.data);
+      }
+
+      return null;
+    } catch (error) {
+      logger.warn(`Could not load image ${url} for order document: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Marketplace logo printed on invoices
+   * @private
+   */
+  static async loadAppLogo() {
+    try {
+      return await fs.promises.readFile(path.join(__dirname, "../public/logo.png"));
+    } catch (error) {
+      logger.warn(`Could not load logo for order document: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Round to kobo
+   * @private
+   */
+  static round(value) {
+    return Math.round(parseFloat(value || 0) * 100) / 100;
+  }
+}
+
+module.exports = InvoiceService;
@@ -0,0 +1,285 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { User, LoginAttempt, OversightLog, sequelize } = require("../models");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+const SessionService = require("./session.service");
+const { sendNewDeviceLoginEmail } = require("./email.service");
+
+/**
+ * Login security settings, read from the environment
+ * @private
+ */
+const settings = () => ({
+  // Failed attempts in a row that lock the account
+  maxAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5,
+  // Minutes the first lockout lasts; each further lockout doubles it
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+  // Longest a lockout lasts
+  maxLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60,
+  // Days login history is kept before cleanup deletes it
+  retentionDays: parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS, 10) || 180,
+});
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Login Security Service
+ * Per-account protection against password guessing, on top of the per-IP `loginLimiter`.
+ *
+ * Every login attempt is recorded with its IP address and device. Failed attempts (wrong
+ * password or two-factor code) are counted on the account; reaching the limit locks the account
+ * for a while, and every lockout since the last successful login lasts twice as long as the one
+ * before. While locked, even the right password is refused. A successful login, a password
+ * reset or an admin unlocking the account clears the count.
+ *
+ * The user is emailed when they log in from a device (user agent) they never logged in from.
+ */
+class LoginSecurityService {
+  /**
+   * Whether the account is locked right now
+   * @param {User} user - User
+   * @returns {boolean}
+   */
+  static isLocked(user) {
+    return Boolean(user.locked_until) && new Date(user.locked_until) > new Date();
+  }
+
+  /**
+   * Refuse a login to a locked account, recording the attempt
+   * @param {User} user - User trying to log in
+   * @param {Object} [options] - Options
+   * @param {Object} [options.client] - { userAgent, ip } of the request
+   * @param {string} [options.method="password"] - "password" or "two_factor"
+   * @returns {Promise<void>}
+   * @throws {AppError} 423 - When the account is locked
+   */
+  static async assertNotLocked(user, { client, method = "password" } = {}) {
+    if (!this.isLocked(user)) return;
+
+    await this.record({ user, client, method, success: false, reason: "account_locked" });
+    throw this.lockedError(user.locked_until);
+  }
+
+  /**
+   * Record a failed login, locking the account once the attempts reach the limit
+   * @param {User|null} user - User the attempt was for, or null when the email matched no account
+   * @param {Object} options - Options
+   * @param {string} [options.email] - Email entered, for attempts on unknown accounts
+   * @param {Object} [options.client] - { userAgent, ip } of the request
+   * @param {string} [options.method="password"] - "password" or "two_factor"
+   * @param {string} options.reason - Why it failed, e.g. "invalid_password"
+   * @returns {Promise<Object>} { locked, locked_until }
+   */
+  static async recordFailure(user, { email, client, method = "password", reason }) {
+    await this.record({ user, email, client, method, success: false, reason });
+    if (!user) return { locked: false, locked_until: null };
+
+    const { maxAttempts } = settings();
+
+    return sequelize.transaction(async (transaction) => {
+      const account = await User.findByPk(user.id, {
+        attributes: ["id", "failed_login_attempts", "lockout_count", "locked_until"],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+
+      const attempts = account.failed_login_attempts + 1;
+      if (attempts < maxAttempts) {
+        await account.update({ failed_login_attempts: attempts }, { transaction });
+        return { locked: false, locked_until: null };
+      }
+
+      const lockedUntil = new Date(Date.now() + this.lockoutMinutes(account.lockout_count) * MINUTE_MS);
+      await account.update(
+        { failed_login_attempts: 0, lockout_count: account.lockout_count + 1, locked_until: lockedUntil },
+        { transaction }
+      );
+
+      logger.warn(`Account ${user.id} locked until ${lockedUntil.toISOString()} after ${attempts} failed login attempts`);
+
+      return { locked: true, locked_until: lockedUntil };
+    });
+  }
+
+  /**
+   * Record a successful login, clearing failed attempts and emailing the user when the device
+   * is new to their account
+   * @param {User} user - User who logged in
+   * @param {Object} [options] - Options
+   * @param {Object} [options.client] - { userAgent, ip } of the request
+   * @param {string} [options.method="password"] - "password", "two_factor", "google" or "apple"
+   * @returns {Promise<LoginAttempt>} Recorded attempt
+   */
+  static async recordSuccess(user, { client = {}, method = "password" } = {}) {
+    const deviceHash = this.hashDevice(client.userAgent);
+
+    let newDevice = false;
+    if (deviceHash) {
+      const [knownDevice, previousLogins] = await Promise.all([
+        LoginAttempt.count({ where: { user_id: user.id, success: true, device_hash: deviceHash } }),
+        LoginAttempt.count({ where: { user_id: user.id, success: true } }),
+      ]);
+      // The first login ever is not news to the user
+      newDevice = previousLogins > 0 && knownDevice === 0;
+    }
+
+    const attempt = await this.record({ user, client, method, success: true, newDevice });
+
+    if (user.failed_login_attempts || user.lockout_count || user.locked_until) {
+      await User.update(this.clearedFields(), { where: { id: user.id } });
+    }
+
+    if (newDevice) {
+      try {
+        await sendNewDeviceLoginEmail(user.email, {
+          name: user.first_name,
+          device: attempt.device,
+          ip: attempt.ip_address,
+          time: attempt.created_at,
+        });
+      } catch (error) {
+        logger.error(`Failed to send new device login alert to user ${user.id}:`, error);
+      }
+    }
+
+    return attempt;
+  }
+
+  /**
+   * Login history of a user, newest first
+   * @param {number} userId - User ID
+   * @param {Object} [options] - Options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Attempts per page
+   * @param {boolean} [options.success] - Only successful (true) or failed (false) attempts
+   * @returns {Promise<Object>} { count, rows }
+   */
+  static async history(userId, { page = 1, limit = 20, success } = {}) {
+    const where = { user_id: userId };
+    if (success !== undefined) where.success = success;
+
+    return LoginAttempt.findAndCountAll({
+      where,
+      attributes: ["id", "method", "success", "failure_reason", "ip_address", "device", "new_device", "created_at"],
+      order: [["created_at", "DESC"], ["id", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+  }
+
+  /**
+   * Accounts locked right now, those locked the longest first
+   * @param {Object} [options] - Options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Accounts per page
+   * @returns {Promise<Object>} { count, rows }
+   */
+  static async lockedAccounts({ page = 1, limit = 20 } = {}) {
+    return User.findAndCountAll({
+      where: { locked_until: { [Op.gt]: new Date() } },
+      attributes: ["id", "first_name", "last_name", "email", "lockout_count", "locked_until"],
+      order: [["locked_until", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+  }
+
+  /**
+   * Unlock an account and clear its failed attempts. With `revokeSessions`, also sign the user
+   * out everywhere, for when the attempts suggest someone else has the password.
+   * @param {number} userId - User to unlock
+   * @param {number} adminId - Admin unlocking it
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.revokeSessions=false] - End the user's sessions too
+   * @returns {Promise<User>} Updated user
+   * @throws {AppError} 404 - When the user does not exist
+   */
+  static async unlock(userId, adminId, { revokeSessions = false } = {}) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new AppError("No user found with that ID", 404);
+    }
+
+    await user.update(this.clearedFields());
+    if (revokeSessions) {
+      await SessionService.revokeAll(user.id, "account_unlocked");
+    }
+
+    await OversightLog.create({
+      admin_id: adminId,
+      functionality: "account_lockout",
+      action: `Unlocked account of user #${user.id} (${user.email})${revokeSessions ? " and ended their sessions" : ""}`,
+    });
+
+    return user;
+  }
+
+  /**
+   * Delete login history older than the retention period
+   * @returns {Promise<number>} Attempts deleted
+   */
+  static async cleanup() {
+    const cutoff = new Date(Date.now() - settings().retentionDays * 24 * 60 * MINUTE_MS);
+    return LoginAttempt.destroy({ where: { created_at: { [Op.lt]: cutoff } } });
+  }
+
+  /**
+   * Fields that clear failed attempts and any lockout
+   * @returns {Object} User fields
+   */
+  static clearedFields() {
+    return { failed_login_attempts: 0, lockout_count: 0, locked_until: null };
+  }
+
+  /**
+   * Error for a login to a locked account
+   * @param {Date} lockedUntil - End of the lockout
+   * @returns {AppError} 423 error
+   */
+  static lockedError(lockedUntil) {
+    const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / MINUTE_MS));
+    return new AppError(
+      `Too many failed login attempts. Your account is locked; try again in ${minutes} minute${minutes === 1 ? "" : "s"} or reset your password.`,
+      423,
+      { code: "ACCOUNT_LOCKED", lockedUntil }
+    );
+  }
+
+  /**
+   * Length of the next lockout: doubles with each lockout, up to the maximum
+   * @private
+   */
+  static lockoutMinutes(previousLockouts) {
+    const { lockoutMinutes, maxLockoutMinutes } = settings();
+    return Math.min(lockoutMinutes * 2 ** Math.min(previousLockouts, 20), maxLockoutMinutes);
+  }
+
+  /**
+   * @private
+   */
+  static async record({ user, email, client = {}, method, success, reason = null, newDevice = false }) {
+    return LoginAttempt.create({
+      user_id: user ? user.id : null,
+      email: (user ? user.email : email) || null,
+      method,
+      success,
+      failure_reason: reason,
+      ip_address: client.ip || null,
+      user_agent: client.userAgent ? client.userAgent.slice(0, 512) : null,
+      device: SessionService.describeDevice(client.userAgent),
+      device_hash: this.hashDevice(client.userAgent),
+      new_device: newDevice,
+    });
+  }
+
+  /**
+   * @private
+   */
+  static hashDevice(userAgent) {
+    if (!userAgent) return null;
+    return crypto.createHash("sha256").update(userAgent).digest("hex");
+  }
+}
+
+module.exports = LoginSecurityService;
@@ -0,0 +1,400 @@
+const { Op } = require("sequelize");
+const {
+  LowStockAlert,
+  VariantCombination,
+  Product,
+  Vendor,
+  Store,
+  User,
+  Notification,
+  sequelize,
+} = require("../models");
+const emailService = require("./email.service");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+/**
+ * Low stock settings, read from the environment
+ * @private
+ */
+const settings = () => ({
+  // Threshold for combinations and products that do not set their own
+  defaultThreshold: parseInt(process.env.LOW_STOCK_DEFAULT_THRESHOLD || "10", 10),
+});
+
+// Alerts the vendor still has to restock
+const UNRESOLVED = ["open", "acknowledged"];
+
+/**
+ * Low Stock Service
+ * Watches variant combination stock against reorder thresholds. A combination uses its own
+ * reorder threshold, else its product's, else LOW_STOCK_DEFAULT_THRESHOLD; it is low when its
+ * stock is at or below the threshold.
+ *
+ * When a sale takes a combination low, an alert is raised and the vendor is notified and emailed.
+ * A combination has at most one unresolved alert, so further sales do not alert again. Vendors
+ * acknowledge alerts they are dealing with; alerts still open are repeated in a daily digest.
+ * An alert is resolved once the combination's stock goes back above its threshold.
+ */
+class LowStockService {
+  /**
+   * Reorder threshold that applies to a combination
+   * @param {VariantCombination} combination - Combination
+   * @param {Product} [product] - Its product (defaults to combination.product)
+   * @returns {number} Threshold
+   */
+  static thresholdFor(combination, product = combination.product) {
+    if (combination.reorder_threshold !== null && combination.reorder_threshold !== undefined) {
+      return combination.reorder_threshold;
+    }
+    if (product && product.reorder_threshold !== null && product.reorder_threshold !== undefined) {
+      return product.reorder_threshold;
+    }
+    return settings().defaultThreshold;
+  }
+
+  /**
+   * SQL for the threshold that applies to a combination, for use in queries
+   * @param {string} [combinationAlias="VariantCombination"] - Alias of the combination table
+   * @param {string} [productAlias="product"] - Alias of the joined product table
+   * @returns {Object} Sequelize literal
+   */
+  static thresholdSql(combinationAlias = "VariantCombination", productAlias = "product") {
+    return sequelize.literal(
+      `COALESCE(\`${combinationAlias}\`.\`reorder_threshold\`, \`${productAlias}\`.\`reorder_threshold\`, ${settings().defaultThreshold})`
+    );
+  }
+
+  /**
+   * Raise alerts for combinations that are low and resolve the alerts of combinations that
+   * were restocked. Vendors are notified of new alerts, after the transaction commits when
+   * one is given.
+   * @param {Array<number>} combinationIds - Combinations whose stock changed
+   * @param {Object} [options] - Options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Array<LowStockAlert>>} Alerts raised
+   */
+  static async check(combinationIds, { transaction } = {}) {
+    const ids = [...new Set(combinationIds.filter(Boolean).map(String))];
+    if (ids.length === 0) return [];
+
+    const combinations = await VariantCombination.findAll({
+      where: { id: ids },
+      attributes: ["id", "product_id", "combination_name", "stock", "reorder_threshold"],
+      include: [
+        {
+          model: Product,
+          as: "product",
+          attributes: ["id", "name", "sku", "vendor_id", "reorder_threshold"],
+        },
+      ],
+      transaction,
+    });
+
+    const unresolved = await LowStockAlert.findAll({
+      where: { combination_id: ids, status: { [Op.in]: UNRESOLVED } },
+      transaction,
+    });
+    const alerted = new Set(unresolved.map((alert) => String(alert.combination_id)));
+
+    const raised = [];
+    for (const combination of combinations) {
+      const threshold = this.thresholdFor(combination);
+
+      if (combination.stock > threshold) {
+        const restocked = unresolved.filter((alert) => String(alert.combination_id) === String(combination.id));
+        for (const alert of restocked) {
+          await alert.update({ status: "resolved", resolved_at: new Date() }, { transaction });
+        }
+        continue;
+      }
+
+      if (alerted.has(String(combination.id))) continue;
+
+      const alert = await LowStockAlert.create(
+        {
+          vendor_id: combination.product.vendor_id,
+          product_id: combination.product_id,
+          combination_id: combination.id,
+          threshold,
+          stock: combination.stock,
+          status: "open",
+        },
+        { transaction }
+      );
+      alert.combination = combination;
+      raised.push(alert);
+    }
+
+    if (raised.length > 0) {
+      if (transaction) {
+        transaction.afterCommit(() => this.notify(raised));
+      } else {
+        await this.notify(raised);
+      }
+    }
+
+    return raised;
+  }
+
+  /**
+   * Notify and email each vendor about their new alerts, logging failures
+   * @param {Array<LowStockAlert>} alerts - Alerts, with their combination and its product
+   * @returns {Promise<void>}
+   */
+  static async notify(alerts) {
+    for (const [vendorId, vendorAlerts] of this.groupByVendor(alerts)) {
+      try {
+        const vendor = await this.findVendor(vendorId);
+        if (!vendor) continue;
+
+        const items = vendorAlerts.map((alert) => this.formatItem(alert, alert.combination));
+        const names = items.map((item) => `${item.product_name} (${item.combination_name})`);
+
+        await Notification.create({
+          user_id: vendor.user_id,
+          type: "low_stock",
+          message: `Low stock: ${names.join(", ")}`,
+          is_read: false,
+          created_at: new Date(),
+        });
+
+        if (vendor.User?.email) {
+          await emailService.sendLowStockAlert(vendor.User.email, {
+            name: vendor.User.first_name,
+            storeName: vendor.store?.business_name,
+            items,
+          });
+        }
+      } catch (error) {
+        logger.error(`Failed to send low stock alert to vendor ${vendorId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Email every vendor the alerts they have not acknowledged yet. Alerts of combinations that
+   * were restocked since are resolved first.
+   * @returns {Promise<Object>} { vendors, alerts, resolved, failed }
+   */
+  static async sendDigests() {
+    const alerts = await LowStockAlert.findAll({
+      where: { status: "open" },
+      include: [
+        {
+          model: VariantCombination,
+          as: "combination",
+          attributes: ["id", "product_id", "combination_name", "stock", "reorder_threshold"],
+          include: [
+            {
+              model: Product,
+              as: "product",
+              attributes: ["id", "name", "sku", "vendor_id", "reorder_threshold"],
+            },
+          ],
+        },
+      ],
+      order: [["created_at", "ASC"]],
+    });
+
+    const result = { vendors: 0, alerts: 0, resolved: 0, failed: 0 };
+    const stillLow = [];
+    for (const alert of alerts) {
+      if (alert.combination && alert.combination.stock > this.thresholdFor(alert.combination)) {
+        await alert.update({ status: "resolved", resolved_at: new Date() });
+        result.resolved += 1;
+      } else if (alert.combination) {
+        stillLow.push(alert);
+      }
+    }
+
+    for (const [vendorId, vendorAlerts] of this.groupByVendor(stillLow)) {
+      try {
+        const vendor = await this.findVendor(vendorId);
+        if (!vendor?.User?.email) continue;
+
+        await emailService.sendLowStockDigest(vendor.User.email, {
+          name: vendor.User.first_name,
+          storeName: vendor.store?.business_name,
+          items: vendorAlerts.map((alert) => this.formatItem(alert, alert.combination)),
+        });
+        result.vendors += 1;
+        result.alerts += vendorAlerts.length;
+      } catch (error) {
+        result.failed += 1;
+        logger.error(`Failed to send low stock digest to vendor ${vendorId}:`, error);
+      }
+    }
+
+    logger.info(
+      `Low stock digest: ${result.alerts} alert(s) sent to ${result.vendors} vendor(s), ${result.resolved} resolved, ${result.failed} failed`
+    );
+
+    return result;
+  }
+
+  /**
+   * List low stock alerts
+   * @param {Object} [filters] - Filters
+   * @param {number} [filters.vendorId] - Only this vendor's alerts
+   * @param {string} [filters.status] - open, acknowledged or resolved
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @returns {Promise<Object>} Alerts and pagination metadata
+   */
+  static async list({ vendorId, status, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (vendorId) where.vendor_id = vendorId;
+    if (status) where.status = status;
+
+    const { count, rows } = await LowStockAlert.findAndCountAll({
+      where,
+      include: [
+        { model: Product, as: "product", attributes: ["id", "name", "sku", "vendor_id"] },
+        {
+          model: VariantCombination,
+          as: "combination",
+          attributes: ["id", "combination_name", "sku_suffix", "stock", "reorder_threshold"],
+        },
+        { model: User, as: "acknowledgedBy", attributes: ["id", "first_name", "last_name"] },
+      ],
+      order: [["created_at", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      alerts: rows,
+      pagination: {
+        total: count,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Acknowledge an alert, so it is left out of the daily digest
+   * @param {number} alertId - Alert ID
+   * @param {Object} actor - Who acknowledges it
+   * @param {number} actor.userId - User ID
+   * @param {number} [actor.vendorId] - Vendor ID; vendors can only acknowledge their own alerts
+   * @returns {Promise<LowStockAlert>} Alert
+   * @throws {AppError} 404 - When the alert does not exist or belongs to another vendor
+   * @throws {AppError} 400 - When the alert is already resolved
+   */
+  static async acknowledge(alertId, { userId, vendorId } = {}) {
+    const alert = await LowStockAlert.findByPk(alertId);
+    if (!alert || (vendorId && String(alert.vendor_id) !== String(vendorId))) {
+      throw new AppError("Low stock alert not found", 404);
+    }
+    if (alert.status === "resolved") {
+      throw new AppError("This alert is already resolved", 400);
+    }
+    if (alert.status === "acknowledged") {
+      return alert;
+    }
+
+    return alert.update({ status: "acknowledged", acknowledged_at: new Date(), acknowledged_by: userId });
+  }
+
+  /**
+   * Set the reorder threshold of a vendor's product, or of one of its combinations, and raise or
+   * resolve alerts for the new threshold
+   * @param {Object} data - Threshold data
+   * @param {number} data.vendorId - Vendor ID
+   * @param {number} data.productId - Product ID
+   * @param {number} [data.combinationId] - Combination ID (sets the product threshold when omitted)
+   * @param {number|null} data.threshold - Threshold, or null to fall back to the product or default
+   * @returns {Promise<Object>} Thresholds of the product and its combinations
+   * @throws {AppError} 404 - When the product is not the vendor's or the combination is not the product's
+   */
+  static async setThreshold({ vendorId, productId, combinationId, threshold }) {
+    const product = await Product.findOne({ where: { id: productId, vendor_id: vendorId } });
+    if (!product) {
+      throw new AppError("Product not found or access denied", 404);
+    }
+
+    const combinations = await VariantCombination.findAll({
+      where: { product_id: product.id },
+      attributes: ["id", "combination_name", "stock", "reorder_threshold"],
+      order: [["combination_name", "ASC"]],
+    });
+
+    if (combinationId) {
+      const combination = combinations.find((item) => String(item.id) === String(combinationId));
+      if (!combination) {
+        throw new AppError("Variant combination not found for this product", 404);
+      }
+      await combination.update({ reorder_threshold: threshold });
+    } else {
+      await product.update({ reorder_threshold: threshold });
+    }
+
+    await this.check(combinations.map((combination) => combination.id));
+
+    return {
+      product_id: product.id,
+      reorder_threshold: product.reorder_threshold,
+      combinations: combinations.map((combination) => ({
+        combination_id: combination.id,
+        combination_name: combination.combination_name,
+        stock: combination.stock,
+        reorder_threshold: combination.reorder_threshold,
+        effective_threshold: this.thresholdFor(combination, product),
+      })),
+    };
+  }
+
+  /**
+   * Group alerts by vendor, leaving out products without a vendor
+   * @private
+   */
+  static groupByVendor(alerts) {
+    return alerts.reduce((byVendor, alert) => {
+      if (!alert.vendor_id) return byVendor;
+      const key = String(alert.vendor_id);
+      if (!byVendor.has(key)) byVendor.set(key, []);
+      byVendor.get(key).push(alert);
+      return byVendor;
+    }, new Map());
+  }
+
+  /**
+   * Vendor with its user and store, for notifications
+   * @private
+   */
+  static async findVendor(vendorId) {
+    return Vendor.findByPk(vendorId, {
+      attributes: ["id", "user_id"],
+      include: [
+        { model: User, attributes: ["id", "email", "first_name"] },
+        { model: Store, as: "store", attributes: ["id", "business_name"] },
+      ],
+    });
+  }
+
+  /**
+   * Alert details shown in notifications and emails
+   * @private
+   */
+  static formatItem(alert, combination) {
+    return {
+      alert_id: alert.id,
+      product_id: alert.product_id,
+      product_name: combination.product?.name,
+      sku: combination.product?.sku,
+      combination_id: combination.id,
+      combination_name: combination.combination_name,
+      stock: combination.stock,
+      threshold: this.thresholdFor(combination),
+    };
+  }
+}
+
+module.exports = LowStockService;
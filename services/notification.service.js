@@ -0,0 +1,231 @@
+const { Notification, NotificationItem, sequelize } = require("../models");
+const AppError = require("../utils/appError");
+
+/**
+ * Notification Service
+ * Centralizes reads and writes of in-app notifications so controllers that raise
+ * notifications and the inbox API share the same rules.
+ */
+class NotificationService {
+  /**
+   * Notification types supported by the notifications table
+   * @returns {string[]} Allowed values of Notification.type
+   */
+  static getTypes() {
+    return Notification.getAttributes().type.values;
+  }
+
+  /**
+   * Create a notification with optional item details
+   * @param {Object} data - Notification data
+   * @param {number} data.userId - Recipient user ID
+   * @param {string} data.type - Notification type (must be one of getTypes())
+   * @param {string} data.message - Message shown to the user
+   * @param {Array<Object>} [data.items=[]] - Item details, stored as JSON in notification_items
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Notification>} Created notification
+   */
+  static async create({ userId, type, message, items = [] }, { transaction } = {}) {
+    const notification = await Notification.create(
+      {
+        user_id: userId,
+        type,
+        message,
+        is_read: false,
+        created_at: new Date(),
+      },
+      { transaction }
+    );
+
+    if (items.length > 0) {
+      await NotificationItem.bulkCreate(
+        items.map((item) => ({
+          notification_id: notification.id,
+          item_details: JSON.stringify(item),
+          created_at: new Date(),
+        })),
+        { transaction }
+      );
+    }
+
+    return notification;
+  }
+
+  /**
+   * Get a paginated list of a user's notifications, newest first
+   * @param {number} userId - User ID
+   * @param {Object} [filters] - Listing filters
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @param {string} [filters.type] - Only return notifications of this type
+   * @param {boolean} [filters.isRead] - Only return read (true) or unread (false) notifications
+   * @returns {Promise<Object>} Notifications and pagination metadata
+   */
+  static async listForUser(userId, { page = 1, limit = 20, type, isRead } = {}) {
+    const where = { user_id: userId };
+    if (type) where.type = type;
+    if (isRead !== undefined) where.is_read = isRead;
+
+    const { count, rows } = await Notification.findAndCountAll({
+      where,
+      include: [
+        {
+          model: NotificationItem,
+          as: "items",
+          attributes: ["id", "item_details", "created_at"],
+          required: false,
+        },
+      ],
+      order: [
+        ["created_at", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true,
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      notifications: rows.map((notification) => this.format(notification)),
+      pagination: {
+        total: count,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Count a user's unread notifications, in total and per type
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { total, by_type }
+   */
+  static async getUnreadCount(userId) {
+    const rows = await Notification.findAll({
+      where: { user_id: userId, is_read: false },
+      attributes: ["type", [sequelize.fn("COUNT", sequelize.col("id")), "count"]],
+      group: ["type"],
+      raw: true,
+    });
+
+    const byType = {};
+    let total = 0;
+    rows.forEach((row) => {
+      const count = parseInt(row.count, 10);
+      byType[row.type] = count;
+      total += count;
+    });
+
+    return { total, by_type: byType };
+  }
+
+  /**
+   * Find a notification owned by the user
+   * @param {number} userId - User ID
+   * @param {number} notificationId - Notification ID
+   * @returns {Promise<Notification>} Notification
+   * @throws {AppError} 404 - When the notification does not exist or belongs to someone else
+   */
+  static async findOwned(userId, notificationId) {
+    const notification = await Notification.findOne({
+      where: { id: notificationId, user_id: userId },
+      include: [
+        {
+          model: NotificationItem,
+          as: "items",
+          attributes: ["id", "item_details", "created_at"],
+          required: false,
+        },
+      ],
+    });
+
+    if (!notification) {
+      throw new AppError("Notification not found", 404);
+    }
+
+    return notification;
+  }
+
+  /**
+   * Mark a single notification as read
+   * @param {number} userId - User ID
+   * @param {number} notificationId - Notification ID
+   * @returns {Promise<Object>} Formatted notification
+   */
+  static async markAsRead(userId, notificationId) {
+    const notification = await this.findOwned(userId, notificationId);
+
+    if (!notification.is_read) {
+      await notification.update({ is_read: true });
+    }
+
+    return this.format(notification);
+  }
+
+  /**
+   * Mark all of a user's unread notifications as read
+   * @param {number} userId - User ID
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.type] - Only mark notifications of this type
+   * @returns {Promise<number>} Number of notifications updated
+   */
+  static async markAllAsRead(userId, { type } = {}) {
+    const where = { user_id: userId, is_read: false };
+    if (type) where.type = type;
+
+    const [updated] = await Notification.update({ is_read: true }, { where });
+    return updated;
+  }
+
+  /**
+   * Delete a notification and its items
+   * @param {number} userId - User ID
+   * @param {number} notificationId - Notification ID
+   * @returns {Promise<void>}
+   */
+  static async remove(userId, notificationId) {
+    const notification = await this.findOwned(userId, notificationId);
+
+    await sequelize.transaction(async (transaction) => {
+      await NotificationItem.destroy({
+        where: { notification_id: notification.id },
+        transaction,
+      });
+      await notification.destroy({ transaction });
+    });
+  }
+
+  /**
+   * Convert a notification instance into the API shape, parsing item details
+   * @param {Notification} notification - Notification instance
+   * @returns {Object} Plain notification object
+   */
+  static format(notification) {
+    const data = notification.get({ plain: true });
+
+    return {
+      id: data.id,
+      type: data.type,
+      message: data.message,
+      is_read: Boolean(data.is_read),
+      created_at: data.created_at,
+      items: (data.items || []).map((item) => {
+        let details = item.item_details;
+        try {
+          details = JSON.parse(item.item_details);
+        } catch (error) {
+          // Older rows may hold plain text; return as-is
+        }
+        return { id: item.id, details, created_at: item.created_at };
+      }),
+    };
+  }
+}
+
+module.exports = NotificationService;
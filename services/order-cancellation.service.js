@@ -0,0 +1,82 @@
+const { Product } = require("../models");
+const StockReservationService = require("./stock-reservation.service");
+const CouponService = require("./coupon.service");
+const RefundService = require("./refund.service");
+const logger = require("../utils/logger");
+
+/**
+ * Order Cancellation Service
+ * Gives back what a cancelled order took: variant combination stock (held or sold), the
+ * products' sold units and the coupon used on the order. Shared by customer cancellations,
+ * staff status updates and the unpaid order sweeper so all of them restore stock the same way.
+ */
+class OrderCancellationService {
+  /**
+   * Restore the stock, sold units and coupon of a cancelled order
+   * @param {Order} order - Cancelled order, with its items
+   * @param {Object} options - Options
+   * @param {number} options.adjustedBy - User recorded on the inventory history
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  static async restore(order, { adjustedBy, transaction }) {
+    // Release held VariantCombination stock and restock sold items with history tracking.
+    // Stock lives on combinations only; product variants no longer carry any.
+    await StockReservationService.restoreOrderStock(order, { adjustedBy, transaction });
+
+    for (const item of order.items) {
+      // The products were not actually sold
+      await Product.decrement("sold_units", {
+        by: item.quantity,
+        where: { id: item.product_id },
+        transaction,
+      });
+    }
+
+    // Give back the coupon used on the order
+    await CouponService.releaseForOrder(order.id, { transaction });
+  }
+
+  /**
+   * Whether a payment should be applied to an order. Once an order has left "pending" without
+   * being paid (it was cancelled, usually), its stock and coupon were given back, so a payment
+   * is refunded instead. Payments confirmed again for a paid order are applied as before.
+   * @param {Order} order - Order being paid
+   * @returns {boolean} True when the payment should be applied to the order
+   */
+  static acceptsPayment(order) {
+    return order.order_status === "pending" || order.payment_status === "paid";
+  }
+
+  /**
+   * Refund a payment that arrived for an order that no longer takes one. The order is recorded
+   * as paid so the refund can be issued against the charge; its stock is not taken again.
+   * @param {Order} order - Order, locked in the same transaction
+   * @param {Object} options - Options
+   * @param {string} options.reference - Paystack charge reference
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<Refund>} Pending refund, to submit once the transaction commits
+   */
+  static async refundLatePayment(order, { reference, transaction }) {
+    logger.warn(`Order ${order.id} was paid (${reference}) while ${order.order_status}; refunding the payment`);
+
+    await order.update(
+      { payment_status: "paid", payment_reference: reference, paid_at: new Date() },
+      { transaction }
+    );
+
+    return RefundService.createRefund(
+      {
+        order,
+        reason:
+          order.order_status === "cancelled"
+            ? "Payment received after the order was cancelled"
+            : `Payment received for a ${order.order_status} order`,
+        source: "cancellation",
+      },
+      { transaction }
+    );
+  }
+}
+
+module.exports = OrderCancellationService;
@@ -0,0 +1,292 @@
+const { Op } = require("sequelize");
+const {
+  Order,
+  OrderItem,
+  OrderExpiration,
+  PaymentTransaction,
+  Notification,
+  User,
+  sequelize,
+} = require("../models");
+const paymentService = require("./payment.service");
+const StockReservationService = require("./stock-reservation.service");
+const OrderCancellationService = require("./order-cancellation.service");
+const emailService = require("./email.service");
+const logger = require("../utils/logger");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Unpaid order expiry settings, read from the environment
+ * @private
+ */
+const settings = () => ({
+  // Hours an order may wait for payment before it is checked and cancelled
+  expireAfterHours: parseInt(process.env.UNPAID_ORDER_EXPIRY_HOURS || "24", 10),
+  // Orders checked per run
+  batchSize: parseInt(process.env.UNPAID_ORDER_BATCH_SIZE || "50", 10),
+});
+
+// Paystack transaction statuses that will not turn into a payment
+const UNPAID_STATUSES = ["failed", "abandoned", "reversed"];
+
+const CANCELLATION_REASON = "Payment was not received in time";
+
+/**
+ * Order Expiry Service
+ * Sweeps orders that have been waiting for payment for too long. Each one is verified with
+ * Paystack first: an order the gateway reports as paid is marked paid (its webhook was missed),
+ * one still in progress at the gateway is left for the next run, and the rest are cancelled with
+ * their payment marked failed. Cancelled orders give back their stock the same way a customer
+ * cancellation does, and the customer is emailed and notified.
+ *
+ * Cash on delivery orders are never swept. Every order the sweeper resolves is recorded as an
+ * order expiration for admins to review.
+ */
+class OrderExpiryService {
+  /**
+   * Verify and resolve every stale unpaid order
+   * @param {Object} [options] - Options
+   * @param {Date} [options.now] - Reference time (defaults to now)
+   * @returns {Promise<Object>} { found, cancelled, paid, skipped, failed }
+   */
+  static async run({ now = new Date() } = {}) {
+    const orders = await this.findStale({ now });
+    const result = { found: orders.length, cancelled: 0, paid: 0, skipped: 0, failed: 0 };
+
+    for (const order of orders) {
+      try {
+        const outcome = await this.resolve(order);
+        result[outcome] += 1;
+        if (outcome !== "skipped") {
+          logger.info(`Unpaid order ${order.id} ${outcome === "paid" ? "was paid after all" : "cancelled"}`);
+        }
+      } catch (error) {
+        result.failed += 1;
+        logger.error(`Failed to resolve unpaid order ${order.id}:`, error);
+      }
+    }
+
+    logger.info(
+      `Unpaid orders: ${result.found} found, ${result.cancelled} cancelled, ${result.paid} paid, ${result.skipped} still pending at the gateway, ${result.failed} failed`
+    );
+
+    return result;
+  }
+
+  /**
+   * Find orders still waiting for payment after the expiry period
+   * @param {Object} [options] - Options
+   * @param {Date} [options.now] - Reference time (defaults to now)
+   * @returns {Promise<Array<Order>>} Stale orders, oldest first
+   */
+  static async findStale({ now = new Date() } = {}) {
+    const { expireAfterHours, batchSize } = settings();
+
+    return Order.findAll({
+      where: {
+        payment_status: "pending",
+        order_status: "pending",
+        payment_method: { [Op.or]: [{ [Op.ne]: "cash_on_delivery" }, { [Op.is]: null }] },
+        created_at: { [Op.lte]: new Date(now.getTime() - expireAfterHours * HOUR) },
+      },
+      order: [["created_at", "ASC"]],
+      limit: batchSize,
+    });
+  }
+
+  /**
+   * Verify a stale order with Paystack and mark it paid or cancel it
+   * @param {Order} order - Stale order
+   * @returns {Promise<string>} "paid", "cancelled" or "skipped" (still in progress at the gateway,
+   * or no longer unpaid)
+   */
+  static async resolve(order) {
+    let gatewayStatus = null;
+
+    if (order.payment_reference) {
+      const verification = await paymentService.verifyPayment(order.payment_reference);
+      gatewayStatus = verification.data?.status || null;
+
+      if (gatewayStatus === "success") {
+        return this.markPaid(order.id, verification.data);
+      }
+      if (!UNPAID_STATUSES.includes(gatewayStatus)) {
+        return "skipped";
+      }
+    }
+
+    return this.cancel(order.id, gatewayStatus);
+  }
+
+  /**
+   * Cancel an unpaid order, give back its stock and tell the customer
+   * @param {number} orderId - Order ID
+   * @param {string|null} gatewayStatus - Status Paystack reported for the payment
+   * @returns {Promise<string>} "cancelled", or "skipped" when the order is no longer unpaid
+   */
+  static async cancel(orderId, gatewayStatus) {
+    return sequelize.transaction(async (transaction) => {
+      const order = await this.lockUnpaid(orderId, transaction);
+      if (!order) return "skipped";
+
+      await order.update({ order_status: "cancelled", payment_status: "failed" }, { transaction });
+      await PaymentTransaction.update(
+        { status: "failed" },
+        { where: { order_id: order.id, status: "pending" }, transaction }
+      );
+
+      await OrderCancellationService.restore(order, { adjustedBy: order.user_id, transaction });
+
+      await OrderExpiration.create(
+        { order_id: order.id, outcome: "cancelled", gateway_status: gatewayStatus, amount: order.total_amount },
+        { transaction }
+      );
+
+      await Notification.create(
+        {
+          user_id: order.user_id,
+          type: "order_cancelled",
+          message: `Order #${order.id} was cancelled because payment was not received`,
+          is_read: false,
+          created_at: new Date(),
+        },
+        { transaction }
+      );
+
+      transaction.afterCommit(() =>
+        emailService
+          .sendOrderCancelled(order, order.user_id, CANCELLATION_REASON)
+          .catch((error) => logger.error(`Failed to queue cancellation email for order ${order.id}:`, error))
+      );
+
+      return "cancelled";
+    });
+  }
+
+  /**
+   * Mark an order paid that Paystack reports as paid, and tell the customer and vendors
+   * @param {number} orderId - Order ID
+   * @param {Object} payment - Verified Paystack transaction
+   * @returns {Promise<string>} "paid", or "skipped" when the order is no longer unpaid
+   */
+  static async markPaid(orderId, payment) {
+    return sequelize.transaction(async (transaction) => {
+      const order = await this.lockUnpaid(orderId, transaction);
+      if (!order) return "skipped";
+
+      await order.update(
+        { payment_status: "paid", paid_at: new Date(), order_status: "processing" },
+        { transaction }
+      );
+      await PaymentTransaction.update(
+        { status: "success" },
+        { where: { order_id: order.id, status: "pending" }, transaction }
+      );
+
+      await StockReservationService.convert(order, { transaction });
+
+      await OrderExpiration.create(
+        { order_id: order.id, outcome: "paid", gateway_status: payment.status, amount: order.total_amount },
+        { transaction }
+      );
+
+      await Notification.create(
+        {
+          user_id: order.user_id,
+          type: "order_received",
+          message: `Payment for order #${order.id} was successful`,
+          is_read: false,
+          created_at: new Date(),
+        },
+        { transaction }
+      );
+
+      transaction.afterCommit(() =>
+        Promise.all([
+          emailService.sendPaymentReceived(order, order.user_id, {
+            amount: order.total_amount,
+            paymentMethod: order.payment_method,
+            transactionDate: new Date(),
+            reference: payment.reference,
+          }),
+          emailService.notifyVendors(order.id),
+        ]).catch((error) => logger.error(`Failed to queue payment emails for order ${order.id}:`, error))
+      );
+
+      return "paid";
+    });
+  }
+
+  /**
+   * List orders resolved by the sweeper
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.outcome] - cancelled or paid
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @returns {Promise<Object>} Expirations, totals per outcome and pagination metadata
+   */
+  static async list({ outcome, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (outcome) where.outcome = outcome;
+
+    const [{ count, rows }, totals] = await Promise.all([
+      OrderExpiration.findAndCountAll({
+        where,
+        include: [
+          {
+            model: Order,
+            as: "order",
+            attributes: ["id", "order_number", "user_id", "total_amount", "payment_reference", "created_at"],
+            include: [{ model: User, as: "user", attributes: ["id", "first_name", "last_name", "email"] }],
+          },
+        ],
+        order: [["created_at", "DESC"]],
+        limit,
+        offset: (page - 1) * limit,
+      }),
+      OrderExpiration.findAll({
+        attributes: ["outcome", [sequelize.fn("COUNT", sequelize.col("id")), "count"]],
+        group: ["outcome"],
+        raw: true,
+      }),
+    ]);
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      expirations: rows,
+      totals: totals.reduce(
+        (byOutcome, row) => ({ ...byOutcome, [row.outcome]: parseInt(row.count, 10) }),
+        { cancelled: 0, paid: 0 }
+      ),
+      pagination: {
+        total: count,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Lock an order with its items, if it is still unpaid
+   * @private
+   */
+  static async lockUnpaid(orderId, transaction) {
+    const order = await Order.findByPk(orderId, {
+      include: [{ model: OrderItem, as: "items" }],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!order || order.payment_status !== "pending" || order.order_status !== "pending") {
+      return null;
+    }
+    return order;
+  }
+}
+
+module.exports = OrderExpiryService;
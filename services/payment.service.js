@@ -255,6 +255,38 @@ class PaymentService {
     }
   }
 
+  /**
+   * Create a transfer recipient for a bank account
+   * @param {Object} recipientData - Recipient details (type, name, account_number, bank_code)
+   * @returns {Promise<Object>} Created recipient, including recipient_code
+   */
+  async createTransferRecipient(recipientData) {
+    try {
+      const response = await this.paystack.post('/transferrecipient', {
+        type: 'nuban',
+        currency: 'NGN',
+        ...recipientData,
+      });
+      return response.data;
+    } catch (error) {
+      this._handleError('Failed to create transfer recipient', error);
+    }
+  }
+
+  /**
+   * List banks supported for transfers
+   * @param {Object} options - Query parameters
+   * @returns {Promise<Object>} List of banks with their codes
+   */
+  async listBanks(options = { country: 'nigeria' }) {
+    try {
+      const response = await this.paystack.get('/bank', { params: options });
+      return response.data;
+    } catch (error) {
+      this._handleError('Failed to list banks', error);
+    }
+  }
+
   // ======================
   // Plan & Subscription Methods
   // ======================
@@ -287,7 +319,11 @@ class PaymentService {
    */
   async createRefund(refundData) {
     try {
-      const response = await this.paystack.post('/refund', refundData);
+      const response = await this.paystack.post('/refund', {
+        ...refundData,
+        // Amount is optional; Paystack refunds the full charge when omitted
+        amount: refundData.amount !== undefined ? Math.round(refundData.amount * 100) : undefined, // Convert to kobo
+      });
       return response.data;
     } catch (error) {
       this._handleError('Refund creation failed', error);
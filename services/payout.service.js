@@ -0,0 +1,678 @@
+const { Op } = require("sequelize");
+const {
+  Payout,
+  Vendor,
+  Store,
+  User,
+  Order,
+  OrderItem,
+  Product,
+  PaymentTransaction,
+  Refund,
+  RefundItem,
+  ReturnRequest,
+  ReturnRequestItem,
+  sequelize,
+} = require("../models");
+const paymentService = require("./payment.service");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+/**
+ * Smallest amount (NGN) a vendor may withdraw in one payout request
+ */
+const MINIMUM_PAYOUT_AMOUNT = parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT || 1000);
+
+/**
+ * Return request statuses that keep an order item out of payouts until the return is resolved.
+ * Refunded returns are settled through their refund instead.
+ */
+const OPEN_RETURN_STATUSES = ["requested", "approved"];
+
+/**
+ * Payout Service
+ * Handles the vendor payout lifecycle: balance calculation from delivered order items,
+ * withdrawal requests, admin review, Paystack transfers and webhook reconciliation.
+ *
+ * Status flow: pending -> processing -> paid | failed, or pending -> rejected.
+ * Order items are linked to a payout through order_items.payout_id; rejected or failed
+ * payouts release their items back into the vendor's available balance. An item waiting on a
+ * pending refund or an open return stays out of payouts until that is resolved, so what a
+ * payout covers never changes after it is paid.
+ */
+class PayoutService {
+  /**
+   * Resolve the vendor profile for a user
+   * @param {number} userId - User ID of the vendor
+   * @returns {Promise<Vendor>} Vendor with store
+   * @throws {AppError} 404 - When the user has no vendor profile
+   */
+  static async getVendorForUser(userId) {
+    const vendor = await Vendor.findOne({
+      where: { user_id: userId },
+      include: [{ model: Store, as: "store" }],
+    });
+
+    if (!vendor) {
+      throw new AppError("Vendor not found", 404);
+    }
+
+    return vendor;
+  }
+
+  /**
+   * Find a vendor's order items that are delivered, paid and not yet attached to a payout.
+   * Items with a pending refund or an open return request are left out until it is resolved.
+   * Units refunded in full are netted out: items refunded entirely are left out, and the rest
+   * come back with their refunded quantities so the payout only covers the units the customer kept.
+   * @param {number} vendorId - Vendor ID
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction (rows are locked for update)
+   * @returns {Promise<Object>} { items, refundedQuantities } with refunded quantities keyed by order item ID
+   */
+  static async findEligibleItems(vendorId, { transaction } = {}) {
+    return this.findPayableItems({ vendor_id: vendorId, payout_id: null }, { transaction });
+  }
+
+  /**
+   * Order items that can be paid out, with their refunded quantities (see findEligibleItems)
+   * @private
+   */
+  static async findPayableItems(where, { transaction } = {}) {
+    const items = await OrderItem.findAll({
+      where,
+      include: [
+        {
+          model: Order,
+          as: "order",
+          where: { payment_status: "paid", order_status: "delivered" },
+          attributes: ["id", "order_number", "order_status"],
+          required: true,
+        },
+      ],
+      attributes: [
+        "id",
+        "order_id",
+        "product_id",
+        "quantity",
+        "sub_total",
+        "discount_amount",
+        "tax_amount",
+        "tax_inclusive",
+      ],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    });
+
+    const { refundedQuantities, unresolved } = await this.getWithholdings(
+      items.map((item) => item.id),
+      { transaction }
+    );
+
+    return {
+      items: items.filter(
+        (item) => !unresolved.has(String(item.id)) && (refundedQuantities[item.id] || 0) < item.quantity
+      ),
+      refundedQuantities,
+    };
+  }
+
+  /**
+   * Refunds and returns of order items: quantities refunded for good, and the IDs of items with
+   * a pending refund or an open return. Failed refunds and rejected or cancelled returns count
+   * for nothing.
+   * @private
+   */
+  static async getWithholdings(orderItemIds, { transaction } = {}) {
+    const refundedQuantities = {};
+    const unresolved = new Set();
+    if (orderItemIds.length === 0) {
+      return { refundedQuantities, unresolved };
+    }
+
+    const refundItems = await RefundItem.findAll({
+      attributes: ["order_item_id", "quantity"],
+      where: { order_item_id: orderItemIds },
+      include: [{ model: Refund, as: "refund", attributes: ["status"] }],
+      transaction,
+    });
+    for (const item of refundItems) {
+      if (item.refund.status === "processed") {
+        refundedQuantities[item.order_item_id] = (refundedQuantities[item.order_item_id] || 0) + item.quantity;
+      } else if (item.refund.status === "pending") {
+        unresolved.add(String(item.order_item_id));
+      }
+    }
+
+    const returnItems = await ReturnRequestItem.findAll({
+      attributes: ["order_item_id"],
+      where: { order_item_id: orderItemIds },
+      include: [{ model: ReturnRequest, as: "returnRequest", attributes: ["status"] }],
+      transaction,
+    });
+    for (const item of returnItems) {
+      if (OPEN_RETURN_STATUSES.includes(item.returnRequest.status)) {
+        unresolved.add(String(item.order_item_id));
+      }
+    }
+
+    return { refundedQuantities, unresolved };
+  }
+
+  /**
+   * Summarise a vendor's earnings position
+   * @param {number} vendorId - Vendor ID
+   * @returns {Promise<Object>} Available, in-flight and paid-out totals
+   */
+  static async getBalance(vendorId) {
+    const { items, refundedQuantities } = await this.findEligibleItems(vendorId);
+
+    const [inProgress, paidOut] = await Promise.all([
+      Payout.sum("amount", {
+        where: { vendor_id: vendorId, status: { [Op.in]: ["pending", "processing"] } },
+      }),
+      Payout.sum("amount", {
+        where: { vendor_id: vendorId, status: "paid" },
+      }),
+    ]);
+
+    return {
+      available_balance: this.sumItems(items, refundedQuantities),
+      eligible_items: items.length,
+      pending_payouts: parseFloat(inProgress || 0),
+      total_paid_out: parseFloat(paidOut || 0),
+      minimum_payout: MINIMUM_PAYOUT_AMOUNT,
+      currency: "NGN",
+    };
+  }
+
+  /**
+   * Create a withdrawal request covering all of the vendor's eligible order items
+   * @param {number} userId - User ID of the requesting vendor
+   * @param {Object} [data] - Request data
+   * @param {string} [data.note] - Note from the vendor to the reviewer
+   * @returns {Promise<Object>} Formatted payout
+   * @throws {AppError} 400 - When bank details are missing or the balance is below the minimum
+   */
+  static async requestPayout(userId, { note } = {}) {
+    const vendor = await this.getVendorForUser(userId);
+
+    if (vendor.status !== "approved") {
+      throw new AppError("Only approved vendors can request payouts", 403);
+    }
+
+    this.assertBankDetails(vendor.store);
+
+    const payoutId = await sequelize.transaction(async (transaction) => {
+      const { items, refundedQuantities } = await this.findEligibleItems(vendor.id, { transaction });
+      const amount = this.sumItems(items, refundedQuantities);
+
+      if (items.length === 0 || amount < MINIMUM_PAYOUT_AMOUNT) {
+        throw new AppError(
+          `Available balance must be at least ${MINIMUM_PAYOUT_AMOUNT.toFixed(2)} to request a payout`,
+          400
+        );
+      }
+
+      const requestedAt = new Date();
+      const payout = await Payout.create(
+        {
+          vendor_id: vendor.id,
+          amount,
+          status: "pending",
+          note: note || null,
+          created_at: requestedAt,
+          updated_at: requestedAt,
+        },
+        { transaction }
+      );
+
+      await OrderItem.update(
+        { payout_id: payout.id },
+        { where: { id: items.map((item) => item.id) }, transaction }
+      );
+
+      return payout.id;
+    });
+
+    return this.format(await this.findById(payoutId));
+  }
+
+  /**
+   * List payouts with optional filters
+   * @param {Object} [filters] - Listing filters
+   * @param {number} [filters.vendorId] - Restrict to one vendor
+   * @param {string} [filters.status] - Payout status
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @returns {Promise<Object>} Payouts and pagination metadata
+   */
+  static async list({ vendorId, status, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (vendorId) where.vendor_id = vendorId;
+    if (status) where.status = status;
+
+    const { count, rows } = await Payout.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Vendor,
+          attributes: ["id", "user_id"],
+          include: [{ model: Store, as: "store", attributes: ["id", "business_name"] }],
+        },
+      ],
+      order: [["created_at", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      payouts: rows.map((payout) => this.format(payout)),
+      pagination: {
+        total: count,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Find a payout with its vendor, store and settled order items
+   * @param {number} payoutId - Payout ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.vendorId] - Only match payouts belonging to this vendor
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Payout>} Payout
+   * @throws {AppError} 404 - When the payout does not exist
+   */
+  static async findById(payoutId, { vendorId, transaction } = {}) {
+    const where = { id: payoutId };
+    if (vendorId) where.vendor_id = vendorId;
+
+    const payout = await Payout.findOne({
+      where,
+      include: [
+        {
+          model: Vendor,
+          attributes: ["id", "user_id"],
+          include: [{ model: Store, as: "store" }],
+        },
+        {
+          model: OrderItem,
+          as: "items",
+          attributes: [
+        "id",
+        "order_id",
+        "product_id",
+        "quantity",
+        "sub_total",
+        "discount_amount",
+        "tax_amount",
+        "tax_inclusive",
+      ],
+          include: [{ model: Product, as: "product", attributes: ["id", "name"] }],
+        },
+        {
+          model: User,
+          as: "reviewer",
+          attributes: ["id", "first_name", "last_name"],
+        },
+      ],
+      transaction,
+    });
+
+    if (!payout) {
+      throw new AppError("Payout not found", 404);
+    }
+
+    return payout;
+  }
+
+  /**
+   * Approve a pending payout and send the money through a Paystack transfer
+   * @param {number} payoutId - Payout ID
+   * @param {number} adminId - ID of the reviewing admin
+   * @returns {Promise<Object>} Formatted payout
+   * @throws {AppError} 400 - When the payout is not pending or the transfer cannot be initiated
+   */
+  static async approvePayout(payoutId, adminId) {
+    const payout = await this.findById(payoutId);
+    const store = payout.Vendor.store;
+    this.assertBankDetails(store);
+
+    const reference = `stylay_payout_${payout.id}_${Date.now()}`;
+
+    await sequelize.transaction(async (transaction) => {
+      // Re-read under lock so two reviewers cannot send the same payout twice
+      const locked = await Payout.findByPk(payout.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+
+      if (locked.status !== "pending") {
+        throw new AppError(`Only pending payouts can be approved (current status: ${locked.status})`, 400);
+      }
+
+      // Refunds and returns opened since the request keep their items out of this payout
+      const { items, refundedQuantities } = await this.findPayableItems({ payout_id: locked.id }, { transaction });
+      if (items.length === 0) {
+        throw new AppError("None of this payout's order items can be paid any more. Reject it to release them", 400);
+      }
+
+      await OrderItem.update(
+        { payout_id: null },
+        { where: { payout_id: locked.id, id: { [Op.notIn]: items.map((item) => item.id) } }, transaction }
+      );
+
+      const amount = this.sumItems(items, refundedQuantities);
+      const reviewedAt = new Date();
+      await locked.update(
+        {
+          amount,
+          status: "processing",
+          reference,
+          reviewed_by: adminId,
+          reviewed_at: reviewedAt,
+          updated_at: reviewedAt,
+        },
+        { transaction }
+      );
+
+      await PaymentTransaction.create(
+        {
+          user_id: payout.Vendor.user_id,
+          type: "payout",
+          amount,
+          status: "pending",
+          transaction_id: reference,
+          description: `Payout #${payout.id} to ${store.business_name}`,
+        },
+        { transaction }
+      );
+    });
+
+    await payout.reload();
+
+    try {
+      const bankCode = await this.resolveBankCode(store.bank_name);
+      const recipient = await paymentService.createTransferRecipient({
+        name: store.bank_account_name,
+        account_number: store.bank_account_number,
+        bank_code: bankCode,
+      });
+
+      const transfer = await paymentService.initiateTransfer({
+        source: "balance",
+        amount: parseFloat(payout.amount),
+        recipient: recipient.data.recipient_code,
+        reference,
+        reason: `Stylay payout #${payout.id}`,
+      });
+
+      await payout.update({
+        recipient_code: recipient.data.recipient_code,
+        transfer_code: transfer.data.transfer_code,
+        updated_at: new Date(),
+      });
+    } catch (error) {
+      logger.error(`Transfer initiation failed for payout ${payout.id}:`, error);
+
+      await sequelize.transaction((transaction) =>
+        this.markFailed(payout, error.message, { transaction })
+      );
+
+      throw error instanceof AppError
+        ? error
+        : new AppError("Transfer initiation failed", 400);
+    }
+
+    return this.format(await this.findById(payout.id));
+  }
+
+  /**
+   * Reject a pending payout and release its order items back into the available balance
+   * @param {number} payoutId - Payout ID
+   * @param {number} adminId - ID of the reviewing admin
+   * @param {string} reason - Reason shown to the vendor
+   * @returns {Promise<Object>} Formatted payout
+   * @throws {AppError} 400 - When the payout is not pending
+   */
+  static async rejectPayout(payoutId, adminId, reason) {
+    await sequelize.transaction(async (transaction) => {
+      const payout = await Payout.findByPk(payoutId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+
+      if (!payout) {
+        throw new AppError("Payout not found", 404);
+      }
+
+      if (payout.status !== "pending") {
+        throw new AppError(`Only pending payouts can be rejected (current status: ${payout.status})`, 400);
+      }
+
+      const reviewedAt = new Date();
+      await payout.update(
+        {
+          status: "rejected",
+          rejection_reason: reason,
+          reviewed_by: adminId,
+          reviewed_at: reviewedAt,
+          updated_at: reviewedAt,
+        },
+        { transaction }
+      );
+
+      await this.releaseItems(payout.id, { transaction });
+    });
+
+    return this.format(await this.findById(payoutId));
+  }
+
+  /**
+   * Reconcile a transfer.success webhook
+   * @param {Object} data - Paystack transfer payload
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Payout|null>} Updated payout, or null if the reference is not a payout
+   */
+  static async handleTransferSuccess(data, { transaction } = {}) {
+    const payout = await this.findByReference(data.reference, { transaction });
+
+    if (!payout) {
+      logger.warn(`transfer.success received for unknown reference ${data.reference}`);
+      return null;
+    }
+
+    if (payout.status === "paid") {
+      return payout;
+    }
+
+    const paidAt = new Date();
+
+    await payout.update(
+      {
+        status: "paid",
+        payout_date: paidAt,
+        transfer_code: data.transfer_code || payout.transfer_code,
+        failure_reason: null,
+        updated_at: paidAt,
+      },
+      { transaction }
+    );
+
+    await PaymentTransaction.update(
+      { status: "completed" },
+      { where: { type: "payout", transaction_id: payout.reference }, transaction }
+    );
+
+    await Vendor.update(
+      { last_payment_date: paidAt },
+      { where: { id: payout.vendor_id }, transaction }
+    );
+
+    return payout;
+  }
+
+  /**
+   * Reconcile a transfer.failed or transfer.reversed webhook
+   * @param {Object} data - Paystack transfer payload
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Payout|null>} Updated payout, or null if the reference is not a payout
+   */
+  static async handleTransferFailure(data, { transaction } = {}) {
+    const payout = await this.findByReference(data.reference, { transaction });
+
+    if (!payout) {
+      logger.warn(`Transfer failure received for unknown reference ${data.reference}`);
+      return null;
+    }
+
+    if (["failed", "rejected"].includes(payout.status)) {
+      return payout;
+    }
+
+    const reason = data.reason || data.gateway_response || data.status || "Transfer failed";
+    await this.markFailed(payout, reason, { transaction });
+
+    return payout;
+  }
+
+  /**
+   * Mark a payout as failed, fail its ledger row and release its items
+   * @private
+   */
+  static async markFailed(payout, reason, { transaction } = {}) {
+    await payout.update(
+      { status: "failed", failure_reason: reason, updated_at: new Date() },
+      { transaction }
+    );
+
+    await PaymentTransaction.update(
+      { status: "failed" },
+      { where: { type: "payout", transaction_id: payout.reference }, transaction }
+    );
+
+    await this.releaseItems(payout.id, { transaction });
+  }
+
+  /**
+   * Detach order items from a payout so they count towards the available balance again
+   * @private
+   */
+  static async releaseItems(payoutId, { transaction } = {}) {
+    await OrderItem.update(
+      { payout_id: null },
+      { where: { payout_id: payoutId }, transaction }
+    );
+  }
+
+  /**
+   * Find a payout by its transfer reference
+   * @private
+   */
+  static async findByReference(reference, { transaction } = {}) {
+    if (!reference) return null;
+
+    return Payout.findOne({
+      where: { reference },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    });
+  }
+
+  /**
+   * Look up the Paystack bank code for a bank name stored on the vendor's store
+   * @param {string} bankName - Bank name as entered by the vendor
+   * @returns {Promise<string>} Paystack bank code
+   * @throws {AppError} 400 - When the bank is not supported
+   */
+  static async resolveBankCode(bankName) {
+    const response = await paymentService.listBanks();
+    const normalized = bankName.trim().toLowerCase();
+    const bank = (response.data || []).find(
+      (entry) => entry.name.toLowerCase() === normalized || entry.slug === normalized
+    );
+
+    if (!bank) {
+      throw new AppError(`Bank "${bankName}" is not supported for transfers`, 400);
+    }
+
+    return bank.code;
+  }
+
+  /**
+   * Ensure a store has the bank details needed for a transfer
+   * @private
+   */
+  static assertBankDetails(store) {
+    if (!store || !store.bank_account_number || !store.bank_account_name || !store.bank_name) {
+      throw new AppError("Store bank details are incomplete. Update your bank account before requesting a payout", 400);
+    }
+  }
+
+  /**
+   * Total the vendor's earnings on order items, rounded to kobo.
+   * Tax included in the price is remitted by the platform, so it is not paid out, and the
+   * coupon discount on an item comes out of the vendor's earnings on it. Refunded units are
+   * netted out at the same unit earnings.
+   * @private
+   */
+  static sumItems(items, refundedQuantities = {}) {
+    const total = items.reduce((sum, item) => {
+      const earnings =
+        parseFloat(item.sub_total || 0) -
+        parseFloat(item.discount_amount || 0) -
+        (item.tax_inclusive ? parseFloat(item.tax_amount || 0) : 0);
+      const kept = Math.max(item.quantity - (refundedQuantities[item.id] || 0), 0);
+
+      return sum + (kept < item.quantity ? (earnings * kept) / item.quantity : earnings);
+    }, 0);
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Convert a payout instance into the API shape
+   * @param {Payout} payout - Payout instance
+   * @returns {Object} Plain payout object
+   */
+  static format(payout) {
+    const data = payout.get({ plain: true });
+    const store = data.Vendor && data.Vendor.store;
+
+    return {
+      id: data.id,
+      vendor_id: data.vendor_id,
+      store_name: store ? store.business_name : undefined,
+      amount: parseFloat(data.amount),
+      status: data.status,
+      reference: data.reference,
+      transfer_code: data.transfer_code,
+      note: data.note,
+      rejection_reason: data.rejection_reason,
+      failure_reason: data.failure_reason,
+      reviewed_by: data.reviewer || data.reviewed_by,
+      reviewed_at: data.reviewed_at,
+      payout_date: data.payout_date,
+      created_at: data.created_at,
+      items: data.items
+        ? data.items.map((item) => ({
+            id: item.id,
+            order_id: item.order_id,
+            product: item.product ? item.product.name : null,
+            quantity: item.quantity,
+            sub_total: parseFloat(item.sub_total),
+          }))
+        : undefined,
+    };
+  }
+}
+
+module.exports = PayoutService;
@@ -490,6 +490,12 @@ class PermissionService {
       { resource: 'variants', action: 'update', description: 'Update variant stock, prices, and status', group: 'products_management' },
       { resource: 'variants', action: 'delete', description: 'Delete product variant types', group: 'products_management' },
 
+      // Shipping
+      { resource: 'shipping', action: 'create', description: 'Create shipping zones and rates', group: 'products_management' },
+      { resource: 'shipping', action: 'read', description: 'View shipping zones and rates', group: 'products_management' },
+      { resource: 'shipping', action: 'update', description: 'Update shipping zones and rates', group: 'products_management' },
+      { resource: 'shipping', action: 'delete', description: 'Delete shipping zones', group: 'products_management' },
+
       // ========================================
       // ORDERS AND PAYMENT GROUP
       // ========================================
@@ -511,6 +517,18 @@ class PermissionService {
       { resource: 'payouts', action: 'update', description: 'Update payout status', group: 'earnings_payment' },
       { resource: 'payouts', action: 'process', description: 'Process vendor payouts', group: 'earnings_payment' },
 
+      // Coupons
+      { resource: 'coupons', action: 'create', description: 'Create coupon codes', group: 'earnings_payment' },
+      { resource: 'coupons', action: 'read', description: 'View coupon codes', group: 'earnings_payment' },
+      { resource: 'coupons', action: 'update', description: 'Update coupon codes', group: 'earnings_payment' },
+      { resource: 'coupons', action: 'delete', description: 'Delete coupon codes', group: 'earnings_payment' },
+
+      // Tax
+      { resource: 'tax', action: 'create', description: 'Create tax rules', group: 'earnings_payment' },
+      { resource: 'tax', action: 'read', description: 'View tax rules', group: 'earnings_payment' },
+      { resource: 'tax', action: 'update', description: 'Update tax rules', group: 'earnings_payment' },
+      { resource: 'tax', action: 'delete', description: 'Delete tax rules', group: 'earnings_payment' },
+
       // Earnings/Analytics
       { resource: 'earnings', action: 'read', description: 'View earnings reports', group: 'earnings_payment' },
       { resource: 'earnings', action: 'export', description: 'Export earnings data', group: 'earnings_payment' },
@@ -0,0 +1,696 @@
+const {
+  ProductImport,
+  Product,
+  ProductVariant,
+  ProductImage,
+  VariantCombination,
+  Category,
+  sequelize,
+} = require("../models");
+const ProductService = require("./product.service");
+const VariantService = require("./variant.service");
+const QueueService = require("./queue.service");
+const SearchService = require("./search.service");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+const { parseCsv, toCsv } = require("../utils/csv");
+
+/**
+ * Product import settings, read from the environment
+ * @private
+ */
+const settings = () => ({
+  // Most products accepted in one file
+  maxRows: parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS || "1000", 10),
+  // Most image URLs per product
+  maxImages: parseInt(process.env.PRODUCT_IMPORT_MAX_IMAGES || "10", 10),
+});
+
+// Columns of a CSV import. variants looks like "Color:Red|Blue; Size:M|L", images like "url|url"
+const CSV_COLUMNS = [
+  "sku",
+  "name",
+  "description",
+  "price",
+  "discounted_price",
+  "weight",
+  "status",
+  "category_slug",
+  "variants",
+  "images",
+];
+
+const REPORT_COLUMNS = ["row", "sku", "name", "outcome", "product_id", "errors"];
+
+// How often progress is saved while an import runs
+const PROGRESS_EVERY = 25;
+
+/**
+ * Product Import Service
+ * Bulk creates and updates a vendor's products from a CSV or JSON file. The file is read and
+ * stored when it is uploaded, then imported by a product.import queue job, so large catalogs do
+ * not hold up the request.
+ *
+ * Products are matched by SKU among the vendor's products: a new SKU creates a product, a known
+ * one updates it, so importing the same file again changes nothing. Each product is imported in
+ * its own transaction and a row that fails validation or cannot be saved is reported without
+ * stopping the others. Fields left empty keep their current value on update. Variants, given as
+ * types and values, rebuild the product's variant combinations only when they differ from the
+ * current ones, and never while its combinations hold stock. Image URLs are stored as given
+ * and replace the product's images when they differ.
+ *
+ * A dry run validates every row and reports what would be created or updated without saving
+ * anything. Each import keeps its per-row results, downloadable as a CSV report.
+ */
+class ProductImportService {
+  /**
+   * Read an uploaded catalog and queue it for import
+   * @param {Object} options - Import options
+   * @param {number} options.vendorId - Vendor whose catalog is imported
+   * @param {number} options.userId - User uploading the file
+   * @param {string} options.format - "csv" or "json"
+   * @param {string|Array<Object>} options.content - File text, or already parsed JSON products
+   * @param {string} [options.filename] - Uploaded file name
+   * @param {boolean} [options.dryRun=false] - Validate and report without saving
+   * @returns {Promise<Object>} Queued import
+   * @throws {AppError} 400 - File is not a readable catalog
+   * @throws {AppError} 403 - Vendor is not approved
+   */
+  static async create({ vendorId, userId, format, content, filename = null, dryRun = false }) {
+    await ProductService.validateVendorApproval(vendorId, "import products");
+
+    const rows = this.read(format, content);
+
+    const productImport = await ProductImport.create({
+      vendor_id: vendorId,
+      user_id: userId,
+      filename,
+      format,
+      dry_run: dryRun,
+      status: "queued",
+      total_rows: rows.length,
+      rows,
+    });
+
+    await QueueService.enqueue("product.import", { importId: productImport.id }, { attempts: 3 });
+
+    return this.format(productImport);
+  }
+
+  /**
+   * Import every row of a queued import. Safe to run again: completed imports are left alone and
+   * rows already saved by an interrupted run come out unchanged.
+   * @param {number} importId - Import ID
+   * @returns {Promise<Object|null>} Import counts, or null when there was nothing to do
+   */
+  static async process(importId) {
+    const productImport = await ProductImport.findByPk(importId);
+    if (!productImport || productImport.status === "completed") {
+      return null;
+    }
+
+    await productImport.update({
+      status: "processing",
+      started_at: new Date(),
+      processed_rows: 0,
+      error: null,
+    });
+
+    try {
+      const rows = productImport.rows || [];
+      const categories = await this.findCategories(rows);
+      const seen = new Map();
+      const results = [];
+
+      for (const { row, data } of rows) {
+        const result = await this.importRow(productImport, { row, data }, { categories, seen });
+        results.push(result);
+
+        if (results.length % PROGRESS_EVERY === 0) {
+          await productImport.update({ processed_rows: results.length });
+        }
+      }
+
+      const count = (...outcomes) => results.filter((result) => outcomes.includes(result.outcome)).length;
+
+      await productImport.update({
+        status: "completed",
+        results,
+        processed_rows: results.length,
+        created_count: count("created", "will_create"),
+        updated_count: count("updated", "will_update"),
+        unchanged_count: count("unchanged"),
+        failed_count: count("failed"),
+        completed_at: new Date(),
+      });
+
+      logger.info(
+        `Product import ${productImport.id}${productImport.dry_run ? " (dry run)" : ""}: ${productImport.created_count} created, ${productImport.updated_count} updated, ${productImport.unchanged_count} unchanged, ${productImport.failed_count} failed`
+      );
+
+      return this.counts(productImport);
+    } catch (error) {
+      await productImport.update({ status: "failed", error: error.message, completed_at: new Date() });
+      throw error;
+    }
+  }
+
+  /**
+   * List a vendor's imports, most recent first
+   * @param {number} vendorId - Vendor ID
+   * @param {Object} [filters] - Filters
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @returns {Promise<Object>} Imports and pagination metadata
+   */
+  static async list(vendorId, { page = 1, limit = 20 } = {}) {
+    const { count, rows } = await ProductImport.findAndCountAll({
+      where: { vendor_id: vendorId },
+      attributes: { exclude: ["rows", "results"] },
+      order: [["created_at", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      imports: rows.map((productImport) => this.format(productImport)),
+      pagination: {
+        total: count,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Get one of a vendor's imports with its row results
+   * @param {number} vendorId - Vendor ID
+   * @param {number} importId - Import ID
+   * @returns {Promise<Object>} Import with results
+   * @throws {AppError} 404 - Import not found for this vendor
+   */
+  static async get(vendorId, importId) {
+    const productImport = await this.findForVendor(vendorId, importId);
+
+    return { ...this.format(productImport), results: productImport.results || [] };
+  }
+
+  /**
+   * Per-row results of a finished import as CSV
+   * @param {number} vendorId - Vendor ID
+   * @param {number} importId - Import ID
+   * @returns {Promise<Object>} { filename, content }
+   * @throws {AppError} 404 - Import not found for this vendor
+   * @throws {AppError} 400 - Import has not finished
+   */
+  static async report(vendorId, importId) {
+    const productImport = await this.findForVendor(vendorId, importId);
+    if (productImport.status !== "completed") {
+      throw new AppError(`Import is ${productImport.status}; the report is ready once it completes`, 400);
+    }
+
+    const rows = (productImport.results || []).map((result) => [
+      result.row,
+      result.sku,
+      result.name,
+      result.outcome,
+      result.product_id,
+      result.errors.join("; "),
+    ]);
+
+    return {
+      filename: `product-import-${productImport.id}-report.csv`,
+      content: toCsv(REPORT_COLUMNS, rows),
+    };
+  }
+
+  /**
+   * A CSV catalog with the import columns and an example row
+   * @returns {Object} { filename, content }
+   */
+  static template() {
+    return {
+      filename: "product-import-template.csv",
+      content: toCsv(CSV_COLUMNS, [
+        [
+          "LS-001",
+          "Linen Shirt",
+          "Breathable linen shirt",
+          "15000",
+          "12500",
+          "0.4",
+          "active",
+          "men-shirts",
+          "Color:White|Navy; Size:M|L|XL",
+          "https://example.com/images/linen-shirt-front.jpg|https://example.com/images/linen-shirt-back.jpg",
+        ],
+      ]),
+    };
+  }
+
+  /**
+   * Read the products of a CSV or JSON catalog, numbering each row as the vendor sees it (CSV
+   * line, or position in the JSON array)
+   * @private
+   */
+  static read(format, content) {
+    let rows;
+
+    if (format === "csv") {
+      let records;
+      try {
+        records = parseCsv(String(content || ""));
+      } catch (error) {
+        throw new AppError(`Could not read the CSV file: ${error.message}`, 400);
+      }
+
+      const header = (records[0] || []).map((name) => name.trim().toLowerCase());
+      if (!header.includes("sku")) {
+        throw new AppError("The CSV file needs a sku column", 400);
+      }
+
+      rows = records.slice(1).map((record, index) => ({
+        row: index + 2,
+        data: header.reduce((data, name, column) => {
+          if (name && record[column] !== undefined) data[name] = record[column];
+          return data;
+        }, {}),
+      }));
+    } else if (format === "json") {
+      let products = content;
+      if (typeof content === "string") {
+        try {
+          products = JSON.parse(content);
+        } catch (error) {
+          throw new AppError("The JSON file is not valid JSON", 400);
+        }
+      }
+      if (products && !Array.isArray(products)) products = products.products;
+      if (!Array.isArray(products)) {
+        throw new AppError("The JSON file must be an array of products, or an object with a products array", 400);
+      }
+
+      rows = products.map((data, index) => ({
+        row: index + 1,
+        data: data && typeof data === "object" && !Array.isArray(data) ? data : {},
+      }));
+    } else {
+      throw new AppError("Catalogs can be imported from CSV or JSON", 400);
+    }
+
+    if (rows.length === 0) {
+      throw new AppError("The file has no products to import", 400);
+    }
+
+    const { maxRows } = settings();
+    if (rows.length > maxRows) {
+      throw new AppError(`The file has more than ${maxRows} products`, 400);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Check a row's fields, returning the product values it sets and what is wrong with it
+   * @private
+   */
+  static normalize(data) {
+    const errors = [];
+    const text = (value) => (value === undefined || value === null ? "" : String(value).trim());
+    const number = (field, { min, max }) => {
+      const raw = text(data[field]);
+      if (raw === "") return undefined;
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < min || value > max) {
+        errors.push(`${field} must be a number between ${min} and ${max}`);
+        return undefined;
+      }
+      return value;
+    };
+
+    const values = {
+      sku: text(data.sku),
+      name: text(data.name),
+      description: text(data.description) || undefined,
+      price: number("price", { min: 0.01, max: 1000000 }),
+      discounted_price: number("discounted_price", { min: 0.01, max: 1000000 }),
+      weight: number("weight", { min: 0, max: 1000 }),
+      status: text(data.status).toLowerCase() || undefined,
+      category_slug: text(data.category_slug || data.category).toLowerCase(),
+    };
+
+    if (!values.sku) errors.push("sku is required");
+    else if (values.sku.length > 50) errors.push("sku must be at most 50 characters");
+    if (values.name.length < 2 || values.name.length > 100) {
+      errors.push("name is required and must be 2 to 100 characters");
+    }
+    if (values.description && values.description.length > 2000) {
+      errors.push("description must be at most 2000 characters");
+    }
+    if (text(data.price) === "") errors.push("price is required");
+    if (values.discounted_price !== undefined && values.price !== undefined && values.discounted_price >= values.price) {
+      errors.push("discounted_price must be lower than price");
+    }
+    if (values.status && !["active", "inactive"].includes(values.status)) {
+      errors.push("status must be active or inactive");
+    }
+    if (!values.category_slug) errors.push("category_slug is required");
+
+    values.variants = this.readVariants(data.variants, errors);
+    values.images = this.readImages(data.images, errors);
+
+    return { values, errors };
+  }
+
+  /**
+   * Variants as [{ type, value }], from "Color:Red|Blue; Size:M" (CSV), [{ type, value }] or
+   * { Color: ["Red", "Blue"] } (JSON). Undefined when none are given.
+   * @private
+   */
+  static readVariants(raw, errors) {
+    if (raw === undefined || raw === null || raw === "") return undefined;
+
+    let variants = [];
+    if (typeof raw === "string") {
+      for (const group of raw.split(";").map((part) => part.trim()).filter(Boolean)) {
+        const separator = group.indexOf(":");
+        const type = group.slice(0, separator).trim();
+        const values = group.slice(separator + 1).split("|").map((value) => value.trim()).filter(Boolean);
+        if (separator < 1 || values.length === 0) {
+          errors.push(`variants: "${group}" should look like Type:Value|Value`);
+          return undefined;
+        }
+        values.forEach((value) => variants.push({ type, value }));
+      }
+    } else if (Array.isArray(raw)) {
+      variants = raw.map((variant) => ({
+        type: variant && typeof variant.type === "string" ? variant.type.trim() : variant && variant.type,
+        value: variant && typeof variant.value === "string" ? variant.value.trim() : variant && variant.value,
+      }));
+    } else if (typeof raw === "object") {
+      variants = Object.entries(raw).flatMap(([type, values]) =>
+        (Array.isArray(values) ? values : [values]).map((value) => ({
+          type: type.trim(),
+          value: typeof value === "string" ? value.trim() : value,
+        }))
+      );
+    } else {
+      errors.push("variants must be a list of types and values");
+      return undefined;
+    }
+
+    const validation = VariantService.validateVariantData(variants);
+    if (!validation.isValid) {
+      errors.push(`variants: ${validation.errors.join(", ")}`);
+      return undefined;
+    }
+
+    const keys = new Set();
+    return variants.filter((variant) => {
+      const key = this.variantKey(variant.type, variant.value);
+      if (keys.has(key)) return false;
+      keys.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Image URLs, from "url|url" (CSV) or a list of URLs or { url } objects (JSON). Undefined when
+   * none are given.
+   * @private
+   */
+  static readImages(raw, errors) {
+    if (raw === undefined || raw === null || raw === "") return undefined;
+
+    const urls = (typeof raw === "string" ? raw.split("|") : Array.isArray(raw) ? raw : [raw])
+      .map((image) => String(image && typeof image === "object" ? image.url || image.image_url || "" : image).trim())
+      .filter(Boolean);
+
+    const invalid = urls.filter((url) => {
+      try {
+        return !["http:", "https:"].includes(new URL(url).protocol);
+      } catch (error) {
+        return true;
+      }
+    });
+    if (invalid.length > 0) {
+      errors.push(`images: not a web address: ${invalid.join(", ")}`);
+      return undefined;
+    }
+
+    const { maxImages } = settings();
+    if (urls.length > maxImages) {
+      errors.push(`images: at most ${maxImages} per product`);
+      return undefined;
+    }
+
+    return urls.length > 0 ? urls : undefined;
+  }
+
+  /**
+   * Create or update the product of one row
+   * @private
+   */
+  static async importRow(productImport, { row, data }, { categories, seen }) {
+    const { values, errors } = this.normalize(data);
+    const result = {
+      row,
+      sku: values.sku || null,
+      name: values.name || null,
+      outcome: "failed",
+      product_id: null,
+      errors,
+    };
+
+    const category = categories.get(values.category_slug);
+    if (values.category_slug && !category) {
+      errors.push(`Unknown category "${values.category_slug}"`);
+    }
+
+    if (values.sku) {
+      const key = values.sku.toLowerCase();
+      if (seen.has(key)) errors.push(`Same SKU as row ${seen.get(key)}`);
+      else seen.set(key, row);
+    }
+
+    if (errors.length > 0) return result;
+
+    try {
+      const products = await Product.findAll({
+        where: { vendor_id: productImport.vendor_id, sku: values.sku },
+        include: [
+          { model: ProductVariant, as: "variants", attributes: ["id", "name", "value"] },
+          { model: ProductImage, as: "images", attributes: ["id", "image_url"] },
+          { model: VariantCombination, as: "combinations", attributes: ["id", "stock"] },
+        ],
+        order: [[{ model: ProductImage, as: "images" }, "id", "ASC"]],
+      });
+
+      if (products.length > 1) {
+        errors.push(`${products.length} of your products have this SKU`);
+        return result;
+      }
+
+      const [product] = products;
+      const fields = {
+        name: values.name,
+        description: values.description,
+        price: values.price,
+        discounted_price: values.discounted_price,
+        weight: values.weight,
+        status: values.status,
+        category_id: category.id,
+      };
+      Object.keys(fields).forEach((field) => fields[field] === undefined && delete fields[field]);
+
+      if (!product) {
+        result.outcome = productImport.dry_run ? "will_create" : "created";
+        if (!productImport.dry_run) {
+          result.product_id = await this.createProduct(productImport.vendor_id, values, fields);
+        }
+        return result;
+      }
+
+      result.product_id = product.id;
+
+      const changes = Object.entries(fields).reduce((changed, [field, value]) => {
+        const current = product[field];
+        const same = typeof value === "number" ? current !== null && Number(current) === value : current === value;
+        return same ? changed : { ...changed, [field]: value };
+      }, {});
+      const variantsChanged = values.variants !== undefined && !this.sameVariants(product.variants, values.variants);
+      const imagesChanged =
+        values.images !== undefined &&
+        product.images.map((image) => image.image_url).join("\n") !== values.images.join("\n");
+
+      if (variantsChanged && product.combinations.some((combination) => combination.stock > 0)) {
+        errors.push(
+          "variants differ from the product's, but its combinations still hold stock; clear the stock or change the variants through the product update"
+        );
+        return result;
+      }
+
+      if (Object.keys(changes).length === 0 && !variantsChanged && !imagesChanged) {
+        result.outcome = "unchanged";
+        return result;
+      }
+
+      result.outcome = productImport.dry_run ? "will_update" : "updated";
+      if (!productImport.dry_run) {
+        await this.updateProduct(product, values, { changes, variantsChanged, imagesChanged });
+      }
+      return result;
+    } catch (error) {
+      logger.error(`Product import ${productImport.id} failed on row ${row}:`, error);
+      result.outcome = "failed";
+      errors.push(error.message);
+      return result;
+    }
+  }
+
+  /**
+   * Create a product with its variants and images
+   * @private
+   */
+  static async createProduct(vendorId, values, fields) {
+    const slug = await ProductService.generateUniqueSlug(values.name);
+
+    const product = await sequelize.transaction(async (transaction) => {
+      const created = await Product.create(
+        {
+          ...fields,
+          vendor_id: vendorId,
+          sku: values.sku,
+          slug,
+          status: fields.status || "active",
+          impressions: 0,
+          sold_units: 0,
+        },
+        { transaction }
+      );
+
+      if (values.variants) {
+        await ProductService.updateProductVariants(created.id, values.variants, transaction);
+      }
+      if (values.images) {
+        await ProductService.updateProductImages(created.id, values.images.map((url) => ({ url })), transaction);
+      }
+
+      return created;
+    });
+
+    await SearchService.queueIndex(product.id);
+    return product.id;
+  }
+
+  /**
+   * Save a product's changed fields, variants and images
+   * @private
+   */
+  static async updateProduct(product, values, { changes, variantsChanged, imagesChanged }) {
+    if (changes.name) {
+      changes.slug = await ProductService.generateUniqueSlug(changes.name, product.id);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (Object.keys(changes).length > 0) {
+        await product.update(changes, { transaction });
+      }
+      if (variantsChanged) {
+        await ProductService.updateProductVariants(product.id, values.variants, transaction);
+      }
+      if (imagesChanged) {
+        await ProductService.updateProductImages(product.id, values.images.map((url) => ({ url })), transaction);
+      }
+    });
+
+    await SearchService.queueIndex(product.id);
+  }
+
+  /**
+   * Categories named by the rows, keyed by slug
+   * @private
+   */
+  static async findCategories(rows) {
+    const slugs = [
+      ...new Set(
+        rows
+          .map(({ data }) => String(data.category_slug || data.category || "").trim().toLowerCase())
+          .filter(Boolean)
+      ),
+    ];
+    if (slugs.length === 0) return new Map();
+
+    const categories = await Category.findAll({ where: { slug: slugs }, attributes: ["id", "slug"] });
+    return new Map(categories.map((category) => [category.slug.toLowerCase(), category]));
+  }
+
+  /**
+   * Whether a product already has exactly these variants
+   * @private
+   */
+  static sameVariants(current, variants) {
+    const keys = (list) => list.map((variant) => this.variantKey(variant.type || variant.name, variant.value)).sort();
+    return keys(current).join("\n") === keys(variants).join("\n");
+  }
+
+  /**
+   * @private
+   */
+  static variantKey(type, value) {
+    return `${String(type).trim().toLowerCase()}:${String(value).trim().toLowerCase()}`;
+  }
+
+  /**
+   * One of the vendor's imports
+   * @private
+   */
+  static async findForVendor(vendorId, importId) {
+    const productImport = await ProductImport.findByPk(importId);
+    if (!productImport || String(productImport.vendor_id) !== String(vendorId)) {
+      throw new AppError("Import not found", 404);
+    }
+    return productImport;
+  }
+
+  /**
+   * @private
+   */
+  static counts(productImport) {
+    return {
+      total: productImport.total_rows,
+      created: productImport.created_count,
+      updated: productImport.updated_count,
+      unchanged: productImport.unchanged_count,
+      failed: productImport.failed_count,
+    };
+  }
+
+  /**
+   * Import as returned by the API, without its stored rows and results
+   * @private
+   */
+  static format(productImport) {
+    return {
+      id: productImport.id,
+      filename: productImport.filename,
+      format: productImport.format,
+      dry_run: productImport.dry_run,
+      status: productImport.status,
+      total_rows: productImport.total_rows,
+      processed_rows: productImport.processed_rows,
+      counts: this.counts(productImport),
+      error: productImport.error,
+      started_at: productImport.started_at,
+      completed_at: productImport.completed_at,
+      created_at: productImport.created_at,
+    };
+  }
+}
+
+module.exports = ProductImportService;
@@ -61,6 +61,7 @@ class ProductService {
         "price",
         "discounted_price",
         "sku",
+        "weight",
         "status",
         "impressions",
         "sold_units",
@@ -206,6 +207,7 @@ class ProductService {
       price,
       category_id,
       sku,
+      weight,
       status,
       variants: rawVariants = [],
       images: rawImages = [],
@@ -288,6 +290,7 @@ class ProductService {
         price: price || product.price,
         category_id: category_id || product.category_id,
         sku: sku || product.sku,
+        weight: weight !== undefined ? weight : product.weight,
         status: status || product.status,
       };
 
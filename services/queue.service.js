@@ -0,0 +1,393 @@
+const crypto = require("crypto");
+const redis = require("../config/redis");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+const JOB_KEY = "queue:job:";
+const SCHEDULED_KEY = "queue:scheduled";
+const PROCESSING_KEY = "queue:processing";
+const FAILED_KEY = "queue:failed";
+
+/**
+ * Queue settings, read from the environment
+ * @private
+ */
+const settings = () => ({
+  // Attempts before a job is moved to the dead-letter list
+  maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || "5", 10),
+  // Delay before the first retry, doubled on every further retry
+  backoffSeconds: parseInt(process.env.QUEUE_BACKOFF_SECONDS || "30", 10),
+  // Seconds a worker may hold a job before it is handed to another worker
+  visibilityTimeoutSeconds: parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_SECONDS || "300", 10),
+  // Days a failed job is kept in the dead-letter list
+  failedRetentionDays: parseInt(process.env.QUEUE_FAILED_RETENTION_DAYS || "14", 10),
+});
+
+/**
+ * Queue Service
+ * Runs slow work (emails, image writes, webhooks) outside the request that triggered it.
+ *
+ * Jobs are stored in Redis as JSON under queue:job:<id>. Pending jobs sit in the queue:scheduled
+ * sorted set, scored by the time they may run. A worker (worker.js) claims due jobs by moving
+ * them to queue:processing, scored by the time its claim expires, so jobs held by a crashed
+ * worker are picked up again. A failing job is retried with exponential backoff; once its
+ * attempts are used up it is moved to the queue:failed dead-letter list, where an admin can
+ * inspect, retry or discard it.
+ *
+ * When Redis is unavailable, jobs run in the background of the current process instead, with
+ * the same retries, so nothing is dropped while Redis is down.
+ */
+class QueueService {
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (see jobs/handlers.js)
+   * @param {Object} payload - JSON-serializable job data
+   * @param {Object} [options] - Job options
+   * @param {number} [options.attempts] - Attempts before the job is dead-lettered
+   * @param {number} [options.delay=0] - Seconds to wait before the first attempt
+   * @returns {Promise<Object>} Queued job
+   */
+  static async enqueue(type, payload, { attempts, delay = 0 } = {}) {
+    if (!this.getHandler(type)) {
+      throw new AppError(`Unknown job type: ${type}`, 400);
+    }
+
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      status: "queued",
+      attempts: 0,
+      max_attempts: attempts || settings().maxAttempts,
+      last_error: null,
+      created_at: new Date(now).toISOString(),
+      run_at: new Date(now + delay * 1000).toISOString(),
+      failed_at: null,
+    };
+
+    if (!redis.isConnected) {
+      logger.warn(`Redis unavailable, running ${type} job ${job.id} in process`);
+      this.runInProcess(job, delay * 1000);
+      return job;
+    }
+
+    await this.save(job);
+    await redis.zAdd(SCHEDULED_KEY, { score: now + delay * 1000, value: job.id });
+
+    return job;
+  }
+
+  /**
+   * Claim and run the next due job
+   * @param {Object} [options] - Options
+   * @param {number} [options.now] - Reference time in milliseconds (defaults to now)
+   * @returns {Promise<Object|null>} The job that ran, or null when no job was due
+   */
+  static async processNext({ now = Date.now() } = {}) {
+    await this.releaseExpired({ now });
+
+    const job = await this.claim({ now });
+    if (!job) {
+      return null;
+    }
+
+    try {
+      await this.execute(job);
+      await redis.zRem(PROCESSING_KEY, job.id);
+      await redis.del(JOB_KEY + job.id);
+      return { ...job, status: "completed" };
+    } catch (error) {
+      return this.fail(job, error, { now });
+    }
+  }
+
+  /**
+   * Queue counts
+   * @returns {Promise<Object>} { scheduled, processing, failed }
+   */
+  static async stats() {
+    const [scheduled, processing, failed] = await Promise.all([
+      redis.zCard(SCHEDULED_KEY),
+      redis.zCard(PROCESSING_KEY),
+      redis.lLen(FAILED_KEY),
+    ]);
+
+    return {
+      redis_connected: redis.isConnected,
+      scheduled: scheduled || 0,
+      processing: processing || 0,
+      failed: failed || 0,
+    };
+  }
+
+  /**
+   * List dead-lettered jobs, most recent first
+   * @param {Object} [filters] - Listing filters
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @returns {Promise<Object>} Jobs and pagination metadata
+   */
+  static async listFailed({ page = 1, limit = 20 } = {}) {
+    const start = (page - 1) * limit;
+    const [count, ids] = await Promise.all([
+      redis.lLen(FAILED_KEY),
+      redis.lRange(FAILED_KEY, start, start + limit - 1),
+    ]);
+
+    const jobs = await Promise.all((ids || []).map((id) => this.load(id)));
+
+    // Failed jobs expire after the retention period; drop their IDs from the list
+    await Promise.all(
+      (ids || []).filter((id, index) => !jobs[index]).map((id) => redis.lRem(FAILED_KEY, 0, id))
+    );
+
+    const total = count || 0;
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      jobs: jobs.filter(Boolean).map((job) => this.format(job)),
+      pagination: {
+        total,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Find a job by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} Job
+   * @throws {AppError} 404 - When the job does not exist
+   */
+  static async findById(id) {
+    const job = await this.load(id);
+    if (!job) {
+      throw new AppError("Job not found", 404);
+    }
+    return job;
+  }
+
+  /**
+   * Queue a dead-lettered job again with a fresh set of attempts
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} Requeued job
+   * @throws {AppError} 400 - When the job has not failed
+   * @throws {AppError} 404 - When the job does not exist
+   */
+  static async retry(id) {
+    const job = await this.findById(id);
+    if (job.status !== "failed") {
+      throw new AppError("Only failed jobs can be retried", 400);
+    }
+
+    const now = Date.now();
+    const requeued = {
+      ...job,
+      status: "queued",
+      attempts: 0,
+      run_at: new Date(now).toISOString(),
+      failed_at: null,
+    };
+
+    await redis.lRem(FAILED_KEY, 0, id);
+    await redis.set(JOB_KEY + id, JSON.stringify(requeued));
+    await redis.zAdd(SCHEDULED_KEY, { score: now, value: id });
+
+    return requeued;
+  }
+
+  /**
+   * Delete a dead-lettered job
+   * @param {string} id - Job ID
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 - When the job has not failed
+   * @throws {AppError} 404 - When the job does not exist
+   */
+  static async discard(id) {
+    const job = await this.findById(id);
+    if (job.status !== "failed") {
+      throw new AppError("Only failed jobs can be discarded", 400);
+    }
+
+    await redis.lRem(FAILED_KEY, 0, id);
+    await redis.del(JOB_KEY + id);
+  }
+
+  /**
+   * Handler for a job type
+   * @private
+   */
+  static getHandler(type) {
+    // Required lazily: handlers depend on services that enqueue jobs themselves
+    const handlers = require("../jobs/handlers");
+    return handlers[type];
+  }
+
+  /**
+   * Run a job's handler
+   * @private
+   */
+  static async execute(job) {
+    const handler = this.getHandler(job.type);
+    if (!handler) {
+      throw new Error(`No handler for job type ${job.type}`);
+    }
+    await handler(job.payload);
+  }
+
+  /**
+   * Move the next due job from the schedule to the processing set. Removing it from the
+   * schedule is the claim: only the worker whose removal succeeds runs the job.
+   * @private
+   */
+  static async claim({ now }) {
+    const { visibilityTimeoutSeconds } = settings();
+    const ids = await redis.zRangeByScore(SCHEDULED_KEY, 0, now, { LIMIT: { offset: 0, count: 5 } });
+
+    for (const id of ids || []) {
+      const removed = await redis.zRem(SCHEDULED_KEY, id);
+      if (removed !== 1) continue;
+
+      const job = await this.load(id);
+      if (!job) continue;
+
+      job.status = "processing";
+      job.attempts += 1;
+      await this.save(job);
+      await redis.zAdd(PROCESSING_KEY, { score: now + visibilityTimeoutSeconds * 1000, value: id });
+
+      return job;
+    }
+
+    return null;
+  }
+
+  /**
+   * Put jobs whose worker claim expired back on the schedule
+   * @private
+   */
+  static async releaseExpired({ now }) {
+    const ids = await redis.zRangeByScore(PROCESSING_KEY, 0, now);
+
+    for (const id of ids || []) {
+      const removed = await redis.zRem(PROCESSING_KEY, id);
+      if (removed === 1) {
+        logger.warn(`Job ${id} was not finished in time, queueing it again`);
+        await redis.zAdd(SCHEDULED_KEY, { score: now, value: id });
+      }
+    }
+  }
+
+  /**
+   * Schedule a retry, or dead-letter the job once its attempts are used up
+   * @private
+   */
+  static async fail(job, error, { now }) {
+    const { failedRetentionDays } = settings();
+    const failed = { ...job, last_error: error.message };
+
+    await redis.zRem(PROCESSING_KEY, job.id);
+
+    if (job.attempts < job.max_attempts) {
+      const runAt = now + this.backoff(job.attempts);
+      failed.status = "queued";
+      failed.run_at = new Date(runAt).toISOString();
+
+      logger.warn(`Job ${job.id} (${job.type}) failed, retrying at ${failed.run_at}: ${error.message}`);
+      await this.save(failed);
+      await redis.zAdd(SCHEDULED_KEY, { score: runAt, value: job.id });
+      return failed;
+    }
+
+    failed.status = "failed";
+    failed.failed_at = new Date(now).toISOString();
+
+    logger.error(`Job ${job.id} (${job.type}) failed after ${job.attempts} attempts:`, error);
+    await redis.set(JOB_KEY + job.id, JSON.stringify(failed), { EX: failedRetentionDays * 24 * 60 * 60 });
+    await redis.lPush(FAILED_KEY, job.id);
+    return failed;
+  }
+
+  /**
+   * Run a job in the background of this process, retrying with the same backoff
+   * @private
+   */
+  static runInProcess(job, delay = 0) {
+    const timer = setTimeout(async () => {
+      job.attempts += 1;
+      try {
+        await this.execute(job);
+      } catch (error) {
+        if (job.attempts < job.max_attempts) {
+          logger.warn(`Job ${job.id} (${job.type}) failed in process, retrying: ${error.message}`);
+          this.runInProcess(job, this.backoff(job.attempts));
+        } else {
+          logger.error(`Job ${job.id} (${job.type}) failed after ${job.attempts} attempts:`, error);
+        }
+      }
+    }, delay);
+
+    if (timer.unref) timer.unref();
+  }
+
+  /**
+   * Milliseconds to wait before the next attempt
+   * @private
+   */
+  static backoff(attempts) {
+    return settings().backoffSeconds * 1000 * 2 ** (attempts - 1);
+  }
+
+  /**
+   * Shorten long payload strings, such as image data, for display
+   * @private
+   */
+  static summarize(payload) {
+    return Object.entries(payload || {}).reduce((summary, [key, value]) => {
+      summary[key] = typeof value === "string" && value.length > 500 ? `[${value.length} characters]` : value;
+      return summary;
+    }, {});
+  }
+
+  /**
+   * @private
+   */
+  static async save(job) {
+    await redis.set(JOB_KEY + job.id, JSON.stringify(job));
+  }
+
+  /**
+   * @private
+   */
+  static async load(id) {
+    const data = await redis.get(JOB_KEY + id);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Convert a job into the API shape
+   * @param {Object} job - Stored job
+   * @returns {Object} Job, with long payload values shortened
+   */
+  static format(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      max_attempts: job.max_attempts,
+      last_error: job.last_error,
+      payload: this.summarize(job.payload),
+      created_at: job.created_at,
+      run_at: job.run_at,
+      failed_at: job.failed_at,
+    };
+  }
+}
+
+module.exports = QueueService;
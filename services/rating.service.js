@@ -0,0 +1,127 @@
+const { Review, Product, Vendor, sequelize } = require("../models");
+
+const STARS = [1, 2, 3, 4, 5];
+
+/**
+ * Rating Service
+ * Keeps the rating average, rating count and 1-5 star histogram stored on products and vendors
+ * in step with their approved reviews.
+ *
+ * The figures are recalculated from the reviews (not adjusted by the change), inside the
+ * transaction that creates, edits, deletes or moderates the review. The product row is locked
+ * first, so two reviews of the same product written at once cannot overwrite each other's
+ * totals. A vendor's figures cover the approved reviews of all their products.
+ */
+class RatingService {
+  /**
+   * Recalculate a product's rating, then its vendor's
+   * @param {number} productId - Product ID
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object|null>} { average, count, histogram }, or null when the product does not exist
+   */
+  static async refreshProduct(productId, { transaction } = {}) {
+    const product = await Product.findByPk(productId, {
+      attributes: ["id", "vendor_id"],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    });
+    if (!product) return null;
+
+    const rows = await Review.findAll({
+      attributes: ["rating", [sequelize.fn("COUNT", sequelize.col("id")), "total"]],
+      where: { product_id: product.id, status: "approved" },
+      group: ["rating"],
+      raw: true,
+      transaction,
+    });
+
+    const summary = this.summarize(rows);
+    await Product.update(this.toColumns(summary), { where: { id: product.id }, transaction });
+
+    if (product.vendor_id) {
+      await this.refreshVendor(product.vendor_id, { transaction });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Recalculate a vendor's rating across the approved reviews of all their products
+   * @param {number} vendorId - Vendor ID
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} { average, count, histogram }
+   */
+  static async refreshVendor(vendorId, { transaction } = {}) {
+    const rows = await Review.findAll({
+      attributes: ["rating", [sequelize.fn("COUNT", sequelize.col("Review.id")), "total"]],
+      where: { status: "approved" },
+      include: [{ model: Product, as: "product", attributes: [], where: { vendor_id: vendorId }, required: true }],
+      group: ["rating"],
+      raw: true,
+      transaction,
+    });
+
+    const summary = this.summarize(rows);
+    await Vendor.update(this.toColumns(summary), { where: { id: vendorId }, transaction });
+
+    return summary;
+  }
+
+  /**
+   * Rating summary from review counts per star
+   * @param {Array<Object>} rows - { rating, total } per star; stars without reviews may be missing
+   * @returns {Object} { average, count, histogram } with the average rounded to 2 decimals
+   */
+  static summarize(rows) {
+    const histogram = this.emptyHistogram();
+    for (const row of rows) {
+      const star = parseInt(row.rating, 10);
+      if (histogram[star] !== undefined) histogram[star] += parseInt(row.total, 10) || 0;
+    }
+
+    const count = STARS.reduce((sum, star) => sum + histogram[star], 0);
+    const total = STARS.reduce((sum, star) => sum + star * histogram[star], 0);
+
+    return {
+      average: count > 0 ? Math.round((total / count) * 100) / 100 : 0,
+      count,
+      histogram,
+    };
+  }
+
+  /**
+   * Rating summary of a stored product or vendor, for API responses
+   * @param {Product|Vendor|Object} record - Record with the rating columns
+   * @returns {Object} { average, count, histogram }
+   */
+  static format(record) {
+    const values = record && typeof record.get === "function" ? record.get({ plain: true }) : record || {};
+    let stored = values.rating_histogram || {};
+    if (typeof stored === "string") stored = JSON.parse(stored);
+    const histogram = { ...this.emptyHistogram(), ...stored };
+
+    return {
+      average: parseFloat(values.rating_average) || 0,
+      count: parseInt(values.rating_count, 10) || 0,
+      histogram,
+    };
+  }
+
+  /**
+   * @private
+   */
+  static emptyHistogram() {
+    return STARS.reduce((histogram, star) => ({ ...histogram, [star]: 0 }), {});
+  }
+
+  /**
+   * @private
+   */
+  static toColumns({ average, count, histogram }) {
+    return { rating_average: average, rating_count: count, rating_histogram: histogram };
+  }
+}
+
+module.exports = RatingService;
@@ -0,0 +1,534 @@
+const { Op } = require("sequelize");
+const {
+  Refund,
+  RefundItem,
+  Order,
+  OrderItem,
+  Product,
+  User,
+  PaymentTransaction,
+  sequelize,
+} = require("../models");
+const paymentService = require("./payment.service");
+const emailService = require("./email.service");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+/**
+ * Refund Service
+ * Issues refunds through Paystack and tracks them until the refund.* webhooks settle them.
+ *
+ * A refund is created as "pending" together with a pending "refund" PaymentTransaction,
+ * submitted to Paystack once the surrounding database transaction has committed, and moved
+ * to "processed" or "failed" by webhooks. Refunds can cover a whole order or selected
+ * quantities of individual order items; failed refunds do not count towards refunded totals.
+ */
+class RefundService {
+  /**
+   * Create a pending refund for a paid order
+   * @param {Object} data - Refund data
+   * @param {Order} data.order - Paid order being refunded
+   * @param {Array<Object>} [data.items] - Items to refund ({ order_item_id, quantity }); omit to refund the rest of the order
+   * @param {string} [data.reason] - Reason shown to the customer
+   * @param {string} [data.source='manual'] - What triggered the refund (cancellation, manual, return)
+   * @param {number} [data.initiatedBy] - User ID that initiated the refund
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Refund>} Created refund
+   * @throws {AppError} 400 - When the order is unpaid, already refunded or items exceed what is refundable
+   */
+  static async createRefund(
+    { order, items, reason, source = "manual", initiatedBy },
+    { transaction } = {}
+  ) {
+    if (order.payment_status !== "paid" || !order.payment_reference) {
+      throw new AppError("Only paid orders can be refunded", 400);
+    }
+
+    if (transaction) {
+      // Serialise refunds per order so concurrent requests cannot over-refund
+      await Order.findByPk(order.id, {
+        attributes: ["id"],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+    }
+
+    const orderItems = await OrderItem.findAll({
+      where: { order_id: order.id },
+      transaction,
+    });
+    const refundedQuantities = await this.getRefundedQuantities(order.id, { transaction });
+    const refundedTotal = await this.getRefundedTotal(order.id, { transaction });
+    const remainingTotal = this.round(parseFloat(order.total_amount) - refundedTotal);
+
+    if (remainingTotal <= 0) {
+      throw new AppError("Order has already been fully refunded", 400);
+    }
+
+    let lines;
+    let amount;
+
+    if (!items || items.length === 0) {
+      // Full refund of whatever has not been refunded yet, including shipping and tax
+      lines = orderItems
+        .map((item) => {
+          const quantity = item.quantity - (refundedQuantities[item.id] || 0);
+          return { orderItem: item, quantity, amount: this.itemAmount(item, quantity) };
+        })
+        .filter((line) => line.quantity > 0);
+      amount = remainingTotal;
+    } else {
+      lines = items.map(({ order_item_id, quantity }) => {
+        const orderItem = orderItems.find((item) => String(item.id) === String(order_item_id));
+
+        if (!orderItem) {
+          throw new AppError(`Order item ${order_item_id} does not belong to this order`, 400);
+        }
+
+        const refundable = orderItem.quantity - (refundedQuantities[orderItem.id] || 0);
+        if (quantity > refundable) {
+          throw new AppError(
+            `Only ${refundable} unit(s) of order item ${orderItem.id} can still be refunded`,
+            400
+          );
+        }
+
+        return { orderItem, quantity, amount: this.itemAmount(orderItem, quantity) };
+      });
+      amount = this.round(lines.reduce((sum, line) => sum + line.amount, 0));
+
+      if (amount > remainingTotal) {
+        throw new AppError(
+          `Refund amount exceeds the remaining refundable total of ${remainingTotal.toFixed(2)}`,
+          400
+        );
+      }
+    }
+
+    const reference = `REFUND-${Date.now()}-${order.id}`;
+
+    const refund = await Refund.create(
+      {
+        order_id: order.id,
+        user_id: order.user_id,
+        amount,
+        status: "pending",
+        source,
+        reason: reason || null,
+        reference,
+        payment_reference: order.payment_reference,
+        initiated_by: initiatedBy || null,
+      },
+      { transaction }
+    );
+
+    if (lines.length > 0) {
+      await RefundItem.bulkCreate(
+        lines.map((line) => ({
+          refund_id: refund.id,
+          order_item_id: line.orderItem.id,
+          quantity: line.quantity,
+          amount: line.amount,
+        })),
+        { transaction }
+      );
+    }
+
+    await PaymentTransaction.create(
+      {
+        user_id: order.user_id,
+        order_id: order.id,
+        type: "refund",
+        amount,
+        status: "pending",
+        transaction_id: reference,
+        description: `Refund for order #${order.id}${reason ? `: ${reason}` : ""}`,
+      },
+      { transaction }
+    );
+
+    return refund;
+  }
+
+  /**
+   * Send a pending refund to Paystack. Gateway errors mark the refund failed instead of throwing,
+   * so callers can submit after committing their own work.
+   * @param {Refund} refund - Pending refund
+   * @returns {Promise<Refund>} Refund with gateway ID, or marked failed
+   */
+  static async submit(refund) {
+    try {
+      const response = await paymentService.createRefund({
+        transaction: refund.payment_reference,
+        amount: parseFloat(refund.amount),
+        merchant_note: `Refund ${refund.reference}`,
+        customer_note: refund.reason || undefined,
+      });
+
+      await refund.update({ gateway_refund_id: String(response.data.id) });
+    } catch (error) {
+      logger.error(`Refund ${refund.reference} could not be submitted:`, error);
+      await sequelize.transaction((transaction) =>
+        this.markFailed(refund, error.message || "Refund submission failed", { transaction })
+      );
+    }
+
+    return refund;
+  }
+
+  /**
+   * Resubmit a failed refund to Paystack
+   * @param {number} refundId - Refund ID
+   * @returns {Promise<Refund>} Resubmitted refund
+   * @throws {AppError} 400 - When the refund has not failed
+   */
+  static async retry(refundId) {
+    const refund = await sequelize.transaction(async (transaction) => {
+      // Lock the refund so concurrent retries cannot both resubmit it
+      const locked = await Refund.findByPk(refundId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+
+      if (!locked) {
+        throw new AppError("Refund not found", 404);
+      }
+
+      if (locked.status !== "failed") {
+        throw new AppError(`Only failed refunds can be retried (current status: ${locked.status})`, 400);
+      }
+
+      // Failed refunds release their quantities, so make sure they have not been refunded since.
+      // The order is locked like in createRefund so no new refund can slip in meanwhile.
+      const order = await Order.findByPk(locked.order_id, {
+        attributes: ["id", "total_amount"],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      const refundedTotal = await this.getRefundedTotal(locked.order_id, { transaction });
+      if (refundedTotal + parseFloat(locked.amount) > parseFloat(order.total_amount) + 0.001) {
+        throw new AppError("Retrying this refund would exceed the order total", 400);
+      }
+
+      await locked.update(
+        { status: "pending", failure_reason: null, gateway_refund_id: null },
+        { transaction }
+      );
+      await PaymentTransaction.update(
+        { status: "pending" },
+        { where: { type: "refund", transaction_id: locked.reference }, transaction }
+      );
+
+      return locked;
+    });
+
+    return this.submit(refund);
+  }
+
+  /**
+   * Apply a Paystack refund.* webhook
+   * @param {string} event - Event name (refund.pending, refund.processing, refund.processed, refund.failed)
+   * @param {Object} data - Paystack refund payload
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Refund|null>} Updated refund, or null when no refund matches
+   */
+  static async handleWebhook(event, data, { transaction } = {}) {
+    const refund = await this.findForWebhook(data, { transaction });
+
+    if (!refund) {
+      logger.warn(`${event} received for unknown refund of ${data.transaction_reference}`);
+      return null;
+    }
+
+    if (!refund.gateway_refund_id && data.id) {
+      await refund.update({ gateway_refund_id: String(data.id) }, { transaction });
+    }
+
+    switch (event) {
+      case "refund.processed":
+        if (refund.status !== "processed") {
+          await this.markProcessed(refund, { transaction });
+        }
+        break;
+      case "refund.failed":
+        if (refund.status === "pending") {
+          await this.markFailed(refund, data.reason || data.status || "Refund failed", { transaction });
+        }
+        break;
+      default:
+        // refund.pending / refund.processing: still in flight, nothing to change
+        break;
+    }
+
+    return refund;
+  }
+
+  /**
+   * Mark a refund processed, complete its ledger entry and flag fully refunded payments
+   * @private
+   */
+  static async markProcessed(refund, { transaction } = {}) {
+    await refund.update(
+      { status: "processed", processed_at: new Date(), failure_reason: null },
+      { transaction }
+    );
+
+    await PaymentTransaction.update(
+      { status: "completed" },
+      { where: { type: "refund", transaction_id: refund.reference }, transaction }
+    );
+
+    const order = await Order.findByPk(refund.order_id, { transaction });
+    const processedTotal =
+      (await Refund.sum("amount", {
+        where: { order_id: refund.order_id, status: "processed" },
+        transaction,
+      })) || 0;
+
+    if (order && processedTotal >= parseFloat(order.total_amount)) {
+      await PaymentTransaction.update(
+        { status: "refunded" },
+        {
+          where: { order_id: order.id, type: "payment", status: "completed" },
+          transaction,
+        }
+      );
+    }
+
+    const notify = () =>
+      this.findById(refund.id)
+        .then((fullRefund) => emailService.sendRefundProcessed(order, this.format(fullRefund)))
+        .catch((error) => logger.error(`Failed to send refund email for ${refund.reference}:`, error));
+
+    if (transaction) {
+      transaction.afterCommit(notify);
+    } else {
+      await notify();
+    }
+  }
+
+  /**
+   * Mark a refund and its ledger entry failed
+   * @private
+   */
+  static async markFailed(refund, reason, { transaction } = {}) {
+    await refund.update({ status: "failed", failure_reason: reason }, { transaction });
+
+    await PaymentTransaction.update(
+      { status: "failed" },
+      { where: { type: "refund", transaction_id: refund.reference }, transaction }
+    );
+  }
+
+  /**
+   * Locate the refund a webhook refers to: by Paystack refund ID, then by charge reference and amount
+   * @private
+   */
+  static async findForWebhook(data, { transaction } = {}) {
+    if (data.id) {
+      const byGatewayId = await Refund.findOne({
+        where: { gateway_refund_id: String(data.id) },
+        transaction,
+        lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      });
+      if (byGatewayId) return byGatewayId;
+    }
+
+    if (!data.transaction_reference) return null;
+
+    const where = { payment_reference: data.transaction_reference, status: "pending" };
+    if (data.amount) where.amount = this.round(data.amount / 100);
+
+    return Refund.findOne({
+      where,
+      order: [["created_at", "ASC"]],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    });
+  }
+
+  /**
+   * Quantities already refunded (or being refunded) per order item
+   * @param {number} orderId - Order ID
+   * @param {Object} [options] - Query options
+   * @param {string} [options.excludeSource] - Leave out refunds from this source
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} Map of order_item_id to refunded quantity
+   */
+  static async getRefundedQuantities(orderId, { excludeSource, transaction } = {}) {
+    const rows = await RefundItem.findAll({
+      attributes: ["order_item_id", [sequelize.fn("SUM", sequelize.col("quantity")), "quantity"]],
+      include: [
+        {
+          model: Refund,
+          as: "refund",
+          attributes: [],
+          where: {
+            order_id: orderId,
+            status: { [Op.ne]: "failed" },
+            ...(excludeSource && { source: { [Op.ne]: excludeSource } }),
+          },
+        },
+      ],
+      group: ["order_item_id"],
+      raw: true,
+      transaction,
+    });
+
+    return rows.reduce((map, row) => {
+      map[row.order_item_id] = parseInt(row.quantity, 10);
+      return map;
+    }, {});
+  }
+
+  /**
+   * Total amount already refunded (or being refunded) for an order
+   * @param {number} orderId - Order ID
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<number>} Refunded amount
+   */
+  static async getRefundedTotal(orderId, { transaction } = {}) {
+    const total = await Refund.sum("amount", {
+      where: { order_id: orderId, status: { [Op.ne]: "failed" } },
+      transaction,
+    });
+    return this.round(total || 0);
+  }
+
+  /**
+   * List refunds with optional filters
+   * @param {Object} [filters] - Listing filters
+   * @param {number} [filters.userId] - Restrict to one customer
+   * @param {number} [filters.orderId] - Restrict to one order
+   * @param {string} [filters.status] - Refund status
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @returns {Promise<Object>} Refunds and pagination metadata
+   */
+  static async list({ userId, orderId, status, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (userId) where.user_id = userId;
+    if (orderId) where.order_id = orderId;
+    if (status) where.status = status;
+
+    const { count, rows } = await Refund.findAndCountAll({
+      where,
+      include: [
+        { model: Order, as: "order", attributes: ["id", "order_number", "total_amount"] },
+      ],
+      order: [["created_at", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      refunds: rows.map((refund) => this.format(refund)),
+      pagination: {
+        total: count,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Find a refund with its order and refunded items
+   * @param {number} refundId - Refund ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.userId] - Only match refunds belonging to this customer
+   * @returns {Promise<Refund>} Refund
+   * @throws {AppError} 404 - When the refund does not exist
+   */
+  static async findById(refundId, { userId } = {}) {
+    const where = { id: refundId };
+    if (userId) where.user_id = userId;
+
+    const refund = await Refund.findOne({
+      where,
+      include: [
+        { model: Order, as: "order", attributes: ["id", "order_number", "total_amount"] },
+        {
+          model: RefundItem,
+          as: "items",
+          include: [
+            {
+              model: OrderItem,
+              as: "orderItem",
+              attributes: ["id", "product_id", "quantity", "price"],
+              include: [{ model: Product, as: "product", attributes: ["id", "name"] }],
+            },
+          ],
+        },
+        { model: User, as: "initiator", attributes: ["id", "first_name", "last_name"] },
+      ],
+    });
+
+    if (!refund) {
+      throw new AppError("Refund not found", 404);
+    }
+
+    return refund;
+  }
+
+  /**
+   * Refund value of part of an order item, based on the unit price paid after any coupon discount
+   * and including tax charged on top of the price
+   * @private
+   */
+  static itemAmount(orderItem, quantity) {
+    const taxOnTop = orderItem.tax_inclusive ? 0 : parseFloat(orderItem.tax_amount || 0);
+    const paid = parseFloat(orderItem.sub_total) - parseFloat(orderItem.discount_amount || 0) + taxOnTop;
+    const unitPrice = paid / orderItem.quantity;
+    return this.round(unitPrice * quantity);
+  }
+
+  /**
+   * Round to kobo
+   * @private
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Convert a refund instance into the API shape
+   * @param {Refund} refund - Refund instance
+   * @returns {Object} Plain refund object
+   */
+  static format(refund) {
+    const data = refund.get({ plain: true });
+
+    return {
+      id: data.id,
+      order_id: data.order_id,
+      order_number: data.order ? data.order.order_number : undefined,
+      amount: parseFloat(data.amount),
+      status: data.status,
+      source: data.source,
+      reason: data.reason,
+      reference: data.reference,
+      failure_reason: data.failure_reason,
+      initiated_by: data.initiator || data.initiated_by,
+      processed_at: data.processed_at,
+      created_at: data.created_at,
+      items: data.items
+        ? data.items.map((item) => ({
+            order_item_id: item.order_item_id,
+            product: item.orderItem && item.orderItem.product ? item.orderItem.product.name : null,
+            quantity: item.quantity,
+            amount: parseFloat(item.amount),
+          }))
+        : undefined,
+    };
+  }
+}
+
+module.exports = RefundService;
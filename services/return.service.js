@@ -0,0 +1,538 @@
+const { Op } = require("sequelize");
+const {
+  ReturnRequest,
+  ReturnRequestItem,
+  Order,
+  OrderItem,
+  Product,
+  Vendor,
+  Store,
+  User,
+  Refund,
+  Inventory,
+  InventoryHistory,
+  VariantCombination,
+  sequelize,
+} = require("../models");
+const RefundService = require("./refund.service");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+/**
+ * Return request statuses that still hold on to the returned quantities
+ */
+const ACTIVE_STATUSES = ["requested", "approved", "received", "refunded", "completed"];
+
+/**
+ * Return Service
+ * Handles customer returns (RMA) for delivered order items.
+ *
+ * Status flow: requested -> approved -> received -> refunded (or completed when nothing is
+ * refunded), or requested -> rejected, or requested | approved -> cancelled by the customer. Each request covers items sold by a
+ * single vendor so that vendor can review it. Receiving a return restocks the items into
+ * their variant combination and, for paid orders, issues a "return" refund for them.
+ */
+class ReturnService {
+  /**
+   * Create a return request for items of a delivered order
+   * @param {Object} data - Return data
+   * @param {number} data.userId - Customer returning the items
+   * @param {number} data.orderId - Delivered order the items belong to
+   * @param {Array<Object>} data.items - Items to return ({ order_item_id, quantity })
+   * @param {string} data.reasonCode - One of the return reason codes
+   * @param {string} [data.description] - Customer's explanation
+   * @param {Array<Object>} [data.attachments] - Uploaded photos ({ filename, url, mimetype, size })
+   * @returns {Promise<ReturnRequest>} Created return request with items
+   * @throws {AppError} 400 - When the order is not delivered or items cannot be returned
+   * @throws {AppError} 404 - When the order does not belong to the customer
+   */
+  static async create({ userId, orderId, items, reasonCode, description, attachments = [] }) {
+    const returnRequest = await sequelize.transaction(async (transaction) => {
+      const order = await Order.findOne({
+        where: { id: orderId, user_id: userId },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+
+      if (!order) {
+        throw new AppError("Order not found", 404);
+      }
+
+      if (order.order_status !== "delivered") {
+        throw new AppError("Only delivered orders can be returned", 400);
+      }
+
+      const orderItems = await OrderItem.findAll({
+        where: { order_id: order.id },
+        transaction,
+      });
+      const returnedQuantities = await this.getReturnedQuantities(order.id, { transaction });
+      // Refunds raised by returns are already counted through their return request
+      const refundedQuantities = await RefundService.getRefundedQuantities(order.id, {
+        excludeSource: "return",
+        transaction,
+      });
+
+      const lines = items.map(({ order_item_id, quantity }) => {
+        const orderItem = orderItems.find((item) => String(item.id) === String(order_item_id));
+
+        if (!orderItem) {
+          throw new AppError(`Order item ${order_item_id} does not belong to this order`, 400);
+        }
+
+        const returnable =
+          orderItem.quantity -
+          (returnedQuantities[orderItem.id] || 0) -
+          (refundedQuantities[orderItem.id] || 0);
+        if (quantity > returnable) {
+          throw new AppError(
+            `Only ${returnable} unit(s) of order item ${orderItem.id} can still be returned`,
+            400
+          );
+        }
+
+        return { orderItem, quantity };
+      });
+
+      const vendorIds = new Set(lines.map((line) => String(line.orderItem.vendor_id)));
+      if (vendorIds.size > 1) {
+        throw new AppError(
+          "Items sold by different vendors must be returned in separate requests",
+          400
+        );
+      }
+
+      const created = await ReturnRequest.create(
+        {
+          order_id: order.id,
+          user_id: userId,
+          vendor_id: lines[0].orderItem.vendor_id,
+          status: "requested",
+          reason_code: reasonCode,
+          description: description || null,
+          attachments,
+        },
+        { transaction }
+      );
+
+      await ReturnRequestItem.bulkCreate(
+        lines.map((line) => ({
+          return_request_id: created.id,
+          order_item_id: line.orderItem.id,
+          quantity: line.quantity,
+        })),
+        { transaction }
+      );
+
+      return created;
+    });
+
+    logger.info(`Return request ${returnRequest.id} created for order ${orderId} by user ${userId}`);
+
+    return this.findById(returnRequest.id);
+  }
+
+  /**
+   * Approve a requested return so the customer can send the items back
+   * @param {number} returnId - Return request ID
+   * @param {Object} options - Review options
+   * @param {number} options.reviewerId - User approving the return
+   * @param {number} [options.vendorId] - Restrict to returns of this vendor
+   * @returns {Promise<ReturnRequest>} Approved return request
+   * @throws {AppError} 400 - When the return is not awaiting review
+   */
+  static async approve(returnId, { reviewerId, vendorId }) {
+    await sequelize.transaction(async (transaction) => {
+      const returnRequest = await this.findForUpdate(returnId, { vendorId, transaction });
+      this.assertStatus(returnRequest, ["requested"], "approved");
+
+      await returnRequest.update(
+        { status: "approved", reviewed_by: reviewerId, reviewed_at: new Date() },
+        { transaction }
+      );
+    });
+
+    return this.findById(returnId);
+  }
+
+  /**
+   * Reject a requested return
+   * @param {number} returnId - Return request ID
+   * @param {Object} options - Review options
+   * @param {number} options.reviewerId - User rejecting the return
+   * @param {string} options.reason - Reason shown to the customer
+   * @param {number} [options.vendorId] - Restrict to returns of this vendor
+   * @returns {Promise<ReturnRequest>} Rejected return request
+   * @throws {AppError} 400 - When the return is not awaiting review
+   */
+  static async reject(returnId, { reviewerId, reason, vendorId }) {
+    await sequelize.transaction(async (transaction) => {
+      const returnRequest = await this.findForUpdate(returnId, { vendorId, transaction });
+      this.assertStatus(returnRequest, ["requested"], "rejected");
+
+      await returnRequest.update(
+        {
+          status: "rejected",
+          reviewed_by: reviewerId,
+          reviewed_at: new Date(),
+          rejection_reason: reason,
+        },
+        { transaction }
+      );
+    });
+
+    return this.findById(returnId);
+  }
+
+  /**
+   * Cancel a return the customer no longer wants to make
+   * @param {number} returnId - Return request ID
+   * @param {Object} options - Options
+   * @param {number} options.userId - Customer who owns the return
+   * @returns {Promise<ReturnRequest>} Cancelled return request
+   * @throws {AppError} 400 - When the items have already been received
+   */
+  static async cancel(returnId, { userId }) {
+    await sequelize.transaction(async (transaction) => {
+      const returnRequest = await this.findForUpdate(returnId, { userId, transaction });
+      this.assertStatus(returnRequest, ["requested", "approved"], "cancelled");
+
+      await returnRequest.update({ status: "cancelled" }, { transaction });
+    });
+
+    return this.findById(returnId);
+  }
+
+  /**
+   * Record that the returned items arrived: restock them and refund the customer
+   * @param {number} returnId - Return request ID
+   * @param {Object} options - Options
+   * @param {number} options.userId - User receiving the items
+   * @param {number} [options.vendorId] - Restrict to returns of this vendor
+   * @param {boolean} [options.restock=true] - Put the items back into stock
+   * @param {boolean} [options.refund=true] - Refund the returned items when the order was paid
+   * @returns {Promise<ReturnRequest>} Refunded (or, without a refund, completed) return request
+   * @throws {AppError} 400 - When the return has not been approved
+   */
+  static async receive(returnId, { userId, vendorId, restock = true, refund = true }) {
+    const createdRefund = await sequelize.transaction(async (transaction) => {
+      const returnRequest = await this.findForUpdate(returnId, { vendorId, transaction });
+      this.assertStatus(returnRequest, ["approved"], "received");
+
+      const items = await ReturnRequestItem.findAll({
+        where: { return_request_id: returnRequest.id },
+        include: [{ model: OrderItem, as: "orderItem" }],
+        transaction,
+      });
+
+      if (restock) {
+        for (const item of items) {
+          const restocked = await this.restockItem(item.orderItem, item.quantity, {
+            note: `Return #${returnRequest.id} for order #${returnRequest.order_id} received: Stock restored`,
+            adjustedBy: userId,
+            transaction,
+          });
+
+          if (restocked) {
+            await item.update({ restocked: true }, { transaction });
+          }
+        }
+      }
+
+      await returnRequest.update(
+        { status: "received", received_at: new Date() },
+        { transaction }
+      );
+
+      const order = await Order.findByPk(returnRequest.order_id, { transaction });
+      if (!refund || order.payment_status !== "paid") {
+        // Nothing left to do for the return, so it must not hold up the vendor's payout
+        await returnRequest.update({ status: "completed" }, { transaction });
+        return null;
+      }
+
+      const returnRefund = await RefundService.createRefund(
+        {
+          order,
+          items: items.map((item) => ({
+            order_item_id: item.order_item_id,
+            quantity: item.quantity,
+          })),
+          reason: `Return #${returnRequest.id}: ${returnRequest.reason_code.replace(/_/g, " ")}`,
+          source: "return",
+          initiatedBy: userId,
+        },
+        { transaction }
+      );
+
+      await returnRequest.update(
+        { status: "refunded", refund_id: returnRefund.id },
+        { transaction }
+      );
+
+      return returnRefund;
+    });
+
+    if (createdRefund) {
+      await RefundService.submit(createdRefund);
+    }
+
+    return this.findById(returnId);
+  }
+
+  /**
+   * Put returned units of an order item back into its variant combination's stock
+   * and record the movement in inventory history
+   * @param {OrderItem} orderItem - Returned order item
+   * @param {number} quantity - Units returned
+   * @param {Object} options - Options
+   * @param {string} options.note - Inventory history note
+   * @param {number} options.adjustedBy - User ID recorded on the history entry
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<boolean>} Whether stock was restored
+   */
+  static async restockItem(orderItem, quantity, { note, adjustedBy, transaction }) {
+    if (!orderItem.combination_id) return false;
+
+    const combination = await VariantCombination.findByPk(orderItem.combination_id, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    });
+    if (!combination) return false;
+
+    const previousStock = combination.stock;
+    const newStock = previousStock + quantity;
+
+    await VariantCombination.update(
+      { stock: newStock },
+      { where: { id: combination.id }, transaction }
+    );
+
+    const inventory = await Inventory.findOne({
+      where: { product_id: orderItem.product_id },
+      transaction,
+    });
+    if (inventory) {
+      await InventoryHistory.create(
+        {
+          inventory_id: inventory.id,
+          combination_id: combination.id,
+          change_amount: quantity, // Positive for stock in
+          change_type: "return",
+          previous_stock: previousStock,
+          new_stock: newStock,
+          note,
+          adjusted_by: adjustedBy,
+        },
+        { transaction }
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Quantities held by active return requests per order item
+   * @param {number} orderId - Order ID
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} Map of order_item_id to returned quantity
+   */
+  static async getReturnedQuantities(orderId, { transaction } = {}) {
+    const rows = await ReturnRequestItem.findAll({
+      attributes: ["order_item_id", [sequelize.fn("SUM", sequelize.col("quantity")), "quantity"]],
+      include: [
+        {
+          model: ReturnRequest,
+          as: "returnRequest",
+          attributes: [],
+          where: { order_id: orderId, status: { [Op.in]: ACTIVE_STATUSES } },
+        },
+      ],
+      group: ["order_item_id"],
+      raw: true,
+      transaction,
+    });
+
+    return rows.reduce((map, row) => {
+      map[row.order_item_id] = parseInt(row.quantity, 10);
+      return map;
+    }, {});
+  }
+
+  /**
+   * List return requests with optional filters
+   * @param {Object} [filters] - Listing filters
+   * @param {number} [filters.userId] - Restrict to one customer
+   * @param {number} [filters.vendorId] - Restrict to one vendor
+   * @param {number} [filters.orderId] - Restrict to one order
+   * @param {string} [filters.status] - Return status
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @returns {Promise<Object>} Return requests and pagination metadata
+   */
+  static async list({ userId, vendorId, orderId, status, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (userId) where.user_id = userId;
+    if (vendorId) where.vendor_id = vendorId;
+    if (orderId) where.order_id = orderId;
+    if (status) where.status = status;
+
+    const { count, rows } = await ReturnRequest.findAndCountAll({
+      where,
+      include: [
+        { model: Order, as: "order", attributes: ["id", "order_number"] },
+      ],
+      order: [["created_at", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      returns: rows.map((returnRequest) => this.format(returnRequest)),
+      pagination: {
+        total: count,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Find a return request with its order, items, vendor and refund
+   * @param {number} returnId - Return request ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.userId] - Only match returns belonging to this customer
+   * @param {number} [options.vendorId] - Only match returns for this vendor
+   * @returns {Promise<ReturnRequest>} Return request
+   * @throws {AppError} 404 - When the return request does not exist
+   */
+  static async findById(returnId, { userId, vendorId } = {}) {
+    const where = { id: returnId };
+    if (userId) where.user_id = userId;
+    if (vendorId) where.vendor_id = vendorId;
+
+    const returnRequest = await ReturnRequest.findOne({
+      where,
+      include: [
+        { model: Order, as: "order", attributes: ["id", "order_number"] },
+        {
+          model: ReturnRequestItem,
+          as: "items",
+          include: [
+            {
+              model: OrderItem,
+              as: "orderItem",
+              attributes: ["id", "product_id", "combination_id", "quantity", "price"],
+              include: [{ model: Product, as: "product", attributes: ["id", "name"] }],
+            },
+          ],
+        },
+        {
+          model: Vendor,
+          as: "vendor",
+          attributes: ["id"],
+          include: [{ model: Store, as: "store", attributes: ["id", "business_name"] }],
+        },
+        { model: User, as: "customer", attributes: ["id", "first_name", "last_name", "email"] },
+        { model: User, as: "reviewer", attributes: ["id", "first_name", "last_name"] },
+        { model: Refund, as: "refund", attributes: ["id", "amount", "status", "reference"] },
+      ],
+    });
+
+    if (!returnRequest) {
+      throw new AppError("Return request not found", 404);
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * Load and lock a return request inside a transaction
+   * @private
+   */
+  static async findForUpdate(returnId, { userId, vendorId, transaction }) {
+    const where = { id: returnId };
+    if (userId) where.user_id = userId;
+    if (vendorId) where.vendor_id = vendorId;
+
+    const returnRequest = await ReturnRequest.findOne({
+      where,
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!returnRequest) {
+      throw new AppError("Return request not found", 404);
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * Ensure a return request can move to the next status
+   * @private
+   */
+  static assertStatus(returnRequest, allowed, nextStatus) {
+    if (!allowed.includes(returnRequest.status)) {
+      throw new AppError(
+        `Return request cannot be ${nextStatus} (current status: ${returnRequest.status})`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Convert a return request instance into the API shape
+   * @param {ReturnRequest} returnRequest - Return request instance
+   * @returns {Object} Plain return request object
+   */
+  static format(returnRequest) {
+    const data = returnRequest.get({ plain: true });
+
+    return {
+      id: data.id,
+      order_id: data.order_id,
+      order_number: data.order ? data.order.order_number : undefined,
+      status: data.status,
+      reason_code: data.reason_code,
+      description: data.description,
+      attachments: data.attachments || [],
+      vendor: data.vendor
+        ? {
+            id: data.vendor.id,
+            business_name: data.vendor.store ? data.vendor.store.business_name : null,
+          }
+        : undefined,
+      customer: data.customer,
+      reviewed_by: data.reviewer || data.reviewed_by,
+      reviewed_at: data.reviewed_at,
+      rejection_reason: data.rejection_reason,
+      received_at: data.received_at,
+      refund: data.refund
+        ? {
+            id: data.refund.id,
+            amount: parseFloat(data.refund.amount),
+            status: data.refund.status,
+            reference: data.refund.reference,
+          }
+        : data.refund_id,
+      created_at: data.created_at,
+      items: data.items
+        ? data.items.map((item) => ({
+            order_item_id: item.order_item_id,
+            product: item.orderItem && item.orderItem.product ? item.orderItem.product.name : null,
+            quantity: item.quantity,
+            restocked: item.restocked,
+          }))
+        : undefined,
+    };
+  }
+}
+
+module.exports = ReturnService;
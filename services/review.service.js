@@ -0,0 +1,609 @@
+const { Op } = require("sequelize");
+const {
+  Review,
+  ReviewVote,
+  ReviewReport,
+  Product,
+  Vendor,
+  User,
+  Order,
+  OrderItem,
+  OversightLog,
+  sequelize,
+} = require("../models");
+const AppError = require("../utils/appError");
+const RatingService = require("./rating.service");
+const bannedWordList = require("../config/banned-words");
+const { tokenize } = require("../utils/textSearch");
+
+/**
+ * Orderings for product reviews, by sort key
+ */
+const SORTS = {
+  recent: [["created_at", "DESC"]],
+  helpful: [
+    [sequelize.literal("(Review.helpful_count - Review.unhelpful_count)"), "DESC"],
+    ["helpful_count", "DESC"],
+    ["created_at", "DESC"],
+  ],
+  rating_high: [["rating", "DESC"], ["created_at", "DESC"]],
+  rating_low: [["rating", "ASC"], ["created_at", "DESC"]],
+};
+
+/**
+ * Review settings, read from the environment
+ * @private
+ */
+const settings = () => ({
+  // Reject reviews from customers without a delivered order for the product
+  requirePurchase: process.env.REVIEWS_REQUIRE_PURCHASE === "true",
+  // Reports after which a live review is flagged and taken back to the moderation queue
+  reportThreshold: parseInt(process.env.REVIEW_REPORT_THRESHOLD, 10) || 3,
+  // Extra banned words and phrases, on top of config/banned-words.js
+  bannedWords: (process.env.REVIEW_BANNED_WORDS || "")
+    .split(",")
+    .map((word) => word.trim())
+    .filter(Boolean),
+});
+
+/**
+ * Moderation decisions, by the status they give the review
+ */
+const DECISIONS = {
+  approve: "approved",
+  reject: "rejected",
+};
+
+/**
+ * Review Service
+ * Handles product reviews, their moderation, helpfulness votes and vendor replies.
+ *
+ * A review is flagged as a verified purchase when the customer has a delivered order containing
+ * the product. Shoppers vote reviews up or down (one vote each, which they can change); the vote
+ * counts are kept on the review so reviews can be sorted by helpfulness. The product's vendor can
+ * post one public reply per review.
+ *
+ * New and edited reviews wait in the moderation queue as "pending" and are only shown once a
+ * moderator approves them. Reviews containing banned words are flagged so moderators see them
+ * first, and a live review that enough shoppers report is flagged and taken back to the queue.
+ * Every decision is written to the oversight log.
+ *
+ * The product's and vendor's stored rating figures (see RatingService) are refreshed in the same
+ * transaction as every change that can alter the set of approved reviews.
+ */
+class ReviewService {
+  /**
+   * Create a review
+   * @param {Object} data - Review data
+   * @param {number} data.userId - Reviewing customer
+   * @param {number} data.productId - Reviewed product
+   * @param {number} data.rating - Rating (1-5)
+   * @param {string} [data.comment] - Review text
+   * @param {Array<Object>} [data.images] - Uploaded photos ({ filename, url, mimetype, size })
+   * @returns {Promise<Review>} Created review, pending moderation
+   * @throws {AppError} 400 - When the customer already reviewed the product
+   * @throws {AppError} 403 - When purchases are required and the customer has none
+   */
+  static async create({ userId, productId, rating, comment, images = [] }) {
+    const existing = await Review.findOne({ where: { product_id: productId, user_id: userId } });
+    if (existing) {
+      throw new AppError("You have already reviewed this product", 400);
+    }
+
+    const purchase = await this.findVerifiedPurchase(userId, productId);
+    if (!purchase && settings().requirePurchase) {
+      throw new AppError(
+        "You can only review products you have purchased. Please purchase this product first to leave a review.",
+        403
+      );
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const review = await Review.create(
+        {
+          product_id: productId,
+          user_id: userId,
+          order_item_id: purchase ? purchase.id : null,
+          is_verified_purchase: Boolean(purchase),
+          rating,
+          comment,
+          images: images.length > 0 ? images : null,
+          status: "pending",
+          ...this.screen(comment),
+        },
+        { transaction }
+      );
+
+      await RatingService.refreshProduct(productId, { transaction });
+
+      return review;
+    });
+  }
+
+  /**
+   * Update the customer's own review. The purchase is checked again, so a review written before
+   * delivery becomes verified once the order arrives. The edited review goes back to the
+   * moderation queue.
+   * @param {number} reviewId - Review ID
+   * @param {number} userId - Reviewing customer
+   * @param {Object} changes - { rating, comment }
+   * @returns {Promise<Review>} Updated review
+   * @throws {AppError} 400 - When nothing is changed
+   * @throws {AppError} 403 - When the review belongs to another customer
+   * @throws {AppError} 404 - When the review does not exist
+   */
+  static async update(reviewId, userId, { rating, comment }) {
+    const review = await this.findOwnReview(reviewId, userId, "update");
+
+    const updates = {};
+    if (rating !== undefined) updates.rating = rating;
+    if (comment !== undefined) updates.comment = comment;
+
+    if (Object.keys(updates).length === 0) {
+      throw new AppError("No valid fields provided for update", 400);
+    }
+
+    if (comment !== undefined) {
+      const reasons = (review.flag_reasons || []).filter((reason) => reason.type !== "banned_words");
+      const screened = this.screen(comment);
+      updates.flag_reasons = [...reasons, ...(screened.flag_reasons || [])];
+      if (updates.flag_reasons.length === 0) updates.flag_reasons = null;
+      updates.is_flagged = Boolean(updates.flag_reasons);
+    }
+
+    if (!review.is_verified_purchase) {
+      const purchase = await this.findVerifiedPurchase(userId, review.product_id);
+      if (purchase) {
+        updates.order_item_id = purchase.id;
+        updates.is_verified_purchase = true;
+      }
+    }
+
+    updates.status = "pending";
+    updates.updated_at = new Date();
+
+    return sequelize.transaction(async (transaction) => {
+      await review.update(updates, { transaction });
+      await RatingService.refreshProduct(review.product_id, { transaction });
+      return review;
+    });
+  }
+
+  /**
+   * Delete the customer's own review
+   * @param {number} reviewId - Review ID
+   * @param {number} userId - Reviewing customer
+   * @returns {Promise<void>}
+   * @throws {AppError} 403 - When the review belongs to another customer
+   * @throws {AppError} 404 - When the review does not exist
+   */
+  static async remove(reviewId, userId) {
+    const review = await this.findOwnReview(reviewId, userId, "delete");
+
+    await sequelize.transaction(async (transaction) => {
+      await review.destroy({ transaction });
+      await RatingService.refreshProduct(review.product_id, { transaction });
+    });
+  }
+
+  /**
+   * Latest delivered order item of the product bought by the customer
+   * @param {number} userId - Customer
+   * @param {number} productId - Product
+   * @returns {Promise<OrderItem|null>} Order item, or null when never delivered
+   */
+  static async findVerifiedPurchase(userId, productId) {
+    return OrderItem.findOne({
+      where: { product_id: productId },
+      include: [
+        {
+          model: Order,
+          as: "order",
+          attributes: ["id"],
+          where: { user_id: userId, order_status: "delivered" },
+          required: true,
+        },
+      ],
+      order: [["id", "DESC"]],
+    });
+  }
+
+  /**
+   * Vote a review helpful (up) or unhelpful (down). Voting again replaces the earlier vote.
+   * @param {number} reviewId - Review ID
+   * @param {number} userId - Voting user
+   * @param {string} vote - "up" or "down"
+   * @returns {Promise<Object>} { review_id, helpful_count, unhelpful_count, my_vote }
+   * @throws {AppError} 400 - When users vote on their own review
+   * @throws {AppError} 404 - When the review does not exist
+   */
+  static async vote(reviewId, userId, vote) {
+    return sequelize.transaction(async (transaction) => {
+      const review = await Review.findByPk(reviewId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!review || review.status !== "approved") {
+        throw new AppError("Review not found", 404);
+      }
+
+      if (String(review.user_id) === String(userId)) {
+        throw new AppError("You cannot vote on your own review", 400);
+      }
+
+      const existing = await ReviewVote.findOne({ where: { review_id: review.id, user_id: userId }, transaction });
+      if (existing) {
+        await existing.update({ vote }, { transaction });
+      } else {
+        await ReviewVote.create({ review_id: review.id, user_id: userId, vote }, { transaction });
+      }
+
+      return this.recount(review, vote, { transaction });
+    });
+  }
+
+  /**
+   * Withdraw the user's vote on a review
+   * @param {number} reviewId - Review ID
+   * @param {number} userId - Voting user
+   * @returns {Promise<Object>} { review_id, helpful_count, unhelpful_count, my_vote }
+   * @throws {AppError} 404 - When the review does not exist
+   */
+  static async removeVote(reviewId, userId) {
+    return sequelize.transaction(async (transaction) => {
+      const review = await Review.findByPk(reviewId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!review) {
+        throw new AppError("Review not found", 404);
+      }
+
+      await ReviewVote.destroy({ where: { review_id: review.id, user_id: userId }, transaction });
+
+      return this.recount(review, null, { transaction });
+    });
+  }
+
+  /**
+   * Post or replace the vendor's public reply to a review of one of their products
+   * @param {number} reviewId - Review ID
+   * @param {number} userId - Vendor's user account
+   * @param {string} reply - Reply text
+   * @returns {Promise<Review>} Updated review
+   * @throws {AppError} 403 - When the product is not the vendor's
+   * @throws {AppError} 404 - When the review does not exist
+   */
+  static async reply(reviewId, userId, reply) {
+    const review = await this.findVendorReview(reviewId, userId);
+    return review.update({ vendor_reply: reply, vendor_replied_at: new Date() });
+  }
+
+  /**
+   * Remove the vendor's reply to a review
+   * @param {number} reviewId - Review ID
+   * @param {number} userId - Vendor's user account
+   * @returns {Promise<Review>} Updated review
+   * @throws {AppError} 403 - When the product is not the vendor's
+   * @throws {AppError} 404 - When the review does not exist
+   */
+  static async deleteReply(reviewId, userId) {
+    const review = await this.findVendorReview(reviewId, userId);
+    return review.update({ vendor_reply: null, vendor_replied_at: null });
+  }
+
+  /**
+   * List a product's approved reviews
+   * @param {number} productId - Product ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.sort=recent] - recent, helpful, rating_high or rating_low
+   * @param {number} [options.rating] - Only reviews with this rating
+   * @param {boolean} [options.verified] - Only verified purchases
+   * @param {boolean} [options.withImages] - Only reviews with photos
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=10] - Items per page
+   * @returns {Promise<Object>} { count, rows }
+   */
+  static async listForProduct(productId, { sort = "recent", rating, verified, withImages, page = 1, limit = 10 } = {}) {
+    const where = { product_id: productId, status: "approved" };
+    if (rating) where.rating = rating;
+    if (verified) where.is_verified_purchase = true;
+    if (withImages) where.images = { [Op.ne]: null };
+
+    return Review.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit),
+      include: [
+        {
+          model: User,
+          as: "user",
+          attributes: ["id", "first_name", "last_name", "email", "profile_image"],
+        },
+      ],
+      order: SORTS[sort] || SORTS.recent,
+    });
+  }
+
+  /**
+   * Report a live review as abusive. Once REVIEW_REPORT_THRESHOLD shoppers have reported it, the
+   * review is flagged and hidden until a moderator looks at it again.
+   * @param {number} reviewId - Review ID
+   * @param {number} userId - Reporting user
+   * @param {Object} report - Report
+   * @param {string} report.reason - spam, offensive, harassment, off_topic, fake or other
+   * @param {string} [report.details] - What is wrong with the review
+   * @returns {Promise<ReviewReport>} Created report
+   * @throws {AppError} 400 - When users report their own review or report a review twice
+   * @throws {AppError} 404 - When the review does not exist or is not live
+   */
+  static async report(reviewId, userId, { reason, details }) {
+    return sequelize.transaction(async (transaction) => {
+      const review = await Review.findByPk(reviewId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!review || review.status !== "approved") {
+        throw new AppError("Review not found", 404);
+      }
+
+      if (String(review.user_id) === String(userId)) {
+        throw new AppError("You cannot report your own review", 400);
+      }
+
+      const existing = await ReviewReport.findOne({ where: { review_id: review.id, user_id: userId }, transaction });
+      if (existing) {
+        throw new AppError("You have already reported this review", 400);
+      }
+
+      const report = await ReviewReport.create(
+        { review_id: review.id, user_id: userId, reason, details: details || null },
+        { transaction }
+      );
+
+      const reportCount = review.report_count + 1;
+      const updates = { report_count: reportCount };
+
+      const openReports = await ReviewReport.count({ where: { review_id: review.id, status: "open" }, transaction });
+      if (openReports >= settings().reportThreshold) {
+        const reasons = (review.flag_reasons || []).filter((flag) => flag.type !== "reports");
+        updates.status = "pending";
+        updates.is_flagged = true;
+        updates.flag_reasons = [...reasons, { type: "reports", count: openReports }];
+      }
+
+      await review.update(updates, { transaction });
+
+      if (updates.status) {
+        await RatingService.refreshProduct(review.product_id, { transaction });
+      }
+
+      return report;
+    });
+  }
+
+  /**
+   * List reviews awaiting or past moderation, flagged reviews first
+   * @param {Object} [options] - Options
+   * @param {string} [options.status=pending] - pending, approved or rejected
+   * @param {boolean} [options.flagged] - Only flagged (true) or unflagged (false) reviews
+   * @param {boolean} [options.reported] - Only reviews with at least one report
+   * @param {number} [options.productId] - Only reviews of this product
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Items per page
+   * @returns {Promise<Object>} { count, rows }
+   */
+  static async listModerationQueue({ status = "pending", flagged, reported, productId, page = 1, limit = 20 } = {}) {
+    const where = { status };
+    if (flagged !== undefined) where.is_flagged = flagged;
+    if (reported) where.report_count = { [Op.gt]: 0 };
+    if (productId) where.product_id = productId;
+
+    return Review.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit),
+      include: [
+        {
+          model: User,
+          as: "user",
+          attributes: ["id", "first_name", "last_name", "email"],
+        },
+        {
+          model: Product,
+          as: "product",
+          attributes: ["id", "name", "slug", "thumbnail"],
+        },
+      ],
+      // Flagged and most reported first, then the longest waiting
+      order: [
+        ["is_flagged", "DESC"],
+        ["report_count", "DESC"],
+        ["created_at", "ASC"],
+      ],
+    });
+  }
+
+  /**
+   * Load a review with everything a moderator needs to decide on it
+   * @param {number} reviewId - Review ID
+   * @returns {Promise<Review>} Review with its author, product, reports and last moderator
+   * @throws {AppError} 404 - When the review does not exist
+   */
+  static async findForModeration(reviewId) {
+    const review = await Review.findByPk(reviewId, {
+      include: [
+        {
+          model: User,
+          as: "user",
+          attributes: ["id", "first_name", "last_name", "email"],
+        },
+        {
+          model: Product,
+          as: "product",
+          attributes: ["id", "name", "slug", "thumbnail"],
+        },
+        {
+          model: ReviewReport,
+          as: "reports",
+          include: [{ model: User, as: "reporter", attributes: ["id", "first_name", "last_name", "email"] }],
+        },
+        {
+          model: User,
+          as: "moderator",
+          attributes: ["id", "first_name", "last_name"],
+        },
+      ],
+      order: [[{ model: ReviewReport, as: "reports" }, "created_at", "DESC"]],
+    });
+
+    if (!review) {
+      throw new AppError("Review not found", 404);
+    }
+
+    return review;
+  }
+
+  /**
+   * Approve or reject a review. Open reports are resolved, the flag is cleared and the decision is
+   * written to the oversight log.
+   * @param {number} reviewId - Review ID
+   * @param {number} moderatorId - Admin or sub-admin deciding
+   * @param {Object} decision - Decision
+   * @param {string} decision.decision - "approve" or "reject"
+   * @param {string} [decision.note] - Reason given by the moderator
+   * @returns {Promise<Review>} Moderated review
+   * @throws {AppError} 404 - When the review does not exist
+   */
+  static async moderate(reviewId, moderatorId, { decision, note }) {
+    return sequelize.transaction(async (transaction) => {
+      const review = await Review.findByPk(reviewId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!review) {
+        throw new AppError("Review not found", 404);
+      }
+
+      const previousStatus = review.status;
+      const flags = review.flag_reasons || [];
+
+      await review.update(
+        {
+          status: DECISIONS[decision],
+          is_flagged: false,
+          moderated_by: moderatorId,
+          moderated_at: new Date(),
+          moderation_note: note || null,
+        },
+        { transaction }
+      );
+
+      await ReviewReport.update(
+        { status: "resolved" },
+        { where: { review_id: review.id, status: "open" }, transaction }
+      );
+
+      await RatingService.refreshProduct(review.product_id, { transaction });
+
+      const details = [`was ${previousStatus}`];
+      if (flags.length > 0) details.push(`flagged for ${flags.map(this.describeFlag).join(" and ")}`);
+      if (note) details.push(`note: ${note}`);
+
+      await OversightLog.create(
+        {
+          admin_id: moderatorId,
+          functionality: "review_moderation",
+          action: `${DECISIONS[decision] === "approved" ? "Approved" : "Rejected"} review #${review.id} by user #${review.user_id} on product #${review.product_id} (${details.join("; ")})`,
+        },
+        { transaction }
+      );
+
+      return review;
+    });
+  }
+
+  /**
+   * Banned words and phrases found in a review's text
+   * @param {string} text - Review text
+   * @returns {Array<string>} Banned words found, in list order
+   */
+  static findBannedWords(text) {
+    const words = ` ${tokenize(text).join(" ")} `;
+    if (words.trim() === "") return [];
+
+    const found = [...bannedWordList, ...settings().bannedWords]
+      .map((word) => tokenize(word).join(" "))
+      .filter((word) => word && words.includes(` ${word} `));
+
+    return [...new Set(found)];
+  }
+
+  /**
+   * Flag fields for a review's text
+   * @private
+   */
+  static screen(comment) {
+    const words = this.findBannedWords(comment);
+    if (words.length === 0) {
+      return { is_flagged: false, flag_reasons: null };
+    }
+
+    return { is_flagged: true, flag_reasons: [{ type: "banned_words", words }] };
+  }
+
+  /**
+   * @private
+   */
+  static describeFlag(flag) {
+    if (flag.type === "banned_words") return `banned words (${flag.words.join(", ")})`;
+    if (flag.type === "reports") return `${flag.count} reports`;
+    return flag.type;
+  }
+
+  /**
+   * Recalculate a review's vote counts
+   * @private
+   */
+  static async recount(review, myVote, { transaction }) {
+    const [helpful, unhelpful] = await Promise.all([
+      ReviewVote.count({ where: { review_id: review.id, vote: "up" }, transaction }),
+      ReviewVote.count({ where: { review_id: review.id, vote: "down" }, transaction }),
+    ]);
+
+    await review.update({ helpful_count: helpful, unhelpful_count: unhelpful }, { transaction });
+
+    return {
+      review_id: review.id,
+      helpful_count: helpful,
+      unhelpful_count: unhelpful,
+      my_vote: myVote,
+    };
+  }
+
+  /**
+   * @private
+   */
+  static async findOwnReview(reviewId, userId, action) {
+    const review = await Review.findByPk(reviewId);
+    if (!review) {
+      throw new AppError("Review not found", 404);
+    }
+
+    if (String(review.user_id) !== String(userId)) {
+      throw new AppError(`You can only ${action} your own reviews`, 403);
+    }
+
+    return review;
+  }
+
+  /**
+   * Load a review of one of the vendor's products
+   * @private
+   */
+  static async findVendorReview(reviewId, userId) {
+    const review = await Review.findByPk(reviewId, {
+      include: [{ model: Product, as: "product", attributes: ["id", "vendor_id"] }],
+    });
+    if (!review) {
+      throw new AppError("Review not found", 404);
+    }
+
+    const vendor = await Vendor.findOne({ where: { user_id: userId }, attributes: ["id"] });
+    if (!vendor || !review.product || String(review.product.vendor_id) !== String(vendor.id)) {
+      throw new AppError("You can only reply to reviews of your own products", 403);
+    }
+
+    return review;
+  }
+}
+
+module.exports = ReviewService;
@@ -0,0 +1,561 @@
+const { Op } = require("sequelize");
+const {
+  Product,
+  ProductVariant,
+  ProductImage,
+  Category,
+  Vendor,
+  Store,
+  Journal,
+  SearchTerm,
+  sequelize,
+} = require("../models");
+const FilterService = require("./filter.service");
+const QueueService = require("./queue.service");
+const { getEngine } = require("./search");
+const synonymGroups = require("../config/search-synonyms");
+const { tokenize, stem, editDistance, allowedTypos, highlight } = require("../utils/textSearch");
+const logger = require("../utils/logger");
+
+// Shortest word the FULLTEXT index holds (innodb_ft_min_token_size)
+const MIN_WORD_LENGTH = 3;
+
+// Popularity of a product suggestion: a sale counts as much as this many views
+const SALE_WEIGHT = 20;
+
+/**
+ * Search settings, read from the environment
+ * @private
+ */
+const settings = () => ({
+  // Matches ranked per search; filters and pagination apply within them
+  maxResults: parseInt(process.env.SEARCH_MAX_RESULTS || "1000", 10),
+  // Products indexed per batch during a full reindex
+  batchSize: parseInt(process.env.SEARCH_REINDEX_BATCH_SIZE || "200", 10),
+});
+
+/**
+ * Synonym alternatives by word or phrase, built once from config/search-synonyms.js
+ * @private
+ */
+const synonyms = synonymGroups.reduce((map, group) => {
+  const entries = group.map((entry) => tokenize(entry).join(" "));
+  entries.forEach((entry) => map.set(entry, entries));
+  return map;
+}, new Map());
+
+/**
+ * Search Service
+ * Ranked product search over name, description, category, store name and variant values.
+ *
+ * A query is split into words, misspelt words are corrected against the vocabulary of indexed
+ * products (search_terms), and each word is expanded with its synonyms. The search engine
+ * (see services/search) ranks the matches; the FilterService filters then narrow them, so search
+ * supports the same filters as the product filter sidebar. Results carry their relevance score
+ * and the name and description with the matched words highlighted.
+ *
+ * The index is kept up to date by search.index queue jobs queued when products change, and
+ * rebuilt by a scheduled full reindex that also picks up renamed stores and categories.
+ */
+class SearchService {
+  /**
+   * Search active products
+   * @param {string} query - Search text
+   * @param {Object} [filters] - Filters (see FilterService.buildProductQuery)
+   * @param {Object} [pagination] - Pagination
+   * @param {number} [pagination.page=1] - Page number
+   * @param {number} [pagination.limit=20] - Items per page
+   * @returns {Promise<Object>} Query, corrected query, ranked products and pagination metadata
+   */
+  static async search(query, filters = {}, { page = 1, limit = 20 } = {}) {
+    const parsed = await this.parseQuery(query);
+    const matches = await this.match(parsed);
+    const ranked = await this.applyFilters(matches, filters);
+
+    const pageMatches = ranked.slice((page - 1) * limit, page * limit);
+    const products = await this.loadProducts(pageMatches.map((match) => match.productId));
+    const totalPages = Math.ceil(ranked.length / limit);
+
+    return {
+      query: parsed.query,
+      corrected_query: parsed.corrected ? parsed.correctedQuery : null,
+      products: pageMatches
+        .map((match) => {
+          const product = products.find((entry) => String(entry.id) === String(match.productId));
+          return product ? this.format(product, match.score, parsed.stems) : null;
+        })
+        .filter(Boolean),
+      pagination: {
+        total: ranked.length,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * IDs of the products matching a query, best match first, for callers that apply their own
+   * filters and pagination
+   * @param {string} query - Search text
+   * @returns {Promise<Array<number>>} Product IDs
+   */
+  static async matchProductIds(query) {
+    const matches = await this.match(await this.parseQuery(query));
+    return matches.map((match) => match.productId);
+  }
+
+  /**
+   * Suggestions while the shopper types: products, categories, stores and journal posts whose
+   * name has a word starting with the typed text. Within each group, names starting with the
+   * text come first, then more popular entries (sales and views for products).
+   * @param {string} query - Text typed so far
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit=5] - Suggestions per group
+   * @returns {Promise<Object>} { query, products, categories, stores, journals }
+   */
+  static async suggest(query, { limit = 5 } = {}) {
+    const text = String(query || "").trim().replace(/\s+/g, " ");
+    const stems = tokenize(text);
+    // Fetch extra candidates so names starting with the text can move ahead of popular ones
+    const candidates = limit * 4;
+
+    const popularity = `(Product.sold_units * ${SALE_WEIGHT} + Product.impressions)`;
+
+    const [products, categories, stores, journals] = await Promise.all([
+      Product.findAll({
+        where: { status: "active", [Op.or]: this.prefixMatch("name", text) },
+        attributes: ["id", "name", "slug", "thumbnail", "price", "discounted_price", [sequelize.literal(popularity), "popularity"]],
+        order: [[sequelize.literal(popularity), "DESC"]],
+        limit: candidates,
+      }),
+      Category.findAll({
+        where: { [Op.or]: this.prefixMatch("name", text) },
+        attributes: [
+          "id",
+          "name",
+          "slug",
+          [
+            sequelize.literal(
+              `(SELECT COALESCE(SUM(p.sold_units * ${SALE_WEIGHT} + p.impressions), 0) FROM products p WHERE p.category_id = Category.id AND p.status = 'active')`
+            ),
+            "popularity",
+          ],
+        ],
+        order: [[sequelize.literal("popularity"), "DESC"]],
+        limit: candidates,
+      }),
+      Store.findAll({
+        where: {
+          [Op.or]: this.prefixMatch("business_name", text),
+          [Op.and]: sequelize.literal("EXISTS (SELECT 1 FROM vendors v WHERE v.store_id = Store.id AND v.status = 'approved')"),
+        },
+        attributes: [
+          "id",
+          "business_name",
+          "slug",
+          "logo",
+          [
+            sequelize.literal(
+              `(SELECT COALESCE(SUM(p.sold_units * ${SALE_WEIGHT} + p.impressions), 0) FROM products p JOIN vendors v ON v.id = p.vendor_id WHERE v.store_id = Store.id AND p.status = 'active')`
+            ),
+            "popularity",
+          ],
+        ],
+        order: [[sequelize.literal("popularity"), "DESC"]],
+        limit: candidates,
+      }),
+      Journal.findAll({
+        where: { [Op.or]: this.prefixMatch("title", text) },
+        attributes: ["id", "title", ["view_count", "popularity"]],
+        order: [["view_count", "DESC"]],
+        limit: candidates,
+      }),
+    ]);
+
+    const rank = (records, field) =>
+      records
+        .map((record) => record.get({ plain: true }))
+        .sort((a, b) => {
+          const startsA = a[field].toLowerCase().startsWith(text.toLowerCase()) ? 1 : 0;
+          const startsB = b[field].toLowerCase().startsWith(text.toLowerCase()) ? 1 : 0;
+          return startsB - startsA || Number(b.popularity) - Number(a.popularity);
+        })
+        .slice(0, limit)
+        .map(({ popularity: score, ...record }) => ({
+          ...record,
+          popularity: Number(score) || 0,
+          highlighted: highlight(record[field], stems),
+        }));
+
+    return {
+      query: text,
+      products: rank(products, "name"),
+      categories: rank(categories, "name"),
+      stores: rank(stores, "business_name"),
+      journals: rank(journals, "title"),
+    };
+  }
+
+  /**
+   * Split a query into words, correct typos and expand synonyms
+   * @param {string} query - Search text
+   * @returns {Promise<Object>} { query, correctedQuery, corrected, groups, stems }
+   */
+  static async parseQuery(query) {
+    const words = tokenize(query);
+    const corrections = await this.correct(words.filter((word) => word.length >= MIN_WORD_LENGTH));
+    const corrected = words.map((word) => corrections.get(word) || word);
+
+    const groups = [];
+    for (let i = 0; i < corrected.length; i += 1) {
+      const phrase = `${corrected[i]} ${corrected[i + 1]}`;
+      if (i + 1 < corrected.length && synonyms.has(phrase)) {
+        groups.push(this.alternatives(phrase));
+        i += 1;
+      } else if (corrected[i].length >= MIN_WORD_LENGTH) {
+        groups.push(this.alternatives(corrected[i]));
+      }
+    }
+
+    const stems = [
+      ...new Set(groups.flat().flatMap((term) => term.split(" ")).filter((word) => word.length >= MIN_WORD_LENGTH)),
+    ];
+
+    return {
+      query: String(query || "").trim(),
+      correctedQuery: corrected.join(" "),
+      corrected: corrections.size > 0,
+      groups,
+      stems,
+    };
+  }
+
+  /**
+   * Closest indexed word for each word the index does not know
+   * @param {Array<string>} words - Words typed by the shopper
+   * @returns {Promise<Map<string, string>>} Corrections by typed word
+   */
+  static async correct(words) {
+    const corrections = new Map();
+
+    for (const word of new Set(words)) {
+      const maxTypos = allowedTypos(word);
+      if (maxTypos === 0 || synonyms.has(word) || synonyms.has(stem(word))) continue;
+
+      const known = await SearchTerm.count({ where: { term: { [Op.like]: `${stem(word)}%` } } });
+      if (known > 0) continue;
+
+      const candidates = await SearchTerm.findAll({
+        where: {
+          term: { [Op.like]: `${word[0]}%` },
+          [Op.and]: sequelize.where(sequelize.fn("CHAR_LENGTH", sequelize.col("term")), {
+            [Op.between]: [word.length - maxTypos, word.length + maxTypos],
+          }),
+        },
+        order: [["frequency", "DESC"]],
+        limit: 500,
+        raw: true,
+      });
+
+      let best = null;
+      candidates.forEach((candidate) => {
+        const distance = editDistance(word, candidate.term, maxTypos);
+        if (distance <= maxTypos && (!best || distance < best.distance)) {
+          best = { term: candidate.term, distance };
+        }
+      });
+
+      if (best) {
+        corrections.set(word, best.term);
+      }
+    }
+
+    return corrections;
+  }
+
+  /**
+   * Queue a product to be indexed again. Failures are logged: a stale index entry is fixed by
+   * the next full reindex.
+   * @param {number} productId - Product ID
+   * @returns {Promise<void>}
+   */
+  static async queueIndex(productId) {
+    try {
+      await QueueService.enqueue("search.index", { productId });
+    } catch (error) {
+      logger.error(`Failed to queue search indexing for product ${productId}:`, error);
+    }
+  }
+
+  /**
+   * Index a product, or remove it from the index when it is gone or no longer active
+   * @param {number} productId - Product ID
+   * @returns {Promise<boolean>} Whether the product is now in the index
+   */
+  static async indexProduct(productId) {
+    const engine = getEngine();
+    const [product] = await this.loadForIndex({ id: productId });
+
+    if (!product || product.status !== "active") {
+      await engine.remove([productId]);
+      return false;
+    }
+
+    const document = this.buildDocument(product);
+    await engine.index([document]);
+    await this.addTerms([document]);
+    return true;
+  }
+
+  /**
+   * Rebuild the whole index and its vocabulary
+   * @returns {Promise<Object>} { indexed, removed }
+   */
+  static async reindexAll() {
+    const engine = getEngine();
+    const { batchSize } = settings();
+    const startedAt = new Date();
+    const frequencies = new Map();
+    let indexed = 0;
+    let lastId = 0;
+
+    for (;;) {
+      const products = await this.loadForIndex(
+        { status: "active", id: { [Op.gt]: lastId } },
+        { limit: batchSize }
+      );
+      if (products.length === 0) break;
+
+      const documents = products.map((product) => this.buildDocument(product, startedAt));
+      await engine.index(documents);
+
+      documents.forEach((document) => {
+        this.documentTerms(document).forEach((term) => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      });
+
+      indexed += documents.length;
+      lastId = products[products.length - 1].id;
+    }
+
+    const removed = await engine.prune(startedAt);
+
+    await sequelize.transaction(async (transaction) => {
+      await SearchTerm.destroy({ where: {}, transaction });
+      const rows = [...frequencies.entries()].map(([term, frequency]) => ({ term, frequency }));
+      for (let i = 0; i < rows.length; i += 1000) {
+        await SearchTerm.bulkCreate(rows.slice(i, i + 1000), { transaction });
+      }
+    });
+
+    logger.info(`Search index rebuilt: ${indexed} products indexed, ${removed} removed`);
+
+    return { indexed, removed };
+  }
+
+  /**
+   * Index row for a product
+   * @param {Product} product - Product with category, store and variants loaded
+   * @param {Date} [indexedAt] - Index time (defaults to now)
+   * @returns {Object} Search document
+   */
+  static buildDocument(product, indexedAt = new Date()) {
+    const store = product.vendor && product.vendor.store;
+    const variantValues = [...new Set((product.variants || []).map((variant) => variant.value).filter(Boolean))];
+
+    return {
+      product_id: product.id,
+      name: product.name,
+      description: product.description || null,
+      category_name: product.Category ? product.Category.name : null,
+      store_name: store ? store.business_name : null,
+      variant_values: variantValues.length > 0 ? variantValues.join(" ") : null,
+      indexed_at: indexedAt,
+    };
+  }
+
+  /**
+   * Rank the matches for a parsed query. When no product matches every word, products matching
+   * any of them are returned instead.
+   * @private
+   */
+  static async match(parsed) {
+    const { maxResults } = settings();
+
+    // Words too short for the index, e.g. "XL": fall back to matching the name
+    if (parsed.groups.length === 0) {
+      if (!parsed.query) return [];
+
+      const products = await Product.findAll({
+        where: { status: "active", name: { [Op.like]: `%${parsed.query}%` } },
+        attributes: ["id"],
+        order: [["sold_units", "DESC"]],
+        limit: maxResults,
+      });
+      return products.map((product) => ({ productId: product.id, score: 0 }));
+    }
+
+    const engine = getEngine();
+
+    const matches = await engine.search({ groups: parsed.groups, matchAll: true, limit: maxResults });
+    if (matches.length > 0 || parsed.groups.length === 1) {
+      return matches;
+    }
+
+    return engine.search({ groups: parsed.groups, matchAll: false, limit: maxResults });
+  }
+
+  /**
+   * Keep the matches that pass the filters, in rank order
+   * @private
+   */
+  static async applyFilters(matches, filters) {
+    if (matches.length === 0) {
+      return [];
+    }
+
+    const { where, include } = new FilterService().buildProductQuery(filters);
+    const products = await Product.findAll({
+      where: { ...where, id: matches.map((match) => match.productId) },
+      include,
+      attributes: ["id"],
+    });
+
+    const allowed = new Set(products.map((product) => String(product.id)));
+    return matches.filter((match) => allowed.has(String(match.productId)));
+  }
+
+  /**
+   * Conditions matching a column whose text, or one of its words, starts with the given text
+   * @private
+   */
+  static prefixMatch(column, text) {
+    const escaped = text.replace(/[\\%_]/g, (char) => `\\${char}`);
+    return [{ [column]: { [Op.like]: `${escaped}%` } }, { [column]: { [Op.like]: `% ${escaped}%` } }];
+  }
+
+  /**
+   * Alternatives for a word or phrase: its stem (or the phrase) and its synonyms
+   * @private
+   */
+  static alternatives(term) {
+    const entries = synonyms.get(term) || synonyms.get(stem(term)) || [term];
+    return [
+      ...new Set(
+        entries
+          .map((entry) => (entry.includes(" ") ? entry : stem(entry)))
+          .filter((entry) => entry.length >= MIN_WORD_LENGTH)
+      ),
+    ];
+  }
+
+  /**
+   * @private
+   */
+  static loadForIndex(where, { limit } = {}) {
+    return Product.findAll({
+      where,
+      attributes: ["id", "name", "description", "status"],
+      include: [
+        { model: Category, attributes: ["id", "name"] },
+        {
+          model: Vendor,
+          as: "vendor",
+          attributes: ["id"],
+          include: [{ model: Store, as: "store", attributes: ["id", "business_name"] }],
+        },
+        { model: ProductVariant, as: "variants", attributes: ["id", "value"] },
+      ],
+      order: [["id", "ASC"]],
+      limit,
+    });
+  }
+
+  /**
+   * Words worth keeping in the vocabulary used for typo correction
+   * @private
+   */
+  static documentTerms(document) {
+    const text = [document.name, document.description, document.category_name, document.store_name, document.variant_values]
+      .filter(Boolean)
+      .join(" ");
+
+    return new Set(
+      tokenize(text).filter((word) => word.length >= MIN_WORD_LENGTH && word.length <= 64 && !/^\d+$/.test(word))
+    );
+  }
+
+  /**
+   * Add a product's new words to the vocabulary
+   * @private
+   */
+  static async addTerms(documents) {
+    const terms = new Set(documents.flatMap((document) => [...this.documentTerms(document)]));
+    if (terms.size === 0) return;
+
+    await SearchTerm.bulkCreate(
+      [...terms].map((term) => ({ term, frequency: 1 })),
+      { ignoreDuplicates: true }
+    );
+  }
+
+  /**
+   * @private
+   */
+  static loadProducts(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    return Product.findAll({
+      where: { id: ids },
+      attributes: [
+        "id",
+        "vendor_id",
+        "category_id",
+        "name",
+        "slug",
+        "description",
+        "thumbnail",
+        "price",
+        "discounted_price",
+        "status",
+        "sold_units",
+      ],
+      include: [
+        { model: Category, attributes: ["id", "name", "slug"] },
+        {
+          model: Vendor,
+          as: "vendor",
+          attributes: ["id"],
+          include: [{ model: Store, as: "store", attributes: ["id", "business_name", "slug"] }],
+        },
+        { model: ProductImage, as: "images", attributes: ["id", "image_url", "is_featured"], required: false },
+      ],
+    });
+  }
+
+  /**
+   * Convert a product into the search result shape
+   * @param {Product} product - Product instance
+   * @param {number} score - Relevance score
+   * @param {Array<string>} stems - Searched word stems, for highlighting
+   * @returns {Object} Plain product with its score and highlights
+   */
+  static format(product, score, stems) {
+    const data = product.get({ plain: true });
+
+    return {
+      ...data,
+      score: Math.round(score * 1000) / 1000,
+      highlights: {
+        name: highlight(data.name, stems),
+        description: highlight(data.description, stems, { snippetLength: 160 }),
+      },
+    };
+  }
+}
+
+module.exports = SearchService;
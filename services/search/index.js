@@ -0,0 +1,43 @@
+const MysqlSearchEngine = require("./mysql.engine");
+const AppError = require("../../utils/appError");
+
+/**
+ * Search engines
+ *
+ * Product search talks to its index through one interface, so the MySQL FULLTEXT index can be
+ * swapped for a dedicated search server without touching the search service:
+ *
+ *   code                                  Engine code (SEARCH_ENGINE)
+ *   name                                  Display name
+ *   search({ groups, matchAll, limit })   -> Promise<Array<{ productId, score }>>, best first
+ *   index(documents)                      Add or replace products
+ *   remove(productIds)                    Remove products
+ *   prune(before)                         Remove products not indexed since a full reindex began
+ *
+ * Query parsing, typo correction, synonyms and highlighting happen in the search service, so
+ * every engine gets them. To add an engine, implement the interface and list it below.
+ */
+const engines = [new MysqlSearchEngine()].reduce((registry, engine) => {
+  registry[engine.code] = engine;
+  return registry;
+}, {});
+
+/**
+ * Engine used for product search
+ * @returns {Object} Search engine
+ * @throws {AppError} 500 - When SEARCH_ENGINE names an engine that is not registered
+ */
+const getEngine = () => {
+  const code = process.env.SEARCH_ENGINE || "mysql";
+  const engine = engines[code];
+
+  if (!engine) {
+    throw new AppError(`Unsupported search engine: ${code}`, 500);
+  }
+
+  return engine;
+};
+
+module.exports = {
+  getEngine,
+};
@@ -0,0 +1,108 @@
+const { Op } = require("sequelize");
+const { ProductSearchIndex, sequelize } = require("../../models");
+
+// Relevance weight of a match in each column
+const WEIGHTS = {
+  name: 5,
+  category_name: 2,
+  store_name: 2,
+  variant_values: 1.5,
+  description: 1,
+};
+
+/**
+ * MySQL search engine
+ * Keeps one denormalized row per active product in product_search_index and ranks matches with
+ * FULLTEXT relevance, weighted per column so a match in the name counts more than one in the
+ * description. Queries run in BOOLEAN MODE: words are matched as prefixes (dress* finds
+ * dresses) and every group of alternatives can be required.
+ */
+class MysqlSearchEngine {
+  constructor() {
+    this.code = "mysql";
+    this.name = "MySQL FULLTEXT";
+  }
+
+  /**
+   * Find products matching groups of alternative terms
+   * @param {Object} query - Parsed query
+   * @param {Array<Array<string>>} query.groups - Alternatives per searched word; entries with a
+   *   space are phrases, others are word stems
+   * @param {boolean} [query.matchAll=true] - Require a match for every group
+   * @param {number} [query.limit=1000] - Maximum number of matches
+   * @returns {Promise<Array<Object>>} [{ productId, score }], best match first
+   */
+  async search({ groups, matchAll = true, limit = 1000 }) {
+    const against = this.buildQuery(groups, { matchAll });
+    if (!against) {
+      return [];
+    }
+
+    const score = Object.entries(WEIGHTS)
+      .map(([column, weight]) => `MATCH(${column}) AGAINST(:against IN BOOLEAN MODE) * ${weight}`)
+      .join(" + ");
+
+    const rows = await sequelize.query(
+      `
+      SELECT product_id, (${score}) AS score
+      FROM product_search_index
+      WHERE MATCH(name, description, category_name, store_name, variant_values) AGAINST(:against IN BOOLEAN MODE)
+      ORDER BY score DESC, product_id DESC
+      LIMIT :limit
+    `,
+      {
+        replacements: { against, limit },
+        type: sequelize.QueryTypes.SELECT,
+      }
+    );
+
+    return rows.map((row) => ({ productId: row.product_id, score: parseFloat(row.score) }));
+  }
+
+  /**
+   * Add or replace products in the index
+   * @param {Array<Object>} documents - Documents (see SearchService.buildDocument)
+   * @returns {Promise<void>}
+   */
+  async index(documents) {
+    if (documents.length === 0) return;
+
+    await ProductSearchIndex.bulkCreate(documents, {
+      updateOnDuplicate: ["name", "description", "category_name", "store_name", "variant_values", "indexed_at"],
+    });
+  }
+
+  /**
+   * Remove products from the index
+   * @param {Array<number>} productIds - Product IDs
+   * @returns {Promise<void>}
+   */
+  async remove(productIds) {
+    await ProductSearchIndex.destroy({ where: { product_id: productIds } });
+  }
+
+  /**
+   * Remove products that were not indexed since a time, i.e. left out of a full reindex
+   * @param {Date} before - Start of the reindex
+   * @returns {Promise<number>} Number of products removed
+   */
+  async prune(before) {
+    return ProductSearchIndex.destroy({ where: { indexed_at: { [Op.lt]: before } } });
+  }
+
+  /**
+   * Build a BOOLEAN MODE search string, e.g. +(dress* gown*) +(red*)
+   * Terms only contain letters, digits and spaces (see tokenize), so they need no escaping.
+   * @private
+   */
+  buildQuery(groups, { matchAll }) {
+    return groups
+      .map((alternatives) => {
+        const terms = alternatives.map((term) => (term.includes(" ") ? `"${term}"` : `${term}*`));
+        return `${matchAll ? "+" : ""}(${terms.join(" ")})`;
+      })
+      .join(" ");
+  }
+}
+
+module.exports = MysqlSearchEngine;
@@ -0,0 +1,314 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { UserSession, RefreshToken, sequelize } = require("../models");
+const AppError = require("../utils/appError");
+const tokenBlacklistService = require("./token-blacklist.service");
+
+/**
+ * Session settings, read from the environment
+ * @private
+ */
+const settings = () => ({
+  // Days a refresh token stays valid; each refresh starts the count again
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30,
+  // Seconds between updates of a session's last seen time
+  touchSeconds: parseInt(process.env.SESSION_TOUCH_SECONDS, 10) || 60,
+  // Days ended sessions are kept before cleanup deletes them
+  retentionDays: parseInt(process.env.SESSION_RETENTION_DAYS, 10) || 30,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Session Service
+ * A session is one signed-in device. Logging in starts a session and returns a short-lived
+ * access token (JWT carrying the session id as `sid`) and a refresh token. The refresh token is
+ * exchanged for a new pair when the access token expires, and works only once: each exchange
+ * replaces it. Presenting a refresh token that was already exchanged means it was copied, so
+ * every session of the user is ended and their access tokens are revoked.
+ *
+ * Access tokens of an ended session stop working straight away, since `protect` checks the
+ * session. Refresh tokens are stored as SHA-256 hashes.
+ */
+class SessionService {
+  /**
+   * Start a session
+   * @param {number} userId - User ID
+   * @param {Object} [client] - Device the user signed in from
+   * @param {string} [client.userAgent] - User-Agent header
+   * @param {string} [client.ip] - IP address
+   * @returns {Promise<Object>} { session, refreshToken }
+   */
+  static async create(userId, { userAgent, ip } = {}) {
+    return sequelize.transaction(async (transaction) => {
+      const session = await UserSession.create(
+        {
+          user_id: userId,
+          user_agent: userAgent ? userAgent.slice(0, 512) : null,
+          device: this.describeDevice(userAgent),
+          ip_address: ip || null,
+          last_seen_at: new Date(),
+          expires_at: this.refreshExpiry(),
+        },
+        { transaction }
+      );
+
+      const refreshToken = await this.issueRefreshToken(session, { transaction });
+
+      return { session, refreshToken };
+    });
+  }
+
+  /**
+   * Exchange a refresh token for a new one. Reusing an exchanged token ends all of the user's
+   * sessions and revokes their access tokens.
+   * @param {string} token - Refresh token
+   * @param {Object} [client] - Device making the request
+   * @param {string} [client.userAgent] - User-Agent header
+   * @param {string} [client.ip] - IP address
+   * @returns {Promise<Object>} { session, refreshToken }
+   * @throws {AppError} 401 - When the token is unknown, expired, reused or its session ended
+   */
+  static async rotate(token, { userAgent, ip } = {}) {
+    const result = await sequelize.transaction(async (transaction) => {
+      const record = await RefreshToken.findOne({
+        where: { token_hash: this.hashToken(token) },
+        include: [{ model: UserSession, as: "session" }],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+
+      if (!record || !record.session) {
+        throw new AppError("Invalid refresh token. Please log in again.", 401);
+      }
+
+      const { session } = record;
+
+      if (record.used_at) {
+        return { reusedBy: session.user_id };
+      }
+
+      if (session.revoked_at) {
+        throw new AppError("This session has been signed out. Please log in again.", 401);
+      }
+
+      if (new Date(record.expires_at) <= new Date()) {
+        throw new AppError("Your session has expired. Please log in again.", 401);
+      }
+
+      await record.update({ used_at: new Date() }, { transaction });
+
+      await session.update(
+        {
+          last_seen_at: new Date(),
+          expires_at: this.refreshExpiry(),
+          ip_address: ip || session.ip_address,
+          ...(userAgent && { user_agent: userAgent.slice(0, 512), device: this.describeDevice(userAgent) }),
+        },
+        { transaction }
+      );
+
+      const refreshToken = await this.issueRefreshToken(session, { transaction });
+
+      return { session, refreshToken };
+    });
+
+    if (result.reusedBy) {
+      await this.revokeAll(result.reusedBy, "refresh_token_reuse");
+      throw new AppError(
+        "This refresh token was already used. For your security, all sessions have been signed out.",
+        401
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether a session can still be used, recording that it was seen
+   * @param {number} sessionId - Session ID from the access token
+   * @param {number} userId - User the access token was issued to
+   * @returns {Promise<boolean>}
+   */
+  static async isActive(sessionId, userId) {
+    const session = await UserSession.findByPk(sessionId, {
+      attributes: ["id", "user_id", "revoked_at", "last_seen_at"],
+    });
+
+    if (!session || String(session.user_id) !== String(userId) || session.revoked_at) {
+      return false;
+    }
+
+    const staleAfter = Date.now() - settings().touchSeconds * 1000;
+    if (new Date(session.last_seen_at).getTime() < staleAfter) {
+      await UserSession.update({ last_seen_at: new Date() }, { where: { id: session.id } });
+    }
+
+    return true;
+  }
+
+  /**
+   * Active sessions of a user, most recently seen first
+   * @param {number} userId - User ID
+   * @param {number} [currentSessionId] - Session making the request, flagged as current
+   * @returns {Promise<Array<Object>>} Sessions
+   */
+  static async list(userId, currentSessionId) {
+    const sessions = await UserSession.findAll({
+      where: {
+        user_id: userId,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() },
+      },
+      attributes: ["id", "device", "user_agent", "ip_address", "last_seen_at", "created_at", "expires_at"],
+      order: [["last_seen_at", "DESC"]],
+    });
+
+    return sessions.map((session) => ({
+      ...session.get({ plain: true }),
+      is_current: String(session.id) === String(currentSessionId),
+    }));
+  }
+
+  /**
+   * End one of a user's sessions
+   * @param {number} userId - User ID
+   * @param {number} sessionId - Session to end
+   * @param {string} [reason="signed_out"] - Why it ended
+   * @returns {Promise<UserSession>} Ended session
+   * @throws {AppError} 404 - When the user has no such active session
+   */
+  static async revoke(userId, sessionId, reason = "signed_out") {
+    const session = await UserSession.findOne({
+      where: { id: sessionId, user_id: userId, revoked_at: null },
+    });
+
+    if (!session) {
+      throw new AppError("Session not found", 404);
+    }
+
+    await session.update({ revoked_at: new Date(), revoked_reason: reason });
+
+    return session;
+  }
+
+  /**
+   * End a user's sessions, optionally keeping one
+   * @param {number} userId - User ID
+   * @param {Object} [options] - Options
+   * @param {number} [options.exceptSessionId] - Session to keep, e.g. the one making the request
+   * @param {string} [options.reason="signed_out"] - Why they ended
+   * @returns {Promise<number>} Number of sessions ended
+   */
+  static async revokeSessions(userId, { exceptSessionId, reason = "signed_out" } = {}) {
+    const where = { user_id: userId, revoked_at: null };
+    if (exceptSessionId) {
+      where.id = { [Op.ne]: exceptSessionId };
+    }
+
+    const [count] = await UserSession.update({ revoked_at: new Date(), revoked_reason: reason }, { where });
+
+    return count;
+  }
+
+  /**
+   * End every session of a user and revoke all access tokens issued to them so far, including
+   * tokens issued before sessions existed
+   * @param {number} userId - User ID
+   * @param {string} reason - Why, e.g. "refresh_token_reuse" or "two_factor_disabled"
+   * @returns {Promise<number>} Number of sessions ended
+   */
+  static async revokeAll(userId, reason) {
+    const count = await this.revokeSessions(userId, { reason });
+    await tokenBlacklistService.blacklistAllUserTokens(userId, reason);
+
+    return count;
+  }
+
+  /**
+   * Delete sessions that ended or expired more than the retention period ago (their refresh
+   * tokens go with them), and expired refresh tokens of the remaining sessions
+   * @returns {Promise<Object>} { sessions, refreshTokens } deleted
+   */
+  static async cleanup() {
+    const cutoff = new Date(Date.now() - settings().retentionDays * DAY_MS);
+
+    const sessions = await UserSession.destroy({
+      where: {
+        [Op.or]: [{ revoked_at: { [Op.lt]: cutoff } }, { expires_at: { [Op.lt]: cutoff } }],
+      },
+    });
+
+    const refreshTokens = await RefreshToken.destroy({
+      where: { expires_at: { [Op.lt]: new Date() } },
+    });
+
+    return { sessions, refreshTokens };
+  }
+
+  /**
+   * Readable label for a user agent, e.g. "Chrome on Windows"
+   * @param {string} [userAgent] - User-Agent header
+   * @returns {string|null} Device label
+   */
+  static describeDevice(userAgent) {
+    if (!userAgent) return null;
+
+    const browsers = [
+      ["Edge", /Edg(e|A|iOS)?\//],
+      ["Opera", /OPR\/|Opera/],
+      ["Samsung Internet", /SamsungBrowser/],
+      ["Chrome", /Chrome\/|CriOS/],
+      ["Firefox", /Firefox\/|FxiOS/],
+      ["Safari", /Safari\//],
+    ];
+    const systems = [
+      ["iOS", /iPhone|iPad|iPod/],
+      ["Android", /Android/],
+      ["Windows", /Windows/],
+      ["macOS", /Mac OS X|Macintosh/],
+      ["Linux", /Linux/],
+    ];
+
+    const match = (list) => (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+    const browser = match(browsers);
+    const system = match(systems);
+
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || "Unknown device";
+  }
+
+  /**
+   * @private
+   */
+  static async issueRefreshToken(session, { transaction } = {}) {
+    const token = crypto.randomBytes(40).toString("hex");
+
+    await RefreshToken.create(
+      {
+        session_id: session.id,
+        token_hash: this.hashToken(token),
+        expires_at: session.expires_at,
+      },
+      { transaction }
+    );
+
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  static hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  /**
+   * @private
+   */
+  static refreshExpiry() {
+    return new Date(Date.now() + settings().refreshTokenDays * DAY_MS);
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,544 @@
+const {
+  Shipment,
+  ShipmentEvent,
+  Order,
+  OrderItem,
+  OrderDetail,
+  Address,
+  Product,
+  Vendor,
+  Store,
+  sequelize,
+} = require("../models");
+const NotificationService = require("./notification.service");
+const emailService = require("./email.service");
+const { getCarrier } = require("./carriers");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+/**
+ * Shipment statuses after which a shipment no longer changes
+ */
+const FINAL_STATUSES = ["delivered", "returned"];
+
+/**
+ * Shipment Service
+ * Tracks the parcels of an order. Each vendor ships its own items, so an order has at most one
+ * shipment per vendor, booked through a carrier adapter (see ./carriers).
+ *
+ * Every status change is kept as a timestamped event, reported by the vendor, an admin or the
+ * carrier. The order moves to "shipped" once every vendor in it has shipped and to "delivered"
+ * once every shipment has been delivered.
+ */
+class ShipmentService {
+  /**
+   * Ship a vendor's items of an order
+   * @param {Object} data - Shipment data
+   * @param {number} data.orderId - Order being shipped
+   * @param {number} data.vendorId - Vendor whose items are shipped
+   * @param {string} [data.carrier] - Carrier code (defaults to DEFAULT_CARRIER)
+   * @param {string} [data.courier] - Courier name shown to the customer
+   * @param {string} [data.trackingNumber] - Tracking number from the courier
+   * @param {string} [data.trackingUrl] - Courier tracking page
+   * @param {string} [data.estimatedDelivery] - Expected delivery date
+   * @param {string} [data.note] - Description of the first event
+   * @param {Object} options - Options
+   * @param {number} options.userId - User shipping the items
+   * @param {string} [options.source="vendor"] - vendor or admin
+   * @returns {Promise<Shipment>} Created shipment with its events
+   * @throws {AppError} 400 - When the order cannot be shipped or the carrier is unknown
+   * @throws {AppError} 404 - When the order has no items from the vendor
+   * @throws {AppError} 409 - When the vendor has already shipped the order
+   */
+  static async createShipment(data, { userId, source = "vendor" }) {
+    const carrier = getCarrier(data.carrier);
+
+    const shipment = await sequelize.transaction(async (transaction) => {
+      const order = await Order.findByPk(data.orderId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+
+      const vendorItems = order
+        ? await OrderItem.count({ where: { order_id: order.id, vendor_id: data.vendorId }, transaction })
+        : 0;
+      if (vendorItems === 0) {
+        throw new AppError("No items found for this vendor in the order", 404);
+      }
+
+      if (!["pending", "processing", "shipped"].includes(order.order_status) || order.payment_status === "failed") {
+        throw new AppError(`A ${order.order_status} order cannot be shipped`, 400);
+      }
+
+      const existing = await Shipment.findOne({
+        where: { order_id: order.id, vendor_id: data.vendorId },
+        transaction,
+      });
+      if (existing) {
+        throw new AppError("These items have already been shipped", 409);
+      }
+
+      const booking = await carrier.createShipment({
+        order,
+        vendorId: data.vendorId,
+        address: await this.getDestination(order.id, { transaction }),
+        trackingNumber: data.trackingNumber,
+        trackingUrl: data.trackingUrl,
+        estimatedDelivery: data.estimatedDelivery,
+      });
+
+      const shippedAt = new Date();
+      const created = await Shipment.create(
+        {
+          order_id: order.id,
+          vendor_id: data.vendorId,
+          carrier: carrier.code,
+          courier: data.courier || null,
+          tracking_number: booking.trackingNumber,
+          tracking_url: booking.trackingUrl,
+          status: "shipped",
+          estimated_delivery: booking.estimatedDelivery,
+          shipped_at: shippedAt,
+          created_by: userId,
+        },
+        { transaction }
+      );
+
+      await ShipmentEvent.create(
+        {
+          shipment_id: created.id,
+          status: "shipped",
+          description: data.note || "Parcel handed to the courier",
+          source,
+          occurred_at: shippedAt,
+        },
+        { transaction }
+      );
+
+      await this.syncOrderStatus(order, { transaction });
+
+      transaction.afterCommit(() =>
+        this.notifyShipped(order, created, carrier).catch((error) =>
+          logger.error(`Failed to send shipping email for shipment ${created.id}:`, error)
+        )
+      );
+
+      return created;
+    });
+
+    return this.findById(shipment.id);
+  }
+
+  /**
+   * Record a status change reported by the vendor or an admin
+   * @param {number} shipmentId - Shipment ID
+   * @param {Object} event - Event data
+   * @param {string} event.status - New shipment status
+   * @param {string} [event.description] - What happened
+   * @param {string} [event.location] - Where it happened
+   * @param {string} [event.occurredAt] - When it happened (defaults to now)
+   * @param {Object} [options] - Options
+   * @param {number} [options.vendorId] - Restrict to shipments of this vendor
+   * @param {string} [options.source="vendor"] - vendor or admin
+   * @returns {Promise<Shipment>} Updated shipment with its events
+   * @throws {AppError} 400 - When the shipment has already been delivered or returned
+   * @throws {AppError} 404 - When the shipment does not exist
+   */
+  static async addEvent(shipmentId, event, { vendorId, source = "vendor" } = {}) {
+    await sequelize.transaction(async (transaction) => {
+      const shipment = await this.findForUpdate(shipmentId, { vendorId, transaction });
+
+      await this.recordEvents(
+        shipment,
+        [
+          {
+            status: event.status,
+            description: event.description,
+            location: event.location,
+            occurred_at: event.occurredAt || new Date(),
+          },
+        ],
+        { source, transaction }
+      );
+    });
+
+    return this.findById(shipmentId);
+  }
+
+  /**
+   * Pull new tracking events from the shipment's carrier
+   * @param {number} shipmentId - Shipment ID
+   * @param {Object} [options] - Options
+   * @param {number} [options.vendorId] - Restrict to shipments of this vendor
+   * @returns {Promise<Shipment>} Shipment with its events
+   * @throws {AppError} 400 - When the shipment has already been delivered or returned
+   * @throws {AppError} 404 - When the shipment does not exist
+   */
+  static async refresh(shipmentId, { vendorId } = {}) {
+    const shipment = await this.findById(shipmentId, { vendorId });
+    this.assertOpen(shipment);
+
+    const tracked = await getCarrier(shipment.carrier).getTracking(shipment);
+
+    const recorded = new Set(
+      shipment.events.map((event) => `${event.status}|${new Date(event.occurred_at).getTime()}`)
+    );
+    const events = tracked
+      .filter((event) => !recorded.has(`${event.status}|${new Date(event.occurred_at).getTime()}`))
+      .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+
+    if (events.length === 0) {
+      return shipment;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const locked = await this.findForUpdate(shipmentId, { vendorId, transaction });
+      await this.recordEvents(locked, events, { source: "carrier", transaction });
+    });
+
+    return this.findById(shipmentId);
+  }
+
+  /**
+   * Tracking for one of a customer's orders
+   * @param {number} orderId - Order ID
+   * @param {number} userId - Customer who placed the order
+   * @returns {Promise<Object>} { order_id, order_number, order_status, shipments }
+   * @throws {AppError} 404 - When the order does not belong to the customer
+   */
+  static async getOrderTracking(orderId, userId) {
+    const order = await Order.findOne({
+      where: { id: orderId, user_id: userId },
+      attributes: ["id", "order_number", "order_status"],
+      include: [
+        {
+          model: OrderItem,
+          as: "items",
+          attributes: ["id", "vendor_id", "product_id", "quantity"],
+          include: [{ model: Product, as: "product", attributes: ["id", "name"] }],
+        },
+      ],
+    });
+
+    if (!order) {
+      throw new AppError("Order not found", 404);
+    }
+
+    const shipments = await Shipment.findAll({
+      where: { order_id: order.id },
+      include: this.includes(),
+      order: [
+        ["id", "ASC"],
+        [{ model: ShipmentEvent, as: "events" }, "occurred_at", "ASC"],
+      ],
+    });
+
+    return {
+      order_id: order.id,
+      order_number: order.order_number,
+      order_status: order.order_status,
+      shipments: shipments.map((shipment) => ({
+        ...this.format(shipment),
+        items: order.items
+          .filter((item) => String(item.vendor_id) === String(shipment.vendor_id))
+          .map((item) => ({
+            order_item_id: item.id,
+            product_id: item.product_id,
+            name: item.product ? item.product.name : null,
+            quantity: item.quantity,
+          })),
+      })),
+    };
+  }
+
+  /**
+   * List shipments
+   * @param {Object} [filters] - Listing filters
+   * @param {number} [filters.vendorId] - Restrict to one vendor
+   * @param {number} [filters.orderId] - Restrict to one order
+   * @param {string} [filters.status] - Filter by status
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @returns {Promise<Object>} Shipments and pagination metadata
+   */
+  static async list({ vendorId, orderId, status, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (vendorId) where.vendor_id = vendorId;
+    if (orderId) where.order_id = orderId;
+    if (status) where.status = status;
+
+    const { count, rows } = await Shipment.findAndCountAll({
+      where,
+      include: this.includes({ events: false }),
+      order: [["created_at", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true,
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      shipments: rows.map((shipment) => this.format(shipment)),
+      pagination: {
+        total: count,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Find a shipment by ID with its events
+   * @param {number} shipmentId - Shipment ID
+   * @param {Object} [options] - Lookup options
+   * @param {number} [options.vendorId] - Only match shipments of this vendor
+   * @returns {Promise<Shipment>} Shipment
+   * @throws {AppError} 404 - When the shipment does not exist
+   */
+  static async findById(shipmentId, { vendorId } = {}) {
+    const where = { id: shipmentId };
+    if (vendorId) where.vendor_id = vendorId;
+
+    const shipment = await Shipment.findOne({
+      where,
+      include: this.includes(),
+      order: [[{ model: ShipmentEvent, as: "events" }, "occurred_at", "ASC"]],
+    });
+
+    if (!shipment) {
+      throw new AppError("Shipment not found", 404);
+    }
+
+    return shipment;
+  }
+
+  /**
+   * Add events to a shipment and move it (and its order) to the latest status
+   * @private
+   */
+  static async recordEvents(shipment, events, { source, transaction }) {
+    this.assertOpen(shipment);
+
+    await ShipmentEvent.bulkCreate(
+      events.map((event) => ({
+        shipment_id: shipment.id,
+        status: event.status,
+        description: event.description || null,
+        location: event.location || null,
+        source,
+        occurred_at: event.occurred_at,
+      })),
+      { transaction }
+    );
+
+    const latest = events[events.length - 1];
+    const updates = { status: latest.status };
+    if (latest.status === "delivered") {
+      updates.delivered_at = latest.occurred_at;
+    }
+    await shipment.update(updates, { transaction });
+
+    if (latest.status === "delivered") {
+      const order = await Order.findByPk(shipment.order_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      await this.syncOrderStatus(order, { transaction });
+    }
+  }
+
+  /**
+   * Move the order to shipped once every vendor has shipped, and to delivered once every
+   * shipment has been delivered
+   * @private
+   */
+  static async syncOrderStatus(order, { transaction }) {
+    const shipments = await Shipment.findAll({
+      where: { order_id: order.id },
+      attributes: ["vendor_id", "status"],
+      transaction,
+    });
+
+    const items = await OrderItem.findAll({
+      where: { order_id: order.id },
+      attributes: ["vendor_id"],
+      transaction,
+    });
+
+    const shippedVendors = new Set(shipments.map((shipment) => String(shipment.vendor_id)));
+    const allShipped = items.every((item) => shippedVendors.has(String(item.vendor_id)));
+    if (!allShipped) {
+      return;
+    }
+
+    const allDelivered = shipments.every((shipment) => shipment.status === "delivered");
+    const status = allDelivered ? "delivered" : "shipped";
+
+    if (order.order_status === status || order.order_status === "delivered") {
+      return;
+    }
+
+    await order.update({ order_status: status }, { transaction });
+
+    await NotificationService.create(
+      {
+        userId: order.user_id,
+        type: `order_${status}`,
+        message: `Order #${order.order_number || order.id} has been ${status}`,
+      },
+      { transaction }
+    );
+
+    if (status === "delivered") {
+      transaction.afterCommit(() =>
+        emailService
+          .sendOrderDelivered(order, order.user_id)
+          .catch((error) => logger.error(`Failed to send delivery email for order ${order.id}:`, error))
+      );
+    }
+  }
+
+  /**
+   * Shipping address of an order
+   * @private
+   */
+  static async getDestination(orderId, { transaction }) {
+    const details = await OrderDetail.findOne({
+      where: { order_id: orderId },
+      include: [{ model: Address, as: "address" }],
+      transaction,
+    });
+
+    return details ? details.address : null;
+  }
+
+  /**
+   * Email the customer the tracking details of a new shipment
+   * @private
+   */
+  static async notifyShipped(order, shipment, carrier) {
+    const fullOrder = await Order.findByPk(order.id, {
+      include: [
+        {
+          model: OrderItem,
+          as: "items",
+          where: { vendor_id: shipment.vendor_id },
+          include: [{ model: Product, as: "product", attributes: ["id", "name"] }],
+        },
+        {
+          model: OrderDetail,
+          as: "details",
+          include: [{ model: Address, as: "address" }],
+        },
+      ],
+    });
+
+    await emailService.sendOrderShipped(fullOrder, order.user_id, {
+      trackingNumber: shipment.tracking_number,
+      trackingUrl: shipment.tracking_url,
+      carrier: shipment.courier || carrier.name,
+      estimatedDelivery: shipment.estimated_delivery,
+    });
+  }
+
+  /**
+   * Ensure a shipment can still change
+   * @private
+   */
+  static assertOpen(shipment) {
+    if (FINAL_STATUSES.includes(shipment.status)) {
+      throw new AppError(`This shipment has already been ${shipment.status}`, 400);
+    }
+  }
+
+  /**
+   * Load and lock a shipment inside a transaction
+   * @private
+   */
+  static async findForUpdate(shipmentId, { vendorId, transaction }) {
+    const where = { id: shipmentId };
+    if (vendorId) where.vendor_id = vendorId;
+
+    const shipment = await Shipment.findOne({
+      where,
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!shipment) {
+      throw new AppError("Shipment not found", 404);
+    }
+
+    return shipment;
+  }
+
+  /**
+   * Associations loaded with shipments
+   * @private
+   */
+  static includes({ events = true } = {}) {
+    const includes = [
+      {
+        model: Vendor,
+        as: "vendor",
+        attributes: ["id"],
+        include: [{ model: Store, as: "store", attributes: ["id", "business_name"] }],
+      },
+    ];
+
+    if (events) {
+      includes.push({ model: ShipmentEvent, as: "events" });
+    }
+
+    return includes;
+  }
+
+  /**
+   * Convert a shipment instance into the API shape
+   * @param {Shipment} shipment - Shipment instance
+   * @returns {Object} Plain shipment object
+   */
+  static format(shipment) {
+    const data = shipment.get({ plain: true });
+
+    let carrierName = data.carrier;
+    try {
+      carrierName = getCarrier(data.carrier).name;
+    } catch (error) {
+      // Adapter removed since the shipment was booked: fall back to its code
+    }
+
+    return {
+      id: data.id,
+      order_id: data.order_id,
+      vendor_id: data.vendor_id,
+      store_name: data.vendor && data.vendor.store ? data.vendor.store.business_name : null,
+      carrier: data.carrier,
+      courier: data.courier || carrierName,
+      tracking_number: data.tracking_number,
+      tracking_url: data.tracking_url,
+      status: data.status,
+      estimated_delivery: data.estimated_delivery,
+      shipped_at: data.shipped_at,
+      delivered_at: data.delivered_at,
+      events: data.events
+        ? data.events.map((event) => ({
+            id: event.id,
+            status: event.status,
+            description: event.description,
+            location: event.location,
+            source: event.source,
+            occurred_at: event.occurred_at,
+          }))
+        : undefined,
+      created_at: data.created_at,
+      updated_at: data.updated_at,
+    };
+  }
+}
+
+module.exports = ShipmentService;
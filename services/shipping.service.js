@@ -0,0 +1,437 @@
+const { Op } = require("sequelize");
+const { ShippingZone, ShippingRate, Product, Vendor, Store, sequelize } = require("../models");
+const AppError = require("../utils/appError");
+
+/**
+ * Shipping Service
+ * Works out what shipping costs for a basket going to an address.
+ *
+ * Every vendor ships their own items, so a basket is priced per vendor. A vendor's items use the
+ * most specific of that vendor's zones covering the address (city, then state, then the whole
+ * country) and fall back to the platform zones. Within the zone the rate tier matching the
+ * package weight, item count or the single flat tier gives the cost, unless the vendor subtotal
+ * reaches the zone's free-shipping threshold.
+ */
+class ShippingService {
+  /**
+   * Quote shipping for a basket
+   * @param {Object} basket - Basket being shipped
+   * @param {Address} basket.address - Destination address
+   * @param {Array<Object>} basket.items - Lines ({ productId, quantity, price? }); price defaults to the product price
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} { total, vendors } with one shipment per vendor
+   * @throws {AppError} 400 - When a vendor does not ship to the address
+   */
+  static async quote({ address, items }, { transaction } = {}) {
+    const products = await Product.findAll({
+      where: { id: items.map((item) => item.productId) },
+      attributes: ["id", "name", "vendor_id", "price", "discounted_price", "weight"],
+      transaction,
+    });
+    const productsById = new Map(products.map((product) => [String(product.id), product]));
+
+    const shipments = new Map();
+    for (const item of items) {
+      const product = productsById.get(String(item.productId));
+      if (!product) {
+        throw new AppError(`Product ${item.productId} not found`, 404);
+      }
+
+      const quantity = parseInt(item.quantity);
+      const price = parseFloat(item.price ?? (product.discounted_price || product.price));
+      const key = String(product.vendor_id);
+
+      if (!shipments.has(key)) {
+        shipments.set(key, {
+          vendor_id: product.vendor_id,
+          products: [],
+          item_count: 0,
+          weight: 0,
+          subtotal: 0,
+        });
+      }
+
+      const shipment = shipments.get(key);
+      shipment.products.push(product.name);
+      shipment.item_count += quantity;
+      shipment.weight += parseFloat(product.weight || 0) * quantity;
+      shipment.subtotal += price * quantity;
+    }
+
+    const vendors = [];
+    for (const shipment of shipments.values()) {
+      const zone = await this.findZone(shipment.vendor_id, address, { transaction });
+      if (!zone) {
+        throw new AppError(
+          `Shipping to ${address.city}, ${address.state}, ${address.country} is not available for ${shipment.products.join(", ")}`,
+          400
+        );
+      }
+
+      const weight = Math.round(shipment.weight * 1000) / 1000;
+      const subtotal = this.round(shipment.subtotal);
+      const measure = zone.rate_basis === "weight" ? weight : shipment.item_count;
+
+      const rate = this.pickRate(zone, measure);
+      if (!rate) {
+        throw new AppError(
+          `No shipping rate covers ${zone.rate_basis === "weight" ? `${weight}kg` : `${shipment.item_count} items`} for ${shipment.products.join(", ")}`,
+          400
+        );
+      }
+
+      const freeShipping =
+        zone.free_shipping_threshold !== null &&
+        zone.free_shipping_threshold !== undefined &&
+        subtotal >= parseFloat(zone.free_shipping_threshold);
+
+      vendors.push({
+        vendor_id: shipment.vendor_id,
+        zone_id: zone.id,
+        zone_name: zone.name,
+        rate_name: rate.name,
+        item_count: shipment.item_count,
+        weight,
+        subtotal,
+        free_shipping: freeShipping,
+        cost: freeShipping ? 0 : this.round(parseFloat(rate.cost)),
+      });
+    }
+
+    return {
+      total: this.round(vendors.reduce((sum, shipment) => sum + shipment.cost, 0)),
+      vendors,
+    };
+  }
+
+  /**
+   * Find the zone a vendor uses for an address
+   * @param {number} vendorId - Vendor shipping the items
+   * @param {Address} address - Destination address
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<ShippingZone|null>} Best matching zone with its rates
+   */
+  static async findZone(vendorId, address, { transaction } = {}) {
+    const zones = await ShippingZone.findAll({
+      where: {
+        is_active: true,
+        country: String(address.country).trim(),
+        [Op.or]: [{ vendor_id: vendorId }, { vendor_id: null }],
+      },
+      include: [{ model: ShippingRate, as: "rates" }],
+      transaction,
+    });
+
+    const ranked = zones
+      .map((zone) => ({ zone, score: this.matchScore(zone, address) }))
+      .filter(({ score }) => score >= 0)
+      .sort((a, b) => b.score - a.score);
+
+    return ranked.length > 0 ? ranked[0].zone : null;
+  }
+
+  /**
+   * How specifically a zone covers an address, or -1 when it does not.
+   * Vendor zones always outrank platform zones.
+   * @private
+   */
+  static matchScore(zone, address) {
+    const covers = (list, value) =>
+      !Array.isArray(list) ||
+      list.length === 0 ||
+      list.some((entry) => this.normalize(entry) === this.normalize(value));
+
+    if (!covers(zone.states, address.state) || !covers(zone.cities, address.city)) {
+      return -1;
+    }
+
+    let score = zone.vendor_id ? 10 : 0;
+    if (Array.isArray(zone.states) && zone.states.length > 0) score += 1;
+    if (Array.isArray(zone.cities) && zone.cities.length > 0) score += 2;
+    return score;
+  }
+
+  /**
+   * Pick the rate tier covering a weight or item count
+   * @private
+   */
+  static pickRate(zone, measure) {
+    const rates = [...(zone.rates || [])].sort(
+      (a, b) => parseFloat(b.min_value) - parseFloat(a.min_value)
+    );
+
+    if (zone.rate_basis === "flat") {
+      return rates[rates.length - 1] || null;
+    }
+
+    return (
+      rates.find(
+        (rate) =>
+          measure >= parseFloat(rate.min_value) &&
+          (rate.max_value === null || rate.max_value === undefined || measure <= parseFloat(rate.max_value))
+      ) || null
+    );
+  }
+
+  /**
+   * List shipping zones
+   * @param {Object} [filters] - Listing filters
+   * @param {number} [filters.vendorId] - Restrict to one vendor's zones
+   * @param {string} [filters.country] - Restrict to one country
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @returns {Promise<Object>} Zones and pagination metadata
+   */
+  static async list({ vendorId, country, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (vendorId) where.vendor_id = vendorId;
+    if (country) where.country = country;
+
+    const { count, rows } = await ShippingZone.findAndCountAll({
+      where,
+      include: this.zoneIncludes(),
+      order: [["created_at", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true,
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      zones: rows.map((zone) => this.format(zone)),
+      pagination: {
+        total: count,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Find a shipping zone by ID
+   * @param {number} zoneId - Zone ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.vendorId] - Only match zones owned by this vendor
+   * @returns {Promise<ShippingZone>} Zone with its rates
+   * @throws {AppError} 404 - When the zone does not exist
+   */
+  static async findById(zoneId, { vendorId } = {}) {
+    const where = { id: zoneId };
+    if (vendorId) where.vendor_id = vendorId;
+
+    const zone = await ShippingZone.findOne({ where, include: this.zoneIncludes() });
+
+    if (!zone) {
+      throw new AppError("Shipping zone not found", 404);
+    }
+
+    return zone;
+  }
+
+  /**
+   * Create a shipping zone with its rate tiers
+   * @param {Object} data - Zone attributes and rates
+   * @param {Object} [options] - Options
+   * @param {number} [options.vendorId] - Owning vendor; forces a vendor zone
+   * @returns {Promise<ShippingZone>} Created zone
+   * @throws {AppError} 400 - When the rate tiers are invalid
+   */
+  static async createZone(data, { vendorId } = {}) {
+    const attributes = this.pickAttributes(data);
+    this.assertRates(attributes.rate_basis || "flat", data.rates);
+
+    const zone = await sequelize.transaction(async (transaction) => {
+      const created = await ShippingZone.create(
+        { ...attributes, vendor_id: vendorId || data.vendor_id || null },
+        { transaction }
+      );
+      await this.replaceRates(created.id, data.rates, { transaction });
+      return created;
+    });
+
+    return this.findById(zone.id);
+  }
+
+  /**
+   * Update a shipping zone. Passing rates replaces every existing tier.
+   * @param {number} zoneId - Zone ID
+   * @param {Object} data - Attributes to change
+   * @param {Object} [options] - Options
+   * @param {number} [options.vendorId] - Only update zones owned by this vendor
+   * @returns {Promise<ShippingZone>} Updated zone
+   * @throws {AppError} 400 - When the rate tiers are invalid
+   */
+  static async updateZone(zoneId, data, { vendorId } = {}) {
+    const zone = await this.findById(zoneId, { vendorId });
+    const attributes = this.pickAttributes(data);
+    const basis = attributes.rate_basis || zone.rate_basis;
+
+    if (data.rates !== undefined) {
+      this.assertRates(basis, data.rates);
+    } else if (attributes.rate_basis && attributes.rate_basis !== zone.rate_basis) {
+      throw new AppError("Provide new rates when changing how a zone is rated", 400);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await zone.update(attributes, { transaction });
+      if (data.rates !== undefined) {
+        await this.replaceRates(zone.id, data.rates, { transaction });
+      }
+    });
+
+    return this.findById(zone.id);
+  }
+
+  /**
+   * Delete a shipping zone and its rates
+   * @param {number} zoneId - Zone ID
+   * @param {Object} [options] - Options
+   * @param {number} [options.vendorId] - Only delete zones owned by this vendor
+   * @returns {Promise<void>}
+   */
+  static async deleteZone(zoneId, { vendorId } = {}) {
+    const zone = await this.findById(zoneId, { vendorId });
+    await zone.destroy();
+  }
+
+  /**
+   * Replace the rate tiers of a zone
+   * @private
+   */
+  static async replaceRates(zoneId, rates, { transaction }) {
+    await ShippingRate.destroy({ where: { zone_id: zoneId }, transaction });
+    await ShippingRate.bulkCreate(
+      rates.map((rate) => ({
+        zone_id: zoneId,
+        name: rate.name || null,
+        min_value: rate.min_value || 0,
+        max_value: rate.max_value ?? null,
+        cost: rate.cost,
+      })),
+      { transaction }
+    );
+  }
+
+  /**
+   * Ensure rate tiers suit the zone's basis and do not overlap
+   * @private
+   */
+  static assertRates(basis, rates) {
+    if (!Array.isArray(rates) || rates.length === 0) {
+      throw new AppError("A shipping zone needs at least one rate", 400);
+    }
+    if (basis === "flat" && rates.length > 1) {
+      throw new AppError("Flat rate zones take a single rate", 400);
+    }
+    if (basis === "flat") return;
+
+    const tiers = rates
+      .map((rate) => ({
+        min: parseFloat(rate.min_value || 0),
+        max: rate.max_value === null || rate.max_value === undefined ? Infinity : parseFloat(rate.max_value),
+      }))
+      .sort((a, b) => a.min - b.min);
+
+    tiers.forEach((tier, index) => {
+      if (tier.max < tier.min) {
+        throw new AppError("A rate's max_value cannot be below its min_value", 400);
+      }
+      if (index > 0 && tier.min <= tiers[index - 1].max) {
+        throw new AppError("Shipping rate tiers cannot overlap", 400);
+      }
+    });
+  }
+
+  /**
+   * Copy the editable zone attributes from a request body
+   * @private
+   */
+  static pickAttributes(data) {
+    return ["name", "country", "states", "cities", "rate_basis", "free_shipping_threshold", "is_active"].reduce(
+      (attributes, field) => {
+        if (data[field] !== undefined) attributes[field] = data[field];
+        return attributes;
+      },
+      {}
+    );
+  }
+
+  /**
+   * Associations loaded with a zone
+   * @private
+   */
+  static zoneIncludes() {
+    return [
+      { model: ShippingRate, as: "rates" },
+      {
+        model: Vendor,
+        as: "vendor",
+        attributes: ["id"],
+        include: [{ model: Store, as: "store", attributes: ["id", "business_name"] }],
+      },
+    ];
+  }
+
+  /**
+   * Compare place names regardless of case and spacing
+   * @private
+   */
+  static normalize(value) {
+    return String(value || "").trim().toLowerCase();
+  }
+
+  /**
+   * Round to kobo
+   * @private
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Convert a shipping zone instance into the API shape
+   * @param {ShippingZone} zone - Zone instance
+   * @returns {Object} Plain zone object
+   */
+  static format(zone) {
+    const data = zone.get({ plain: true });
+
+    return {
+      id: data.id,
+      name: data.name,
+      country: data.country,
+      states: data.states || [],
+      cities: data.cities || [],
+      rate_basis: data.rate_basis,
+      free_shipping_threshold:
+        data.free_shipping_threshold !== null && data.free_shipping_threshold !== undefined
+          ? parseFloat(data.free_shipping_threshold)
+          : null,
+      is_active: data.is_active,
+      vendor: data.vendor
+        ? {
+            id: data.vendor.id,
+            business_name: data.vendor.store ? data.vendor.store.business_name : null,
+          }
+        : null,
+      rates: (data.rates || [])
+        .map((rate) => ({
+          id: rate.id,
+          name: rate.name,
+          min_value: parseFloat(rate.min_value),
+          max_value: rate.max_value !== null ? parseFloat(rate.max_value) : null,
+          cost: parseFloat(rate.cost),
+        }))
+        .sort((a, b) => a.min_value - b.min_value),
+      created_at: data.created_at,
+    };
+  }
+}
+
+module.exports = ShippingService;
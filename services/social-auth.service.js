@@ -0,0 +1,187 @@
+const { User, Role, SocialAccount, sequelize } = require("../models");
+const AppError = require("../utils/appError");
+const { getProvider } = require("../config/social-auth");
+
+/**
+ * Social Auth Service
+ * Signing in and signing up with Google or Apple, and linking those accounts to users.
+ *
+ * A provider account is matched by its subject (the provider's user ID), never by email alone.
+ * The first time a provider account is seen, it is linked to the user with the same email, but
+ * only when the provider vouches for the email and the user has verified it too; otherwise a
+ * new customer account is created. Users can link and unlink providers from their settings,
+ * but cannot unlink their only way of signing in.
+ */
+class SocialAuthService {
+  /**
+   * User signing in with a provider account, linking or creating one as needed
+   * @param {Object} profile - Verified profile from the provider's ID token
+   * @param {string} profile.provider - "google" or "apple"
+   * @param {string} profile.id - Provider user ID (subject)
+   * @param {string} [profile.email] - Email, lowercased
+   * @param {boolean} [profile.emailVerified] - Whether the provider verified the email
+   * @param {string} [profile.firstName] - First name
+   * @param {string} [profile.lastName] - Last name
+   * @param {string} [profile.picture] - Profile picture URL
+   * @returns {Promise<Object>} { user, created }
+   * @throws {AppError} 400 - When the provider did not share a verified email
+   * @throws {AppError} 409 - When an unverified account already uses the email
+   */
+  static async signIn(profile) {
+    const account = await SocialAccount.findOne({
+      where: { provider: profile.provider, provider_user_id: profile.id },
+      include: [{ model: User, as: "user" }],
+    });
+
+    if (account) {
+      await account.update({ email: profile.email || account.email, last_used_at: new Date() });
+      return { user: account.user, created: false };
+    }
+
+    const { label } = getProvider(profile.provider);
+    if (!profile.email || !profile.emailVerified) {
+      throw new AppError(`Your ${label} account did not share a verified email address`, 400);
+    }
+
+    const existing = await User.findOne({ where: { email: profile.email } });
+    if (existing) {
+      if (!existing.email_verified_at) {
+        throw new AppError(
+          `An account with this email exists but has not been verified. Log in with your password and verify your email before signing in with ${label}.`,
+          409
+        );
+      }
+
+      await this.createAccount(existing.id, profile);
+      return { user: existing, created: false };
+    }
+
+    return { user: await this.createUser(profile), created: true };
+  }
+
+  /**
+   * Link a provider account to a signed-in user
+   * @param {number} userId - User ID
+   * @param {Object} profile - Verified profile from the provider's ID token
+   * @returns {Promise<SocialAccount>} Linked account
+   * @throws {AppError} 409 - When the provider account belongs to another user, or the user already
+   *   linked a different account of the provider
+   */
+  static async link(userId, profile) {
+    const { label } = getProvider(profile.provider);
+
+    const account = await SocialAccount.findOne({
+      where: { provider: profile.provider, provider_user_id: profile.id },
+    });
+    if (account) {
+      if (String(account.user_id) !== String(userId)) {
+        throw new AppError(`This ${label} account is already linked to another user`, 409);
+      }
+      return account;
+    }
+
+    const linked = await SocialAccount.findOne({ where: { user_id: userId, provider: profile.provider } });
+    if (linked) {
+      throw new AppError(`You have already linked a ${label} account. Unlink it first.`, 409);
+    }
+
+    return this.createAccount(userId, profile);
+  }
+
+  /**
+   * Unlink a provider from a user
+   * @param {number} userId - User ID
+   * @param {string} provider - "google" or "apple"
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 - When it is the user's only way of signing in
+   * @throws {AppError} 404 - When the provider is not linked
+   */
+  static async unlink(userId, provider) {
+    const { label } = getProvider(provider);
+
+    const account = await SocialAccount.findOne({ where: { user_id: userId, provider } });
+    if (!account) {
+      throw new AppError(`No ${label} account is linked`, 404);
+    }
+
+    const user = await User.findByPk(userId, { attributes: ["id", "password"] });
+    if (!user.password) {
+      const linkedCount = await SocialAccount.count({ where: { user_id: userId } });
+      if (linkedCount <= 1) {
+        throw new AppError(
+          `${label} is your only way to sign in. Set a password with forgot password before unlinking it.`,
+          400
+        );
+      }
+    }
+
+    await account.destroy();
+  }
+
+  /**
+   * Providers linked to a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<SocialAccount>>} Linked accounts
+   */
+  static async list(userId) {
+    return SocialAccount.findAll({
+      where: { user_id: userId },
+      attributes: ["provider", "email", "last_used_at", "created_at"],
+      order: [["created_at", "ASC"]],
+    });
+  }
+
+  /**
+   * New customer account for a provider profile. The email counts as verified, since the
+   * provider verified it; there is no password until the user sets one.
+   * @private
+   */
+  static async createUser(profile) {
+    return sequelize.transaction(async (transaction) => {
+      const firstName = profile.firstName || profile.email.split("@")[0];
+      const lastName = profile.lastName || "";
+
+      const user = await User.create(
+        {
+          first_name: firstName.slice(0, 100),
+          last_name: lastName.slice(0, 100),
+          email: profile.email,
+          password: null,
+          profile_image:
+            profile.picture ||
+            `https://ui-avatars.com/api/?name=${encodeURIComponent(`${firstName} ${lastName}`.trim())}&background=random&size=128`,
+          is_active: true,
+          email_verified_at: new Date(),
+        },
+        { transaction }
+      );
+
+      const customerRole = await Role.findOne({ where: { name: "customer" }, transaction });
+      if (customerRole) {
+        await user.addRole(customerRole, { through: { created_at: new Date() }, transaction });
+      }
+
+      await this.createAccount(user.id, profile, { transaction });
+
+      return user;
+    });
+  }
+
+  /**
+   * @private
+   */
+  static async createAccount(userId, profile, { transaction } = {}) {
+    return SocialAccount.create(
+      {
+        user_id: userId,
+        provider: profile.provider,
+        provider_user_id: profile.id,
+        email: profile.email || null,
+        last_used_at: new Date(),
+      },
+      { transaction }
+    );
+  }
+}
+
+module.exports = SocialAuthService;
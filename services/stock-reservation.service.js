@@ -0,0 +1,344 @@
+const { Op } = require("sequelize");
+const {
+  StockReservation,
+  VariantCombination,
+  Inventory,
+  InventoryHistory,
+  Order,
+  sequelize,
+} = require("../models");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+/**
+ * Stock reservation settings, read from the environment
+ * @private
+ */
+const settings = () => ({
+  // Minutes stock stays held for an unpaid order
+  holdMinutes: parseInt(process.env.STOCK_RESERVATION_MINUTES, 10) || 30,
+  // Orders whose expired reservations are released per run of the job
+  batchSize: parseInt(process.env.STOCK_RESERVATION_BATCH_SIZE, 10) || 100,
+});
+
+// Releases after which a late payment takes the stock again
+const RETAKEN_ON_PAYMENT = ["expired", "payment_failed"];
+
+/**
+ * Stock Reservation Service
+ * Holds variant combination stock for an order while it waits for payment.
+ *
+ * Checkout takes the ordered quantities off the combinations' stock and records a reservation
+ * per order item that expires after a while. Payment converts the reservations into a sale.
+ * A failed payment, the reservation expiring or the order being cancelled releases them and
+ * puts the stock back. A payment that arrives after its reservation expired or its payment
+ * failed takes the stock again, even when that oversells, since the customer has paid; once the
+ * order is cancelled its stock is never taken again.
+ *
+ * Every transition writes an InventoryHistory entry: "reservation" (stock out), "sale" (no
+ * change, or stock out when taken again) and "reservation_release" (stock in).
+ */
+class StockReservationService {
+  /**
+   * Reserve stock for an order's items that have a variant combination
+   * @param {Order} order - New order, with its items
+   * @param {Object} options - Options
+   * @param {Object} options.transaction - Sequelize transaction of the checkout
+   * @returns {Promise<Array<StockReservation>>} Reservations
+   * @throws {AppError} 400 - When a combination does not exist for the product or has too little stock
+   */
+  static async reserve(order, { transaction }) {
+    const expiresAt = new Date(Date.now() + settings().holdMinutes * 60 * 1000);
+
+    // Lock combinations in a fixed order so concurrent checkouts cannot deadlock
+    const items = order.items
+      .filter((item) => item.combination_id)
+      .sort((a, b) => Number(a.combination_id) - Number(b.combination_id));
+
+    const reservations = [];
+    for (const item of items) {
+      const combination = await VariantCombination.findByPk(item.combination_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!combination || String(combination.product_id) !== String(item.product_id)) {
+        throw new AppError(`Variant combination ${item.combination_id} not found for product ${item.product_id}`, 400);
+      }
+      if (combination.stock < item.quantity) {
+        throw new AppError(`Insufficient stock for combination ${item.combination_id}`, 400);
+      }
+
+      const previousStock = combination.stock;
+      const newStock = previousStock - item.quantity;
+      await VariantCombination.update({ stock: newStock }, { where: { id: combination.id }, transaction });
+
+      reservations.push(
+        await StockReservation.create(
+          {
+            order_id: order.id,
+            order_item_id: item.id,
+            combination_id: combination.id,
+            quantity: item.quantity,
+            status: "active",
+            expires_at: expiresAt,
+          },
+          { transaction }
+        )
+      );
+
+      await this.logHistory(
+        {
+          productId: item.product_id,
+          combinationId: combination.id,
+          changeAmount: -item.quantity,
+          changeType: "reservation",
+          previousStock,
+          newStock,
+          note: `Order #${order.id}: Stock reserved until ${expiresAt.toISOString()}`,
+          adjustedBy: order.user_id,
+        },
+        { transaction }
+      );
+    }
+
+    return reservations;
+  }
+
+  /**
+   * Convert an order's reservations into a sale once it is paid. Reservations released because
+   * they expired or the payment failed take their stock again.
+   * @param {Order} order - Paid order
+   * @param {Object} options - Options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<number>} Reservations converted
+   */
+  static async convert(order, { transaction }) {
+    const reservations = await StockReservation.findAll({
+      where: {
+        order_id: order.id,
+        [Op.or]: [
+          { status: "active" },
+          { status: "released", release_reason: { [Op.in]: RETAKEN_ON_PAYMENT } },
+        ],
+      },
+      order: [["combination_id", "ASC"]],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    for (const reservation of reservations) {
+      const combination = await VariantCombination.findByPk(reservation.combination_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!combination) continue;
+
+      const retaken = reservation.status === "released";
+      const previousStock = combination.stock;
+      const newStock = retaken ? previousStock - reservation.quantity : previousStock;
+
+      if (retaken) {
+        await VariantCombination.update({ stock: newStock }, { where: { id: combination.id }, transaction });
+        if (newStock < 0) {
+          logger.warn(
+            `Order ${order.id} was paid after its reservation ${reservation.release_reason === "expired" ? "expired" : "was released"}; combination ${combination.id} is oversold by ${-newStock}`
+          );
+        }
+      }
+
+      await reservation.update({ status: "converted", resolved_at: new Date() }, { transaction });
+
+      await this.logHistory(
+        {
+          productId: combination.product_id,
+          combinationId: combination.id,
+          changeAmount: newStock - previousStock,
+          changeType: "sale",
+          previousStock,
+          newStock,
+          note: retaken
+            ? `Order #${order.id} paid after its reservation was released: Stock taken again for sale`
+            : `Order #${order.id} paid: Reserved stock sold`,
+          adjustedBy: order.user_id,
+        },
+        { transaction }
+      );
+    }
+
+    return reservations.length;
+  }
+
+  /**
+   * Release an order's active reservations, putting the stock back
+   * @param {Order} order - Order
+   * @param {Object} options - Options
+   * @param {string} options.reason - "expired", "payment_failed" or "cancelled"
+   * @param {number} [options.adjustedBy] - User recorded on the history entries (defaults to the customer)
+   * @param {boolean} [options.expiredOnly=false] - Only release reservations past their expiry
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<number>} Reservations released
+   */
+  static async release(order, { reason, adjustedBy, expiredOnly = false, transaction }) {
+    const where = { order_id: order.id, status: "active" };
+    if (expiredOnly) where.expires_at = { [Op.lte]: new Date() };
+
+    const reservations = await StockReservation.findAll({
+      where,
+      order: [["combination_id", "ASC"]],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    for (const reservation of reservations) {
+      await reservation.update(
+        { status: "released", resolved_at: new Date(), release_reason: reason },
+        { transaction }
+      );
+
+      const combination = await VariantCombination.findByPk(reservation.combination_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!combination) continue;
+
+      const previousStock = combination.stock;
+      const newStock = previousStock + reservation.quantity;
+      await VariantCombination.update({ stock: newStock }, { where: { id: combination.id }, transaction });
+
+      await this.logHistory(
+        {
+          productId: combination.product_id,
+          combinationId: combination.id,
+          changeAmount: reservation.quantity,
+          changeType: "reservation_release",
+          previousStock,
+          newStock,
+          note: `Order #${order.id}: Reservation released (${reason.replace(/_/g, " ")})`,
+          adjustedBy: adjustedBy || order.user_id,
+        },
+        { transaction }
+      );
+    }
+
+    return reservations.length;
+  }
+
+  /**
+   * Put back the stock of a cancelled order: held stock is released, sold stock (a converted
+   * reservation, or an order placed before reservations) comes back as a return, and stock
+   * already released is left alone but can no longer be taken again by a late payment
+   * @param {Order} order - Cancelled order, with its items
+   * @param {Object} options - Options
+   * @param {number} options.adjustedBy - User cancelling the order
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  static async restoreOrderStock(order, { adjustedBy, transaction }) {
+    const reservations = await StockReservation.findAll({
+      where: { order_id: order.id },
+      transaction,
+    });
+    const reservationByItem = new Map(reservations.map((reservation) => [String(reservation.order_item_id), reservation]));
+
+    await this.release(order, { reason: "cancelled", adjustedBy, transaction });
+
+    // Stock released earlier stays released: a payment arriving after the cancellation must not
+    // take it again
+    for (const reservation of reservations) {
+      if (reservation.status === "released" && RETAKEN_ON_PAYMENT.includes(reservation.release_reason)) {
+        await reservation.update({ release_reason: "cancelled" }, { transaction });
+      }
+    }
+
+    for (const item of order.items) {
+      if (!item.combination_id) continue;
+
+      const reservation = reservationByItem.get(String(item.id));
+      if (reservation && reservation.status !== "converted") continue;
+
+      const combination = await VariantCombination.findByPk(item.combination_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!combination) continue;
+
+      const previousStock = combination.stock;
+      const newStock = previousStock + item.quantity;
+      await VariantCombination.update({ stock: newStock }, { where: { id: combination.id }, transaction });
+
+      await this.logHistory(
+        {
+          productId: item.product_id,
+          combinationId: combination.id,
+          changeAmount: item.quantity,
+          changeType: "return",
+          previousStock,
+          newStock,
+          note: `Order #${order.id} cancelled: Stock restored`,
+          adjustedBy,
+        },
+        { transaction }
+      );
+    }
+  }
+
+  /**
+   * Release reservations past their expiry, one order per transaction. The orders stay pending;
+   * paying them later takes the stock again.
+   * @returns {Promise<Object>} { orders, reservations } released
+   */
+  static async releaseExpired() {
+    const expired = await StockReservation.findAll({
+      attributes: ["order_id"],
+      where: { status: "active", expires_at: { [Op.lte]: new Date() } },
+      group: ["order_id"],
+      limit: settings().batchSize,
+      raw: true,
+    });
+
+    let released = 0;
+    for (const { order_id: orderId } of expired) {
+      try {
+        released += await sequelize.transaction(async (transaction) => {
+          const order = await Order.findByPk(orderId, { attributes: ["id", "user_id"], transaction });
+          if (!order) return 0;
+          return this.release(order, { reason: "expired", expiredOnly: true, transaction });
+        });
+      } catch (error) {
+        logger.error(`Failed to release expired stock reservations of order ${orderId}:`, error);
+      }
+    }
+
+    return { orders: expired.length, reservations: released };
+  }
+
+  /**
+   * Write an inventory history entry against the product's inventory row, creating it if needed
+   * @private
+   */
+  static async logHistory(
+    { productId, combinationId, changeAmount, changeType, previousStock, newStock, note, adjustedBy },
+    { transaction }
+  ) {
+    let inventory = await Inventory.findOne({ where: { product_id: productId }, transaction });
+    if (!inventory) {
+      inventory = await Inventory.create({ product_id: productId }, { transaction });
+    }
+
+    return InventoryHistory.create(
+      {
+        inventory_id: inventory.id,
+        combination_id: combinationId,
+        change_amount: changeAmount,
+        change_type: changeType,
+        previous_stock: previousStock,
+        new_stock: newStock,
+        note,
+        adjusted_by: adjustedBy,
+      },
+      { transaction }
+    );
+  }
+}
+
+module.exports = StockReservationService;
@@ -0,0 +1,287 @@
+const { Op } = require("sequelize");
+const { TaxRule, Product } = require("../models");
+const AppError = require("../utils/appError");
+
+/**
+ * Tax Service
+ * Works out the tax (e.g. VAT) on a basket from the rules admins configure.
+ *
+ * The most specific active rule for the destination applies: one for its state, then one for
+ * its country, then a rule without a country. Each line is taxed after its share of any coupon
+ * discount; products in the rule's exempt categories are not taxed. When the rule is
+ * tax-inclusive the tax is already part of the price and only reported, otherwise it is
+ * charged on top.
+ */
+class TaxService {
+  /**
+   * Work out the tax on a basket
+   * @param {Object} basket - Basket being taxed
+   * @param {Address|null} basket.address - Destination address; only rules without a country apply when null
+   * @param {Array<Object>} basket.items - Lines ({ productId, quantity, price, discountAmount? })
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} { rule, inclusive, total, charged, items } where items[i] is { tax_rate, tax_amount } for basket.items[i]
+   */
+  static async calculate({ address, items }, { transaction } = {}) {
+    const rule = await this.findRule(address, { transaction });
+
+    if (!rule) {
+      return {
+        rule: null,
+        inclusive: false,
+        total: 0,
+        charged: 0,
+        items: items.map(() => ({ tax_rate: 0, tax_amount: 0 })),
+      };
+    }
+
+    const rate = parseFloat(rule.rate);
+    const exempt = (rule.exempt_category_ids || []).map(String);
+
+    let categoriesByProduct = new Map();
+    if (exempt.length > 0) {
+      const products = await Product.findAll({
+        where: { id: items.map((item) => item.productId) },
+        attributes: ["id", "category_id"],
+        transaction,
+      });
+      categoriesByProduct = new Map(products.map((product) => [String(product.id), String(product.category_id)]));
+    }
+
+    const lines = items.map((item) => {
+      if (exempt.includes(categoriesByProduct.get(String(item.productId)))) {
+        return { tax_rate: 0, tax_amount: 0 };
+      }
+
+      const base = parseFloat(item.price) * item.quantity - parseFloat(item.discountAmount || 0);
+      const tax = rule.is_inclusive ? (base * rate) / (100 + rate) : (base * rate) / 100;
+
+      return { tax_rate: rate, tax_amount: this.round(Math.max(tax, 0)) };
+    });
+
+    const total = this.round(lines.reduce((sum, line) => sum + line.tax_amount, 0));
+
+    return {
+      rule: { id: rule.id, name: rule.name, rate },
+      inclusive: rule.is_inclusive,
+      total,
+      charged: rule.is_inclusive ? 0 : total,
+      items: lines,
+    };
+  }
+
+  /**
+   * Find the rule that applies to a destination
+   * @param {Address|null} address - Destination address
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<TaxRule|null>} Most specific active rule
+   */
+  static async findRule(address, { transaction } = {}) {
+    const country = address ? String(address.country).trim() : null;
+
+    const where = { is_active: true };
+    if (country) {
+      where[Op.or] = [{ country }, { country: null }];
+    } else {
+      where.country = null;
+    }
+
+    const rules = await TaxRule.findAll({ where, order: [["id", "ASC"]], transaction });
+
+    const state = address ? this.normalize(address.state) : null;
+    const ranked = rules
+      .filter((rule) => !rule.state || this.normalize(rule.state) === state)
+      .map((rule) => ({ rule, score: (rule.country ? 1 : 0) + (rule.state ? 2 : 0) }))
+      .sort((a, b) => b.score - a.score);
+
+    return ranked.length > 0 ? ranked[0].rule : null;
+  }
+
+  /**
+   * List tax rules
+   * @param {Object} [filters] - Listing filters
+   * @param {string} [filters.country] - Restrict to one country
+   * @param {boolean} [filters.isActive] - Filter by active flag
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Items per page
+   * @returns {Promise<Object>} Rules and pagination metadata
+   */
+  static async list({ country, isActive, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (country) where.country = country;
+    if (isActive !== undefined) where.is_active = isActive;
+
+    const { count, rows } = await TaxRule.findAndCountAll({
+      where,
+      order: [
+        ["country", "ASC"],
+        ["state", "ASC"],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      rules: rows.map((rule) => this.format(rule)),
+      pagination: {
+        total: count,
+        total_pages: totalPages,
+        current_page: page,
+        has_next_page: page < totalPages,
+        has_previous_page: page > 1,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Find a tax rule by ID
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<TaxRule>} Rule
+   * @throws {AppError} 404 - When the rule does not exist
+   */
+  static async findById(ruleId) {
+    const rule = await TaxRule.findByPk(ruleId);
+
+    if (!rule) {
+      throw new AppError("Tax rule not found", 404);
+    }
+
+    return rule;
+  }
+
+  /**
+   * Create a tax rule
+   * @param {Object} data - Rule attributes
+   * @param {Object} options - Options
+   * @param {number} options.createdBy - Admin creating the rule
+   * @returns {Promise<TaxRule>} Created rule
+   * @throws {AppError} 400 - When a state is given without a country
+   * @throws {AppError} 409 - When an active rule already covers the same place
+   */
+  static async createRule(data, { createdBy }) {
+    const attributes = this.pickAttributes(data);
+
+    this.assertLocation(attributes);
+    if (attributes.is_active !== false) {
+      await this.assertUnique(attributes);
+    }
+
+    return TaxRule.create({ ...attributes, created_by: createdBy });
+  }
+
+  /**
+   * Update a tax rule. Orders already placed keep the tax they were charged.
+   * @param {number} ruleId - Rule ID
+   * @param {Object} data - Attributes to change
+   * @returns {Promise<TaxRule>} Updated rule
+   * @throws {AppError} 400 - When a state is given without a country
+   * @throws {AppError} 409 - When another active rule already covers the same place
+   */
+  static async updateRule(ruleId, data) {
+    const rule = await this.findById(ruleId);
+    const attributes = this.pickAttributes(data);
+    const merged = { ...rule.get({ plain: true }), ...attributes };
+
+    this.assertLocation(merged);
+    if (merged.is_active) {
+      await this.assertUnique(merged, rule.id);
+    }
+
+    return rule.update(attributes);
+  }
+
+  /**
+   * Delete a tax rule
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<void>}
+   */
+  static async deleteRule(ruleId) {
+    const rule = await this.findById(ruleId);
+    await rule.destroy();
+  }
+
+  /**
+   * Ensure no other active rule covers the same country and state
+   * @private
+   */
+  static async assertUnique({ country, state }, exceptId) {
+    const where = {
+      is_active: true,
+      country: country || null,
+      state: state || null,
+    };
+    if (exceptId) where.id = { [Op.ne]: exceptId };
+
+    if (await TaxRule.findOne({ where })) {
+      throw new AppError("An active tax rule already exists for this location", 409);
+    }
+  }
+
+  /**
+   * Ensure state rules name their country
+   * @private
+   */
+  static assertLocation({ country, state }) {
+    if (state && !country) {
+      throw new AppError("A state rule needs a country", 400);
+    }
+  }
+
+  /**
+   * Copy the editable rule attributes from a request body
+   * @private
+   */
+  static pickAttributes(data) {
+    return ["name", "country", "state", "rate", "is_inclusive", "exempt_category_ids", "is_active"].reduce(
+      (attributes, field) => {
+        if (data[field] !== undefined) attributes[field] = data[field];
+        return attributes;
+      },
+      {}
+    );
+  }
+
+  /**
+   * Compare place names regardless of case and spacing
+   * @private
+   */
+  static normalize(value) {
+    return String(value || "").trim().toLowerCase();
+  }
+
+  /**
+   * Round to kobo
+   * @private
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Convert a tax rule instance into the API shape
+   * @param {TaxRule} rule - Rule instance
+   * @returns {Object} Plain rule object
+   */
+  static format(rule) {
+    const data = rule.get({ plain: true });
+
+    return {
+      id: data.id,
+      name: data.name,
+      country: data.country,
+      state: data.state,
+      rate: parseFloat(data.rate),
+      is_inclusive: data.is_inclusive,
+      exempt_category_ids: data.exempt_category_ids || [],
+      is_active: data.is_active,
+      created_at: data.created_at,
+      updated_at: data.updated_at,
+    };
+  }
+}
+
+module.exports = TaxService;
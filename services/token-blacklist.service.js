@@ -114,8 +114,20 @@ class TokenBlacklistService {
           }
         }
       });
-      
-      return !!blacklistedToken;
+
+      if (blacklistedToken) {
+        return true;
+      }
+
+      // Tokens issued before all of the user's tokens were revoked. Access tokens carry iat
+      // with milliseconds, so a token issued later in the same second is still accepted.
+      const decoded = jwt.decode(token);
+      if (decoded && decoded.id && decoded.iat) {
+        const revokedAt = await this.getUserTokensRevokedAt(decoded.id);
+        return revokedAt !== null && Math.round(decoded.iat * 1000) < revokedAt;
+      }
+
+      return false;
     } catch (error) {
       console.error('Error checking token blacklist:', error);
       return false;
@@ -123,22 +135,40 @@ class TokenBlacklistService {
   }
 
   /**
-   * Blacklist all tokens for a specific user
+   * Blacklist all tokens for a specific user, e.g. when they turn off two-factor authentication.
+   * Rather than tracking every token, this records when the user's tokens were revoked; any
+   * token issued before that moment is rejected by isTokenBlacklisted.
    * @param {number} userId - The user ID whose tokens to blacklist
    * @param {string} [reason='user_logout'] - Reason for blacklisting
    * @returns {Promise<boolean>} - Success status
    */
   async blacklistAllUserTokens(userId, reason = 'user_logout') {
     try {
-      // This would require a more advanced approach to track all user tokens
-      // For now, we'll log that this feature needs implementation
-      console.log(`Blacklisting all tokens for user ${userId} - feature not yet implemented`);
-      
-      // In the future, this could:
-      // 1. Store user-token relationships in the database
-      // 2. Use a user-specific key pattern in Redis
-      // 3. Query all active tokens for the user and blacklist them individually
-      
+      const revokedAt = Date.now();
+      const ttl = this.getTokenLifetime();
+
+      // Try Redis first if available
+      if (this.isRedisAvailable()) {
+        try {
+          await this.redis.setex(`blacklist:user:${userId}`, ttl, String(revokedAt));
+          console.log(`All tokens for user ${userId} revoked in Redis (${reason})`);
+          return true;
+        } catch (redisError) {
+          console.warn('Redis user revocation failed, falling back to database:', redisError.message);
+          // Continue to database fallback
+        }
+      }
+
+      // Database fallback: one entry per user, moved forward on each revocation
+      await TokenBlacklist.upsert({
+        token_hash: this.hashToken(`user:${userId}`),
+        token_expiry: revokedAt + ttl * 1000,
+        blacklisted_at: new Date(revokedAt),
+        reason,
+        user_id: userId
+      });
+
+      console.log(`All tokens for user ${userId} revoked in database (${reason})`);
       return true;
     } catch (error) {
       console.error('Error blacklisting user tokens:', error);
@@ -146,6 +176,46 @@ class TokenBlacklistService {
     }
   }
 
+  /**
+   * When all of a user's tokens were last revoked
+   * @param {number} userId - The user ID
+   * @returns {Promise<number|null>} - Timestamp in milliseconds, or null when never revoked
+   */
+  async getUserTokensRevokedAt(userId) {
+    if (this.isRedisAvailable()) {
+      try {
+        const value = await this.redis.get(`blacklist:user:${userId}`);
+        if (value) {
+          return parseInt(value, 10);
+        }
+      } catch (redisError) {
+        console.warn('Redis user revocation check failed, falling back to database:', redisError.message);
+      }
+    }
+
+    const entry = await TokenBlacklist.findOne({
+      where: {
+        token_hash: this.hashToken(`user:${userId}`),
+        token_expiry: { [Op.gt]: Date.now() }
+      }
+    });
+
+    return entry ? new Date(entry.blacklisted_at).getTime() : null;
+  }
+
+  /**
+   * Longest lifetime of an issued access token, from JWT_EXPIRES_IN (e.g. "15m", "12h" or seconds)
+   * @returns {number} - Lifetime in seconds
+   */
+  getTokenLifetime() {
+    const units = { s: 1, m: 60, h: 3600, d: 86400 };
+    const match = String(process.env.JWT_EXPIRES_IN || '15m').trim().match(/^(\d+)\s*([smhd]?)$/);
+    if (!match) {
+      return 15 * units.m;
+    }
+    return parseInt(match[1], 10) * units[match[2] || 's'];
+  }
+
   /**
    * Clean up expired blacklist entries
    * @returns {Promise<number>} - Number of entries cleaned up
@@ -0,0 +1,371 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { User, Role, OversightLog } = require("../models");
+const AppError = require("../utils/appError");
+const totp = require("../utils/totp");
+const { encrypt, decrypt } = require("../utils/encryption");
+const SessionService = require("./session.service");
+const LoginSecurityService = require("./login-security.service");
+
+/**
+ * Two-factor settings, read from the environment
+ * @private
+ */
+const settings = () => ({
+  // Name shown next to the account in authenticator apps
+  issuer: process.env.TWO_FACTOR_ISSUER || process.env.APP_NAME || "Stylay",
+  // Minutes a user has to enter their code after the password step
+  challengeMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES, 10) || 5,
+  // Recovery codes issued at enrollment
+  recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES, 10) || 10,
+});
+
+/**
+ * What a login challenge token lets its holder do
+ */
+const PURPOSES = {
+  verify: "verify", // enter a code to finish logging in
+  enroll: "enroll", // set up two-factor authentication, required by the user's role
+};
+
+const CHALLENGE_AUDIENCE = "two-factor";
+
+/**
+ * Two-Factor Service
+ * Optional TOTP (authenticator app) second factor for logging in.
+ *
+ * Users enroll by scanning the provisioning URI (shown as a QR code) and confirming the first
+ * code, and receive single-use recovery codes for when they lose their phone. Once enrolled,
+ * a correct password only earns a short-lived challenge token; the access token is issued once
+ * the code (or a recovery code) is checked. Admins can require two-factor authentication for a
+ * role: its users must enroll during their next login before they get an access token, and
+ * cannot turn it off. Turning two-factor off, or an admin resetting it, signs the user out of
+ * every session and revokes every token they hold.
+ *
+ * Secrets are stored encrypted; recovery codes are stored as SHA-256 hashes.
+ */
+class TwoFactorService {
+  /**
+   * Second login step a user must complete after their password, if any
+   * @param {User} user - User who entered a correct password
+   * @returns {Promise<Object|null>} { step: "verify"|"enroll", challenge_token, expires_in }, or null when none is needed
+   */
+  static async loginStep(user) {
+    let purpose = null;
+    if (user.two_factor_enabled) {
+      purpose = PURPOSES.verify;
+    } else if (await this.isRequired(user.id)) {
+      purpose = PURPOSES.enroll;
+    }
+
+    if (!purpose) return null;
+
+    return {
+      step: purpose,
+      challenge_token: this.signChallenge(user.id, purpose),
+      expires_in: settings().challengeMinutes * 60,
+    };
+  }
+
+  /**
+   * Whether any of the user's roles requires two-factor authentication
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  static async isRequired(userId) {
+    const roles = await Role.count({
+      where: { requires_two_factor: true },
+      include: [{ model: User, as: "users", where: { id: userId }, attributes: [], required: true }],
+    });
+    return roles > 0;
+  }
+
+  /**
+   * Load the user a challenge token was issued to
+   * @param {string} token - Challenge token from the login response
+   * @param {string} purpose - "verify" or "enroll"
+   * @returns {Promise<User>} User
+   * @throws {AppError} 401 - When the token is invalid, expired or for another purpose
+   */
+  static async verifyChallenge(token, purpose) {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET, {
+        algorithms: ["HS256"],
+        issuer: process.env.APP_NAME || "Stylay",
+        audience: CHALLENGE_AUDIENCE,
+      });
+    } catch (error) {
+      throw new AppError("Your login session has expired. Please log in again.", 401);
+    }
+
+    if (payload.purpose !== purpose) {
+      throw new AppError("Invalid login session. Please log in again.", 401);
+    }
+
+    const user = await User.findByPk(payload.id);
+    if (!user) {
+      throw new AppError("Invalid login session. Please log in again.", 401);
+    }
+
+    return user;
+  }
+
+  /**
+   * Finish a login by checking the user's code or a recovery code. Wrong codes count as failed
+   * login attempts, so guessing codes locks the account like guessing passwords.
+   * @param {string} challengeToken - Challenge token from the login response
+   * @param {Object} factor - Second factor
+   * @param {string} [factor.code] - Code from the authenticator app
+   * @param {string} [factor.recoveryCode] - Unused recovery code
+   * @param {Object} [client] - { userAgent, ip } of the request, for the login history
+   * @returns {Promise<User>} Logged-in user
+   * @throws {AppError} 401 - When the challenge or the code is invalid
+   * @throws {AppError} 423 - When the account is locked
+   */
+  static async completeLogin(challengeToken, { code, recoveryCode }, client) {
+    const user = await this.verifyChallenge(challengeToken, PURPOSES.verify);
+    if (!user.two_factor_enabled) {
+      throw new AppError("Invalid login session. Please log in again.", 401);
+    }
+
+    const method = "two_factor";
+    await LoginSecurityService.assertNotLocked(user, { client, method });
+
+    try {
+      await this.checkSecondFactor(user, { code, recoveryCode });
+    } catch (error) {
+      const { locked, locked_until } = await LoginSecurityService.recordFailure(user, {
+        client,
+        method,
+        reason: "invalid_two_factor_code",
+      });
+      throw locked ? LoginSecurityService.lockedError(locked_until) : error;
+    }
+
+    return user;
+  }
+
+  /**
+   * Start enrollment: generate a secret the user adds to their authenticator app. Until the
+   * first code is confirmed, the secret is kept aside and two-factor stays off.
+   * @param {User} user - User enrolling
+   * @returns {Promise<Object>} { secret, otpauth_url }
+   * @throws {AppError} 400 - When two-factor authentication is already on
+   */
+  static async setup(user) {
+    if (user.two_factor_enabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400);
+    }
+
+    const secret = totp.generateSecret();
+    await user.update({ two_factor_pending_secret: encrypt(secret) });
+
+    return {
+      secret,
+      otpauth_url: totp.provisioningUri({ secret, accountName: user.email, issuer: settings().issuer }),
+    };
+  }
+
+  /**
+   * Finish enrollment with the first code from the authenticator app
+   * @param {User} user - User enrolling
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Array<string>>} Recovery codes, shown to the user once
+   * @throws {AppError} 400 - When setup was not started or two-factor is already on
+   * @throws {AppError} 401 - When the code is wrong
+   */
+  static async enable(user, code) {
+    if (user.two_factor_enabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400);
+    }
+    if (!user.two_factor_pending_secret) {
+      throw new AppError("Start two-factor setup before enabling it", 400);
+    }
+
+    const secret = decrypt(user.two_factor_pending_secret);
+    const step = totp.verifyCode(code, secret);
+    if (step === null) {
+      throw new AppError("Invalid two-factor code", 401);
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    await user.update({
+      two_factor_enabled: true,
+      two_factor_secret: user.two_factor_pending_secret,
+      two_factor_pending_secret: null,
+      two_factor_recovery_codes: hashes,
+      two_factor_last_step: step,
+      two_factor_enabled_at: new Date(),
+    });
+
+    return codes;
+  }
+
+  /**
+   * Turn two-factor authentication off, signing the user out everywhere
+   * @param {User} user - User
+   * @param {Object} proof - Proof it is the user
+   * @param {string} proof.password - Current password
+   * @param {string} [proof.code] - Code from the authenticator app
+   * @param {string} [proof.recoveryCode] - Unused recovery code
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 - When two-factor authentication is off
+   * @throws {AppError} 401 - When the password or code is wrong
+   * @throws {AppError} 403 - When the user's role requires two-factor authentication
+   */
+  static async disable(user, { password, code, recoveryCode }) {
+    if (!user.two_factor_enabled) {
+      throw new AppError("Two-factor authentication is not enabled", 400);
+    }
+
+    if (!(await user.comparePassword(password))) {
+      throw new AppError("Your password is wrong", 401);
+    }
+
+    await this.checkSecondFactor(user, { code, recoveryCode });
+
+    if (await this.isRequired(user.id)) {
+      throw new AppError("Your role requires two-factor authentication", 403);
+    }
+
+    await user.update(this.clearedFields());
+    await SessionService.revokeAll(user.id, "two_factor_disabled");
+  }
+
+  /**
+   * Replace the user's recovery codes
+   * @param {User} user - User
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Array<string>>} New recovery codes
+   * @throws {AppError} 400 - When two-factor authentication is off
+   * @throws {AppError} 401 - When the code is wrong
+   */
+  static async regenerateRecoveryCodes(user, code) {
+    if (!user.two_factor_enabled) {
+      throw new AppError("Two-factor authentication is not enabled", 400);
+    }
+
+    await this.checkSecondFactor(user, { code });
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await user.update({ two_factor_recovery_codes: hashes });
+
+    return codes;
+  }
+
+  /**
+   * Two-factor status of a user
+   * @param {User} user - User
+   * @returns {Promise<Object>} { enabled, enabled_at, required, recovery_codes_remaining }
+   */
+  static async status(user) {
+    return {
+      enabled: Boolean(user.two_factor_enabled),
+      enabled_at: user.two_factor_enabled_at || null,
+      required: await this.isRequired(user.id),
+      recovery_codes_remaining: (user.two_factor_recovery_codes || []).length,
+    };
+  }
+
+  /**
+   * Turn off another user's two-factor authentication, e.g. after they lost their phone and
+   * their recovery codes. Their tokens are revoked; if their role requires two-factor, they set
+   * it up again at their next login. Recorded in the oversight log.
+   * @param {number} userId - User to reset
+   * @param {number} adminId - Admin resetting it
+   * @returns {Promise<User>} Updated user
+   * @throws {AppError} 404 - When the user does not exist
+   */
+  static async reset(userId, adminId) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new AppError("No user found with that ID", 404);
+    }
+
+    await user.update(this.clearedFields());
+    await SessionService.revokeAll(user.id, "two_factor_reset");
+
+    await OversightLog.create({
+      admin_id: adminId,
+      functionality: "two_factor_authentication",
+      action: `Reset two-factor authentication for user #${user.id} (${user.email})`,
+    });
+
+    return user;
+  }
+
+  /**
+   * Check a code or recovery code, rejecting codes already used. A used recovery code is
+   * removed.
+   * @private
+   */
+  static async checkSecondFactor(user, { code, recoveryCode }) {
+    if (code) {
+      const step = totp.verifyCode(code, decrypt(user.two_factor_secret));
+      if (step !== null && step > Number(user.two_factor_last_step || 0)) {
+        await user.update({ two_factor_last_step: step });
+        return;
+      }
+    } else if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const remaining = user.two_factor_recovery_codes || [];
+      if (remaining.includes(hash)) {
+        await user.update({ two_factor_recovery_codes: remaining.filter((stored) => stored !== hash) });
+        return;
+      }
+    }
+
+    throw new AppError("Invalid two-factor code", 401);
+  }
+
+  /**
+   * @private
+   */
+  static signChallenge(userId, purpose) {
+    return jwt.sign({ id: userId, purpose }, process.env.JWT_SECRET, {
+      expiresIn: settings().challengeMinutes * 60,
+      algorithm: "HS256",
+      issuer: process.env.APP_NAME || "Stylay",
+      audience: CHALLENGE_AUDIENCE,
+    });
+  }
+
+  /**
+   * Random recovery codes like "4f9a-c21b-77de" and their hashes
+   * @private
+   */
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: settings().recoveryCodeCount }, () =>
+      crypto.randomBytes(6).toString("hex").match(/.{4}/g).join("-")
+    );
+    return { codes, hashes: codes.map((code) => this.hashRecoveryCode(code)) };
+  }
+
+  /**
+   * @private
+   */
+  static hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, "");
+    return crypto.createHash("sha256").update(normalized).digest("hex");
+  }
+
+  /**
+   * @private
+   */
+  static clearedFields() {
+    return {
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_pending_secret: null,
+      two_factor_recovery_codes: null,
+      two_factor_last_step: null,
+      two_factor_enabled_at: null,
+    };
+  }
+}
+
+TwoFactorService.PURPOSES = PURPOSES;
+
+module.exports = TwoFactorService;
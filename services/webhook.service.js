@@ -0,0 +1,124 @@
+const { Order, sequelize } = require("../models");
+const PayoutService = require("./payout.service");
+const RefundService = require("./refund.service");
+const StockReservationService = require("./stock-reservation.service");
+const OrderCancellationService = require("./order-cancellation.service");
+const emailService = require("./email.service");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+/**
+ * Webhook Service
+ * Applies verified PayStack webhook events. Events are queued by the webhook controller and
+ * handled by the queue worker, so a failing event is retried by the queue rather than by
+ * PayStack. Each event is applied in its own transaction; emails are only queued once it commits.
+ */
+class WebhookService {
+  /**
+   * Apply a PayStack webhook event
+   * @param {string} event - Event type (charge.success, transfer.failed, ...)
+   * @param {Object} data - Event data
+   * @returns {Promise<void>}
+   * @throws {AppError} 404 - When a successful charge has no matching order
+   */
+  static async handlePaystackEvent(event, data) {
+    await sequelize.transaction(async (transaction) => {
+      switch (event) {
+        case "charge.success":
+          await this.handleSuccessfulCharge(data, transaction);
+          break;
+        case "charge.failed":
+          await this.handleFailedCharge(data, transaction);
+          break;
+        case "transfer.success":
+          // Mark the vendor payout as paid and complete its ledger entry
+          await PayoutService.handleTransferSuccess(data, { transaction });
+          break;
+        case "transfer.failed":
+        case "transfer.reversed":
+          // Mark the payout failed and release its order items back to the vendor's balance
+          logger.error(`Transfer failed: ${data.reference} ${data.reason || data.status}`);
+          await PayoutService.handleTransferFailure(data, { transaction });
+          break;
+        case "refund.pending":
+        case "refund.processing":
+        case "refund.processed":
+        case "refund.failed":
+          await RefundService.handleWebhook(event, data, { transaction });
+          break;
+        default:
+          logger.info(`Unhandled event type: ${event}`);
+      }
+    });
+  }
+
+  /**
+   * Mark the order paid, turn its reserved stock into a sale and email the customer and vendors.
+   * A charge for an order that no longer takes payment (cancelled while the charge was in
+   * flight) is refunded instead.
+   * @private
+   */
+  static async handleSuccessfulCharge(data, transaction) {
+    const { reference, metadata } = data;
+    const order = await Order.findByPk(metadata.orderId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!order) {
+      throw new AppError("Order not found", 404);
+    }
+
+    if (!OrderCancellationService.acceptsPayment(order)) {
+      const refund = await OrderCancellationService.refundLatePayment(order, { reference, transaction });
+      transaction.afterCommit(() =>
+        RefundService.submit(refund).catch((error) =>
+          logger.error(`Failed to submit refund of late payment for order ${order.id}:`, error)
+        )
+      );
+      return;
+    }
+
+    order.payment_status = "paid";
+    order.payment_reference = reference;
+    order.payment_method = data.channel || "card";
+    order.paid_at = new Date();
+    await order.save({ transaction });
+
+    await StockReservationService.convert(order, { transaction });
+
+    transaction.afterCommit(() =>
+      Promise.all([
+        emailService.sendOrderConfirmation(order, metadata.userId),
+        emailService.notifyVendors(order.id),
+      ]).catch((error) => logger.error(`Failed to queue payment emails for order ${order.id}:`, error))
+    );
+  }
+
+  /**
+   * Mark the order's payment failed, release its reserved stock and email the customer
+   * @private
+   */
+  static async handleFailedCharge(data, transaction) {
+    const { reference, metadata } = data;
+    const order = await Order.findByPk(metadata.orderId, { transaction });
+
+    if (!order) {
+      return;
+    }
+
+    order.payment_status = "failed";
+    order.payment_reference = reference;
+    await order.save({ transaction });
+
+    await StockReservationService.release(order, { reason: "payment_failed", transaction });
+
+    transaction.afterCommit(() =>
+      emailService
+        .sendPaymentFailed(order, metadata.userId)
+        .catch((error) => logger.error(`Failed to queue payment failed email for order ${order.id}:`, error))
+    );
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,204 @@
+jest.mock('../models', () => ({
+  Cart: { findAll: jest.fn(), count: jest.fn() },
+  CartRecovery: { create: jest.fn(), findOne: jest.fn(), findAll: jest.fn(), count: jest.fn(), sum: jest.fn() },
+  User: {}
+}));
+
+jest.mock('../services/email.service', () => ({
+  sendAbandonedCart: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../utils/cartOrderUtils', () => ({
+  getComprehensiveCartSummary: jest.fn()
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const { Cart, CartRecovery } = require('../models');
+const emailService = require('../services/email.service');
+const { getComprehensiveCartSummary } = require('../utils/cartOrderUtils');
+const AbandonedCartService = require('../services/abandoned-cart.service');
+
+const now = new Date('2025-12-17T09:00:00Z');
+
+const userCart = {
+  id: 1,
+  user_id: 42,
+  session_id: null,
+  email: null,
+  updated_at: new Date('2025-12-15T09:00:00Z'),
+  user: { id: 42, email: 'ada@example.com', first_name: 'Ada' }
+};
+
+const guestCart = {
+  id: 2,
+  user_id: null,
+  session_id: 'sess-123',
+  email: 'guest@example.com',
+  updated_at: new Date('2025-12-16T06:00:00Z'),
+  user: null
+};
+
+const summary = {
+  cartId: 1,
+  totalItems: 2,
+  subtotal: 30000,
+  items: [{ productName: 'Ankara Maxi Dress', quantity: 2, itemPrice: 15000 }]
+};
+
+describe('AbandonedCartService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CartRecovery.findAll.mockResolvedValue([]);
+    CartRecovery.create.mockImplementation(async (values) => ({ id: 5, ...values }));
+    getComprehensiveCartSummary.mockResolvedValue(summary);
+  });
+
+  describe('findAbandoned', () => {
+    test('skips carts already emailed since their last change', async () => {
+      Cart.findAll.mockResolvedValue([userCart, guestCart]);
+      CartRecovery.findAll.mockResolvedValue([
+        { cart_id: 1, emailed_at: '2025-12-16T09:00:00Z' }, // after the cart last changed
+        { cart_id: 2, emailed_at: '2025-12-10T09:00:00Z' } // before the guest came back
+      ]);
+
+      const carts = await AbandonedCartService.findAbandoned({ now });
+
+      expect(carts).toEqual([guestCart]);
+    });
+
+    test('looks for carts untouched between the abandonment delay and the maximum age', async () => {
+      Cart.findAll.mockResolvedValue([]);
+
+      await AbandonedCartService.findAbandoned({ now });
+
+      const { where } = Cart.findAll.mock.calls[0][0];
+      expect(where.updated_at[Op.lte]).toEqual(new Date('2025-12-16T09:00:00Z'));
+      expect(where.updated_at[Op.gte]).toEqual(new Date('2025-12-10T09:00:00Z'));
+      expect(CartRecovery.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('remind', () => {
+    test('emails a customer at their account email', async () => {
+      const recovery = await AbandonedCartService.remind(userCart, { now });
+
+      expect(getComprehensiveCartSummary).toHaveBeenCalledWith(42, null);
+      expect(emailService.sendAbandonedCart).toHaveBeenCalledWith('ada@example.com', {
+        name: 'Ada',
+        cart: summary
+      });
+      expect(recovery).toMatchObject({
+        cart_id: 1,
+        user_id: 42,
+        email: 'ada@example.com',
+        item_count: 2,
+        cart_total: 30000,
+        status: 'emailed',
+        emailed_at: now
+      });
+    });
+
+    test('emails a guest at the email left on the cart', async () => {
+      await AbandonedCartService.remind(guestCart, { now });
+
+      expect(getComprehensiveCartSummary).toHaveBeenCalledWith(null, 'sess-123');
+      expect(emailService.sendAbandonedCart).toHaveBeenCalledWith(
+        'guest@example.com',
+        expect.objectContaining({ name: null })
+      );
+    });
+
+    test('skips carts whose items are no longer available', async () => {
+      getComprehensiveCartSummary.mockResolvedValue({ ...summary, items: [] });
+
+      const recovery = await AbandonedCartService.remind(userCart, { now });
+
+      expect(recovery).toBeNull();
+      expect(emailService.sendAbandonedCart).not.toHaveBeenCalled();
+      expect(CartRecovery.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('run', () => {
+    test('keeps going when one email fails', async () => {
+      Cart.findAll.mockResolvedValue([userCart, guestCart]);
+      emailService.sendAbandonedCart.mockRejectedValueOnce(new Error('SMTP down'));
+
+      const result = await AbandonedCartService.run({ now });
+
+      expect(result).toEqual({ found: 2, emailed: 1, skipped: 0, failed: 1 });
+      expect(CartRecovery.create).toHaveBeenCalledTimes(1);
+      expect(CartRecovery.create).toHaveBeenCalledWith(expect.objectContaining({ cart_id: 2 }));
+    });
+  });
+
+  describe('markRecovered', () => {
+    test('credits the order to the latest recovery email', async () => {
+      const recovery = { id: 5, update: jest.fn(async (values) => ({ id: 5, ...values })) };
+      CartRecovery.findOne.mockResolvedValue(recovery);
+
+      const result = await AbandonedCartService.markRecovered({
+        userId: 42,
+        email: 'ada@example.com',
+        orderId: 1001,
+        amount: 31500
+      });
+
+      const { where } = CartRecovery.findOne.mock.calls[0][0];
+      expect(where.status).toBe('emailed');
+      expect(where[Op.or]).toEqual([{ user_id: 42 }, { email: 'ada@example.com' }]);
+      expect(recovery.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'recovered', order_id: 1001, recovered_amount: 31500 }),
+        expect.any(Object)
+      );
+      expect(result.status).toBe('recovered');
+    });
+
+    test('does nothing when no recovery email was sent', async () => {
+      CartRecovery.findOne.mockResolvedValue(null);
+
+      const result = await AbandonedCartService.markRecovered({ userId: 42, orderId: 1001, amount: 100 });
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getStats', () => {
+    test('reports the conversion rate and recovered revenue', async () => {
+      Cart.count.mockResolvedValue(7);
+      CartRecovery.count.mockResolvedValueOnce(40).mockResolvedValueOnce(6);
+      CartRecovery.sum.mockResolvedValueOnce('800000.00').mockResolvedValueOnce('125000.50');
+
+      const stats = await AbandonedCartService.getStats({
+        from: '2025-12-01T00:00:00Z',
+        to: '2025-12-17T00:00:00Z'
+      });
+
+      expect(stats).toMatchObject({
+        abandoned_carts: 7,
+        emails_sent: 40,
+        recovered_carts: 6,
+        conversion_rate: 15,
+        abandoned_value: 800000,
+        recovered_revenue: 125000.5
+      });
+    });
+
+    test('reports a zero conversion rate when nothing was sent', async () => {
+      Cart.count.mockResolvedValue(0);
+      CartRecovery.count.mockResolvedValue(0);
+      CartRecovery.sum.mockResolvedValue(null);
+
+      const stats = await AbandonedCartService.getStats();
+
+      expect(stats.conversion_rate).toBe(0);
+      expect(stats.recovered_revenue).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+jest.mock('../models', () => ({
+  Cart: { update: jest.fn() },
+  Coupon: { findOne: jest.fn(), decrement: jest.fn() },
+  CouponRedemption: { count: jest.fn(), create: jest.fn(), findAll: jest.fn() },
+  Product: { findAll: jest.fn() },
+  Vendor: {},
+  Store: {},
+  sequelize: { transaction: jest.fn() }
+}));
+
+const { Coupon, CouponRedemption, Product } = require('../models');
+const CouponService = require('../services/coupon.service');
+
+const buildCoupon = (overrides = {}) => ({
+  id: 5,
+  code: 'SAVE10',
+  type: 'percentage',
+  value: '10.00',
+  max_discount_amount: null,
+  min_order_amount: '0.00',
+  usage_limit: null,
+  usage_limit_per_user: null,
+  times_used: 0,
+  starts_at: null,
+  expires_at: null,
+  is_active: true,
+  vendor_id: null,
+  product_ids: null,
+  category_ids: null,
+  vendor_ids: null,
+  ...overrides
+});
+
+const basket = {
+  userId: 42,
+  items: [
+    { productId: 10, quantity: 2, price: '5000.00' },
+    { productId: 11, quantity: 1, price: '10000.00' }
+  ],
+  shippingCost: 1500
+};
+
+describe('CouponService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Product.findAll.mockResolvedValue([
+      { id: 10, vendor_id: 3, category_id: 1 },
+      { id: 11, vendor_id: 4, category_id: 2 }
+    ]);
+    CouponRedemption.count.mockResolvedValue(0);
+  });
+
+  describe('evaluate', () => {
+    test('spreads a percentage discount across the basket', async () => {
+      const result = await CouponService.evaluate(buildCoupon(), basket);
+
+      expect(result).toEqual({ discount: 2000, eligibleSubtotal: 20000, allocations: [1000, 1000] });
+    });
+
+    test('caps percentage discounts at the maximum amount', async () => {
+      const result = await CouponService.evaluate(buildCoupon({ max_discount_amount: '1500.00' }), basket);
+
+      expect(result.discount).toBe(1500);
+      expect(result.allocations).toEqual([750, 750]);
+    });
+
+    test('only discounts the owning vendor\'s items', async () => {
+      const result = await CouponService.evaluate(
+        buildCoupon({ type: 'fixed_amount', value: '3000.00', vendor_id: 4 }),
+        basket
+      );
+
+      expect(result).toEqual({ discount: 3000, eligibleSubtotal: 10000, allocations: [0, 3000] });
+    });
+
+    test('never discounts more than the eligible items are worth', async () => {
+      const result = await CouponService.evaluate(
+        buildCoupon({ type: 'fixed_amount', value: '50000.00', product_ids: [10] }),
+        basket
+      );
+
+      expect(result.discount).toBe(10000);
+      expect(result.allocations).toEqual([10000, 0]);
+    });
+
+    test('discounts shipping for free shipping coupons', async () => {
+      const result = await CouponService.evaluate(buildCoupon({ type: 'free_shipping', value: '0.00' }), basket);
+
+      expect(result.discount).toBe(1500);
+      expect(result.allocations).toEqual([0, 0]);
+    });
+
+    test('only frees the shipping of vendors the coupon covers', async () => {
+      const shipments = [
+        { vendor_id: 3, cost: 1500 },
+        { vendor_id: 4, cost: 2500 }
+      ];
+
+      const vendorCoupon = await CouponService.evaluate(
+        buildCoupon({ type: 'free_shipping', value: '0.00', vendor_id: 3 }),
+        { ...basket, shippingCost: 4000, shipments }
+      );
+      expect(vendorCoupon.discount).toBe(1500);
+
+      const platformCoupon = await CouponService.evaluate(
+        buildCoupon({ type: 'free_shipping', value: '0.00' }),
+        { ...basket, shippingCost: 4000, shipments }
+      );
+      expect(platformCoupon.discount).toBe(4000);
+    });
+
+    test('enforces the minimum order amount', async () => {
+      await expect(
+        CouponService.evaluate(buildCoupon({ min_order_amount: '25000.00' }), basket)
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('rejects expired coupons', async () => {
+      await expect(
+        CouponService.evaluate(buildCoupon({ expires_at: new Date(Date.now() - 1000) }), basket)
+      ).rejects.toMatchObject({ statusCode: 400, message: 'This coupon has expired' });
+    });
+
+    test('enforces the total and per-customer usage limits', async () => {
+      await expect(
+        CouponService.evaluate(buildCoupon({ usage_limit: 10, times_used: 10 }), basket)
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      CouponRedemption.count.mockResolvedValue(1);
+      await expect(
+        CouponService.evaluate(buildCoupon({ usage_limit_per_user: 1 }), basket)
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(CouponRedemption.count).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { coupon_id: 5, user_id: 42 } })
+      );
+    });
+
+    test('rejects baskets with no eligible items', async () => {
+      await expect(
+        CouponService.evaluate(buildCoupon({ category_ids: [9] }), basket)
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('allocate', () => {
+    test('lets the last eligible line absorb rounding', () => {
+      const allocations = CouponService.allocate(100, [100, 100, 100], [true, true, true], 300);
+
+      expect(allocations).toEqual([33.33, 33.33, 33.34]);
+    });
+  });
+
+  describe('releaseForOrder', () => {
+    test('gives back the usage and removes the redemption', async () => {
+      const redemption = { coupon_id: 5, destroy: jest.fn() };
+      CouponRedemption.findAll.mockResolvedValue([redemption]);
+
+      const released = await CouponService.releaseForOrder(1001, { transaction: 'tx' });
+
+      expect(released).toBe(1);
+      expect(Coupon.decrement).toHaveBeenCalledWith(
+        'times_used',
+        expect.objectContaining({ by: 1, transaction: 'tx' })
+      );
+      expect(redemption.destroy).toHaveBeenCalledWith({ transaction: 'tx' });
+    });
+  });
+});
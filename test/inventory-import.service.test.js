@@ -0,0 +1,186 @@
+jest.mock('../models', () => ({
+  Inventory: { findOrCreate: jest.fn() },
+  InventoryHistory: { create: jest.fn() },
+  Product: {},
+  Supply: { create: jest.fn() },
+  VariantCombination: { findAll: jest.fn(), update: jest.fn() },
+  VendorProductTag: { findOrCreate: jest.fn() },
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('../services/low-stock.service', () => ({
+  check: jest.fn()
+}));
+
+const {
+  Inventory,
+  InventoryHistory,
+  Supply,
+  VariantCombination,
+  VendorProductTag,
+  sequelize
+} = require('../models');
+const LowStockService = require('../services/low-stock.service');
+const InventoryImportService = require('../services/inventory-import.service');
+const { parseCsv } = require('../utils/csv');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const shirt = { id: 10, name: 'Linen Shirt', sku: 'LS-1' };
+const cap = { id: 11, name: 'Cap', sku: 'CAP' };
+
+const combination = (values = {}) => ({
+  id: 100,
+  product_id: 10,
+  combination_name: 'Black-L',
+  sku_suffix: 'BLK-L',
+  stock: 5,
+  product: shirt,
+  ...values
+});
+
+const catalog = () => [
+  combination(),
+  combination({ id: 101, combination_name: 'Black-M', sku_suffix: 'BLK-M', stock: 2 }),
+  combination({ id: 110, product_id: 11, combination_name: 'Default', sku_suffix: null, stock: 0, product: cap })
+];
+
+const csv = (...lines) => ['product_sku,sku_suffix,stock,adjustment,note', ...lines].join('\n');
+
+describe('InventoryImportService', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.INVENTORY_IMPORT_MAX_ROWS;
+
+    VariantCombination.findAll.mockResolvedValue(catalog());
+    Supply.create.mockImplementation(async (values) => ({ id: 500, ...values }));
+    Inventory.findOrCreate.mockResolvedValue([{ id: 9, update: jest.fn() }]);
+    VendorProductTag.findOrCreate.mockResolvedValue([{ id: 30 }]);
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('preview', () => {
+    it('matches rows by SKU and suffix and works out each change', async () => {
+      const { rows, summary } = await InventoryImportService.preview(3, csv(
+        'ls-1,blk-l,12,,New delivery',
+        'LS-1,BLK-M,,-2,',
+        'CAP,,0,,'
+      ));
+
+      expect(summary).toEqual({ rows: 3, updates: 2, unchanged: 1, errors: 0 });
+      expect(rows[0]).toMatchObject({
+        line: 2,
+        combination_id: 100,
+        previous_stock: 5,
+        new_stock: 12,
+        change: 7,
+        change_type: 'supply',
+        status: 'update',
+        note: 'New delivery'
+      });
+      expect(rows[1]).toMatchObject({ combination_id: 101, new_stock: 0, change: -2, change_type: 'manual_adjustment' });
+      expect(rows[2]).toMatchObject({ combination_id: 110, status: 'unchanged' });
+
+      const [options] = VariantCombination.findAll.mock.calls[0];
+      expect(options.include[0].where).toEqual({ vendor_id: 3, sku: ['ls-1', 'LS-1', 'CAP'] });
+      expect(options.lock).toBeUndefined();
+    });
+
+    it('reports unknown, duplicate and invalid rows', async () => {
+      const { rows, summary } = await InventoryImportService.preview(3, csv(
+        'LS-1,BLK-XL,4,,',
+        'LS-1,BLK-L,4,,',
+        'LS-1,blk-l,,1,',
+        'LS-1,BLK-M,,-3,',
+        ',BLK-M,4,,',
+        'CAP,,lots,,'
+      ));
+
+      expect(summary).toMatchObject({ rows: 6, updates: 1, errors: 5 });
+      expect(rows.map((row) => row.errors[0])).toEqual([
+        'No combination with sku_suffix "BLK-XL" for product SKU "LS-1"',
+        undefined,
+        'Same combination as line 3',
+        'Stock cannot go below 0 (currently 2)',
+        'product_sku is required',
+        'stock must be a whole number of 0 or more'
+      ]);
+    });
+
+    it('refuses files without the columns it needs', async () => {
+      await expect(InventoryImportService.preview(3, 'sku,stock\nLS-1,4'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'The CSV file needs a product_sku column' });
+      await expect(InventoryImportService.preview(3, 'product_sku,sku_suffix\n'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('apply', () => {
+    it('applies every change in one transaction with supplies and history', async () => {
+      const result = await InventoryImportService.apply(3, 77, csv('LS-1,BLK-L,12,,', 'LS-1,BLK-M,,-2,Damaged', 'CAP,,0,,'));
+
+      expect(result.applied).toBe(true);
+      expect(sequelize.transaction).toHaveBeenCalledTimes(1);
+      expect(VariantCombination.findAll).toHaveBeenCalledWith(expect.objectContaining({ transaction, lock: 'UPDATE' }));
+      expect(VariantCombination.update).toHaveBeenCalledTimes(2);
+      expect(VariantCombination.update).toHaveBeenCalledWith({ stock: 12 }, { where: { id: 100 }, transaction });
+
+      expect(Supply.create).toHaveBeenCalledTimes(1);
+      expect(Supply.create).toHaveBeenCalledWith(expect.objectContaining({
+        vendor_id: 3,
+        product_id: 10,
+        vendor_product_tag_id: 30,
+        combination_id: 100,
+        quantity_supplied: 7
+      }), { transaction });
+
+      expect(InventoryHistory.create.mock.calls.map(([values]) => values)).toEqual([
+        expect.objectContaining({ combination_id: 100, change_type: 'supply', change_amount: 7, supply_id: 500, adjusted_by: 77, note: 'CSV import' }),
+        expect.objectContaining({ combination_id: 101, change_type: 'manual_adjustment', change_amount: -2, supply_id: null, note: 'Damaged' })
+      ]);
+      expect(Inventory.findOrCreate).toHaveBeenCalledTimes(1);
+      expect(LowStockService.check).toHaveBeenCalledWith([100, 101], { transaction });
+    });
+
+    it('changes nothing when a row is invalid', async () => {
+      const result = await InventoryImportService.apply(3, 77, csv('LS-1,BLK-L,12,,', 'LS-1,BLK-XL,1,,'));
+
+      expect(result).toMatchObject({ applied: false, summary: { errors: 1, updates: 1 } });
+      expect(VariantCombination.update).not.toHaveBeenCalled();
+      expect(InventoryHistory.create).not.toHaveBeenCalled();
+      expect(LowStockService.check).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('export', () => {
+    it('writes the vendor inventory in the import format', async () => {
+      VariantCombination.findAll.mockResolvedValue([
+        combination({ sku_suffix: '-BLK', product: { ...shirt, name: 'Linen Shirt, "Classic"' } })
+      ]);
+
+      const { filename, content } = await InventoryImportService.export(3);
+
+      expect(filename).toMatch(/^inventory-\d{4}-\d{2}-\d{2}\.csv$/);
+      expect(parseCsv(content)).toEqual([
+        ['product_sku', 'sku_suffix', 'product_name', 'combination_name', 'stock', 'adjustment', 'note'],
+        ['LS-1', "'-BLK", 'Linen Shirt, "Classic"', 'Black-L', '5', '', '']
+      ]);
+    });
+
+    it('round-trips through an import', async () => {
+      VariantCombination.findAll.mockResolvedValue([combination({ sku_suffix: '-BLK' })]);
+      const { content } = await InventoryImportService.export(3);
+
+      const { summary } = await InventoryImportService.preview(3, content);
+
+      expect(summary).toEqual({ rows: 1, updates: 0, unchanged: 1, errors: 0 });
+    });
+  });
+});
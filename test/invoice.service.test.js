@@ -0,0 +1,199 @@
+jest.mock('../models', () => ({
+  Invoice: { findOne: jest.fn(), create: jest.fn() },
+  Order: { findOne: jest.fn() },
+  OrderItem: {},
+  OrderDetail: {},
+  Address: {},
+  Product: {},
+  User: {},
+  Vendor: {},
+  Store: {},
+  Shipment: {},
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const { Invoice, Order, sequelize } = require('../models');
+const InvoiceService = require('../services/invoice.service');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const item = (values = {}) => ({
+  id: 55,
+  vendor_id: 3,
+  quantity: 2,
+  price: '15000.00',
+  sub_total: '30000.00',
+  tax_rate: '7.50',
+  tax_amount: '2250.00',
+  selected_variants: [{ id: 9, name: 'Size', value: 'M' }],
+  product: { id: 1, name: 'Ankara Maxi Dress' },
+  vendor: { id: 3, store: { id: 3, business_name: 'Ankara House', logo: null } },
+  ...values
+});
+
+const order = (values = {}) => ({
+  id: 1001,
+  order_number: 'ORD-1001',
+  order_date: '2025-12-18T09:00:00.000Z',
+  payment_status: 'paid',
+  payment_method: 'card',
+  paid_at: '2025-12-18T09:05:00.000Z',
+  total_amount: '34750.00',
+  user: { id: 42, first_name: 'Ada', last_name: 'Obi', email: 'ada@example.com', phone: '08012345678' },
+  items: [
+    item(),
+    item({ id: 56, vendor_id: 4, quantity: 1, price: '2500.00', sub_total: '2500.00', tax_rate: '0.00', tax_amount: '0.00', selected_variants: null, vendor: { id: 4, store: { id: 4, business_name: 'Lagos Beads', logo: null } } })
+  ],
+  details: {
+    shipping_cost: '2500.00',
+    tax_amount: '2250.00',
+    tax_inclusive: false,
+    discount_amount: '2500.00',
+    coupon_code: 'WELCOME10',
+    note: 'Leave at the gate',
+    address: { address_line: '12 Allen Avenue', city: 'Ikeja', state: 'Lagos', country: 'Nigeria' }
+  },
+  shipments: [{ id: 7, vendor_id: 3, tracking_number: 'GIG123456' }],
+  ...values
+});
+
+describe('InvoiceService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation((callback) => callback(transaction));
+    Invoice.create.mockImplementation(async (values) => ({ id: 1, ...values }));
+  });
+
+  describe('issue', () => {
+    test('returns the existing invoice of an order', async () => {
+      const existing = { id: 4, order_id: 1001, invoice_number: 'INV-2025-000004' };
+      Invoice.findOne.mockResolvedValueOnce(existing);
+
+      const invoice = await InvoiceService.issue(1001);
+
+      expect(invoice).toBe(existing);
+      expect(Invoice.create).not.toHaveBeenCalled();
+    });
+
+    test('numbers a new invoice after the latest one', async () => {
+      Invoice.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ sequence: 41 });
+
+      const invoice = await InvoiceService.issue(1001);
+
+      expect(Invoice.findOne.mock.calls[1][0]).toMatchObject({ lock: 'UPDATE', order: [['sequence', 'DESC']] });
+      expect(invoice).toMatchObject({ order_id: 1001, sequence: 42 });
+      expect(invoice.invoice_number).toBe(`INV-${new Date().getFullYear()}-000042`);
+    });
+
+    test('starts the numbering at one', async () => {
+      Invoice.findOne.mockResolvedValue(null);
+
+      const invoice = await InvoiceService.issue(1001);
+
+      expect(invoice.sequence).toBe(1);
+    });
+  });
+
+  describe('getTaxLines', () => {
+    test('breaks VAT down by rate', () => {
+      const lines = InvoiceService.getTaxLines(
+        [item(), item({ tax_rate: '5.00', tax_amount: '500.00' }), item({ tax_rate: '7.50', tax_amount: '750.00' })],
+        { tax_amount: '3500.00' }
+      );
+
+      expect(lines).toEqual([
+        { rate: 5, amount: 500 },
+        { rate: 7.5, amount: 3000 }
+      ]);
+    });
+
+    test('falls back to the order tax when items have no tax recorded', () => {
+      const lines = InvoiceService.getTaxLines(
+        [item({ tax_rate: null, tax_amount: null })],
+        { tax_amount: '1200.00' }
+      );
+
+      expect(lines).toEqual([{ rate: null, amount: 1200 }]);
+    });
+
+    test('has no lines for untaxed orders', () => {
+      expect(InvoiceService.getTaxLines([item({ tax_amount: '0.00' })], { tax_amount: '0.00' })).toEqual([]);
+    });
+  });
+
+  describe('getInvoiceData', () => {
+    test('groups items by store and totals the order', async () => {
+      const data = await InvoiceService.getInvoiceData(order(), {
+        invoice_number: 'INV-2025-000042',
+        issued_at: new Date('2025-12-18T09:10:00Z')
+      });
+
+      expect(data.vendors.map((vendor) => vendor.storeName)).toEqual(['Ankara House', 'Lagos Beads']);
+      expect(data.vendors[0].items[0]).toMatchObject({
+        name: 'Ankara Maxi Dress',
+        variants: 'Size: M',
+        quantity: 2,
+        unitPrice: 15000,
+        taxRate: 7.5,
+        total: 30000
+      });
+      expect(data.totals).toMatchObject({
+        subtotal: 32500,
+        discount: 2500,
+        couponCode: 'WELCOME10',
+        shipping: 2500,
+        total: 34750
+      });
+      expect(data.customer).toEqual({ name: 'Ada Obi', email: 'ada@example.com', phone: '08012345678' });
+    });
+  });
+
+  describe('getInvoice', () => {
+    test('renders a PDF named after the invoice number', async () => {
+      Order.findOne.mockResolvedValue(order());
+      Invoice.findOne.mockResolvedValueOnce({ invoice_number: 'INV-2025-000042', issued_at: new Date() });
+
+      const pdf = await InvoiceService.getInvoice(1001, { userId: 42 });
+
+      expect(Order.findOne.mock.calls[0][0].where).toEqual({ id: 1001, user_id: 42 });
+      expect(pdf.filename).toBe('INV-2025-000042.pdf');
+      expect(pdf.content.subarray(0, 4).toString()).toBe('%PDF');
+    });
+
+    test("rejects other customers' orders", async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      await expect(InvoiceService.getInvoice(1001, { userId: 7 })).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getPackingSlip', () => {
+    test("lists only the vendor's items", async () => {
+      Order.findOne.mockResolvedValue(order());
+
+      const data = await InvoiceService.getPackingSlipData(order(), [order().items[0]]);
+      const pdf = await InvoiceService.getPackingSlip(1001, 3);
+
+      expect(data).toMatchObject({
+        storeName: 'Ankara House',
+        trackingNumber: 'GIG123456',
+        note: 'Leave at the gate',
+        items: [{ name: 'Ankara Maxi Dress', variants: 'Size: M', quantity: 2 }]
+      });
+      expect(pdf.filename).toBe('packing-slip-ORD-1001-3.pdf');
+      expect(pdf.content.subarray(0, 4).toString()).toBe('%PDF');
+    });
+
+    test('rejects vendors without items in the order', async () => {
+      Order.findOne.mockResolvedValue(order());
+
+      await expect(InvoiceService.getPackingSlip(1001, 99)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,214 @@
+jest.mock('../models', () => ({
+  User: { findByPk: jest.fn(), update: jest.fn(), findAndCountAll: jest.fn() },
+  LoginAttempt: { create: jest.fn(), count: jest.fn(), findAndCountAll: jest.fn(), destroy: jest.fn() },
+  OversightLog: { create: jest.fn() },
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('../services/session.service', () => ({
+  describeDevice: jest.fn((userAgent) => (userAgent ? 'Chrome on Windows' : null)),
+  revokeAll: jest.fn()
+}));
+
+jest.mock('../services/email.service', () => ({
+  sendNewDeviceLoginEmail: jest.fn()
+}));
+
+const { User, LoginAttempt, OversightLog, sequelize } = require('../models');
+const SessionService = require('../services/session.service');
+const { sendNewDeviceLoginEmail } = require('../services/email.service');
+const LoginSecurityService = require('../services/login-security.service');
+
+const MINUTE_MS = 60 * 1000;
+const client = { userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0', ip: '102.89.1.10' };
+
+const record = (values = {}) => {
+  const row = { ...values };
+  row.update = jest.fn(async (changes) => Object.assign(row, changes));
+  return row;
+};
+
+const account = (values = {}) => record({
+  id: 42,
+  email: 'ada@example.com',
+  first_name: 'Ada',
+  failed_login_attempts: 0,
+  lockout_count: 0,
+  locked_until: null,
+  ...values
+});
+
+describe('LoginSecurityService', () => {
+  const originalEnv = process.env;
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+    delete process.env.LOGIN_LOCKOUT_MINUTES;
+    delete process.env.LOGIN_LOCKOUT_MAX_MINUTES;
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    LoginAttempt.create.mockImplementation(async (values) => ({ ...values, created_at: new Date() }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('recordFailure', () => {
+    it('records the attempt and counts it on the account', async () => {
+      const stored = account({ failed_login_attempts: 2 });
+      User.findByPk.mockResolvedValue(stored);
+
+      const result = await LoginSecurityService.recordFailure(stored, { client, reason: 'invalid_password' });
+
+      expect(result).toEqual({ locked: false, locked_until: null });
+      expect(stored.failed_login_attempts).toBe(3);
+      expect(User.findByPk).toHaveBeenCalledWith(42, expect.objectContaining({ transaction, lock: 'UPDATE' }));
+      expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 42,
+        email: 'ada@example.com',
+        method: 'password',
+        success: false,
+        failure_reason: 'invalid_password',
+        ip_address: '102.89.1.10',
+        device: 'Chrome on Windows',
+        device_hash: expect.stringMatching(/^[a-f0-9]{64}$/)
+      }));
+    });
+
+    it('locks the account at the limit, for longer after each lockout', async () => {
+      const stored = account({ failed_login_attempts: 4 });
+      User.findByPk.mockResolvedValue(stored);
+
+      const first = await LoginSecurityService.recordFailure(stored, { client, reason: 'invalid_password' });
+
+      expect(first.locked).toBe(true);
+      expect(first.locked_until.getTime() - Date.now()).toBeGreaterThan(14 * MINUTE_MS);
+      expect(first.locked_until.getTime() - Date.now()).toBeLessThanOrEqual(15 * MINUTE_MS);
+      expect(stored).toMatchObject({ failed_login_attempts: 0, lockout_count: 1 });
+
+      stored.failed_login_attempts = 4;
+      stored.lockout_count = 2;
+      const third = await LoginSecurityService.recordFailure(stored, { client, reason: 'invalid_password' });
+      expect(third.locked_until.getTime() - Date.now()).toBeGreaterThan(59 * MINUTE_MS);
+      expect(third.locked_until.getTime() - Date.now()).toBeLessThanOrEqual(60 * MINUTE_MS);
+    });
+
+    it('caps the lockout length', async () => {
+      process.env.LOGIN_LOCKOUT_MAX_MINUTES = '120';
+      const stored = account({ failed_login_attempts: 4, lockout_count: 30 });
+      User.findByPk.mockResolvedValue(stored);
+
+      const { locked_until } = await LoginSecurityService.recordFailure(stored, { client, reason: 'invalid_password' });
+
+      expect(locked_until.getTime() - Date.now()).toBeLessThanOrEqual(120 * MINUTE_MS);
+      expect(locked_until.getTime() - Date.now()).toBeGreaterThan(119 * MINUTE_MS);
+    });
+
+    it('records attempts on unknown emails without touching any account', async () => {
+      const result = await LoginSecurityService.recordFailure(null, { email: 'nobody@example.com', client, reason: 'unknown_email' });
+
+      expect(result.locked).toBe(false);
+      expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ user_id: null, email: 'nobody@example.com' }));
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertNotLocked', () => {
+    it('refuses a locked account and records the attempt', async () => {
+      const locked = account({ locked_until: new Date(Date.now() + 10 * MINUTE_MS) });
+
+      await expect(LoginSecurityService.assertNotLocked(locked, { client }))
+        .rejects.toMatchObject({ statusCode: 423, message: expect.stringContaining('10 minutes') });
+      expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({
+        success: false,
+        failure_reason: 'account_locked'
+      }));
+      expect(User.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('lets the user in once the lockout is over', async () => {
+      await expect(LoginSecurityService.assertNotLocked(account({ locked_until: new Date(Date.now() - 1000) }), { client }))
+        .resolves.toBeUndefined();
+      expect(LoginAttempt.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordSuccess', () => {
+    it('emails the user about a device they never logged in from', async () => {
+      LoginAttempt.count.mockResolvedValueOnce(0).mockResolvedValueOnce(3);
+
+      const attempt = await LoginSecurityService.recordSuccess(account(), { client, method: 'google' });
+
+      expect(attempt).toMatchObject({ success: true, method: 'google', new_device: true });
+      expect(sendNewDeviceLoginEmail).toHaveBeenCalledWith('ada@example.com', expect.objectContaining({
+        name: 'Ada',
+        device: 'Chrome on Windows',
+        ip: '102.89.1.10'
+      }));
+    });
+
+    it('does not alert on known devices or the first login', async () => {
+      LoginAttempt.count.mockResolvedValueOnce(2).mockResolvedValueOnce(5);
+      await LoginSecurityService.recordSuccess(account(), { client });
+
+      LoginAttempt.count.mockResolvedValueOnce(0).mockResolvedValueOnce(0);
+      await LoginSecurityService.recordSuccess(account(), { client });
+
+      expect(sendNewDeviceLoginEmail).not.toHaveBeenCalled();
+      expect(LoginAttempt.create).toHaveBeenCalledTimes(2);
+      expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ new_device: false }));
+    });
+
+    it('clears failed attempts and lockouts', async () => {
+      LoginAttempt.count.mockResolvedValue(1);
+
+      await LoginSecurityService.recordSuccess(account({ failed_login_attempts: 3, lockout_count: 1 }), { client });
+
+      expect(User.update).toHaveBeenCalledWith(
+        { failed_login_attempts: 0, lockout_count: 0, locked_until: null },
+        { where: { id: 42 } }
+      );
+    });
+
+    it('still logs the user in when the alert cannot be sent', async () => {
+      LoginAttempt.count.mockResolvedValueOnce(0).mockResolvedValueOnce(1);
+      sendNewDeviceLoginEmail.mockRejectedValueOnce(new Error('Redis down'));
+
+      await expect(LoginSecurityService.recordSuccess(account(), { client })).resolves.toMatchObject({ new_device: true });
+    });
+  });
+
+  describe('unlock', () => {
+    it('clears the lockout and logs the admin action', async () => {
+      const stored = account({ failed_login_attempts: 3, lockout_count: 2, locked_until: new Date(Date.now() + MINUTE_MS) });
+      User.findByPk.mockResolvedValue(stored);
+
+      await LoginSecurityService.unlock(42, 1);
+
+      expect(stored).toMatchObject({ failed_login_attempts: 0, lockout_count: 0, locked_until: null });
+      expect(LoginSecurityService.isLocked(stored)).toBe(false);
+      expect(SessionService.revokeAll).not.toHaveBeenCalled();
+      expect(OversightLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        admin_id: 1,
+        functionality: 'account_lockout'
+      }));
+    });
+
+    it('can sign the user out everywhere', async () => {
+      User.findByPk.mockResolvedValue(account());
+
+      await LoginSecurityService.unlock(42, 1, { revokeSessions: true });
+
+      expect(SessionService.revokeAll).toHaveBeenCalledWith(42, 'account_unlocked');
+    });
+
+    it('fails for an unknown user', async () => {
+      User.findByPk.mockResolvedValue(null);
+
+      await expect(LoginSecurityService.unlock(99, 1)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
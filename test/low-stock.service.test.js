@@ -0,0 +1,201 @@
+jest.mock('../models', () => ({
+  LowStockAlert: { create: jest.fn(), findAll: jest.fn(), findByPk: jest.fn(), findAndCountAll: jest.fn() },
+  VariantCombination: { findAll: jest.fn() },
+  Product: { findOne: jest.fn() },
+  Vendor: { findByPk: jest.fn() },
+  Store: {},
+  User: {},
+  Notification: { create: jest.fn() },
+  sequelize: { literal: jest.fn((sql) => ({ sql })) }
+}));
+
+jest.mock('../services/email.service', () => ({
+  sendLowStockAlert: jest.fn(),
+  sendLowStockDigest: jest.fn()
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const { LowStockAlert, VariantCombination, Product, Vendor, Notification } = require('../models');
+const emailService = require('../services/email.service');
+const logger = require('../utils/logger');
+const LowStockService = require('../services/low-stock.service');
+
+const record = (values = {}) => {
+  const row = { ...values };
+  row.update = jest.fn(async (changes) => Object.assign(row, changes));
+  return row;
+};
+
+const product = { id: 10, name: 'Linen Shirt', sku: 'LS-1', vendor_id: 3, reorder_threshold: null };
+
+const combination = (values = {}) => record({
+  id: 100,
+  product_id: 10,
+  combination_name: 'Black-L',
+  stock: 4,
+  reorder_threshold: null,
+  product,
+  ...values
+});
+
+const vendor = {
+  id: 3,
+  user_id: 77,
+  User: { id: 77, email: 'vendor@example.com', first_name: 'Tola' },
+  store: { id: 5, business_name: 'Tola Threads' }
+};
+
+describe('LowStockService', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.LOW_STOCK_DEFAULT_THRESHOLD;
+
+    LowStockAlert.findAll.mockResolvedValue([]);
+    LowStockAlert.create.mockImplementation(async (values) => record({ id: 1, ...values }));
+    Vendor.findByPk.mockResolvedValue(vendor);
+    emailService.sendLowStockAlert.mockResolvedValue();
+    emailService.sendLowStockDigest.mockResolvedValue();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('thresholdFor', () => {
+    it('prefers the combination threshold, then the product, then the default', () => {
+      expect(LowStockService.thresholdFor(combination({ reorder_threshold: 0 }))).toBe(0);
+      expect(LowStockService.thresholdFor(combination(), { reorder_threshold: 3 })).toBe(3);
+      expect(LowStockService.thresholdFor(combination())).toBe(10);
+
+      process.env.LOW_STOCK_DEFAULT_THRESHOLD = '5';
+      expect(LowStockService.thresholdFor(combination())).toBe(5);
+    });
+  });
+
+  describe('check', () => {
+    it('raises an alert and tells the vendor once the transaction commits', async () => {
+      VariantCombination.findAll.mockResolvedValue([combination()]);
+      const hooks = [];
+      const transaction = { afterCommit: (callback) => hooks.push(callback) };
+
+      const raised = await LowStockService.check([100, 100, null], { transaction });
+
+      expect(raised).toHaveLength(1);
+      expect(LowStockAlert.create).toHaveBeenCalledWith(
+        { vendor_id: 3, product_id: 10, combination_id: 100, threshold: 10, stock: 4, status: 'open' },
+        { transaction }
+      );
+      expect(emailService.sendLowStockAlert).not.toHaveBeenCalled();
+
+      await Promise.all(hooks.map((hook) => hook()));
+
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 77,
+        type: 'low_stock',
+        message: 'Low stock: Linen Shirt (Black-L)'
+      }));
+      expect(emailService.sendLowStockAlert).toHaveBeenCalledWith('vendor@example.com', {
+        name: 'Tola',
+        storeName: 'Tola Threads',
+        items: [expect.objectContaining({ product_name: 'Linen Shirt', combination_name: 'Black-L', stock: 4, threshold: 10 })]
+      });
+    });
+
+    it('does not alert again while an alert is unresolved', async () => {
+      VariantCombination.findAll.mockResolvedValue([combination({ stock: 2 })]);
+      LowStockAlert.findAll.mockResolvedValue([record({ id: 1, combination_id: 100, status: 'acknowledged' })]);
+
+      await expect(LowStockService.check([100])).resolves.toEqual([]);
+      expect(LowStockAlert.create).not.toHaveBeenCalled();
+      expect(emailService.sendLowStockAlert).not.toHaveBeenCalled();
+    });
+
+    it('resolves the alerts of restocked combinations', async () => {
+      const alert = record({ id: 1, combination_id: 100, status: 'open' });
+      VariantCombination.findAll.mockResolvedValue([combination({ stock: 25 })]);
+      LowStockAlert.findAll.mockResolvedValue([alert]);
+
+      await LowStockService.check([100]);
+
+      expect(alert).toMatchObject({ status: 'resolved', resolved_at: expect.any(Date) });
+      expect(LowStockAlert.create).not.toHaveBeenCalled();
+    });
+
+    it('logs instead of failing when the vendor cannot be told', async () => {
+      VariantCombination.findAll.mockResolvedValue([combination()]);
+      emailService.sendLowStockAlert.mockRejectedValueOnce(new Error('Redis down'));
+
+      await expect(LowStockService.check([100])).resolves.toHaveLength(1);
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('vendor 3'), expect.any(Error));
+    });
+  });
+
+  describe('sendDigests', () => {
+    it('emails each vendor their open alerts and resolves restocked ones', async () => {
+      const restocked = record({ id: 1, vendor_id: 3, product_id: 10, combination: combination({ stock: 40 }) });
+      const low = record({ id: 2, vendor_id: 3, product_id: 10, combination: combination({ id: 101, combination_name: 'Black-M', stock: 1 }) });
+      LowStockAlert.findAll.mockResolvedValue([restocked, low]);
+
+      const result = await LowStockService.sendDigests();
+
+      expect(result).toEqual({ vendors: 1, alerts: 1, resolved: 1, failed: 0 });
+      expect(restocked.status).toBe('resolved');
+      expect(LowStockAlert.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { status: 'open' } }));
+      expect(emailService.sendLowStockDigest).toHaveBeenCalledWith('vendor@example.com', expect.objectContaining({
+        items: [expect.objectContaining({ alert_id: 2, combination_name: 'Black-M', stock: 1 })]
+      }));
+    });
+  });
+
+  describe('acknowledge', () => {
+    it('records who acknowledged the alert', async () => {
+      const alert = record({ id: 1, vendor_id: 3, status: 'open' });
+      LowStockAlert.findByPk.mockResolvedValue(alert);
+
+      await LowStockService.acknowledge(1, { userId: 77, vendorId: 3 });
+
+      expect(alert).toMatchObject({ status: 'acknowledged', acknowledged_by: 77, acknowledged_at: expect.any(Date) });
+    });
+
+    it("hides other vendors' alerts and refuses resolved ones", async () => {
+      LowStockAlert.findByPk.mockResolvedValueOnce(record({ id: 1, vendor_id: 4, status: 'open' }));
+      await expect(LowStockService.acknowledge(1, { userId: 77, vendorId: 3 })).rejects.toMatchObject({ statusCode: 404 });
+
+      LowStockAlert.findByPk.mockResolvedValueOnce(record({ id: 1, vendor_id: 3, status: 'resolved' }));
+      await expect(LowStockService.acknowledge(1, { userId: 77, vendorId: 3 })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('setThreshold', () => {
+    it('sets a combination threshold and checks the product against it', async () => {
+      const stored = record({ ...product });
+      const blackLarge = combination({ stock: 12 });
+      Product.findOne.mockResolvedValue(stored);
+      VariantCombination.findAll
+        .mockResolvedValueOnce([blackLarge])
+        .mockResolvedValueOnce([combination({ stock: 12, reorder_threshold: 15 })]);
+
+      const result = await LowStockService.setThreshold({ vendorId: 3, productId: 10, combinationId: '100', threshold: 15 });
+
+      expect(blackLarge.update).toHaveBeenCalledWith({ reorder_threshold: 15 });
+      expect(stored.update).not.toHaveBeenCalled();
+      expect(LowStockAlert.create).toHaveBeenCalledWith(expect.objectContaining({ threshold: 15, stock: 12 }), { transaction: undefined });
+      expect(result.combinations[0]).toMatchObject({ combination_id: 100, reorder_threshold: 15, effective_threshold: 15 });
+    });
+
+    it("refuses another vendor's product", async () => {
+      Product.findOne.mockResolvedValue(null);
+
+      await expect(LowStockService.setThreshold({ vendorId: 3, productId: 99, threshold: 5 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
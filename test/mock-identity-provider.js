@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OpenID Connect identity provider for trying Google and Apple sign-in locally. The test
+ * suite also runs the OidcStrategy flows against it (test/oidc-strategy.test.js).
+ *
+ * It signs in whoever asks, without a login page, and signs ID tokens with a key generated at
+ * startup. Point a provider at it in .env (Apple works the same with the APPLE_ variables):
+ *
+ *   GOOGLE_CLIENT_ID=mock-client
+ *   GOOGLE_CLIENT_SECRET=mock-secret
+ *   GOOGLE_ISSUER=http://localhost:4000
+ *   GOOGLE_AUTHORIZATION_URL=http://localhost:4000/authorize
+ *   GOOGLE_TOKEN_URL=http://localhost:4000/token
+ *   GOOGLE_JWKS_URL=http://localhost:4000/jwks
+ *
+ * Then either:
+ * - open http://localhost:3001/api/v1/auth/social/google in a browser (redirect flow), adding
+ *   &email=... to the mock's /authorize URL to sign in as someone else; or
+ * - get an ID token from http://localhost:4000/id-token?email=jane@example.com&aud=mock-client
+ *   and POST it as { "id_token": "..." } to /api/v1/auth/social/google/token (SDK flow).
+ *
+ * Usage: node test/mock-identity-provider.js [port]
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const kid = 'mock-key';
+
+const identityFrom = (query) => ({
+  email: (query.email || 'shopper@example.com').toLowerCase(),
+  emailVerified: query.email_verified !== 'false',
+  givenName: query.given_name || 'Test',
+  familyName: query.family_name || 'Shopper'
+});
+
+/**
+ * Express app of a mock provider with its own signing key
+ * @param {string} issuer - Base URL the provider is reached at, used as the token issuer
+ * @returns {import('express').Express} App
+ */
+const createMockIdentityProvider = (issuer) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+  // Authorization codes waiting to be exchanged
+  const codes = new Map();
+
+  // ID token for an email; the subject stays the same for the same email
+  const idToken = ({ email, emailVerified = true, givenName, familyName, audience, nonce }) =>
+    jwt.sign(
+      {
+        sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 21),
+        email,
+        email_verified: emailVerified,
+        given_name: givenName,
+        family_name: familyName,
+        ...(nonce && { nonce })
+      },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience, expiresIn: '1h' }
+    );
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [jwk] });
+  });
+
+  // Signs in straight away and sends the user back with a code
+  app.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state, nonce, response_mode: responseMode } = req.query;
+    if (!clientId || !redirectUri) {
+      return res.status(400).send('client_id and redirect_uri are required');
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { clientId, redirectUri, nonce, identity: identityFrom(req.query) });
+
+    if (responseMode === 'form_post') {
+      return res.send(`<!doctype html>
+<form method="post" action="${redirectUri}">
+  <input type="hidden" name="code" value="${code}">
+  <input type="hidden" name="state" value="${state || ''}">
+</form>
+<script>document.forms[0].submit()</script>`);
+    }
+
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', code);
+    if (state) url.searchParams.set('state', state);
+    return res.redirect(url.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { code, client_id: clientId, redirect_uri: redirectUri } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (!grant || grant.clientId !== clientId || grant.redirectUri !== redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    return res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 3600,
+      id_token: idToken({ ...grant.identity, audience: clientId, nonce: grant.nonce })
+    });
+  });
+
+  // ID token as a mobile or web SDK would hand it to the client
+  app.get('/id-token', (req, res) => {
+    res.json({
+      id_token: idToken({ ...identityFrom(req.query), audience: req.query.aud || 'mock-client', nonce: req.query.nonce })
+    });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.MOCK_IDP_PORT || '4000', 10);
+  const issuer = process.env.MOCK_IDP_ISSUER || `http://localhost:${port}`;
+
+  createMockIdentityProvider(issuer).listen(port, () => {
+    console.log(`Mock identity provider listening on ${issuer}`);
+  });
+}
+
+module.exports = createMockIdentityProvider;
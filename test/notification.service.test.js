@@ -0,0 +1,150 @@
+jest.mock('../models', () => ({
+  Notification: {
+    findAndCountAll: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn()
+  },
+  NotificationItem: {},
+  sequelize: { fn: jest.fn(), col: jest.fn() }
+}));
+
+const { Notification } = require('../models');
+const NotificationService = require('../services/notification.service');
+
+const record = (values = {}) => {
+  const row = { ...values };
+  row.update = jest.fn(async (changes) => Object.assign(row, changes));
+  row.get = jest.fn(() => ({ ...row }));
+  return row;
+};
+
+const notification = (values = {}) => record({
+  id: 30,
+  user_id: 5,
+  type: 'order_shipped',
+  message: 'Order #12 status updated to shipped',
+  is_read: false,
+  created_at: new Date('2025-12-01T10:00:00Z'),
+  items: [],
+  ...values
+});
+
+describe('NotificationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('listForUser', () => {
+    test('lists only the user\'s notifications with pagination', async () => {
+      Notification.findAndCountAll.mockResolvedValue({
+        count: 3,
+        rows: [
+          notification({
+            items: [{ id: 1, item_details: '{"product_id":10,"quantity":2}', created_at: null }]
+          }),
+          notification({ id: 29, is_read: 1 })
+        ]
+      });
+
+      const result = await NotificationService.listForUser(5, { page: 1, limit: 2, isRead: false });
+
+      expect(Notification.findAndCountAll).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { user_id: 5, is_read: false }, limit: 2, offset: 0 })
+      );
+      expect(result.notifications[0].items[0].details).toEqual({ product_id: 10, quantity: 2 });
+      expect(result.notifications[1].is_read).toBe(true);
+      expect(result.pagination).toEqual({
+        total: 3,
+        total_pages: 2,
+        current_page: 1,
+        has_next_page: true,
+        has_previous_page: false,
+        limit: 2
+      });
+    });
+
+    test('filters by type', async () => {
+      Notification.findAndCountAll.mockResolvedValue({ count: 0, rows: [] });
+
+      await NotificationService.listForUser(5, { type: 'order_cancelled' });
+
+      expect(Notification.findAndCountAll.mock.calls[0][0].where).toEqual({
+        user_id: 5,
+        type: 'order_cancelled'
+      });
+    });
+  });
+
+  describe('getUnreadCount', () => {
+    test('counts the user\'s unread notifications in total and per type', async () => {
+      Notification.findAll.mockResolvedValue([
+        { type: 'order_shipped', count: '2' },
+        { type: 'order_delivered', count: '1' }
+      ]);
+
+      const result = await NotificationService.getUnreadCount(5);
+
+      expect(Notification.findAll.mock.calls[0][0].where).toEqual({ user_id: 5, is_read: false });
+      expect(result).toEqual({ total: 3, by_type: { order_shipped: 2, order_delivered: 1 } });
+    });
+  });
+
+  describe('markAsRead', () => {
+    test('marks the user\'s notification as read', async () => {
+      const row = notification();
+      Notification.findOne.mockResolvedValue(row);
+
+      const result = await NotificationService.markAsRead(5, 30);
+
+      expect(Notification.findOne.mock.calls[0][0].where).toEqual({ id: 30, user_id: 5 });
+      expect(row.update).toHaveBeenCalledWith({ is_read: true });
+      expect(result.is_read).toBe(true);
+    });
+
+    test('leaves notifications that are already read alone', async () => {
+      const row = notification({ is_read: true });
+      Notification.findOne.mockResolvedValue(row);
+
+      await NotificationService.markAsRead(5, 30);
+
+      expect(row.update).not.toHaveBeenCalled();
+    });
+
+    test('does not let a user read someone else\'s notification', async () => {
+      Notification.findOne.mockResolvedValue(null);
+
+      await expect(NotificationService.markAsRead(6, 30)).rejects.toMatchObject({
+        statusCode: 404,
+        message: 'Notification not found'
+      });
+      expect(Notification.findOne.mock.calls[0][0].where).toEqual({ id: 30, user_id: 6 });
+    });
+  });
+
+  describe('markAllAsRead', () => {
+    test('only marks the user\'s unread notifications', async () => {
+      Notification.update.mockResolvedValue([4]);
+
+      const updated = await NotificationService.markAllAsRead(5);
+
+      expect(updated).toBe(4);
+      expect(Notification.update).toHaveBeenCalledWith(
+        { is_read: true },
+        { where: { user_id: 5, is_read: false } }
+      );
+    });
+
+    test('can be limited to one type', async () => {
+      Notification.update.mockResolvedValue([1]);
+
+      await NotificationService.markAllAsRead(5, { type: 'order_shipped' });
+
+      expect(Notification.update.mock.calls[0][1].where).toEqual({
+        user_id: 5,
+        is_read: false,
+        type: 'order_shipped'
+      });
+    });
+  });
+});
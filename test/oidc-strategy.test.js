@@ -0,0 +1,73 @@
+const http = require('http');
+const axios = require('axios');
+const OidcStrategy = require('../utils/oidc-strategy');
+const { getProvider } = require('../config/social-auth');
+const createMockIdentityProvider = require('./mock-identity-provider');
+
+describe('OidcStrategy against the mock identity provider', () => {
+  const originalEnv = process.env;
+  let server;
+  let issuer;
+  let strategy;
+
+  beforeAll(async () => {
+    server = await new Promise((resolve) => {
+      const listener = http.createServer().listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    issuer = `http://127.0.0.1:${server.address().port}`;
+    server.on('request', createMockIdentityProvider(issuer));
+  });
+
+  beforeEach(() => {
+    process.env = {
+      ...originalEnv,
+      JWT_SECRET: 'test-secret',
+      GOOGLE_CLIENT_ID: 'mock-client',
+      GOOGLE_CLIENT_SECRET: 'mock-secret',
+      GOOGLE_ISSUER: issuer,
+      GOOGLE_AUTHORIZATION_URL: `${issuer}/authorize`,
+      GOOGLE_TOKEN_URL: `${issuer}/token`,
+      GOOGLE_JWKS_URL: `${issuer}/jwks`,
+      GOOGLE_CALLBACK_URL: 'http://localhost:3001/api/v1/auth/social/google/callback'
+    };
+    strategy = new OidcStrategy(getProvider('google'), jest.fn());
+  });
+
+  afterAll(async () => {
+    process.env = originalEnv;
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('signs in through the redirect flow', async () => {
+    strategy.redirect = jest.fn();
+    strategy.authenticate({ query: {}, body: {} });
+
+    const authorizationUrl = `${strategy.redirect.mock.calls[0][0]}&email=Jane@Example.com`;
+    const response = await axios.get(authorizationUrl, { maxRedirects: 0, validateStatus: () => true });
+    const callback = new URL(response.headers.location);
+
+    const profile = await strategy.profileFrom({
+      code: callback.searchParams.get('code'),
+      state: callback.searchParams.get('state')
+    });
+
+    expect(profile).toMatchObject({
+      provider: 'google',
+      email: 'jane@example.com',
+      emailVerified: true,
+      firstName: 'Test',
+      lastName: 'Shopper'
+    });
+  });
+
+  it('verifies ID tokens handed out by an SDK', async () => {
+    const { data } = await axios.get(`${issuer}/id-token`, {
+      params: { email: 'jane@example.com', aud: 'mock-client', nonce: 'n-1' }
+    });
+
+    const profile = await strategy.profileFrom({ id_token: data.id_token, nonce: 'n-1' });
+    expect(profile.email).toBe('jane@example.com');
+
+    await expect(strategy.profileFrom({ id_token: data.id_token, nonce: 'other' })).rejects.toThrow(/nonce/);
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../models', () => ({
+  Product: { decrement: jest.fn() },
+  ProductVariant: { increment: jest.fn(), decrement: jest.fn(), update: jest.fn() }
+}));
+
+jest.mock('../services/stock-reservation.service', () => ({
+  restoreOrderStock: jest.fn()
+}));
+
+jest.mock('../services/coupon.service', () => ({
+  releaseForOrder: jest.fn()
+}));
+
+jest.mock('../services/refund.service', () => ({
+  createRefund: jest.fn()
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const { Product, ProductVariant } = require('../models');
+const StockReservationService = require('../services/stock-reservation.service');
+const CouponService = require('../services/coupon.service');
+const RefundService = require('../services/refund.service');
+const OrderCancellationService = require('../services/order-cancellation.service');
+
+const transaction = { id: 'tx' };
+
+describe('OrderCancellationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('restore', () => {
+    test('restores combination stock, sold units and the coupon', async () => {
+      const order = {
+        id: 12,
+        items: [
+          { product_id: 10, quantity: 2, combination_id: 100, selected_variants: [{ id: 7, name: 'Size', value: 'L' }] },
+          { product_id: 11, quantity: 1, variant_id: 8 }
+        ]
+      };
+
+      await OrderCancellationService.restore(order, { adjustedBy: 1, transaction });
+
+      expect(StockReservationService.restoreOrderStock).toHaveBeenCalledWith(order, { adjustedBy: 1, transaction });
+      expect(Product.decrement).toHaveBeenCalledWith('sold_units', { by: 2, where: { id: 10 }, transaction });
+      expect(Product.decrement).toHaveBeenCalledWith('sold_units', { by: 1, where: { id: 11 }, transaction });
+      expect(CouponService.releaseForOrder).toHaveBeenCalledWith(12, { transaction });
+    });
+
+    test('never writes product variant stock, which variants no longer carry', async () => {
+      const order = {
+        id: 12,
+        items: [
+          { product_id: 10, quantity: 2, selected_variants: '[{"id":7,"name":"Size","value":"L"}]' },
+          { product_id: 11, quantity: 1, variant_id: 8 }
+        ]
+      };
+
+      await OrderCancellationService.restore(order, { adjustedBy: 1, transaction });
+
+      expect(ProductVariant.increment).not.toHaveBeenCalled();
+      expect(ProductVariant.decrement).not.toHaveBeenCalled();
+      expect(ProductVariant.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('acceptsPayment', () => {
+    test('takes payments for pending and already paid orders only', () => {
+      expect(OrderCancellationService.acceptsPayment({ order_status: 'pending', payment_status: 'pending' })).toBe(true);
+      expect(OrderCancellationService.acceptsPayment({ order_status: 'processing', payment_status: 'paid' })).toBe(true);
+      expect(OrderCancellationService.acceptsPayment({ order_status: 'cancelled', payment_status: 'pending' })).toBe(false);
+      expect(OrderCancellationService.acceptsPayment({ order_status: 'cancelled', payment_status: 'failed' })).toBe(false);
+    });
+  });
+
+  describe('refundLatePayment', () => {
+    test('records the charge and refunds it in full', async () => {
+      const order = { id: 12, order_status: 'cancelled', payment_status: 'pending' };
+      order.update = jest.fn(async (changes) => Object.assign(order, changes));
+      RefundService.createRefund.mockResolvedValue({ id: 3 });
+
+      const refund = await OrderCancellationService.refundLatePayment(order, { reference: 'ref-1', transaction });
+
+      expect(refund).toEqual({ id: 3 });
+      expect(order).toMatchObject({ payment_status: 'paid', payment_reference: 'ref-1' });
+      expect(RefundService.createRefund).toHaveBeenCalledWith(
+        { order, reason: 'Payment received after the order was cancelled', source: 'cancellation' },
+        { transaction }
+      );
+      expect(StockReservationService.restoreOrderStock).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+jest.mock('../models', () => ({
+  Order: { findAll: jest.fn(), findByPk: jest.fn() },
+  OrderItem: {},
+  OrderExpiration: { create: jest.fn(), findAndCountAll: jest.fn(), findAll: jest.fn() },
+  PaymentTransaction: { update: jest.fn() },
+  Notification: { create: jest.fn() },
+  User: {},
+  sequelize: { transaction: jest.fn(), fn: jest.fn(), col: jest.fn() }
+}));
+
+jest.mock('../services/payment.service', () => ({
+  verifyPayment: jest.fn()
+}));
+
+jest.mock('../services/stock-reservation.service', () => ({
+  convert: jest.fn()
+}));
+
+jest.mock('../services/order-cancellation.service', () => ({
+  restore: jest.fn()
+}));
+
+jest.mock('../services/email.service', () => ({
+  sendOrderCancelled: jest.fn(),
+  sendPaymentReceived: jest.fn(),
+  notifyVendors: jest.fn()
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const { Order, OrderExpiration, PaymentTransaction, Notification, sequelize } = require('../models');
+const paymentService = require('../services/payment.service');
+const StockReservationService = require('../services/stock-reservation.service');
+const OrderCancellationService = require('../services/order-cancellation.service');
+const emailService = require('../services/email.service');
+const logger = require('../utils/logger');
+const OrderExpiryService = require('../services/order-expiry.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const buildOrder = (overrides = {}) => {
+  const order = {
+    id: 1001,
+    user_id: 42,
+    total_amount: '25000.00',
+    payment_method: 'paystack',
+    payment_reference: 'STYLAY-1-1001',
+    payment_status: 'pending',
+    order_status: 'pending',
+    items: [{ id: 1, product_id: 10, combination_id: 100, quantity: 2 }],
+    ...overrides
+  };
+  order.update = jest.fn(async (changes) => Object.assign(order, changes));
+  return order;
+};
+
+describe('OrderExpiryService', () => {
+  const originalEnv = process.env;
+  let afterCommit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.UNPAID_ORDER_EXPIRY_HOURS;
+
+    afterCommit = [];
+    const transaction = { LOCK: { UPDATE: 'UPDATE' }, afterCommit: (callback) => afterCommit.push(callback) };
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    emailService.sendOrderCancelled.mockResolvedValue();
+    emailService.sendPaymentReceived.mockResolvedValue();
+    emailService.notifyVendors.mockResolvedValue();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const committed = () => Promise.all(afterCommit.map((callback) => callback()));
+
+  describe('findStale', () => {
+    it('looks for pending orders past the expiry period', async () => {
+      process.env.UNPAID_ORDER_EXPIRY_HOURS = '12';
+      Order.findAll.mockResolvedValue([]);
+      const now = new Date('2025-12-28T12:00:00Z');
+
+      await OrderExpiryService.findStale({ now });
+
+      const { where } = Order.findAll.mock.calls[0][0];
+      expect(where).toMatchObject({ payment_status: 'pending', order_status: 'pending' });
+      expect(where.created_at[Op.lte]).toEqual(new Date(now.getTime() - 12 * HOUR_MS));
+    });
+  });
+
+  describe('resolve', () => {
+    it('cancels an order the gateway reports as abandoned and gives back its stock', async () => {
+      const order = buildOrder();
+      Order.findByPk.mockResolvedValue(order);
+      paymentService.verifyPayment.mockResolvedValue({ status: true, data: { status: 'abandoned' } });
+
+      await expect(OrderExpiryService.resolve(buildOrder())).resolves.toBe('cancelled');
+      await committed();
+
+      expect(paymentService.verifyPayment).toHaveBeenCalledWith('STYLAY-1-1001');
+      expect(order).toMatchObject({ order_status: 'cancelled', payment_status: 'failed' });
+      expect(PaymentTransaction.update).toHaveBeenCalledWith(
+        { status: 'failed' },
+        expect.objectContaining({ where: { order_id: 1001, status: 'pending' } })
+      );
+      expect(OrderCancellationService.restore).toHaveBeenCalledWith(order, expect.objectContaining({ adjustedBy: 42 }));
+      expect(OrderExpiration.create).toHaveBeenCalledWith(
+        { order_id: 1001, outcome: 'cancelled', gateway_status: 'abandoned', amount: '25000.00' },
+        expect.any(Object)
+      );
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ user_id: 42, type: 'order_cancelled' }), expect.any(Object));
+      expect(emailService.sendOrderCancelled).toHaveBeenCalledWith(order, 42, 'Payment was not received in time');
+    });
+
+    it('marks the order paid when the gateway took the payment after all', async () => {
+      const order = buildOrder();
+      Order.findByPk.mockResolvedValue(order);
+      paymentService.verifyPayment.mockResolvedValue({ status: true, data: { status: 'success', reference: 'STYLAY-1-1001' } });
+
+      await expect(OrderExpiryService.resolve(buildOrder())).resolves.toBe('paid');
+      await committed();
+
+      expect(order).toMatchObject({ payment_status: 'paid', order_status: 'processing' });
+      expect(StockReservationService.convert).toHaveBeenCalledWith(order, expect.any(Object));
+      expect(OrderCancellationService.restore).not.toHaveBeenCalled();
+      expect(OrderExpiration.create).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'paid' }), expect.any(Object));
+      expect(emailService.sendPaymentReceived).toHaveBeenCalledWith(order, 42, expect.objectContaining({ reference: 'STYLAY-1-1001' }));
+      expect(emailService.notifyVendors).toHaveBeenCalledWith(1001);
+    });
+
+    it('leaves orders the gateway is still processing', async () => {
+      paymentService.verifyPayment.mockResolvedValue({ status: true, data: { status: 'ongoing' } });
+
+      await expect(OrderExpiryService.resolve(buildOrder())).resolves.toBe('skipped');
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    it('cancels an order that never reached the gateway without verifying it', async () => {
+      Order.findByPk.mockResolvedValue(buildOrder({ payment_reference: null }));
+
+      await expect(OrderExpiryService.resolve(buildOrder({ payment_reference: null }))).resolves.toBe('cancelled');
+      expect(paymentService.verifyPayment).not.toHaveBeenCalled();
+      expect(OrderExpiration.create).toHaveBeenCalledWith(expect.objectContaining({ gateway_status: null }), expect.any(Object));
+    });
+
+    it('skips an order paid or cancelled while it was being verified', async () => {
+      Order.findByPk.mockResolvedValue(buildOrder({ payment_status: 'paid', order_status: 'processing' }));
+      paymentService.verifyPayment.mockResolvedValue({ status: true, data: { status: 'failed' } });
+
+      await expect(OrderExpiryService.resolve(buildOrder())).resolves.toBe('skipped');
+      expect(OrderCancellationService.restore).not.toHaveBeenCalled();
+      expect(OrderExpiration.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('run', () => {
+    it('reports what it did and keeps going when an order fails', async () => {
+      Order.findAll.mockResolvedValue([buildOrder({ id: 1 }), buildOrder({ id: 2 }), buildOrder({ id: 3 })]);
+      paymentService.verifyPayment
+        .mockResolvedValueOnce({ status: true, data: { status: 'failed' } })
+        .mockRejectedValueOnce(new Error('Payment verification failed'))
+        .mockResolvedValueOnce({ status: true, data: { status: 'pending' } });
+      Order.findByPk.mockResolvedValue(buildOrder({ id: 1 }));
+
+      const result = await OrderExpiryService.run();
+
+      expect(result).toEqual({ found: 3, cancelled: 1, paid: 0, skipped: 1, failed: 1 });
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('order 2'), expect.any(Error));
+      expect(logger.info).toHaveBeenLastCalledWith(expect.stringContaining('3 found, 1 cancelled'));
+    });
+  });
+});
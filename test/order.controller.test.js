@@ -0,0 +1,171 @@
+jest.mock('../models', () => ({
+  Order: { findOne: jest.fn(), findByPk: jest.fn() },
+  OrderItem: { update: jest.fn() },
+  OrderDetail: {},
+  User: {},
+  Product: {},
+  Vendor: {},
+  Store: {},
+  Address: {},
+  Inventory: {},
+  InventoryHistory: {},
+  PaymentTransaction: { findOne: jest.fn(), update: jest.fn() },
+  Notification: { create: jest.fn() },
+  NotificationItem: { create: jest.fn() },
+  sequelize: { transaction: jest.fn() },
+  ProductVariant: {},
+  ProductImage: {},
+  Cart: {},
+  CartItem: {}
+}));
+
+jest.mock('../services/payment.service', () => ({
+  verifyPayment: jest.fn()
+}));
+jest.mock('../services/email.service', () => ({
+  sendOrderCancelled: jest.fn()
+}));
+jest.mock('../services/refund.service', () => ({
+  createRefund: jest.fn(),
+  submit: jest.fn()
+}));
+jest.mock('../services/coupon.service', () => ({
+  releaseForOrder: jest.fn()
+}));
+jest.mock('../services/shipping.service', () => ({}));
+jest.mock('../services/tax.service', () => ({}));
+jest.mock('../services/abandoned-cart.service', () => ({}));
+jest.mock('../services/stock-reservation.service', () => ({
+  restoreOrderStock: jest.fn(),
+  convert: jest.fn()
+}));
+jest.mock('../services/order-cancellation.service', () => ({
+  restore: jest.fn(),
+  acceptsPayment: jest.requireActual('../services/order-cancellation.service').acceptsPayment,
+  refundLatePayment: jest.fn()
+}));
+jest.mock('../services/low-stock.service', () => ({}));
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const { Order, PaymentTransaction, Notification, sequelize } = require('../models');
+const paymentService = require('../services/payment.service');
+const RefundService = require('../services/refund.service');
+const CouponService = require('../services/coupon.service');
+const StockReservationService = require('../services/stock-reservation.service');
+const OrderCancellationService = require('../services/order-cancellation.service');
+const { updateOrderStatus, verifyPayment } = require('../controllers/order.controller');
+
+const buildOrder = (overrides = {}) => {
+  const order = {
+    id: 12,
+    user_id: 5,
+    order_status: 'processing',
+    payment_status: 'paid',
+    items: [],
+    ...overrides
+  };
+  order.update = jest.fn(async (changes) => Object.assign(order, changes));
+  order.reload = jest.fn(async () => order);
+  return order;
+};
+
+const buildResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const request = {
+  params: { id: '12' },
+  body: { status: 'cancelled', notes: 'Out of stock' },
+  user: { id: 1, roles: [{ name: 'admin' }] }
+};
+
+describe('order controller', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    sequelize.transaction.mockResolvedValue(transaction);
+    Notification.create.mockResolvedValue({ id: 40 });
+    RefundService.createRefund.mockResolvedValue({ id: 3 });
+  });
+
+  describe('updateOrderStatus', () => {
+    test('restores stock, sold units and the coupon when staff cancel an order', async () => {
+      const order = buildOrder();
+      Order.findOne.mockResolvedValue(order);
+      const res = buildResponse();
+
+      await updateOrderStatus(request, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(OrderCancellationService.restore).toHaveBeenCalledWith(order, { adjustedBy: 1, transaction });
+      expect(StockReservationService.restoreOrderStock).not.toHaveBeenCalled();
+      expect(CouponService.releaseForOrder).not.toHaveBeenCalled();
+      expect(RefundService.createRefund).toHaveBeenCalled();
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('does not restore stock twice for an order that was already cancelled', async () => {
+      Order.findOne.mockResolvedValue(buildOrder({ order_status: 'cancelled' }));
+
+      await updateOrderStatus(request, buildResponse());
+
+      expect(OrderCancellationService.restore).not.toHaveBeenCalled();
+      expect(RefundService.createRefund).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyPayment', () => {
+    const paymentRecord = (order) => ({
+      transaction_id: 'ref-1',
+      status: 'pending',
+      metadata: {},
+      order,
+      update: jest.fn()
+    });
+
+    beforeEach(() => {
+      Order.findByPk.mockResolvedValue({ id: 12, items: [] });
+      paymentService.verifyPayment.mockResolvedValue({ status: true, data: { status: 'success', reference: 'ref-1' } });
+    });
+
+    test('refunds a payment for an order cancelled in the meantime', async () => {
+      const order = buildOrder({ order_status: 'cancelled', payment_status: 'pending' });
+      PaymentTransaction.findOne.mockResolvedValue(paymentRecord(order));
+      const refund = { id: 3 };
+      OrderCancellationService.refundLatePayment.mockResolvedValue(refund);
+      const res = buildResponse();
+
+      await verifyPayment({ params: { reference: 'ref-1' }, user: { id: 5 } }, res);
+
+      expect(order.reload).toHaveBeenCalledWith({ transaction, lock: 'UPDATE' });
+      expect(OrderCancellationService.refundLatePayment).toHaveBeenCalledWith(order, { reference: 'ref-1', transaction });
+      expect(StockReservationService.convert).not.toHaveBeenCalled();
+      expect(order.order_status).toBe('cancelled');
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(RefundService.submit).toHaveBeenCalledWith(refund);
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    test('marks a pending order paid and converts its reserved stock', async () => {
+      const order = buildOrder({ order_status: 'pending', payment_status: 'pending', total_amount: 5000 });
+      PaymentTransaction.findOne.mockResolvedValue(paymentRecord(order));
+      const res = buildResponse();
+
+      await verifyPayment({ params: { reference: 'ref-1' }, user: { id: 5 } }, res);
+
+      expect(order).toMatchObject({ payment_status: 'paid', order_status: 'processing' });
+      expect(StockReservationService.convert).toHaveBeenCalledWith(order, { transaction });
+      expect(OrderCancellationService.refundLatePayment).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
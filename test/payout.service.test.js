@@ -0,0 +1,322 @@
+jest.mock('../models', () => ({
+  Payout: { findOne: jest.fn(), findByPk: jest.fn(), sum: jest.fn() },
+  Vendor: { findOne: jest.fn(), update: jest.fn() },
+  Store: {},
+  User: {},
+  Order: {},
+  OrderItem: { findAll: jest.fn(), update: jest.fn() },
+  Product: {},
+  PaymentTransaction: { create: jest.fn(), update: jest.fn() },
+  Refund: {},
+  RefundItem: { findAll: jest.fn() },
+  ReturnRequest: {},
+  ReturnRequestItem: { findAll: jest.fn() },
+  sequelize: { transaction: jest.fn(), fn: jest.fn(), col: jest.fn() }
+}));
+
+jest.mock('../services/payment.service', () => ({
+  listBanks: jest.fn(),
+  createTransferRecipient: jest.fn(),
+  initiateTransfer: jest.fn()
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const {
+  Payout,
+  Vendor,
+  OrderItem,
+  PaymentTransaction,
+  RefundItem,
+  ReturnRequestItem,
+  sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const paymentService = require('../services/payment.service');
+const PayoutService = require('../services/payout.service');
+
+const buildPayout = (overrides = {}) => {
+  const payout = {
+    id: 7,
+    vendor_id: 3,
+    amount: '15000.00',
+    status: 'processing',
+    reference: 'stylay_payout_7_1733821200000',
+    transfer_code: 'TRF_abc',
+    ...overrides
+  };
+  payout.update = jest.fn(async (values) => Object.assign(payout, values));
+  return payout;
+};
+
+describe('PayoutService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('handleTransferSuccess', () => {
+    test('marks payout paid and completes the ledger entry', async () => {
+      const payout = buildPayout();
+      Payout.findOne.mockResolvedValue(payout);
+
+      await PayoutService.handleTransferSuccess({ reference: payout.reference, transfer_code: 'TRF_abc' });
+
+      expect(payout.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'paid', payout_date: expect.any(Date) }),
+        expect.any(Object)
+      );
+      expect(PaymentTransaction.update).toHaveBeenCalledWith(
+        { status: 'completed' },
+        expect.objectContaining({ where: { type: 'payout', transaction_id: payout.reference } })
+      );
+      expect(Vendor.update).toHaveBeenCalledWith(
+        { last_payment_date: expect.any(Date) },
+        expect.objectContaining({ where: { id: 3 } })
+      );
+    });
+
+    test('is idempotent for payouts already paid', async () => {
+      const payout = buildPayout({ status: 'paid' });
+      Payout.findOne.mockResolvedValue(payout);
+
+      await PayoutService.handleTransferSuccess({ reference: payout.reference });
+
+      expect(payout.update).not.toHaveBeenCalled();
+      expect(PaymentTransaction.update).not.toHaveBeenCalled();
+    });
+
+    test('ignores transfers that are not payouts', async () => {
+      Payout.findOne.mockResolvedValue(null);
+
+      const result = await PayoutService.handleTransferSuccess({ reference: 'other_ref' });
+
+      expect(result).toBeNull();
+      expect(PaymentTransaction.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleTransferFailure', () => {
+    test('fails the payout and releases its order items', async () => {
+      const payout = buildPayout();
+      Payout.findOne.mockResolvedValue(payout);
+
+      await PayoutService.handleTransferFailure({ reference: payout.reference, reason: 'Account closed' });
+
+      expect(payout.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'failed', failure_reason: 'Account closed' }),
+        expect.any(Object)
+      );
+      expect(PaymentTransaction.update).toHaveBeenCalledWith(
+        { status: 'failed' },
+        expect.objectContaining({ where: { type: 'payout', transaction_id: payout.reference } })
+      );
+      expect(OrderItem.update).toHaveBeenCalledWith(
+        { payout_id: null },
+        expect.objectContaining({ where: { payout_id: 7 } })
+      );
+    });
+
+    test('does nothing for payouts already failed', async () => {
+      const payout = buildPayout({ status: 'failed' });
+      Payout.findOne.mockResolvedValue(payout);
+
+      await PayoutService.handleTransferFailure({ reference: payout.reference });
+
+      expect(payout.update).not.toHaveBeenCalled();
+      expect(OrderItem.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveBankCode', () => {
+    test('matches bank names case-insensitively', async () => {
+      paymentService.listBanks.mockResolvedValue({
+        data: [{ name: 'Guaranty Trust Bank', slug: 'guaranty-trust-bank', code: '058' }]
+      });
+
+      await expect(PayoutService.resolveBankCode(' guaranty trust bank ')).resolves.toBe('058');
+    });
+
+    test('rejects unsupported banks', async () => {
+      paymentService.listBanks.mockResolvedValue({ data: [] });
+
+      await expect(PayoutService.resolveBankCode('Unknown Bank')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getBalance', () => {
+    const refundItem = (orderItemId, quantity, status) => ({
+      order_item_id: orderItemId,
+      quantity,
+      refund: { status }
+    });
+    const returnItem = (orderItemId, status) => ({
+      order_item_id: orderItemId,
+      returnRequest: { status }
+    });
+
+    beforeEach(() => {
+      OrderItem.findAll.mockResolvedValue([
+        { id: 1, quantity: 4, sub_total: '8000.00', discount_amount: '800.00' },
+        { id: 2, quantity: 1, sub_total: '3000.00' },
+        { id: 3, quantity: 2, sub_total: '5000.00' }
+      ]);
+      RefundItem.findAll.mockResolvedValue([]);
+      ReturnRequestItem.findAll.mockResolvedValue([]);
+      Payout.sum.mockResolvedValue(null);
+    });
+
+    test('nets processed refunds out of the available balance', async () => {
+      RefundItem.findAll.mockResolvedValue([refundItem(1, 1, 'processed'), refundItem(3, 2, 'processed')]);
+
+      const balance = await PayoutService.getBalance(9);
+
+      expect(RefundItem.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { order_item_id: [1, 2, 3] } })
+      );
+      expect(balance.available_balance).toBe(8400);
+      expect(balance.eligible_items).toBe(2);
+    });
+
+    test('keeps items with a pending refund out until it is processed', async () => {
+      RefundItem.findAll.mockResolvedValue([refundItem(1, 1, 'pending')]);
+
+      const balance = await PayoutService.getBalance(9);
+
+      expect(balance.available_balance).toBe(8000);
+      expect(balance.eligible_items).toBe(2);
+    });
+
+    test('pays items in full once their refund has failed', async () => {
+      RefundItem.findAll.mockResolvedValue([refundItem(1, 1, 'failed'), refundItem(3, 2, 'failed')]);
+
+      const balance = await PayoutService.getBalance(9);
+
+      expect(balance.available_balance).toBe(15200);
+      expect(balance.eligible_items).toBe(3);
+    });
+
+    test('keeps items on open return requests out until they are resolved', async () => {
+      ReturnRequestItem.findAll.mockResolvedValue([returnItem(1, 'requested'), returnItem(2, 'approved')]);
+
+      const balance = await PayoutService.getBalance(9);
+
+      expect(ReturnRequestItem.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          include: [expect.objectContaining({ as: 'returnRequest' })]
+        })
+      );
+      expect(balance.available_balance).toBe(5000);
+      expect(balance.eligible_items).toBe(1);
+    });
+
+    test('pays items in full once their return is rejected or cancelled', async () => {
+      ReturnRequestItem.findAll.mockResolvedValue([returnItem(1, 'rejected'), returnItem(2, 'cancelled')]);
+
+      const balance = await PayoutService.getBalance(9);
+
+      expect(balance.available_balance).toBe(15200);
+      expect(balance.eligible_items).toBe(3);
+    });
+  });
+
+  describe('approvePayout', () => {
+    let transaction;
+
+    beforeEach(() => {
+      transaction = { LOCK: { UPDATE: 'UPDATE' } };
+      sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+      jest.spyOn(PayoutService, 'resolveBankCode').mockResolvedValue('058');
+      jest.spyOn(PayoutService, 'format').mockImplementation((payout) => payout);
+      paymentService.createTransferRecipient.mockResolvedValue({ data: { recipient_code: 'RCP_1' } });
+      paymentService.initiateTransfer.mockResolvedValue({ data: { transfer_code: 'TRF_1' } });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('drops items whose refund or return opened after the request and pays the rest', async () => {
+      const payout = buildPayout({
+        status: 'pending',
+        Vendor: {
+          user_id: 4,
+          store: {
+            business_name: 'Ada Styles',
+            bank_name: 'GTBank',
+            bank_account_name: 'Ada Styles',
+            bank_account_number: '0123456789'
+          }
+        }
+      });
+      payout.reload = jest.fn(async () => payout);
+      const locked = buildPayout({ status: 'pending' });
+      jest.spyOn(PayoutService, 'findById').mockResolvedValue(payout);
+      Payout.findByPk.mockResolvedValue(locked);
+      OrderItem.findAll.mockResolvedValue([
+        { id: 1, quantity: 1, sub_total: '10000.00' },
+        { id: 2, quantity: 1, sub_total: '5000.00' }
+      ]);
+      RefundItem.findAll.mockResolvedValue([]);
+      ReturnRequestItem.findAll.mockResolvedValue([{ order_item_id: 1, returnRequest: { status: 'requested' } }]);
+
+      await PayoutService.approvePayout(7, 1);
+
+      expect(OrderItem.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { payout_id: 7 }, transaction, lock: 'UPDATE' })
+      );
+      expect(OrderItem.update).toHaveBeenCalledWith(
+        { payout_id: null },
+        expect.objectContaining({ where: { payout_id: 7, id: { [Op.notIn]: [2] } } })
+      );
+      expect(locked.update).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 5000, status: 'processing' }),
+        { transaction }
+      );
+      expect(PaymentTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'payout', amount: 5000 }),
+        { transaction }
+      );
+    });
+
+    test('refuses a payout none of whose items can be paid any more', async () => {
+      jest.spyOn(PayoutService, 'findById').mockResolvedValue(
+        buildPayout({ status: 'pending', Vendor: { store: { bank_name: 'GTBank', bank_account_name: 'A', bank_account_number: '1' } } })
+      );
+      Payout.findByPk.mockResolvedValue(buildPayout({ status: 'pending' }));
+      OrderItem.findAll.mockResolvedValue([{ id: 1, quantity: 1, sub_total: '10000.00' }]);
+      RefundItem.findAll.mockResolvedValue([{ order_item_id: 1, quantity: 1, refund: { status: 'pending' } }]);
+      ReturnRequestItem.findAll.mockResolvedValue([]);
+
+      await expect(PayoutService.approvePayout(7, 1)).rejects.toMatchObject({ statusCode: 400 });
+      expect(PaymentTransaction.create).not.toHaveBeenCalled();
+      expect(paymentService.initiateTransfer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sumItems', () => {
+    test('totals sub_total to two decimal places', () => {
+      const total = PayoutService.sumItems([{ sub_total: '0.10' }, { sub_total: '0.20' }, { sub_total: '1000.00' }]);
+      expect(total).toBe(1000.3);
+    });
+
+    test('leaves out tax included in the price', () => {
+      const total = PayoutService.sumItems([
+        { sub_total: '10750.00', tax_amount: '750.00', tax_inclusive: true },
+        { sub_total: '5000.00', tax_amount: '375.00', tax_inclusive: false }
+      ]);
+      expect(total).toBe(15000);
+    });
+
+    test('takes the coupon discount off the item', () => {
+      const total = PayoutService.sumItems([
+        { sub_total: '10000.00', discount_amount: '1000.00', tax_amount: '675.00', tax_inclusive: true },
+        { sub_total: '5000.00', discount_amount: '0.00' }
+      ]);
+      expect(total).toBe(13325);
+    });
+  });
+});
@@ -0,0 +1,332 @@
+jest.mock('../models', () => ({
+  ProductImport: { create: jest.fn(), findByPk: jest.fn(), findAndCountAll: jest.fn() },
+  Product: { findAll: jest.fn(), create: jest.fn() },
+  ProductVariant: {},
+  ProductImage: {},
+  VariantCombination: {},
+  Category: { findAll: jest.fn() },
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('../services/product.service', () => ({
+  validateVendorApproval: jest.fn(),
+  generateUniqueSlug: jest.fn(),
+  updateProductVariants: jest.fn(),
+  updateProductImages: jest.fn()
+}));
+
+jest.mock('../services/queue.service', () => ({
+  enqueue: jest.fn()
+}));
+
+jest.mock('../services/search.service', () => ({
+  queueIndex: jest.fn()
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const { ProductImport, Product, Category, sequelize } = require('../models');
+const ProductService = require('../services/product.service');
+const QueueService = require('../services/queue.service');
+const SearchService = require('../services/search.service');
+const ProductImportService = require('../services/product-import.service');
+const { parseCsv } = require('../utils/csv');
+
+const transaction = {};
+
+const record = (values = {}) => {
+  const row = { ...values };
+  row.update = jest.fn(async (changes) => Object.assign(row, changes));
+  return row;
+};
+
+const buildImport = (rows, values = {}) => record({
+  id: 7,
+  vendor_id: 3,
+  dry_run: false,
+  status: 'queued',
+  total_rows: rows.length,
+  rows,
+  results: null,
+  ...values
+});
+
+const shirtRow = (data = {}) => ({
+  sku: 'LS-001',
+  name: 'Linen Shirt',
+  price: '15000',
+  category_slug: 'men-shirts',
+  variants: 'Color:White|Navy; Size:M',
+  images: 'https://cdn.example.com/ls-front.jpg|https://cdn.example.com/ls-back.jpg',
+  ...data
+});
+
+const existingShirt = (values = {}) => record({
+  id: 88,
+  vendor_id: 3,
+  sku: 'LS-001',
+  name: 'Linen Shirt',
+  description: null,
+  price: '15000.00',
+  discounted_price: null,
+  weight: null,
+  status: 'active',
+  category_id: 4,
+  variants: [
+    { name: 'Color', value: 'White' },
+    { name: 'Color', value: 'Navy' },
+    { name: 'Size', value: 'M' }
+  ],
+  images: [
+    { image_url: 'https://cdn.example.com/ls-front.jpg' },
+    { image_url: 'https://cdn.example.com/ls-back.jpg' }
+  ],
+  combinations: [{ id: 100, stock: 0 }],
+  ...values
+});
+
+describe('ProductImportService', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.PRODUCT_IMPORT_MAX_ROWS;
+
+    ProductService.validateVendorApproval.mockResolvedValue({ id: 3, status: 'approved' });
+    ProductService.generateUniqueSlug.mockImplementation(async (name) => name.toLowerCase().replace(/\s+/g, '-'));
+    ProductImport.create.mockImplementation(async (values) => record({ id: 7, processed_rows: 0, ...values }));
+    Category.findAll.mockResolvedValue([{ id: 4, slug: 'men-shirts' }]);
+    Product.findAll.mockResolvedValue([]);
+    Product.create.mockImplementation(async (values) => ({ id: 90, ...values }));
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('create', () => {
+    it('stores the rows of a CSV catalog and queues the import', async () => {
+      const csv = 'SKU,name,price,category_slug\nLS-001,Linen Shirt,15000,men-shirts\n';
+
+      const productImport = await ProductImportService.create({
+        vendorId: 3,
+        userId: 77,
+        format: 'csv',
+        content: csv,
+        filename: 'catalog.csv',
+        dryRun: true
+      });
+
+      expect(ProductImport.create).toHaveBeenCalledWith(expect.objectContaining({
+        vendor_id: 3,
+        user_id: 77,
+        format: 'csv',
+        dry_run: true,
+        status: 'queued',
+        total_rows: 1,
+        rows: [{ row: 2, data: { sku: 'LS-001', name: 'Linen Shirt', price: '15000', category_slug: 'men-shirts' } }]
+      }));
+      expect(QueueService.enqueue).toHaveBeenCalledWith('product.import', { importId: 7 }, { attempts: 3 });
+      expect(productImport).toMatchObject({ id: 7, status: 'queued', dry_run: true });
+      expect(productImport.rows).toBeUndefined();
+    });
+
+    it('accepts a JSON catalog wrapped in a products key', async () => {
+      await ProductImportService.create({
+        vendorId: 3,
+        userId: 77,
+        format: 'json',
+        content: JSON.stringify({ products: [{ sku: 'A' }, { sku: 'B' }] })
+      });
+
+      expect(ProductImport.create).toHaveBeenCalledWith(expect.objectContaining({
+        rows: [{ row: 1, data: { sku: 'A' } }, { row: 2, data: { sku: 'B' } }]
+      }));
+    });
+
+    it('refuses unreadable, empty and oversized catalogs', async () => {
+      process.env.PRODUCT_IMPORT_MAX_ROWS = '1';
+      const create = (format, content) => ProductImportService.create({ vendorId: 3, userId: 77, format, content });
+
+      await expect(create('json', '{ nope')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(create('csv', 'name,price\nShirt,100')).rejects.toMatchObject({ message: 'The CSV file needs a sku column' });
+      await expect(create('json', '[]')).rejects.toMatchObject({ message: 'The file has no products to import' });
+      await expect(create('json', '[{}, {}]')).rejects.toMatchObject({ message: 'The file has more than 1 products' });
+      expect(ProductImport.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses vendors that are not approved', async () => {
+      ProductService.validateVendorApproval.mockRejectedValue(Object.assign(new Error('Only approved vendors can import products'), { statusCode: 403 }));
+
+      await expect(ProductImportService.create({ vendorId: 3, userId: 77, format: 'json', content: [{ sku: 'A' }] }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('process', () => {
+    it('creates new products with their variants and images', async () => {
+      const productImport = buildImport([{ row: 2, data: shirtRow() }]);
+      ProductImport.findByPk.mockResolvedValue(productImport);
+
+      await expect(ProductImportService.process(7)).resolves.toEqual({
+        total: 1, created: 1, updated: 0, unchanged: 0, failed: 0
+      });
+
+      expect(Product.create).toHaveBeenCalledWith(expect.objectContaining({
+        vendor_id: 3,
+        sku: 'LS-001',
+        name: 'Linen Shirt',
+        slug: 'linen-shirt',
+        price: 15000,
+        category_id: 4,
+        status: 'active'
+      }), { transaction });
+      expect(ProductService.updateProductVariants).toHaveBeenCalledWith(90, [
+        { type: 'Color', value: 'White' },
+        { type: 'Color', value: 'Navy' },
+        { type: 'Size', value: 'M' }
+      ], transaction);
+      expect(ProductService.updateProductImages).toHaveBeenCalledWith(90, [
+        { url: 'https://cdn.example.com/ls-front.jpg' },
+        { url: 'https://cdn.example.com/ls-back.jpg' }
+      ], transaction);
+      expect(SearchService.queueIndex).toHaveBeenCalledWith(90);
+      expect(productImport).toMatchObject({
+        status: 'completed',
+        processed_rows: 1,
+        created_count: 1,
+        results: [{ row: 2, sku: 'LS-001', name: 'Linen Shirt', outcome: 'created', product_id: 90, errors: [] }]
+      });
+    });
+
+    it('leaves a product that already matches the row unchanged', async () => {
+      ProductImport.findByPk.mockResolvedValue(buildImport([{ row: 2, data: shirtRow({ variants: 'size:m; color:navy|white' }) }]));
+      const product = existingShirt();
+      Product.findAll.mockResolvedValue([product]);
+
+      await expect(ProductImportService.process(7)).resolves.toMatchObject({ unchanged: 1 });
+
+      expect(product.update).not.toHaveBeenCalled();
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+      expect(Product.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { vendor_id: 3, sku: 'LS-001' } }));
+    });
+
+    it('updates only what changed on a known SKU', async () => {
+      ProductImport.findByPk.mockResolvedValue(buildImport([{ row: 2, data: shirtRow({ name: 'Linen Shirt II', price: '16000' }) }]));
+      const product = existingShirt();
+      Product.findAll.mockResolvedValue([product]);
+
+      await expect(ProductImportService.process(7)).resolves.toMatchObject({ updated: 1 });
+
+      expect(product.update).toHaveBeenCalledWith(
+        { name: 'Linen Shirt II', price: 16000, slug: 'linen-shirt-ii' },
+        { transaction }
+      );
+      expect(ProductService.generateUniqueSlug).toHaveBeenCalledWith('Linen Shirt II', 88);
+      expect(ProductService.updateProductVariants).not.toHaveBeenCalled();
+      expect(ProductService.updateProductImages).not.toHaveBeenCalled();
+      expect(SearchService.queueIndex).toHaveBeenCalledWith(88);
+    });
+
+    it('will not rebuild the variants of a product that holds stock', async () => {
+      ProductImport.findByPk.mockResolvedValue(buildImport([{ row: 2, data: shirtRow({ variants: 'Color:Black' }) }]));
+      Product.findAll.mockResolvedValue([existingShirt({ combinations: [{ id: 100, stock: 4 }] })]);
+
+      await expect(ProductImportService.process(7)).resolves.toMatchObject({ failed: 1 });
+      expect(ProductService.updateProductVariants).not.toHaveBeenCalled();
+    });
+
+    it('reports each invalid row and imports the rest', async () => {
+      const productImport = buildImport([
+        { row: 2, data: shirtRow({ price: 'free', images: 'ftp://cdn.example.com/a.jpg' }) },
+        { row: 3, data: shirtRow({ sku: 'LS-009', category_slug: 'men-trouser' }) },
+        { row: 4, data: shirtRow({ sku: 'LS-002' }) },
+        { row: 5, data: shirtRow({ sku: 'ls-002' }) },
+        { row: 6, data: shirtRow({ sku: 'LS-003', variants: 'Color' }) }
+      ]);
+      ProductImport.findByPk.mockResolvedValue(productImport);
+
+      await expect(ProductImportService.process(7)).resolves.toMatchObject({ created: 1, failed: 4 });
+
+      expect(productImport.results.map((result) => [result.row, result.outcome, result.errors])).toEqual([
+        [2, 'failed', [
+          'price must be a number between 0.01 and 1000000',
+          'images: not a web address: ftp://cdn.example.com/a.jpg'
+        ]],
+        [3, 'failed', ['Unknown category "men-trouser"']],
+        [4, 'created', []],
+        [5, 'failed', ['Same SKU as row 4']],
+        [6, 'failed', ['variants: "Color" should look like Type:Value|Value']]
+      ]);
+      expect(Product.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports what would change without saving on a dry run', async () => {
+      const productImport = buildImport([
+        { row: 1, data: shirtRow({ sku: 'NEW-1' }) },
+        { row: 2, data: { ...shirtRow(), price: 14000 } }
+      ], { dry_run: true });
+      ProductImport.findByPk.mockResolvedValue(productImport);
+      Product.findAll.mockResolvedValueOnce([]).mockResolvedValueOnce([existingShirt()]);
+
+      await ProductImportService.process(7);
+
+      expect(productImport.results.map((result) => result.outcome)).toEqual(['will_create', 'will_update']);
+      expect(productImport).toMatchObject({ created_count: 1, updated_count: 1 });
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+      expect(Product.create).not.toHaveBeenCalled();
+    });
+
+    it('records a row that fails to save and keeps going', async () => {
+      ProductImport.findByPk.mockResolvedValue(buildImport([
+        { row: 2, data: shirtRow() },
+        { row: 3, data: shirtRow({ sku: 'LS-002' }) }
+      ]));
+      Product.create.mockRejectedValueOnce(new Error('Data too long for column name'));
+
+      await expect(ProductImportService.process(7)).resolves.toMatchObject({ created: 1, failed: 1 });
+    });
+
+    it('does not run a completed import again', async () => {
+      ProductImport.findByPk.mockResolvedValue(buildImport([{ row: 2, data: shirtRow() }], { status: 'completed' }));
+
+      await expect(ProductImportService.process(7)).resolves.toBeNull();
+      expect(Product.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('report', () => {
+    it('writes the row results as CSV', async () => {
+      ProductImport.findByPk.mockResolvedValue(buildImport([], {
+        status: 'completed',
+        results: [
+          { row: 2, sku: 'LS-001', name: 'Linen Shirt', outcome: 'created', product_id: 90, errors: [] },
+          { row: 3, sku: 'LS-002', name: 'Linen, Trousers', outcome: 'failed', product_id: null, errors: ['price is required', 'Unknown category "x"'] }
+        ]
+      }));
+
+      const { filename, content } = await ProductImportService.report(3, 7);
+
+      expect(filename).toBe('product-import-7-report.csv');
+      expect(parseCsv(content)).toEqual([
+        ['row', 'sku', 'name', 'outcome', 'product_id', 'errors'],
+        ['2', 'LS-001', 'Linen Shirt', 'created', '90', ''],
+        ['3', 'LS-002', 'Linen, Trousers', 'failed', '', 'price is required; Unknown category "x"']
+      ]);
+    });
+
+    it("hides other vendors' imports and unfinished reports", async () => {
+      ProductImport.findByPk.mockResolvedValueOnce(buildImport([], { vendor_id: 4, status: 'completed' }));
+      await expect(ProductImportService.report(3, 7)).rejects.toMatchObject({ statusCode: 404 });
+
+      ProductImport.findByPk.mockResolvedValueOnce(buildImport([], { status: 'processing' }));
+      await expect(ProductImportService.report(3, 7)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,186 @@
+jest.mock('../config/redis', () => ({
+  isConnected: true,
+  get: jest.fn(),
+  set: jest.fn().mockResolvedValue('OK'),
+  del: jest.fn().mockResolvedValue(1),
+  zAdd: jest.fn().mockResolvedValue(1),
+  zRem: jest.fn().mockResolvedValue(1),
+  zRangeByScore: jest.fn(),
+  zCard: jest.fn(),
+  lPush: jest.fn().mockResolvedValue(1),
+  lRem: jest.fn().mockResolvedValue(1),
+  lLen: jest.fn(),
+  lRange: jest.fn()
+}));
+
+jest.mock('../jobs/handlers', () => ({
+  email: jest.fn()
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const redis = require('../config/redis');
+const handlers = require('../jobs/handlers');
+const QueueService = require('../services/queue.service');
+
+const now = new Date('2025-12-18T09:00:00Z').getTime();
+
+const storedJob = (values = {}) => ({
+  id: 'job-1',
+  type: 'email',
+  payload: { to: 'ada@example.com', templateType: 'ORDER_SHIPPED', context: {} },
+  status: 'queued',
+  attempts: 0,
+  max_attempts: 3,
+  last_error: null,
+  created_at: '2025-12-18T08:59:00.000Z',
+  run_at: '2025-12-18T08:59:00.000Z',
+  failed_at: null,
+  ...values
+});
+
+describe('QueueService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis.isConnected = true;
+    redis.zRangeByScore.mockResolvedValue([]);
+    redis.zRem.mockResolvedValue(1);
+  });
+
+  describe('enqueue', () => {
+    test('stores the job and schedules it to run after the delay', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      const job = await QueueService.enqueue('email', { to: 'ada@example.com' }, { delay: 60 });
+
+      expect(job).toMatchObject({ type: 'email', status: 'queued', attempts: 0, max_attempts: 5 });
+      expect(JSON.parse(redis.set.mock.calls[0][1])).toMatchObject({ id: job.id, payload: { to: 'ada@example.com' } });
+      expect(redis.zAdd).toHaveBeenCalledWith('queue:scheduled', { score: now + 60000, value: job.id });
+
+      Date.now.mockRestore();
+    });
+
+    test('rejects job types without a handler', async () => {
+      await expect(QueueService.enqueue('sms', {})).rejects.toMatchObject({ statusCode: 400 });
+      expect(redis.set).not.toHaveBeenCalled();
+    });
+
+    test('runs the job in process when Redis is unavailable', async () => {
+      jest.useFakeTimers();
+      redis.isConnected = false;
+
+      await QueueService.enqueue('email', { to: 'ada@example.com' });
+      await jest.runAllTimersAsync();
+
+      expect(handlers.email).toHaveBeenCalledWith({ to: 'ada@example.com' });
+      expect(redis.zAdd).not.toHaveBeenCalled();
+
+      jest.useRealTimers();
+    });
+  });
+
+  describe('processNext', () => {
+    test('claims a due job, runs it and deletes it', async () => {
+      redis.zRangeByScore.mockResolvedValueOnce([]).mockResolvedValueOnce(['job-1']);
+      redis.get.mockResolvedValue(JSON.stringify(storedJob()));
+
+      const job = await QueueService.processNext({ now });
+
+      expect(handlers.email).toHaveBeenCalledWith(storedJob().payload);
+      expect(redis.zAdd).toHaveBeenCalledWith('queue:processing', { score: now + 300000, value: 'job-1' });
+      expect(redis.del).toHaveBeenCalledWith('queue:job:job-1');
+      expect(job).toMatchObject({ id: 'job-1', status: 'completed', attempts: 1 });
+    });
+
+    test('skips jobs another worker claimed first', async () => {
+      redis.zRangeByScore.mockResolvedValueOnce([]).mockResolvedValueOnce(['job-1']);
+      redis.zRem.mockResolvedValueOnce(0);
+
+      const job = await QueueService.processNext({ now });
+
+      expect(job).toBeNull();
+      expect(handlers.email).not.toHaveBeenCalled();
+    });
+
+    test('retries a failing job with exponential backoff', async () => {
+      redis.zRangeByScore.mockResolvedValueOnce([]).mockResolvedValueOnce(['job-1']);
+      redis.get.mockResolvedValue(JSON.stringify(storedJob({ attempts: 1 })));
+      handlers.email.mockRejectedValueOnce(new Error('SMTP down'));
+
+      const job = await QueueService.processNext({ now });
+
+      // Second attempt failed: wait 30s * 2
+      expect(job).toMatchObject({ status: 'queued', attempts: 2, last_error: 'SMTP down' });
+      expect(redis.zAdd).toHaveBeenCalledWith('queue:scheduled', { score: now + 60000, value: 'job-1' });
+      expect(redis.lPush).not.toHaveBeenCalled();
+    });
+
+    test('moves a job to the failed list once its attempts are used up', async () => {
+      redis.zRangeByScore.mockResolvedValueOnce([]).mockResolvedValueOnce(['job-1']);
+      redis.get.mockResolvedValue(JSON.stringify(storedJob({ attempts: 2 })));
+      handlers.email.mockRejectedValueOnce(new Error('SMTP down'));
+
+      const job = await QueueService.processNext({ now });
+
+      expect(job).toMatchObject({ status: 'failed', attempts: 3, failed_at: new Date(now).toISOString() });
+      expect(redis.lPush).toHaveBeenCalledWith('queue:failed', 'job-1');
+      expect(redis.zAdd).not.toHaveBeenCalledWith('queue:scheduled', expect.anything());
+    });
+
+    test('puts jobs from a crashed worker back on the schedule', async () => {
+      redis.zRangeByScore.mockResolvedValueOnce(['job-9']).mockResolvedValueOnce([]);
+
+      await QueueService.processNext({ now });
+
+      expect(redis.zRem).toHaveBeenCalledWith('queue:processing', 'job-9');
+      expect(redis.zAdd).toHaveBeenCalledWith('queue:scheduled', { score: now, value: 'job-9' });
+    });
+  });
+
+  describe('retry', () => {
+    test('requeues a failed job with fresh attempts', async () => {
+      redis.get.mockResolvedValue(JSON.stringify(storedJob({ status: 'failed', attempts: 3 })));
+
+      const job = await QueueService.retry('job-1');
+
+      expect(job).toMatchObject({ status: 'queued', attempts: 0, failed_at: null });
+      expect(redis.lRem).toHaveBeenCalledWith('queue:failed', 0, 'job-1');
+      expect(redis.zAdd).toHaveBeenCalledWith('queue:scheduled', expect.objectContaining({ value: 'job-1' }));
+    });
+
+    test('refuses jobs that have not failed', async () => {
+      redis.get.mockResolvedValue(JSON.stringify(storedJob()));
+
+      await expect(QueueService.retry('job-1')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('reports missing jobs', async () => {
+      redis.get.mockResolvedValue(null);
+
+      await expect(QueueService.retry('job-1')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('listFailed', () => {
+    test('lists failed jobs and shortens large payload values', async () => {
+      redis.lLen.mockResolvedValue(2);
+      redis.lRange.mockResolvedValue(['job-1', 'job-2']);
+      redis.get
+        .mockResolvedValueOnce(
+          JSON.stringify(storedJob({ type: 'image.write', status: 'failed', payload: { filename: 'a.jpg', data: 'x'.repeat(1000) } }))
+        )
+        .mockResolvedValueOnce(null);
+
+      const result = await QueueService.listFailed({ page: 1, limit: 20 });
+
+      expect(result.jobs).toHaveLength(1);
+      expect(result.jobs[0].payload).toEqual({ filename: 'a.jpg', data: '[1000 characters]' });
+      // job-2 expired: its ID is dropped from the list
+      expect(redis.lRem).toHaveBeenCalledWith('queue:failed', 0, 'job-2');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../models', () => ({
+  Review: { findAll: jest.fn() },
+  Product: { findByPk: jest.fn(), update: jest.fn() },
+  Vendor: { update: jest.fn() },
+  sequelize: { fn: jest.fn((name, column) => `${name}(${column})`), col: jest.fn((column) => column) }
+}));
+
+const { Review, Product, Vendor } = require('../models');
+const RatingService = require('../services/rating.service');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+describe('RatingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('summarize', () => {
+    test('builds the histogram, count and rounded average', () => {
+      const summary = RatingService.summarize([
+        { rating: 5, total: '8' },
+        { rating: 4, total: '2' },
+        { rating: 2, total: '1' }
+      ]);
+
+      expect(summary).toEqual({
+        average: 4.55,
+        count: 11,
+        histogram: { 1: 0, 2: 1, 3: 0, 4: 2, 5: 8 }
+      });
+    });
+
+    test('reports zero for products without approved reviews', () => {
+      expect(RatingService.summarize([])).toEqual({
+        average: 0,
+        count: 0,
+        histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+      });
+    });
+  });
+
+  describe('refreshProduct', () => {
+    test('locks the product and stores its approved review totals, then its vendor totals', async () => {
+      Product.findByPk.mockResolvedValue({ id: 7, vendor_id: 3 });
+      Review.findAll
+        .mockResolvedValueOnce([{ rating: 4, total: 1 }, { rating: 5, total: 1 }])
+        .mockResolvedValueOnce([{ rating: 3, total: 2 }, { rating: 4, total: 1 }, { rating: 5, total: 1 }]);
+
+      const summary = await RatingService.refreshProduct(7, { transaction });
+
+      expect(Product.findByPk).toHaveBeenCalledWith(7, expect.objectContaining({ transaction, lock: 'UPDATE' }));
+      expect(Review.findAll.mock.calls[0][0].where).toEqual({ product_id: 7, status: 'approved' });
+      expect(Product.update).toHaveBeenCalledWith(
+        { rating_average: 4.5, rating_count: 2, rating_histogram: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 } },
+        { where: { id: 7 }, transaction }
+      );
+      expect(Review.findAll.mock.calls[1][0].include[0].where).toEqual({ vendor_id: 3 });
+      expect(Vendor.update).toHaveBeenCalledWith(
+        { rating_average: 3.75, rating_count: 4, rating_histogram: { 1: 0, 2: 0, 3: 2, 4: 1, 5: 1 } },
+        { where: { id: 3 }, transaction }
+      );
+      expect(summary.average).toBe(4.5);
+    });
+
+    test('does nothing for a missing product', async () => {
+      Product.findByPk.mockResolvedValue(null);
+
+      expect(await RatingService.refreshProduct(7)).toBeNull();
+      expect(Product.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('format', () => {
+    test('fills in missing stars and parses stored values', () => {
+      expect(
+        RatingService.format({ rating_average: '4.50', rating_count: 2, rating_histogram: '{"4":1,"5":1}' })
+      ).toEqual({ average: 4.5, count: 2, histogram: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 } });
+    });
+  });
+});
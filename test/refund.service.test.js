@@ -0,0 +1,255 @@
+jest.mock('../models', () => ({
+  Refund: { create: jest.fn(), findOne: jest.fn(), findByPk: jest.fn(), sum: jest.fn() },
+  RefundItem: { bulkCreate: jest.fn(), findAll: jest.fn() },
+  Order: { findByPk: jest.fn() },
+  OrderItem: { findAll: jest.fn() },
+  Product: {},
+  User: {},
+  PaymentTransaction: { create: jest.fn(), update: jest.fn() },
+  sequelize: { transaction: jest.fn(), fn: jest.fn(), col: jest.fn() }
+}));
+
+jest.mock('../services/payment.service', () => ({
+  createRefund: jest.fn()
+}));
+
+jest.mock('../services/email.service', () => ({
+  sendRefundProcessed: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const { Refund, RefundItem, Order, OrderItem, PaymentTransaction, sequelize } = require('../models');
+const paymentService = require('../services/payment.service');
+const RefundService = require('../services/refund.service');
+
+const paidOrder = {
+  id: 1001,
+  user_id: 42,
+  total_amount: '25500.00', // 2 x 10,000 + 1 x 5,000 + 500 shipping
+  payment_status: 'paid',
+  payment_reference: 'STYLAY-1733821200000-1001'
+};
+
+const orderItems = [
+  { id: 1, quantity: 2, sub_total: '20000.00' },
+  { id: 2, quantity: 1, sub_total: '5000.00' }
+];
+
+const buildRefund = (overrides = {}) => {
+  const refund = {
+    id: 9,
+    order_id: 1001,
+    amount: '10000.00',
+    status: 'pending',
+    reference: 'REFUND-1733821200000-1001',
+    payment_reference: paidOrder.payment_reference,
+    gateway_refund_id: '555',
+    ...overrides
+  };
+  refund.update = jest.fn(async (values) => Object.assign(refund, values));
+  return refund;
+};
+
+describe('RefundService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OrderItem.findAll.mockResolvedValue(orderItems);
+    RefundItem.findAll.mockResolvedValue([]);
+    Refund.sum.mockResolvedValue(0);
+    Refund.create.mockImplementation(async (values) => ({ id: 9, ...values }));
+  });
+
+  describe('createRefund', () => {
+    test('refunds the remaining order total when no items are given', async () => {
+      const refund = await RefundService.createRefund({ order: paidOrder, source: 'cancellation' });
+
+      expect(refund.amount).toBe(25500);
+      expect(RefundItem.bulkCreate).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({ order_item_id: 1, quantity: 2, amount: 20000 }),
+          expect.objectContaining({ order_item_id: 2, quantity: 1, amount: 5000 })
+        ],
+        expect.any(Object)
+      );
+      expect(PaymentTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'refund', status: 'pending', amount: 25500 }),
+        expect.any(Object)
+      );
+    });
+
+    test('refunds selected quantities at unit price', async () => {
+      const refund = await RefundService.createRefund({
+        order: paidOrder,
+        items: [{ order_item_id: 1, quantity: 1 }]
+      });
+
+      expect(refund.amount).toBe(10000);
+      expect(refund.source).toBe('manual');
+    });
+
+    test('rejects quantities already refunded', async () => {
+      RefundItem.findAll.mockResolvedValue([{ order_item_id: 1, quantity: '2' }]);
+      Refund.sum.mockResolvedValue('20000.00');
+
+      await expect(
+        RefundService.createRefund({ order: paidOrder, items: [{ order_item_id: 1, quantity: 1 }] })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(Refund.create).not.toHaveBeenCalled();
+    });
+
+    test('rejects items from another order', async () => {
+      await expect(
+        RefundService.createRefund({ order: paidOrder, items: [{ order_item_id: 99, quantity: 1 }] })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('rejects unpaid orders', async () => {
+      await expect(
+        RefundService.createRefund({ order: { ...paidOrder, payment_status: 'pending' } })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('rejects fully refunded orders', async () => {
+      Refund.sum.mockResolvedValue('25500.00');
+
+      await expect(RefundService.createRefund({ order: paidOrder })).rejects.toMatchObject({
+        message: 'Order has already been fully refunded'
+      });
+    });
+  });
+
+  describe('itemAmount', () => {
+    test('includes tax charged on top of the price', () => {
+      const orderItem = { quantity: 2, sub_total: '20000.00', discount_amount: '2000.00', tax_amount: '1350.00', tax_inclusive: false };
+      expect(RefundService.itemAmount(orderItem, 1)).toBe(9675);
+    });
+
+    test('does not add tax already included in the price', () => {
+      const orderItem = { quantity: 2, sub_total: '21500.00', discount_amount: '0.00', tax_amount: '1500.00', tax_inclusive: true };
+      expect(RefundService.itemAmount(orderItem, 1)).toBe(10750);
+    });
+  });
+
+  describe('submit', () => {
+    test('stores the Paystack refund ID', async () => {
+      const refund = buildRefund({ gateway_refund_id: null });
+      paymentService.createRefund.mockResolvedValue({ data: { id: 777 } });
+
+      await RefundService.submit(refund);
+
+      expect(paymentService.createRefund).toHaveBeenCalledWith(
+        expect.objectContaining({ transaction: paidOrder.payment_reference, amount: 10000 })
+      );
+      expect(refund.update).toHaveBeenCalledWith({ gateway_refund_id: '777' });
+    });
+  });
+
+  describe('retry', () => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+    beforeEach(() => {
+      sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+      Order.findByPk.mockResolvedValue(paidOrder);
+      paymentService.createRefund.mockResolvedValue({ data: { id: 778 } });
+    });
+
+    test('resubmits a failed refund checked under lock', async () => {
+      const refund = buildRefund({ status: 'failed', gateway_refund_id: null });
+      Refund.findByPk.mockResolvedValue(refund);
+
+      await RefundService.retry(9);
+
+      expect(Refund.findByPk).toHaveBeenCalledWith(9, { transaction, lock: 'UPDATE' });
+      expect(Refund.sum).toHaveBeenCalledWith('amount', expect.objectContaining({ transaction }));
+      expect(refund.update).toHaveBeenCalledWith(
+        { status: 'pending', failure_reason: null, gateway_refund_id: null },
+        { transaction }
+      );
+      expect(paymentService.createRefund).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects a second retry once the refund is no longer failed', async () => {
+      const refund = buildRefund({ status: 'failed', gateway_refund_id: null });
+      Refund.findByPk.mockResolvedValue(refund);
+
+      await RefundService.retry(9);
+      await expect(RefundService.retry(9)).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(paymentService.createRefund).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects retries that would exceed the order total', async () => {
+      Refund.findByPk.mockResolvedValue(buildRefund({ status: 'failed' }));
+      Refund.sum.mockResolvedValue(20000);
+
+      await expect(RefundService.retry(9)).rejects.toMatchObject({ statusCode: 400 });
+      expect(paymentService.createRefund).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleWebhook', () => {
+    test('refund.processed completes the refund and its ledger entry', async () => {
+      const refund = buildRefund();
+      Refund.findOne.mockResolvedValue(refund);
+      Order.findByPk.mockResolvedValue(paidOrder);
+      Refund.sum.mockResolvedValue('10000.00');
+
+      await RefundService.handleWebhook('refund.processed', { id: 555, transaction_reference: paidOrder.payment_reference });
+
+      expect(refund.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'processed', processed_at: expect.any(Date) }),
+        expect.any(Object)
+      );
+      expect(PaymentTransaction.update).toHaveBeenCalledWith(
+        { status: 'completed' },
+        expect.objectContaining({ where: { type: 'refund', transaction_id: refund.reference } })
+      );
+      // Partial refund: the original payment is not flagged as refunded
+      expect(PaymentTransaction.update).not.toHaveBeenCalledWith({ status: 'refunded' }, expect.anything());
+    });
+
+    test('refund.processed flags the payment refunded once the order is fully refunded', async () => {
+      const refund = buildRefund({ amount: '25500.00' });
+      Refund.findOne.mockResolvedValue(refund);
+      Order.findByPk.mockResolvedValue(paidOrder);
+      Refund.sum.mockResolvedValue('25500.00');
+
+      await RefundService.handleWebhook('refund.processed', { id: 555 });
+
+      expect(PaymentTransaction.update).toHaveBeenCalledWith(
+        { status: 'refunded' },
+        expect.objectContaining({ where: { order_id: 1001, type: 'payment', status: 'completed' } })
+      );
+    });
+
+    test('refund.failed marks a pending refund failed', async () => {
+      const refund = buildRefund();
+      Refund.findOne.mockResolvedValue(refund);
+
+      await RefundService.handleWebhook('refund.failed', { id: 555, reason: 'Card expired' });
+
+      expect(refund.update).toHaveBeenCalledWith(
+        { status: 'failed', failure_reason: 'Card expired' },
+        expect.any(Object)
+      );
+      expect(PaymentTransaction.update).toHaveBeenCalledWith(
+        { status: 'failed' },
+        expect.objectContaining({ where: { type: 'refund', transaction_id: refund.reference } })
+      );
+    });
+
+    test('ignores refunds it does not know about', async () => {
+      Refund.findOne.mockResolvedValue(null);
+
+      const result = await RefundService.handleWebhook('refund.processed', { id: 1, transaction_reference: 'x' });
+
+      expect(result).toBeNull();
+      expect(PaymentTransaction.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,243 @@
+jest.mock('../models', () => ({
+  ReturnRequest: { create: jest.fn(), findOne: jest.fn() },
+  ReturnRequestItem: { bulkCreate: jest.fn(), findAll: jest.fn() },
+  Order: { findOne: jest.fn(), findByPk: jest.fn() },
+  OrderItem: { findAll: jest.fn() },
+  Product: {},
+  Vendor: {},
+  Store: {},
+  User: {},
+  Refund: {},
+  Inventory: { findOne: jest.fn() },
+  InventoryHistory: { create: jest.fn() },
+  VariantCombination: { findByPk: jest.fn(), update: jest.fn() },
+  sequelize: { transaction: jest.fn(), fn: jest.fn(), col: jest.fn() }
+}));
+
+jest.mock('../services/refund.service', () => ({
+  createRefund: jest.fn(),
+  submit: jest.fn(),
+  getRefundedQuantities: jest.fn()
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const {
+  ReturnRequest,
+  ReturnRequestItem,
+  Order,
+  OrderItem,
+  Inventory,
+  InventoryHistory,
+  VariantCombination,
+  sequelize
+} = require('../models');
+const RefundService = require('../services/refund.service');
+const ReturnService = require('../services/return.service');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const deliveredOrder = {
+  id: 1001,
+  user_id: 42,
+  order_status: 'delivered',
+  payment_status: 'paid'
+};
+
+const orderItems = [
+  { id: 1, vendor_id: 3, product_id: 10, combination_id: 100, quantity: 2, sub_total: '20000.00' },
+  { id: 2, vendor_id: 4, product_id: 11, combination_id: null, quantity: 1, sub_total: '5000.00' }
+];
+
+const buildReturn = (overrides = {}) => {
+  const returnRequest = {
+    id: 12,
+    order_id: 1001,
+    user_id: 42,
+    vendor_id: 3,
+    status: 'approved',
+    reason_code: 'wrong_item',
+    ...overrides
+  };
+  returnRequest.update = jest.fn(async (values) => Object.assign(returnRequest, values));
+  return returnRequest;
+};
+
+describe('ReturnService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation((callback) => callback(transaction));
+    Order.findOne.mockResolvedValue(deliveredOrder);
+    OrderItem.findAll.mockResolvedValue(orderItems);
+    ReturnRequestItem.findAll.mockResolvedValue([]);
+    RefundService.getRefundedQuantities.mockResolvedValue({});
+    ReturnRequest.create.mockImplementation(async (values) => ({ id: 12, ...values }));
+    jest.spyOn(ReturnService, 'findById').mockImplementation(async (id) => ({ id }));
+  });
+
+  afterEach(() => {
+    ReturnService.findById.mockRestore();
+  });
+
+  describe('create', () => {
+    test('creates a request for the vendor of the returned items', async () => {
+      await ReturnService.create({
+        userId: 42,
+        orderId: 1001,
+        items: [{ order_item_id: 1, quantity: 1 }],
+        reasonCode: 'damaged',
+        attachments: [{ filename: 'photo.jpg', url: '/uploads/return-attachments/photo.jpg' }]
+      });
+
+      expect(ReturnRequest.create).toHaveBeenCalledWith(
+        expect.objectContaining({ vendor_id: 3, status: 'requested', reason_code: 'damaged' }),
+        expect.any(Object)
+      );
+      expect(ReturnRequestItem.bulkCreate).toHaveBeenCalledWith(
+        [{ return_request_id: 12, order_item_id: 1, quantity: 1 }],
+        expect.any(Object)
+      );
+    });
+
+    test('rejects orders that have not been delivered', async () => {
+      Order.findOne.mockResolvedValue({ ...deliveredOrder, order_status: 'shipped' });
+
+      await expect(
+        ReturnService.create({ userId: 42, orderId: 1001, items: [{ order_item_id: 1, quantity: 1 }], reasonCode: 'damaged' })
+      ).rejects.toMatchObject({ statusCode: 400, message: 'Only delivered orders can be returned' });
+    });
+
+    test('rejects quantities already held by other returns', async () => {
+      ReturnRequestItem.findAll.mockResolvedValue([{ order_item_id: 1, quantity: '2' }]);
+
+      await expect(
+        ReturnService.create({ userId: 42, orderId: 1001, items: [{ order_item_id: 1, quantity: 1 }], reasonCode: 'damaged' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(ReturnRequest.create).not.toHaveBeenCalled();
+    });
+
+    test('rejects units that were already refunded outside a return', async () => {
+      RefundService.getRefundedQuantities.mockResolvedValue({ 1: 1 });
+
+      await expect(
+        ReturnService.create({ userId: 42, orderId: 1001, items: [{ order_item_id: 1, quantity: 2 }], reasonCode: 'damaged' })
+      ).rejects.toMatchObject({ statusCode: 400, message: 'Only 1 unit(s) of order item 1 can still be returned' });
+      expect(RefundService.getRefundedQuantities).toHaveBeenCalledWith(1001, { excludeSource: 'return', transaction });
+      expect(ReturnRequest.create).not.toHaveBeenCalled();
+    });
+
+    test('rejects items sold by different vendors', async () => {
+      await expect(
+        ReturnService.create({
+          userId: 42,
+          orderId: 1001,
+          items: [{ order_item_id: 1, quantity: 1 }, { order_item_id: 2, quantity: 1 }],
+          reasonCode: 'damaged'
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('approve', () => {
+    test('only approves requests awaiting review', async () => {
+      ReturnRequest.findOne.mockResolvedValue(buildReturn({ status: 'rejected' }));
+
+      await expect(ReturnService.approve(12, { reviewerId: 7, vendorId: 3 })).rejects.toMatchObject({
+        statusCode: 400
+      });
+    });
+
+    test('scopes vendors to their own returns', async () => {
+      ReturnRequest.findOne.mockResolvedValue(null);
+
+      await expect(ReturnService.approve(12, { reviewerId: 7, vendorId: 99 })).rejects.toMatchObject({
+        statusCode: 404
+      });
+      expect(ReturnRequest.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 12, vendor_id: 99 } })
+      );
+    });
+  });
+
+  describe('receive', () => {
+    const returnItem = () => {
+      const item = { order_item_id: 1, quantity: 1, orderItem: orderItems[0] };
+      item.update = jest.fn(async (values) => Object.assign(item, values));
+      return item;
+    };
+
+    test('restocks the combination, logs the return and issues a refund', async () => {
+      const returnRequest = buildReturn();
+      const item = returnItem();
+      ReturnRequest.findOne.mockResolvedValue(returnRequest);
+      ReturnRequestItem.findAll.mockResolvedValue([item]);
+      VariantCombination.findByPk.mockResolvedValue({ id: 100, stock: 5 });
+      Inventory.findOne.mockResolvedValue({ id: 50 });
+      Order.findByPk.mockResolvedValue(deliveredOrder);
+      RefundService.createRefund.mockResolvedValue({ id: 4 });
+
+      await ReturnService.receive(12, { userId: 7, vendorId: 3 });
+
+      expect(VariantCombination.update).toHaveBeenCalledWith(
+        { stock: 6 },
+        expect.objectContaining({ where: { id: 100 } })
+      );
+      expect(InventoryHistory.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          inventory_id: 50,
+          combination_id: 100,
+          change_amount: 1,
+          change_type: 'return',
+          previous_stock: 5,
+          new_stock: 6
+        }),
+        expect.any(Object)
+      );
+      expect(item.update).toHaveBeenCalledWith({ restocked: true }, expect.any(Object));
+      expect(RefundService.createRefund).toHaveBeenCalledWith(
+        expect.objectContaining({ source: 'return', items: [{ order_item_id: 1, quantity: 1 }] }),
+        expect.any(Object)
+      );
+      expect(returnRequest.status).toBe('refunded');
+      expect(returnRequest.refund_id).toBe(4);
+      expect(RefundService.submit).toHaveBeenCalledWith({ id: 4 });
+    });
+
+    test('skips restocking and refunding when asked to', async () => {
+      const returnRequest = buildReturn();
+      ReturnRequest.findOne.mockResolvedValue(returnRequest);
+      ReturnRequestItem.findAll.mockResolvedValue([returnItem()]);
+      Order.findByPk.mockResolvedValue(deliveredOrder);
+
+      await ReturnService.receive(12, { userId: 7, restock: false, refund: false });
+
+      expect(VariantCombination.update).not.toHaveBeenCalled();
+      expect(RefundService.createRefund).not.toHaveBeenCalled();
+      expect(returnRequest.status).toBe('completed');
+    });
+
+    test('completes returns of unpaid orders instead of leaving them received', async () => {
+      const returnRequest = buildReturn();
+      ReturnRequest.findOne.mockResolvedValue(returnRequest);
+      ReturnRequestItem.findAll.mockResolvedValue([returnItem()]);
+      Order.findByPk.mockResolvedValue({ ...deliveredOrder, payment_status: 'pending' });
+
+      await ReturnService.receive(12, { userId: 7 });
+
+      expect(RefundService.createRefund).not.toHaveBeenCalled();
+      expect(returnRequest.status).toBe('completed');
+      expect(returnRequest.received_at).toEqual(expect.any(Date));
+    });
+
+    test('requires the return to be approved first', async () => {
+      ReturnRequest.findOne.mockResolvedValue(buildReturn({ status: 'requested' }));
+
+      await expect(ReturnService.receive(12, { userId: 7 })).rejects.toMatchObject({ statusCode: 400 });
+      expect(RefundService.createRefund).not.toHaveBeenCalled();
+    });
+  });
+});
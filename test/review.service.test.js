@@ -0,0 +1,349 @@
+jest.mock('../models', () => ({
+  Review: { findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn(), findAndCountAll: jest.fn() },
+  ReviewVote: { findOne: jest.fn(), create: jest.fn(), destroy: jest.fn(), count: jest.fn() },
+  ReviewReport: { findOne: jest.fn(), create: jest.fn(), count: jest.fn(), update: jest.fn() },
+  OversightLog: { create: jest.fn() },
+  Product: {},
+  Vendor: { findOne: jest.fn() },
+  User: {},
+  Order: {},
+  OrderItem: { findOne: jest.fn() },
+  sequelize: { transaction: jest.fn(), literal: jest.fn((sql) => sql) }
+}));
+
+jest.mock('../services/rating.service', () => ({
+  refreshProduct: jest.fn()
+}));
+
+const { Review, ReviewVote, ReviewReport, OversightLog, Vendor, OrderItem, sequelize } = require('../models');
+const ReviewService = require('../services/review.service');
+const RatingService = require('../services/rating.service');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const review = (values = {}) => {
+  const record = {
+    id: 31,
+    product_id: 7,
+    user_id: 42,
+    rating: 4,
+    is_verified_purchase: false,
+    status: 'approved',
+    is_flagged: false,
+    flag_reasons: null,
+    report_count: 0,
+    product: { id: 7, vendor_id: 3 },
+    ...values
+  };
+  record.update = jest.fn(async (changes) => Object.assign(record, changes));
+  record.destroy = jest.fn();
+  return record;
+};
+
+describe('ReviewService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.REVIEWS_REQUIRE_PURCHASE;
+    delete process.env.REVIEW_BANNED_WORDS;
+    delete process.env.REVIEW_REPORT_THRESHOLD;
+    sequelize.transaction.mockImplementation((callback) => callback(transaction));
+    Review.create.mockImplementation(async (values) => ({ id: 31, ...values }));
+  });
+
+  describe('create', () => {
+    test('flags reviews of delivered purchases as verified', async () => {
+      Review.findOne.mockResolvedValue(null);
+      OrderItem.findOne.mockResolvedValue({ id: 55 });
+
+      const created = await ReviewService.create({
+        userId: 42,
+        productId: 7,
+        rating: 5,
+        comment: 'Lovely fabric',
+        images: [{ filename: 'images-1.jpg', url: '/uploads/review-images/images-1.jpg' }]
+      });
+
+      expect(OrderItem.findOne.mock.calls[0][0].include[0].where).toEqual({ user_id: 42, order_status: 'delivered' });
+      expect(Review.create).toHaveBeenCalledWith(expect.any(Object), { transaction });
+      expect(RatingService.refreshProduct).toHaveBeenCalledWith(7, { transaction });
+      expect(created).toMatchObject({
+        order_item_id: 55,
+        is_verified_purchase: true,
+        images: [{ filename: 'images-1.jpg' }],
+        status: 'pending',
+        is_flagged: false
+      });
+    });
+
+    test('flags reviews containing banned words', async () => {
+      process.env.REVIEW_BANNED_WORDS = 'Knock-off, scam';
+      Review.findOne.mockResolvedValue(null);
+      OrderItem.findOne.mockResolvedValue(null);
+
+      const created = await ReviewService.create({
+        userId: 42,
+        productId: 7,
+        rating: 1,
+        comment: 'Total SCAM, the seller is an idiot. WhatsApp me for the real thing.'
+      });
+
+      expect(created).toMatchObject({
+        status: 'pending',
+        is_flagged: true,
+        flag_reasons: [{ type: 'banned_words', words: ['idiot', 'whatsapp me', 'scam'] }]
+      });
+    });
+
+    test('accepts unverified reviews unless purchases are required', async () => {
+      Review.findOne.mockResolvedValue(null);
+      OrderItem.findOne.mockResolvedValue(null);
+
+      const created = await ReviewService.create({ userId: 42, productId: 7, rating: 3 });
+      expect(created).toMatchObject({ is_verified_purchase: false, order_item_id: null, images: null });
+
+      process.env.REVIEWS_REQUIRE_PURCHASE = 'true';
+      await expect(ReviewService.create({ userId: 42, productId: 7, rating: 3 })).rejects.toMatchObject({
+        statusCode: 403
+      });
+    });
+
+    test('rejects a second review of the same product', async () => {
+      Review.findOne.mockResolvedValue(review());
+
+      await expect(ReviewService.create({ userId: 42, productId: 7, rating: 3 })).rejects.toMatchObject({
+        statusCode: 400
+      });
+      expect(Review.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    test('verifies the review once the order has been delivered', async () => {
+      const existing = review();
+      Review.findByPk.mockResolvedValue(existing);
+      OrderItem.findOne.mockResolvedValue({ id: 55 });
+
+      await ReviewService.update(31, 42, { rating: 5 });
+
+      expect(existing.update).toHaveBeenCalledWith(
+        expect.objectContaining({ rating: 5, order_item_id: 55, is_verified_purchase: true, status: 'pending' }),
+        { transaction }
+      );
+      expect(RatingService.refreshProduct).toHaveBeenCalledWith(7, { transaction });
+    });
+
+    test('rescreens an edited comment but keeps the report flag', async () => {
+      const existing = review({
+        is_verified_purchase: true,
+        is_flagged: true,
+        flag_reasons: [{ type: 'banned_words', words: ['stupid'] }, { type: 'reports', count: 3 }]
+      });
+      Review.findByPk.mockResolvedValue(existing);
+
+      await ReviewService.update(31, 42, { comment: 'Runs small, order a size up.' });
+
+      expect(existing.update).toHaveBeenCalledWith(
+        expect.objectContaining({ is_flagged: true, flag_reasons: [{ type: 'reports', count: 3 }] }),
+        { transaction }
+      );
+    });
+
+    test("refuses other customers' reviews", async () => {
+      Review.findByPk.mockResolvedValue(review({ user_id: 8 }));
+
+      await expect(ReviewService.update(31, 42, { rating: 5 })).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('remove', () => {
+    test('deletes the review and refreshes the product rating', async () => {
+      const existing = review();
+      Review.findByPk.mockResolvedValue(existing);
+
+      await ReviewService.remove(31, 42);
+
+      expect(existing.destroy).toHaveBeenCalledWith({ transaction });
+      expect(RatingService.refreshProduct).toHaveBeenCalledWith(7, { transaction });
+    });
+  });
+
+  describe('vote', () => {
+    test('records a vote and recounts the review', async () => {
+      const existing = review({ user_id: 8 });
+      Review.findByPk.mockResolvedValue(existing);
+      ReviewVote.findOne.mockResolvedValue(null);
+      ReviewVote.count.mockResolvedValueOnce(12).mockResolvedValueOnce(1);
+
+      const result = await ReviewService.vote(31, 42, 'up');
+
+      expect(ReviewVote.create).toHaveBeenCalledWith({ review_id: 31, user_id: 42, vote: 'up' }, { transaction });
+      expect(existing.update).toHaveBeenCalledWith({ helpful_count: 12, unhelpful_count: 1 }, { transaction });
+      expect(result).toEqual({ review_id: 31, helpful_count: 12, unhelpful_count: 1, my_vote: 'up' });
+    });
+
+    test('changes an earlier vote instead of adding another', async () => {
+      const earlier = { update: jest.fn() };
+      Review.findByPk.mockResolvedValue(review({ user_id: 8 }));
+      ReviewVote.findOne.mockResolvedValue(earlier);
+      ReviewVote.count.mockResolvedValue(0);
+
+      await ReviewService.vote(31, 42, 'down');
+
+      expect(earlier.update).toHaveBeenCalledWith({ vote: 'down' }, { transaction });
+      expect(ReviewVote.create).not.toHaveBeenCalled();
+    });
+
+    test('does not accept votes on reviews awaiting moderation', async () => {
+      Review.findByPk.mockResolvedValue(review({ user_id: 8, status: 'pending' }));
+
+      await expect(ReviewService.vote(31, 42, 'up')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('does not let reviewers vote on their own review', async () => {
+      Review.findByPk.mockResolvedValue(review());
+
+      await expect(ReviewService.vote(31, 42, 'up')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('reply', () => {
+    test("lets the product's vendor reply", async () => {
+      const existing = review();
+      Review.findByPk.mockResolvedValue(existing);
+      Vendor.findOne.mockResolvedValue({ id: 3 });
+
+      await ReviewService.reply(31, 90, 'Thank you!');
+
+      expect(existing.update).toHaveBeenCalledWith({ vendor_reply: 'Thank you!', vendor_replied_at: expect.any(Date) });
+    });
+
+    test('refuses other vendors', async () => {
+      Review.findByPk.mockResolvedValue(review());
+      Vendor.findOne.mockResolvedValue({ id: 4 });
+
+      await expect(ReviewService.reply(31, 91, 'Hi')).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('report', () => {
+    test('records a report without hiding the review below the threshold', async () => {
+      const existing = review({ user_id: 8 });
+      Review.findByPk.mockResolvedValue(existing);
+      ReviewReport.findOne.mockResolvedValue(null);
+      ReviewReport.create.mockImplementation(async (values) => ({ id: 5, ...values }));
+      ReviewReport.count.mockResolvedValue(1);
+
+      const report = await ReviewService.report(31, 42, { reason: 'spam' });
+
+      expect(report).toMatchObject({ review_id: 31, user_id: 42, reason: 'spam', details: null });
+      expect(existing.update).toHaveBeenCalledWith({ report_count: 1 }, { transaction });
+      expect(RatingService.refreshProduct).not.toHaveBeenCalled();
+    });
+
+    test('flags the review and takes it back to the queue at the threshold', async () => {
+      process.env.REVIEW_REPORT_THRESHOLD = '2';
+      const existing = review({
+        user_id: 8,
+        report_count: 1,
+        flag_reasons: [{ type: 'banned_words', words: ['mumu'] }]
+      });
+      Review.findByPk.mockResolvedValue(existing);
+      ReviewReport.findOne.mockResolvedValue(null);
+      ReviewReport.count.mockResolvedValue(2);
+
+      await ReviewService.report(31, 42, { reason: 'offensive' });
+
+      expect(existing.update).toHaveBeenCalledWith(
+        {
+          report_count: 2,
+          status: 'pending',
+          is_flagged: true,
+          flag_reasons: [{ type: 'banned_words', words: ['mumu'] }, { type: 'reports', count: 2 }]
+        },
+        { transaction }
+      );
+      expect(RatingService.refreshProduct).toHaveBeenCalledWith(7, { transaction });
+    });
+
+    test('accepts one report per user', async () => {
+      Review.findByPk.mockResolvedValue(review({ user_id: 8 }));
+      ReviewReport.findOne.mockResolvedValue({ id: 5 });
+
+      await expect(ReviewService.report(31, 42, { reason: 'spam' })).rejects.toMatchObject({ statusCode: 400 });
+      expect(ReviewReport.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('moderate', () => {
+    test('records the decision, resolves reports and writes the oversight log', async () => {
+      const existing = review({
+        status: 'pending',
+        is_flagged: true,
+        flag_reasons: [{ type: 'banned_words', words: ['idiot'] }, { type: 'reports', count: 3 }]
+      });
+      Review.findByPk.mockResolvedValue(existing);
+
+      await ReviewService.moderate(31, 1, { decision: 'reject', note: 'Abusive language' });
+
+      expect(existing.update).toHaveBeenCalledWith(
+        {
+          status: 'rejected',
+          is_flagged: false,
+          moderated_by: 1,
+          moderated_at: expect.any(Date),
+          moderation_note: 'Abusive language'
+        },
+        { transaction }
+      );
+      expect(ReviewReport.update).toHaveBeenCalledWith(
+        { status: 'resolved' },
+        { where: { review_id: 31, status: 'open' }, transaction }
+      );
+      expect(RatingService.refreshProduct).toHaveBeenCalledWith(7, { transaction });
+      expect(OversightLog.create).toHaveBeenCalledWith(
+        {
+          admin_id: 1,
+          functionality: 'review_moderation',
+          action:
+            'Rejected review #31 by user #42 on product #7 (was pending; flagged for banned words (idiot) and 3 reports; note: Abusive language)'
+        },
+        { transaction }
+      );
+    });
+  });
+
+  describe('findBannedWords', () => {
+    test('matches whole words and phrases only', () => {
+      expect(ReviewService.findBannedWords('First class quality, DM message')).toEqual([]);
+      expect(ReviewService.findBannedWords('Please dm me.')).toEqual(['dm me']);
+      expect(ReviewService.findBannedWords(null)).toEqual([]);
+    });
+  });
+
+  describe('listModerationQueue', () => {
+    test('lists flagged and reported reviews first', async () => {
+      Review.findAndCountAll.mockResolvedValue({ count: 0, rows: [] });
+
+      await ReviewService.listModerationQueue({ flagged: true, reported: true });
+
+      const options = Review.findAndCountAll.mock.calls[0][0];
+      expect(options.where).toMatchObject({ status: 'pending', is_flagged: true });
+      expect(options.where.report_count).toBeDefined();
+      expect(options.order).toEqual([['is_flagged', 'DESC'], ['report_count', 'DESC'], ['created_at', 'ASC']]);
+    });
+  });
+
+  describe('listForProduct', () => {
+    test('sorts by helpfulness and filters verified reviews with photos', async () => {
+      Review.findAndCountAll.mockResolvedValue({ count: 0, rows: [] });
+
+      await ReviewService.listForProduct(7, { sort: 'helpful', verified: true, withImages: true, page: 2, limit: 5 });
+
+      const options = Review.findAndCountAll.mock.calls[0][0];
+      expect(options.where).toMatchObject({ product_id: 7, status: 'approved', is_verified_purchase: true });
+      expect(options.where.images).toBeDefined();
+      expect(options.order[0][0]).toBe('(Review.helpful_count - Review.unhelpful_count)');
+      expect(options).toMatchObject({ limit: 5, offset: 5 });
+    });
+  });
+});
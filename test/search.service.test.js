@@ -0,0 +1,254 @@
+jest.mock('../models', () => ({
+  Product: { findAll: jest.fn() },
+  ProductVariant: {},
+  ProductImage: {},
+  Category: { findAll: jest.fn() },
+  Vendor: {},
+  Store: { findAll: jest.fn() },
+  Journal: { findAll: jest.fn() },
+  SearchTerm: { count: jest.fn(), findAll: jest.fn(), bulkCreate: jest.fn(), destroy: jest.fn() },
+  sequelize: {
+    transaction: jest.fn(),
+    literal: jest.fn((sql) => sql),
+    where: jest.fn(() => ({})),
+    fn: jest.fn(),
+    col: jest.fn()
+  }
+}));
+
+jest.mock('../services/search', () => {
+  const engine = { search: jest.fn(), index: jest.fn(), remove: jest.fn(), prune: jest.fn() };
+  return { getEngine: () => engine };
+});
+
+jest.mock('../services/filter.service', () =>
+  jest.fn().mockImplementation(() => ({
+    buildProductQuery: jest.fn(() => ({ where: { status: 'active' }, include: [] }))
+  }))
+);
+
+jest.mock('../services/queue.service', () => ({
+  enqueue: jest.fn()
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const { Product, Category, Store, Journal, SearchTerm, sequelize } = require('../models');
+const { getEngine } = require('../services/search');
+const SearchService = require('../services/search.service');
+const { highlight, editDistance } = require('../utils/textSearch');
+
+const engine = getEngine();
+
+const product = (values = {}) => ({
+  id: 12,
+  name: 'Ankara Maxi Dress',
+  description: 'Flowing ankara print dress for owambe.',
+  status: 'active',
+  Category: { id: 3, name: 'Dresses' },
+  vendor: { id: 4, store: { id: 4, business_name: 'Ankara House' } },
+  variants: [{ id: 1, value: 'Red' }, { id: 2, value: 'M' }, { id: 3, value: 'Red' }],
+  ...values,
+  get: () => ({ id: 12, name: 'Ankara Maxi Dress', description: 'Flowing ankara print dress for owambe.', ...values })
+});
+
+describe('SearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    SearchTerm.count.mockResolvedValue(1);
+    SearchTerm.findAll.mockResolvedValue([]);
+    engine.search.mockResolvedValue([]);
+  });
+
+  describe('parseQuery', () => {
+    test('expands words with their synonyms and phrases', async () => {
+      const parsed = await SearchService.parseQuery('Red gowns, T-Shirt');
+
+      expect(parsed.groups).toEqual([
+        ['red'],
+        ['dress', 'gown', 'frock'],
+        ['tee', 't shirt', 'tshirt']
+      ]);
+      expect(parsed.stems).not.toContain('t');
+    });
+
+    test('corrects misspelt words against the indexed vocabulary', async () => {
+      SearchTerm.count.mockResolvedValue(0);
+      SearchTerm.findAll.mockResolvedValue([{ term: 'anklet' }, { term: 'ankara' }]);
+
+      const parsed = await SearchService.parseQuery('ankra');
+
+      expect(parsed.corrected).toBe(true);
+      expect(parsed.correctedQuery).toBe('ankara');
+      expect(parsed.groups[0]).toEqual(['ankara', 'wax print', 'kitenge']);
+    });
+
+    test('leaves short words uncorrected', async () => {
+      SearchTerm.count.mockResolvedValue(0);
+
+      const parsed = await SearchService.parseQuery('bga');
+
+      expect(SearchTerm.findAll).not.toHaveBeenCalled();
+      expect(parsed.corrected).toBe(false);
+    });
+  });
+
+  describe('search', () => {
+    test('ranks matches, drops filtered out products and highlights the rest', async () => {
+      engine.search.mockResolvedValue([
+        { productId: 12, score: 9.5 },
+        { productId: 13, score: 4.25 }
+      ]);
+      Product.findAll
+        .mockResolvedValueOnce([{ id: 12 }])
+        .mockResolvedValueOnce([product()]);
+
+      const result = await SearchService.search('ankara dress', { maxPrice: 30000 }, { page: 1, limit: 20 });
+
+      expect(engine.search).toHaveBeenCalledWith(expect.objectContaining({ matchAll: true }));
+      expect(Product.findAll.mock.calls[0][0].where).toEqual({ status: 'active', id: [12, 13] });
+      expect(result.products).toHaveLength(1);
+      expect(result.products[0]).toMatchObject({
+        id: 12,
+        score: 9.5,
+        highlights: { name: '<mark>Ankara</mark> Maxi <mark>Dress</mark>' }
+      });
+      expect(result.pagination).toMatchObject({ total: 1, total_pages: 1, has_next_page: false });
+    });
+
+    test('matches any word when no product matches them all', async () => {
+      engine.search.mockResolvedValueOnce([]).mockResolvedValueOnce([{ productId: 12, score: 3 }]);
+      Product.findAll.mockResolvedValueOnce([{ id: 12 }]).mockResolvedValueOnce([product()]);
+
+      const result = await SearchService.search('ankara blazer');
+
+      expect(engine.search.mock.calls[1][0]).toMatchObject({ matchAll: false });
+      expect(result.products).toHaveLength(1);
+    });
+
+    test('falls back to the product name for very short queries', async () => {
+      Product.findAll.mockResolvedValue([]);
+
+      await SearchService.search('XL');
+
+      expect(engine.search).not.toHaveBeenCalled();
+      expect(Product.findAll.mock.calls[0][0].where).toMatchObject({ status: 'active' });
+    });
+  });
+
+  describe('suggest', () => {
+    const record = (values) => ({ get: () => values });
+
+    beforeEach(() => {
+      Product.findAll.mockResolvedValue([]);
+      Category.findAll.mockResolvedValue([]);
+      Store.findAll.mockResolvedValue([]);
+      Journal.findAll.mockResolvedValue([]);
+    });
+
+    test('puts names starting with the text ahead of more popular ones', async () => {
+      Product.findAll.mockResolvedValue([
+        record({ id: 1, name: 'Red Ankara Gown', popularity: '900' }),
+        record({ id: 2, name: 'Ankara Maxi Dress', popularity: '40' }),
+        record({ id: 3, name: 'Ankara Bag', popularity: '75' })
+      ]);
+
+      const result = await SearchService.suggest(' ank ', { limit: 2 });
+
+      expect(result.query).toBe('ank');
+      expect(result.products).toEqual([
+        { id: 3, name: 'Ankara Bag', popularity: 75, highlighted: '<mark>Ankara</mark> Bag' },
+        { id: 2, name: 'Ankara Maxi Dress', popularity: 40, highlighted: '<mark>Ankara</mark> Maxi Dress' }
+      ]);
+    });
+
+    test('matches the start of any word and escapes LIKE wildcards', async () => {
+      await SearchService.suggest('50%_o');
+
+      const { where } = Store.findAll.mock.calls[0][0];
+      expect(where[Op.or].map((condition) => condition.business_name[Op.like])).toEqual([
+        '50\\%\\_o%',
+        '% 50\\%\\_o%'
+      ]);
+    });
+
+    test('groups store and journal suggestions', async () => {
+      Store.findAll.mockResolvedValue([record({ id: 4, business_name: 'Ankara House', slug: 'ankara-house', popularity: 10 })]);
+      Journal.findAll.mockResolvedValue([record({ id: 8, title: 'Styling ankara for work', popularity: 300 })]);
+
+      const result = await SearchService.suggest('ankara');
+
+      expect(result.stores[0]).toMatchObject({ id: 4, highlighted: '<mark>Ankara</mark> House' });
+      expect(result.journals[0]).toMatchObject({ id: 8, popularity: 300 });
+      expect(result.categories).toEqual([]);
+    });
+  });
+
+  describe('indexing', () => {
+    test('builds one document per product with unique variant values', () => {
+      const document = SearchService.buildDocument(product(), new Date('2025-12-19T09:00:00Z'));
+
+      expect(document).toEqual({
+        product_id: 12,
+        name: 'Ankara Maxi Dress',
+        description: 'Flowing ankara print dress for owambe.',
+        category_name: 'Dresses',
+        store_name: 'Ankara House',
+        variant_values: 'Red M',
+        indexed_at: new Date('2025-12-19T09:00:00Z')
+      });
+    });
+
+    test('removes inactive products from the index', async () => {
+      Product.findAll.mockResolvedValue([product({ status: 'inactive' })]);
+
+      const indexed = await SearchService.indexProduct(12);
+
+      expect(indexed).toBe(false);
+      expect(engine.remove).toHaveBeenCalledWith([12]);
+      expect(engine.index).not.toHaveBeenCalled();
+    });
+
+    test('adds new words to the vocabulary when a product is indexed', async () => {
+      Product.findAll.mockResolvedValue([product()]);
+
+      await SearchService.indexProduct(12);
+
+      expect(engine.index).toHaveBeenCalledWith([expect.objectContaining({ product_id: 12 })]);
+      const terms = SearchTerm.bulkCreate.mock.calls[0][0].map((row) => row.term);
+      expect(terms).toEqual(expect.arrayContaining(['ankara', 'dress', 'owambe', 'red']));
+      expect(terms).not.toContain('m');
+    });
+
+    test('rebuilds the index and vocabulary in batches', async () => {
+      sequelize.transaction.mockImplementation((callback) => callback({}));
+      Product.findAll
+        .mockResolvedValueOnce([product(), product({ id: 13, name: 'Ankara Gown' })])
+        .mockResolvedValueOnce([]);
+      engine.prune.mockResolvedValue(2);
+
+      const result = await SearchService.reindexAll();
+
+      expect(result).toEqual({ indexed: 2, removed: 2 });
+      expect(SearchTerm.destroy).toHaveBeenCalled();
+      const ankara = SearchTerm.bulkCreate.mock.calls[0][0].find((row) => row.term === 'ankara');
+      expect(ankara.frequency).toBe(2);
+    });
+  });
+});
+
+describe('textSearch', () => {
+  test('highlights words starting with a searched stem and escapes HTML', () => {
+    expect(highlight('<b>Red</b> dresses', ['dress'])).toBe('&lt;b&gt;Red&lt;/b&gt; <mark>dresses</mark>');
+  });
+
+  test('stops measuring edit distance past the maximum', () => {
+    expect(editDistance('ankra', 'ankara', 1)).toBe(1);
+    expect(editDistance('ankara', 'sandals', 2)).toBe(3);
+  });
+});
@@ -0,0 +1,208 @@
+jest.mock('../models', () => ({
+  UserSession: {
+    create: jest.fn(),
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn(),
+    destroy: jest.fn()
+  },
+  RefreshToken: { create: jest.fn(), findOne: jest.fn(), destroy: jest.fn() },
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('../services/token-blacklist.service', () => ({
+  blacklistAllUserTokens: jest.fn()
+}));
+
+const { UserSession, RefreshToken, sequelize } = require('../models');
+const tokenBlacklistService = require('../services/token-blacklist.service');
+const SessionService = require('../services/session.service');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const record = (values = {}) => {
+  const row = { ...values };
+  row.update = jest.fn(async (changes) => Object.assign(row, changes));
+  row.get = jest.fn(() => ({ ...values }));
+  return row;
+};
+
+const session = (values = {}) =>
+  record({
+    id: 12,
+    user_id: 42,
+    ip_address: '10.0.0.1',
+    revoked_at: null,
+    expires_at: new Date(Date.now() + DAY_MS),
+    last_seen_at: new Date(),
+    ...values
+  });
+
+const refreshToken = (values = {}) =>
+  record({
+    id: 3,
+    session_id: 12,
+    token_hash: SessionService.hashToken('old-token'),
+    expires_at: new Date(Date.now() + DAY_MS),
+    used_at: null,
+    session: session(),
+    ...values
+  });
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    UserSession.update.mockResolvedValue([2]);
+  });
+
+  describe('create', () => {
+    it('starts a session and stores only the refresh token hash', async () => {
+      UserSession.create.mockImplementation(async (values) => session(values));
+
+      const result = await SessionService.create(42, {
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
+        ip: '10.0.0.1'
+      });
+
+      expect(UserSession.create).toHaveBeenCalledWith(
+        expect.objectContaining({ user_id: 42, device: 'Chrome on Windows', ip_address: '10.0.0.1' }),
+        { transaction }
+      );
+      expect(result.refreshToken).toMatch(/^[a-f0-9]{80}$/);
+      expect(RefreshToken.create).toHaveBeenCalledWith(
+        expect.objectContaining({ session_id: 12, token_hash: SessionService.hashToken(result.refreshToken) }),
+        { transaction }
+      );
+      expect(RefreshToken.create.mock.calls[0][0].token_hash).not.toBe(result.refreshToken);
+    });
+  });
+
+  describe('rotate', () => {
+    it('exchanges the token for a new one and extends the session', async () => {
+      const stored = refreshToken();
+      RefreshToken.findOne.mockResolvedValue(stored);
+
+      const result = await SessionService.rotate('old-token', { ip: '10.0.0.2' });
+
+      expect(RefreshToken.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { token_hash: SessionService.hashToken('old-token') },
+        lock: 'UPDATE'
+      }));
+      expect(stored.used_at).toBeInstanceOf(Date);
+      expect(stored.session.ip_address).toBe('10.0.0.2');
+      expect(stored.session.expires_at.getTime()).toBeGreaterThan(Date.now() + 29 * DAY_MS);
+      expect(result.refreshToken).not.toBe('old-token');
+      expect(RefreshToken.create).toHaveBeenCalledWith(
+        expect.objectContaining({ session_id: 12, token_hash: SessionService.hashToken(result.refreshToken) }),
+        { transaction }
+      );
+    });
+
+    it('signs the user out everywhere when a used token comes back', async () => {
+      RefreshToken.findOne.mockResolvedValue(refreshToken({ used_at: new Date() }));
+
+      await expect(SessionService.rotate('old-token')).rejects.toMatchObject({ statusCode: 401 });
+
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+      expect(UserSession.update).toHaveBeenCalledWith(
+        expect.objectContaining({ revoked_reason: 'refresh_token_reuse' }),
+        { where: { user_id: 42, revoked_at: null } }
+      );
+      expect(tokenBlacklistService.blacklistAllUserTokens).toHaveBeenCalledWith(42, 'refresh_token_reuse');
+    });
+
+    it('rejects unknown, expired and signed-out tokens', async () => {
+      RefreshToken.findOne.mockResolvedValueOnce(null);
+      await expect(SessionService.rotate('unknown')).rejects.toMatchObject({ statusCode: 401 });
+
+      RefreshToken.findOne.mockResolvedValueOnce(refreshToken({ expires_at: new Date(Date.now() - 1000) }));
+      await expect(SessionService.rotate('old-token')).rejects.toMatchObject({ statusCode: 401 });
+
+      RefreshToken.findOne.mockResolvedValueOnce(refreshToken({ session: session({ revoked_at: new Date() }) }));
+      await expect(SessionService.rotate('old-token')).rejects.toMatchObject({ statusCode: 401 });
+
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+      expect(tokenBlacklistService.blacklistAllUserTokens).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isActive', () => {
+    it('accepts a live session of the token\'s user', async () => {
+      UserSession.findByPk.mockResolvedValue(session());
+
+      expect(await SessionService.isActive(12, 42)).toBe(true);
+      expect(UserSession.update).not.toHaveBeenCalled();
+    });
+
+    it('records when a session was last seen, at most once a minute', async () => {
+      UserSession.findByPk.mockResolvedValue(session({ last_seen_at: new Date(Date.now() - 5 * 60 * 1000) }));
+
+      expect(await SessionService.isActive(12, 42)).toBe(true);
+      expect(UserSession.update).toHaveBeenCalledWith(
+        { last_seen_at: expect.any(Date) },
+        { where: { id: 12 } }
+      );
+    });
+
+    it('rejects signed-out, missing and other users\' sessions', async () => {
+      UserSession.findByPk.mockResolvedValueOnce(session({ revoked_at: new Date() }));
+      expect(await SessionService.isActive(12, 42)).toBe(false);
+
+      UserSession.findByPk.mockResolvedValueOnce(null);
+      expect(await SessionService.isActive(12, 42)).toBe(false);
+
+      UserSession.findByPk.mockResolvedValueOnce(session({ user_id: 7 }));
+      expect(await SessionService.isActive(12, 42)).toBe(false);
+    });
+  });
+
+  it('lists active sessions and marks the current one', async () => {
+    UserSession.findAll.mockResolvedValue([session({ id: 12 }), session({ id: 13 })]);
+
+    const sessions = await SessionService.list(42, 13);
+
+    expect(sessions.map((item) => [item.id, item.is_current])).toEqual([[12, false], [13, true]]);
+  });
+
+  describe('revoke', () => {
+    it('signs out one of the user\'s sessions', async () => {
+      const active = session();
+      UserSession.findOne.mockResolvedValue(active);
+
+      await SessionService.revoke(42, 12);
+
+      expect(UserSession.findOne).toHaveBeenCalledWith({ where: { id: 12, user_id: 42, revoked_at: null } });
+      expect(active.revoked_at).toBeInstanceOf(Date);
+      expect(active.revoked_reason).toBe('signed_out');
+    });
+
+    it('fails for a session the user does not have', async () => {
+      UserSession.findOne.mockResolvedValue(null);
+
+      await expect(SessionService.revoke(42, 99)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  it('signs out every other session', async () => {
+    const count = await SessionService.revokeSessions(42, { exceptSessionId: 12 });
+
+    expect(count).toBe(2);
+    expect(UserSession.update.mock.calls[0][1].where).toMatchObject({ user_id: 42, revoked_at: null });
+    expect(UserSession.update.mock.calls[0][1].where.id).toBeDefined();
+    expect(tokenBlacklistService.blacklistAllUserTokens).not.toHaveBeenCalled();
+  });
+
+  it('describes devices from their user agent', () => {
+    expect(SessionService.describeDevice(
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+    )).toBe('Safari on iOS');
+    expect(SessionService.describeDevice(
+      'Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Mobile Safari/537.36 EdgA/120.0'
+    )).toBe('Edge on Android');
+    expect(SessionService.describeDevice('curl/8.4.0')).toBe('Unknown device');
+    expect(SessionService.describeDevice(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,320 @@
+jest.mock('../models', () => ({
+  Shipment: { create: jest.fn(), findOne: jest.fn(), findAll: jest.fn(), findAndCountAll: jest.fn() },
+  ShipmentEvent: { create: jest.fn(), bulkCreate: jest.fn() },
+  Order: { findByPk: jest.fn(), findOne: jest.fn() },
+  OrderItem: { count: jest.fn(), findAll: jest.fn() },
+  OrderDetail: { findOne: jest.fn() },
+  Address: {},
+  Product: {},
+  Vendor: {},
+  Store: {},
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('../services/notification.service', () => ({
+  create: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../services/email.service', () => ({
+  sendOrderShipped: jest.fn().mockResolvedValue(),
+  sendOrderDelivered: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const { Shipment, ShipmentEvent, Order, OrderItem, OrderDetail, sequelize } = require('../models');
+const NotificationService = require('../services/notification.service');
+const emailService = require('../services/email.service');
+const { getCarrier, listCarriers } = require('../services/carriers');
+const ShipmentService = require('../services/shipment.service');
+
+const afterCommit = [];
+const transaction = {
+  LOCK: { UPDATE: 'UPDATE' },
+  afterCommit: jest.fn((callback) => afterCommit.push(callback))
+};
+
+const buildOrder = (overrides = {}) => {
+  const order = {
+    id: 1001,
+    user_id: 42,
+    order_number: 'ORD-1001',
+    order_status: 'processing',
+    payment_status: 'paid',
+    ...overrides
+  };
+  order.update = jest.fn(async (values) => Object.assign(order, values));
+  return order;
+};
+
+const buildShipment = (overrides = {}) => {
+  const shipment = {
+    id: 7,
+    order_id: 1001,
+    vendor_id: 3,
+    carrier: 'local',
+    status: 'shipped',
+    events: [],
+    ...overrides
+  };
+  shipment.update = jest.fn(async (values) => Object.assign(shipment, values));
+  shipment.get = () => shipment;
+  return shipment;
+};
+
+describe('ShipmentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    afterCommit.length = 0;
+    sequelize.transaction.mockImplementation((callback) => callback(transaction));
+    OrderDetail.findOne.mockResolvedValue({ address: { state: 'Lagos', country: 'Nigeria' } });
+    Shipment.create.mockImplementation(async (values) => ({ id: 7, ...values }));
+  });
+
+  describe('carriers', () => {
+    test('registers the local carrier as the default', () => {
+      expect(listCarriers()).toEqual([{ code: 'local', name: 'Local delivery', is_default: true }]);
+    });
+
+    test('rejects unknown carriers', () => {
+      expect(() => getCarrier('dhl')).toThrow('Unsupported carrier: dhl');
+    });
+
+    test('local carrier keeps the vendor tracking number or generates one', async () => {
+      const carrier = getCarrier('local');
+
+      const given = await carrier.createShipment({
+        order: { id: 1001 },
+        vendorId: 3,
+        trackingNumber: 'GIG123',
+        estimatedDelivery: '2025-12-20'
+      });
+      expect(given).toEqual({ trackingNumber: 'GIG123', trackingUrl: null, estimatedDelivery: '2025-12-20' });
+
+      const generated = await carrier.createShipment({ order: { id: 1001 }, vendorId: 3 });
+      expect(generated.trackingNumber).toMatch(/^LCL-1001-3-[0-9A-F]{6}$/);
+      expect(generated.estimatedDelivery).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    });
+  });
+
+  describe('createShipment', () => {
+    beforeEach(() => {
+      Shipment.findOne
+        .mockResolvedValueOnce(null) // no existing shipment
+        .mockResolvedValue(buildShipment());
+    });
+
+    test('ships the vendor items and marks the order shipped once every vendor has shipped', async () => {
+      const order = buildOrder();
+      Order.findByPk.mockResolvedValueOnce(order).mockResolvedValue(order);
+      OrderItem.count.mockResolvedValue(2);
+      OrderItem.findAll.mockResolvedValue([{ vendor_id: 3 }, { vendor_id: 3 }]);
+      Shipment.findAll.mockResolvedValue([{ vendor_id: 3, status: 'shipped' }]);
+
+      await ShipmentService.createShipment(
+        { orderId: 1001, vendorId: 3, courier: 'GIG Logistics', trackingNumber: 'GIG123' },
+        { userId: 8 }
+      );
+
+      expect(Shipment.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          order_id: 1001,
+          vendor_id: 3,
+          carrier: 'local',
+          courier: 'GIG Logistics',
+          tracking_number: 'GIG123',
+          status: 'shipped'
+        }),
+        expect.any(Object)
+      );
+      expect(ShipmentEvent.create).toHaveBeenCalledWith(
+        expect.objectContaining({ shipment_id: 7, status: 'shipped', source: 'vendor' }),
+        expect.any(Object)
+      );
+      expect(order.update).toHaveBeenCalledWith({ order_status: 'shipped' }, expect.any(Object));
+      expect(NotificationService.create).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 42, type: 'order_shipped' }),
+        expect.any(Object)
+      );
+
+      await Promise.all(afterCommit.map((callback) => callback()));
+      expect(emailService.sendOrderShipped).toHaveBeenCalledWith(
+        order,
+        42,
+        expect.objectContaining({ trackingNumber: 'GIG123', carrier: 'GIG Logistics' })
+      );
+    });
+
+    test('leaves the order processing while other vendors have not shipped', async () => {
+      const order = buildOrder();
+      Order.findByPk.mockResolvedValue(order);
+      OrderItem.count.mockResolvedValue(1);
+      OrderItem.findAll.mockResolvedValue([{ vendor_id: 3 }, { vendor_id: 4 }]);
+      Shipment.findAll.mockResolvedValue([{ vendor_id: 3, status: 'shipped' }]);
+
+      await ShipmentService.createShipment({ orderId: 1001, vendorId: 3 }, { userId: 8 });
+
+      expect(order.update).not.toHaveBeenCalled();
+    });
+
+    test('rejects vendors without items in the order', async () => {
+      Order.findByPk.mockResolvedValue(buildOrder());
+      OrderItem.count.mockResolvedValue(0);
+
+      await expect(
+        ShipmentService.createShipment({ orderId: 1001, vendorId: 9 }, { userId: 8 })
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(Shipment.create).not.toHaveBeenCalled();
+    });
+
+    test('rejects cancelled orders', async () => {
+      Order.findByPk.mockResolvedValue(buildOrder({ order_status: 'cancelled' }));
+      OrderItem.count.mockResolvedValue(1);
+
+      await expect(
+        ShipmentService.createShipment({ orderId: 1001, vendorId: 3 }, { userId: 8 })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('rejects a second shipment for the same vendor', async () => {
+      Shipment.findOne.mockReset().mockResolvedValue(buildShipment());
+      Order.findByPk.mockResolvedValue(buildOrder());
+      OrderItem.count.mockResolvedValue(1);
+
+      await expect(
+        ShipmentService.createShipment({ orderId: 1001, vendorId: 3 }, { userId: 8 })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('addEvent', () => {
+    test('records the event and moves the shipment to its status', async () => {
+      const shipment = buildShipment();
+      Shipment.findOne.mockResolvedValue(shipment);
+
+      await ShipmentService.addEvent(7, { status: 'in_transit', location: 'Ibadan hub' }, { vendorId: 3 });
+
+      expect(ShipmentEvent.bulkCreate).toHaveBeenCalledWith(
+        [expect.objectContaining({ shipment_id: 7, status: 'in_transit', location: 'Ibadan hub', source: 'vendor' })],
+        expect.any(Object)
+      );
+      expect(shipment.update).toHaveBeenCalledWith({ status: 'in_transit' }, expect.any(Object));
+      expect(Order.findByPk).not.toHaveBeenCalled();
+    });
+
+    test('marks the order delivered when its last shipment is delivered', async () => {
+      const shipment = buildShipment({ status: 'out_for_delivery' });
+      const order = buildOrder({ order_status: 'shipped' });
+      Shipment.findOne.mockResolvedValue(shipment);
+      Order.findByPk.mockResolvedValue(order);
+      OrderItem.findAll.mockResolvedValue([{ vendor_id: 3 }, { vendor_id: 4 }]);
+      Shipment.findAll.mockResolvedValue([
+        { vendor_id: 3, status: 'delivered' },
+        { vendor_id: 4, status: 'delivered' }
+      ]);
+
+      await ShipmentService.addEvent(7, { status: 'delivered' }, { source: 'admin' });
+
+      expect(shipment.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'delivered', delivered_at: expect.any(Date) }),
+        expect.any(Object)
+      );
+      expect(order.update).toHaveBeenCalledWith({ order_status: 'delivered' }, expect.any(Object));
+
+      await Promise.all(afterCommit.map((callback) => callback()));
+      expect(emailService.sendOrderDelivered).toHaveBeenCalledWith(order, 42);
+    });
+
+    test('keeps the order shipped while another shipment is on its way', async () => {
+      const order = buildOrder({ order_status: 'shipped' });
+      Shipment.findOne.mockResolvedValue(buildShipment());
+      Order.findByPk.mockResolvedValue(order);
+      OrderItem.findAll.mockResolvedValue([{ vendor_id: 3 }, { vendor_id: 4 }]);
+      Shipment.findAll.mockResolvedValue([
+        { vendor_id: 3, status: 'delivered' },
+        { vendor_id: 4, status: 'in_transit' }
+      ]);
+
+      await ShipmentService.addEvent(7, { status: 'delivered' });
+
+      expect(order.update).not.toHaveBeenCalled();
+    });
+
+    test('rejects events on delivered shipments', async () => {
+      Shipment.findOne.mockResolvedValue(buildShipment({ status: 'delivered' }));
+
+      await expect(ShipmentService.addEvent(7, { status: 'returned' })).rejects.toMatchObject({
+        statusCode: 400
+      });
+      expect(ShipmentEvent.bulkCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refresh', () => {
+    test('only records carrier events it has not seen', async () => {
+      const carrier = getCarrier('local');
+      const seenAt = new Date('2025-12-16T09:00:00Z');
+      const shipment = buildShipment({ events: [{ status: 'shipped', occurred_at: seenAt }] });
+      Shipment.findOne.mockResolvedValue(shipment);
+      jest.spyOn(carrier, 'getTracking').mockResolvedValueOnce([
+        { status: 'in_transit', location: 'Ibadan hub', occurred_at: '2025-12-17T14:30:00Z' },
+        { status: 'shipped', occurred_at: seenAt.toISOString() }
+      ]);
+
+      await ShipmentService.refresh(7);
+
+      expect(ShipmentEvent.bulkCreate).toHaveBeenCalledWith(
+        [expect.objectContaining({ status: 'in_transit', source: 'carrier' })],
+        expect.any(Object)
+      );
+      expect(shipment.update).toHaveBeenCalledWith({ status: 'in_transit' }, expect.any(Object));
+    });
+
+    test('does nothing when the carrier has no new events', async () => {
+      Shipment.findOne.mockResolvedValue(buildShipment());
+
+      await ShipmentService.refresh(7);
+
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+      expect(ShipmentEvent.bulkCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getOrderTracking', () => {
+    test('groups the order items under the shipment of their vendor', async () => {
+      Order.findOne.mockResolvedValue({
+        id: 1001,
+        order_number: 'ORD-1001',
+        order_status: 'shipped',
+        items: [
+          { id: 55, vendor_id: 3, product_id: 10, quantity: 1, product: { name: 'Ankara Maxi Dress' } },
+          { id: 56, vendor_id: 4, product_id: 11, quantity: 2, product: { name: 'Beaded Sandals' } }
+        ]
+      });
+      Shipment.findAll.mockResolvedValue([buildShipment()]);
+
+      const tracking = await ShipmentService.getOrderTracking(1001, 42);
+
+      expect(Order.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 1001, user_id: 42 } })
+      );
+      expect(tracking.shipments).toHaveLength(1);
+      expect(tracking.shipments[0].courier).toBe('Local delivery');
+      expect(tracking.shipments[0].items).toEqual([
+        { order_item_id: 55, product_id: 10, name: 'Ankara Maxi Dress', quantity: 1 }
+      ]);
+    });
+
+    test('hides orders of other customers', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      await expect(ShipmentService.getOrderTracking(1001, 99)).rejects.toMatchObject({
+        statusCode: 404
+      });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock('../models', () => ({
+  ShippingZone: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  ShippingRate: { destroy: jest.fn(), bulkCreate: jest.fn() },
+  Product: { findAll: jest.fn() },
+  Vendor: {},
+  Store: {},
+  sequelize: { transaction: jest.fn() }
+}));
+
+const { ShippingZone, Product } = require('../models');
+const ShippingService = require('../services/shipping.service');
+
+const address = { city: 'Ikeja', state: 'Lagos', country: 'Nigeria' };
+
+const buildZone = (overrides = {}) => ({
+  id: 1,
+  vendor_id: null,
+  name: 'Nigeria',
+  country: 'Nigeria',
+  states: [],
+  cities: [],
+  rate_basis: 'flat',
+  free_shipping_threshold: null,
+  rates: [{ id: 1, name: 'Standard', min_value: '0.000', max_value: null, cost: '2000.00' }],
+  ...overrides
+});
+
+describe('ShippingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Product.findAll.mockResolvedValue([
+      { id: 10, name: 'Ankara Dress', vendor_id: 3, price: '10000.00', discounted_price: null, weight: '0.800' },
+      { id: 11, name: 'Leather Bag', vendor_id: 4, price: '20000.00', discounted_price: null, weight: '1.500' }
+    ]);
+  });
+
+  describe('quote', () => {
+    test('prices each vendor separately', async () => {
+      ShippingZone.findAll.mockResolvedValue([buildZone()]);
+
+      const quote = await ShippingService.quote({
+        address,
+        items: [{ productId: 10, quantity: 2 }, { productId: 11, quantity: 1 }]
+      });
+
+      expect(quote.total).toBe(4000);
+      expect(quote.vendors).toEqual([
+        expect.objectContaining({ vendor_id: 3, item_count: 2, weight: 1.6, subtotal: 20000, cost: 2000 }),
+        expect.objectContaining({ vendor_id: 4, item_count: 1, weight: 1.5, subtotal: 20000, cost: 2000 })
+      ]);
+    });
+
+    test('picks the weight tier covering the package', async () => {
+      ShippingZone.findAll.mockResolvedValue([
+        buildZone({
+          rate_basis: 'weight',
+          rates: [
+            { name: 'Up to 1kg', min_value: '0.000', max_value: '1.000', cost: '1500.00' },
+            { name: 'Over 1kg', min_value: '1.001', max_value: null, cost: '3000.00' }
+          ]
+        })
+      ]);
+
+      const quote = await ShippingService.quote({ address, items: [{ productId: 10, quantity: 2 }] });
+
+      expect(quote.vendors[0]).toMatchObject({ rate_name: 'Over 1kg', cost: 3000 });
+    });
+
+    test('ships free from the zone threshold', async () => {
+      ShippingZone.findAll.mockResolvedValue([buildZone({ free_shipping_threshold: '15000.00' })]);
+
+      const quote = await ShippingService.quote({ address, items: [{ productId: 10, quantity: 2 }] });
+
+      expect(quote.total).toBe(0);
+      expect(quote.vendors[0]).toMatchObject({ free_shipping: true, cost: 0 });
+    });
+
+    test('rejects addresses no zone covers', async () => {
+      ShippingZone.findAll.mockResolvedValue([buildZone({ states: ['Abuja'] })]);
+
+      await expect(
+        ShippingService.quote({ address, items: [{ productId: 10, quantity: 1 }] })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('findZone', () => {
+    test('prefers the vendor\'s most specific zone', async () => {
+      const platformCity = buildZone({ id: 1, cities: ['Ikeja'] });
+      const vendorCountry = buildZone({ id: 2, vendor_id: 3 });
+      const vendorState = buildZone({ id: 3, vendor_id: 3, states: ['lagos '] });
+      ShippingZone.findAll.mockResolvedValue([platformCity, vendorCountry, vendorState]);
+
+      const zone = await ShippingService.findZone(3, address);
+
+      expect(zone.id).toBe(3);
+    });
+  });
+
+  describe('assertRates', () => {
+    test('rejects overlapping tiers', () => {
+      expect(() =>
+        ShippingService.assertRates('item_count', [
+          { min_value: 1, max_value: 3, cost: 1000 },
+          { min_value: 3, cost: 2000 }
+        ])
+      ).toThrow('Shipping rate tiers cannot overlap');
+    });
+
+    test('allows a single flat rate only', () => {
+      expect(() =>
+        ShippingService.assertRates('flat', [{ cost: 1000 }, { cost: 2000 }])
+      ).toThrow('Flat rate zones take a single rate');
+    });
+  });
+});
@@ -0,0 +1,265 @@
+jest.mock('../models', () => ({
+  User: { findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+  Role: { findOne: jest.fn() },
+  SocialAccount: { findOne: jest.fn(), findAll: jest.fn(), count: jest.fn(), create: jest.fn() },
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('axios');
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { User, Role, SocialAccount, sequelize } = require('../models');
+const SocialAuthService = require('../services/social-auth.service');
+const OidcStrategy = require('../utils/oidc-strategy');
+const { getProvider } = require('../config/social-auth');
+
+const transaction = { id: 'tx' };
+
+const profile = (values = {}) => ({
+  provider: 'google',
+  id: 'google-sub-1',
+  email: 'ada@example.com',
+  emailVerified: true,
+  firstName: 'Ada',
+  lastName: 'Obi',
+  picture: null,
+  ...values
+});
+
+const record = (values = {}) => {
+  const row = { ...values };
+  row.update = jest.fn(async (changes) => Object.assign(row, changes));
+  row.destroy = jest.fn();
+  row.addRole = jest.fn();
+  return row;
+};
+
+describe('SocialAuthService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    SocialAccount.create.mockImplementation(async (values) => record(values));
+  });
+
+  describe('signIn', () => {
+    it('signs in the user a provider account is linked to', async () => {
+      const user = record({ id: 42 });
+      const account = record({ user_id: 42, email: 'old@example.com', user });
+      SocialAccount.findOne.mockResolvedValue(account);
+
+      const result = await SocialAuthService.signIn(profile());
+
+      expect(result).toEqual({ user, created: false });
+      expect(SocialAccount.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { provider: 'google', provider_user_id: 'google-sub-1' }
+      }));
+      expect(account.email).toBe('ada@example.com');
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it('links a verified user with the same email', async () => {
+      SocialAccount.findOne.mockResolvedValue(null);
+      const existing = record({ id: 42, email: 'ada@example.com', email_verified_at: new Date() });
+      User.findOne.mockResolvedValue(existing);
+
+      const result = await SocialAuthService.signIn(profile());
+
+      expect(result).toEqual({ user: existing, created: false });
+      expect(SocialAccount.create).toHaveBeenCalledWith(
+        expect.objectContaining({ user_id: 42, provider: 'google', provider_user_id: 'google-sub-1' }),
+        { transaction: undefined }
+      );
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses to link a user who never verified the email', async () => {
+      SocialAccount.findOne.mockResolvedValue(null);
+      User.findOne.mockResolvedValue(record({ id: 42, email_verified_at: null }));
+
+      await expect(SocialAuthService.signIn(profile())).rejects.toMatchObject({ statusCode: 409 });
+      expect(SocialAccount.create).not.toHaveBeenCalled();
+    });
+
+    it('requires an email the provider verified', async () => {
+      SocialAccount.findOne.mockResolvedValue(null);
+
+      await expect(SocialAuthService.signIn(profile({ emailVerified: false }))).rejects.toMatchObject({ statusCode: 400 });
+      await expect(SocialAuthService.signIn(profile({ email: null }))).rejects.toMatchObject({ statusCode: 400 });
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it('creates a verified customer without a password', async () => {
+      SocialAccount.findOne.mockResolvedValue(null);
+      User.findOne.mockResolvedValue(null);
+      const created = record({ id: 77 });
+      User.create.mockResolvedValue(created);
+      Role.findOne.mockResolvedValue({ id: 1, name: 'customer' });
+
+      const result = await SocialAuthService.signIn(profile({ provider: 'apple', id: 'apple-sub', firstName: null, lastName: null }));
+
+      expect(result).toEqual({ user: created, created: true });
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        first_name: 'ada',
+        last_name: '',
+        email: 'ada@example.com',
+        password: null,
+        is_active: true,
+        email_verified_at: expect.any(Date)
+      }), { transaction });
+      expect(created.addRole).toHaveBeenCalledWith({ id: 1, name: 'customer' }, expect.objectContaining({ transaction }));
+      expect(SocialAccount.create).toHaveBeenCalledWith(
+        expect.objectContaining({ user_id: 77, provider: 'apple', provider_user_id: 'apple-sub' }),
+        { transaction }
+      );
+    });
+  });
+
+  describe('link', () => {
+    it('links a provider account to the user', async () => {
+      SocialAccount.findOne.mockResolvedValue(null);
+
+      await SocialAuthService.link(42, profile());
+
+      expect(SocialAccount.create).toHaveBeenCalledWith(
+        expect.objectContaining({ user_id: 42, provider_user_id: 'google-sub-1' }),
+        { transaction: undefined }
+      );
+    });
+
+    it('is idempotent for the same user', async () => {
+      const account = record({ user_id: 42 });
+      SocialAccount.findOne.mockResolvedValue(account);
+
+      await expect(SocialAuthService.link(42, profile())).resolves.toBe(account);
+      expect(SocialAccount.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses a provider account linked to someone else', async () => {
+      SocialAccount.findOne.mockResolvedValue(record({ user_id: 7 }));
+
+      await expect(SocialAuthService.link(42, profile())).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('refuses a second account of the same provider', async () => {
+      SocialAccount.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(record({ user_id: 42, provider_user_id: 'google-sub-0' }));
+
+      await expect(SocialAuthService.link(42, profile())).rejects.toMatchObject({ statusCode: 409 });
+      expect(SocialAccount.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unlink', () => {
+    it('unlinks a provider from a user with a password', async () => {
+      const account = record({ user_id: 42 });
+      SocialAccount.findOne.mockResolvedValue(account);
+      User.findByPk.mockResolvedValue({ id: 42, password: 'hash' });
+
+      await SocialAuthService.unlink(42, 'google');
+
+      expect(account.destroy).toHaveBeenCalled();
+    });
+
+    it('keeps the only way to sign in', async () => {
+      const account = record({ user_id: 42 });
+      SocialAccount.findOne.mockResolvedValue(account);
+      User.findByPk.mockResolvedValue({ id: 42, password: null });
+      SocialAccount.count.mockResolvedValue(1);
+
+      await expect(SocialAuthService.unlink(42, 'google')).rejects.toMatchObject({ statusCode: 400 });
+      expect(account.destroy).not.toHaveBeenCalled();
+
+      SocialAccount.count.mockResolvedValue(2);
+      await SocialAuthService.unlink(42, 'google');
+      expect(account.destroy).toHaveBeenCalled();
+    });
+
+    it('fails when the provider is not linked', async () => {
+      SocialAccount.findOne.mockResolvedValue(null);
+
+      await expect(SocialAuthService.unlink(42, 'apple')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
+
+describe('OidcStrategy', () => {
+  const originalEnv = process.env;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1' }] };
+
+  const sign = (claims = {}, options = {}) =>
+    jwt.sign(
+      { sub: 'google-sub-1', email: 'Ada@Example.com', email_verified: true, given_name: 'Ada', ...claims },
+      privateKey,
+      { algorithm: 'RS256', keyid: 'key-1', issuer: 'https://accounts.google.com', audience: 'web-client', expiresIn: '5m', ...options }
+    );
+
+  let strategy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv, JWT_SECRET: 'test-secret', GOOGLE_CLIENT_ID: 'web-client', GOOGLE_ADDITIONAL_CLIENT_IDS: 'android-client' };
+    axios.get.mockResolvedValue({ data: jwks });
+    strategy = new OidcStrategy(getProvider('google'), jest.fn());
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('verifies an ID token against the provider keys', async () => {
+    const claims = await strategy.verifyIdToken(sign());
+
+    expect(claims.sub).toBe('google-sub-1');
+    expect(axios.get).toHaveBeenCalledWith('https://www.googleapis.com/oauth2/v3/certs', expect.any(Object));
+
+    await strategy.verifyIdToken(sign({}, { audience: 'android-client' }));
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects tokens for another client, issuer or nonce, or signed with another key', async () => {
+    await expect(strategy.verifyIdToken(sign({}, { audience: 'someone-else' }))).rejects.toThrow(/Invalid Google ID token/);
+    await expect(strategy.verifyIdToken(sign({}, { issuer: 'https://evil.example' }))).rejects.toThrow(/Invalid Google ID token/);
+    await expect(strategy.verifyIdToken(sign({ nonce: 'a' }), { nonce: 'b' })).rejects.toThrow(/nonce/);
+
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    const forged = jwt.sign({ sub: 'x' }, other, { algorithm: 'RS256', keyid: 'key-1', issuer: 'https://accounts.google.com', audience: 'web-client' });
+    await expect(strategy.verifyIdToken(forged)).rejects.toThrow(/Invalid Google ID token/);
+  });
+
+  it('normalizes the profile, taking Apple\'s first-time name', () => {
+    expect(strategy.toProfile({ sub: 1, email: 'Ada@Example.com', email_verified: 'true' }, '{"name":{"firstName":"Ada","lastName":"Obi"}}'))
+      .toEqual({
+        provider: 'google',
+        id: '1',
+        email: 'ada@example.com',
+        emailVerified: true,
+        firstName: 'Ada',
+        lastName: 'Obi',
+        picture: null
+      });
+  });
+
+  it('redirects with a signed state and exchanges the callback code', async () => {
+    strategy.redirect = jest.fn();
+    strategy.authenticate({ query: {}, body: {} });
+
+    const url = new URL(strategy.redirect.mock.calls[0][0]);
+    expect(url.origin + url.pathname).toBe('https://accounts.google.com/o/oauth2/v2/auth');
+    expect(url.searchParams.get('client_id')).toBe('web-client');
+    const state = url.searchParams.get('state');
+    const nonce = url.searchParams.get('nonce');
+
+    axios.post.mockResolvedValue({ data: { id_token: sign({ nonce }) } });
+
+    const result = await strategy.profileFrom({ code: 'abc', state });
+
+    expect(result.email).toBe('ada@example.com');
+    expect(axios.post.mock.calls[0][1]).toContain('code=abc');
+
+    await expect(strategy.profileFrom({ code: 'abc', state: 'forged' })).rejects.toThrow(/expired/);
+  });
+});
@@ -0,0 +1,237 @@
+jest.mock('../models', () => ({
+  StockReservation: { create: jest.fn(), findAll: jest.fn() },
+  VariantCombination: { findByPk: jest.fn(), update: jest.fn() },
+  Inventory: { findOne: jest.fn(), create: jest.fn() },
+  InventoryHistory: { create: jest.fn() },
+  Order: { findByPk: jest.fn() },
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const {
+  StockReservation,
+  VariantCombination,
+  Inventory,
+  InventoryHistory,
+  Order,
+  sequelize
+} = require('../models');
+const logger = require('../utils/logger');
+const StockReservationService = require('../services/stock-reservation.service');
+
+const MINUTE_MS = 60 * 1000;
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const order = {
+  id: 1001,
+  user_id: 42,
+  items: [
+    { id: 1, product_id: 10, combination_id: 100, quantity: 2 },
+    { id: 2, product_id: 11, combination_id: null, quantity: 1 },
+    { id: 3, product_id: 12, combination_id: 120, quantity: 1 }
+  ]
+};
+
+const reservation = (values = {}) => {
+  const row = {
+    id: 7,
+    order_id: 1001,
+    order_item_id: 1,
+    combination_id: 100,
+    quantity: 2,
+    status: 'active',
+    release_reason: null,
+    ...values
+  };
+  row.update = jest.fn(async (changes) => Object.assign(row, changes));
+  return row;
+};
+
+const historyOf = (changeType) =>
+  InventoryHistory.create.mock.calls.map(([values]) => values).filter((values) => values.change_type === changeType);
+
+describe('StockReservationService', () => {
+  const originalEnv = process.env;
+  let stock;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.STOCK_RESERVATION_MINUTES;
+
+    stock = { 100: { product_id: 10, stock: 5 }, 120: { product_id: 12, stock: 1 } };
+    VariantCombination.findByPk.mockImplementation(async (id) =>
+      (stock[id] ? { id, ...stock[id] } : null)
+    );
+    VariantCombination.update.mockImplementation(async (values, { where }) => {
+      stock[where.id].stock = values.stock;
+      return [1];
+    });
+    Inventory.findOne.mockResolvedValue({ id: 9 });
+    StockReservation.create.mockImplementation(async (values) => reservation(values));
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('reserve', () => {
+    it('takes the stock off each combination and records an expiring reservation', async () => {
+      const reservations = await StockReservationService.reserve(order, { transaction });
+
+      expect(reservations).toHaveLength(2);
+      expect(stock[100].stock).toBe(3);
+      expect(stock[120].stock).toBe(0);
+      expect(VariantCombination.findByPk).toHaveBeenCalledWith(100, expect.objectContaining({ transaction, lock: 'UPDATE' }));
+      expect(StockReservation.create).toHaveBeenCalledWith(expect.objectContaining({
+        order_id: 1001,
+        order_item_id: 1,
+        combination_id: 100,
+        quantity: 2,
+        status: 'active'
+      }), { transaction });
+
+      const expiresIn = reservations[0].expires_at.getTime() - Date.now();
+      expect(expiresIn).toBeGreaterThan(29 * MINUTE_MS);
+      expect(expiresIn).toBeLessThanOrEqual(30 * MINUTE_MS);
+
+      expect(historyOf('reservation')).toEqual([
+        expect.objectContaining({ inventory_id: 9, combination_id: 100, change_amount: -2, previous_stock: 5, new_stock: 3, adjusted_by: 42 }),
+        expect.objectContaining({ combination_id: 120, change_amount: -1, previous_stock: 1, new_stock: 0 })
+      ]);
+    });
+
+    it('refuses more than the combination has in stock', async () => {
+      stock[120].stock = 0;
+
+      await expect(StockReservationService.reserve(order, { transaction }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Insufficient stock for combination 120' });
+    });
+
+    it('refuses a combination of another product', async () => {
+      stock[100].product_id = 99;
+
+      await expect(StockReservationService.reserve(order, { transaction }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(StockReservation.create).not.toHaveBeenCalled();
+    });
+
+    it('creates the product inventory row when it is missing', async () => {
+      Inventory.findOne.mockResolvedValue(null);
+      Inventory.create.mockResolvedValue({ id: 15 });
+
+      await StockReservationService.reserve(order, { transaction });
+
+      expect(Inventory.create).toHaveBeenCalledWith({ product_id: 10 }, { transaction });
+      expect(historyOf('reservation')[0]).toMatchObject({ inventory_id: 15 });
+    });
+  });
+
+  describe('convert', () => {
+    it('sells held stock without changing it', async () => {
+      const held = reservation();
+      StockReservation.findAll.mockResolvedValue([held]);
+
+      await expect(StockReservationService.convert(order, { transaction })).resolves.toBe(1);
+
+      expect(held.status).toBe('converted');
+      expect(held.resolved_at).toBeInstanceOf(Date);
+      expect(VariantCombination.update).not.toHaveBeenCalled();
+      expect(historyOf('sale')).toEqual([
+        expect.objectContaining({ change_amount: 0, previous_stock: 5, new_stock: 5 })
+      ]);
+    });
+
+    it('takes the stock again when the payment arrives after the reservation expired', async () => {
+      const expired = reservation({ status: 'released', release_reason: 'expired', quantity: 6 });
+      StockReservation.findAll.mockResolvedValue([expired]);
+
+      await StockReservationService.convert(order, { transaction });
+
+      expect(stock[100].stock).toBe(-1);
+      expect(expired.status).toBe('converted');
+      expect(historyOf('sale')[0]).toMatchObject({ change_amount: -6, previous_stock: 5, new_stock: -1 });
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('oversold by 1'));
+    });
+  });
+
+  describe('release', () => {
+    it('puts held stock back', async () => {
+      const held = reservation();
+      StockReservation.findAll.mockResolvedValue([held]);
+
+      await expect(StockReservationService.release(order, { reason: 'payment_failed', transaction })).resolves.toBe(1);
+
+      expect(stock[100].stock).toBe(7);
+      expect(held).toMatchObject({ status: 'released', release_reason: 'payment_failed' });
+      expect(historyOf('reservation_release')).toEqual([
+        expect.objectContaining({ change_amount: 2, previous_stock: 5, new_stock: 7, adjusted_by: 42 })
+      ]);
+      expect(StockReservation.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { order_id: 1001, status: 'active' }
+      }));
+    });
+  });
+
+  describe('restoreOrderStock', () => {
+    it('releases held stock, restocks sold items and leaves released stock alone', async () => {
+      const legacyOrder = {
+        ...order,
+        items: [...order.items, { id: 4, product_id: 10, combination_id: 100, quantity: 1 }]
+      };
+      const held = reservation({ order_item_id: 1 });
+      const released = reservation({ id: 8, order_item_id: 3, combination_id: 120, quantity: 1, status: 'released', release_reason: 'expired' });
+      StockReservation.findAll
+        .mockResolvedValueOnce([held, released])
+        .mockResolvedValueOnce([held]);
+
+      await StockReservationService.restoreOrderStock(legacyOrder, { adjustedBy: 5, transaction });
+
+      expect(held.status).toBe('released');
+      expect(released.release_reason).toBe('cancelled');
+      expect(stock[100].stock).toBe(8);
+      expect(stock[120].stock).toBe(1);
+      expect(historyOf('reservation_release')).toEqual([expect.objectContaining({ change_amount: 2, adjusted_by: 5 })]);
+      expect(historyOf('return')).toEqual([expect.objectContaining({ combination_id: 100, change_amount: 1, adjusted_by: 5 })]);
+    });
+
+    it('restocks converted reservations as a return', async () => {
+      StockReservation.findAll
+        .mockResolvedValueOnce([reservation({ status: 'converted' })])
+        .mockResolvedValueOnce([]);
+
+      await StockReservationService.restoreOrderStock({ ...order, items: [order.items[0]] }, { adjustedBy: 5, transaction });
+
+      expect(stock[100].stock).toBe(7);
+      expect(historyOf('return')).toHaveLength(1);
+      expect(historyOf('reservation_release')).toHaveLength(0);
+    });
+  });
+
+  describe('releaseExpired', () => {
+    it('releases each order in its own transaction and keeps going after a failure', async () => {
+      StockReservation.findAll
+        .mockResolvedValueOnce([{ order_id: 1001 }, { order_id: 1002 }])
+        .mockResolvedValueOnce([reservation()]);
+      Order.findByPk
+        .mockResolvedValueOnce({ id: 1001, user_id: 42 })
+        .mockRejectedValueOnce(new Error('Deadlock found'));
+
+      await expect(StockReservationService.releaseExpired()).resolves.toEqual({ orders: 2, reservations: 1 });
+
+      expect(sequelize.transaction).toHaveBeenCalledTimes(2);
+      expect(stock[100].stock).toBe(7);
+      expect(StockReservation.findAll).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ order_id: 1001, status: 'active', expires_at: expect.any(Object) })
+      }));
+      expect(historyOf('reservation_release')[0].note).toContain('expired');
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('order 1002'), expect.any(Error));
+    });
+  });
+});
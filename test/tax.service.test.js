@@ -0,0 +1,117 @@
+jest.mock('../models', () => ({
+  TaxRule: { findAll: jest.fn(), findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+  Product: { findAll: jest.fn() }
+}));
+
+const { TaxRule, Product } = require('../models');
+const TaxService = require('../services/tax.service');
+
+const address = { city: 'Ikeja', state: 'Lagos', country: 'Nigeria' };
+
+const buildRule = (overrides = {}) => ({
+  id: 1,
+  name: 'VAT',
+  country: 'Nigeria',
+  state: null,
+  rate: '7.50',
+  is_inclusive: false,
+  exempt_category_ids: null,
+  ...overrides
+});
+
+const items = [
+  { productId: 10, quantity: 2, price: '5000.00', discountAmount: 1000 },
+  { productId: 11, quantity: 1, price: '10750.00' }
+];
+
+describe('TaxService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Product.findAll.mockResolvedValue([
+      { id: 10, category_id: 1 },
+      { id: 11, category_id: 2 }
+    ]);
+  });
+
+  describe('calculate', () => {
+    test('charges exclusive tax on top of the discounted lines', async () => {
+      TaxRule.findAll.mockResolvedValue([buildRule()]);
+
+      const tax = await TaxService.calculate({ address, items });
+
+      expect(tax.items).toEqual([
+        { tax_rate: 7.5, tax_amount: 675 },
+        { tax_rate: 7.5, tax_amount: 806.25 }
+      ]);
+      expect(tax).toMatchObject({ inclusive: false, total: 1481.25, charged: 1481.25 });
+    });
+
+    test('reports inclusive tax without charging it again', async () => {
+      TaxRule.findAll.mockResolvedValue([buildRule({ is_inclusive: true })]);
+
+      const tax = await TaxService.calculate({ address, items: [items[1]] });
+
+      expect(tax).toMatchObject({ inclusive: true, total: 750, charged: 0 });
+    });
+
+    test('skips products in exempt categories', async () => {
+      TaxRule.findAll.mockResolvedValue([buildRule({ exempt_category_ids: [2] })]);
+
+      const tax = await TaxService.calculate({ address, items });
+
+      expect(tax.items[1]).toEqual({ tax_rate: 0, tax_amount: 0 });
+      expect(tax.total).toBe(675);
+    });
+
+    test('charges nothing when no rule applies', async () => {
+      TaxRule.findAll.mockResolvedValue([]);
+
+      const tax = await TaxService.calculate({ address, items });
+
+      expect(tax).toMatchObject({ rule: null, total: 0, charged: 0 });
+      expect(Product.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findRule', () => {
+    test('prefers a state rule over country and global rules', async () => {
+      TaxRule.findAll.mockResolvedValue([
+        buildRule({ id: 1, country: null }),
+        buildRule({ id: 2 }),
+        buildRule({ id: 3, state: 'lagos' }),
+        buildRule({ id: 4, state: 'Oyo' })
+      ]);
+
+      const rule = await TaxService.findRule(address);
+
+      expect(rule.id).toBe(3);
+    });
+
+    test('only uses global rules without an address', async () => {
+      TaxRule.findAll.mockResolvedValue([buildRule({ country: null })]);
+
+      await TaxService.findRule(null);
+
+      expect(TaxRule.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { is_active: true, country: null } })
+      );
+    });
+  });
+
+  describe('createRule', () => {
+    test('rejects a second active rule for the same location', async () => {
+      TaxRule.findOne.mockResolvedValue(buildRule());
+
+      await expect(
+        TaxService.createRule({ name: 'VAT', country: 'Nigeria', rate: 7.5 }, { createdBy: 1 })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(TaxRule.create).not.toHaveBeenCalled();
+    });
+
+    test('requires a country for state rules', async () => {
+      await expect(
+        TaxService.createRule({ name: 'Lagos levy', state: 'Lagos', rate: 1 }, { createdBy: 1 })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
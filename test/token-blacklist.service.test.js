@@ -0,0 +1,87 @@
+jest.mock('../models', () => ({
+  TokenBlacklist: { findOne: jest.fn(), upsert: jest.fn() }
+}));
+
+jest.mock('../config/redis', () => ({
+  isConnected: false,
+  isEnabled: false,
+  get: jest.fn(),
+  setex: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const { TokenBlacklist } = require('../models');
+const redis = require('../config/redis');
+const tokenBlacklistService = require('../services/token-blacklist.service');
+
+const REVOKED_AT = 1767175200500; // half a second into the revocation's second
+
+const accessToken = (issuedAt) =>
+  jwt.sign({ id: 42, sid: 7, iat: issuedAt / 1000 }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+describe('TokenBlacklistService', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv, JWT_SECRET: 'test-secret', JWT_EXPIRES_IN: '15m' };
+    redis.isConnected = false;
+    redis.isEnabled = false;
+    jest.spyOn(Date, 'now').mockReturnValue(REVOKED_AT);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('blacklistAllUserTokens', () => {
+    test('records the revocation to the millisecond', async () => {
+      await tokenBlacklistService.blacklistAllUserTokens(42, 'two_factor_disabled');
+
+      expect(TokenBlacklist.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          blacklisted_at: new Date(REVOKED_AT),
+          token_expiry: REVOKED_AT + 15 * 60 * 1000,
+          user_id: 42
+        })
+      );
+    });
+
+    test('stores the revocation in Redis in milliseconds', async () => {
+      redis.isConnected = true;
+      redis.isEnabled = true;
+
+      await tokenBlacklistService.blacklistAllUserTokens(42, 'two_factor_disabled');
+
+      expect(redis.setex).toHaveBeenCalledWith('blacklist:user:42', 900, String(REVOKED_AT));
+    });
+  });
+
+  describe('isTokenBlacklisted', () => {
+    beforeEach(() => {
+      TokenBlacklist.findOne.mockImplementation(async ({ where }) =>
+        where.token_hash === tokenBlacklistService.hashToken('user:42')
+          ? { blacklisted_at: new Date(REVOKED_AT) }
+          : null
+      );
+    });
+
+    test('rejects tokens issued earlier in the second of a full revocation', async () => {
+      await expect(tokenBlacklistService.isTokenBlacklisted(accessToken(REVOKED_AT - 300))).resolves.toBe(true);
+    });
+
+    test('accepts tokens issued later in the same second as a full revocation', async () => {
+      await expect(tokenBlacklistService.isTokenBlacklisted(accessToken(REVOKED_AT + 300))).resolves.toBe(false);
+    });
+
+    test('rejects tokens with whole-second iat from the second of the revocation', async () => {
+      const token = jwt.sign({ id: 42 }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+      await expect(tokenBlacklistService.isTokenBlacklisted(token)).resolves.toBe(true);
+    });
+  });
+});
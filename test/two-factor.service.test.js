@@ -0,0 +1,290 @@
+jest.mock('../models', () => ({
+  User: { findByPk: jest.fn() },
+  Role: { count: jest.fn() },
+  OversightLog: { create: jest.fn() },
+  UserSession: { update: jest.fn(async () => [2]) }
+}));
+
+jest.mock('../services/token-blacklist.service', () => ({
+  blacklistAllUserTokens: jest.fn()
+}));
+
+jest.mock('../services/login-security.service', () => ({
+  assertNotLocked: jest.fn(),
+  recordFailure: jest.fn(async () => ({ locked: false, locked_until: null })),
+  lockedError: jest.fn(() => Object.assign(new Error('Account locked'), { statusCode: 423 }))
+}));
+
+const { User, Role, OversightLog, UserSession } = require('../models');
+const tokenBlacklistService = require('../services/token-blacklist.service');
+const LoginSecurityService = require('../services/login-security.service');
+const TwoFactorService = require('../services/two-factor.service');
+const totp = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+const user = (values = {}) => {
+  const record = {
+    id: 42,
+    email: 'admin@stylay.ng',
+    two_factor_enabled: false,
+    two_factor_secret: null,
+    two_factor_pending_secret: null,
+    two_factor_recovery_codes: null,
+    two_factor_last_step: null,
+    comparePassword: jest.fn(async (password) => password === 'Secret123'),
+    ...values
+  };
+  record.update = jest.fn(async (changes) => Object.assign(record, changes));
+  return record;
+};
+
+// An enrolled user and their secret, with the current step's code already used
+const enrolledUser = (values = {}) => {
+  const secret = totp.generateSecret();
+  return {
+    secret,
+    record: user({
+      two_factor_enabled: true,
+      two_factor_secret: encrypt(secret),
+      two_factor_recovery_codes: [TwoFactorService.hashRecoveryCode('aaaa-bbbb-cccc')],
+      two_factor_last_step: totp.timeStep() - 2,
+      ...values
+    })
+  };
+};
+
+const originalEnv = process.env;
+
+beforeEach(() => {
+  process.env = { ...originalEnv, JWT_SECRET: 'test-secret', APP_NAME: 'Stylay' };
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+describe('TOTP', () => {
+  // RFC 6238 appendix B test vectors (SHA1), truncated to 6 digits
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('matches the RFC 6238 test vectors', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.generateCode(secret, 59 * 1000)).toBe('287082');
+    expect(totp.generateCode(secret, 1111111109 * 1000)).toBe('081804');
+    expect(totp.generateCode(secret, 2000000000 * 1000)).toBe('279037');
+  });
+
+  it('accepts codes from the neighbouring steps only', () => {
+    const now = 1111111109 * 1000;
+    const previous = totp.generateCode(secret, now - 30 * 1000);
+
+    expect(totp.verifyCode('081804', secret, { time: now })).toBe(totp.timeStep(now));
+    expect(totp.verifyCode(previous, secret, { time: now })).toBe(totp.timeStep(now) - 1);
+    expect(totp.verifyCode(totp.generateCode(secret, now - 90 * 1000), secret, { time: now })).toBeNull();
+    expect(totp.verifyCode('12345', secret, { time: now })).toBeNull();
+  });
+
+  it('round-trips base32 and builds a provisioning URI', () => {
+    const bytes = Buffer.from('stylay two-factor');
+    expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+
+    const uri = totp.provisioningUri({ secret, accountName: 'admin@stylay.ng', issuer: 'Stylay' });
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Stylay%3Aadmin%40stylay\.ng\?/);
+    expect(uri).toContain(`secret=${secret}`);
+    expect(uri).toContain('issuer=Stylay');
+  });
+});
+
+describe('encryption', () => {
+  it('decrypts what it encrypts and rejects tampered values', () => {
+    const payload = encrypt('GEZDGNBVGY3TQOJQ');
+    expect(payload).not.toContain('GEZDGNBVGY3TQOJQ');
+    expect(decrypt(payload)).toBe('GEZDGNBVGY3TQOJQ');
+
+    const [iv, tag, data] = payload.split(':');
+    const flipped = (data[0] === 'a' ? 'b' : 'a') + data.slice(1);
+    expect(() => decrypt([iv, tag, flipped].join(':'))).toThrow();
+  });
+});
+
+describe('TwoFactorService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Role.count.mockResolvedValue(0);
+  });
+
+  describe('loginStep', () => {
+    it('needs no second step without two-factor', async () => {
+      expect(await TwoFactorService.loginStep(user())).toBeNull();
+    });
+
+    it('asks enrolled users for a code', async () => {
+      const record = user({ two_factor_enabled: true });
+      User.findByPk.mockResolvedValue(record);
+
+      const step = await TwoFactorService.loginStep(record);
+
+      expect(step.step).toBe('verify');
+      expect(step.expires_in).toBe(300);
+      await expect(TwoFactorService.verifyChallenge(step.challenge_token, 'verify')).resolves.toBe(record);
+    });
+
+    it('makes users of a role requiring two-factor enroll', async () => {
+      Role.count.mockResolvedValue(1);
+
+      const step = await TwoFactorService.loginStep(user());
+
+      expect(step.step).toBe('enroll');
+      await expect(TwoFactorService.verifyChallenge(step.challenge_token, 'verify'))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+
+  describe('enrollment', () => {
+    it('keeps the secret pending until the first code is confirmed', async () => {
+      const record = user();
+
+      const { secret, otpauth_url } = await TwoFactorService.setup(record);
+
+      expect(otpauth_url).toContain(`secret=${secret}`);
+      expect(record.two_factor_enabled).toBe(false);
+      expect(decrypt(record.two_factor_pending_secret)).toBe(secret);
+
+      const code = totp.generateCode(secret);
+      const wrongCode = String((Number(code) + 1) % 1000000).padStart(6, '0');
+      await expect(TwoFactorService.enable(record, wrongCode)).rejects.toMatchObject({ statusCode: 401 });
+
+      const codes = await TwoFactorService.enable(record, code);
+
+      expect(codes).toHaveLength(10);
+      expect(codes[0]).toMatch(/^[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}$/);
+      expect(record.two_factor_enabled).toBe(true);
+      expect(record.two_factor_pending_secret).toBeNull();
+      expect(decrypt(record.two_factor_secret)).toBe(secret);
+      expect(record.two_factor_recovery_codes).toEqual(codes.map((code) => TwoFactorService.hashRecoveryCode(code)));
+      expect(record.two_factor_recovery_codes).not.toContain(codes[0]);
+    });
+
+    it('requires setup before enabling', async () => {
+      await expect(TwoFactorService.enable(user(), '123456')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('completeLogin', () => {
+    it('accepts a code once', async () => {
+      const { secret, record } = enrolledUser();
+      User.findByPk.mockResolvedValue(record);
+      const { challenge_token } = await TwoFactorService.loginStep(record);
+      const code = totp.generateCode(secret);
+
+      await expect(TwoFactorService.completeLogin(challenge_token, { code })).resolves.toBe(record);
+      expect(record.two_factor_last_step).toBe(totp.verifyCode(code, secret));
+
+      await expect(TwoFactorService.completeLogin(challenge_token, { code }))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('consumes a recovery code', async () => {
+      const { record } = enrolledUser();
+      User.findByPk.mockResolvedValue(record);
+      const { challenge_token } = await TwoFactorService.loginStep(record);
+
+      await TwoFactorService.completeLogin(challenge_token, { recoveryCode: 'AAAA-BBBB-CCCC' });
+
+      expect(record.two_factor_recovery_codes).toEqual([]);
+      await expect(TwoFactorService.completeLogin(challenge_token, { recoveryCode: 'aaaa-bbbb-cccc' }))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('rejects an invalid challenge token', async () => {
+      await expect(TwoFactorService.completeLogin('not-a-token', { code: '123456' }))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('counts wrong codes as failed logins and locks the account', async () => {
+      const { record } = enrolledUser();
+      User.findByPk.mockResolvedValue(record);
+      const { challenge_token } = await TwoFactorService.loginStep(record);
+      const client = { userAgent: 'jest', ip: '127.0.0.1' };
+
+      await expect(TwoFactorService.completeLogin(challenge_token, { code: '000000' }, client))
+        .rejects.toMatchObject({ statusCode: 401 });
+      expect(LoginSecurityService.assertNotLocked).toHaveBeenCalledWith(record, { client, method: 'two_factor' });
+      expect(LoginSecurityService.recordFailure).toHaveBeenCalledWith(record, {
+        client,
+        method: 'two_factor',
+        reason: 'invalid_two_factor_code'
+      });
+
+      LoginSecurityService.recordFailure.mockResolvedValueOnce({ locked: true, locked_until: new Date() });
+      await expect(TwoFactorService.completeLogin(challenge_token, { code: '000000' }, client))
+        .rejects.toMatchObject({ statusCode: 423 });
+    });
+  });
+
+  describe('disable', () => {
+    it('clears two-factor and revokes the user\'s tokens', async () => {
+      const { secret, record } = enrolledUser();
+
+      await TwoFactorService.disable(record, { password: 'Secret123', code: totp.generateCode(secret) });
+
+      expect(record.two_factor_enabled).toBe(false);
+      expect(record.two_factor_secret).toBeNull();
+      expect(record.two_factor_recovery_codes).toBeNull();
+      expect(UserSession.update).toHaveBeenCalledWith(
+        expect.objectContaining({ revoked_reason: 'two_factor_disabled' }),
+        { where: { user_id: 42, revoked_at: null } }
+      );
+      expect(tokenBlacklistService.blacklistAllUserTokens).toHaveBeenCalledWith(42, 'two_factor_disabled');
+    });
+
+    it('needs the password', async () => {
+      const { secret, record } = enrolledUser();
+
+      await expect(TwoFactorService.disable(record, { password: 'wrong', code: totp.generateCode(secret) }))
+        .rejects.toMatchObject({ statusCode: 401 });
+      expect(record.two_factor_enabled).toBe(true);
+    });
+
+    it('is refused when the role requires two-factor', async () => {
+      const { secret, record } = enrolledUser();
+      Role.count.mockResolvedValue(1);
+
+      await expect(TwoFactorService.disable(record, { password: 'Secret123', code: totp.generateCode(secret) }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(record.two_factor_enabled).toBe(true);
+      expect(tokenBlacklistService.blacklistAllUserTokens).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reset', () => {
+    it('clears two-factor, revokes tokens and logs the admin', async () => {
+      const { record } = enrolledUser();
+      User.findByPk.mockResolvedValue(record);
+
+      await TwoFactorService.reset(42, 1);
+
+      expect(record.two_factor_enabled).toBe(false);
+      expect(tokenBlacklistService.blacklistAllUserTokens).toHaveBeenCalledWith(42, 'two_factor_reset');
+      expect(OversightLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        admin_id: 1,
+        functionality: 'two_factor_authentication'
+      }));
+    });
+
+    it('fails for an unknown user', async () => {
+      User.findByPk.mockResolvedValue(null);
+
+      await expect(TwoFactorService.reset(99, 1)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  it('regenerates recovery codes', async () => {
+    const { secret, record } = enrolledUser();
+
+    const codes = await TwoFactorService.regenerateRecoveryCodes(record, totp.generateCode(secret));
+
+    expect(codes).toHaveLength(10);
+    expect(record.two_factor_recovery_codes).not.toContain(TwoFactorService.hashRecoveryCode('aaaa-bbbb-cccc'));
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../models', () => ({
+  Order: { findByPk: jest.fn() },
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('../services/payout.service', () => ({}));
+jest.mock('../services/refund.service', () => ({
+  submit: jest.fn()
+}));
+jest.mock('../services/stock-reservation.service', () => ({
+  convert: jest.fn(),
+  release: jest.fn()
+}));
+jest.mock('../services/order-cancellation.service', () => ({
+  acceptsPayment: jest.requireActual('../services/order-cancellation.service').acceptsPayment,
+  refundLatePayment: jest.fn()
+}));
+jest.mock('../services/email.service', () => ({
+  sendOrderConfirmation: jest.fn(),
+  notifyVendors: jest.fn(),
+  sendPaymentFailed: jest.fn()
+}));
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+const { Order, sequelize } = require('../models');
+const RefundService = require('../services/refund.service');
+const StockReservationService = require('../services/stock-reservation.service');
+const OrderCancellationService = require('../services/order-cancellation.service');
+const emailService = require('../services/email.service');
+const WebhookService = require('../services/webhook.service');
+
+const record = (values = {}) => {
+  const row = { ...values };
+  row.save = jest.fn(async () => row);
+  return row;
+};
+
+const charge = { reference: 'ref-1', channel: 'card', metadata: { orderId: 12, userId: 5 } };
+
+describe('WebhookService', () => {
+  let transaction;
+  let committed;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    committed = [];
+    transaction = { LOCK: { UPDATE: 'UPDATE' }, afterCommit: jest.fn((callback) => committed.push(callback)) };
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    emailService.sendOrderConfirmation.mockResolvedValue();
+    emailService.notifyVendors.mockResolvedValue();
+    RefundService.submit.mockResolvedValue();
+  });
+
+  describe('charge.success', () => {
+    test('marks a pending order paid and converts its reserved stock', async () => {
+      const order = record({ id: 12, order_status: 'pending', payment_status: 'pending' });
+      Order.findByPk.mockResolvedValue(order);
+
+      await WebhookService.handlePaystackEvent('charge.success', charge);
+
+      expect(Order.findByPk).toHaveBeenCalledWith(12, { transaction, lock: 'UPDATE' });
+      expect(order).toMatchObject({ payment_status: 'paid', payment_reference: 'ref-1' });
+      expect(StockReservationService.convert).toHaveBeenCalledWith(order, { transaction });
+      expect(OrderCancellationService.refundLatePayment).not.toHaveBeenCalled();
+    });
+
+    test('refunds a charge for a cancelled order instead of taking its stock again', async () => {
+      const order = record({ id: 12, order_status: 'cancelled', payment_status: 'pending' });
+      Order.findByPk.mockResolvedValue(order);
+      const refund = { id: 3 };
+      OrderCancellationService.refundLatePayment.mockResolvedValue(refund);
+
+      await WebhookService.handlePaystackEvent('charge.success', charge);
+
+      expect(OrderCancellationService.refundLatePayment).toHaveBeenCalledWith(order, { reference: 'ref-1', transaction });
+      expect(StockReservationService.convert).not.toHaveBeenCalled();
+      expect(order.save).not.toHaveBeenCalled();
+      expect(emailService.sendOrderConfirmation).not.toHaveBeenCalled();
+
+      await Promise.all(committed.map((callback) => callback()));
+      expect(RefundService.submit).toHaveBeenCalledWith(refund);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Minimal CSV reading and writing (RFC 4180: comma separated, double quotes escaped by doubling).
+ * Enough for the spreadsheets vendors export from Excel or Google Sheets; no streaming.
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV text; a leading byte order mark is ignored
+ * @returns {Array<Array<string>>} Rows, without blank lines
+ * @throws {Error} When a quoted cell is never closed
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted value');
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Quote a value for CSV. Text starting with a formula character is prefixed with an apostrophe
+ * so spreadsheets do not evaluate it.
+ * @param {*} value - Cell value; null and undefined become an empty cell
+ * @returns {string} CSV cell
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV text
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array<*>>} rows - Row values in header order
+ * @returns {string} CSV text with CRLF line endings
+ */
+const toCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  formatCell,
+  toCsv,
+};
@@ -95,6 +95,32 @@ const formatFileSize = (bytes) => {
   return `${parseFloat((bytes / Math.pow(k, i)).toFixed(2))} ${sizes[i]}`;
 };
 
+/**
+ * Read an uploaded text file (CSV, JSON) and remove its temporary copy
+ * @param {Object} file - File object from file upload middleware
+ * @param {Array<string>} extensions - Allowed extensions, e.g. ['.csv']
+ * @returns {Promise<string>} File contents as UTF-8 text
+ * @throws {AppError} 400 - When no single file was uploaded or its extension is not allowed
+ */
+const readTextUpload = async (file, extensions) => {
+  if (!file || Array.isArray(file)) {
+    throw new AppError('Upload one file', 400);
+  }
+
+  try {
+    if (!extensions.includes(path.extname(file.name || '').toLowerCase())) {
+      throw new AppError(`Only ${extensions.join(', ')} files can be uploaded`, 400);
+    }
+    return file.tempFilePath
+      ? await fs.promises.readFile(file.tempFilePath, 'utf8')
+      : file.data.toString('utf8');
+  } finally {
+    if (file.tempFilePath) {
+      await deleteFileIfExists(file.tempFilePath);
+    }
+  }
+};
+
 module.exports = {
   getFileExtension,
   generateFilename,
@@ -103,4 +129,5 @@ module.exports = {
   ensureDirectoryExists,
   deleteFileIfExists,
   formatFileSize,
+  readTextUpload,
 };
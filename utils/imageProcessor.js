@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const AppError = require('./appError');
 const storage = require('../config/storage');
+const QueueService = require('../services/queue.service');
 
 /**
  * Enhanced image processor that supports multiple input formats:
@@ -169,15 +170,9 @@ class ImageProcessor {
         throw new Error(`Invalid storage disk: ${this.uploadPath}`);
       }
 
-      // Create upload directory
-      const uploadDir = path.join(process.cwd(), disk.root);
-      if (!fs.existsSync(uploadDir)) {
-        fs.mkdirSync(uploadDir, { recursive: true });
-      }
-
-      // Save file
-      const filepath = path.join(uploadDir, filename);
-      fs.writeFileSync(filepath, imageBuffer);
+      // Queue the file write; the URL is known before the file is written
+      const filepath = path.join(process.cwd(), disk.root, filename);
+      await QueueService.enqueue('image.write', { root: disk.root, filename, data: base64Image });
 
       // Generate URL
       const url = `${process.env.APP_URL || 'http://localhost:3000'}/uploads/${this.uploadPath}/${filename}`;
@@ -196,6 +191,23 @@ class ImageProcessor {
     }
   }
 
+  /**
+   * Write a base64 image to its storage disk. Runs on the queue worker.
+   * @param {Object} image - Image to write
+   * @param {string} image.root - Storage disk root, relative to the app directory
+   * @param {string} image.filename - File name
+   * @param {string} image.data - Base64 encoded image data
+   * @returns {Promise<string>} Path of the written file
+   */
+  static async writeImage({ root, filename, data }) {
+    const uploadDir = path.join(process.cwd(), root);
+    await fs.promises.mkdir(uploadDir, { recursive: true });
+
+    const filepath = path.join(uploadDir, filename);
+    await fs.promises.writeFile(filepath, Buffer.from(data, 'base64'));
+    return filepath;
+  }
+
   /**
    * Get file extension from mime type
    * @param {string} mimeType - MIME type
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { Strategy } = require('passport');
+
+const STATE_AUDIENCE = 'oidc-state';
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+
+/**
+ * Passport strategy for signing in with an OpenID Connect provider such as Google or Apple.
+ *
+ * It handles the three ways a client can sign in:
+ * 1. Start: no code or ID token in the request, so the user is redirected to the provider.
+ *    The `state` parameter is a signed, short-lived JWT carrying the nonce, so no server
+ *    session is needed.
+ * 2. Callback: the provider sends the user back with a `code` (query string, or form post for
+ *    Apple), which is exchanged for an ID token after checking `state`.
+ * 3. ID token: mobile and web SDKs (Google Identity Services, Sign in with Apple) give the
+ *    client an ID token directly, which it posts as `id_token`.
+ *
+ * ID tokens are checked against the provider's published keys (JWKS), issuer and client IDs.
+ * The verify callback receives the request and a normalized profile:
+ * { provider, id, email, emailVerified, firstName, lastName, picture }.
+ */
+class OidcStrategy extends Strategy {
+  /**
+   * @param {Object} provider - Provider settings from config/social-auth
+   * @param {Function} verify - (req, profile, done) callback
+   */
+  constructor(provider, verify) {
+    super();
+    this.name = provider.name;
+    this.provider = provider;
+    this.verify = verify;
+    this.keys = { fetchedAt: 0, byKid: new Map() };
+  }
+
+  /**
+   * @param {import('express').Request} req - Express request
+   */
+  authenticate(req) {
+    const params = { ...req.query, ...req.body };
+
+    if (params.error) {
+      return this.fail({ message: params.error_description || `Sign in with ${this.provider.label} was cancelled` }, 401);
+    }
+
+    if (!params.code && !params.id_token) {
+      return this.redirect(this.authorizationUrl());
+    }
+
+    return this.profileFrom(params)
+      .then((profile) =>
+        this.verify(req, profile, (err, user, info) => {
+          if (err) return this.error(err);
+          if (!user) return this.fail(info, 401);
+          return this.success(user, info);
+        })
+      )
+      .catch((error) => this.fail({ message: error.message }, 401));
+  }
+
+  /**
+   * Provider URL the user is sent to, with a signed state carrying a fresh nonce
+   * @returns {string} Authorization URL
+   */
+  authorizationUrl() {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const state = jwt.sign({ nonce, provider: this.name }, process.env.JWT_SECRET, {
+      expiresIn: '10m',
+      algorithm: 'HS256',
+      audience: STATE_AUDIENCE
+    });
+
+    const params = new URLSearchParams({
+      client_id: this.provider.clientId,
+      redirect_uri: this.provider.callbackURL,
+      response_type: 'code',
+      scope: this.provider.scope,
+      state,
+      nonce
+    });
+    if (this.provider.responseMode) params.set('response_mode', this.provider.responseMode);
+
+    return `${this.provider.authorizationURL}?${params.toString()}`;
+  }
+
+  /**
+   * Verified profile from a callback code or an ID token
+   * @param {Object} params - Query and body parameters
+   * @returns {Promise<Object>} Profile
+   */
+  async profileFrom(params) {
+    let idToken = params.id_token;
+    let nonce = params.nonce;
+
+    if (params.code) {
+      ({ nonce } = this.verifyState(params.state));
+      idToken = await this.exchangeCode(params.code);
+    }
+
+    const claims = await this.verifyIdToken(idToken, { nonce });
+
+    return this.toProfile(claims, params.user);
+  }
+
+  /**
+   * @param {string} state - State returned by the provider
+   * @returns {Object} State payload ({ nonce })
+   */
+  verifyState(state) {
+    try {
+      const payload = jwt.verify(state || '', process.env.JWT_SECRET, {
+        algorithms: ['HS256'],
+        audience: STATE_AUDIENCE
+      });
+      if (payload.provider !== this.name) throw new Error('wrong provider');
+      return payload;
+    } catch (error) {
+      throw new Error(`Sign in with ${this.provider.label} expired. Please try again.`);
+    }
+  }
+
+  /**
+   * Exchange an authorization code for the ID token
+   * @param {string} code - Authorization code
+   * @returns {Promise<string>} ID token
+   */
+  async exchangeCode(code) {
+    let response;
+    try {
+      response = await axios.post(
+        this.provider.tokenURL,
+        new URLSearchParams({
+          grant_type: 'authorization_code',
+          code,
+          redirect_uri: this.provider.callbackURL,
+          client_id: this.provider.clientId,
+          client_secret: this.provider.clientSecret() || ''
+        }).toString(),
+        { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 10000 }
+      );
+    } catch (error) {
+      throw new Error(`Could not complete sign in with ${this.provider.label}`);
+    }
+
+    if (!response.data || !response.data.id_token) {
+      throw new Error(`${this.provider.label} did not return an ID token`);
+    }
+    return response.data.id_token;
+  }
+
+  /**
+   * Check an ID token's signature, issuer, audience, expiry and nonce
+   * @param {string} idToken - ID token
+   * @param {Object} [options] - Options
+   * @param {string} [options.nonce] - Nonce the token must carry
+   * @returns {Promise<Object>} Token claims
+   */
+  async verifyIdToken(idToken, { nonce } = {}) {
+    const decoded = jwt.decode(idToken || '', { complete: true });
+    if (!decoded || !decoded.header) {
+      throw new Error(`Invalid ${this.provider.label} ID token`);
+    }
+
+    const key = await this.signingKey(decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'ES256'],
+        issuer: this.provider.issuers,
+        audience: this.provider.audiences
+      });
+    } catch (error) {
+      throw new Error(`Invalid ${this.provider.label} ID token: ${error.message}`);
+    }
+
+    if (nonce && claims.nonce !== nonce) {
+      throw new Error(`Invalid ${this.provider.label} ID token: nonce mismatch`);
+    }
+
+    return claims;
+  }
+
+  /**
+   * Provider public key by key ID, refetching the key set when it is stale or the key is new
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<crypto.KeyObject>} Public key
+   */
+  async signingKey(kid) {
+    const stale = Date.now() - this.keys.fetchedAt > JWKS_CACHE_MS;
+    if (stale || !this.keys.byKid.has(kid)) {
+      let response;
+      try {
+        response = await axios.get(this.provider.jwksURL, { timeout: 10000 });
+      } catch (error) {
+        throw new Error(`Could not load ${this.provider.label} signing keys`);
+      }
+
+      this.keys = {
+        fetchedAt: Date.now(),
+        byKid: new Map((response.data.keys || []).map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]))
+      };
+    }
+
+    const key = this.keys.byKid.get(kid);
+    if (!key) {
+      throw new Error(`Unknown ${this.provider.label} signing key`);
+    }
+    return key;
+  }
+
+  /**
+   * Normalized profile from ID token claims
+   * @param {Object} claims - ID token claims
+   * @param {string|Object} [appleUser] - Apple's `user` form field, sent on the first sign in only
+   * @returns {Object} Profile
+   */
+  toProfile(claims, appleUser) {
+    let name = {};
+    if (appleUser) {
+      try {
+        name = (typeof appleUser === 'string' ? JSON.parse(appleUser) : appleUser).name || {};
+      } catch (error) {
+        name = {};
+      }
+    }
+
+    return {
+      provider: this.name,
+      id: String(claims.sub),
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      firstName: claims.given_name || name.firstName || null,
+      lastName: claims.family_name || name.lastName || null,
+      picture: claims.picture || null
+    };
+  }
+}
+
+module.exports = OidcStrategy;
@@ -0,0 +1,263 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * PDF layouts for order documents (invoices and packing slips).
+ * Renderers take plain data prepared by InvoiceService and resolve with the PDF as a Buffer,
+ * so they never touch the database.
+ */
+
+const MARGIN = 50;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const MUTED = '#666666';
+
+/**
+ * Format an amount in naira. The standard PDF fonts have no naira sign, so the currency
+ * code is used instead.
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount, e.g. NGN 15,000.00
+ */
+const formatMoney = (amount) =>
+  `NGN ${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * @param {Date|string} date - Date
+ * @returns {string} Date such as 18 Dec 2025
+ */
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' }) : '';
+
+/**
+ * Collect a PDF document into a Buffer
+ * @param {PDFDocument} doc - Document being written
+ * @param {Function} draw - Draws the document
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const toBuffer = (doc, draw) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw();
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+/**
+ * Draw an image, ignoring images PDFKit cannot read
+ */
+const drawLogo = (doc, logo, x, y, options) => {
+  if (!logo) return false;
+  try {
+    doc.image(logo, x, y, options);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Logo on the left, document title and reference lines on the right
+ */
+const drawHeader = (doc, { logo, title, lines }) => {
+  drawLogo(doc, logo, MARGIN, MARGIN, { fit: [120, 50] });
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#000000')
+    .text(title, MARGIN, MARGIN, { width: CONTENT_WIDTH, align: 'right' });
+
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED);
+  lines.filter(Boolean).forEach((line) => doc.text(line, { width: CONTENT_WIDTH, align: 'right' }));
+
+  doc.fillColor('#000000');
+  doc.y = Math.max(doc.y, MARGIN + 60) + 15;
+};
+
+/**
+ * Customer name, contact and delivery address
+ */
+const drawAddress = (doc, heading, { customer = {}, address }) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(heading, MARGIN);
+  doc.font('Helvetica').fontSize(9);
+
+  [
+    customer.name,
+    address && address.address_line,
+    address && [address.city, address.state, address.postal_code].filter(Boolean).join(', '),
+    address && address.country,
+    (address && address.phone) || customer.phone,
+    customer.email,
+  ]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line));
+
+  doc.moveDown();
+};
+
+/**
+ * Draw a table with a header row. Columns are { label, width, align, value(row) }.
+ */
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (values, font) => {
+    if (doc.y > doc.page.height - MARGIN - 60) {
+      doc.addPage();
+    }
+
+    const top = doc.y;
+    let x = MARGIN;
+    let bottom = top;
+
+    doc.font(font).fontSize(9);
+    values.forEach((value, index) => {
+      const { width, align = 'left' } = columns[index];
+      doc.text(String(value), x + 2, top, { width: width - 4, align });
+      bottom = Math.max(bottom, doc.y);
+      x += width;
+    });
+
+    doc.y = bottom + 4;
+    doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + CONTENT_WIDTH, doc.y).strokeColor('#dddddd').stroke();
+    doc.y += 4;
+  };
+
+  drawRow(columns.map((column) => column.label), 'Helvetica-Bold');
+  rows.forEach((row) => drawRow(columns.map((column) => column.value(row)), 'Helvetica'));
+};
+
+/**
+ * Label and amount lines aligned to the right of the page
+ */
+const drawTotals = (doc, lines) => {
+  const labelX = MARGIN + CONTENT_WIDTH - 250;
+
+  lines.forEach(({ label, amount, bold }) => {
+    const top = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9);
+    doc.text(label, labelX, top, { width: 140 });
+    doc.text(amount, labelX + 140, top, { width: 110, align: 'right' });
+    doc.moveDown(0.3);
+  });
+};
+
+/**
+ * Render an order invoice
+ * @param {Object} invoice - Invoice data (see InvoiceService.getInvoiceData)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderInvoicePdf = (invoice) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `Invoice ${invoice.invoiceNumber}` } });
+
+  return toBuffer(doc, () => {
+    drawHeader(doc, {
+      logo: invoice.logo,
+      title: 'INVOICE',
+      lines: [
+        `Invoice ${invoice.invoiceNumber}`,
+        `Issued ${formatDate(invoice.issuedAt)}`,
+        `Order ${invoice.orderNumber} placed ${formatDate(invoice.orderDate)}`,
+        invoice.paymentStatus === 'paid'
+          ? `Paid ${formatDate(invoice.paidAt)}${invoice.paymentMethod ? ` by ${invoice.paymentMethod}` : ''}`
+          : 'Awaiting payment',
+      ],
+    });
+
+    drawAddress(doc, 'Bill to', invoice);
+
+    invoice.vendors.forEach((vendor) => {
+      if (doc.y > doc.page.height - MARGIN - 120) {
+        doc.addPage();
+      }
+
+      const top = doc.y;
+      const hasLogo = drawLogo(doc, vendor.logo, MARGIN, top, { fit: [24, 24] });
+      doc.font('Helvetica-Bold').fontSize(10)
+        .text(`Sold by ${vendor.storeName}`, MARGIN + (hasLogo ? 30 : 0), top + (hasLogo ? 7 : 0));
+      doc.y = Math.max(doc.y, top + (hasLogo ? 28 : 0)) + 4;
+
+      drawTable(doc, [
+        { label: 'Item', width: 215, value: (item) => (item.variants ? `${item.name}\n${item.variants}` : item.name) },
+        { label: 'Qty', width: 40, align: 'right', value: (item) => item.quantity },
+        { label: 'Unit price', width: 90, align: 'right', value: (item) => formatMoney(item.unitPrice) },
+        { label: 'VAT', width: 55, align: 'right', value: (item) => `${item.taxRate}%` },
+        { label: 'Amount', width: CONTENT_WIDTH - 400, align: 'right', value: (item) => formatMoney(item.total) },
+      ], vendor.items);
+
+      doc.moveDown();
+    });
+
+    const { totals } = invoice;
+    const lines = [{ label: 'Subtotal', amount: formatMoney(totals.subtotal) }];
+    if (totals.discount > 0) {
+      lines.push({
+        label: totals.couponCode ? `Discount (${totals.couponCode})` : 'Discount',
+        amount: `-${formatMoney(totals.discount)}`,
+      });
+    }
+    lines.push({ label: 'Shipping', amount: formatMoney(totals.shipping) });
+    invoice.taxLines.forEach((line) => {
+      lines.push({
+        label: `VAT${line.rate !== null ? ` ${line.rate}%` : ''}${totals.taxInclusive ? ' (included)' : ''}`,
+        amount: formatMoney(line.amount),
+      });
+    });
+    lines.push({ label: 'Total', amount: formatMoney(totals.total), bold: true });
+
+    drawTotals(doc, lines);
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED)
+      .text(`Thank you for shopping on ${invoice.appName}.`, MARGIN, doc.y, { width: CONTENT_WIDTH, align: 'center' });
+  });
+};
+
+/**
+ * Render a vendor's packing slip for an order
+ * @param {Object} slip - Packing slip data (see InvoiceService.getPackingSlipData)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderPackingSlipPdf = (slip) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `Packing slip ${slip.orderNumber}` } });
+
+  return toBuffer(doc, () => {
+    drawHeader(doc, {
+      logo: slip.logo,
+      title: 'PACKING SLIP',
+      lines: [
+        slip.storeName,
+        `Order ${slip.orderNumber} placed ${formatDate(slip.orderDate)}`,
+        slip.trackingNumber && `Tracking ${slip.trackingNumber}`,
+      ],
+    });
+
+    drawAddress(doc, 'Ship to', slip);
+
+    drawTable(doc, [
+      { label: 'Item', width: 300, value: (item) => item.name },
+      { label: 'Options', width: CONTENT_WIDTH - 360, value: (item) => item.variants || '-' },
+      { label: 'Qty', width: 60, align: 'right', value: (item) => item.quantity },
+    ], slip.items);
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(9)
+      .text(`Total items: ${slip.items.reduce((sum, item) => sum + item.quantity, 0)}`, MARGIN, doc.y, {
+        width: CONTENT_WIDTH,
+        align: 'right',
+      });
+
+    if (slip.note) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(9).text('Customer note', MARGIN);
+      doc.font('Helvetica').text(slip.note);
+    }
+  });
+};
+
+module.exports = {
+  renderInvoicePdf,
+  renderPackingSlipPdf,
+  formatMoney,
+};
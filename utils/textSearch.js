@@ -0,0 +1,125 @@
+/**
+ * Text helpers for product search: tokenizing, stemming, typo distance and highlighting.
+ */
+
+/**
+ * Split text into lower-case words, keeping letters and digits only
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words, in order
+ */
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+/**
+ * Reduce a word to a prefix shared by its plural, e.g. dresses -> dress, bags -> bag
+ * @param {string} word - Lower-case word
+ * @returns {string} Stem
+ */
+const stem = (word) => {
+  if (word.length > 4 && /(ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Levenshtein edit distance, giving up once it exceeds a maximum
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} [max=Infinity] - Largest distance of interest
+ * @returns {number} Edit distance, or max + 1 when larger than max
+ */
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Typos allowed for a word of a given length
+ * @param {string} word - Word typed by the shopper
+ * @returns {number} 0 for short words, 1 up to 7 letters, 2 beyond
+ */
+const allowedTypos = (word) => {
+  if (word.length < 4) return 0;
+  if (word.length <= 7) return 1;
+  return 2;
+};
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Wrap words starting with any of the stems in <mark> tags. The text is HTML-escaped first.
+ * Long text is cut to a snippet around the first match.
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} stems - Stems of the searched words
+ * @param {Object} [options] - Options
+ * @param {number} [options.snippetLength] - Cut the text to about this many characters
+ * @returns {string|null} Highlighted HTML, or null for empty text
+ */
+const highlight = (text, stems, { snippetLength } = {}) => {
+  if (!text) return null;
+
+  let source = String(text).replace(/\s+/g, ' ').trim();
+  const matches = (word) => stems.some((entry) => tokenize(word).some((token) => token.startsWith(entry)));
+
+  if (snippetLength && source.length > snippetLength) {
+    const words = source.split(' ');
+    const first = Math.max(words.findIndex(matches), 0);
+    let start = 0;
+    let length = 0;
+    for (let i = first; i >= 0 && length < snippetLength / 3; i -= 1) {
+      start = i;
+      length += words[i].length + 1;
+    }
+
+    const snippet = [];
+    length = 0;
+    for (let i = start; i < words.length && length < snippetLength; i += 1) {
+      snippet.push(words[i]);
+      length += words[i].length + 1;
+    }
+
+    source = `${start > 0 ? '… ' : ''}${snippet.join(' ')}${start + snippet.length < words.length ? ' …' : ''}`;
+  }
+
+  return source
+    .split(' ')
+    .map((word) => (stems.length > 0 && matches(word) ? `<mark>${escapeHtml(word)}</mark>` : escapeHtml(word)))
+    .join(' ');
+};
+
+module.exports = {
+  tokenize,
+  stem,
+  editDistance,
+  allowedTypos,
+  highlight,
+};
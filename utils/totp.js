@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238), as used by Google Authenticator, Authy and
+ * 1Password: 6-digit HMAC-SHA1 codes that change every 30 seconds.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30;
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding), the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 text
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode base32 text, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random shared secret
+ * @param {number} [size=20] - Secret length in bytes (20 bytes = 160 bits, as RFC 4226 recommends)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Number of the 30-second step a moment falls in
+ * @param {number} [time=Date.now()] - Time in milliseconds
+ * @returns {number} Time step
+ */
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD);
+
+/**
+ * Code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @param {number} [digits=6] - Code length
+ * @returns {string} Zero-padded code
+ */
+const codeForStep = (secret, step, digits = DIGITS) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+
+  return String(binary).padStart(digits, '0');
+};
+
+/**
+ * Current code for a secret
+ * @param {string} secret - Base32 secret
+ * @param {number} [time=Date.now()] - Time in milliseconds
+ * @returns {string} 6-digit code
+ */
+const generateCode = (secret, time = Date.now()) => codeForStep(secret, timeStep(time));
+
+/**
+ * Check a code, allowing for clock drift of a step either way
+ * @param {string} code - Code typed by the user
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options] - Options
+ * @param {number} [options.time=Date.now()] - Time in milliseconds
+ * @param {number} [options.window=1] - Steps of drift allowed before and after
+ * @returns {number|null} Time step the code belongs to, or null when it does not match
+ */
+const verifyCode = (code, secret, { time = Date.now(), window = 1 } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const current = timeStep(time);
+  for (let drift = -window; drift <= window; drift += 1) {
+    const expected = codeForStep(secret, current + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + drift;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps import, usually shown to the user as a QR code
+ * @param {Object} options - Options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Account shown in the app, e.g. the user's email
+ * @param {string} options.issuer - Service name shown in the app
+ * @returns {string} Provisioning URI
+ */
+const provisioningUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  provisioningUri
+};
@@ -0,0 +1,41 @@
+const { query } = require('express-validator');
+
+/**
+ * Validation rules for abandoned cart statistics.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.abandonedCartStatsValidation = [
+  query('from')
+    .optional()
+    .isISO8601().withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('To must be a valid date')
+    .custom((value, { req }) => {
+      if (req.query.from && new Date(value) < new Date(req.query.from)) {
+        throw new Error('To must be after from');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for listing cart recovery emails.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.listCartRecoveriesValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('status')
+    .optional()
+    .isIn(['emailed', 'recovered']).withMessage('Status must be one of: emailed, recovered')
+];
@@ -1,5 +1,6 @@
-const { body, validationResult, check } = require('express-validator');
+const { body, param, query, validationResult, check } = require('express-validator');
 const { User } = require('../models');
+const { PROVIDERS, enabledProviders } = require('../config/social-auth');
 
 // Helper to validate phone number format
 const isValidPhoneNumber = (phone) => {
@@ -407,6 +408,233 @@ exports.cancelPhoneChangeValidation = [
   // No specific validation needed for cancel request
 ];
 
+// Shared rule: a 6-digit authenticator code
+const twoFactorCode = (field = 'code') =>
+  body(field)
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be the 6-digit code from your authenticator app');
+
+// Shared rule: exactly one of code or recovery_code
+const codeOrRecoveryCode = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be the 6-digit code from your authenticator app'),
+
+  body('recovery_code')
+    .optional()
+    .trim()
+    .isLength({ min: 12, max: 20 })
+    .withMessage('Invalid recovery code'),
+
+  body().custom((value) => {
+    if (!value.code === !value.recovery_code) {
+      throw new Error('Provide either a code or a recovery code');
+    }
+    return true;
+  })
+];
+
+// Validation rules for the second login step
+/**
+ * Validation rules for finishing a login with two-factor authentication.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} challenge_token - Required, from the login response
+ * @property {ValidationChain} code - 6 digits; required unless recovery_code is given
+ * @property {ValidationChain} recovery_code - Unused recovery code; required unless code is given
+ * @returns {Array} Express validator middleware array for two-factor login
+ * @example
+ * // Use in route:
+ * router.post('/auth/2fa/verify', verifyTwoFactorValidation, validate, verifyTwoFactor);
+ */
+exports.verifyTwoFactorValidation = [
+  body('challenge_token')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  ...codeOrRecoveryCode
+];
+
+// Validation rules for confirming two-factor enrollment
+/**
+ * Validation rules for enabling two-factor authentication with the first authenticator code.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} code - Required, exactly 6 digits
+ * @returns {Array} Express validator middleware array for enabling two-factor authentication
+ * @example
+ * // Use in route:
+ * router.post('/auth/2fa/enable', enableTwoFactorValidation, validate, enableTwoFactor);
+ */
+exports.enableTwoFactorValidation = [twoFactorCode()];
+
+// Validation rules for turning two-factor authentication off
+/**
+ * Validation rules for disabling two-factor authentication.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} password - Required, current password
+ * @property {ValidationChain} code - 6 digits; required unless recovery_code is given
+ * @property {ValidationChain} recovery_code - Unused recovery code; required unless code is given
+ * @returns {Array} Express validator middleware array for disabling two-factor authentication
+ * @example
+ * // Use in route:
+ * router.post('/auth/2fa/disable', disableTwoFactorValidation, validate, disableTwoFactor);
+ */
+exports.disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  ...codeOrRecoveryCode
+];
+
+// Validation rules for new recovery codes
+/**
+ * Validation rules for regenerating recovery codes.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} code - Required, exactly 6 digits
+ * @returns {Array} Express validator middleware array for regenerating recovery codes
+ * @example
+ * // Use in route:
+ * router.post('/auth/2fa/recovery-codes', regenerateRecoveryCodesValidation, validate, regenerateRecoveryCodes);
+ */
+exports.regenerateRecoveryCodesValidation = [twoFactorCode()];
+
+// Validation rules for refreshing the access token
+/**
+ * Validation rules for exchanging a refresh token.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} refresh_token - Required string
+ * @returns {Array} Express validator middleware array for token refresh
+ * @example
+ * // Use in route:
+ * router.post('/auth/refresh-token', refreshTokenValidation, validate, refreshToken);
+ */
+exports.refreshTokenValidation = [
+  body('refresh_token')
+    .isString()
+    .withMessage('Refresh token is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+// Validation rules for signing out a session
+/**
+ * Validation rules for signing out one session.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} id - Required integer session ID in the URL
+ * @returns {Array} Express validator middleware array for session sign-out
+ * @example
+ * // Use in route:
+ * router.delete('/auth/sessions/:id', revokeSessionValidation, validate, revokeSession);
+ */
+exports.revokeSessionValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Session ID must be a positive integer')
+];
+
+// Shared rule: a sign-in provider with a client ID configured
+const enabledProvider = () =>
+  param('provider')
+    .custom((value) => {
+      if (!enabledProviders().some((provider) => provider.name === value)) {
+        throw new Error(`Sign in with ${value} is not available`);
+      }
+      return true;
+    });
+
+// Validation rules for the social sign-in redirect and callback
+/**
+ * Validation rules for starting or completing sign in with Google or Apple.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} provider - Required, a configured provider ("google" or "apple")
+ * @returns {Array} Express validator middleware array for social sign-in
+ * @example
+ * // Use in route:
+ * router.get('/auth/social/:provider', socialProviderValidation, validate, socialLogin);
+ */
+exports.socialProviderValidation = [enabledProvider()];
+
+// Validation rules for signing in or linking with a provider ID token
+/**
+ * Validation rules for signing in with, or linking, a Google or Apple ID token.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} provider - Required, a configured provider ("google" or "apple")
+ * @property {ValidationChain} id_token - Required string
+ * @property {ValidationChain} nonce - Optional string the ID token must carry
+ * @returns {Array} Express validator middleware array for ID token sign-in
+ * @example
+ * // Use in route:
+ * router.post('/auth/social/:provider/token', socialTokenValidation, validate, socialLogin);
+ */
+exports.socialTokenValidation = [
+  enabledProvider(),
+
+  body('id_token')
+    .isString()
+    .withMessage('ID token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('ID token is required'),
+
+  body('nonce')
+    .optional()
+    .isString()
+    .withMessage('Nonce must be a string')
+];
+
+// Validation rules for unlinking a provider
+/**
+ * Validation rules for unlinking a Google or Apple account.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} provider - Required, "google" or "apple"
+ * @returns {Array} Express validator middleware array for unlinking a provider
+ * @example
+ * // Use in route:
+ * router.delete('/auth/social/:provider', unlinkSocialAccountValidation, validate, unlinkSocialAccount);
+ */
+exports.unlinkSocialAccountValidation = [
+  param('provider')
+    .isIn(PROVIDERS)
+    .withMessage(`Provider must be one of: ${PROVIDERS.join(', ')}`)
+];
+
+// Validation rules for the login history
+/**
+ * Validation rules for listing the authenticated user's login history.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} page - Optional positive integer page number
+ * @property {ValidationChain} limit - Optional page size, 1 to 100
+ * @property {ValidationChain} success - Optional boolean, only successful or failed attempts
+ * @returns {Array} Express validator middleware array for the login history
+ * @example
+ * // Use in route:
+ * router.get('/auth/login-history', loginHistoryValidation, validate, getLoginHistory);
+ */
+exports.loginHistoryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('success')
+    .optional()
+    .isBoolean()
+    .withMessage('Success must be true or false')
+    .toBoolean()
+];
+
 // Middleware to handle validation errors
 /**
  * Express middleware to handle validation errors using express-validator.
@@ -310,6 +310,22 @@ exports.clearCartValidation = [
   // No additional validation needed - cart ownership is checked in controller
 ];
 
+/**
+ * Validation rules for applying a coupon code to the cart.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @example
+ * // Use in route:
+ * router.post('/cart/coupon', applyCouponValidation, applyCoupon);
+ */
+exports.applyCouponValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Coupon code is required')
+    .isLength({ max: 50 })
+    .withMessage('Coupon code cannot exceed 50 characters')
+];
+
 // Validation for getting cart summary
 /**
  * Validation rules for retrieving cart summary with optional shipping/tax calculations.
@@ -319,6 +335,7 @@ exports.clearCartValidation = [
  * @property {ValidationChain} include_tax - Optional boolean for tax calculation
  * @property {ValidationChain} shipping_cost - Optional positive number for shipping cost
  * @property {ValidationChain} tax_rate - Optional tax rate between 0 and 1
+ * @property {ValidationChain} address_id - Optional address to estimate tax for
  * @returns {Array} Express validator middleware array for cart summary
  * @example
  * // Use in route:
@@ -344,7 +361,13 @@ exports.getCartSummaryValidation = [
   query('tax_rate')
     .optional()
     .isFloat({ min: 0, max: 1 })
-    .withMessage('Tax rate must be between 0 and 1')
+    .withMessage('Tax rate must be between 0 and 1'),
+
+  query('address_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Address ID must be a valid positive integer')
+    .toInt()
 ];
 
 // Helper function to validate cart ownership
@@ -489,3 +512,15 @@ exports.syncCartValidation = [
       return true;
     })
 ];
+
+/**
+ * Validation rules for saving a guest cart's contact email
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.setCartEmailValidation = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email address')
+    .normalizeEmail()
+];
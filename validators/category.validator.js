@@ -182,7 +182,7 @@ exports.getCategoryByIdentifierValidation = [
  * @property {ValidationChain} limit - Optional, integer 1-100
  * @property {ValidationChain} minPrice - Optional, float >= 0
  * @property {ValidationChain} maxPrice - Optional, float >= minPrice
- * @property {ValidationChain} sortBy - Optional, one of: price, createdAt, name
+ * @property {ValidationChain} sortBy - Optional, one of: price, createdAt, name, rating
  * @property {ValidationChain} sortOrder - Optional, ASC, DESC, asc, or desc
  * @returns {Array} Express validator middleware array for category products retrieval
  * @example
@@ -235,7 +235,7 @@ exports.getCategoryProductsValidation = [
     }),
   query('sortBy')
     .optional()
-    .isIn(['price', 'createdAt', 'name']).withMessage('Invalid sort field'),
+    .isIn(['price', 'createdAt', 'name', 'rating']).withMessage('Invalid sort field'),
   query('sortOrder')
     .optional()
     .isIn(['ASC', 'DESC', 'asc', 'desc']).withMessage('Sort order must be either ASC, DESC, asc, or desc')
@@ -0,0 +1,135 @@
+const { body, param, query } = require('express-validator');
+
+const COUPON_TYPES = ['percentage', 'fixed_amount', 'free_shipping'];
+
+/**
+ * Shared rules for the editable coupon attributes.
+ * @returns {Array<ValidationChain>} Array of express-validator validation chains
+ * @private
+ */
+const couponAttributeRules = () => [
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 }).withMessage('Description cannot exceed 255 characters'),
+
+  body('value')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Value must be a non-negative number')
+    .toFloat(),
+
+  body('max_discount_amount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('Maximum discount must be a non-negative number')
+    .toFloat(),
+
+  body('min_order_amount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Minimum order amount must be a non-negative number')
+    .toFloat(),
+
+  body('usage_limit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Usage limit must be a positive integer')
+    .toInt(),
+
+  body('usage_limit_per_user')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Per-user usage limit must be a positive integer')
+    .toInt(),
+
+  body('starts_at')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Start date must be a valid ISO 8601 date')
+    .toDate(),
+
+  body('expires_at')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Expiry date must be a valid ISO 8601 date')
+    .toDate(),
+
+  body('is_active')
+    .optional()
+    .isBoolean().withMessage('is_active must be a boolean')
+    .toBoolean(),
+
+  body(['product_ids', 'category_ids', 'vendor_ids'])
+    .optional({ nullable: true })
+    .isArray().withMessage('Targeting lists must be arrays of IDs'),
+
+  body(['product_ids.*', 'category_ids.*', 'vendor_ids.*'])
+    .isInt({ min: 1 }).withMessage('Targeting IDs must be positive integers')
+    .toInt()
+];
+
+/**
+ * Validation rules for listing coupons.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.listCouponsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('is_active')
+    .optional()
+    .isBoolean().withMessage('is_active must be a boolean')
+    .toBoolean(),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Search cannot exceed 50 characters')
+];
+
+/**
+ * Validation rules for creating a coupon.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.createCouponValidation = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Coupon code is required')
+    .isLength({ min: 3, max: 50 }).withMessage('Coupon code must be between 3 and 50 characters')
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Coupon code may only contain letters, numbers, dashes and underscores'),
+
+  body('type')
+    .notEmpty().withMessage('Coupon type is required')
+    .isIn(COUPON_TYPES).withMessage(`Type must be one of: ${COUPON_TYPES.join(', ')}`),
+
+  body('vendor_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Vendor ID must be a valid positive integer')
+    .toInt(),
+
+  ...couponAttributeRules()
+];
+
+/**
+ * Validation rules for updating a coupon. The code and type cannot be changed.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.updateCouponValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Coupon ID must be a valid positive integer'),
+
+  body(['code', 'type'])
+    .not().exists().withMessage('Coupon code and type cannot be changed'),
+
+  ...couponAttributeRules()
+];
+
+/**
+ * Validation rules for coupon ID parameter.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.couponIdValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Coupon ID must be a valid positive integer')
+];
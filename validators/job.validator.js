@@ -0,0 +1,26 @@
+const { param, query } = require('express-validator');
+
+/**
+ * Validation rules for listing failed jobs.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.listFailedJobsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+/**
+ * Validation rules for routes addressing a single job.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.jobIdValidation = [
+  param('id')
+    .isUUID().withMessage('Job ID must be a valid UUID')
+];
@@ -0,0 +1,60 @@
+const { body, param, query } = require('express-validator');
+const NotificationService = require('../services/notification.service');
+
+/**
+ * Validation rules for listing notifications.
+ * Validates pagination, type and read-state filters.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @example
+ * // Use in route:
+ * router.get('/notifications', listNotificationsValidation, validate, getMyNotifications);
+ */
+exports.listNotificationsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('type')
+    .optional()
+    .custom((value) => {
+      if (!NotificationService.getTypes().includes(value)) {
+        throw new Error('Invalid notification type');
+      }
+      return true;
+    }),
+
+  query('is_read')
+    .optional()
+    .isBoolean().withMessage('is_read must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for marking all notifications as read.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.markAllReadValidation = [
+  body('type')
+    .optional()
+    .custom((value) => {
+      if (!NotificationService.getTypes().includes(value)) {
+        throw new Error('Invalid notification type');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for notification ID parameter.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.notificationIdValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Notification ID must be a valid positive integer')
+];
@@ -4,13 +4,11 @@ const { body, param, query } = require("express-validator");
 // Validation for creating an order
 /**
  * Validation rules for creating a new order.
- * Validates order items, address, shipping costs, tax amounts, and payment method.
+ * Validates order items, address, and payment method. Shipping and tax are worked out server-side.
  * Includes complex validation for product existence, variant relationships, and stock availability.
  * @type {Array<ValidationChain>} Array of express-validator validation chains
  * @property {ValidationChain} addressId - Required, positive integer, validates address exists
  * @property {ValidationChain} items - Required array, minimum 1 item, validates product/variant relationships
- * @property {ValidationChain} shippingCost - Required, positive float
- * @property {ValidationChain} taxAmount - Required, positive float
  * @property {ValidationChain} notes - Optional string
  * @property {ValidationChain} paymentMethod - Required, one of: paystack, cash, card
  * @returns {Array} Express validator middleware array for order creation
@@ -107,16 +105,6 @@ const createOrderSchema = [
        }
      }
    }),
-  body("shippingCost")
-    .notEmpty()
-    .withMessage("Shipping cost is required")
-    .isFloat({ min: 0 })
-    .withMessage("Shipping cost must be a positive number"),
-  body("taxAmount")
-    .notEmpty()
-    .withMessage("Tax amount is required")
-    .isFloat({ min: 0 })
-    .withMessage("Tax amount must be a positive number"),
   body("notes").optional().isString().withMessage("Notes must be a string"),
   body("paymentMethod")
     .notEmpty()
@@ -264,6 +252,36 @@ const getUserOrdersSchema = [
     .withMessage("Invalid status"),
 ];
 
+// Validation for listing orders resolved by the unpaid order sweeper
+/**
+ * Validation rules for listing expired unpaid orders.
+ * Validates pagination and optional outcome filtering.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} page - Optional, positive integer >= 1
+ * @property {ValidationChain} limit - Optional, integer between 1 and 100
+ * @property {ValidationChain} outcome - Optional, one of: cancelled, paid
+ * @returns {Array} Express validator middleware array for order expiration listing
+ * @example
+ * // Use in route:
+ * router.get('/admin/orders/expirations', getOrderExpirationsSchema, getOrderExpirations);
+ */
+const getOrderExpirationsSchema = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page number must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+  query("outcome")
+    .optional()
+    .isIn(["cancelled", "paid"])
+    .withMessage("Outcome must be one of: cancelled, paid"),
+];
+
 module.exports = {
   createOrderSchema,
   updateOrderSchema,
@@ -272,4 +290,5 @@ module.exports = {
   getOrdersSchema,
   getOrderSchema,
   getUserOrdersSchema,
+  getOrderExpirationsSchema,
 };
\ No newline at end of file
@@ -0,0 +1,60 @@
+const { body, param, query } = require('express-validator');
+
+const PAYOUT_STATUSES = ['pending', 'processing', 'paid', 'failed', 'rejected'];
+
+/**
+ * Validation rules for requesting a payout.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.requestPayoutValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for listing payouts.
+ * Validates pagination, status and (for admins) vendor filters.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.listPayoutsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('status')
+    .optional()
+    .isIn(PAYOUT_STATUSES).withMessage(`Status must be one of: ${PAYOUT_STATUSES.join(', ')}`),
+
+  query('vendor_id')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Vendor ID must be a valid positive integer')
+    .toInt()
+];
+
+/**
+ * Validation rules for rejecting a payout.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.rejectPayoutValidation = [
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Rejection reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for payout ID parameter.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.payoutIdValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Payout ID must be a valid positive integer')
+];
@@ -25,6 +25,7 @@ const messages = {
  * @property {ValidationChain} price - Required, float 0.01-1,000,000
  * @property {ValidationChain} category_id - Required, positive integer, validates category exists
  * @property {ValidationChain} sku - Optional, max 100 chars, trimmed
+ * @property {ValidationChain} weight - Optional shipping weight in kg
  * @property {ValidationChain} variants - Optional array with detailed variant validation
  * @property {ValidationChain} images - Optional array with URL and featured image validation
  * @returns {Array} Express validator middleware array for product creation
@@ -78,6 +79,11 @@ exports.createProductValidation = [
     .isString().withMessage(messages.string('SKU'))
     .isLength({ max: 100 }).withMessage(messages.maxLength('SKU', 100)),
     
+  body('weight')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 1000 }).withMessage('Weight must be between 0 and 1000 kg')
+    .toFloat(),
+    
   // Variants validation
   body('variants')
     .optional()
@@ -187,6 +193,7 @@ exports.createProductValidation = [
  * @property {ValidationChain} price - Optional, positive float, validates product ownership
  * @property {ValidationChain} category_id - Optional, positive integer, validates category exists
  * @property {ValidationChain} sku - Optional, max 100 chars, validates product ownership
+ * @property {ValidationChain} weight - Optional shipping weight in kg
  * @property {ValidationChain} status - Optional, validates against allowed status values
  * @property {ValidationChain} variants - Optional array with detailed variant validation
  * @property {ValidationChain} images - Optional array with URL and featured image validation
@@ -276,6 +283,11 @@ exports.updateProductValidation = [
       return true;
     }),
     
+  body('weight')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 1000 }).withMessage('Weight must be between 0 and 1000 kg')
+    .toFloat(),
+    
   body('status')
     .optional()
     .isIn(['draft', 'active', 'inactive', 'out_of_stock'])
@@ -544,6 +556,7 @@ exports.deleteProductValidation = [
  * @property {ValidationChain} price - Optional, positive float, validates product ownership
  * @property {ValidationChain} category_id - Optional, positive integer, validates category exists
  * @property {ValidationChain} sku - Optional, max 100 chars, validates product ownership
+ * @property {ValidationChain} weight - Optional shipping weight in kg
  * @property {ValidationChain} status - Optional, validates against allowed status values
  * @property {ValidationChain} variants - Optional array with detailed variant validation
  * @property {ValidationChain} images - Optional array with URL and featured image validation
@@ -639,6 +652,11 @@ exports.updateProductValidation = [
       return true;
     }),
     
+  body('weight')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 1000 }).withMessage('Weight must be between 0 and 1000 kg')
+    .toFloat(),
+    
   body('status')
     .optional()
     .isIn(['draft', 'active', 'inactive', 'out_of_stock'])
@@ -0,0 +1,76 @@
+const { body, param, query } = require('express-validator');
+
+const REFUND_STATUSES = ['pending', 'processed', 'failed'];
+
+/**
+ * Validation rules for listing refunds.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.listRefundsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('status')
+    .optional()
+    .isIn(REFUND_STATUSES).withMessage(`Status must be one of: ${REFUND_STATUSES.join(', ')}`),
+
+  query('order_id')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Order ID must be a valid positive integer')
+    .toInt()
+];
+
+/**
+ * Validation rules for creating a refund.
+ * Items are optional; when omitted the remaining order balance is refunded.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.createRefundValidation = [
+  body('order_id')
+    .notEmpty().withMessage('Order ID is required')
+    .isInt({ min: 1 }).withMessage('Order ID must be a valid positive integer')
+    .toInt(),
+
+  body('items')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+
+  body('items.*.order_item_id')
+    .isInt({ min: 1 }).withMessage('Order item ID must be a valid positive integer')
+    .toInt(),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    .toInt(),
+
+  body('items')
+    .optional()
+    .custom((items) => {
+      const ids = items.map((item) => String(item.order_item_id));
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('Each order item can only appear once');
+      }
+      return true;
+    }),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for refund ID parameter.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.refundIdValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Refund ID must be a valid positive integer')
+];
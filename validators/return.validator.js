@@ -0,0 +1,121 @@
+const { body, param, query } = require('express-validator');
+
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded', 'completed', 'cancelled'];
+const REASON_CODES = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'size_issue', 'changed_mind', 'other'];
+
+/**
+ * Validation rules for listing return requests.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.listReturnsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('status')
+    .optional()
+    .isIn(RETURN_STATUSES).withMessage(`Status must be one of: ${RETURN_STATUSES.join(', ')}`),
+
+  query('order_id')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Order ID must be a valid positive integer')
+    .toInt()
+];
+
+/**
+ * Validation rules for creating a return request.
+ * The request is sent as multipart/form-data when photos are attached, so items may
+ * arrive as a JSON string and are parsed before validation.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.createReturnValidation = [
+  body('order_id')
+    .notEmpty().withMessage('Order ID is required')
+    .isInt({ min: 1 }).withMessage('Order ID must be a valid positive integer')
+    .toInt(),
+
+  body('items')
+    .customSanitizer((items) => {
+      if (typeof items !== 'string') return items;
+      try {
+        return JSON.parse(items);
+      } catch (error) {
+        return items;
+      }
+    })
+    .isArray({ min: 1 }).withMessage('At least one item must be returned'),
+
+  body('items.*.order_item_id')
+    .isInt({ min: 1 }).withMessage('Order item ID must be a valid positive integer')
+    .toInt(),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    .toInt(),
+
+  body('items')
+    .custom((items) => {
+      const ids = items.map((item) => String(item.order_item_id));
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('Each order item can only appear once');
+      }
+      return true;
+    }),
+
+  body('reason_code')
+    .notEmpty().withMessage('Reason code is required')
+    .isIn(REASON_CODES).withMessage(`Reason code must be one of: ${REASON_CODES.join(', ')}`),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters')
+];
+
+/**
+ * Validation rules for rejecting a return request.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.rejectReturnValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Return request ID must be a valid positive integer'),
+
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Rejection reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for receiving returned items.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.receiveReturnValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Return request ID must be a valid positive integer'),
+
+  body('restock')
+    .optional()
+    .isBoolean().withMessage('Restock must be a boolean')
+    .toBoolean(),
+
+  body('refund')
+    .optional()
+    .isBoolean().withMessage('Refund must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for return request ID parameter.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.returnIdValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Return request ID must be a valid positive integer')
+];
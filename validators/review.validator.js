@@ -125,7 +125,125 @@ exports.listReviewsValidation = [
   query('rating')
     .optional()
     .isInt({ min: 1, max: 5 })
-    .withMessage('Rating filter must be between 1 and 5')
+    .withMessage('Rating filter must be between 1 and 5'),
+
+  query('sort')
+    .optional()
+    .isIn(['recent', 'helpful', 'rating_high', 'rating_low'])
+    .withMessage('Sort must be one of: recent, helpful, rating_high, rating_low'),
+
+  query('verified')
+    .optional()
+    .isBoolean()
+    .withMessage('Verified must be true or false')
+    .toBoolean(),
+
+  query('with_images')
+    .optional()
+    .isBoolean()
+    .withMessage('With images must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for voting on a review.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.voteReviewValidation = [
+  body('vote')
+    .notEmpty()
+    .withMessage('Vote is required')
+    .isIn(['up', 'down'])
+    .withMessage('Vote must be "up" or "down"')
+];
+
+/**
+ * Validation rules for a vendor's reply to a review.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.replyReviewValidation = [
+  body('reply')
+    .trim()
+    .notEmpty()
+    .withMessage('Reply is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reply cannot exceed 1000 characters')
+];
+
+/**
+ * Validation rules for reporting an abusive review.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.reportReviewValidation = [
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isIn(['spam', 'offensive', 'harassment', 'off_topic', 'fake', 'other'])
+    .withMessage('Reason must be one of: spam, offensive, harassment, off_topic, fake, other'),
+
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for listing the review moderation queue.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.moderationQueueValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be one of: pending, approved, rejected'),
+
+  query('flagged')
+    .optional()
+    .isBoolean()
+    .withMessage('Flagged must be true or false')
+    .toBoolean(),
+
+  query('reported')
+    .optional()
+    .isBoolean()
+    .withMessage('Reported must be true or false')
+    .toBoolean(),
+
+  query('product_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Product ID must be a valid positive integer'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+/**
+ * Validation rules for a moderator's decision on a review.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.moderateReviewValidation = [
+  body('decision')
+    .notEmpty()
+    .withMessage('Decision is required')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be "approve" or "reject"'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters')
 ];
 
 /**
@@ -82,6 +82,13 @@ const deleteRoleValidation = [
     })
 ];
 
+// Validation for requiring two-factor authentication for a role
+const twoFactorRequirementValidation = [
+  body('required')
+    .exists().withMessage('required is required')
+    .isBoolean().withMessage('required must be true or false')
+];
+
 // Middleware to handle validation errors
 /**
  * Express middleware to handle validation errors using express-validator.
@@ -117,5 +124,6 @@ module.exports = {
   createRoleValidation,
   updateRoleValidation,
   deleteRoleValidation,
+  twoFactorRequirementValidation,
   validate
 };
@@ -0,0 +1,76 @@
+const { query } = require('express-validator');
+
+/**
+ * Split comma-separated query values into a list, e.g. ?colors=red,blue
+ * @param {string|Array<string>} value - Query value
+ * @returns {Array<string>} Trimmed, non-empty values
+ */
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+
+/**
+ * Validation rules for search suggestions.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.suggestValidation = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('Search text must be between 2 and 100 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 10 }).withMessage('Limit must be between 1 and 10')
+    .toInt()
+];
+
+/**
+ * Validation rules for searching products.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.searchProductsValidation = [
+  query('q')
+    .trim()
+    .notEmpty().withMessage('Search text is required')
+    .isLength({ max: 200 }).withMessage('Search text cannot exceed 200 characters'),
+
+  query('category_id')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Category ID must be a positive integer')
+    .toInt(),
+
+  query('min_price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Minimum price must be a positive number')
+    .toFloat(),
+
+  query('max_price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Maximum price must be a positive number')
+    .toFloat()
+    .custom((value, { req }) => {
+      if (req.query.min_price !== undefined && value < req.query.min_price) {
+        throw new Error('Maximum price must not be less than minimum price');
+      }
+      return true;
+    }),
+
+  query('colors')
+    .optional()
+    .customSanitizer(toList),
+
+  query('sizes')
+    .optional()
+    .customSanitizer(toList),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
@@ -0,0 +1,131 @@
+const { body, param, query } = require('express-validator');
+
+const SHIPMENT_STATUSES = ['shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned'];
+
+/**
+ * Validation rules for listing shipments.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.listShipmentsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('status')
+    .optional()
+    .isIn(SHIPMENT_STATUSES).withMessage(`Status must be one of: ${SHIPMENT_STATUSES.join(', ')}`),
+
+  query('order_id')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Order ID must be a valid positive integer')
+    .toInt(),
+
+  query('vendor_id')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Vendor ID must be a valid positive integer')
+    .toInt()
+];
+
+/**
+ * Validation rules for shipping a vendor's items of an order.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.createShipmentValidation = [
+  body('order_id')
+    .notEmpty().withMessage('Order ID is required')
+    .isInt({ min: 1 }).withMessage('Order ID must be a valid positive integer')
+    .toInt(),
+
+  body('vendor_id')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Vendor ID must be a valid positive integer')
+    .toInt(),
+
+  body('carrier')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('Carrier must be between 1 and 50 characters'),
+
+  body('courier')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Courier must be between 1 and 100 characters'),
+
+  body('tracking_number')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Tracking number must be between 1 and 100 characters'),
+
+  body('tracking_url')
+    .optional()
+    .trim()
+    .isURL().withMessage('Tracking URL must be a valid URL')
+    .isLength({ max: 500 }).withMessage('Tracking URL cannot exceed 500 characters'),
+
+  body('estimated_delivery')
+    .optional()
+    .isISO8601().withMessage('Estimated delivery must be a valid date'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 255 }).withMessage('Note cannot exceed 255 characters')
+];
+
+/**
+ * Validation rules for recording a shipment status change.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.addShipmentEventValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Shipment ID must be a valid positive integer'),
+
+  body('status')
+    .notEmpty().withMessage('Status is required')
+    .isIn(SHIPMENT_STATUSES.filter((status) => status !== 'shipped'))
+    .withMessage(`Status must be one of: ${SHIPMENT_STATUSES.slice(1).join(', ')}`),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 }).withMessage('Description cannot exceed 255 characters'),
+
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 255 }).withMessage('Location cannot exceed 255 characters'),
+
+  body('occurred_at')
+    .optional()
+    .isISO8601().withMessage('Occurred at must be a valid date')
+    .custom((value) => {
+      if (new Date(value) > new Date()) {
+        throw new Error('Occurred at cannot be in the future');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for shipment ID parameter.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.shipmentIdValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Shipment ID must be a valid positive integer')
+];
+
+/**
+ * Validation rules for order ID parameter when tracking an order.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.orderTrackingValidation = [
+  param('orderId')
+    .isInt({ min: 1 }).withMessage('Order ID must be a valid positive integer')
+];
@@ -0,0 +1,154 @@
+const { body, param, query } = require('express-validator');
+
+const RATE_BASES = ['flat', 'weight', 'item_count'];
+
+/**
+ * Shared rules for the editable shipping zone attributes.
+ * @param {boolean} required - Whether name, country and rates must be present
+ * @returns {Array<ValidationChain>} Array of express-validator validation chains
+ * @private
+ */
+const zoneAttributeRules = (required) => {
+  const presence = (chain, field) =>
+    required ? chain.notEmpty().withMessage(`${field} is required`) : chain.optional();
+
+  return [
+    presence(body('name').trim(), 'Zone name')
+      .isLength({ max: 100 }).withMessage('Zone name cannot exceed 100 characters'),
+
+    presence(body('country').trim(), 'Country')
+      .isLength({ max: 100 }).withMessage('Country cannot exceed 100 characters'),
+
+    body(['states', 'cities'])
+      .optional({ nullable: true })
+      .isArray().withMessage('States and cities must be arrays of names'),
+
+    body(['states.*', 'cities.*'])
+      .trim()
+      .notEmpty().withMessage('State and city names cannot be empty')
+      .isLength({ max: 100 }).withMessage('State and city names cannot exceed 100 characters'),
+
+    body('rate_basis')
+      .optional()
+      .isIn(RATE_BASES).withMessage(`Rate basis must be one of: ${RATE_BASES.join(', ')}`),
+
+    body('free_shipping_threshold')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 }).withMessage('Free shipping threshold must be a non-negative number')
+      .toFloat(),
+
+    body('is_active')
+      .optional()
+      .isBoolean().withMessage('is_active must be a boolean')
+      .toBoolean(),
+
+    (required ? body('rates') : body('rates').optional())
+      .isArray({ min: 1 }).withMessage('Rates must be a non-empty array'),
+
+    body('rates.*.name')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 }).withMessage('Rate name cannot exceed 100 characters'),
+
+    body('rates.*.min_value')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Rate min_value must be a non-negative number')
+      .toFloat(),
+
+    body('rates.*.max_value')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 }).withMessage('Rate max_value must be a non-negative number')
+      .toFloat(),
+
+    body('rates.*.cost')
+      .exists().withMessage('Rate cost is required')
+      .isFloat({ min: 0 }).withMessage('Rate cost must be a non-negative number')
+      .toFloat()
+  ];
+};
+
+/**
+ * Validation rules for quoting shipping.
+ * Items are optional; the customer's cart is quoted when they are omitted.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.quoteShippingValidation = [
+  body('addressId')
+    .notEmpty().withMessage('Address ID is required')
+    .isInt({ min: 1 }).withMessage('Address ID must be a valid positive integer')
+    .toInt(),
+
+  body('items')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+
+  body('items.*.productId')
+    .isInt({ min: 1 }).withMessage('Product ID must be a valid positive integer')
+    .toInt(),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
+    .toInt()
+];
+
+/**
+ * Validation rules for listing shipping zones.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.listZonesValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('country')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Country cannot exceed 100 characters'),
+
+  query('vendor_id')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Vendor ID must be a valid positive integer')
+    .toInt()
+];
+
+/**
+ * Validation rules for creating a shipping zone.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.createZoneValidation = [
+  body('vendor_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Vendor ID must be a valid positive integer')
+    .toInt(),
+
+  ...zoneAttributeRules(true)
+];
+
+/**
+ * Validation rules for updating a shipping zone.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.updateZoneValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Zone ID must be a valid positive integer'),
+
+  body('vendor_id')
+    .not().exists().withMessage('A zone cannot be moved to another vendor'),
+
+  ...zoneAttributeRules(false)
+];
+
+/**
+ * Validation rules for shipping zone ID parameter.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.zoneIdValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Zone ID must be a valid positive integer')
+];
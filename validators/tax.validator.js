@@ -0,0 +1,91 @@
+const { body, param, query } = require('express-validator');
+
+/**
+ * Shared rules for the editable tax rule attributes.
+ * @param {boolean} required - Whether name and rate must be present
+ * @returns {Array<ValidationChain>} Array of express-validator validation chains
+ * @private
+ */
+const ruleAttributeRules = (required) => [
+  (required ? body('name').trim().notEmpty().withMessage('Rule name is required') : body('name').optional().trim())
+    .isLength({ max: 100 }).withMessage('Rule name cannot exceed 100 characters'),
+
+  body(['country', 'state'])
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Country and state must be between 1 and 100 characters'),
+
+  (required ? body('rate').exists().withMessage('Rate is required') : body('rate').optional())
+    .isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100')
+    .toFloat(),
+
+  body('is_inclusive')
+    .optional()
+    .isBoolean().withMessage('is_inclusive must be a boolean')
+    .toBoolean(),
+
+  body('is_active')
+    .optional()
+    .isBoolean().withMessage('is_active must be a boolean')
+    .toBoolean(),
+
+  body('exempt_category_ids')
+    .optional({ nullable: true })
+    .isArray().withMessage('Exempt categories must be an array of IDs'),
+
+  body('exempt_category_ids.*')
+    .isInt({ min: 1 }).withMessage('Category IDs must be positive integers')
+    .toInt()
+];
+
+/**
+ * Validation rules for listing tax rules.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.listTaxRulesValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('country')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Country cannot exceed 100 characters'),
+
+  query('is_active')
+    .optional()
+    .isBoolean().withMessage('is_active must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for creating a tax rule.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.createTaxRuleValidation = ruleAttributeRules(true);
+
+/**
+ * Validation rules for updating a tax rule.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.updateTaxRuleValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Tax rule ID must be a valid positive integer'),
+
+  ...ruleAttributeRules(false)
+];
+
+/**
+ * Validation rules for tax rule ID parameter.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ */
+exports.taxRuleIdValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Tax rule ID must be a valid positive integer')
+];
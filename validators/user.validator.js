@@ -1,4 +1,4 @@
-const { body, param, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 const { User, Role } = require("../models");
 const AppError = require("../utils/appError");
 
@@ -242,6 +242,90 @@ const removeRolesValidation = [
     }),
 ];
 
+// Validation for resetting a user's two-factor authentication
+/**
+ * Validation rules for resetting a user's two-factor authentication.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} id - Required integer user ID in the URL
+ * @returns {Array} Express validator middleware array for two-factor reset
+ * @example
+ * // Use in route:
+ * router.post('/users/:id/two-factor/reset', resetTwoFactorValidation, validate, resetTwoFactor);
+ */
+const resetTwoFactorValidation = [
+  param("id").isInt().withMessage("User ID must be an integer"),
+];
+
+// Pagination rules shared by the account security listings
+const paginationRules = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+];
+
+// Validation for listing locked accounts
+/**
+ * Validation rules for listing accounts locked after failed logins.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} page - Optional positive integer page number
+ * @property {ValidationChain} limit - Optional page size, 1 to 100
+ * @returns {Array} Express validator middleware array for locked accounts
+ * @example
+ * // Use in route:
+ * router.get('/users/locked', lockedUsersValidation, validate, getLockedUsers);
+ */
+const lockedUsersValidation = [...paginationRules];
+
+// Validation for a user's login history
+/**
+ * Validation rules for viewing a user's login history.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} id - Required integer user ID in the URL
+ * @property {ValidationChain} page - Optional positive integer page number
+ * @property {ValidationChain} limit - Optional page size, 1 to 100
+ * @property {ValidationChain} success - Optional boolean, only successful or failed attempts
+ * @returns {Array} Express validator middleware array for the login history
+ * @example
+ * // Use in route:
+ * router.get('/users/:id/login-history', userLoginHistoryValidation, validate, getLoginHistory);
+ */
+const userLoginHistoryValidation = [
+  param("id").isInt().withMessage("User ID must be an integer"),
+  ...paginationRules,
+  query("success")
+    .optional()
+    .isBoolean()
+    .withMessage("Success must be true or false")
+    .toBoolean(),
+];
+
+// Validation for unlocking an account
+/**
+ * Validation rules for unlocking an account locked after failed logins.
+ * @type {Array<ValidationChain>} Array of express-validator validation chains
+ * @property {ValidationChain} id - Required integer user ID in the URL
+ * @property {ValidationChain} revoke_sessions - Optional boolean, also sign the user out everywhere
+ * @returns {Array} Express validator middleware array for unlocking an account
+ * @example
+ * // Use in route:
+ * router.post('/users/:id/unlock', unlockUserValidation, validate, unlockUser);
+ */
+const unlockUserValidation = [
+  param("id").isInt().withMessage("User ID must be an integer"),
+  body("revoke_sessions")
+    .optional()
+    .isBoolean()
+    .withMessage("revoke_sessions must be true or false")
+    .toBoolean(),
+];
+
 // Validation middleware
 /**
  * Express middleware to handle validation errors using express-validator.
@@ -274,5 +358,9 @@ module.exports = {
   updateUserValidation,
   assignRolesValidation,
   removeRolesValidation,
+  resetTwoFactorValidation,
+  lockedUsersValidation,
+  userLoginHistoryValidation,
+  unlockUserValidation,
   validate,
 };
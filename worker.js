@@ -0,0 +1,55 @@
+require("dotenv").config();
+const redis = require("./config/redis");
+const { sequelize } = require("./models");
+const QueueService = require("./services/queue.service");
+const logger = require("./utils/logger");
+
+/**
+ * Queue worker
+ * Runs queued jobs (emails, image writes, webhooks) outside the API process. Started by pm2
+ * as stylay-worker (see ecosystem.config.js), or with `npm run worker`.
+ */
+const POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS || "1000", 10);
+
+let running = true;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const work = async () => {
+  logger.info("Queue worker started");
+
+  while (running) {
+    if (!redis.isConnected) {
+      await sleep(POLL_INTERVAL_MS);
+      continue;
+    }
+
+    try {
+      const job = await QueueService.processNext();
+      if (!job) {
+        await sleep(POLL_INTERVAL_MS);
+      }
+    } catch (error) {
+      logger.error("Queue worker error:", error);
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+
+  logger.info("Queue worker stopped");
+  await sequelize.close();
+  if (redis.isConnected) {
+    await redis.quit();
+  }
+  process.exit(0);
+};
+
+// Finish the current job before exiting
+const shutdown = (signal) => {
+  logger.info(`${signal} received, stopping queue worker`);
+  running = false;
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+work();